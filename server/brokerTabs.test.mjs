@@ -112,7 +112,7 @@ try {
 
   // An unsupported broker must be refused outright — parsing one broker's file
   // with another's parser would produce plausible-looking wrong numbers.
-  const badRes = await uploadCsv(wbCsv, 'etrade')
+  const badRes = await uploadCsv(wbCsv, 'tastytrade')
   test('unknown broker is rejected rather than mis-parsed', () => {
     assert.equal(badRes.success, false)
     assert.match(badRes.error || '', /Unknown broker/i)
@@ -146,6 +146,27 @@ try {
     assert.ok(Math.abs(posAvg('CCC').avgCost - pos('CCC').avgCost) < 0.01)
   })
 
+  console.log('\nShort positions')
+
+  test('an open short reports a negative position at its sale price', () => {
+    ins.run({ sym: 'SSS', d: '2026-01-05', tc: 'SS', q: 10, px: 50, amt: 500, isBuy: 0 })
+    ins.run({ sym: 'SSS', d: '2026-02-05', tc: 'BC', q: 4, px: 40, amt: -160, isBuy: 1 })
+    for (const p of [pos('SSS'), posAvg('SSS')]) {
+      assert.equal(p.position, -6)
+      assert.equal(p.avgCost, 50)
+      assert.equal(p.short, true)
+    }
+  })
+
+  test('a cover past the short leaves the rest held long', () => {
+    ins.run({ sym: 'TTT', d: '2026-01-05', tc: 'SS', q: 10, px: 50, amt: 500, isBuy: 0 })
+    ins.run({ sym: 'TTT', d: '2026-02-05', tc: 'BC', q: 15, px: 40, amt: -600, isBuy: 1 })
+    const p = pos('TTT')
+    assert.equal(p.position, 5)
+    assert.equal(p.avgCost, 40)
+    assert.ok(!p.short)
+  })
+
   console.log(`\n${passed} passed\n`)
 } catch (e) {
   console.error('\nTest harness error:', e)
@@ -8,7 +8,7 @@
  * because nothing about the row looks unusual.
  */
 import assert from 'node:assert/strict'
-import { parseTrades } from './services/csvParser.js'
+import { parseTrades, parseDeposits } from './services/csvParser.js'
 
 let passed = 0
 const test = async (name, fn) => {
@@ -152,4 +152,63 @@ await test('an ordinary option description is left alone', async () => {
   assert.equal(trades[0].symbol, OPENING)
 })
 
+console.log('\nCash rows')
+
+const cash = (date, code, desc, amount) =>
+  `"${date}","${date}","${date}","","${desc}","${code}","","","${amount}"`
+
+await test('withdrawals, wires and instant deposits all move principal', async () => {
+  const r = await parseDeposits(csv(
+    cash('1/5/2026', 'ACH', 'ACH Deposit', '$1,000.00'),
+    cash('1/6/2026', 'RTP', 'Instant bank transfer', '$500.00'),
+    cash('1/7/2026', 'WIRE', 'Incoming Wire Transfer', '$2,000.00'),
+    cash('2/2/2026', 'ACH', 'ACH Withdrawal', '($800.00)'),
+  ))
+  assert.equal(r.deposits.length, 3)
+  assert.deepEqual(r.cashLedger.map(e => [e.type, e.amount]), [['withdrawal', -800]])
+  assert.equal(r.totalPrincipal, 2700)
+})
+
+await test('fees and margin interest charged are typed, not dropped', async () => {
+  const r = await parseDeposits(csv(
+    cash('1/8/2026', 'GOLD', 'Gold Subscription Fee', '($5.00)'),
+    cash('1/9/2026', 'MINT', 'Margin Interest', '($14.22)'),
+    cash('1/10/2026', 'AFEE', 'ADR Fee', '($0.31)'),
+    cash('1/11/2026', 'DTAX', 'Foreign Tax Withholding', '($0.90)'),
+    cash('1/12/2026', 'INT', 'Interest Payment', '$3.10'),
+  ))
+  assert.deepEqual(r.cashLedger.map(e => e.type), ['subscription_fee', 'margin_interest', 'adr_fee', 'tax_withheld'])
+  assert.equal(r.totalPrincipal, 0, 'a fee is not money taken out')
+})
+
+await test('margin interest charged is not income', async () => {
+  const { dividendsAndInterest } = await parseTrades(csv(
+    row('1/5/2026', 'AAPL', 'Buy', '1', '$100.00', '($100.00)'),
+    cash('1/9/2026', 'MINT', 'Margin Interest', '($14.22)'),
+    cash('1/12/2026', 'INT', 'Interest Payment', '$3.10'),
+  ))
+  assert.deepEqual(dividendsAndInterest.map(d => d.amount), [3.1])
+})
+
+await test('a negative dividend is a charge in lieu, not income or a fee', async () => {
+  const { dividendsAndInterest } = await parseTrades(csv(
+    row('1/5/2026', 'AAPL', 'Buy', '1', '$100.00', '($100.00)'),
+    cash('1/8/2026', 'CDIV', 'Cash Div', '$0.24'),
+    cash('1/9/2026', 'CDIV', 'Cash Div', '($4.80)'),
+  ))
+  assert.deepEqual(dividendsAndInterest.map(d => [d.amount, d.isDividend, !!d.isInLieu]), [[0.24, true, false], [-4.8, false, true]])
+  const r = await parseDeposits(csv(cash('1/9/2026', 'CDIV', 'Cash Div', '($4.80)')))
+  assert.equal(r.cashLedger.length, 0)
+})
+
+await test('trades, settlements and income stay out of the ledger', async () => {
+  const r = await parseDeposits(csv(
+    row('1/5/2026', 'AAPL', 'Buy', '1', '$100.00', '($100.00)'),
+    row('1/6/2026', 'AAPL', 'STO', '1', '$2.00', '$200.00'),
+    `"1/7/2026","1/7/2026","1/7/2026","AAPL","Option Expiration for AAPL 1/7/2026 Call $150.00","OEXP","1S","",""`,
+    cash('1/8/2026', 'CDIV', 'Cash Div', '$0.24'),
+  ))
+  assert.deepEqual([r.deposits.length, r.cashLedger.length], [0, 0])
+})
+
 console.log(`\n${passed} passed\n`)
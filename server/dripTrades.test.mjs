@@ -0,0 +1,75 @@
+/**
+ * Dividend reinvestment tags, stored.
+ * Run: node server/dripTrades.test.mjs
+ *
+ * The parsers tag a reinvestment when the dividend that paid for it is in the
+ * same file. These check that the tag is saved and read back, and that a buy
+ * whose dividend arrives in a later upload is tagged once that's stored.
+ */
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'node:url'
+import { dirname, join } from 'node:path'
+import fs from 'node:fs'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const TMP_DB = join(__dirname, `test_drip_${process.pid}.db`)
+process.env.DATABASE_PATH = TMP_DB
+process.env.NODE_ENV = 'test'
+
+let passed = 0
+const test = (name, fn) => {
+  try { fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+
+const cleanup = async () => {
+  try {
+    const { getDatabase } = await import('./services/database.js')
+    getDatabase()?.close()
+  } catch {}
+  for (const f of [TMP_DB, `${TMP_DB}-wal`, `${TMP_DB}-shm`]) {
+    try { fs.existsSync(f) && fs.unlinkSync(f) } catch {}
+  }
+}
+
+try {
+  const { databaseService } = await import('./services/database.js')
+  const quiet = (fn) => { const log = console.log; console.log = () => {}; try { return fn() } finally { console.log = log } }
+  const trade = (date, quantity, price, o = {}) => ({
+    date: new Date(`${date}T12:00:00`), symbol: 'KO', quantity, price, amount: Math.round(quantity * price * 100) / 100,
+    isBuy: true, isOption: false, transCode: 'Buy', description: 'Coca-Cola', ...o
+  })
+  const kos = () => databaseService.getAllTradesForUser(1).filter((t) => t.symbol === 'KO')
+
+  quiet(() => databaseService.saveTrades([
+    trade('2026-03-02', 10, 60),
+    trade('2026-01-05', 0.7, 60, { isDrip: true })
+  ], '2026-03-02', [], 0, 1, 'robinhood'))
+
+  test('a tag set by the parser is saved and read back', () => {
+    assert.deepEqual(kos().map((t) => [t.quantity, t.isDrip]), [[0.7, true], [10, false]])
+  })
+
+  test('a buy is tagged once the dividend that paid for it is stored', () => {
+    quiet(() => databaseService.saveTrades([trade('2026-04-02', 0.75, 68)], '2026-04-02', [], 0, 1, 'robinhood'))
+    assert.equal(kos().find((t) => t.quantity === 0.75).isDrip, false)
+    databaseService.saveDividendsAndInterest(1, [{ date: new Date('2026-04-01T12:00:00'), symbol: 'KO', amount: 51, transCode: 'CDIV' }], 'robinhood')
+    assert.equal(databaseService.tagDripTrades(1), 1)
+    assert.equal(kos().find((t) => t.quantity === 0.75).isDrip, true)
+    assert.equal(databaseService.tagDripTrades(1), 0, 'already tagged')
+  })
+
+  test('another broker\'s dividend doesn\'t tag the buy', () => {
+    quiet(() => databaseService.saveTrades([trade('2026-07-02', 0.3, 70)], '2026-07-02', [], 0, 1, 'schwab'))
+    databaseService.saveDividendsAndInterest(1, [{ date: new Date('2026-07-01T12:00:00'), symbol: 'KO', amount: 21, transCode: 'CDIV' }], 'robinhood')
+    assert.equal(databaseService.tagDripTrades(1), 0)
+  })
+
+  console.log(`\n${passed} passed\n`)
+} catch (e) {
+  console.error('\nTest harness error:', e)
+  process.exitCode = 1
+} finally {
+  await cleanup()
+  setTimeout(() => process.exit(process.exitCode || 0), 250)
+}
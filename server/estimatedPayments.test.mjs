@@ -0,0 +1,78 @@
+/**
+ * Recorded estimated-tax payments.
+ * Run: node server/estimatedPayments.test.mjs
+ *
+ * Withholding was a single number typed into the Tax Center. Payments are now
+ * stored one by one per tax year, so the quarterly tracker can credit each to
+ * the installment it was paid toward.
+ */
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'node:url'
+import { dirname, join } from 'node:path'
+import fs from 'node:fs'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const TMP_DB = join(__dirname, `test_estpayments_${process.pid}.db`)
+process.env.DATABASE_PATH = TMP_DB
+process.env.NODE_ENV = 'test'
+
+let passed = 0
+const test = (name, fn) => {
+  try { fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+
+const cleanup = async () => {
+  try {
+    const { getDatabase } = await import('./services/database.js')
+    getDatabase()?.close()
+  } catch {}
+  for (const f of [TMP_DB, `${TMP_DB}-wal`, `${TMP_DB}-shm`]) {
+    try { fs.existsSync(f) && fs.unlinkSync(f) } catch {}
+  }
+}
+
+try {
+  const { databaseService } = await import('./services/database.js')
+  const quiet = (fn) => { const log = console.log; console.log = () => {}; try { return fn() } finally { console.log = log } }
+
+  const q2 = databaseService.addEstimatedPayment(1, { taxYear: 2026, paidDate: '2026-06-12', amount: 1500, note: 'federal Q2' })
+  const q1 = databaseService.addEstimatedPayment(1, { taxYear: 2026, paidDate: '2026-04-10', amount: 1200 })
+  databaseService.addEstimatedPayment(1, { taxYear: 2025, paidDate: '2026-01-14', amount: 900 })
+  const theirs = databaseService.addEstimatedPayment(2, { taxYear: 2026, paidDate: '2026-04-10', amount: 50 })
+
+  console.log('\nEstimated payments')
+
+  test('listed by tax year in date order', () => {
+    assert.deepEqual(databaseService.getEstimatedPayments(1, 2026), [
+      { id: q1, taxYear: 2026, paidDate: '2026-04-10', amount: 1200, note: '' },
+      { id: q2, taxYear: 2026, paidDate: '2026-06-12', amount: 1500, note: 'federal Q2' }
+    ])
+    assert.equal(databaseService.getEstimatedPayments(1).length, 3, 'every year without one')
+  })
+
+  test('a January payment belongs to the year it was made for', () => {
+    assert.deepEqual(databaseService.getEstimatedPayments(1, 2025).map((p) => p.paidDate), ['2026-01-14'])
+  })
+
+  test('users only see and delete their own', () => {
+    assert.equal(databaseService.deleteEstimatedPayment(1, theirs), false)
+    assert.equal(databaseService.getEstimatedPayments(2, 2026).length, 1)
+    assert.equal(databaseService.deleteEstimatedPayment(1, q1), true)
+    assert.deepEqual(databaseService.getEstimatedPayments(1, 2026).map((p) => p.id), [q2])
+  })
+
+  test('clearing a user\'s data removes their payments', () => {
+    quiet(() => databaseService.clearAllData(1))
+    assert.deepEqual(databaseService.getEstimatedPayments(1), [])
+    assert.equal(databaseService.getEstimatedPayments(2).length, 1)
+  })
+
+  console.log(`\n${passed} passed\n`)
+} catch (e) {
+  console.error('\nTest harness error:', e)
+  process.exitCode = 1
+} finally {
+  await cleanup()
+  setTimeout(() => process.exit(process.exitCode || 0), 250)
+}
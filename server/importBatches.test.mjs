@@ -0,0 +1,186 @@
+/**
+ * Import batches and per-upload rollback.
+ * Run: node server/importBatches.test.mjs
+ *
+ * Clearing the whole database was the only undo for a bad upload. Each upload
+ * is now a batch: rolling one back must remove exactly the rows it wrote, put
+ * back the rows it replaced, and leave every other upload alone.
+ */
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'node:url'
+import { dirname, join } from 'node:path'
+import fs from 'node:fs'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const TMP_DB = join(__dirname, `test_batches_${process.pid}.db`)
+process.env.DATABASE_PATH = TMP_DB
+process.env.NODE_ENV = 'test'
+
+let passed = 0
+const test = (name, fn) => {
+  try { fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+
+const cleanup = async () => {
+  try {
+    const { getDatabase } = await import('./services/database.js')
+    getDatabase()?.close()
+  } catch {}
+  for (const f of [TMP_DB, `${TMP_DB}-wal`, `${TMP_DB}-shm`]) {
+    try { fs.existsSync(f) && fs.unlinkSync(f) } catch {}
+  }
+}
+
+const trade = (o) => ({
+  symbol: 'AAPL', isOption: false, quantity: 10, price: 100, amount: 1000,
+  isBuy: true, date: '2026-03-02', transCode: 'Buy', ...o,
+})
+
+try {
+  const { databaseService, getDatabase } = await import('./services/database.js')
+  const db = getDatabase()
+  const userId = 1
+  const quiet = (fn) => { const log = console.log; console.log = () => {}; try { return fn() } finally { console.log = log } }
+  const rows = (table) => db.prepare(`SELECT * FROM ${table} WHERE user_id = ? ORDER BY rowid`).all(userId)
+
+  // Same order the upload handler uses: batch first, then everything it writes.
+  const upload = (fileName, { trades = [], deposits = [], income = [], transfers = [], uploadDate, broker = 'robinhood' }) => quiet(() => {
+    const batchId = databaseService.createImportBatch(userId, broker, fileName)
+    databaseService.saveTrades(trades, uploadDate, deposits, 0, userId, broker, batchId)
+    databaseService.saveShareTransfers(userId, transfers, batchId)
+    databaseService.saveDividendsAndInterest(userId, income, broker, batchId)
+    return batchId
+  })
+
+  const first = upload('march.csv', {
+    uploadDate: '2026-03-03',
+    trades: [trade({}), trade({ date: '2026-03-03', symbol: 'MSFT', quantity: 2, price: 400, amount: 800 })],
+    deposits: [{ date: '2026-03-01', amount: 5000 }],
+    income: [{ date: '2026-03-02', symbol: 'AAPL', amount: 2.4, transCode: 'CDIV', description: 'Cash Div' }],
+    transfers: [{ symbol: 'TSLA', date: '2026-03-01', quantity: 3, direction: 'in', broker: 'robinhood' }],
+  })
+
+  console.log('\nRecording')
+
+  test('every row an upload writes carries its batch', () => {
+    for (const table of ['trades', 'deposits', 'dividends_interest', 'share_transfers']) {
+      const r = rows(table)
+      assert.ok(r.length > 0, `${table} is empty`)
+      assert.ok(r.every(x => x.batch_id === first), `${table} has untagged rows`)
+    }
+  })
+
+  test('the batch list reports what each upload owns', () => {
+    const [b] = databaseService.getImportBatches(userId)
+    assert.equal(b.id, first)
+    assert.equal(b.file_name, 'march.csv')
+    assert.equal(b.upload_date, '2026-03-03')
+    assert.equal(b.trade_count, 2)
+    assert.equal(b.deposit_count, 1)
+    assert.equal(b.income_count, 1)
+    assert.equal(b.transfer_count, 1)
+    assert.equal(b.first_trade_date, '2026-03-02')
+    assert.equal(b.last_trade_date, '2026-03-03')
+  })
+
+  test('income survives a reload and an overlapping re-upload adds none', () => {
+    upload('march-again.csv', {
+      uploadDate: '2026-03-03',
+      income: [{ date: '2026-03-02', symbol: 'AAPL', amount: 2.4, transCode: 'CDIV', description: 'Cash Div' }],
+    })
+    const income = databaseService.getDividendsAndInterest(userId)
+    assert.equal(income.length, 1)
+    assert.equal(income[0].isDividend, true)
+    assert.equal(income[0].amount, 2.4)
+  })
+
+  console.log('\nA later upload that revises a row')
+
+  const later = upload('april.csv', {
+    uploadDate: '2026-04-01',
+    trades: [
+      trade({}),                                                                               // duplicate
+      trade({ date: '2026-03-03', symbol: 'MSFT', quantity: 2, price: 400, amount: 800.02 }), // fee revised
+      trade({ date: '2026-03-30', symbol: 'NVDA', quantity: 5, price: 120, amount: 600 }),    // new
+    ],
+  })
+
+  test('duplicates stay with the upload that first wrote them', () => {
+    const aapl = rows('trades').find(t => t.symbol === 'AAPL')
+    assert.equal(aapl.batch_id, first)
+    const b = databaseService.getImportBatches(userId).find(x => x.id === later)
+    assert.equal(b.trade_count, 2)
+    assert.equal(b.replaced_count, 1)
+  })
+
+  test('rolling it back removes its rows and restores the one it replaced', () => {
+    const result = quiet(() => databaseService.rollbackImportBatch(userId, later))
+    assert.equal(result.removed.trades, 2)
+    assert.equal(result.restored.trades, 1)
+    assert.equal(result.fromDate, '2026-03-03')
+    const trades = rows('trades')
+    assert.deepEqual(trades.map(t => t.symbol).sort(), ['AAPL', 'MSFT'])
+    const msft = trades.find(t => t.symbol === 'MSFT')
+    assert.equal(msft.amount, 800)
+    assert.equal(msft.batch_id, first, 'the restored row belongs to its original upload again')
+  })
+
+  test('the rolled-back upload is gone from the list and its date from the index', () => {
+    assert.ok(!databaseService.getImportBatches(userId).some(b => b.id === later))
+    const dates = db.prepare('SELECT upload_date FROM csv_uploads WHERE user_id = ?').all(userId).map(r => r.upload_date)
+    assert.ok(!dates.includes('2026-04-01'))
+    assert.ok(dates.includes('2026-03-03'))
+  })
+
+  console.log('\nLot pins')
+
+  test('rolling back an upload drops the pins on its trades, and only those', () => {
+    const buys = upload('may-buys.csv', { uploadDate: '2026-05-02', trades: [trade({ date: '2026-04-15' })] })
+    const sells = upload('may-sells.csv', {
+      uploadDate: '2026-05-03',
+      trades: [trade({ date: '2026-05-01', isBuy: false, transCode: 'Sell', quantity: 5, price: 110, amount: 550 })],
+    })
+    const byBatch = (b) => rows('trades').find(t => t.batch_id === b).id
+    const march = rows('trades').find(t => t.symbol === 'AAPL' && t.batch_id === first).id
+    const sell = byBatch(sells)
+    const { rejected } = databaseService.setLotPins(userId, sell, [
+      { buyTradeId: march, quantity: 2 },
+      { buyTradeId: byBatch(buys), quantity: 3 },
+    ])
+    assert.deepEqual(rejected, [])
+
+    const result = quiet(() => databaseService.rollbackImportBatch(userId, buys))
+    assert.equal(result.removed.lot_pins, 1)
+    assert.deepEqual(databaseService.getLotPins(userId), [{ sellTradeId: sell, buyTradeId: march, quantity: 2 }])
+
+    quiet(() => databaseService.rollbackImportBatch(userId, sells))
+    assert.deepEqual(databaseService.getLotPins(userId), [])
+  })
+
+  console.log('\nIsolation')
+
+  test('another user cannot roll back this user\'s upload', () => {
+    assert.equal(databaseService.rollbackImportBatch(2, first), null)
+    assert.equal(rows('trades').length, 2)
+  })
+
+  test('rolling back one broker\'s upload leaves another broker\'s rows', () => {
+    const schwab = upload('schwab.csv', { uploadDate: '2026-03-05', broker: 'schwab', trades: [trade({ symbol: 'AMD', date: '2026-03-04' })] })
+    quiet(() => databaseService.rollbackImportBatch(userId, first))
+    const left = rows('trades')
+    assert.deepEqual(left.map(t => t.symbol), ['AMD'])
+    assert.equal(left[0].batch_id, schwab)
+    assert.equal(rows('deposits').length, 0)
+    assert.equal(rows('dividends_interest').length, 0)
+    assert.equal(rows('share_transfers').length, 0)
+  })
+
+  console.log(`\n${passed} passed\n`)
+} catch (e) {
+  console.error('\nTest harness error:', e)
+  process.exitCode = 1
+} finally {
+  await cleanup()
+  setTimeout(() => process.exit(process.exitCode || 0), 250)
+}
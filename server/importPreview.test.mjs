@@ -0,0 +1,171 @@
+/**
+ * Upload dry run and the save it previews.
+ * Run: node server/importPreview.test.mjs
+ *
+ * Re-uploading an overlapping export used to be silent: duplicates were
+ * skipped, but a row the broker had revised was written NEXT TO the old one
+ * (double-counting it), and nothing said what had changed. The preview has to
+ * describe exactly what saveTrades then does, so both are tested together.
+ */
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'node:url'
+import { dirname, join } from 'node:path'
+import fs from 'node:fs'
+import { diffTrades, changesAnything } from './services/importDiff.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const TMP_DB = join(__dirname, `test_import_${process.pid}.db`)
+process.env.DATABASE_PATH = TMP_DB
+process.env.NODE_ENV = 'test'
+
+let passed = 0
+const test = (name, fn) => {
+  try { fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+
+const cleanup = async () => {
+  try {
+    const { getDatabase } = await import('./services/database.js')
+    getDatabase()?.close()
+  } catch {}
+  for (const f of [TMP_DB, `${TMP_DB}-wal`, `${TMP_DB}-shm`]) {
+    try { fs.existsSync(f) && fs.unlinkSync(f) } catch {}
+  }
+}
+
+const trade = (o) => ({
+  symbol: 'AAPL', isOption: false, quantity: 10, price: 100, amount: 1000,
+  isBuy: true, date: '2026-03-02', transCode: 'Buy', ...o,
+})
+
+console.log('\nDiff')
+
+test('identical fills are matched one for one, not as a set', () => {
+  const stored = [{ trans_date: '2026-03-02', trans_code: 'Buy', symbol: 'AAPL', quantity: 10, price: 100, amount: 1000 }]
+  const d = diffTrades([trade({}), trade({})], stored)
+  assert.equal(d.duplicates.length, 1)
+  assert.equal(d.added.length, 1, 'the second identical fill is a real second trade')
+})
+
+test('a changed amount on the same fill is a conflict, not a new row', () => {
+  const stored = [{ trans_date: '2026-03-02', trans_code: 'Buy', symbol: 'AAPL', quantity: 10, price: 100, amount: 1000 }]
+  const d = diffTrades([trade({ amount: 1000.65 })], stored)
+  assert.equal(d.added.length, 0)
+  assert.equal(d.conflicts.length, 1)
+  assert.equal(d.conflicts[0].existing.amount, 1000)
+})
+
+test('stored rows outside the dates the file covers are not missing', () => {
+  const stored = [
+    { trans_date: '2026-01-05', trans_code: 'Buy', symbol: 'MSFT', quantity: 1, price: 400, amount: 400 },
+    { trans_date: '2026-03-02', trans_code: 'Sell', symbol: 'MSFT', quantity: 1, price: 410, amount: 410 },
+  ]
+  const d = diffTrades([trade({}), trade({ date: '2026-03-09' })], stored)
+  assert.equal(d.missing.length, 1)
+  assert.equal(d.missing[0].trans_date, '2026-03-02')
+  assert.deepEqual(d.window, { from: '2026-03-02', to: '2026-03-09' })
+})
+
+try {
+  const { databaseService, getDatabase } = await import('./services/database.js')
+  const db = getDatabase()
+  const userId = 1
+  const count = () => db.prepare('SELECT COUNT(*) AS n FROM trades WHERE user_id = ?').get(userId).n
+  const quiet = (fn) => { const log = console.log; console.log = () => {}; try { return fn() } finally { console.log = log } }
+
+  const first = [
+    trade({}),
+    trade({ date: '2026-03-03', symbol: 'MSFT', quantity: 2, price: 400, amount: 800 }),
+  ]
+  quiet(() => databaseService.saveTrades(first, '2026-03-03', [{ date: '2026-03-01', amount: 5000 }], 5000, userId, 'robinhood'))
+
+  console.log('\nPreview against stored rows')
+
+  test('the preview writes nothing', () => {
+    const before = count()
+    databaseService.previewImport({ trades: [...first, trade({ date: '2026-03-04', symbol: 'NVDA' })], uploadDate: '2026-03-04', userId, broker: 'robinhood' })
+    assert.equal(count(), before)
+  })
+
+  test('re-uploading the same file is all duplicates', () => {
+    const p = databaseService.previewImport({
+      trades: first, deposits: [{ date: '2026-03-01', amount: 5000 }], uploadDate: '2026-03-03', userId, broker: 'robinhood',
+    })
+    assert.equal(p.trades.added.length, 0)
+    assert.equal(p.trades.duplicates, 2)
+    assert.equal(p.deposits.duplicates, 1)
+    assert.equal(changesAnything(p), false, 'nothing to record an import batch for')
+    quiet(() => databaseService.saveTrades(first, '2026-03-03', [], 0, userId, 'robinhood'))
+    assert.equal(count(), 2, 'a second save of the same rows changed the table')
+  })
+
+  test('another broker\'s rows are not compared against', () => {
+    const p = databaseService.previewImport({ trades: first, uploadDate: '2026-03-03', userId, broker: 'schwab' })
+    assert.equal(p.trades.added.length, 2)
+    assert.equal(changesAnything(p), true)
+  })
+
+  console.log('\nA later, overlapping export')
+
+  const later = [
+    trade({}),
+    trade({ date: '2026-03-03', symbol: 'MSFT', quantity: 2, price: 400, amount: 800.02 }),   // fee revised
+    trade({ date: '2026-03-04', symbol: 'NVDA', quantity: 5, price: 120, amount: 600 }),
+  ]
+
+  test('the preview sorts new, duplicate and revised rows', () => {
+    const p = databaseService.previewImport({ trades: later, uploadDate: '2026-03-04', userId, broker: 'robinhood' })
+    assert.equal(p.trades.added.length, 1)
+    assert.equal(p.trades.added[0].symbol, 'NVDA')
+    assert.equal(p.trades.duplicates, 1)
+    assert.equal(p.trades.conflicts.length, 1)
+    assert.equal(p.trades.conflicts[0].incoming.amount, 800.02)
+    assert.equal(p.trades.conflicts[0].existing.amount, 800)
+  })
+
+  test('saving it does what the preview said: the revision replaces, not doubles', () => {
+    quiet(() => databaseService.saveTrades(later, '2026-03-04', [], 0, userId, 'robinhood'))
+    const msft = db.prepare(`SELECT amount FROM trades WHERE symbol = 'MSFT' AND user_id = ?`).all(userId)
+    assert.deepEqual(msft.map(r => r.amount), [800.02])
+    assert.equal(count(), 3)
+  })
+
+  test('a row gone from a later file is reported and kept', () => {
+    const p = databaseService.previewImport({ trades: [later[2]], uploadDate: '2026-03-05', userId, broker: 'robinhood' })
+    // Only NVDA's day is covered by this file, so AAPL/MSFT aren't "missing".
+    assert.equal(p.trades.missing.length, 0)
+    const wide = databaseService.previewImport({
+      trades: [trade({ date: '2026-03-02', symbol: 'AAPL' }), later[2]], uploadDate: '2026-03-05', userId, broker: 'robinhood',
+    })
+    assert.equal(wide.trades.missing.length, 1)
+    assert.equal(wide.trades.missing[0].symbol, 'MSFT')
+    assert.equal(wide.trades.missing[0].willRemove, false, 'an earlier upload is not deleted by a later one')
+  })
+
+  test('a corrected copy of the same export date drops the row it no longer has', () => {
+    const p = databaseService.previewImport({ trades: [trade({ date: '2026-03-02' }), trade({ date: '2026-03-04', symbol: 'TSLA', quantity: 1, price: 250, amount: 250 })], uploadDate: '2026-03-04', userId, broker: 'robinhood' })
+    const nvda = p.trades.missing.find(r => r.symbol === 'NVDA')
+    assert.equal(nvda.willRemove, true)
+  })
+
+  test('a deposit already stored from an earlier export is not stored again', () => {
+    const deposits = () => db.prepare('SELECT deposit_date, amount FROM deposits WHERE user_id = ? ORDER BY deposit_date').all(userId)
+    quiet(() => databaseService.saveTrades([], '2026-03-06', [{ date: '2026-03-01', amount: 5000 }], 5000, userId, 'robinhood'))
+    const file = [{ date: '2026-03-01', amount: 5000 }, { date: '2026-03-04', amount: 250 }]
+    const p = databaseService.previewImport({ trades: [], deposits: file, uploadDate: '2026-03-07', userId, broker: 'robinhood' })
+    assert.deepEqual(p.deposits, { added: 1, duplicates: 1 })
+    quiet(() => databaseService.saveTrades([], '2026-03-07', file, 5250, userId, 'robinhood'))
+    assert.deepEqual(deposits().map(r => [r.deposit_date, r.amount]), [['2026-03-01', 5000], ['2026-03-04', 250]])
+    quiet(() => databaseService.saveTrades([], '2026-03-07', file, 5250, userId, 'robinhood'))
+    assert.equal(deposits().length, 2, 'saving the same file again changed the deposits')
+  })
+
+  console.log(`\n${passed} passed\n`)
+} catch (e) {
+  console.error('\nTest harness error:', e)
+  process.exitCode = 1
+} finally {
+  await cleanup()
+  setTimeout(() => process.exit(process.exitCode || 0), 250)
+}
@@ -9,6 +9,7 @@ import { PriceService } from './services/priceService.js'
 import { SignalService } from './services/signalService.js'
 import { PolygonService } from './services/polygonService.js'
 import { databaseService, dbPath, VOLUME_CANDIDATES } from './services/database.js'
+import { changesAnything } from './services/importDiff.js'
 import { authService } from './services/auth.js'
 import { supportResistanceService } from './services/supportResistanceService.js'
 import { emaAlertService } from './services/emaAlertService.js'
@@ -22,11 +23,32 @@ import axios from 'axios'
 import { parseOptionDescription, toPolygonTicker, calcPremiumLeft, toYahooOptionTicker } from './utils/optionUtils.js'
 import { calculateRSI, calculateEMA, calculateStochastic } from './services/technicalAnalysis.js'
 import { RISK_FREE_RATE, bsCall, impliedVol, impliedVolCall, repriceFromClose } from './utils/blackScholes.js'
+import { buildValueSeries, combineSeries, periodReturns } from './utils/returns.js'
+import { simulateBenchmark, compareToBenchmark } from './utils/benchmark.js'
+import { yearsToExpiry, dailyBeta, positionGreeks, aggregateGreeks } from './utils/portfolioGreeks.js'
+import { groupStrategies, buildLegs } from './utils/optionStrategies.js'
+import { buildCampaigns } from './utils/wheel.js'
+import { assignmentWarnings, parseNasdaqDividends, RISK_DEFAULTS } from './utils/assignmentRisk.js'
+import { isExternalCash } from './utils/cashLedger.js'
+import { cashEvents, reconcileMonths } from './utils/reconciliation.js'
 import { parseWebullOrders } from './services/webullParser.js'
 import { parseSchwabTransactions } from './services/schwabParser.js'
+import { parseFidelityHistory } from './services/fidelityParser.js'
+import { parseEtradeTransactions } from './services/etradeParser.js'
+import { parseIbkrFlexQuery } from './services/ibkrParser.js'
 
 // Brokers whose exports we can parse. Adding one means a parser + a tab.
-const SUPPORTED_BROKERS = ['robinhood', 'webull', 'schwab']
+const SUPPORTED_BROKERS = ['robinhood', 'webull', 'schwab', 'fidelity', 'etrade', 'ibkr']
+
+// Transaction-history exports: trades, income and cash movements in one file,
+// all returning the Schwab parser's shape. Keyed by broker, with the name used
+// in messages.
+const TRANSACTION_PARSERS = {
+  schwab: { label: 'Schwab', parse: parseSchwabTransactions },
+  fidelity: { label: 'Fidelity', parse: parseFidelityHistory },
+  etrade: { label: 'E*TRADE', parse: parseEtradeTransactions },
+  ibkr: { label: 'Interactive Brokers', parse: parseIbkrFlexQuery },
+}
 
 // Best current per-share mark from a Polygon option snapshot.
 // Priority: live quote midpoint → a trade that actually happened TODAY → the daily
@@ -488,21 +510,26 @@ io.on('connection', (socket) => {
   // Handle CSV upload via socket
   socket.on('upload-csv', async (data) => {
     try {
-      // broker defaults to robinhood so existing clients keep working unchanged
-      const { csvContent, broker = 'robinhood' } = data
+      // broker defaults to robinhood so existing clients keep working unchanged.
+      // dryRun parses and diffs against what's stored, answers on csv-preview,
+      // and writes nothing — the client confirms by sending the file again.
+      const { csvContent, broker = 'robinhood', dryRun = false, fileName = null } = data
+      const reply = dryRun ? 'csv-preview' : 'csv-processed'
       if (!SUPPORTED_BROKERS.includes(broker)) {
-        socket.emit('csv-processed', { success: false, error: `Unknown broker "${broker}"` })
+        socket.emit(reply, { success: false, error: `Unknown broker "${broker}"` })
         return
       }
 
-      console.log(`Processing ${broker} CSV for client ${socket.id}`)
+      console.log(`${dryRun ? 'Previewing' : 'Processing'} ${broker} CSV for client ${socket.id}`)
 
-      // Parse trades, dividends/interest, and deposits
+      // Parse trades, dividends/interest, deposits and the rest of the cash
       let trades, dividendsAndInterest, deposits = [], totalPrincipal = 0
+      let cashLedger = []
       let importWarnings = []
       // Share journals: moved, not traded. Parsed all along and then dropped,
       // which left per-broker P&L half-counted at both ends.
       let shareTransfers = []
+      let splits = []
       if (broker === 'webull') {
         // Webull's orders export carries no cash movements, so there are no
         // deposits or dividends to pull out of it.
@@ -512,31 +539,65 @@ io.on('connection', (socket) => {
         importWarnings = parsed.warnings
         if (importWarnings.length) console.log(`Webull parser warnings: ${importWarnings.join(' | ')}`)
         if (!trades.length) {
-          socket.emit('csv-processed', { success: false, error: 'No filled orders found in that Webull export. Check that the export includes filled orders.' })
+          socket.emit(reply, { success: false, error: 'No filled orders found in that Webull export. Check that the export includes filled orders.' })
           return
         }
-      } else if (broker === 'schwab') {
-        // Schwab's transactions export carries dividends, interest and cash
-        // transfers alongside trades, so it feeds all three paths.
-        const parsed = parseSchwabTransactions(csvContent)
+      } else if (TRANSACTION_PARSERS[broker]) {
+        // Schwab, Fidelity, E*TRADE and IBKR exports carry dividends, interest
+        // and cash transfers alongside trades, so they feed all three paths.
+        const { label, parse } = TRANSACTION_PARSERS[broker]
+        const parsed = parse(csvContent)
         trades = parsed.trades
         dividendsAndInterest = parsed.dividendsAndInterest
         deposits = parsed.deposits
+        cashLedger = parsed.cashLedger || []
         totalPrincipal = parsed.totalPrincipal
         shareTransfers = parsed.transfers || []
         importWarnings = parsed.warnings
-        if (importWarnings.length) console.log(`Schwab parser warnings: ${importWarnings.join(' | ')}`)
+        splits = parsed.splits || []
+        if (importWarnings.length) console.log(`${label} parser warnings: ${importWarnings.join(' | ')}`)
         if (!trades.length && !dividendsAndInterest.length) {
-          socket.emit('csv-processed', { success: false, error: 'No transactions found in that Schwab export.' })
+          socket.emit(reply, { success: false, error: `No transactions found in that ${label} export.` })
           return
         }
       } else {
         ;({ trades, dividendsAndInterest } = await parseTrades(csvContent))
-        ;({ deposits, totalPrincipal } = await parseDeposits(csvContent))
+        ;({ deposits, cashLedger, totalPrincipal } = await parseDeposits(csvContent))
       }
       trades.forEach(t => { t.broker = broker })
       shareTransfers.forEach(t => { t.broker = broker })
 
+      // Find the latest trade date for asof_date
+      const latestTradeDate = trades.reduce((latest, trade) => {
+        const tradeDate = new Date(trade.date)
+        return tradeDate > latest ? tradeDate : latest
+      }, new Date(0))
+
+      // Debug: Log the latest trade date details
+      console.log('🔍 Latest trade date object:', latestTradeDate)
+      console.log('🔍 Date components:', {
+        year: latestTradeDate.getFullYear(),
+        month: latestTradeDate.getMonth() + 1,
+        day: latestTradeDate.getDate(),
+        hours: latestTradeDate.getHours(),
+        timezone: latestTradeDate.getTimezoneOffset()
+      })
+
+      // Format as YYYY-MM-DD without timezone conversion
+      const year = latestTradeDate.getFullYear()
+      const month = String(latestTradeDate.getMonth() + 1).padStart(2, '0')
+      const day = String(latestTradeDate.getDate()).padStart(2, '0')
+      const asofDate = `${year}-${month}-${day}`
+      console.log('🔍 Final asofDate:', asofDate)
+
+      if (dryRun) {
+        const diff = databaseService.previewImport({
+          trades, deposits, shareTransfers, uploadDate: asofDate, userId: user.userId, broker,
+        })
+        socket.emit('csv-preview', { success: true, data: { broker, diff, importWarnings } })
+        return
+      }
+
       // Get unique stock symbols
       const allSymbols = [...new Set(trades.map(t => t.symbol))]
       const stockSymbols = allSymbols.filter(s => {
@@ -563,37 +624,32 @@ io.on('connection', (socket) => {
       stockSymbols.forEach(symbol => trackedSymbols.add(symbol))
       console.log(`Now tracking ${trackedSymbols.size} symbols for database recording`)
 
-      // Find the latest trade date for asof_date
-      const latestTradeDate = trades.reduce((latest, trade) => {
-        const tradeDate = new Date(trade.date)
-        return tradeDate > latest ? tradeDate : latest
-      }, new Date(0))
-
-      // Debug: Log the latest trade date details
-      console.log('🔍 Latest trade date object:', latestTradeDate)
-      console.log('🔍 Date components:', {
-        year: latestTradeDate.getFullYear(),
-        month: latestTradeDate.getMonth() + 1,
-        day: latestTradeDate.getDate(),
-        hours: latestTradeDate.getHours(),
-        timezone: latestTradeDate.getTimezoneOffset()
-      })
-
-      // Format as YYYY-MM-DD without timezone conversion
-      const year = latestTradeDate.getFullYear()
-      const month = String(latestTradeDate.getMonth() + 1).padStart(2, '0')
-      const day = String(latestTradeDate.getDate()).padStart(2, '0')
-      const asofDate = `${year}-${month}-${day}`
-      console.log('🔍 Final asofDate:', asofDate)
 
       // Save trades and deposits to database immediately (don't wait for prices)
+      // Everything this upload writes is tagged with one batch id, so it can be
+      // rolled back on its own later (DELETE /api/import-batches/:id). A file
+      // that is all duplicates gets none, so the history has no empty upload.
+      let batchId = null
       try {
-        databaseService.saveTrades(trades, asofDate, deposits, totalPrincipal, user.userId, broker)
+        const diff = databaseService.previewImport({
+          trades, deposits, shareTransfers, uploadDate: asofDate, userId: user.userId, broker,
+        })
+        if (changesAnything(diff)) batchId = databaseService.createImportBatch(user.userId, broker, fileName)
+        databaseService.saveTrades(trades, asofDate, deposits, totalPrincipal, user.userId, broker, batchId)
         if (shareTransfers.length) {
-          const n = databaseService.saveShareTransfers(user.userId, shareTransfers)
+          const n = databaseService.saveShareTransfers(user.userId, shareTransfers, batchId)
           console.log(`↔ recorded ${n} share transfer(s) for ${broker}`)
         }
+        databaseService.saveDividendsAndInterest(user.userId, dividendsAndInterest, broker, batchId)
+        databaseService.saveCashLedger(user.userId, cashLedger, broker, batchId)
+        const dripTagged = databaseService.tagDripTrades(user.userId)
+        if (dripTagged) console.log(`🔁 tagged ${dripTagged} dividend reinvestment buy(s)`)
         console.log(`💾 Saved ${trades.length} trades and ${deposits.length} deposits to database for ${asofDate} (user: ${user.userId})`)
+        // IBKR reports splits in the same statement as the trades. Recorded
+        // under their own source so the Yahoo reconcile never removes them.
+        for (const s of splits) {
+          databaseService.saveSplit(s.symbol, s.date, s.ratio, broker)
+        }
       } catch (error) {
         console.error('Error saving trades:', error)
       }
@@ -657,6 +713,7 @@ io.on('connection', (socket) => {
           currentPrices: initialPrices,
           asofDate,
           uploadDate: asofDate,
+          batchId,
           madeUpGroundDate: weekAgoDate,
           // Parser notes worth showing — e.g. a share journal with no cost basis
           importWarnings,
@@ -724,7 +781,7 @@ io.on('connection', (socket) => {
 
     } catch (error) {
       console.error('Error processing CSV:', error)
-      socket.emit('csv-processed', {
+      socket.emit(data?.dryRun ? 'csv-preview' : 'csv-processed', {
         success: false,
         error: error.message
       })
@@ -741,7 +798,7 @@ io.on('connection', (socket) => {
     // Recalculate P&L with manual price
     const prices = { ...priceService.getCurrentPrices(), ...session.manualPrices }
     const adjustedTrades = applysplits(session.trades, session.splitAdjustments)
-    let pnlData = calculatePnL(adjustedTrades, prices, true, null, null, session.dividendsAndInterest || [])
+    let pnlData = calculatePnL(adjustedTrades, prices, true, null, null, session.dividendsAndInterest || [], borrowRatesFor(session.userId))
 
     // Enrich with Made Up Ground
     console.log('🔍 [SOCKET EVENT] Checking for Made Up Ground enrichment')
@@ -770,7 +827,7 @@ io.on('connection', (socket) => {
     // Recalculate P&L with splits
     const prices = { ...priceService.getCurrentPrices(), ...session.manualPrices }
     const adjustedTrades = applysplits(session.trades, session.splitAdjustments)
-    let pnlData = calculatePnL(adjustedTrades, prices, true, null, null, session.dividendsAndInterest || [])
+    let pnlData = calculatePnL(adjustedTrades, prices, true, null, null, session.dividendsAndInterest || [], borrowRatesFor(session.userId))
 
     // Enrich with Made Up Ground
     console.log('🔍 [SOCKET EVENT] Checking for Made Up Ground enrichment')
@@ -1206,7 +1263,7 @@ io.on('connection', (socket) => {
         trades,
         deposits,
         totalPrincipal,
-        dividendsAndInterest: [], // TODO: Load from database
+        dividendsAndInterest: databaseService.getDividendsAndInterest(user.userId),
         stockSymbols,
         splitAdjustments: {},
         manualPrices: {},
@@ -1526,6 +1583,12 @@ function applysplits(trades, splits) {
   })
 }
 
+// The user's borrow fee schedules for shorted stock ({ SYMBOL: [{ from, rate }] },
+// see utils/shortSales.js), for calculatePnL.
+function borrowRatesFor(userId) {
+  return (userId && databaseService.getPreferences(userId).borrowRates) || {}
+}
+
 // Helper function to enrich P&L data with Made Up Ground calculation
 // Formula: (today real PNL - 1 week ago real pnl) - (1 week ago quantity * (today price - 1 week ago price))
 function enrichWithMadeUpGround(currentPnL, weekAgoSnapshot) {
@@ -1687,7 +1750,7 @@ setInterval(async () => {
 
         // Recalculate P&L with new prices
         const adjustedTrades = applysplits(session.trades, session.splitAdjustments)
-        let pnlData = calculatePnL(adjustedTrades, prices, true, null, null, session.dividendsAndInterest || [])
+        let pnlData = calculatePnL(adjustedTrades, prices, true, null, null, session.dividendsAndInterest || [], borrowRatesFor(session.userId))
 
         // Enrich with Made Up Ground if we have historical data
         console.log(`  🔍 About to check enrichment: weekAgoSnapshot.length = ${weekAgoSnapshot.length}`)
@@ -1731,7 +1794,7 @@ setInterval(async () => {
         console.log(`📊 Active session detected, updating snapshot for ${todayDate} (user: ${firstSession.userId})`)
         const prices = { ...updatedPrices, ...firstSession.manualPrices }
         const adjustedTrades = applysplits(firstSession.trades, firstSession.splitAdjustments)
-        const pnlData = calculatePnL(adjustedTrades, prices, true, null, null, firstSession.dividendsAndInterest || [])
+        const pnlData = calculatePnL(adjustedTrades, prices, true, null, null, firstSession.dividendsAndInterest || [], borrowRatesFor(firstSession.userId))
 
         databaseService.savePnLSnapshot(todayDate, pnlData, firstSession.userId)
         console.log('✅ Snapshot saved successfully')
@@ -2782,18 +2845,18 @@ app.get('/api/options-pnl/ytd', requireAuth, async (req, res) => {
     // the original figures, so it stays on them and the Dashboard asks for the
     // corrected tally instead — the two legitimately differ.
     const stockPositions = databaseService.getStockPositionsWithCost(
-      userId, asOf, brokerFilter, corrected ? 'fifo' : 'average')
+      userId, asOf, brokerFilter, corrected ? 'elected' : 'average')
     const stockCostOverrides = databaseService.getCostOverrides(userId, brokerFilter)
     const stockRealized = databaseService.getStockRealizedPnL(userId, stockCostOverrides, asOf)
 
     // Rows so far come only from option activity, so a stock held without any
     // options never appeared at all. Add those as stock-only rows.
-    // getStockPositionsWithCost already filters to HAVING position > 0, so this
-    // can only introduce currently-held names — sold-out tickers never appear
-    // and the panel doesn't accumulate history.
+    // getStockPositionsWithCost only returns open positions — shares held, or
+    // short (negative) — so this can only introduce current names: sold-out
+    // tickers never appear and the panel doesn't accumulate history.
     Object.keys(stockPositions).forEach(ticker => {
       if (byUnderlying[ticker]) return
-      if (!(stockPositions[ticker]?.position > 0)) return
+      if (!stockPositions[ticker]?.position) return
       byUnderlying[ticker] = {
         ticker, startDate: perSymbolDates[ticker] || globalStart,
         realizedShortCalls: 0, realizedLongCalls: 0,
@@ -2859,7 +2922,7 @@ app.get('/api/options-pnl/ytd', requireAuth, async (req, res) => {
         const dc = dailyChange[e.ticker]
         // Today's mark-to-market move (EOD close → now): shares × stock day move +
         // the option side accumulated above (contracts × 100 × option day move).
-        const dayStockPnl = (sp && sp.position > 0 && dc && dc.prevClose > 0)
+        const dayStockPnl = (sp?.position && dc && dc.prevClose > 0)
           ? r2(sp.position * (dc.current - dc.prevClose)) : null
         const dayOptionPnl = openDailyByTicker[e.ticker] != null ? r2(openDailyByTicker[e.ticker]) : null
         // A day is only reportable when every side of the position is in it.
@@ -2869,7 +2932,7 @@ app.get('/api/options-pnl/ytd', requireAuth, async (req, res) => {
         // gain — so the column read positive against a broker's -2,200. A
         // missing half is not a small error in a total, it is a different
         // number. Report nothing and say why instead.
-        const missingStockDay = (!!(sp && sp.position > 0) && dayStockPnl == null)
+        const missingStockDay = (!!sp?.position && dayStockPnl == null)
           || dayGapTickers.has(e.ticker)
         const dayPnl = missingStockDay ? null
           : (dayStockPnl != null || dayOptionPnl != null)
@@ -2877,7 +2940,7 @@ app.get('/api/options-pnl/ytd', requireAuth, async (req, res) => {
         // Only surface realized stock P&L for CLOSED positions (no open shares) — e.g. JPM.
         // Open positions keep showing just their unrealized (open-share) gain, as before, so
         // active names aren't inflated by all-time realized gains.
-        const isOpen = sp && sp.position > 0
+        const isOpen = !!sp?.position
         return {
           ...e,
           // True when this row has option activity in the window; false for the
@@ -2911,6 +2974,9 @@ app.get('/api/options-pnl/ytd', requireAuth, async (req, res) => {
           }, {}),
           stockPosition: sp?.position ?? null,
           stockAvgCost: sp?.avgCost ?? null,
+          // Net short: the position is negative and the avg cost is the price
+          // the shares were sold short at, so the P&L below still reads right.
+          stockShort: !!sp?.short,
           stockCurrentPrice: cp,
           // Manual avg-cost overrides are honoured here. They were applied only
           // in the Positions panel's own render, so every other consumer — the
@@ -3263,6 +3329,14 @@ app.get('/api/account-pnl', requireAuth, async (req, res) => {
       transferDetail[t.symbol] = round2((transferDetail[t.symbol] || 0) + signed)
     })
 
+    // Fees, margin interest and the rest of the cash that left (or arrived)
+    // with no trade behind it. Deposits and withdrawals aren't P&L, so only the
+    // internal side of the ledger counts.
+    const charges = databaseService.getCashLedger(userId, brokerFilter).filter(e => !isExternalCash(e.type))
+    const cashCharges = charges.reduce((s, e) => s + e.amount, 0)
+    const cashChargeDetail = {}
+    charges.forEach(e => { cashChargeDetail[e.type] = round2((cashChargeDetail[e.type] || 0) + e.amount) })
+
     res.json({
       success: true,
       stockCashFlow: round2(stockCash),
@@ -3272,10 +3346,12 @@ app.get('/api/account-pnl', requireAuth, async (req, res) => {
       transferValue: round2(transferValue),
       transferCount: transfers.length,
       transferDetail,
+      cashCharges: round2(cashCharges),
+      cashChargeDetail,
       // Add the signed market value of open contracts to this for the account
       // total: long positions are worth what they'd sell for, short ones cost
       // that much to buy back.
-      subtotalExcludingOpenOptions: round2(stockCash + stockMarketValue + optionCash + transferValue),
+      subtotalExcludingOpenOptions: round2(stockCash + stockMarketValue + optionCash + transferValue + cashCharges),
       positionCount: symbols.length,
       unpricedSymbols: unpriced,
     })
@@ -3285,6 +3361,197 @@ app.get('/api/account-pnl', requireAuth, async (req, res) => {
   }
 })
 
+// ─── Returns ─────────────────────────────────────────────────────────────────
+// Each broker's daily value series, built from the snapshot marks. Shared by
+// the returns and benchmark routes so the two are measuring the same account.
+function accountSeries(userId, brokerFilter) {
+  const { dates, prices } = databaseService.getSnapshotPrices(userId)
+  const trades = databaseService.getAllTradesForUser(userId)
+  // Fees and margin interest come out of the cash like income goes into it;
+  // withdrawals are already in the external flows.
+  const income = [
+    ...databaseService.getDividendsAndInterest(userId),
+    ...databaseService.getCashLedger(userId).filter(e => !isExternalCash(e.type)),
+  ]
+  const deposits = databaseService.getExternalFlows(userId)
+  const brokers = brokerFilter
+    ? [brokerFilter]
+    : [...new Set([...databaseService.getBrokersForUser(userId).map(b => b.broker), ...deposits.map(d => d.broker)])]
+  const perBroker = Object.fromEntries(brokers.map(broker => [broker, buildValueSeries({
+    dates,
+    prices,
+    trades: trades.filter(t => t.broker === broker),
+    income: income.filter(i => (i.broker || 'robinhood') === broker),
+    deposits: deposits.filter(d => d.broker === broker),
+  })]))
+  return { dates, perBroker, combined: combineSeries(Object.values(perBroker)) }
+}
+
+// Time-weighted and money-weighted returns per broker and combined, over the
+// standard periods. See utils/returns.js for how the daily account values are
+// rebuilt from the snapshots and where they fall short.
+app.get('/api/returns', requireAuth, (req, res) => {
+  try {
+    const brokerFilter = req.query.broker && req.query.broker !== 'all' ? req.query.broker : null
+    const round2 = n => Math.round(n * 100) / 100
+    const { dates, perBroker, combined } = accountSeries(req.user.userId, brokerFilter)
+    const summarize = (series) => ({
+      asOf: series.points.at(-1)?.date || null,
+      startDate: series.flows[0]?.date || null,
+      endValue: round2(series.points.at(-1)?.value || 0),
+      contributions: round2(series.contributions),
+      impliedFunding: round2(series.impliedFunding),
+      unpricedSymbols: series.unpriced,
+      periods: periodReturns(series),
+      points: series.points.map(p => ({ date: p.date, value: round2(p.value), flow: round2(p.flow) })),
+    })
+
+    res.json({
+      success: true,
+      snapshotCount: dates.length,
+      brokers: Object.fromEntries(Object.entries(perBroker).map(([b, s]) => [b, summarize(s)])),
+      combined: summarize(combined),
+    })
+  } catch (e) {
+    console.error('Error in /api/returns:', e.message)
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+// The same account had every dollar gone into an index instead. See
+// utils/benchmark.js.
+app.get('/api/benchmark', requireAuth, async (req, res) => {
+  try {
+    const symbol = String(req.query.symbol || 'SPY').trim().toUpperCase()
+    if (!/^[A-Z^][A-Z0-9.\-]{0,9}$/.test(symbol)) {
+      return res.status(400).json({ success: false, error: 'Invalid benchmark symbol' })
+    }
+    const brokerFilter = req.query.broker && req.query.broker !== 'all' ? req.query.broker : null
+    const round2 = n => Math.round(n * 100) / 100
+    const round4 = n => (n == null ? null : Math.round(n * 10000) / 10000)
+    const { combined } = accountSeries(req.user.userId, brokerFilter)
+    if (!combined.points.length) {
+      return res.json({ success: true, symbol, comparison: null })
+    }
+
+    // Smallest Yahoo range that reaches back to the first flow.
+    const first = combined.flows[0]?.date || combined.points[0].date
+    const daysBack = Math.round((Date.now() - new Date(first + 'T00:00:00Z').getTime()) / 86400000)
+    const range = daysBack < 25 ? '1mo' : daysBack < 80 ? '3mo' : daysBack < 175 ? '6mo'
+      : daysBack < 360 ? '1y' : daysBack < 720 ? '2y' : daysBack < 1800 ? '5y' : 'max'
+    let closes
+    try {
+      closes = await priceService.fetchHistoricalPrices(symbol, range, '1d')
+    } catch (e) {
+      return res.status(502).json({ success: false, error: `Could not fetch ${symbol} history: ${e.message}` })
+    }
+
+    const benchmark = simulateBenchmark(combined.flows, closes, combined.points.map(p => p.date))
+    const c = compareToBenchmark(combined.points, benchmark)
+    res.json({
+      success: true,
+      symbol,
+      comparison: c && {
+        ...c,
+        accountReturn: round4(c.accountReturn),
+        benchmarkReturn: round4(c.benchmarkReturn),
+        trackingDifference: round4(c.trackingDifference),
+        beta: round4(c.beta),
+        alpha: round4(c.alpha),
+        correlation: round4(c.correlation),
+        maxDrawdown: round4(c.maxDrawdown),
+        benchmarkMaxDrawdown: round4(c.benchmarkMaxDrawdown),
+        relativeMaxDrawdown: round4(c.relativeMaxDrawdown),
+        curve: c.curve.map(p => ({ date: p.date, value: round2(p.value), benchmark: round2(p.benchmark), pnl: round2(p.pnl), benchmarkPnL: round2(p.benchmarkPnL) })),
+      },
+    })
+  } catch (e) {
+    console.error('Error in /api/benchmark:', e.message)
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+// ─── Reconciliation ──────────────────────────────────────────────────────────
+// The cash every import adds up to, month by month per broker, against the
+// statement balances the user entered. See utils/reconciliation.js.
+app.get('/api/reconciliation', requireAuth, (req, res) => {
+  try {
+    const userId = req.user.userId
+    const brokerFilter = req.query.broker && req.query.broker !== 'all' ? req.query.broker : null
+    const round2 = n => (n == null ? null : Math.round(n * 100) / 100)
+    const trades = databaseService.getAllTradesForUser(userId)
+    const income = databaseService.getDividendsAndInterest(userId)
+    const deposits = databaseService.getExternalFlows(userId)
+    const ledger = databaseService.getCashLedger(userId)
+    const transfers = databaseService.getShareTransfers(userId).map(t => ({ ...t, date: t.transfer_date }))
+    const statements = databaseService.getStatementBalances(userId)
+    const prices = databaseService.getSnapshotPrices(userId)
+    const brokers = brokerFilter ? [brokerFilter] : [...new Set([
+      ...databaseService.getBrokersForUser(userId).map(b => b.broker),
+      ...deposits.map(d => d.broker),
+      ...statements.map(s => s.broker),
+    ])]
+
+    const result = {}
+    for (const broker of brokers) {
+      const own = x => (x.broker || 'robinhood') === broker
+      const brokerTrades = trades.filter(own)
+      const months = reconcileMonths({
+        events: cashEvents({ trades: brokerTrades, deposits: deposits.filter(own), income: income.filter(own), ledger: ledger.filter(own) }),
+        trades: brokerTrades,
+        transfers: transfers.filter(own),
+        statements: statements.filter(own),
+        prices,
+      })
+      result[broker] = months.map(m => ({
+        ...m,
+        opening: round2(m.opening),
+        activity: Object.fromEntries(Object.entries(m.activity).map(([k, v]) => [k, round2(v)])),
+        closing: round2(m.closing),
+        cashGap: round2(m.cashGap),
+        cashGapChange: round2(m.cashGapChange),
+        marketValue: round2(m.marketValue),
+        equity: round2(m.equity),
+        equityGap: round2(m.equityGap),
+        equityGapChange: round2(m.equityGapChange),
+      }))
+    }
+    res.json({ success: true, brokers: result })
+  } catch (e) {
+    console.error('Error in /api/reconciliation:', e.message)
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+// Body: { endingCash, endingEquity? } — the statement's figures for that month.
+app.put('/api/statement-balances/:broker/:month', requireAuth, (req, res) => {
+  try {
+    const { broker, month } = req.params
+    const endingCash = parseFloat(req.body?.endingCash)
+    const rawEquity = req.body?.endingEquity
+    const endingEquity = rawEquity === '' || rawEquity == null ? null : parseFloat(rawEquity)
+    if (!SUPPORTED_BROKERS.includes(broker) || !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)
+      || !Number.isFinite(endingCash) || (endingEquity != null && !Number.isFinite(endingEquity))) {
+      return res.status(400).json({ success: false, error: 'A known broker, a month (YYYY-MM) and a numeric ending cash are required' })
+    }
+    databaseService.saveStatementBalance(req.user.userId, { broker, month, endingCash, endingEquity })
+    res.json({ success: true })
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+app.delete('/api/statement-balances/:broker/:month', requireAuth, (req, res) => {
+  try {
+    if (!databaseService.deleteStatementBalance(req.user.userId, req.params.broker, req.params.month)) {
+      return res.status(404).json({ success: false, error: 'No statement entered for that month' })
+    }
+    res.json({ success: true })
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
 // ─── Per-user view preferences ───────────────────────────────────────────────
 // Settings that used to live in localStorage, which made them per device. The
 // ones that change displayed P&L — the Cumulative P&L window, manual share and
@@ -3521,6 +3788,89 @@ app.get('/api/earnings', requireAuth, async (req, res) => {
   }
 })
 
+// ─── Early-assignment and pin-risk warnings ─────────────────────────────────
+// Open short options checked against the underlying now and the next ex-
+// dividend (utils/assignmentRisk.js). Ex-dates come from the same Nasdaq API
+// family as earnings and are cached per ticker the same way; only short-call
+// underlyings need one.
+const DIVIDEND_TTL_MS = 24 * 60 * 60 * 1000
+
+async function fetchNextDividend(ticker, today) {
+  const headers = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0.0.0 Safari/537.36',
+    'Accept': 'application/json',
+  }
+  // Nasdaq files ETFs under their own asset class; a stock lookup of one comes back empty.
+  for (const assetclass of ['stocks', 'etf']) {
+    const url = `https://api.nasdaq.com/api/quote/${encodeURIComponent(ticker)}/dividends?assetclass=${assetclass}`
+    const resp = await axios.get(url, { timeout: 8000, headers })
+    if (resp.data?.data?.dividends?.rows?.length) return parseNasdaqDividends(resp.data.data, today)
+  }
+  return null
+}
+
+app.get('/api/assignment-risk', requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.userId
+    const brokerFilter = req.query.broker && req.query.broker !== 'all' ? req.query.broker : null
+    const today = new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' })
+    const settings = {}
+    for (const k of Object.keys(RISK_DEFAULTS)) {
+      const v = parseFloat(req.query[k])
+      if (Number.isFinite(v) && v >= 0) settings[k] = v
+    }
+
+    const ivBySymbol = new Map(databaseService.getLatestOptionIvMarks(userId).map(m => [m.symbol, m]))
+    const positions = []
+    for (const p of databaseService.getOpenOptionPositions(userId, brokerFilter)) {
+      if (!(p.net_short > 0)) continue
+      const parsed = parseOptionDescription(p.symbol)
+      if (!parsed) continue
+      const expiry = `${parsed.year}-${parsed.month}-${parsed.day}`
+      if (expiry < today) continue
+      positions.push({
+        symbol: p.symbol, ticker: parsed.ticker, type: parsed.type, strike: parsed.strike, expiry,
+        contracts: p.net_short, mark: ivBySymbol.get(p.symbol) || null,
+      })
+    }
+    if (!positions.length) return res.json({ success: true, warnings: [], checked: 0, settings: { ...RISK_DEFAULTS, ...settings } })
+
+    const tickers = [...new Set(positions.map(p => p.ticker))]
+    const quotes = await priceService.getPrices(tickers)
+    const prices = Object.fromEntries(tickers.map(t => [t, quotes[t] > 0 ? quotes[t] : positions.find(p => p.ticker === t && p.mark)?.mark.underlying_close]))
+
+    // One call per stale ticker, spaced out; a failure keeps what was cached.
+    const dividends = {}
+    const now = Date.now()
+    for (const t of [...new Set(positions.filter(p => p.type === 'call').map(p => p.ticker))].slice(0, 40)) {
+      let hit = databaseService.getExDividend(t)
+      if (!hit || !hit.updated_at || (now - hit.updated_at * 1000) >= DIVIDEND_TTL_MS) {
+        try {
+          databaseService.setExDividend(t, await fetchNextDividend(t, today))
+          hit = databaseService.getExDividend(t)
+        } catch (e) {
+          console.warn(`Ex-dividend fetch failed for ${t}:`, e.response?.status || e.message)
+        }
+        await new Promise(r => setTimeout(r, 350))
+      }
+      // A cached projection can fall behind; ex-dates already past are no use.
+      if (hit?.ex_date && hit.ex_date >= today) dividends[t] = { exDate: hit.ex_date, amount: hit.amount, estimated: !!hit.estimated }
+    }
+
+    res.json({
+      success: true,
+      warnings: assignmentWarnings(positions, { prices, dividends, today, ...settings }),
+      checked: positions.length,
+      unmarked: positions.filter(p => !p.mark).map(p => p.symbol),
+      dividends,
+      settings: { ...RISK_DEFAULTS, ...settings },
+    })
+  } catch (e) {
+    console.error('Error in /api/assignment-risk:', e.message)
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
 app.get('/api/brokers', requireAuth, (req, res) => {
   try {
     const rows = databaseService.getBrokersForUser(req.user.userId)
@@ -3666,6 +4016,259 @@ app.post('/api/extended-hours/capture-iv', requireAuth, async (req, res) => {
   }
 })
 
+// Betas to SPY from a year of daily closes, kept for the day: they barely
+// move, and a year of history per ticker on every request would be slow.
+const betaCache = new Map() // ticker → { day, beta }
+async function betasToSpy(tickers, today) {
+  const betas = {}
+  let spy = null
+  for (const ticker of tickers) {
+    const hit = betaCache.get(ticker)
+    if (hit?.day === today) { betas[ticker] = hit.beta; continue }
+    try {
+      spy = spy || await priceService.fetchHistoricalPrices('SPY', '1y', '1d')
+      betas[ticker] = ticker === 'SPY' ? 1 : dailyBeta(await priceService.fetchHistoricalPrices(ticker, '1y', '1d'), spy)
+      betaCache.set(ticker, { day: today, beta: betas[ticker] })
+    } catch {
+      betas[ticker] = null
+    }
+  }
+  return betas
+}
+
+// GET /api/options-greeks — delta, gamma, theta, vega and rho for every open
+// option position, rolled up per underlying and beta-weighted to SPY for the
+// whole book. See utils/portfolioGreeks.js. Each contract uses its closing
+// implied vol from option_iv_marks; a contract with none yet is listed rather
+// than guessed at.
+app.get('/api/options-greeks', requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.userId
+    const brokerFilter = req.query.broker && req.query.broker !== 'all' ? req.query.broker : null
+    const today = new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' })
+    const ivBySymbol = new Map(databaseService.getLatestOptionIvMarks(userId).map(m => [m.symbol, m]))
+
+    // Both sides of a contract can be open at once; each is its own position.
+    const open = []
+    const unmarked = []
+    for (const p of databaseService.getOpenOptionPositions(userId, brokerFilter)) {
+      const m = ivBySymbol.get(p.symbol)
+      if (m && m.expiry < today) continue
+      if (!m || !(m.sigma > 0)) {
+        const parsed = parseOptionDescription(p.symbol)
+        const expiry = parsed && `${parsed.year}-${parsed.month}-${parsed.day}`
+        if (!expiry || expiry >= today) unmarked.push(p.symbol)
+        continue
+      }
+      if (p.net_long > 0) open.push({ m, isShort: false, contracts: p.net_long })
+      if (p.net_short > 0) open.push({ m, isShort: true, contracts: p.net_short })
+    }
+    if (!open.length) {
+      return res.json({
+        success: true, positions: [], underlyings: [], book: null, unmarked,
+        note: unmarked.length
+          ? 'No closing implied vol captured for the open contracts yet. It records automatically after the 4pm ET close.'
+          : 'No open unexpired option positions.',
+      })
+    }
+
+    const tickers = [...new Set(open.map(o => o.m.ticker))]
+    const [quotes, betas] = await Promise.all([
+      priceService.getPrices([...tickers, 'SPY']),
+      betasToSpy(tickers, today),
+    ])
+    const prices = Object.fromEntries(tickers.map(t => [t, quotes[t] > 0 ? quotes[t] : open.find(o => o.m.ticker === t).m.underlying_close]))
+
+    const positions = []
+    for (const { m, isShort, contracts } of open) {
+      const T = yearsToExpiry(m.expiry)
+      if (!(T > 0)) continue
+      const g = positionGreeks({ type: m.opt_type, S: prices[m.ticker], strike: m.strike, T, sigma: m.sigma, contracts, isShort })
+      positions.push({
+        symbol: m.symbol,
+        ticker: m.ticker,
+        type: m.opt_type,
+        strike: m.strike,
+        expiry: m.expiry,
+        isShort,
+        contracts,
+        underlyingPrice: round2(prices[m.ticker]),
+        sigma: Math.round(m.sigma * 1000) / 1000,
+        ivDate: m.mark_date,
+        staleIv: m.mark_date < today,
+        ...g,
+      })
+    }
+
+    const shares = Object.fromEntries(
+      Object.entries(databaseService.getStockPositionsWithCost(userId, null, brokerFilter)).map(([t, p]) => [t, p.position])
+    )
+    const { underlyings, book } = aggregateGreeks({ positions, shares, prices, betas, benchmarkPrice: quotes.SPY })
+    const greeks = (o) => ({
+      delta: round2(o.delta), gamma: Math.round(o.gamma * 10000) / 10000,
+      theta: round2(o.theta), vega: round2(o.vega), rho: round2(o.rho),
+    })
+    res.json({
+      success: true,
+      asOf: Date.now(),
+      benchmark: 'SPY',
+      benchmarkPrice: quotes.SPY > 0 ? round2(quotes.SPY) : null,
+      positions: positions.map(p => ({ ...p, ...greeks(p) })),
+      underlyings: underlyings.map(u => ({
+        ...u,
+        ...greeks(u),
+        optionDelta: round2(u.optionDelta),
+        beta: u.beta == null ? null : Math.round(u.beta * 100) / 100,
+        deltaDollars: round2(u.deltaDollars),
+        betaWeightedDelta: round2(u.betaWeightedDelta),
+        betaWeightedGamma: Math.round(u.betaWeightedGamma * 10000) / 10000,
+      })),
+      // Without SPY's price there's nothing to weight to; the rest still adds up.
+      book: {
+        theta: round2(book.theta),
+        vega: round2(book.vega),
+        rho: round2(book.rho),
+        deltaDollars: round2(book.deltaDollars),
+        betaWeightedDelta: quotes.SPY > 0 ? round2(book.betaWeightedDelta) : null,
+        betaWeightedGamma: quotes.SPY > 0 ? Math.round(book.betaWeightedGamma * 10000) / 10000 : null,
+      },
+      unmarked,
+      note: 'Black-Scholes at each contract\'s closing implied vol and the current underlying price. Delta and gamma are in shares; theta is per day, vega per vol point, rho per rate point.',
+    })
+  } catch (e) {
+    console.error('Error in /api/options-greeks:', e.message)
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+// GET /api/option-strategies — option legs put back together as the
+// strategies they were traded as (utils/optionStrategies.js), open and closed,
+// with max profit, max loss, breakevens and realized P&L per strategy.
+app.get('/api/option-strategies', requireAuth, (req, res) => {
+  try {
+    const userId = req.user.userId
+    const brokerFilter = req.query.broker && req.query.broker !== 'all' ? req.query.broker : null
+    const trades = databaseService.getAllTradesForUser(userId)
+      .filter(t => !brokerFilter || t.broker === brokerFilter)
+    // Today's basis stands in for an open covered call's shares.
+    const stockCosts = {}
+    for (const broker of [...new Set(trades.map(t => t.broker))]) {
+      for (const [ticker, p] of Object.entries(databaseService.getStockPositionsWithCost(userId, null, broker))) {
+        if (p.position > 0) stockCosts[`${broker}::${ticker}`] = p.avgCost
+      }
+    }
+    const strategies = groupStrategies(trades, { stockCosts })
+
+    const byType = {}
+    for (const s of strategies) {
+      const t = byType[s.type] || (byType[s.type] = { type: s.type, label: s.label, count: 0, open: 0, realized: 0 })
+      t.count++
+      if (s.status === 'open') t.open++
+      t.realized = round2(t.realized + s.realized)
+    }
+    res.json({ success: true, strategies, byType: Object.values(byType).sort((a, b) => b.count - a.count) })
+  } catch (e) {
+    console.error('Error in /api/option-strategies:', e.message)
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+// GET /api/payoff — open option legs per underlying with what the payoff
+// chart needs to price them: each contract's closing implied vol, the price
+// now, and shares held in the same symbol at their average cost. The curves
+// are drawn in the browser (src/utils/payoff.js) so the IV and date sliders
+// don't round-trip.
+app.get('/api/payoff', requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.userId
+    const brokerFilter = req.query.broker && req.query.broker !== 'all' ? req.query.broker : null
+    const today = new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' })
+    const ivBySymbol = new Map(databaseService.getLatestOptionIvMarks(userId).map(m => [m.symbol, m]))
+    const trades = databaseService.getAllTradesForUser(userId)
+      .filter(t => !brokerFilter || t.broker === brokerFilter)
+
+    // Lots of one contract opened on different days are one position here;
+    // the premium still open is each lot's share of what it opened for.
+    const byKey = new Map()
+    for (const l of buildLegs(trades)) {
+      if (!(l.openContracts > 0) || l.expiry < today) continue
+      const key = `${l.symbol}|${l.side}`
+      const openCash = l.openCash * l.openContracts / l.contracts
+      const p = byKey.get(key)
+      if (p) { p.contracts += l.openContracts; p.openCash += openCash; continue }
+      const m = ivBySymbol.get(l.symbol)
+      byKey.set(key, {
+        symbol: l.symbol, ticker: l.ticker, type: l.type, strike: l.strike, expiry: l.expiry, side: l.side,
+        contracts: l.openContracts, openCash,
+        sigma: m?.sigma > 0 ? Math.round(m.sigma * 10000) / 10000 : null,
+        ivDate: m?.sigma > 0 ? m.mark_date : null,
+      })
+    }
+    const legs = [...byKey.values()]
+    if (!legs.length) return res.json({ success: true, underlyings: [] })
+
+    const tickers = [...new Set(legs.map(l => l.ticker))].sort()
+    const quotes = await priceService.getPrices(tickers)
+    const stock = databaseService.getStockPositionsWithCost(userId, null, brokerFilter)
+    const underlyings = tickers.map(ticker => {
+      const own = legs.filter(l => l.ticker === ticker)
+      const lastClose = own.map(l => ivBySymbol.get(l.symbol)?.underlying_close).find(x => x > 0)
+      const price = quotes[ticker] > 0 ? quotes[ticker] : lastClose || null
+      return {
+        ticker,
+        price: price && round2(price),
+        shares: stock[ticker]?.position || 0,
+        stockCost: stock[ticker]?.position ? round2(stock[ticker].avgCost) : null,
+        legs: own
+          .map(l => ({ ...l, openCash: round2(l.openCash) }))
+          .sort((a, b) => a.expiry.localeCompare(b.expiry) || a.strike - b.strike),
+      }
+    }).filter(u => u.price > 0)
+    res.json({ success: true, asOf: Date.now(), underlyings })
+  } catch (e) {
+    console.error('Error in /api/payoff:', e.message)
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+// GET /api/wheel-campaigns — short puts, their rolls and assignments, and the
+// calls sold on the shares, linked into one campaign per underlying
+// (utils/wheel.js) with the premium collected, the shares' effective basis
+// and return on the capital tied up.
+app.get('/api/wheel-campaigns', requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.userId
+    const brokerFilter = req.query.broker && req.query.broker !== 'all' ? req.query.broker : null
+    const today = new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' })
+    const trades = databaseService.getAllTradesForUser(userId)
+      .filter(t => !brokerFilter || t.broker === brokerFilter)
+
+    // Prices only matter for shares a campaign still holds; find those first.
+    const held = [...new Set(buildCampaigns(trades, { asOf: today }).filter(c => c.shares > 0).map(c => c.ticker))]
+    const prices = held.length ? await priceService.getPrices(held) : {}
+    const campaigns = buildCampaigns(trades, { prices, asOf: today })
+
+    const sum = (list, k) => round2(list.reduce((s, c) => s + (c[k] || 0), 0))
+    const closed = campaigns.filter(c => c.status === 'closed')
+    res.json({
+      success: true,
+      campaigns,
+      totals: {
+        campaigns: campaigns.length,
+        open: campaigns.length - closed.length,
+        premium: sum(campaigns, 'premium'),
+        stockRealized: sum(campaigns, 'stockRealized'),
+        pnl: sum(campaigns, 'pnl'),
+        closedPnl: sum(closed, 'pnl'),
+        rolls: campaigns.reduce((s, c) => s + c.rolls, 0),
+      },
+    })
+  } catch (e) {
+    console.error('Error in /api/wheel-campaigns:', e.message)
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
 // GET /api/short-calls — short call positions with current prices
 app.get('/api/short-calls', requireAuth, async (req, res) => {
   try {
@@ -4203,7 +4806,7 @@ app.get('/api/stock-positions-with-prices', requireAuth, async (req, res) => {
     // getStockPositionsWithCost lives in database.js where db is in scope
     const brokerFilter = req.query.broker && req.query.broker !== 'all' ? req.query.broker : null
     const stockData = databaseService.getStockPositionsWithCost(
-      userId, null, brokerFilter, req.query.basis === 'corrected' ? 'fifo' : 'average')
+      userId, null, brokerFilter, req.query.basis === 'corrected' ? 'elected' : 'average')
     const symbols = Object.keys(stockData)
     console.log(`/api/stock-positions-with-prices: getStockPositionsWithCost returned ${symbols.length} symbols: ${symbols.join(', ')}`)
 
@@ -4222,10 +4825,11 @@ app.get('/api/stock-positions-with-prices', requireAuth, async (req, res) => {
     const holdings = symbols.map(sym => {
       const d = stockData[sym]
       const currentPrice = prices[sym] || null
-      const unrealizedPnL = (d.position > 0 && d.avgCost > 0 && currentPrice)
+      // A short's position is negative, so the same product is its gain.
+      const unrealizedPnL = (d.position && d.avgCost > 0 && currentPrice)
         ? Math.round(d.position * (currentPrice - d.avgCost) * 100) / 100
         : null
-      return { symbol: sym, position: d.position, avgCost: d.avgCost, currentPrice, unrealizedPnL }
+      return { symbol: sym, position: d.position, avgCost: d.avgCost, short: !!d.short, currentPrice, unrealizedPnL }
     })
     console.log(`  prices fetched: ${Object.keys(prices).length}/${symbols.length}`)
     res.json({ success: true, holdings })
@@ -5004,6 +5608,138 @@ app.get('/api/prices/:symbol', (req, res) => {
   }
 })
 
+// Rebuild every stored P&L snapshot on or after `fromDate` from the trades now
+// in the database. Used after an import is rolled back: snapshots taken since
+// its first trade still count its rows. Each day is re-priced at the prices
+// that snapshot already recorded, so no fetch is needed and the only thing
+// that changes is the trades. Oldest first, since each day's daily P&L is
+// measured against the one before it.
+function recomputeSnapshotsFrom(userId, fromDate) {
+  if (!fromDate) return 0
+  const dates = databaseService.getSnapshotDates(userId).filter(d => d >= fromDate).sort()
+  if (!dates.length) return 0
+  const allTrades = databaseService.getAllTradesForUser(userId)
+  for (const date of dates) {
+    const prices = {}
+    databaseService.getPnLSnapshot(date, userId).forEach(r => { prices[r.symbol] = r.current_price || 0 })
+    const trades = allTrades.filter(t => t.date <= date)
+    databaseService.deletePnLSnapshot(date, userId)
+    if (trades.length) {
+      databaseService.savePnLSnapshot(date, calculatePnL(trades, prices, true, null, date, []), userId)
+    }
+  }
+  return dates.length
+}
+
+// Upload history: one row per import, newest first.
+app.get('/api/import-batches', requireAuth, (req, res) => {
+  try {
+    res.json({ success: true, batches: databaseService.getImportBatches(req.user.userId) })
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+// Undo one import without touching the others.
+app.delete('/api/import-batches/:id', requireAuth, (req, res) => {
+  try {
+    const userId = req.user.userId
+    const result = databaseService.rollbackImportBatch(userId, parseInt(req.params.id, 10))
+    if (!result) return res.status(404).json({ success: false, error: 'No such import' })
+    const snapshotsRebuilt = recomputeSnapshotsFrom(userId, result.fromDate)
+    res.json({ success: true, ...result, snapshotsRebuilt })
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+// Specific-lot pins: which purchases a stock sale closed, when the user has
+// chosen rather than leaving it to the broker's relief method.
+app.get('/api/lot-pins', requireAuth, (req, res) => {
+  try {
+    res.json({ success: true, pins: databaseService.getLotPins(req.user.userId) })
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+// Replace a sale's pins. Body: { lots: [{ buyTradeId, quantity }] }, quantities
+// in split-adjusted shares; an empty list unpins the sale.
+app.put('/api/lot-pins/:sellTradeId', requireAuth, (req, res) => {
+  try {
+    const userId = req.user.userId
+    const sellTradeId = parseInt(req.params.sellTradeId, 10)
+    const lots = Array.isArray(req.body?.lots) ? req.body.lots : null
+    if (!lots) return res.status(400).json({ success: false, error: 'lots must be an array' })
+    const cleaned = lots.map(l => ({ buyTradeId: parseInt(l.buyTradeId, 10), quantity: Number(l.quantity) }))
+    if (cleaned.some(l => !Number.isInteger(l.buyTradeId) || !(l.quantity > 0))) {
+      return res.status(400).json({ success: false, error: 'Each lot needs a buyTradeId and a positive quantity' })
+    }
+    const shares = databaseService.stockSaleShares(userId, sellTradeId)
+    const pinned = cleaned.reduce((s, l) => s + l.quantity, 0)
+    if (shares != null && pinned > shares + 1e-6) {
+      return res.status(400).json({ success: false, error: `Pinned ${pinned} shares but the sale was ${shares}` })
+    }
+    const result = databaseService.setLotPins(userId, sellTradeId, cleaned)
+    if (!result) return res.status(404).json({ success: false, error: 'No such stock sale' })
+    if (result.rejected.length) {
+      return res.status(400).json({ success: false, error: `Not an earlier purchase of the same stock at the same broker: ${result.rejected.join(', ')}` })
+    }
+    res.json({ success: true, pins: result.pins })
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+app.delete('/api/lot-pins/:sellTradeId', requireAuth, (req, res) => {
+  try {
+    const result = databaseService.setLotPins(req.user.userId, parseInt(req.params.sellTradeId, 10), [])
+    if (!result) return res.status(404).json({ success: false, error: 'No such stock sale' })
+    res.json({ success: true })
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+// Estimated tax payments, for the Tax Center's quarterly tracker.
+app.get('/api/estimated-payments', requireAuth, (req, res) => {
+  try {
+    const year = parseInt(req.query.year, 10) || null
+    res.json({ success: true, payments: databaseService.getEstimatedPayments(req.user.userId, year) })
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+// Body: { taxYear, paidDate: 'YYYY-MM-DD', amount, note? }. The tax year is
+// explicit because the last installment is paid in January of the next one.
+app.post('/api/estimated-payments', requireAuth, (req, res) => {
+  try {
+    const taxYear = parseInt(req.body?.taxYear, 10)
+    const paidDate = String(req.body?.paidDate || '')
+    const amount = parseFloat(req.body?.amount)
+    if (!(taxYear > 1900) || !/^\d{4}-\d{2}-\d{2}$/.test(paidDate) || !(amount > 0)) {
+      return res.status(400).json({ success: false, error: 'taxYear, paidDate (YYYY-MM-DD) and a positive amount are required' })
+    }
+    const note = String(req.body?.note || '').slice(0, 200)
+    const id = databaseService.addEstimatedPayment(req.user.userId, { taxYear, paidDate, amount, note })
+    res.json({ success: true, id })
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+app.delete('/api/estimated-payments/:id', requireAuth, (req, res) => {
+  try {
+    if (!databaseService.deleteEstimatedPayment(req.user.userId, parseInt(req.params.id, 10))) {
+      return res.status(404).json({ success: false, error: 'No such payment' })
+    }
+    res.json({ success: true })
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
 // Delete snapshot for a specific date
 app.delete('/api/snapshot/:date', requireAuth, (req, res) => {
   try {
@@ -0,0 +1,126 @@
+/**
+ * Lot relief method per broker, and sales pinned to specific purchases.
+ * Run: node server/lotPins.test.mjs
+ *
+ * The positions views priced what's held as if every broker sold FIFO. An
+ * account set to HIFO, or a sale where the user picked the lots, leaves
+ * different shares behind — so the Dashboard's corrected basis disagreed with
+ * the Tax Center and with the broker.
+ */
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'node:url'
+import { dirname, join } from 'node:path'
+import fs from 'node:fs'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const TMP_DB = join(__dirname, `test_lotpins_${process.pid}.db`)
+process.env.DATABASE_PATH = TMP_DB
+process.env.NODE_ENV = 'test'
+
+let passed = 0
+const test = (name, fn) => {
+  try { fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+
+const cleanup = async () => {
+  try {
+    const { getDatabase } = await import('./services/database.js')
+    getDatabase()?.close()
+  } catch {}
+  for (const f of [TMP_DB, `${TMP_DB}-wal`, `${TMP_DB}-shm`]) {
+    try { fs.existsSync(f) && fs.unlinkSync(f) } catch {}
+  }
+}
+
+try {
+  const { databaseService, getDatabase } = await import('./services/database.js')
+  const db = getDatabase()
+  const userId = 1
+  const quiet = (fn) => { const log = console.log; console.log = () => {}; try { return fn() } finally { console.log = log } }
+
+  const ins = db.prepare(`
+    INSERT INTO trades (upload_date, trans_date, trans_code, symbol, quantity, price, amount,
+                        description, is_buy, is_option, contracts, user_id, broker)
+    VALUES (@d, @d, @tc, @sym, @q, @px, @amt, @sym, @isBuy, @opt, 1, @user, @broker)
+  `)
+  const row = (o) => Number(ins.run({ broker: 'robinhood', user: userId, opt: 0, ...o }).lastInsertRowid)
+  const buy = (sym, d, q, px, o = {}) => row({ sym, d, tc: 'Buy', q, px, amt: -(q * px), isBuy: 1, ...o })
+  const sell = (sym, d, q, px, o = {}) => row({ sym, d, tc: 'Sell', q, px, amt: q * px, isBuy: 0, ...o })
+
+  const pos = (sym, method = 'elected') => quiet(() => databaseService.getStockPositionsWithCost(userId, null, null, method))[sym]
+
+  // Three lots at 10 / 30 / 20, half of it sold.
+  const b1 = buy('AAA', '2026-01-05', 10, 10)
+  const b2 = buy('AAA', '2026-02-05', 10, 30)
+  const b3 = buy('AAA', '2026-03-05', 10, 20)
+  const s1 = sell('AAA', '2026-04-06', 15, 25)
+
+  console.log('\nElected lot method')
+
+  test('with nothing elected, the basis is exactly FIFO', () => {
+    assert.deepEqual(pos('AAA'), pos('AAA', 'fifo'))
+    assert.equal(pos('AAA').avgCost, 23.33) // 5 @ 30 + 10 @ 20
+  })
+
+  test('a broker set to HIFO keeps the cheap shares', () => {
+    databaseService.setPreference(userId, 'lotMethods', { robinhood: 'hifo' })
+    const p = pos('AAA')
+    assert.equal(p.position, 15)
+    assert.equal(p.avgCost, 13.33) // 10 @ 10 + 5 @ 20
+  })
+
+  test('another broker\'s election leaves this one on FIFO', () => {
+    databaseService.setPreference(userId, 'lotMethods', { webull: 'hifo' })
+    assert.equal(pos('AAA').avgCost, 23.33)
+  })
+
+  console.log('\nPinned lots')
+
+  test('a pinned sale leaves the purchases it did not name', () => {
+    const r = databaseService.setLotPins(userId, s1, [{ buyTradeId: b3, quantity: 10 }, { buyTradeId: b1, quantity: 5 }])
+    assert.equal(r.pins.length, 2)
+    assert.deepEqual(databaseService.getLotPins(userId).map(p => p.buyTradeId).sort(), [b1, b3].sort())
+    assert.equal(pos('AAA').avgCost, 23.33) // 5 @ 10 + 10 @ 30
+  })
+
+  test('saving again replaces the sale\'s pins; an empty list unpins it', () => {
+    databaseService.setLotPins(userId, s1, [{ buyTradeId: b2, quantity: 10 }])
+    assert.deepEqual(databaseService.getLotPins(userId), [{ sellTradeId: s1, buyTradeId: b2, quantity: 10 }])
+    assert.equal(pos('AAA').avgCost, 16.67) // 5 @ 10 + 10 @ 20 left after 10 @ 30 + 5 FIFO @ 10
+    databaseService.setLotPins(userId, s1, [])
+    assert.equal(databaseService.getLotPins(userId).length, 0)
+  })
+
+  test('a purchase of another stock, another broker or a later date is refused', () => {
+    const other = buy('BBB', '2026-01-05', 10, 10)
+    const elsewhere = buy('AAA', '2026-01-05', 10, 10, { broker: 'webull' })
+    const later = buy('AAA', '2026-05-01', 10, 10)
+    for (const id of [other, elsewhere, later, s1]) {
+      const r = databaseService.setLotPins(userId, s1, [{ buyTradeId: b1, quantity: 5 }, { buyTradeId: id, quantity: 1 }])
+      assert.deepEqual(r.rejected, [id])
+    }
+    assert.equal(databaseService.getLotPins(userId).length, 0, 'a refused save writes nothing')
+    db.prepare('DELETE FROM trades WHERE id IN (?, ?, ?)').run(other, elsewhere, later)
+  })
+
+  test('only the user\'s own stock sales can be pinned', () => {
+    assert.equal(databaseService.setLotPins(2, s1, [{ buyTradeId: b1, quantity: 5 }]), null)
+    assert.equal(databaseService.setLotPins(userId, b1, []), null, 'a buy is not a sale')
+    const optionSale = sell('AAA', '2026-04-07', 1, 2, { opt: 1 })
+    assert.equal(databaseService.setLotPins(userId, optionSale, []), null)
+  })
+
+  test('a sale\'s pinnable shares are split-adjusted', () => {
+    assert.equal(databaseService.stockSaleShares(userId, s1), 15)
+    assert.equal(databaseService.stockSaleShares(2, s1), null)
+  })
+
+  console.log(`\n${passed} passed\n`)
+} catch (e) {
+  console.error('\nTest harness error:', e)
+  process.exitCode = 1
+} finally {
+  await cleanup()
+  setTimeout(() => process.exit(process.exitCode || 0), 250)
+}
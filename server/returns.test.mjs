@@ -0,0 +1,105 @@
+/**
+ * Returns inputs, stored.
+ * Run: node server/returns.test.mjs
+ *
+ * Overlapping exports carry the same deposit; counted twice, it would halve
+ * the return on that money. Deposits are diffed on save, and withdrawals and
+ * fees come from the cash ledger, which dedupes on the row.
+ */
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'node:url'
+import { dirname, join } from 'node:path'
+import fs from 'node:fs'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const TMP_DB = join(__dirname, `test_returns_${process.pid}.db`)
+process.env.DATABASE_PATH = TMP_DB
+process.env.NODE_ENV = 'test'
+
+let passed = 0
+const test = (name, fn) => {
+  try { fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+
+const cleanup = async () => {
+  try {
+    const { getDatabase } = await import('./services/database.js')
+    getDatabase()?.close()
+  } catch {}
+  for (const f of [TMP_DB, `${TMP_DB}-wal`, `${TMP_DB}-shm`]) {
+    try { fs.existsSync(f) && fs.unlinkSync(f) } catch {}
+  }
+}
+
+try {
+  const { databaseService } = await import('./services/database.js')
+  const quiet = (fn) => { const log = console.log; console.log = () => {}; try { return fn() } finally { console.log = log } }
+  const deposit = (date, amount) => ({ date: new Date(`${date}T12:00:00`), amount, description: 'ACH Deposit' })
+
+  quiet(() => {
+    databaseService.saveTrades([], '2026-02-28', [deposit('2026-01-05', 1000), deposit('2026-02-02', 500)], 1500, 1, 'robinhood')
+    databaseService.saveTrades([], '2026-03-31', [deposit('2026-02-02', 500), deposit('2026-03-02', 250), deposit('2026-03-02', 250)], 1000, 1, 'robinhood')
+    databaseService.saveTrades([], '2026-03-31', [deposit('2026-02-02', 500)], 500, 1, 'schwab')
+  })
+
+  test('a deposit in two overlapping exports counts once', () => {
+    const flows = databaseService.getExternalFlows(1, 'robinhood')
+    assert.deepEqual(flows.map((f) => [f.date, f.amount]), [
+      ['2026-01-05', 1000], ['2026-02-02', 500], ['2026-03-02', 250], ['2026-03-02', 250],
+    ])
+  })
+
+  test('the same deposit at another broker is its own', () => {
+    const flows = databaseService.getExternalFlows(1)
+    assert.equal(flows.filter((f) => f.date === '2026-02-02').length, 2)
+    assert.deepEqual(databaseService.getExternalFlows(1, 'schwab').map((f) => f.broker), ['schwab'])
+  })
+
+  test('snapshot prices come back by day', () => {
+    quiet(() => databaseService.savePnLSnapshot('2026-03-02', [
+      { symbol: 'AAA', currentPrice: 12.5, real: { position: 10, totalPnL: 5 } },
+      { symbol: 'BBB', currentPrice: 0, real: { position: 1, totalPnL: 0 } },
+    ], 1))
+    const { dates, prices } = databaseService.getSnapshotPrices(1)
+    assert.deepEqual(dates, ['2026-03-02'])
+    assert.deepEqual(prices['2026-03-02'], { AAA: 12.5 })
+  })
+
+  const ledger = [
+    { date: new Date('2026-03-10T12:00:00'), type: 'withdrawal', amount: -300, transCode: 'ACH', description: 'ACH Withdrawal' },
+    { date: new Date('2026-03-12T12:00:00'), type: 'margin_interest', amount: -4.5, transCode: 'MINT', description: 'Margin Interest' },
+  ]
+  let batch
+  quiet(() => {
+    batch = databaseService.createImportBatch(1, 'robinhood', 'march.csv')
+    databaseService.saveCashLedger(1, ledger, 'robinhood', batch)
+  })
+
+  test('an overlapping re-upload adds no ledger rows', () => {
+    assert.equal(databaseService.saveCashLedger(1, ledger, 'robinhood', null), 0)
+    assert.deepEqual(databaseService.getCashLedger(1).map((e) => [e.date, e.type, e.amount]), [
+      ['2026-03-10', 'withdrawal', -300], ['2026-03-12', 'margin_interest', -4.5],
+    ])
+    assert.deepEqual(databaseService.getCashLedger(1, 'schwab'), [])
+  })
+
+  test('a withdrawal is an outflow and a fee is not', () => {
+    const flows = databaseService.getExternalFlows(1, 'robinhood')
+    assert.deepEqual(flows.filter((f) => f.amount < 0).map((f) => [f.date, f.amount]), [['2026-03-10', -300]])
+  })
+
+  test('rolling the upload back takes its ledger rows with it', () => {
+    const result = quiet(() => databaseService.rollbackImportBatch(1, batch))
+    assert.equal(result.removed.cash_ledger, 2)
+    assert.deepEqual(databaseService.getCashLedger(1), [])
+  })
+
+  console.log(`\n${passed} passed\n`)
+} catch (e) {
+  console.error('\nTest harness error:', e)
+  process.exitCode = 1
+} finally {
+  await cleanup()
+  setTimeout(() => process.exit(process.exitCode || 0), 250)
+}
@@ -2,6 +2,10 @@ import Database from 'better-sqlite3'
 import { fileURLToPath } from 'url'
 import { dirname, join } from 'path'
 import { existsSync } from 'fs'
+import { diffTrades, diffByKey, depositKey, transferKey } from './importDiff.js'
+import { reliefPlan, lotMethodFor } from '../utils/lotRelief.js'
+import { tagDripBuys } from '../utils/drip.js'
+import { IN_LIEU_CODE, isShortSale, isShortCover, coverShorts, openShorts } from '../utils/shortSales.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -101,6 +105,17 @@ db.exec(`
     updated_at INTEGER DEFAULT (strftime('%s', 'now'))
   );
 
+  -- Next ex-dividend date and amount per ticker (from Nasdaq), for the early-
+  -- assignment check on short calls. estimated = 1 when projected from the
+  -- payment history because nothing is declared yet.
+  CREATE TABLE IF NOT EXISTS ex_dividend_cache (
+    ticker TEXT PRIMARY KEY,
+    ex_date TEXT,
+    amount REAL,
+    estimated INTEGER DEFAULT 0,
+    updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+  );
+
   -- Table to store support/resistance levels from Level 2 data
   CREATE TABLE IF NOT EXISTS support_resistance_levels (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -578,6 +593,18 @@ try {
     db.exec(`UPDATE trades SET contracts = 1 WHERE contracts IS NULL`)
     console.log('✅ Added contracts column to trades table')
   }
+
+  // Migration: currency and the trade-date rate to dollars. IBKR trades in the
+  // instrument's own currency; the row keeps what was actually paid and every
+  // dollar figure is derived through fx_rate. Existing rows are all USD.
+  if (!tableInfo.some(col => col.name === 'currency')) {
+    db.exec(`ALTER TABLE trades ADD COLUMN currency TEXT DEFAULT 'USD'`)
+    console.log('✅ Added currency column to trades table')
+  }
+  if (!tableInfo.some(col => col.name === 'fx_rate')) {
+    db.exec('ALTER TABLE trades ADD COLUMN fx_rate REAL DEFAULT 1')
+    console.log('✅ Added fx_rate column to trades table')
+  }
 } catch (error) {
   console.error('Migration error:', error)
 }
@@ -729,6 +756,200 @@ try {
   console.error('Migration error (dca_schedule):', error)
 }
 
+// Migration: dividends and interest, persisted. They used to live only in the
+// socket session of the upload that carried them, so a reload lost them.
+// UNIQUE on the whole row so an overlapping re-upload doesn't count them twice.
+try {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS dividends_interest (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      broker TEXT NOT NULL DEFAULT 'robinhood',
+      pay_date TEXT NOT NULL,
+      symbol TEXT,
+      amount REAL NOT NULL,
+      trans_code TEXT,
+      description TEXT,
+      batch_id INTEGER,
+      created_at INTEGER DEFAULT (strftime('%s','now')),
+      UNIQUE(user_id, broker, pay_date, symbol, amount, trans_code, description)
+    )
+  `)
+} catch (error) {
+  console.error('Migration error (dividends_interest):', error)
+}
+
+// Migration: the cash ledger — every cash row that isn't a trade, income or a
+// deposit (withdrawals, fees, margin interest charged; see utils/cashLedger.js).
+// Amounts are signed, positive into the account. UNIQUE on the whole row for
+// the same reason as dividends_interest.
+try {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS cash_ledger (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      broker TEXT NOT NULL DEFAULT 'robinhood',
+      entry_date TEXT NOT NULL,
+      type TEXT NOT NULL,
+      amount REAL NOT NULL,
+      trans_code TEXT,
+      description TEXT,
+      batch_id INTEGER,
+      created_at INTEGER DEFAULT (strftime('%s','now')),
+      UNIQUE(user_id, broker, entry_date, type, amount, description)
+    )
+  `)
+} catch (error) {
+  console.error('Migration error (cash_ledger):', error)
+}
+
+// Migration: import batches. One row per upload; every trade, deposit, income
+// and share-transfer row it wrote carries its id, so that one upload can be
+// taken back out without touching the others. `replaced_rows` holds whatever
+// the upload deleted (revised trades, superseded deposits) as JSON, so rolling
+// it back restores them rather than leaving a hole.
+try {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS import_batches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      broker TEXT NOT NULL DEFAULT 'robinhood',
+      upload_date TEXT,
+      file_name TEXT,
+      replaced_rows TEXT,
+      created_at INTEGER DEFAULT (strftime('%s','now'))
+    )
+  `)
+  let added = false
+  for (const table of ['trades', 'deposits', 'share_transfers']) {
+    if (!db.pragma(`table_info(${table})`).some(col => col.name === 'batch_id')) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN batch_id INTEGER`)
+      added = true
+    }
+  }
+  // Uploads from before batches existed: one batch per user, broker and upload
+  // date — the unit csv_uploads already tracked — so they can be undone too.
+  // Share transfers carry no upload date and stay unbatched.
+  if (added) {
+    const legacy = db.prepare(`
+      SELECT user_id, COALESCE(broker,'robinhood') AS broker, upload_date FROM trades WHERE batch_id IS NULL
+      UNION
+      SELECT user_id, COALESCE(broker,'robinhood') AS broker, upload_date FROM deposits WHERE batch_id IS NULL
+    `).all()
+    const insertBatch = db.prepare(`INSERT INTO import_batches (user_id, broker, upload_date, file_name) VALUES (?, ?, ?, '(before import history)')`)
+    db.transaction(() => {
+      for (const { user_id, broker, upload_date } of legacy) {
+        const { lastInsertRowid: id } = insertBatch.run(user_id, broker, upload_date)
+        for (const table of ['trades', 'deposits']) {
+          db.prepare(`
+            UPDATE ${table} SET batch_id = ?
+            WHERE batch_id IS NULL AND user_id = ? AND COALESCE(broker,'robinhood') = ? AND upload_date = ?
+          `).run(id, user_id, broker, upload_date)
+        }
+      }
+    })()
+    console.log(`✅ Added batch_id columns (${legacy.length} earlier upload(s) recorded as batches)`)
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_trades_batch ON trades(batch_id)')
+} catch (error) {
+  console.error('Migration error (import_batches):', error)
+}
+
+// Migration: specific-lot identification. A sale pinned to the purchases it
+// closed, by trade id; the lot relief method covers whatever isn't pinned.
+try {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS lot_pins (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      sell_trade_id INTEGER NOT NULL,
+      buy_trade_id INTEGER NOT NULL,
+      quantity REAL NOT NULL,
+      created_at INTEGER DEFAULT (strftime('%s','now')),
+      UNIQUE(user_id, sell_trade_id, buy_trade_id)
+    )
+  `)
+} catch (error) {
+  console.error('Migration error (lot_pins):', error)
+}
+
+// Migration: estimated tax payments. Recorded one by one so the Tax Center can
+// credit each to the quarter it was paid in, instead of a single withholding figure.
+try {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS estimated_tax_payments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      tax_year INTEGER NOT NULL,
+      paid_date TEXT NOT NULL,
+      amount REAL NOT NULL,
+      note TEXT,
+      created_at INTEGER DEFAULT (strftime('%s','now'))
+    )
+  `)
+  db.exec('CREATE INDEX IF NOT EXISTS idx_estimated_tax_payments_user_year ON estimated_tax_payments(user_id, tax_year)')
+} catch (error) {
+  console.error('Migration error (estimated_tax_payments):', error)
+}
+
+// Migration: statement balances. The ending cash and equity from a broker's
+// monthly statement, entered by hand, for the reconciliation against the cash
+// the imports add up to. One row per broker and month; re-entering replaces it.
+try {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS statement_balances (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      broker TEXT NOT NULL DEFAULT 'robinhood',
+      month TEXT NOT NULL,
+      ending_cash REAL NOT NULL,
+      ending_equity REAL,
+      updated_at INTEGER DEFAULT (strftime('%s','now')),
+      UNIQUE(user_id, broker, month)
+    )
+  `)
+} catch (error) {
+  console.error('Migration error (statement_balances):', error)
+}
+
+// Migration: dividend reinvestment buys are tagged (drip.js), so the signals
+// and the Tax Center can tell them from discretionary buys. Existing rows are
+// tagged once here; new imports are tagged as they're saved.
+try {
+  if (!db.pragma('table_info(trades)').some(col => col.name === 'is_drip')) {
+    db.exec('ALTER TABLE trades ADD COLUMN is_drip INTEGER DEFAULT 0')
+    const users = db.prepare('SELECT DISTINCT user_id FROM trades').all()
+    const tagged = users.reduce((n, { user_id }) => n + retagDripTrades(user_id), 0)
+    console.log(`✅ Added is_drip column to trades (${tagged} dividend reinvestment(s) tagged)`)
+  }
+} catch (error) {
+  console.error('Migration error (is_drip):', error)
+}
+
+// Tag a user's stock buys that reinvested a dividend. Runs over everything
+// stored rather than one upload, because the dividend and the buy it paid for
+// can arrive in different files. Returns how many rows were newly tagged.
+function retagDripTrades(userId) {
+  const buys = db.prepare(`
+    SELECT id, trans_date, trans_code, symbol, quantity, price, amount, description, COALESCE(broker,'robinhood') AS broker
+    FROM trades
+    WHERE user_id = ? AND is_buy = 1 AND COALESCE(is_option, 0) = 0 AND COALESCE(is_drip, 0) = 0
+  `).all(userId).map(r => ({
+    id: r.id, date: r.trans_date, transCode: r.trans_code, symbol: r.symbol, quantity: r.quantity,
+    price: r.price, amount: r.amount, description: r.description, broker: r.broker, isBuy: true,
+  }))
+  if (!buys.length) return 0
+  const dividends = db.prepare(`
+    SELECT pay_date, symbol, amount, COALESCE(broker,'robinhood') AS broker
+    FROM dividends_interest
+    WHERE user_id = ? AND trans_code IN ('CDIV', 'MDIV')
+  `).all(userId).map(r => ({ date: r.pay_date, symbol: r.symbol, amount: r.amount, broker: r.broker, isDividend: true }))
+  const ids = tagDripBuys(buys, dividends).trades.filter(t => t.isDrip).map(t => t.id)
+  const mark = db.prepare('UPDATE trades SET is_drip = 1 WHERE id = ?')
+  db.transaction(() => { for (const id of ids) mark.run(id) })()
+  return ids.length
+}
+
 // Prepared statements for better performance
 const insertSignalSnapshot = db.prepare(`
   INSERT INTO signal_snapshots (symbol, timestamp, signal, strength, strength_label, price, ema9, ema21, rsi, trend, volume)
@@ -769,26 +990,27 @@ const upsertPnLSnapshot = db.prepare(`
 `)
 
 const insertTrade = db.prepare(`
-  INSERT INTO trades (upload_date, trans_date, trans_code, symbol, quantity, price, amount, description, is_buy, is_option, contracts, user_id, broker)
-  VALUES (@uploadDate, @transDate, @transCode, @symbol, @quantity, @price, @amount, @description, @isBuy, @isOption, @contracts, @userId, @broker)
+  INSERT INTO trades (upload_date, trans_date, trans_code, symbol, quantity, price, amount, description, is_buy, is_option, contracts, user_id, broker, currency, fx_rate, batch_id, is_drip)
+  VALUES (@uploadDate, @transDate, @transCode, @symbol, @quantity, @price, @amount, @description, @isBuy, @isOption, @contracts, @userId, @broker, @currency, @fxRate, @batchId, @isDrip)
+`)
+
+// Everything stored for one broker — what an incoming file is diffed against.
+// Broker scopes it: the same ticker, size and price can legitimately trade at
+// two brokers on the same day, and without it one of them would be deduped away.
+const selectBrokerTrades = db.prepare(`
+  SELECT id, upload_date, trans_date, trans_code, symbol, quantity, price, amount
+  FROM trades
+  WHERE user_id = ? AND COALESCE(broker, 'robinhood') = ?
 `)
 
-// Count existing trades matching a given key from upload_dates OTHER than the current one.
-// Broker is part of the key: the same ticker, size and price can legitimately trade
-// at two brokers on the same day, and without it one of them would be deduped away.
-const countExistingTrade = db.prepare(`
-  SELECT COUNT(*) as cnt FROM trades
-  WHERE user_id = @userId
-    AND COALESCE(broker, 'robinhood') = @broker
-    AND trans_date = @transDate
-    AND COALESCE(trans_code, '') = @transCode
-    AND symbol = @symbol
-    AND quantity = @quantity
-    AND price = @price
-    AND amount = @amount
-    AND upload_date != @uploadDate
+const selectBrokerDeposits = db.prepare(`
+  SELECT deposit_date, amount FROM deposits
+  WHERE user_id = ? AND COALESCE(broker, 'robinhood') = ?
 `)
 
+// Every table an import batch writes to; each carries a batch_id column.
+const BATCH_TABLES = ['trades', 'deposits', 'share_transfers', 'dividends_interest', 'cash_ledger']
+
 const upsertCsvUpload = db.prepare(`
   INSERT INTO csv_uploads (upload_date, latest_trade_date, trade_count, total_principal, user_id)
   VALUES (@uploadDate, @latestTradeDate, @tradeCount, @totalPrincipal, @userId)
@@ -800,8 +1022,8 @@ const upsertCsvUpload = db.prepare(`
 `)
 
 const insertDeposit = db.prepare(`
-  INSERT INTO deposits (upload_date, deposit_date, amount, description, user_id, broker)
-  VALUES (@uploadDate, @depositDate, @amount, @description, @userId, @broker)
+  INSERT INTO deposits (upload_date, deposit_date, amount, description, user_id, broker, batch_id)
+  VALUES (@uploadDate, @depositDate, @amount, @description, @userId, @broker, @batchId)
 `)
 
 export class DatabaseService {
@@ -1330,8 +1552,9 @@ export class DatabaseService {
     }
   }
 
-  // Save trades from CSV upload
-  saveTrades(trades, uploadDate = null, deposits = [], totalPrincipal = 0, userId = 1, broker = 'robinhood') {
+  // Save trades from CSV upload. `batchId` (see createImportBatch) tags every
+  // row written and records every row removed, so the upload can be undone.
+  saveTrades(trades, uploadDate = null, deposits = [], totalPrincipal = 0, userId = 1, broker = 'robinhood', batchId = null) {
     try {
       // Use provided upload date or generate from latest trade date
       if (!uploadDate && trades.length > 0) {
@@ -1344,72 +1567,67 @@ export class DatabaseService {
         uploadDate = new Date(latestTrade.date || latestTrade.transDate).toISOString().split('T')[0]
       }
 
-      // Delete existing rows for this upload date and user — scoped to THIS
-      // broker. Re-uploading a Webull file must not wipe the Robinhood trades
-      // that happen to share an upload date.
-      db.prepare(`DELETE FROM trades WHERE upload_date = ? AND user_id = ? AND COALESCE(broker,'robinhood') = ?`)
-        .run(uploadDate, userId, broker)
-      db.prepare(`DELETE FROM deposits WHERE upload_date = ? AND user_id = ? AND COALESCE(broker,'robinhood') = ?`)
-        .run(uploadDate, userId, broker)
-
-      // Group CSV trades by dedup key so identical trades can be counted and compared against DB
-      const csvTradeGroups = new Map()
-      for (const trade of trades) {
-        const transDate = new Date(trade.date || trade.transDate).toISOString().split('T')[0]
-        const transCode = trade.transCode || trade.transactionCode || null
-        const key = `${transDate}|${transCode || ''}|${trade.symbol}|${trade.quantity}|${trade.price}|${trade.amount}`
-        if (!csvTradeGroups.has(key)) csvTradeGroups.set(key, [])
-        csvTradeGroups.get(key).push({ ...trade, _transDate: transDate, _transCode: transCode })
-      }
+      // Deposits from this same upload date are a corrected copy's to replace —
+      // scoped to THIS broker, so re-uploading a Webull file can't wipe
+      // Robinhood's. The rest are diffed like the preview shows: one already
+      // stored from an overlapping export isn't stored again.
+      const depositScope = `upload_date = ? AND user_id = ? AND COALESCE(broker,'robinhood') = ?`
+      const replacedDeposits = db.prepare(`SELECT * FROM deposits WHERE ${depositScope}`).all(uploadDate, userId, broker)
+      db.prepare(`DELETE FROM deposits WHERE ${depositScope}`).run(uploadDate, userId, broker)
+      const deposit = diffByKey(deposits, selectBrokerDeposits.all(userId, broker), depositKey)
+
+      // Trades go through the same diff the upload preview shows, so what was
+      // confirmed is what gets written. A stored row the file no longer has is
+      // only removed when it came from this same upload date — i.e. this file
+      // is a corrected copy of the one that put it there.
+      const diff = diffTrades(trades, selectBrokerTrades.all(userId, broker))
+      const stale = diff.missing.filter(r => r.upload_date === uploadDate)
+      const deleteTrade = db.prepare('DELETE FROM trades WHERE id = ?')
+      const selectTrade = db.prepare('SELECT * FROM trades WHERE id = ?')
 
       // Save all trades and deposits in a transaction
-      const saveData = db.transaction((csvTradeGroups, deposits, uploadDate, totalPrincipal, userId) => {
-        for (const [, tradeList] of csvTradeGroups) {
-          const t = tradeList[0]
-          // Count how many times this trade exists in DB from OTHER upload_dates
-          const { cnt: alreadyInDb } = countExistingTrade.get({
-            userId,
-            transDate: t._transDate,
-            transCode: t._transCode || '',
-            symbol: t.symbol,
-            quantity: t.quantity,
-            price: t.price,
-            amount: t.amount,
+      const saveData = db.transaction((uploadDate, totalPrincipal, userId) => {
+        // A revised row replaces the one it revises rather than sitting beside it.
+        const replacedTrades = [...diff.conflicts.map(c => c.existing), ...stale].map(r => selectTrade.get(r.id))
+        for (const row of replacedTrades) deleteTrade.run(row.id)
+        if (batchId) {
+          db.prepare('UPDATE import_batches SET upload_date = ?, replaced_rows = ? WHERE id = ?')
+            .run(uploadDate, JSON.stringify({ trades: replacedTrades, deposits: replacedDeposits }), batchId)
+        }
+
+        for (const trade of [...diff.added, ...diff.conflicts.map(c => c.incoming)]) {
+          insertTrade.run({
             uploadDate,
-            broker
+            transDate: new Date(trade.date || trade.transDate).toISOString().split('T')[0],
+            transCode: trade.transCode || trade.transactionCode || null,
+            symbol: trade.symbol,
+            quantity: trade.quantity,
+            price: trade.price,
+            amount: trade.amount,
+            description: trade.description || null,
+            isBuy: trade.isBuy ? 1 : 0,
+            isOption: trade.isOption ? 1 : 0,
+            contracts: trade.contracts || 1,
+            userId,
+            broker,
+            currency: trade.currency || 'USD',
+            fxRate: trade.fxRate || 1,
+            batchId,
+            isDrip: trade.isDrip ? 1 : 0
           })
-          // Insert only the trades that aren't already covered by other uploads
-          const toInsert = Math.max(0, tradeList.length - alreadyInDb)
-          for (let i = 0; i < toInsert; i++) {
-            const trade = tradeList[i]
-            insertTrade.run({
-              uploadDate,
-              transDate: trade._transDate,
-              transCode: trade._transCode,
-              symbol: trade.symbol,
-              quantity: trade.quantity,
-              price: trade.price,
-              amount: trade.amount,
-              description: trade.description || null,
-              isBuy: trade.isBuy ? 1 : 0,
-              isOption: trade.isOption ? 1 : 0,
-              contracts: trade.contracts || 1,
-              userId,
-              broker
-            })
-          }
         }
 
         // Save deposits
-        for (const deposit of deposits) {
-          const depositDate = new Date(deposit.date).toISOString().split('T')[0]
+        for (const row of deposit.added) {
+          const depositDate = new Date(row.date).toISOString().split('T')[0]
           insertDeposit.run({
             uploadDate,
             depositDate,
-            amount: deposit.amount,
-            description: deposit.description || null,
+            amount: row.amount,
+            description: row.description || null,
             userId,
-            broker
+            broker,
+            batchId
           })
         }
 
@@ -1423,8 +1641,8 @@ export class DatabaseService {
         })
       })
 
-      saveData(csvTradeGroups, deposits, uploadDate, totalPrincipal, userId)
-      console.log(`✅ Saved trades and ${deposits.length} deposits for ${uploadDate} (user: ${userId}, principal: $${totalPrincipal.toFixed(2)})`)
+      saveData(uploadDate, totalPrincipal, userId)
+      console.log(`✅ Saved trades for ${uploadDate}: ${diff.added.length} new, ${diff.duplicates.length} already stored, ${diff.conflicts.length} revised, ${stale.length} dropped; deposits ${deposit.added.length} new, ${deposit.duplicates.length} already stored (user: ${userId}, principal: $${totalPrincipal.toFixed(2)})`)
       return uploadDate
     } catch (error) {
       console.error('Error saving trades:', error)
@@ -1432,6 +1650,41 @@ export class DatabaseService {
     }
   }
 
+  /**
+   * Dry run of saveTrades + saveShareTransfers: what the upload WOULD change,
+   * with nothing written. See importDiff.js for how rows are sorted.
+   *
+   * Missing rows carry `willRemove` — true only for rows stored under this same
+   * upload date, which saveTrades treats as superseded by the new copy.
+   */
+  previewImport({ trades = [], deposits = [], shareTransfers = [], uploadDate, userId = 1, broker = 'robinhood' }) {
+    const row = (t) => ({
+      date: t.trans_date ?? new Date(t.date || t.transDate).toISOString().split('T')[0],
+      transCode: t.trans_code ?? t.transCode ?? '',
+      symbol: t.symbol,
+      quantity: t.quantity,
+      price: t.price,
+      amount: t.amount,
+    })
+    const trade = diffTrades(trades, selectBrokerTrades.all(userId, broker))
+
+    const deposit = diffByKey(deposits, selectBrokerDeposits.all(userId, broker), depositKey)
+    const transfer = diffByKey(shareTransfers, this.getShareTransfers(userId, broker), transferKey)
+
+    return {
+      uploadDate,
+      window: trade.window,
+      trades: {
+        added: trade.added.map(row),
+        duplicates: trade.duplicates.length,
+        conflicts: trade.conflicts.map(c => ({ incoming: row(c.incoming), existing: row(c.existing) })),
+        missing: trade.missing.map(t => ({ ...row(t), uploadDate: t.upload_date, willRemove: t.upload_date === uploadDate })),
+      },
+      deposits: { added: deposit.added.length, duplicates: deposit.duplicates.length },
+      shareTransfers: { added: transfer.added.length, duplicates: transfer.duplicates.length },
+    }
+  }
+
   // Get trades for a specific upload date
   getTrades(uploadDate, userId = 1) {
     try {
@@ -1453,7 +1706,9 @@ export class DatabaseService {
         amount: row.amount,
         description: row.description,
         isBuy: row.is_buy === 1,
-        isOption: row.is_option === 1
+        isOption: row.is_option === 1,
+        currency: row.currency || 'USD',
+        fxRate: row.fx_rate || 1
       }))
     } catch (error) {
       console.error('Error getting trades:', error)
@@ -1515,6 +1770,7 @@ export class DatabaseService {
       return rows.map(row => {
         const f = row.is_option ? 1 : this.splitFactor(splits[row.symbol], row.trans_date)
         return {
+          id: row.id,                  // lot pins refer to trades by id
           date: row.trans_date,
           transDate: row.trans_date,
           transCode: row.trans_code,
@@ -1527,6 +1783,10 @@ export class DatabaseService {
           isOption: row.is_option === 1,
           contracts: row.contracts || 1,
           broker: row.broker || 'robinhood',
+          // Native-currency price/amount; the P&L and tax engines convert.
+          currency: row.currency || 'USD',
+          fxRate: row.fx_rate || 1,
+          isDrip: row.is_drip === 1,
           splitAdjusted: f !== 1 ? f : undefined,
         }
       })
@@ -1693,6 +1953,12 @@ export class DatabaseService {
       db.prepare('DELETE FROM deposits WHERE user_id = ?').run(userId)
       db.prepare('DELETE FROM csv_uploads WHERE user_id = ?').run(userId)
       db.prepare('DELETE FROM short_call_entries WHERE user_id = ?').run(userId)
+      db.prepare('DELETE FROM dividends_interest WHERE user_id = ?').run(userId)
+      db.prepare('DELETE FROM cash_ledger WHERE user_id = ?').run(userId)
+      db.prepare('DELETE FROM import_batches WHERE user_id = ?').run(userId)
+      db.prepare('DELETE FROM lot_pins WHERE user_id = ?').run(userId)
+      db.prepare('DELETE FROM estimated_tax_payments WHERE user_id = ?').run(userId)
+      db.prepare('DELETE FROM statement_balances WHERE user_id = ?').run(userId)
       console.log(`✅ Cleared saved data for user ${userId}`)
     } catch (error) {
       console.error('Error clearing database:', error)
@@ -2151,8 +2417,8 @@ export class DatabaseService {
         -- Counting them as long closes only, as before, left an expired short
         -- open for good.
         SUM(CASE WHEN trans_code IN ('OEXP', 'OASGN', 'OEXC') THEN COALESCE(contracts, 1) ELSE 0 END) as settled_contracts,
-        SUM(CASE WHEN trans_code = 'BTO' THEN amount ELSE 0 END) as total_paid,
-        SUM(CASE WHEN trans_code = 'STO' THEN amount ELSE 0 END) as total_received,
+        SUM(CASE WHEN trans_code = 'BTO' THEN amount * COALESCE(fx_rate, 1) ELSE 0 END) as total_paid,
+        SUM(CASE WHEN trans_code = 'STO' THEN amount * COALESCE(fx_rate, 1) ELSE 0 END) as total_received,
         MAX(trans_date) as last_trade_date
       FROM trades
       WHERE is_option = 1 AND user_id = ?
@@ -2225,15 +2491,20 @@ export class DatabaseService {
    *   on it. 'fifo' prices the shares actually held, which is what a broker
    *   reports. The two legitimately differ for anyone who trades in and out;
    *   callers pick, and nothing changes basis without being asked.
+   *   'elected' relieves lots the way the user set each broker up to (the
+   *   `lotMethods` preference) and honours pinned lots; with every broker on
+   *   FIFO and nothing pinned it is exactly 'fifo'.
+   * @returns { SYMBOL: { position, avgCost } } — a symbol net short has a
+   *   negative position, `short: true`, and the average short price as avgCost
    */
   getStockPositionsWithCost(userId = 1, asOf = null, broker = null, method = 'average') {
     try {
       // Individual rows, not aggregates: FIFO needs each buy's own price, and
       // the split factor depends on each row's date.
       const rows = db.prepare(`
-        SELECT symbol, trans_date, is_buy,
+        SELECT id, symbol, trans_date, trans_code, is_buy, COALESCE(broker,'robinhood') AS broker,
                COALESCE(quantity,0) AS qty,
-               ABS(COALESCE(amount,0)) AS amt
+               ABS(COALESCE(amount,0)) * COALESCE(fx_rate,1) AS amt
         FROM trades
         WHERE (is_option = 0 OR is_option IS NULL) AND user_id = ?
           ${asOf ? 'AND trans_date <= ?' : ''}
@@ -2242,56 +2513,177 @@ export class DatabaseService {
       `).all(...[userId, ...(asOf ? [asOf] : []), ...(broker ? [broker] : [])])
 
       const splits = this.getSplits([...new Set(rows.map(r => r.symbol))])
-      const acc = {}
-      rows.forEach(r => {
-        // A pre-split buy is recorded in pre-split terms: 1 NFLX share at
-        // $1,200 became 10 at $120. Share counts scale, the cash paid does not.
-        const f = this.splitFactor(splits[r.symbol], r.trans_date)
-        const qty = (r.qty || 0) * f
-        if (!(qty > 0)) return
-        const a = acc[r.symbol] || (acc[r.symbol] = { position: 0, buys: [], boughtQty: 0, boughtCost: 0 })
-        if (r.is_buy === 1) {
-          a.position += qty
-          a.buys.push({ qty, perShare: (r.amt || 0) / qty })
-          a.boughtQty += qty
-          a.boughtCost += (r.amt || 0)     // cash paid is unchanged by a split
-        } else {
-          a.position -= qty
-        }
-      })
-
-      const result = {}
-      Object.entries(acc).forEach(([symbol, a]) => {
-        const position = Math.round(a.position * 1e6) / 1e6
-        if (!(position > 0)) return
-
-        let avgCost = 0
-        if (method === 'fifo') {
-          // Newest buys first, taking only as many shares as are still held.
-          let need = position, cost = 0
-          for (let i = a.buys.length - 1; i >= 0 && need > 1e-9; i--) {
-            const take = Math.min(a.buys[i].qty, need)
-            cost += take * a.buys[i].perShare
-            need -= take
-          }
-          // `need` left over means the open shares predate the imported history,
-          // so price what's known and let the rest fall back to that same average
-          // rather than reporting a basis of zero.
-          const covered = position - need
-          avgCost = covered > 1e-9 ? Math.round((cost / covered) * 100) / 100 : 0
-        } else {
-          avgCost = a.boughtQty > 0 ? Math.round((a.boughtCost / a.boughtQty) * 100) / 100 : 0
-        }
-        result[symbol] = { position, avgCost }
-      })
-      console.log(`getStockPositionsWithCost: ${Object.keys(result).length} stock positions for user ${userId}`)
-      return result
+      const { rows: longRows, shorts } = this._separateShorts(rows, splits)
+      const positions = this._longPositions(userId, longRows, splits, method)
+      return this._withShorts(positions, shorts)
     } catch (e) {
       console.error('Error getting stock positions with cost:', e)
       return {}
     }
   }
 
+  // Shorts are kept out of the long-lot logic: an SS opens a short lot and a
+  // BC closes it (shortSales.js), per broker, oldest first. A cover beyond
+  // the open short is an ordinary buy of the rest, so it stays in the rows
+  // returned. `shorts` is, per symbol, the shares still short and what they
+  // were sold for.
+  _separateShorts(rows, splits) {
+    const books = {}
+    const rest = []
+    rows.forEach(r => {
+      const t = { transCode: r.trans_code }
+      if (!isShortSale(t) && !isShortCover(t)) { rest.push(r); return }
+      const f = this.splitFactor(splits[r.symbol], r.trans_date)
+      const qty = (r.qty || 0) * f
+      if (!(qty > 0)) return
+      const key = `${r.broker}\u0000${r.symbol}`
+      const book = books[key] || (books[key] = { symbol: r.symbol, lots: [] })
+      if (isShortSale(t)) {
+        book.lots.push({ quantity: qty, price: (r.amt || 0) / qty, date: r.trans_date })
+        return
+      }
+      const { covered } = coverShorts(book.lots, qty, (r.amt || 0) / qty)
+      const left = qty - covered
+      if (left > 1e-9) rest.push({ ...r, qty: left / f, amt: (r.amt || 0) * left / qty })
+    })
+    const shorts = {}
+    Object.values(books).forEach(b => {
+      const open = openShorts(b.lots)
+      if (!(open.quantity > 1e-9)) return
+      const s = shorts[b.symbol] || (shorts[b.symbol] = { quantity: 0, proceeds: 0 })
+      s.quantity += open.quantity
+      s.proceeds += open.proceeds
+    })
+    return { rows: rest, shorts }
+  }
+
+  // Net the open shorts into the long positions. A symbol that's net short
+  // comes back with a negative position, `short: true`, and the average price
+  // the shares were sold at as its avgCost — what a cover is measured against.
+  _withShorts(positions, shorts) {
+    Object.entries(shorts).forEach(([symbol, s]) => {
+      const net = Math.round(((positions[symbol]?.position || 0) - s.quantity) * 1e6) / 1e6
+      if (net > 0) positions[symbol].position = net
+      else if (net < 0) positions[symbol] = { position: net, avgCost: Math.round((s.proceeds / s.quantity) * 100) / 100, short: true }
+      else delete positions[symbol]
+    })
+    return positions
+  }
+
+  // Shares held long, priced by `method` (see getStockPositionsWithCost).
+  _longPositions(userId, rows, splits, method) {
+    if (method === 'elected') {
+      const lotMethods = this.getPreferences(userId).lotMethods || {}
+      const pins = this.getLotPins(userId)
+      const brokers = new Set(rows.map(r => r.broker))
+      const custom = [...brokers].some(b => lotMethodFor(lotMethods, b) !== 'fifo')
+      if (custom || pins.length) {
+        const result = this._electedPositions(rows, splits, lotMethods, pins)
+        console.log(`getStockPositionsWithCost: ${Object.keys(result).length} stock positions for user ${userId} (elected lots)`)
+        return result
+      }
+      method = 'fifo'
+    }
+    const acc = {}
+    rows.forEach(r => {
+      // A pre-split buy is recorded in pre-split terms: 1 NFLX share at
+      // $1,200 became 10 at $120. Share counts scale, the cash paid does not.
+      const f = this.splitFactor(splits[r.symbol], r.trans_date)
+      const qty = (r.qty || 0) * f
+      if (!(qty > 0)) return
+      const a = acc[r.symbol] || (acc[r.symbol] = { position: 0, buys: [], boughtQty: 0, boughtCost: 0 })
+      if (r.is_buy === 1) {
+        a.position += qty
+        a.buys.push({ qty, perShare: (r.amt || 0) / qty })
+        a.boughtQty += qty
+        a.boughtCost += (r.amt || 0)     // cash paid is unchanged by a split
+      } else {
+        a.position -= qty
+      }
+    })
+
+    const result = {}
+    Object.entries(acc).forEach(([symbol, a]) => {
+      const position = Math.round(a.position * 1e6) / 1e6
+      if (!(position > 0)) return
+
+      let avgCost = 0
+      if (method === 'fifo') {
+        // Newest buys first, taking only as many shares as are still held.
+        let need = position, cost = 0
+        for (let i = a.buys.length - 1; i >= 0 && need > 1e-9; i--) {
+          const take = Math.min(a.buys[i].qty, need)
+          cost += take * a.buys[i].perShare
+          need -= take
+        }
+        // `need` left over means the open shares predate the imported history,
+        // so price what's known and let the rest fall back to that same average
+        // rather than reporting a basis of zero.
+        const covered = position - need
+        avgCost = covered > 1e-9 ? Math.round((cost / covered) * 100) / 100 : 0
+      } else {
+        avgCost = a.boughtQty > 0 ? Math.round((a.boughtCost / a.boughtQty) * 100) / 100 : 0
+      }
+      result[symbol] = { position, avgCost }
+    })
+    console.log(`getStockPositionsWithCost: ${Object.keys(result).length} stock positions for user ${userId}`)
+    return result
+  }
+
+  // The 'elected' basis: drain lots forward per broker and symbol with each
+  // broker's relief method and the user's pins, then price the open position
+  // from what's left. The forward pass can strand lots when the export starts
+  // mid-history (see above), so only as many of the remaining shares as are
+  // actually held are counted, newest first — the same rule 'fifo' uses.
+  _electedPositions(rows, splits, lotMethods, pins) {
+    const pinsBySell = {}
+    pins.forEach(p => (pinsBySell[p.sellTradeId] || (pinsBySell[p.sellTradeId] = [])).push({ buyId: p.buyTradeId, quantity: p.quantity }))
+
+    const books = {}
+    rows.forEach(r => {
+      const f = this.splitFactor(splits[r.symbol], r.trans_date)
+      const qty = (r.qty || 0) * f
+      if (!(qty > 0)) return
+      const key = `${r.broker}\u0000${r.symbol}`
+      const b = books[key] || (books[key] = { symbol: r.symbol, broker: r.broker, position: 0, lots: [] })
+      if (r.is_buy === 1) {
+        b.position += qty
+        b.lots.push({ qty, costPerShare: (r.amt || 0) / qty, date: r.trans_date, buyId: r.id })
+      } else {
+        b.position -= qty
+        const plan = reliefPlan(b.lots, qty, {
+          method: lotMethodFor(lotMethods, r.broker),
+          price: (r.amt || 0) / qty,
+          date: r.trans_date,
+          pins: pinsBySell[r.id] || []
+        })
+        plan.forEach(({ index, qty: k }) => { b.lots[index].qty -= k })
+        b.lots = b.lots.filter(l => l.qty > 1e-9)
+      }
+    })
+
+    const bySymbol = {}
+    Object.values(books).forEach(b => {
+      const s = bySymbol[b.symbol] || (bySymbol[b.symbol] = { position: 0, cost: 0, covered: 0 })
+      s.position += b.position
+      let need = Math.round(b.position * 1e6) / 1e6
+      for (let i = b.lots.length - 1; i >= 0 && need > 1e-9; i--) {
+        const take = Math.min(b.lots[i].qty, need)
+        s.cost += take * b.lots[i].costPerShare
+        s.covered += take
+        need -= take
+      }
+    })
+
+    const result = {}
+    Object.entries(bySymbol).forEach(([symbol, s]) => {
+      const position = Math.round(s.position * 1e6) / 1e6
+      if (!(position > 0)) return
+      result[symbol] = { position, avgCost: s.covered > 1e-9 ? Math.round((s.cost / s.covered) * 100) / 100 : 0 }
+    })
+    return result
+  }
+
   // Realized stock P&L per symbol (average-cost method), INCLUDING fully-closed positions.
   // Uses quantity × price (matching the Dashboard's calculation) so the two agree.
   // realized = sell proceeds − avgCost × shares sold, where avgCost = total buy cost / total shares bought.
@@ -2304,9 +2696,9 @@ export class DatabaseService {
         SELECT
           symbol,
           SUM(CASE WHEN is_buy = 1 THEN COALESCE(quantity,0) ELSE 0 END) AS total_bought,
-          SUM(CASE WHEN is_buy = 1 THEN COALESCE(quantity,0) * COALESCE(price,0) ELSE 0 END) AS total_buy_cost,
+          SUM(CASE WHEN is_buy = 1 THEN COALESCE(quantity,0) * COALESCE(price,0) * COALESCE(fx_rate,1) ELSE 0 END) AS total_buy_cost,
           SUM(CASE WHEN is_buy = 0 THEN COALESCE(quantity,0) ELSE 0 END) AS total_sold,
-          SUM(CASE WHEN is_buy = 0 THEN COALESCE(quantity,0) * COALESCE(price,0) ELSE 0 END) AS total_sell_proceeds
+          SUM(CASE WHEN is_buy = 0 THEN COALESCE(quantity,0) * COALESCE(price,0) * COALESCE(fx_rate,1) ELSE 0 END) AS total_sell_proceeds
         FROM trades
         WHERE (is_option = 0 OR is_option IS NULL) AND user_id = ?
           ${asOf ? 'AND trans_date <= ?' : ''}
@@ -2581,6 +2973,21 @@ export class DatabaseService {
     } catch (e) { console.error('Error setting earnings:', e.message) }
   }
 
+  // Cached next ex-dividend per ticker (Nasdaq); null ex_date for non-payers.
+  getExDividend(ticker) {
+    try { return db.prepare('SELECT ex_date, amount, estimated, updated_at FROM ex_dividend_cache WHERE ticker = ?').get((ticker || '').toUpperCase()) || null }
+    catch (e) { return null }
+  }
+  setExDividend(ticker, div) {
+    try {
+      db.prepare(`
+        INSERT INTO ex_dividend_cache (ticker, ex_date, amount, estimated, updated_at) VALUES (?, ?, ?, ?, strftime('%s','now'))
+        ON CONFLICT(ticker) DO UPDATE SET ex_date=excluded.ex_date, amount=excluded.amount,
+          estimated=excluded.estimated, updated_at=strftime('%s','now')
+      `).run((ticker || '').toUpperCase(), div?.exDate ?? null, div?.amount ?? null, div?.estimated ? 1 : 0)
+    } catch (e) { console.error('Error setting ex-dividend:', e.message) }
+  }
+
   // Get cached vol-scan rows for a set of tickers
   getVolScanCache(tickers) {
     try {
@@ -2675,7 +3082,8 @@ export class DatabaseService {
    *
    * Amounts are stored absolute, so direction comes from the trans code. An
    * expiry carries no cash at all and contributes nothing here — what it did to
-   * the position shows up in the market value instead.
+   * the position shows up in the market value instead. Non-USD rows are
+   * converted at their trade-date fx_rate.
    */
   getCashFlows(userId = 1, broker = null) {
     try {
@@ -2683,11 +3091,12 @@ export class DatabaseService {
         SELECT
           SUM(CASE WHEN COALESCE(is_option,0) = 0
                    THEN (CASE WHEN is_buy = 1 THEN -ABS(COALESCE(amount,0)) ELSE ABS(COALESCE(amount,0)) END)
+                        * COALESCE(fx_rate,1)
                    ELSE 0 END) AS stock_cash,
           SUM(CASE WHEN COALESCE(is_option,0) = 1
                    THEN (CASE WHEN UPPER(COALESCE(trans_code,'')) IN ('BTO','BTC') THEN -ABS(COALESCE(amount,0))
                               WHEN UPPER(COALESCE(trans_code,'')) IN ('STO','STC') THEN  ABS(COALESCE(amount,0))
-                              ELSE 0 END)
+                              ELSE 0 END) * COALESCE(fx_rate,1)
                    ELSE 0 END) AS option_cash
         FROM trades
         WHERE user_id = ?
@@ -2703,15 +3112,59 @@ export class DatabaseService {
     }
   }
 
+  /**
+   * Deposits and withdrawals as dated external flows, for the returns engine.
+   * Withdrawals come from the cash ledger, negative.
+   */
+  getExternalFlows(userId = 1, broker = null) {
+    try {
+      const flows = db.prepare(`
+        SELECT deposit_date AS date, amount, COALESCE(broker,'robinhood') AS broker
+        FROM deposits
+        WHERE user_id = ?
+          ${broker ? "AND COALESCE(broker,'robinhood') = ?" : ''}
+      `).all(...[userId, ...(broker ? [broker] : [])])
+      for (const e of this.getCashLedger(userId, broker)) {
+        if (e.type === 'withdrawal') flows.push({ date: e.date, amount: e.amount, broker: e.broker })
+      }
+      return flows.sort((a, b) => a.date.localeCompare(b.date))
+    } catch (e) {
+      console.error('Error getting external flows:', e)
+      return []
+    }
+  }
+
+  // Snapshot marks by day — { dates, prices: { [day]: { [symbol]: price } } }.
+  // The returns engine values every broker's holdings against these.
+  getSnapshotPrices(userId = 1) {
+    try {
+      const rows = db.prepare(`
+        SELECT asof_date, symbol, current_price
+        FROM pnl_snapshots
+        WHERE user_id = ?
+        ORDER BY asof_date ASC
+      `).all(userId)
+      const prices = {}
+      for (const r of rows) {
+        if (!prices[r.asof_date]) prices[r.asof_date] = {}
+        if (r.current_price > 0) prices[r.asof_date][r.symbol] = r.current_price
+      }
+      return { dates: Object.keys(prices), prices }
+    } catch (e) {
+      console.error('Error getting snapshot prices:', e)
+      return { dates: [], prices: {} }
+    }
+  }
+
   // ── Share transfers ─────────────────────────────────────────────────────
   // UNIQUE on the whole row, so re-importing the same export doesn't stack up
   // duplicate journals the way a second upload otherwise would.
-  saveShareTransfers(userId, transfers = []) {
+  saveShareTransfers(userId, transfers = [], batchId = null) {
     if (!transfers.length) return 0
     const stmt = db.prepare(`
       INSERT OR IGNORE INTO share_transfers
-        (user_id, broker, symbol, transfer_date, quantity, direction, description)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+        (user_id, broker, symbol, transfer_date, quantity, direction, description, batch_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
     `)
     let n = 0
     const run = db.transaction(list => {
@@ -2719,7 +3172,7 @@ export class DatabaseService {
         if (!t?.symbol || !(t.quantity > 0)) return
         const r = stmt.run(
           userId, t.broker || 'robinhood', String(t.symbol).toUpperCase(),
-          t.date, t.quantity, t.direction === 'out' ? 'out' : 'in', t.description || null
+          t.date, t.quantity, t.direction === 'out' ? 'out' : 'in', t.description || null, batchId
         )
         n += r.changes || 0
       })
@@ -2743,6 +3196,320 @@ export class DatabaseService {
     }
   }
 
+  // ── Dividends and interest ──────────────────────────────────────────────
+  // Same shape the parsers return, so a session restored from the database
+  // looks exactly like one fresh from an upload.
+  saveDividendsAndInterest(userId, rows = [], broker = 'robinhood', batchId = null) {
+    if (!rows.length) return 0
+    const stmt = db.prepare(`
+      INSERT OR IGNORE INTO dividends_interest
+        (user_id, broker, pay_date, symbol, amount, trans_code, description, batch_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `)
+    let n = 0
+    const run = db.transaction(list => {
+      list.forEach(d => {
+        if (!d?.date || !Number.isFinite(d.amount)) return
+        const payDate = new Date(d.date).toISOString().split('T')[0]
+        n += stmt.run(
+          userId, d.broker || broker, payDate, d.symbol || '', d.amount,
+          d.transCode || null, d.description || null, batchId
+        ).changes || 0
+      })
+    })
+    try { run(rows) } catch (e) { console.error('Error saving dividends/interest:', e) }
+    return n
+  }
+
+  saveCashLedger(userId, rows = [], broker = 'robinhood', batchId = null) {
+    if (!rows.length) return 0
+    const stmt = db.prepare(`
+      INSERT OR IGNORE INTO cash_ledger
+        (user_id, broker, entry_date, type, amount, trans_code, description, batch_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `)
+    let n = 0
+    const run = db.transaction(list => {
+      list.forEach(e => {
+        if (!e?.date || !e.type || !Number.isFinite(e.amount)) return
+        const entryDate = new Date(e.date).toISOString().split('T')[0]
+        n += stmt.run(
+          userId, e.broker || broker, entryDate, e.type, e.amount,
+          e.transCode || null, e.description || null, batchId
+        ).changes || 0
+      })
+    })
+    try { run(rows) } catch (e) { console.error('Error saving cash ledger:', e) }
+    return n
+  }
+
+  // Ledger rows oldest first — { id, date: 'YYYY-MM-DD', type, amount, transCode, description, broker }.
+  getCashLedger(userId = 1, broker = null) {
+    try {
+      return db.prepare(`
+        SELECT id, broker, entry_date, type, amount, trans_code, description
+        FROM cash_ledger
+        WHERE user_id = ?
+          ${broker ? 'AND broker = ?' : ''}
+        ORDER BY entry_date ASC, id ASC
+      `).all(...[userId, ...(broker ? [broker] : [])]).map(r => ({
+        id: r.id,
+        date: r.entry_date,
+        type: r.type,
+        amount: r.amount,
+        transCode: r.trans_code,
+        description: r.description || '',
+        broker: r.broker,
+      }))
+    } catch (e) {
+      console.error('Error getting cash ledger:', e)
+      return []
+    }
+  }
+
+  // Tag dividend reinvestment buys across everything stored — a buy can arrive
+  // in one file and the dividend that paid for it in the next.
+  tagDripTrades(userId = 1) {
+    try {
+      return retagDripTrades(userId)
+    } catch (e) {
+      console.error('Error tagging dividend reinvestments:', e)
+      return 0
+    }
+  }
+
+  getDividendsAndInterest(userId = 1, broker = null) {
+    try {
+      return db.prepare(`
+        SELECT id, broker, pay_date, symbol, amount, trans_code, description
+        FROM dividends_interest
+        WHERE user_id = ?
+          ${broker ? 'AND broker = ?' : ''}
+        ORDER BY pay_date ASC
+      `).all(...[userId, ...(broker ? [broker] : [])]).map(r => ({
+        id: r.id,
+        date: new Date(`${r.pay_date}T12:00:00`),
+        symbol: r.symbol,
+        amount: r.amount,
+        transCode: r.trans_code,
+        isDividend: r.trans_code === 'CDIV' || r.trans_code === 'MDIV',
+        isInterest: r.trans_code === 'INT' || r.trans_code === 'MINT',
+        isInLieu: r.trans_code === IN_LIEU_CODE,
+        description: r.description || '',
+        broker: r.broker,
+      }))
+    } catch (e) {
+      console.error('Error getting dividends/interest:', e)
+      return []
+    }
+  }
+
+  // ── Import batches ──────────────────────────────────────────────────────
+  createImportBatch(userId, broker = 'robinhood', fileName = null) {
+    return db.prepare('INSERT INTO import_batches (user_id, broker, file_name) VALUES (?, ?, ?)')
+      .run(userId, broker, fileName).lastInsertRowid
+  }
+
+  /**
+   * The user's uploads, newest first, with how many rows each one still owns
+   * and the trade-date span those cover.
+   */
+  getImportBatches(userId = 1) {
+    try {
+      return db.prepare(`
+        SELECT b.id, b.broker, b.upload_date, b.file_name, b.created_at,
+          (SELECT COUNT(*) FROM trades WHERE batch_id = b.id) AS trade_count,
+          (SELECT MIN(trans_date) FROM trades WHERE batch_id = b.id) AS first_trade_date,
+          (SELECT MAX(trans_date) FROM trades WHERE batch_id = b.id) AS last_trade_date,
+          (SELECT COUNT(*) FROM deposits WHERE batch_id = b.id) AS deposit_count,
+          (SELECT COUNT(*) FROM dividends_interest WHERE batch_id = b.id) AS income_count,
+          (SELECT COUNT(*) FROM share_transfers WHERE batch_id = b.id) AS transfer_count,
+          (SELECT COUNT(*) FROM cash_ledger WHERE batch_id = b.id) AS cash_count,
+          b.replaced_rows
+        FROM import_batches b
+        WHERE b.user_id = ?
+        ORDER BY b.created_at DESC, b.id DESC
+      `).all(userId).map(({ replaced_rows, ...b }) => {
+        const r = replaced_rows ? JSON.parse(replaced_rows) : { trades: [], deposits: [] }
+        return { ...b, replaced_count: r.trades.length + r.deposits.length }
+      })
+    } catch (e) {
+      console.error('Error getting import batches:', e)
+      return []
+    }
+  }
+
+  /**
+   * Take one upload back out: delete every row it wrote, put back every row
+   * it replaced, and forget the batch.
+   *
+   * Rows an upload only matched (duplicates) were never its own — they stay
+   * with the batch that first wrote them, so undoing a re-upload leaves the
+   * original data in place. Any LATER batch that in turn replaced one of this
+   * batch's rows has it struck from its own undo list, or undoing that batch
+   * afterwards would resurrect a row that was already rolled back.
+   *
+   * Returns { removed: {table: n}, restored: {trades, deposits}, fromDate } —
+   * fromDate is the earliest trade date touched, from which P&L snapshots are
+   * stale — or null when the batch isn't this user's.
+   */
+  rollbackImportBatch(userId, batchId) {
+    const batch = db.prepare('SELECT * FROM import_batches WHERE id = ? AND user_id = ?').get(batchId, userId)
+    if (!batch) return null
+
+    const replaced = batch.replaced_rows ? JSON.parse(batch.replaced_rows) : { trades: [], deposits: [] }
+    const restoreInto = (table, rows) => {
+      for (const row of rows) {
+        const cols = Object.keys(row)
+        db.prepare(`INSERT OR IGNORE INTO ${table} (${cols.join(', ')}) VALUES (${cols.map(c => '@' + c).join(', ')})`).run(row)
+      }
+    }
+
+    const result = { removed: {}, restored: { trades: replaced.trades.length, deposits: replaced.deposits.length }, fromDate: null }
+    db.transaction(() => {
+      const dates = [
+        ...db.prepare('SELECT trans_date FROM trades WHERE batch_id = ?').all(batchId).map(r => r.trans_date),
+        ...replaced.trades.map(r => r.trans_date),
+      ].sort()
+      result.fromDate = dates[0] || null
+
+      // A pin on one of the batch's trades would point at a row that's gone.
+      result.removed.lot_pins = db.prepare(`
+        DELETE FROM lot_pins WHERE user_id = ? AND (
+          sell_trade_id IN (SELECT id FROM trades WHERE batch_id = ? AND user_id = ?)
+          OR buy_trade_id IN (SELECT id FROM trades WHERE batch_id = ? AND user_id = ?)
+        )
+      `).run(userId, batchId, userId, batchId, userId).changes
+      for (const table of BATCH_TABLES) {
+        result.removed[table] = db.prepare(`DELETE FROM ${table} WHERE batch_id = ? AND user_id = ?`).run(batchId, userId).changes
+      }
+      restoreInto('trades', replaced.trades)
+      restoreInto('deposits', replaced.deposits)
+
+      for (const later of db.prepare('SELECT id, replaced_rows FROM import_batches WHERE user_id = ? AND id > ? AND replaced_rows IS NOT NULL').all(userId, batchId)) {
+        const r = JSON.parse(later.replaced_rows)
+        const keep = { trades: r.trades.filter(t => t.batch_id !== batchId), deposits: r.deposits.filter(d => d.batch_id !== batchId) }
+        db.prepare('UPDATE import_batches SET replaced_rows = ? WHERE id = ?').run(JSON.stringify(keep), later.id)
+      }
+
+      db.prepare('DELETE FROM import_batches WHERE id = ?').run(batchId)
+      // The upload-date index goes too once nothing is filed under that date.
+      if (batch.upload_date) {
+        const left = db.prepare('SELECT (SELECT COUNT(*) FROM trades WHERE user_id = ? AND upload_date = ?) + (SELECT COUNT(*) FROM deposits WHERE user_id = ? AND upload_date = ?) AS n')
+          .get(userId, batch.upload_date, userId, batch.upload_date).n
+        if (!left) db.prepare('DELETE FROM csv_uploads WHERE user_id = ? AND upload_date = ?').run(userId, batch.upload_date)
+      }
+    })()
+    console.log(`↩️ Rolled back import batch ${batchId} (user: ${userId}): ${JSON.stringify(result.removed)}, restored ${result.restored.trades} trade(s)`)
+    return result
+  }
+
+  // ── Lot pins (specific identification) ─────────────────────────────────
+  // Quantities are in split-adjusted shares, the units getAllTradesForUser
+  // hands the tax engine.
+  getLotPins(userId = 1) {
+    try {
+      return db.prepare(`
+        SELECT sell_trade_id, buy_trade_id, quantity FROM lot_pins
+        WHERE user_id = ? ORDER BY sell_trade_id, id
+      `).all(userId).map(r => ({ sellTradeId: r.sell_trade_id, buyTradeId: r.buy_trade_id, quantity: r.quantity }))
+    } catch (e) {
+      console.error('Error getting lot pins:', e)
+      return []
+    }
+  }
+
+  /**
+   * Replace the pins on one sale. Each pinned purchase has to be a buy of the
+   * same stock at the same broker, on or before the sale; if any isn't,
+   * nothing is written and the offenders are reported back. An empty list
+   * unpins the sale.
+   *
+   * Returns { pins, rejected: [buyTradeId] }, or null when the sale isn't one
+   * of this user's stock sales.
+   */
+  setLotPins(userId, sellTradeId, lots = []) {
+    const sell = db.prepare(`
+      SELECT id, symbol, trans_date, COALESCE(broker,'robinhood') AS broker, quantity
+      FROM trades WHERE id = ? AND user_id = ? AND is_buy = 0 AND (is_option = 0 OR is_option IS NULL)
+    `).get(sellTradeId, userId)
+    if (!sell) return null
+
+    const buyOk = db.prepare(`
+      SELECT 1 FROM trades
+      WHERE id = ? AND user_id = ? AND symbol = ? AND COALESCE(broker,'robinhood') = ?
+        AND is_buy = 1 AND (is_option = 0 OR is_option IS NULL) AND trans_date <= ?
+    `)
+    const pins = []
+    const rejected = []
+    for (const l of lots) {
+      if (buyOk.get(l.buyTradeId, userId, sell.symbol, sell.broker, sell.trans_date)) pins.push(l)
+      else rejected.push(l.buyTradeId)
+    }
+    if (rejected.length) return { pins: [], rejected }
+    db.transaction(() => {
+      db.prepare('DELETE FROM lot_pins WHERE user_id = ? AND sell_trade_id = ?').run(userId, sellTradeId)
+      const insert = db.prepare('INSERT OR REPLACE INTO lot_pins (user_id, sell_trade_id, buy_trade_id, quantity) VALUES (?, ?, ?, ?)')
+      for (const l of pins) insert.run(userId, sellTradeId, l.buyTradeId, l.quantity)
+    })()
+    return { pins: pins.map(l => ({ sellTradeId, buyTradeId: l.buyTradeId, quantity: l.quantity })), rejected }
+  }
+
+  // Shares in a stock sale, split-adjusted — the most its pins may add up to.
+  stockSaleShares(userId, sellTradeId) {
+    const sell = db.prepare('SELECT symbol, trans_date, quantity FROM trades WHERE id = ? AND user_id = ?').get(sellTradeId, userId)
+    if (!sell) return null
+    return sell.quantity * this.splitFactor(this.getSplits([sell.symbol])[sell.symbol], sell.trans_date)
+  }
+
+  // ── Estimated tax payments ──────────────────────────────────────────────
+  getEstimatedPayments(userId = 1, taxYear = null) {
+    return db.prepare(`
+      SELECT id, tax_year, paid_date, amount, note FROM estimated_tax_payments
+      WHERE user_id = ? ${taxYear ? 'AND tax_year = ?' : ''}
+      ORDER BY paid_date, id
+    `).all(...(taxYear ? [userId, taxYear] : [userId]))
+      .map(r => ({ id: r.id, taxYear: r.tax_year, paidDate: r.paid_date, amount: r.amount, note: r.note || '' }))
+  }
+
+  addEstimatedPayment(userId = 1, { taxYear, paidDate, amount, note = '' }) {
+    const info = db.prepare(`
+      INSERT INTO estimated_tax_payments (user_id, tax_year, paid_date, amount, note) VALUES (?, ?, ?, ?, ?)
+    `).run(userId, taxYear, paidDate, amount, note || null)
+    return Number(info.lastInsertRowid)
+  }
+
+  // False when the payment isn't this user's.
+  deleteEstimatedPayment(userId = 1, id) {
+    return db.prepare('DELETE FROM estimated_tax_payments WHERE id = ? AND user_id = ?').run(id, userId).changes > 0
+  }
+
+  // ── Statement balances ──────────────────────────────────────────────────
+  getStatementBalances(userId = 1, broker = null) {
+    return db.prepare(`
+      SELECT broker, month, ending_cash, ending_equity FROM statement_balances
+      WHERE user_id = ? ${broker ? 'AND broker = ?' : ''}
+      ORDER BY broker, month
+    `).all(...(broker ? [userId, broker] : [userId]))
+      .map(r => ({ broker: r.broker, month: r.month, endingCash: r.ending_cash, endingEquity: r.ending_equity }))
+  }
+
+  saveStatementBalance(userId = 1, { broker = 'robinhood', month, endingCash, endingEquity = null }) {
+    db.prepare(`
+      INSERT INTO statement_balances (user_id, broker, month, ending_cash, ending_equity)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(user_id, broker, month) DO UPDATE SET
+        ending_cash = excluded.ending_cash,
+        ending_equity = excluded.ending_equity,
+        updated_at = strftime('%s', 'now')
+    `).run(userId, broker, month, endingCash, endingEquity)
+  }
+
+  // False when there was nothing entered for that month.
+  deleteStatementBalance(userId = 1, broker, month) {
+    return db.prepare('DELETE FROM statement_balances WHERE user_id = ? AND broker = ? AND month = ?').run(userId, broker, month).changes > 0
+  }
+
   // ── Per-user view preferences ───────────────────────────────────────────
   getPreferences(userId) {
     try {
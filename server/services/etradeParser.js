@@ -0,0 +1,300 @@
+/**
+ * E*TRADE (Morgan Stanley) transactions CSV → the trade / dividend / deposit
+ * shapes the rest of the app uses.
+ *
+ * Two headers are in circulation. The classic E*TRADE download:
+ *   TransactionDate,TransactionType,SecurityType,Symbol,Quantity,Amount,Price,Commission,Description
+ * and the Morgan Stanley-era activity export:
+ *   Activity/Trade Date,Transaction Date,Settlement Date,Activity Type,Description,
+ *   Symbol,Cusip,Quantity #,Price $,Amount $,Commission,Category,Note
+ * Both carry the same facts under different names, so columns are read through
+ * a list of aliases rather than two parsers.
+ *
+ * Things this has to bridge:
+ *  - A few "For Account:" / "Download Date:" lines sit above the header.
+ *  - Dates use a two-digit year ("01/15/26").
+ *  - TransactionType is a phrase ("Bought To Open", "Sold Short"). "Bought To
+ *    Cover" closes a short option or a short stock, depending on SecurityType.
+ *  - Options appear as "AAPL Jan 17 '26 $200 Call" in Symbol, or as an OCC
+ *    symbol in the newer export.
+ *  - Amount is signed and net of commission, so it is authoritative.
+ *  - "Margin Interest" is a debit under the same type word as interest
+ *    earned. Charged interest is a cost and goes to the cash ledger, with
+ *    withdrawals, fees and tax withheld (see utils/cashLedger.js).
+ */
+
+import Papa from 'papaparse'
+import { classifyCashRow, netPrincipal } from '../utils/cashLedger.js'
+
+const money = (v) => {
+  if (v === null || v === undefined) return 0
+  const raw = String(v).trim()
+  if (!raw) return 0
+  const negative = raw.startsWith('-') || (raw.startsWith('(') && raw.endsWith(')'))
+  const n = parseFloat(raw.replace(/[$,()\s-]/g, ''))
+  if (!Number.isFinite(n)) return 0
+  return negative ? -n : n
+}
+
+const qty = (v) => {
+  const n = parseFloat(String(v ?? '').replace(/[,\s]/g, ''))
+  return Number.isFinite(n) ? Math.abs(n) : 0
+}
+
+const COLUMNS = {
+  date: ['TransactionDate', 'Activity/Trade Date', 'Transaction Date', 'Date'],
+  type: ['TransactionType', 'Activity Type', 'Type'],
+  security: ['SecurityType', 'Security Type', 'Category'],
+  symbol: ['Symbol'],
+  quantity: ['Quantity', 'Quantity #'],
+  price: ['Price', 'Price $'],
+  amount: ['Amount', 'Amount $'],
+  description: ['Description'],
+}
+const col = (row, key) => {
+  for (const name of COLUMNS[key]) if (row[name] !== undefined) return row[name]
+  return undefined
+}
+
+/**
+ * "01/15/26" or "01/15/2026" → "2026-01-15". Two-digit years are 20xx.
+ */
+export function parseEtradeDate(value) {
+  if (!value) return null
+  const m = String(value).trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\b/)
+  if (!m) return null
+  const [, mo, day, yr] = m
+  return `${yr.length === 2 ? `20${yr}` : yr}-${mo.padStart(2, '0')}-${day.padStart(2, '0')}`
+}
+
+const MONTHS = { JAN: 1, FEB: 2, MAR: 3, APR: 4, MAY: 5, JUN: 6, JUL: 7, AUG: 8, SEP: 9, OCT: 10, NOV: 11, DEC: 12 }
+
+const rhOption = (ticker, mo, day, yr, type, strike) =>
+  `${ticker} ${String(mo).padStart(2, '0')}/${String(day).padStart(2, '0')}/${yr} ${type} $${parseFloat(strike).toFixed(2)}`
+
+/**
+ * E*TRADE option symbol or description → the Robinhood description the rest of
+ * the app parses ("AAPL 01/17/2026 Call $200.00"). Returns null for a stock.
+ */
+export function normalizeEtradeOption(symbol, description) {
+  for (const raw of [symbol, description].filter(Boolean).map(s => String(s).trim())) {
+    // "AAPL Jan 17 '26 $200 Call"
+    let m = raw.match(/^([A-Z.]+)\s+([A-Za-z]{3})\s+(\d{1,2})\s+'?(\d{2}|\d{4})\s+\$?([\d.]+)\s+(Call|Put)\b/i)
+    if (m && MONTHS[m[2].toUpperCase()]) {
+      const [, ticker, mon, day, yr, strike, cp] = m
+      return rhOption(ticker.toUpperCase(), MONTHS[mon.toUpperCase()], day, yr.length === 2 ? `20${yr}` : yr, /^c/i.test(cp) ? 'Call' : 'Put', strike)
+    }
+    // "CALL AAPL 01/17/26 200.00" — the Description column
+    m = raw.match(/^(CALL|PUT)\s+([A-Z.]+)\s+(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\s+\$?([\d.]+)/i)
+    if (m) {
+      const [, cp, ticker, mo, day, yr, strike] = m
+      return rhOption(ticker.toUpperCase(), mo, day, yr.length === 2 ? `20${yr}` : yr, /^c/i.test(cp) ? 'Call' : 'Put', strike)
+    }
+    // OCC, strike x1000 padded to eight digits: "AAPL  260117C00200000"
+    m = raw.replace(/\s+/g, '').match(/^([A-Z]+)(\d{2})(\d{2})(\d{2})([CP])(\d{8})$/)
+    if (m) {
+      const [, ticker, yy, mo, day, cp, strike] = m
+      return rhOption(ticker, mo, day, `20${yy}`, cp === 'C' ? 'Call' : 'Put', parseInt(strike, 10) / 1000)
+    }
+    // Already in Robinhood form
+    if (/^[A-Z]+\s+\d{1,2}\/\d{1,2}\/\d{4}\s+(Call|Put)\s+\$?[\d.]+/i.test(raw)) return raw
+  }
+  return null
+}
+
+// Transaction types that move a position. "Bought To Cover" and "Sold Short"
+// are resolved separately: older exports use them for option legs too, where
+// they mean BTC and STO rather than a stock short.
+const TYPE_TO_CODE = {
+  'bought': 'Buy',
+  'buy': 'Buy',
+  'sold': 'Sell',
+  'sell': 'Sell',
+  'reinvestment': 'Buy',
+  'dividend reinvestment': 'Buy',
+  'bought to open': 'BTO',
+  'sold to open': 'STO',
+  'bought to close': 'BTC',
+  'sold to close': 'STC',
+  'sold short': 'SS',
+  'option expiration': 'OEXP',
+  'expired': 'OEXP',
+  'option assignment': 'OASGN',
+  'assigned': 'OASGN',
+  'option exercise': 'OEXC',
+  'exercised': 'OEXC',
+}
+
+const DIVIDEND_TYPES = /dividend|capital gain|return of capital/i
+const INTEREST_TYPES = /interest/i
+const DEPOSIT_TYPES = /transfer|deposit|wire|\bach\b|contribution|journal|withdrawal/i
+
+/**
+ * Parse an E*TRADE / Morgan Stanley transactions CSV.
+ *
+ * Returns { trades, dividendsAndInterest, deposits, cashLedger, transfers, totalPrincipal, skipped, warnings }.
+ */
+export function parseEtradeTransactions(input) {
+  const text = Buffer.isBuffer(input) ? input.toString('utf8') : String(input)
+  const lines = text.replace(/^﻿/, '').split(/\r?\n/)
+  const headerIdx = lines.findIndex(l =>
+    /^\s*"?(TransactionDate|Activity\/Trade Date)"?\s*,/i.test(l)
+  )
+  if (headerIdx < 0) {
+    throw new Error('This does not look like an E*TRADE transactions export (no TransactionDate column)')
+  }
+
+  const results = Papa.parse(lines.slice(headerIdx).join('\n'), {
+    header: true, skipEmptyLines: true, transformHeader: h => h.trim(),
+  })
+  const rows = results.data || []
+
+  const trades = []
+  const dividendsAndInterest = []
+  const deposits = []
+  const cashLedger = []  // see utils/cashLedger.js
+  const transfers = []
+  const warnings = []
+  let skipped = 0
+
+  rows.forEach((row, index) => {
+    const type = String(col(row, 'type') || '').trim()
+    if (!type) { skipped++; return }
+    const date = parseEtradeDate(col(row, 'date'))
+    if (!date) { skipped++; warnings.push(`Row ${index + 2}: unreadable date`); return }
+
+    const key = type.toLowerCase()
+    const symbol = String(col(row, 'symbol') || '').trim()
+    const description = String(col(row, 'description') || '').trim()
+    const security = String(col(row, 'security') || '').trim().toUpperCase()
+    const amount = money(col(row, 'amount'))
+    const shares = qty(col(row, 'quantity'))
+    const toLedger = (kind) => cashLedger.push({
+      date: new Date(`${date}T12:00:00`),
+      type: kind,
+      amount,
+      transCode: null,
+      description: description || type,
+      broker: 'etrade',
+    })
+
+    // ── Margin interest: "interest", but charged rather than earned ──
+    if (!TYPE_TO_CODE[key] && INTEREST_TYPES.test(type) && (amount < 0 || /margin/i.test(`${type} ${description}`))) {
+      if (amount) toLedger('margin_interest')
+      return
+    }
+
+    // ── Income ──
+    if (!TYPE_TO_CODE[key] && (DIVIDEND_TYPES.test(type) || INTEREST_TYPES.test(type))) {
+      const isDividend = DIVIDEND_TYPES.test(type)
+      dividendsAndInterest.push({
+        id: index,
+        date: new Date(`${date}T12:00:00`),
+        symbol,
+        amount: Math.abs(amount),
+        transCode: isDividend ? 'CDIV' : 'INT',
+        isDividend,
+        isInterest: !isDividend,
+        description: description || type,
+        broker: 'etrade',
+      })
+      return
+    }
+
+    // ── Cash in/out, and share movements that look like it ──
+    // A fee first: "Wire Fee" is a fee, not a wire.
+    if (DEPOSIT_TYPES.test(type) && !/\bfees?\b/i.test(type)) {
+      // A transfer with a security and a share count moved stock, not money.
+      if (symbol && shares > 0) {
+        transfers.push({
+          date,
+          symbol,
+          quantity: shares,
+          direction: money(col(row, 'quantity')) < 0 || /out|deliver|withdraw/i.test(`${type} ${description}`) ? 'out' : 'in',
+          description: description || type,
+          broker: 'etrade',
+        })
+        warnings.push(
+          `${date}: ${shares} ${symbol} moved by "${type}". ` +
+          'Share transfers carry no cost basis in this file — the position and its ' +
+          'basis will not be right until the original purchase is entered.'
+        )
+        return
+      }
+      // Money out is a withdrawal, which comes off principal.
+      if (amount > 0) {
+        deposits.push({
+          date: new Date(`${date}T12:00:00`),
+          amount: Math.abs(amount),
+          description: description || type,
+          broker: 'etrade',
+        })
+      } else if (amount < 0) {
+        toLedger('withdrawal')
+      }
+      return
+    }
+
+    // ── Trades ──
+    const optionDesc = normalizeEtradeOption(symbol, description)
+    const isOption = !!optionDesc || security === 'OPTN'
+    const transCode = key === 'bought to cover'
+      ? (isOption ? 'BTC' : 'BC')
+      : (key === 'sold short' && isOption ? 'STO' : TYPE_TO_CODE[key])
+    if (!transCode) {
+      // Not a trade. If it moved cash — fees, tax withheld — it goes in the
+      // ledger; corporate actions that moved none are skipped.
+      const kind = shares > 0 && !amount ? null : classifyCashRow({ text: `${type} ${description}`, amount })
+      if (kind === 'deposit') {
+        deposits.push({ date: new Date(`${date}T12:00:00`), amount, description: description || type, broker: 'etrade' })
+      } else if (kind) {
+        toLedger(kind)
+      } else {
+        skipped++
+      }
+      return
+    }
+    if (isOption && !optionDesc) {
+      skipped++
+      warnings.push(`Row ${index + 2}: option "${symbol || description}" could not be read`)
+      return
+    }
+    if (!symbol && !optionDesc) { skipped++; return }
+    if (!(shares > 0)) { skipped++; return }
+
+    const price = money(col(row, 'price'))
+    const isBuy = ['Buy', 'BTO', 'BTC', 'BC'].includes(transCode)
+    const gross = isOption ? price * shares * 100 : price * shares
+    const signed = amount !== 0 ? amount : (isBuy ? -Math.abs(gross) : Math.abs(gross))
+
+    trades.push({
+      date,
+      transDate: date,
+      symbol: isOption ? optionDesc : symbol,
+      instrument: isOption ? optionDesc : symbol,
+      description: isOption ? optionDesc : (description || symbol),
+      transCode,
+      isOption,
+      isBuy,
+      isExpiry: transCode === 'OEXP' || transCode === 'OASGN' || transCode === 'OEXC',
+      isDrip: /reinvest/.test(key),
+      contracts: isOption ? shares : 1,
+      quantity: isOption ? 1 : shares,
+      price: isOption ? signed : price,
+      amount: signed,
+      broker: 'etrade',
+    })
+  })
+
+  if (trades.some(t => t.isOption)) {
+    warnings.push(
+      'Option rows were detected. The E*TRADE option format has not been verified ' +
+      'against a real export — check a few contracts before trusting the P&L.'
+    )
+  }
+
+  const totalPrincipal = netPrincipal(deposits, cashLedger)
+  return { trades, dividendsAndInterest, deposits, cashLedger, transfers, totalPrincipal, skipped, warnings }
+}
+
+export default parseEtradeTransactions
@@ -0,0 +1,144 @@
+/**
+ * E*TRADE / Morgan Stanley transactions parser.
+ * Run: node server/services/etradeParser.test.mjs
+ */
+import assert from 'node:assert/strict'
+import { parseEtradeTransactions, parseEtradeDate, normalizeEtradeOption } from './etradeParser.js'
+
+let passed = 0
+const test = (name, fn) => {
+  try { fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+
+const HEADER = 'TransactionDate,TransactionType,SecurityType,Symbol,Quantity,Amount,Price,Commission,Description'
+// The classic download opens with account lines above the header.
+const csv = (...rows) => [
+  'For Account:,####1234', '', 'Download Date:,08/11/2026', '', HEADER, ...rows,
+].join('\n')
+
+console.log('\nDates')
+
+test('two-digit years are this century', () => {
+  assert.equal(parseEtradeDate('01/15/26'), '2026-01-15')
+  assert.equal(parseEtradeDate('1/5/2026'), '2026-01-05')
+})
+
+console.log('\nTrades')
+
+test('a buy costs money and a sell brings it in', () => {
+  const { trades } = parseEtradeTransactions(csv(
+    '07/31/26,Bought,EQ,AAPL,1,-301.55,301.55,0,APPLE INC',
+    '07/31/26,Sold,EQ,DIS,-2,192.40,96.20,0,DISNEY WALT CO',
+  ))
+  assert.equal(trades.length, 2)
+  assert.equal(trades[0].amount, -301.55)
+  assert.equal(trades[0].isBuy, true)
+  assert.equal(trades[1].amount, 192.40)
+  assert.equal(trades[1].quantity, 2)
+  assert.equal(trades[1].broker, 'etrade')
+})
+
+test('"Bought To Cover" is BC on a stock', () => {
+  const { trades } = parseEtradeTransactions(csv(
+    '01/26/26,Sold Short,EQ,RDDT,-74,11470,155,0,REDDIT INC',
+    '01/27/26,Bought To Cover,EQ,RDDT,74,-11100,150,0,REDDIT INC',
+  ))
+  assert.equal(trades[0].transCode, 'SS')
+  assert.equal(trades[1].transCode, 'BC')
+  assert.equal(trades[1].isBuy, true)
+})
+
+test('reads the Morgan Stanley-era headers', () => {
+  const text = [
+    'Activity/Trade Date,Transaction Date,Settlement Date,Activity Type,Description,Symbol,Cusip,Quantity #,Price $,Amount $,Commission,Category,Note',
+    '07/31/2026,07/31/2026,08/01/2026,Bought,APPLE INC,AAPL,037833100,1,$301.55,-$301.55,0,Trades,',
+  ].join('\n')
+  const { trades } = parseEtradeTransactions(text)
+  assert.equal(trades.length, 1)
+  assert.equal(trades[0].symbol, 'AAPL')
+  assert.equal(trades[0].amount, -301.55)
+})
+
+console.log('\nNon-trade rows')
+
+test('dividends and interest are split out, not treated as trades', () => {
+  const r = parseEtradeTransactions(csv(
+    '07/22/26,Dividend,EQ,DIS,0,1.50,0,0,DISNEY WALT CO CASH DIV ON 2 SHS',
+    '07/31/26,Interest,,,0,0.42,0,0,EXTENDED INSURANCE SWEEP DEPOSIT ACCOUNT',
+  ))
+  assert.equal(r.trades.length, 0, 'income leaked into trades')
+  assert.equal(r.dividendsAndInterest.length, 2)
+  assert.equal(r.dividendsAndInterest[0].isDividend, true)
+  assert.equal(r.dividendsAndInterest[1].isInterest, true)
+})
+
+test('margin interest charged is a cost, not interest income', () => {
+  const r = parseEtradeTransactions(csv(
+    '07/31/26,Margin Interest,,,0,-12.34,0,0,MARGIN INTEREST',
+    '07/31/26,Interest,,,0,-3.10,0,0,INTEREST CHARGED',
+    '07/31/26,Interest,,,0,0.42,0,0,EXTENDED INSURANCE SWEEP DEPOSIT ACCOUNT',
+  ))
+  assert.deepEqual(r.dividendsAndInterest.map(d => d.amount), [0.42])
+  assert.deepEqual(r.cashLedger.map(e => [e.type, e.amount]), [['margin_interest', -12.34], ['margin_interest', -3.1]])
+})
+
+test('a transfer in is a deposit, a withdrawal comes off principal', () => {
+  const r = parseEtradeTransactions(csv(
+    '08/08/25,Online Transfer,,,0,1000,0,0,TRANSFER FROM XXXX1234',
+    '08/09/25,Online Transfer,,,0,-250,0,0,TRANSFER TO XXXX1234',
+  ))
+  assert.equal(r.deposits.length, 1)
+  assert.deepEqual(r.cashLedger.map(e => [e.type, e.amount]), [['withdrawal', -250]])
+  assert.equal(r.totalPrincipal, 750)
+})
+
+test('fees and tax withheld land in the ledger instead of being skipped', () => {
+  const r = parseEtradeTransactions(csv(
+    '08/20/25,Fee,EQ,TSM,0,-0.60,0,0,ADR MGMT FEE TAIWAN SEMICONDUCTOR',
+    '08/20/25,Foreign Tax Withheld,EQ,TSM,0,-1.10,0,0,TAIWAN SEMICONDUCTOR',
+    '08/21/25,Service Fee,,,0,-25.00,0,0,WIRE OUT FEE',
+    '08/22/25,Stock Split,EQ,NVDA,9,0,0,0,NVIDIA CORP',
+  ))
+  assert.deepEqual(r.cashLedger.map(e => [e.type, e.broker]), [['adr_fee', 'etrade'], ['tax_withheld', 'etrade'], ['fee', 'etrade']])
+  assert.equal(r.skipped, 1, 'the split moved no cash and has no trade to be')
+})
+
+test('a share transfer is separated from cash, not swallowed', () => {
+  const r = parseEtradeTransactions(csv(
+    '08/01/26,Transfer,EQ,AAPL,-5,0,0,0,TRANSFER OUT APPLE INC',
+  ))
+  assert.equal(r.deposits.length, 0)
+  assert.equal(r.transfers.length, 1)
+  assert.equal(r.transfers[0].direction, 'out')
+  assert.match(r.warnings.join(' '), /cost basis/i)
+})
+
+test('rejects a file that is not an E*TRADE export', () => {
+  assert.throws(() => parseEtradeTransactions('Name,Symbol,Side,Status\nApple,AAPL,Buy,Filled'))
+})
+
+console.log('\nOptions (unverified against real data)')
+
+test('converts E*TRADE option descriptions', () => {
+  assert.equal(normalizeEtradeOption("AAPL Jan 17 '26 $200 Call", ''), 'AAPL 01/17/2026 Call $200.00')
+  assert.equal(normalizeEtradeOption('', 'PUT PLTR 06/19/26 155.00'), 'PLTR 06/19/2026 Put $155.00')
+  assert.equal(normalizeEtradeOption('AAPL  260117C00200000', ''), 'AAPL 01/17/2026 Call $200.00')
+  assert.equal(normalizeEtradeOption('AAPL', 'APPLE INC'), null)
+})
+
+test('option transaction types map to the right trans codes', () => {
+  const { trades } = parseEtradeTransactions(csv(
+    "07/31/26,Sold Short,OPTN,AAPL Jan 17 '26 $200 Call,-1,299.35,3.00,0.65,CALL AAPL 01/17/26 200.00",
+    "07/31/26,Sold To Open,OPTN,AAPL Jan 17 '26 $200 Call,-1,299.35,3.00,0.65,CALL AAPL 01/17/26 200.00",
+    "08/31/26,Bought To Cover,OPTN,AAPL Jan 17 '26 $200 Call,1,-100.65,1.00,0.65,CALL AAPL 01/17/26 200.00",
+  ))
+  assert.equal(trades[0].transCode, 'STO', '"Sold Short" on an option opens a short contract')
+  assert.equal(trades[1].transCode, 'STO')
+  assert.equal(trades[1].isOption, true)
+  assert.equal(trades[1].symbol, 'AAPL 01/17/2026 Call $200.00')
+  assert.equal(trades[2].transCode, 'BTC', 'a cover on an option closes the short contract')
+  assert.equal(trades[2].isBuy, true)
+})
+
+console.log(`\n${passed} passed\n`)
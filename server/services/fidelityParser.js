@@ -0,0 +1,281 @@
+/**
+ * Fidelity "Accounts History" CSV → the trade / dividend / deposit shapes the
+ * rest of the app uses.
+ *
+ * Header (as exported Aug 2026):
+ *   Run Date,Action,Symbol,Description,Type,Quantity,Price ($),Commission ($),
+ *   Fees ($),Accrued Interest ($),Amount ($),Settlement Date
+ *
+ * Same family as the Schwab export — trades, income and cash movements in one
+ * file — so it returns the same shape and feeds the same paths.
+ *
+ * Things this has to bridge:
+ *  - The header is preceded by blank lines and followed by a block of
+ *    disclaimer text. Only the rows between the two are data.
+ *  - Action is a sentence, not a code: "YOU BOUGHT APPLE INC (AAPL) (Cash)",
+ *    "YOU SOLD OPENING TRANSACTION CALL (AAPL) ...", "DIVIDEND RECEIVED ...".
+ *    The opening/closing wording is what tells BTO from BTC.
+ *  - Option symbols are Fidelity's compact OCC form with a leading dash and an
+ *    unpadded strike: "-AAPL260117C200", "-F260117P12.5".
+ *  - Amount is signed and net of commission and fees, so it is authoritative.
+ *  - Money-market sweeps ("PURCHASE INTO CORE ACCOUNT") are the cash balance
+ *    moving between two pockets of the same account, not trades.
+ *  - Withdrawals, fees, margin interest charged and tax withheld are cash rows
+ *    like deposits; they go to the cash ledger (see utils/cashLedger.js).
+ */
+
+import Papa from 'papaparse'
+import { classifyCashRow, netPrincipal } from '../utils/cashLedger.js'
+
+const money = (v) => {
+  if (v === null || v === undefined) return 0
+  const raw = String(v).trim()
+  if (!raw) return 0
+  const negative = raw.startsWith('-') || (raw.startsWith('(') && raw.endsWith(')'))
+  const n = parseFloat(raw.replace(/[$,()\s-]/g, ''))
+  if (!Number.isFinite(n)) return 0
+  return negative ? -n : n
+}
+
+const qty = (v) => {
+  const n = parseFloat(String(v ?? '').replace(/[,\s]/g, ''))
+  return Number.isFinite(n) ? Math.abs(n) : 0
+}
+
+// Column names carry a unit suffix ("Amount ($)"); older exports don't.
+const col = (row, name) => row[`${name} ($)`] ?? row[name]
+
+/**
+ * "01/15/2026" → "2026-01-15". Fidelity pads the cell with a leading space.
+ */
+export function parseFidelityDate(value) {
+  if (!value) return null
+  const m = String(value).trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/)
+  if (!m) return null
+  const [, mo, day, yr] = m
+  return `${yr}-${mo.padStart(2, '0')}-${day.padStart(2, '0')}`
+}
+
+const MONTHS = { JAN: 1, FEB: 2, MAR: 3, APR: 4, MAY: 5, JUN: 6, JUL: 7, AUG: 8, SEP: 9, OCT: 10, NOV: 11, DEC: 12 }
+
+const rhOption = (ticker, mo, day, yr, type, strike) =>
+  `${ticker} ${String(mo).padStart(2, '0')}/${String(day).padStart(2, '0')}/${yr} ${type} $${parseFloat(strike).toFixed(2)}`
+
+/**
+ * Fidelity option symbol or description → the Robinhood description the rest
+ * of the app parses ("AAPL 01/17/2026 Call $200.00"). Returns null for a stock.
+ */
+export function normalizeFidelityOption(symbol, description) {
+  for (const raw of [symbol, description].filter(Boolean).map(s => String(s).trim())) {
+    // Fidelity compact OCC: "-AAPL260117C200", "-F260117P12.5"
+    let m = raw.replace(/\s+/g, '').match(/^-?([A-Z]+)(\d{2})(\d{2})(\d{2})([CP])(\d+(?:\.\d+)?)$/)
+    if (m && !/^\d{8}$/.test(m[6])) {
+      const [, ticker, yy, mo, day, cp, strike] = m
+      return rhOption(ticker, mo, day, `20${yy}`, cp === 'C' ? 'Call' : 'Put', strike)
+    }
+    // Standard OCC, strike x1000 padded to eight digits: "AAPL  260117C00200000"
+    m = raw.replace(/\s+/g, '').match(/^([A-Z]+)(\d{2})(\d{2})(\d{2})([CP])(\d{8})$/)
+    if (m) {
+      const [, ticker, yy, mo, day, cp, strike] = m
+      return rhOption(ticker, mo, day, `20${yy}`, cp === 'C' ? 'Call' : 'Put', parseInt(strike, 10) / 1000)
+    }
+    // Description: "CALL (AAPL) APPLE INC JAN 17 26 $200 (100 SHS)"
+    m = raw.match(/\b(CALL|PUT)\s+\(([A-Z.]+)\).*?\b([A-Z]{3})\s+(\d{1,2})\s+(\d{2})\s+\$([\d.]+)/i)
+    if (m && MONTHS[m[3].toUpperCase()]) {
+      const [, cp, ticker, mon, day, yy, strike] = m
+      return rhOption(ticker.toUpperCase(), MONTHS[mon.toUpperCase()], day, `20${yy}`, /^c/i.test(cp) ? 'Call' : 'Put', strike)
+    }
+    // Already in Robinhood form
+    if (/^[A-Z]+\s+\d{1,2}\/\d{1,2}\/\d{4}\s+(Call|Put)\s+\$?[\d.]+/i.test(raw)) return raw
+  }
+  return null
+}
+
+// Checked in order: the opening/closing and short-sale wording has to win over
+// the plain "YOU BOUGHT" / "YOU SOLD" it begins with.
+const ACTION_CODES = [
+  [/^YOU BOUGHT OPENING TRANSACTION/i, 'BTO'],
+  [/^YOU SOLD OPENING TRANSACTION/i, 'STO'],
+  [/^YOU BOUGHT CLOSING TRANSACTION/i, 'BTC'],
+  [/^YOU SOLD CLOSING TRANSACTION/i, 'STC'],
+  [/^YOU SOLD SHORT/i, 'SS'],
+  [/^YOU BOUGHT (SHORT COVER|TO COVER)/i, 'BC'],
+  [/^YOU BOUGHT/i, 'Buy'],
+  [/^REINVESTMENT/i, 'Buy'],
+  [/^YOU SOLD/i, 'Sell'],
+  [/^EXPIRED/i, 'OEXP'],
+  [/^ASSIGNED/i, 'OASGN'],
+  [/^EXERCISED/i, 'OEXC'],
+]
+
+const DIVIDEND_ACTIONS = /DIVIDEND RECEIVED|CAP GAIN|RETURN OF CAPITAL/i
+const INTEREST_ACTIONS = /INTEREST EARNED|^INTEREST/i
+const CORE_SWEEP = /CORE ACCOUNT/i
+const DEPOSIT_ACTIONS = /ELECTRONIC FUNDS TRANSFER|TRANSFERRED (FROM|TO)|DIRECT DEPOSIT|WIRE|JOURNALED|CONTRIBUTION|DEPOSIT|PARTIC CONTR/i
+
+/**
+ * Parse a Fidelity accounts-history CSV.
+ *
+ * Returns { trades, dividendsAndInterest, deposits, cashLedger, transfers, totalPrincipal, skipped, warnings }.
+ */
+export function parseFidelityHistory(input) {
+  const text = Buffer.isBuffer(input) ? input.toString('utf8') : String(input)
+  const lines = text.replace(/^﻿/, '').split(/\r?\n/)
+  const headerIdx = lines.findIndex(l => /^\s*"?Run Date"?\s*,/i.test(l))
+  if (headerIdx < 0) {
+    throw new Error('This does not look like a Fidelity account history export (no Run Date column)')
+  }
+  // The data ends at the first blank line; what follows is disclaimer prose.
+  const rest = lines.slice(headerIdx + 1)
+  const end = rest.findIndex(l => !l.trim())
+  const body = [lines[headerIdx], ...(end < 0 ? rest : rest.slice(0, end))].join('\n')
+
+  const results = Papa.parse(body, { header: true, skipEmptyLines: true, transformHeader: h => h.trim() })
+  const rows = results.data || []
+
+  const trades = []
+  const dividendsAndInterest = []
+  const deposits = []
+  const cashLedger = []  // every other cash row — see cashLedger.js
+  const transfers = []
+  const warnings = []
+  let skipped = 0
+
+  rows.forEach((row, index) => {
+    const action = (row['Action'] || '').trim()
+    if (!action) { skipped++; return }
+    const date = parseFidelityDate(row['Run Date'])
+    if (!date) { skipped++; warnings.push(`Row ${index + 2}: unreadable date`); return }
+
+    const symbol = (row['Symbol'] || '').trim()
+    const description = (row['Description'] || '').trim()
+    const amount = money(col(row, 'Amount'))
+    const shares = qty(row['Quantity'])
+    const toLedger = (type) => cashLedger.push({
+      date: new Date(`${date}T12:00:00`),
+      type,
+      amount,
+      transCode: null,
+      description: description || action,
+      broker: 'fidelity',
+    })
+
+    if (CORE_SWEEP.test(action)) { skipped++; return }
+
+    // ── Margin interest: "interest", but charged rather than earned ──
+    if (/MARGIN INTEREST/i.test(action) || (INTEREST_ACTIONS.test(action) && amount < 0)) {
+      if (amount) toLedger('margin_interest')
+      return
+    }
+
+    // ── Income ──
+    // Reinvestment rows are buys paid for by the dividend above them, so the
+    // trade rules are checked first for those.
+    if (!/^REINVESTMENT/i.test(action) && (DIVIDEND_ACTIONS.test(action) || INTEREST_ACTIONS.test(action))) {
+      const isDividend = DIVIDEND_ACTIONS.test(action)
+      dividendsAndInterest.push({
+        id: index,
+        date: new Date(`${date}T12:00:00`),
+        symbol,
+        amount: Math.abs(amount),
+        transCode: isDividend ? 'CDIV' : 'INT',
+        isDividend,
+        isInterest: !isDividend,
+        description: description || action,
+        broker: 'fidelity',
+      })
+      return
+    }
+
+    // ── Cash in/out, and share movements that look like it ──
+    // A fee first: "FEE CHARGED WIRE OUT" is a fee, not a wire.
+    if (DEPOSIT_ACTIONS.test(action) && !/\bfees?\b/i.test(action)) {
+      // A transfer with a security and a share count moved stock, not money.
+      if (symbol && shares > 0) {
+        transfers.push({
+          date,
+          symbol,
+          quantity: shares,
+          direction: money(row['Quantity']) < 0 || /TRANSFERRED TO|DELIVER/i.test(action) ? 'out' : 'in',
+          description: description || action,
+          broker: 'fidelity',
+        })
+        warnings.push(
+          `${date}: ${shares} ${symbol} moved by "${action}". ` +
+          'Share transfers carry no cost basis in this file — the position and its ' +
+          'basis will not be right until the original purchase is entered.'
+        )
+        return
+      }
+      // Money out is a withdrawal, which comes off principal.
+      if (amount > 0) {
+        deposits.push({
+          date: new Date(`${date}T12:00:00`),
+          amount: Math.abs(amount),
+          description: description || action,
+          broker: 'fidelity',
+        })
+      } else if (amount < 0) {
+        toLedger('withdrawal')
+      }
+      return
+    }
+
+    // ── Trades ──
+    const transCode = ACTION_CODES.find(([re]) => re.test(action))?.[1]
+    if (!transCode) {
+      // Not a trade. If it moved cash — fees, tax withheld — it goes in the
+      // ledger; corporate actions that moved none are skipped.
+      const type = shares > 0 && !amount ? null : classifyCashRow({ text: `${action} ${description}`, amount })
+      if (type === 'deposit') {
+        deposits.push({ date: new Date(`${date}T12:00:00`), amount, description: description || action, broker: 'fidelity' })
+      } else if (type) {
+        toLedger(type)
+      } else {
+        skipped++
+      }
+      return
+    }
+
+    const optionDesc = normalizeFidelityOption(symbol, description) ||
+      (/\b(CALL|PUT)\s+\(/i.test(action) ? normalizeFidelityOption(null, action) : null)
+    const isOption = !!optionDesc
+    if (!symbol && !optionDesc) { skipped++; return }
+    if (!(shares > 0)) { skipped++; return }
+
+    const price = money(col(row, 'Price'))
+    const isBuy = ['Buy', 'BTO', 'BTC', 'BC'].includes(transCode)
+    const gross = isOption ? price * shares * 100 : price * shares
+    const signed = amount !== 0 ? amount : (isBuy ? -Math.abs(gross) : Math.abs(gross))
+
+    trades.push({
+      date,
+      transDate: date,
+      symbol: isOption ? optionDesc : symbol,
+      instrument: isOption ? optionDesc : symbol,
+      description: isOption ? optionDesc : (description || symbol),
+      transCode,
+      isOption,
+      isBuy,
+      isExpiry: transCode === 'OEXP' || transCode === 'OASGN' || transCode === 'OEXC',
+      isDrip: /^REINVESTMENT/i.test(action),
+      contracts: isOption ? shares : 1,
+      quantity: isOption ? 1 : shares,
+      price: isOption ? signed : price,
+      amount: signed,
+      broker: 'fidelity',
+    })
+  })
+
+  if (trades.some(t => t.isOption)) {
+    warnings.push(
+      'Option rows were detected. The Fidelity option format has not been verified ' +
+      'against a real export — check a few contracts before trusting the P&L.'
+    )
+  }
+
+  const totalPrincipal = netPrincipal(deposits, cashLedger)
+  return { trades, dividendsAndInterest, deposits, cashLedger, transfers, totalPrincipal, skipped, warnings }
+}
+
+export default parseFidelityHistory
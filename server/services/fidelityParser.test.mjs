@@ -0,0 +1,176 @@
+/**
+ * Fidelity account history parser.
+ * Run: node server/services/fidelityParser.test.mjs
+ */
+import assert from 'node:assert/strict'
+import { parseFidelityHistory, parseFidelityDate, normalizeFidelityOption } from './fidelityParser.js'
+
+let passed = 0
+const test = (name, fn) => {
+  try { fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+
+const HEADER = 'Run Date,Action,Symbol,Description,Type,Quantity,Price ($),Commission ($),Fees ($),Accrued Interest ($),Amount ($),Settlement Date'
+// The real file opens with blank lines and closes with disclaimer prose.
+const csv = (...rows) => [
+  '', '', HEADER, ...rows, '', '',
+  '"The data and information in this spreadsheet is provided to you solely for your use and is not for distribution."',
+  '"Date downloaded 08/11/2026 7:28 am"',
+].join('\n')
+
+console.log('\nDates')
+
+test('reads the padded Run Date', () => {
+  assert.equal(parseFidelityDate(' 07/31/2026'), '2026-07-31')
+  assert.equal(parseFidelityDate('1/2/2026'), '2026-01-02')
+})
+
+console.log('\nTrades')
+
+test('a buy costs money and a sell brings it in', () => {
+  const { trades } = parseFidelityHistory(csv(
+    ' 07/31/2026,YOU BOUGHT APPLE INC (AAPL) (Cash),AAPL,APPLE INC,Cash,1,301.55,,,,-301.55,08/01/2026',
+    ' 07/31/2026,YOU SOLD DISNEY WALT CO (DIS) (Cash),DIS,DISNEY WALT CO,Cash,-2,96.20,,0.02,,192.38,08/01/2026',
+  ))
+  assert.equal(trades.length, 2)
+  assert.equal(trades[0].amount, -301.55)
+  assert.equal(trades[0].isBuy, true)
+  assert.equal(trades[0].transCode, 'Buy')
+  assert.equal(trades[1].amount, 192.38, 'Amount is net of fees and should be used as-is')
+  assert.equal(trades[1].quantity, 2, 'sell quantities are negative in the file')
+  assert.equal(trades[1].broker, 'fidelity')
+})
+
+test('short sales and covers keep their own codes', () => {
+  const { trades } = parseFidelityHistory(csv(
+    ' 01/26/2026,YOU SOLD SHORT REDDIT INC (RDDT) (Short),RDDT,REDDIT INC,Short,-74,155,,,,11470,01/27/2026',
+    ' 01/27/2026,YOU BOUGHT SHORT COVER REDDIT INC (RDDT) (Short),RDDT,REDDIT INC,Short,74,150,,,,-11100,01/28/2026',
+  ))
+  assert.equal(trades[0].transCode, 'SS')
+  assert.equal(trades[0].amount, 11470)
+  assert.equal(trades[0].isBuy, false)
+  assert.equal(trades[1].transCode, 'BC')
+  assert.equal(trades[1].isBuy, true, 'a cover buys shares back')
+})
+
+test('the disclaimer footer is not read as data', () => {
+  const r = parseFidelityHistory(csv(
+    ' 07/31/2026,YOU BOUGHT APPLE INC (AAPL) (Cash),AAPL,APPLE INC,Cash,1,301.55,,,,-301.55,08/01/2026',
+  ))
+  assert.equal(r.skipped, 0)
+  assert.equal(r.warnings.length, 0)
+})
+
+test('core money-market sweeps are not trades', () => {
+  const r = parseFidelityHistory(csv(
+    ' 07/31/2026,PURCHASE INTO CORE ACCOUNT FIDELITY GOVERNMENT MONEY MARKET (SPAXX) (Cash),SPAXX,FIDELITY GOVERNMENT MONEY MARKET,Cash,500,1,,,,-500,',
+  ))
+  assert.equal(r.trades.length, 0)
+})
+
+console.log('\nNon-trade rows')
+
+test('dividends and interest are split out, not treated as trades', () => {
+  const r = parseFidelityHistory(csv(
+    ' 07/22/2026,DIVIDEND RECEIVED DISNEY WALT CO (DIS) (Cash),DIS,DISNEY WALT CO,Cash,,,,,,1.50,',
+    ' 07/31/2026,INTEREST EARNED FDIC INSURED DEPOSIT AT BANK (QPCTQ) (Cash),QPCTQ,FDIC INSURED DEPOSIT,Cash,,,,,,0.42,',
+  ))
+  assert.equal(r.trades.length, 0, 'income leaked into trades')
+  assert.equal(r.dividendsAndInterest.length, 2)
+  assert.equal(r.dividendsAndInterest[0].isDividend, true)
+  assert.equal(r.dividendsAndInterest[0].symbol, 'DIS')
+  assert.equal(r.dividendsAndInterest[0].amount, 1.5)
+  assert.equal(r.dividendsAndInterest[1].isInterest, true)
+})
+
+test('a reinvested dividend is a buy, not more income', () => {
+  const r = parseFidelityHistory(csv(
+    ' 07/22/2026,DIVIDEND RECEIVED DISNEY WALT CO (DIS) (Cash),DIS,DISNEY WALT CO,Cash,,,,,,1.50,',
+    ' 07/22/2026,REINVESTMENT DISNEY WALT CO (DIS) (Cash),DIS,DISNEY WALT CO,Cash,0.015,100,,,,-1.50,',
+  ))
+  assert.equal(r.dividendsAndInterest.length, 1)
+  assert.equal(r.trades.length, 1)
+  assert.equal(r.trades[0].isBuy, true)
+})
+
+test('an EFT in is a deposit and one out is a withdrawal off principal', () => {
+  const r = parseFidelityHistory(csv(
+    ' 08/08/2025,Electronic Funds Transfer Received (Cash),,No Description,Cash,,,,,,1000,',
+    ' 08/09/2025,Electronic Funds Transfer Paid (Cash),,No Description,Cash,,,,,,-250,',
+  ))
+  assert.equal(r.deposits.length, 1)
+  assert.deepEqual(r.cashLedger.map(e => [e.type, e.amount]), [['withdrawal', -250]])
+  assert.equal(r.totalPrincipal, 750)
+})
+
+test('margin interest charged is a cost, not interest income', () => {
+  const r = parseFidelityHistory(csv(
+    ' 08/15/2025,MARGIN INTEREST (Cash),,No Description,Cash,,,,,,-12.40,',
+    ' 08/15/2025,INTEREST EARNED FDIC INSURED DEPOSIT AT BANK (QPCTQ) (Cash),QPCTQ,FDIC INSURED DEPOSIT,Cash,,,,,,0.85,',
+  ))
+  assert.deepEqual(r.dividendsAndInterest.map(d => d.amount), [0.85])
+  assert.deepEqual(r.cashLedger.map(e => [e.type, e.amount, e.broker]), [['margin_interest', -12.4, 'fidelity']])
+})
+
+test('fees and tax withheld land in the ledger instead of being skipped', () => {
+  const r = parseFidelityHistory(csv(
+    ' 08/20/2025,FEE CHARGED ADR FEE TAIWAN SEMICONDUCTOR (TSM) (Cash),TSM,TAIWAN SEMICONDUCTOR,Cash,,,,,,-0.60,',
+    ' 08/20/2025,FOREIGN TAX PAID TAIWAN SEMICONDUCTOR (TSM) (Cash),TSM,TAIWAN SEMICONDUCTOR,Cash,,,,,,-1.10,',
+    ' 08/21/2025,FEE CHARGED WIRE OUT (Cash),,No Description,Cash,,,,,,-25.00,',
+    ' 08/22/2025,DISTRIBUTION NVIDIA CORP (NVDA) (Cash),NVDA,NVIDIA CORP,Cash,9,,,,,,',
+  ))
+  assert.deepEqual(r.cashLedger.map(e => e.type), ['adr_fee', 'tax_withheld', 'fee'])
+  assert.equal(r.skipped, 1, 'the split moved no cash and has no trade to be')
+})
+
+test('a share transfer is separated from cash, not swallowed', () => {
+  const r = parseFidelityHistory(csv(
+    ' 08/01/2026,TRANSFERRED FROM VS X12-345678-1 APPLE INC (AAPL) (Cash),AAPL,APPLE INC,Cash,10,,,,,',
+  ))
+  assert.equal(r.deposits.length, 0, 'a share move was counted as cash')
+  assert.equal(r.trades.length, 0)
+  assert.equal(r.transfers.length, 1)
+  assert.equal(r.transfers[0].direction, 'in')
+  assert.equal(r.transfers[0].quantity, 10)
+  assert.match(r.warnings.join(' '), /cost basis/i)
+})
+
+test('rejects a file that is not a Fidelity export', () => {
+  assert.throws(() => parseFidelityHistory('Name,Symbol,Side,Status\nApple,AAPL,Buy,Filled'))
+})
+
+console.log('\nOptions (unverified against real data)')
+
+test('converts Fidelity option symbols', () => {
+  assert.equal(normalizeFidelityOption('-AAPL260117C200', ''), 'AAPL 01/17/2026 Call $200.00')
+  assert.equal(normalizeFidelityOption('-F260618P12.5', ''), 'F 06/18/2026 Put $12.50')
+  assert.equal(normalizeFidelityOption('AAPL  260117C00200000', ''), 'AAPL 01/17/2026 Call $200.00')
+  assert.equal(
+    normalizeFidelityOption('', 'CALL (AAPL) APPLE INC JAN 17 26 $200 (100 SHS)'),
+    'AAPL 01/17/2026 Call $200.00',
+  )
+})
+
+test('leaves plain stock symbols alone', () => {
+  assert.equal(normalizeFidelityOption('AAPL', 'APPLE INC'), null)
+})
+
+test('opening and closing wording picks the trans code', () => {
+  const { trades } = parseFidelityHistory(csv(
+    ' 07/31/2026,YOU SOLD OPENING TRANSACTION CALL (AAPL) APPLE INC JAN 17 26 $200 (100 SHS) (Margin),-AAPL260117C200,CALL (AAPL) APPLE INC JAN 17 26 $200 (100 SHS),Margin,-1,3.00,0.65,0.04,,299.31,08/01/2026',
+    ' 08/31/2026,YOU BOUGHT CLOSING TRANSACTION CALL (AAPL) APPLE INC JAN 17 26 $200 (100 SHS) (Margin),-AAPL260117C200,CALL (AAPL) APPLE INC JAN 17 26 $200 (100 SHS),Margin,1,1.00,0.65,0.04,,-100.69,09/01/2026',
+    ' 01/17/2026,EXPIRED CALL (AAPL) APPLE INC JAN 17 26 $200 (100 SHS) (Margin),-AAPL260117C200,CALL (AAPL) APPLE INC JAN 17 26 $200 (100 SHS),Margin,1,,,,,,',
+  ))
+  assert.equal(trades.length, 3)
+  assert.equal(trades[0].transCode, 'STO')
+  assert.equal(trades[0].symbol, 'AAPL 01/17/2026 Call $200.00')
+  assert.equal(trades[0].contracts, 1)
+  assert.equal(trades[0].amount, 299.31)
+  assert.equal(trades[1].transCode, 'BTC')
+  assert.equal(trades[1].isBuy, true)
+  assert.equal(trades[2].transCode, 'OEXP')
+  assert.equal(trades[2].isExpiry, true)
+})
+
+console.log(`\n${passed} passed\n`)
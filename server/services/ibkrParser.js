@@ -0,0 +1,397 @@
+/**
+ * Interactive Brokers Flex Query (XML or CSV) → the trade / dividend / deposit
+ * shapes the rest of the app uses.
+ *
+ * Reads three sections of an Activity Flex Query:
+ *   Trades            <Trade .../>            executions, stock and options
+ *   CashTransactions  <CashTransaction .../>  dividends, interest, withholding, deposits,
+ *                                            and the withdrawals, fees and interest charged
+ *                                            that go to the cash ledger (see utils/cashLedger.js)
+ *   CorporateActions  <CorporateAction .../>  splits, which adjust share counts
+ *
+ * The CSV flavour carries the same fields as column headers ("CurrencyPrimary",
+ * "FXRateToBase", "Buy/Sell"), one header row per section. Both are read into
+ * the same attribute bag, keyed by the field name lower-cased with punctuation
+ * stripped, so the mapping below is written once.
+ *
+ * Currency is the reason this parser differs from the others. IBKR trades in
+ * the instrument's own currency and reports `fxRateToBase` as of the trade
+ * date. Trades keep their native price and amount and carry `currency` and
+ * `fxRate`, so the trades table can show what was actually paid; the P&L and
+ * tax engines convert to dollars at that rate (see toUSD in pnlCalculator.js).
+ * Cash rows have no further use for the native figure and are converted here.
+ *
+ * ASSUMES a USD base currency: fxRateToBase is a rate to the account's base,
+ * which is only dollars for a USD-based account. Anything else is warned about.
+ */
+
+import Papa from 'papaparse'
+import { classifyCashRow, netPrincipal } from '../utils/cashLedger.js'
+import { IN_LIEU_CODE, isInLieuCharge } from '../utils/shortSales.js'
+
+const num = (v) => {
+  const n = parseFloat(String(v ?? '').replace(/[,\s]/g, ''))
+  return Number.isFinite(n) ? n : 0
+}
+
+const keyOf = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '')
+
+const decodeXml = (s) => s
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&')
+
+/**
+ * "20260115", "2026-01-15", "20260115;093512" or "01/15/2026" → "2026-01-15".
+ */
+export function parseIbkrDate(value) {
+  if (!value) return null
+  const raw = String(value).trim()
+  let m = raw.match(/^(\d{4})-?(\d{2})-?(\d{2})/)
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`
+  m = raw.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/)
+  if (m) return `${m[3]}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}`
+  return null
+}
+
+// Every <Tag a="1" b="2" /> in the document, as a bag keyed by keyOf(attr).
+function xmlElements(text, tag) {
+  const out = []
+  const re = new RegExp(`<${tag}\\s([^>]*?)\\/?>`, 'g')
+  let m
+  while ((m = re.exec(text))) {
+    const attrs = {}
+    const attrRe = /([\w:.-]+)="([^"]*)"/g
+    let a
+    while ((a = attrRe.exec(m[1]))) attrs[keyOf(a[1])] = decodeXml(a[2])
+    out.push(attrs)
+  }
+  return out
+}
+
+// Flex CSV: sections follow each other, each with its own header row. The
+// optional BOF/BOS/EOS markers are skipped; a section is recognized by its
+// header rather than by them, since they're only present when enabled.
+function csvSections(text) {
+  const rows = Papa.parse(text, { skipEmptyLines: true }).data || []
+  const sections = { trades: [], cash: [], corporate: [] }
+  let header = null
+  let target = null
+  for (const row of rows) {
+    const first = String(row[0] || '').trim().toUpperCase()
+    if (['BOF', 'EOF', 'BOA', 'EOA', 'BOS', 'EOS'].includes(first)) continue
+    const keys = row.map(keyOf)
+    const looksLikeHeader = keys.includes('symbol') && !row.some(c => /^\d{8}/.test(String(c).trim()))
+    if (looksLikeHeader) {
+      header = keys
+      target = keys.includes('tradeprice') ? 'trades'
+        : keys.includes('actiondescription') || keys.includes('actionid') ? 'corporate'
+          : keys.includes('type') && keys.includes('amount') ? 'cash'
+            : null
+      continue
+    }
+    if (!header || !target) continue
+    const bag = {}
+    header.forEach((k, i) => { bag[k] = row[i] })
+    sections[target].push(bag)
+  }
+  return sections
+}
+
+/**
+ * Option fields → the Robinhood description the rest of the app parses
+ * ("AAPL 01/17/2026 Call $200.00"). Returns null when the row isn't an option
+ * or is missing a field.
+ */
+export function ibkrOptionDescription(a) {
+  const underlying = (a.underlyingsymbol || '').trim() || String(a.symbol || '').trim().split(/\s+/)[0]
+  const expiry = parseIbkrDate(a.expiry)
+  const strike = num(a.strike)
+  const pc = String(a.putcall || '').trim().toUpperCase()
+  if (!underlying || !expiry || !(strike > 0) || !['C', 'P', 'CALL', 'PUT'].includes(pc)) return null
+  const [yr, mo, day] = expiry.split('-')
+  return `${underlying} ${mo}/${day}/${yr} ${pc.startsWith('C') ? 'Call' : 'Put'} $${strike.toFixed(2)}`
+}
+
+// Notes/Codes is a ';'-separated list. A, Ex and Ep mark an option leg that
+// closed by assignment, exercise or expiry rather than by a trade.
+const noteCodes = (a) => String(a.notescodes ?? a.notes ?? '').split(/[;,\s]+/).filter(Boolean)
+
+function tradeCodeFor(a, isOption) {
+  const side = String(a.buysell || '').toUpperCase()
+  const oc = String(a.opencloseindicator || a.openclose || '').toUpperCase()
+  const buy = side.startsWith('BUY') || (side === '' && num(a.quantity) > 0)
+  if (isOption) {
+    const codes = noteCodes(a)
+    if (codes.includes('Ep')) return 'OEXP'
+    if (codes.includes('A')) return 'OASGN'
+    if (codes.includes('Ex')) return 'OEXC'
+    if (oc.includes('C')) return buy ? 'BTC' : 'STC'
+    return buy ? 'BTO' : 'STO'
+  }
+  // A stock sell that opens is a short sale; a buy that closes one is a cover.
+  if (!buy && oc.includes('O')) return 'SS'
+  if (buy && oc.includes('C')) return 'BC'
+  return buy ? 'Buy' : 'Sell'
+}
+
+// Splits arrive as "AAPL(US0378331005) SPLIT 4 FOR 1 (AAPL, APPLE INC, US0378331005)".
+const SPLIT_RE = /SPLIT\s+(\d+(?:\.\d+)?)\s+FOR\s+(\d+(?:\.\d+)?)/i
+
+/**
+ * Parse an IBKR Activity Flex Query, XML or CSV.
+ *
+ * Returns { trades, dividendsAndInterest, deposits, cashLedger, transfers, splits,
+ *           totalPrincipal, skipped, warnings }.
+ */
+export function parseIbkrFlexQuery(input) {
+  const text = (Buffer.isBuffer(input) ? input.toString('utf8') : String(input)).replace(/^﻿/, '')
+  const isXml = /^\s*</.test(text)
+
+  let tradeRows, cashRows, corporateRows
+  if (isXml) {
+    if (!/<FlexQueryResponse|<FlexStatement/i.test(text)) {
+      throw new Error('This does not look like an IBKR Flex Query (no FlexStatement element)')
+    }
+    tradeRows = xmlElements(text, 'Trade')
+    cashRows = xmlElements(text, 'CashTransaction')
+    corporateRows = xmlElements(text, 'CorporateAction')
+  } else {
+    const s = csvSections(text)
+    if (!s.trades.length && !s.cash.length && !s.corporate.length) {
+      throw new Error('This does not look like an IBKR Flex Query (no Trades or Cash Transactions section)')
+    }
+    tradeRows = s.trades
+    cashRows = s.cash
+    corporateRows = s.corporate
+  }
+
+  const trades = []
+  const dividendsAndInterest = []
+  const deposits = []
+  const cashLedger = []  // every other cash row — see cashLedger.js
+  const transfers = []
+  const splits = []
+  const warnings = []
+  const nonUsd = new Set()
+  let skipped = 0
+
+  const fxOf = (a) => {
+    const currency = String(a.currency || a.currencyprimary || 'USD').trim().toUpperCase() || 'USD'
+    const rate = num(a.fxratetobase)
+    return { currency, fxRate: currency === 'USD' ? 1 : (rate > 0 ? rate : null) }
+  }
+
+  // ── Trades ──
+  tradeRows.forEach((a, index) => {
+    // Summary and closed-lot rows repeat executions already listed.
+    const detail = String(a.levelofdetail || '').toUpperCase()
+    if (detail && !['EXECUTION', 'ORDER'].includes(detail)) return
+
+    const date = parseIbkrDate(a.tradedate || a.datetime || a.reportdate)
+    if (!date) { skipped++; warnings.push(`Trade ${index + 1}: unreadable date`); return }
+
+    const category = String(a.assetcategory || a.assetclass || 'STK').toUpperCase()
+    if (!['STK', 'OPT'].includes(category)) {
+      skipped++
+      warnings.push(`${date}: ${a.symbol || 'a'} ${category} trade was skipped — only stocks and options are supported.`)
+      return
+    }
+    const isOption = category === 'OPT'
+    const optionDesc = isOption ? ibkrOptionDescription(a) : null
+    if (isOption && !optionDesc) {
+      skipped++
+      warnings.push(`${date}: option "${a.symbol}" could not be read`)
+      return
+    }
+    const symbol = isOption ? optionDesc : String(a.symbol || '').trim()
+    const filled = Math.abs(num(a.quantity))
+    if (!symbol || !(filled > 0)) { skipped++; return }
+
+    const { currency, fxRate } = fxOf(a)
+    if (fxRate === null) {
+      skipped++
+      warnings.push(`${date}: ${symbol} traded in ${currency} with no FX rate — left out rather than counted as dollars.`)
+      return
+    }
+    if (currency !== 'USD') nonUsd.add(currency)
+
+    const transCode = tradeCodeFor(a, isOption)
+    const isBuy = ['Buy', 'BTO', 'BTC', 'BC'].includes(transCode)
+    const price = Math.abs(num(a.tradeprice))
+    // netCash is proceeds plus (negative) commission, signed the same way as
+    // the other brokers: buys negative. Fall back to proceeds + commission.
+    const netCash = a.netcash !== undefined && a.netcash !== ''
+      ? num(a.netcash)
+      : num(a.proceeds) + num(a.ibcommission)
+    const multiplier = num(a.multiplier) || (isOption ? 100 : 1)
+    const gross = price * filled * (isOption ? multiplier : 1)
+    const amount = netCash !== 0 ? netCash : (isBuy ? -gross : gross)
+
+    trades.push({
+      date,
+      transDate: date,
+      symbol,
+      instrument: symbol,
+      description: isOption ? optionDesc : (a.description || symbol),
+      transCode,
+      isOption,
+      isBuy,
+      isExpiry: transCode === 'OEXP' || transCode === 'OASGN' || transCode === 'OEXC',
+      contracts: isOption ? filled : 1,
+      quantity: isOption ? 1 : filled,
+      price: isOption ? amount : price,
+      amount,
+      currency,
+      fxRate,
+      broker: 'ibkr',
+    })
+  })
+
+  // ── Cash transactions ──
+  cashRows.forEach((a, index) => {
+    const detail = String(a.levelofdetail || '').toUpperCase()
+    if (detail && detail !== 'DETAIL') return
+    const type = String(a.type || '').trim()
+    const date = parseIbkrDate(a.settledate || a.datetime || a.date || a.reportdate)
+    if (!type || !date) { skipped++; return }
+
+    const { currency, fxRate } = fxOf(a)
+    if (fxRate === null) {
+      skipped++
+      warnings.push(`${date}: ${type} in ${currency} with no FX rate was skipped.`)
+      return
+    }
+    if (currency !== 'USD') nonUsd.add(currency)
+    const usd = num(a.amount) * fxRate
+    const symbol = String(a.symbol || '').trim()
+    const description = a.description || type
+    const toLedger = (kind) => cashLedger.push({
+      date: new Date(`${date}T12:00:00`),
+      type: kind,
+      amount: usd,
+      transCode: null,
+      description,
+      currency,
+      broker: 'ibkr',
+    })
+
+    if (/dividend|in lieu/i.test(type) && isInLieuCharge({ text: `${type} ${description}`, amount: usd })) {
+      // Paid to the lender of shares we're short (shortSales.js) — a charge,
+      // so it keeps its sign.
+      dividendsAndInterest.push({
+        id: index,
+        date: new Date(`${date}T12:00:00`),
+        symbol,
+        amount: usd,
+        transCode: IN_LIEU_CODE,
+        isDividend: false,
+        isInterest: false,
+        isInLieu: true,
+        description,
+        currency,
+        broker: 'ibkr',
+      })
+    } else if (/dividend|in lieu/i.test(type)) {
+      dividendsAndInterest.push({
+        id: index,
+        date: new Date(`${date}T12:00:00`),
+        symbol,
+        amount: Math.abs(usd),
+        transCode: 'CDIV',
+        isDividend: true,
+        isInterest: false,
+        description,
+        currency,
+        broker: 'ibkr',
+      })
+    } else if (/interest/i.test(type) && usd > 0) {
+      dividendsAndInterest.push({
+        id: index,
+        date: new Date(`${date}T12:00:00`),
+        symbol,
+        amount: Math.abs(usd),
+        transCode: 'INT',
+        isDividend: false,
+        isInterest: true,
+        description,
+        currency,
+        broker: 'ibkr',
+      })
+    } else if (/withholding/i.test(type)) {
+      // Kept with the income rows so detectWithholding() in the Tax Center
+      // finds it by description, as it does for the other brokers.
+      dividendsAndInterest.push({
+        id: index,
+        date: new Date(`${date}T12:00:00`),
+        symbol,
+        amount: Math.abs(usd),
+        transCode: 'WHT',
+        isDividend: false,
+        isInterest: false,
+        description: /withholding/i.test(description) ? description : `Withholding tax — ${description}`,
+        currency,
+        broker: 'ibkr',
+      })
+    } else if (/interest/i.test(type) && usd < 0) {
+      // "Broker Interest Paid": interest, but charged rather than earned.
+      toLedger('margin_interest')
+    } else {
+      // Deposits, withdrawals, fees and the rest. A withdrawal comes off
+      // principal; a row that moved no money is skipped.
+      const kind = classifyCashRow({ text: `${type} ${description}`, amount: usd })
+      if (kind === 'deposit') {
+        deposits.push({
+          date: new Date(`${date}T12:00:00`),
+          amount: usd,
+          description,
+          broker: 'ibkr',
+        })
+      } else if (kind) {
+        toLedger(kind)
+      } else {
+        skipped++
+      }
+    }
+  })
+
+  // ── Corporate actions ──
+  corporateRows.forEach((a) => {
+    const date = parseIbkrDate(a.reportdate || a.datetime || a.date)
+    const symbol = String(a.symbol || '').trim()
+    const what = String(a.actiondescription || a.description || '')
+    const type = String(a.type || '').toUpperCase()
+    const split = what.match(SPLIT_RE)
+    if (split && date && symbol && (type === 'FS' || type === 'RS' || !type)) {
+      const ratio = num(split[1]) / num(split[2])
+      // One corporate action is reported as several rows (old shares out, new
+      // shares in); record the split once.
+      if (ratio > 0 && !splits.some(s => s.symbol === symbol && s.date === date)) {
+        splits.push({ symbol, date, ratio })
+      }
+      return
+    }
+    if (symbol && what) {
+      warnings.push(`${date || 'Undated'}: corporate action on ${symbol} ("${what}") was not applied — check that position by hand.`)
+    }
+  })
+
+  if (nonUsd.size) {
+    warnings.push(
+      `Non-USD activity in ${[...nonUsd].join(', ')} was converted to dollars at IBKR's ` +
+      'trade-date rate. That rate is to the account\'s base currency, so this is only ' +
+      'right for a USD-based account.'
+    )
+  }
+  if (trades.some(t => t.isOption)) {
+    warnings.push(
+      'Option rows were detected. The IBKR option format has not been verified ' +
+      'against a real export — check a few contracts before trusting the P&L.'
+    )
+  }
+
+  const totalPrincipal = netPrincipal(deposits, cashLedger)
+  return { trades, dividendsAndInterest, deposits, cashLedger, transfers, splits, totalPrincipal, skipped, warnings }
+}
+
+export default parseIbkrFlexQuery
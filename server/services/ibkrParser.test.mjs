@@ -0,0 +1,255 @@
+/**
+ * Interactive Brokers Flex Query parser, plus the dollar conversion the P&L
+ * engine applies to what it returns.
+ * Run: node server/services/ibkrParser.test.mjs
+ */
+import assert from 'node:assert/strict'
+import { parseIbkrFlexQuery, parseIbkrDate, ibkrOptionDescription } from './ibkrParser.js'
+import { calculatePnL, toUSD } from './pnlCalculator.js'
+import { dividendHistory } from '../../src/utils/dividends.js'
+
+let passed = 0
+const test = (name, fn) => {
+  try { fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+
+const xml = ({ trades = [], cash = [], corporate = [] } = {}) => `<?xml version="1.0" encoding="UTF-8"?>
+<FlexQueryResponse queryName="Activity" type="AF">
+<FlexStatements count="1">
+<FlexStatement accountId="U1234567" fromDate="20260101" toDate="20260731">
+<Trades>
+${trades.join('\n')}
+</Trades>
+<CashTransactions>
+${cash.join('\n')}
+</CashTransactions>
+<CorporateActions>
+${corporate.join('\n')}
+</CorporateActions>
+</FlexStatement>
+</FlexStatements>
+</FlexQueryResponse>`
+
+const trade = (attrs) => {
+  const base = {
+    currency: 'USD', fxRateToBase: '1', assetCategory: 'STK', symbol: 'AAPL', description: 'APPLE INC',
+    tradeDate: '20260715', quantity: '10', tradePrice: '200', ibCommission: '-1', netCash: '-2001',
+    buySell: 'BUY', openCloseIndicator: 'O', levelOfDetail: 'EXECUTION', multiplier: '1', notes: '',
+  }
+  const all = { ...base, ...attrs }
+  return `<Trade ${Object.entries(all).map(([k, v]) => `${k}="${v}"`).join(' ')} />`
+}
+
+console.log('\nDates')
+
+test('reads compact, dashed and date-time forms', () => {
+  assert.equal(parseIbkrDate('20260115'), '2026-01-15')
+  assert.equal(parseIbkrDate('2026-01-15'), '2026-01-15')
+  assert.equal(parseIbkrDate('20260115;093512'), '2026-01-15')
+  assert.equal(parseIbkrDate('1/5/2026'), '2026-01-05')
+})
+
+console.log('\nTrades (XML)')
+
+test('a buy costs money and a sell brings it in', () => {
+  const { trades } = parseIbkrFlexQuery(xml({ trades: [
+    trade({}),
+    trade({ buySell: 'SELL', openCloseIndicator: 'C', quantity: '-4', tradePrice: '210', netCash: '839' }),
+  ] }))
+  assert.equal(trades.length, 2)
+  assert.equal(trades[0].transCode, 'Buy')
+  assert.equal(trades[0].amount, -2001)
+  assert.equal(trades[0].quantity, 10)
+  assert.equal(trades[1].transCode, 'Sell')
+  assert.equal(trades[1].quantity, 4, 'sell quantities are negative in the file')
+  assert.equal(trades[1].amount, 839)
+  assert.equal(trades[1].broker, 'ibkr')
+})
+
+test('open/close indicator picks out short sales and covers', () => {
+  const { trades } = parseIbkrFlexQuery(xml({ trades: [
+    trade({ symbol: 'RDDT', buySell: 'SELL', openCloseIndicator: 'O', quantity: '-74', netCash: '11470' }),
+    trade({ symbol: 'RDDT', buySell: 'BUY', openCloseIndicator: 'C', quantity: '74', netCash: '-11100' }),
+  ] }))
+  assert.equal(trades[0].transCode, 'SS')
+  assert.equal(trades[0].isBuy, false)
+  assert.equal(trades[1].transCode, 'BC')
+  assert.equal(trades[1].isBuy, true)
+})
+
+test('closed-lot and summary rows are not counted twice', () => {
+  const { trades } = parseIbkrFlexQuery(xml({ trades: [
+    trade({}),
+    trade({ levelOfDetail: 'CLOSED_LOT' }),
+    trade({ levelOfDetail: 'SYMBOL_SUMMARY' }),
+  ] }))
+  assert.equal(trades.length, 1)
+})
+
+test('a non-USD fill keeps its native figures plus the rate', () => {
+  const { trades, warnings } = parseIbkrFlexQuery(xml({ trades: [
+    trade({ symbol: 'SAP', currency: 'EUR', fxRateToBase: '1.1', tradePrice: '180', netCash: '-1805' }),
+  ] }))
+  assert.equal(trades[0].currency, 'EUR')
+  assert.equal(trades[0].fxRate, 1.1)
+  assert.equal(trades[0].price, 180)
+  assert.equal(trades[0].amount, -1805)
+  assert.match(warnings.join(' '), /EUR/)
+})
+
+test('a foreign fill with no rate is left out, not read as dollars', () => {
+  const r = parseIbkrFlexQuery(xml({ trades: [
+    trade({ symbol: 'SAP', currency: 'EUR', fxRateToBase: '' }),
+  ] }))
+  assert.equal(r.trades.length, 0)
+  assert.equal(r.skipped, 1)
+})
+
+test('futures and FX conversions are skipped with a note', () => {
+  const r = parseIbkrFlexQuery(xml({ trades: [trade({ assetCategory: 'CASH', symbol: 'EUR.USD' })] }))
+  assert.equal(r.trades.length, 0)
+  assert.match(r.warnings.join(' '), /CASH/)
+})
+
+console.log('\nCash transactions')
+
+test('dividends, withholding and deposits are split out and converted', () => {
+  const r = parseIbkrFlexQuery(xml({ cash: [
+    '<CashTransaction type="Dividends" currency="EUR" fxRateToBase="1.1" symbol="SAP" settleDate="20260520" amount="10" description="SAP CASH DIVIDEND" levelOfDetail="DETAIL" />',
+    '<CashTransaction type="Withholding Tax" currency="EUR" fxRateToBase="1.1" symbol="SAP" settleDate="20260520" amount="-2.64" description="SAP - DE TAX" levelOfDetail="DETAIL" />',
+    '<CashTransaction type="Broker Interest Received" currency="USD" fxRateToBase="1" symbol="" settleDate="20260603" amount="4.20" description="USD CREDIT INT" levelOfDetail="DETAIL" />',
+    '<CashTransaction type="Deposits/Withdrawals" currency="USD" fxRateToBase="1" symbol="" settleDate="20260102" amount="5000" description="CASH RECEIPTS" levelOfDetail="DETAIL" />',
+    '<CashTransaction type="Deposits/Withdrawals" currency="USD" fxRateToBase="1" symbol="" settleDate="20260301" amount="-500" description="DISBURSEMENT" levelOfDetail="DETAIL" />',
+  ] }))
+  assert.equal(r.trades.length, 0)
+  const div = r.dividendsAndInterest.find(d => d.isDividend)
+  assert.equal(div.symbol, 'SAP')
+  assert.equal(Math.round(div.amount * 100) / 100, 11, 'EUR 10 at 1.1 is $11')
+  assert.ok(r.dividendsAndInterest.find(d => d.isInterest))
+  const wht = r.dividendsAndInterest.find(d => d.transCode === 'WHT')
+  assert.match(wht.description, /withholding/i, 'detectWithholding finds it by description')
+  assert.equal(r.deposits.length, 1)
+  assert.equal(r.totalPrincipal, 4500, 'the $500 disbursement comes off principal')
+})
+
+test('withdrawals, fees and interest charged go to the cash ledger', () => {
+  const r = parseIbkrFlexQuery(xml({ cash: [
+    '<CashTransaction type="Deposits/Withdrawals" currency="USD" fxRateToBase="1" symbol="" settleDate="20260102" amount="5000" description="CASH RECEIPTS / ELECTRONIC FUND TRANSFERS" levelOfDetail="DETAIL" />',
+    '<CashTransaction type="Deposits/Withdrawals" currency="USD" fxRateToBase="1" symbol="" settleDate="20260401" amount="-2000" description="DISBURSEMENT INITIATED BY JOHN DOE" levelOfDetail="DETAIL" />',
+    '<CashTransaction type="Broker Interest Paid" currency="USD" fxRateToBase="1" symbol="" settleDate="20260503" amount="-35.12" description="USD DEBIT INT FOR APR-2026" levelOfDetail="DETAIL" />',
+    '<CashTransaction type="Other Fees" currency="USD" fxRateToBase="1" symbol="" settleDate="20260503" amount="-10" description="BALANCE OF MONTHLY MINIMUM FEE FOR APR 2026" levelOfDetail="DETAIL" />',
+  ] }))
+  assert.deepEqual(
+    r.cashLedger.map(e => [e.type, e.amount]),
+    [['withdrawal', -2000], ['margin_interest', -35.12], ['fee', -10]],
+  )
+  assert.ok(r.cashLedger.every(e => e.broker === 'ibkr'))
+  assert.equal(r.dividendsAndInterest.length, 0, 'interest charged is not income')
+  assert.equal(r.deposits.length, 1)
+  assert.equal(r.skipped, 0)
+  assert.equal(r.totalPrincipal, 3000)
+})
+
+test('a payment in lieu charged on a short is a charge against it, not income', () => {
+  const r = parseIbkrFlexQuery(xml({
+    trades: [
+      trade({ symbol: 'KO', description: 'COCA-COLA CO', tradeDate: '20260601', buySell: 'SELL', openCloseIndicator: 'O', quantity: '-40', tradePrice: '60', netCash: '2399' }),
+    ],
+    cash: [
+      '<CashTransaction type="Payment In Lieu Of Dividends" currency="USD" fxRateToBase="1" symbol="KO" settleDate="20260615" amount="-24" description="KO(US1912161007) PAYMENT IN LIEU OF DIVIDEND (Ordinary Dividend)" levelOfDetail="DETAIL" />',
+    ],
+  }))
+  assert.deepEqual(r.dividendsAndInterest.map(d => [d.transCode, d.amount, d.isInLieu, d.isDividend]), [['DIVL', -24, true, false]])
+  assert.deepEqual(dividendHistory(r.dividendsAndInterest, r.trades), [], 'not on the Dividends panel')
+  const [row] = calculatePnL(r.trades, { KO: 60 }, true, null, '2026-07-01', r.dividendsAndInterest)
+  assert.equal(row.real.inLieuCharges, 24)
+})
+
+console.log('\nCorporate actions')
+
+test('a forward split is returned once, other actions are warned about', () => {
+  const r = parseIbkrFlexQuery(xml({ corporate: [
+    '<CorporateAction type="FS" symbol="NVDA" reportDate="20260610" actionDescription="NVDA(US67066G1040) SPLIT 10 FOR 1 (NVDA, NVIDIA CORP, US67066G1040)" quantity="90" />',
+    '<CorporateAction type="FS" symbol="NVDA" reportDate="20260610" actionDescription="NVDA(US67066G1040) SPLIT 10 FOR 1 (NVDA, NVIDIA CORP, US67066G1040)" quantity="-10" />',
+    '<CorporateAction type="TC" symbol="XYZ" reportDate="20260611" actionDescription="XYZ MERGED(Acquisition) FOR USD 25.00 PER SHARE" quantity="-5" />',
+  ] }))
+  assert.deepEqual(r.splits, [{ symbol: 'NVDA', date: '2026-06-10', ratio: 10 }])
+  assert.match(r.warnings.join(' '), /XYZ/)
+})
+
+console.log('\nCSV flavour')
+
+test('reads a multi-section Flex CSV', () => {
+  const text = [
+    '"BOF","U1234567","Activity","1","20260101","20260731"',
+    '"CurrencyPrimary","FXRateToBase","AssetClass","Symbol","Description","TradeDate","Quantity","TradePrice","NetCash","Buy/Sell","Open/CloseIndicator","Notes/Codes","LevelOfDetail"',
+    '"USD","1","STK","AAPL","APPLE INC","20260715","10","200","-2001","BUY","O","","EXECUTION"',
+    '"CAD","0.73","STK","SHOP","SHOPIFY INC","20260716","5","150","-751","BUY","O","","EXECUTION"',
+    '"CurrencyPrimary","FXRateToBase","Symbol","Type","SettleDate","Amount","Description","LevelOfDetail"',
+    '"USD","1","AAPL","Dividends","20260815","2.60","AAPL CASH DIVIDEND","DETAIL"',
+  ].join('\n')
+  const r = parseIbkrFlexQuery(text)
+  assert.equal(r.trades.length, 2)
+  assert.equal(r.trades[1].currency, 'CAD')
+  assert.equal(r.trades[1].fxRate, 0.73)
+  assert.equal(r.dividendsAndInterest.length, 1)
+  assert.equal(r.dividendsAndInterest[0].amount, 2.6)
+})
+
+test('rejects a file that is not a Flex Query', () => {
+  assert.throws(() => parseIbkrFlexQuery('Name,Side,Status\nApple,Buy,Filled'))
+  assert.throws(() => parseIbkrFlexQuery('<html><body>nope</body></html>'))
+})
+
+console.log('\nOptions (unverified against real data)')
+
+test('builds the Robinhood-style description from option fields', () => {
+  assert.equal(
+    ibkrOptionDescription({ underlyingsymbol: 'AAPL', expiry: '20270115', strike: '200', putcall: 'C' }),
+    'AAPL 01/15/2027 Call $200.00',
+  )
+  assert.equal(ibkrOptionDescription({ symbol: 'AAPL', expiry: '', strike: '200', putcall: 'C' }), null)
+})
+
+test('option legs map to open/close and settlement codes', () => {
+  const opt = { assetCategory: 'OPT', symbol: 'AAPL  270115C00200000', underlyingSymbol: 'AAPL', expiry: '20270115', strike: '200', putCall: 'C', multiplier: '100' }
+  const { trades } = parseIbkrFlexQuery(xml({ trades: [
+    trade({ ...opt, buySell: 'SELL', openCloseIndicator: 'O', quantity: '-2', tradePrice: '3', netCash: '598.7' }),
+    trade({ ...opt, buySell: 'BUY', openCloseIndicator: 'C', quantity: '1', tradePrice: '1', netCash: '-100.65' }),
+    trade({ ...opt, buySell: 'BUY', openCloseIndicator: 'C', quantity: '1', tradePrice: '0', netCash: '0', notes: 'Ep' }),
+  ] }))
+  assert.equal(trades[0].transCode, 'STO')
+  assert.equal(trades[0].symbol, 'AAPL 01/15/2027 Call $200.00')
+  assert.equal(trades[0].contracts, 2)
+  assert.equal(trades[0].quantity, 1)
+  assert.equal(trades[0].price, 598.7, 'options carry the total as price, like the other parsers')
+  assert.equal(trades[1].transCode, 'BTC')
+  assert.equal(trades[2].transCode, 'OEXP')
+  assert.equal(trades[2].isExpiry, true)
+})
+
+console.log('\nDollar conversion')
+
+test('toUSD converts a foreign trade and leaves a dollar one alone', () => {
+  const usd = { price: 10, amount: -100, currency: 'USD', fxRate: 1 }
+  assert.equal(toUSD(usd), usd)
+  const eur = toUSD({ price: 180, amount: -1800, currency: 'EUR', fxRate: 1.1 })
+  assert.equal(Math.round(eur.price * 100) / 100, 198)
+  assert.equal(Math.round(eur.amount * 100) / 100, -1980)
+})
+
+test('realized P&L is in dollars at each trade-date rate', () => {
+  // Bought EUR 1,000 at 1.10 ($1,100), sold for EUR 1,000 at 1.20 ($1,200):
+  // flat in euros, a $100 gain in dollars.
+  const trades = [
+    { date: '2026-01-05', symbol: 'SAP', transCode: 'Buy', isBuy: true, isOption: false, quantity: 10, price: 100, amount: -1000, currency: 'EUR', fxRate: 1.1, broker: 'ibkr' },
+    { date: '2026-06-05', symbol: 'SAP', transCode: 'Sell', isBuy: false, isOption: false, quantity: 10, price: 100, amount: 1000, currency: 'EUR', fxRate: 1.2, broker: 'ibkr' },
+  ]
+  const [row] = calculatePnL(trades, { SAP: 0 }, true, null, '2026-07-01', [])
+  assert.equal(row.symbol, 'SAP')
+  assert.equal(row.real.realizedPnL, 100)
+  assert.equal(row.fifo.realizedPnL, 100)
+})
+
+console.log(`\n${passed} passed\n`)
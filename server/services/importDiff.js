@@ -0,0 +1,133 @@
+/**
+ * What an upload would change, worked out before anything is written.
+ *
+ * Broker exports overlap: a Robinhood download covers everything up to the
+ * day it was taken, so the second one repeats most of the first. saveTrades
+ * already skips rows it has seen, but silently — there was no way to tell a
+ * clean re-upload from one where the broker had revised a fee, or dropped a
+ * row that's still sitting in the database. This compares the parsed file
+ * against what's stored for that broker and sorts every row into:
+ *
+ *   added       in the file, not stored yet              → will be written
+ *   duplicates  in the file and already stored           → skipped
+ *   conflicts   same day, code, symbol and size, but a    → the file's figures
+ *               different price or amount                  replace the stored row
+ *   missing     stored, inside the dates the file covers,  → kept (the file is
+ *               but no longer in the file                   not taken as a delete)
+ *
+ * Matching is by multiset, not set: two identical fills on one day are two
+ * rows, and a file with three of them against two stored adds exactly one.
+ * The same rule is what saveTrades applies, so the preview is what happens.
+ */
+
+const day = (d) => {
+  if (!d) return null
+  if (typeof d === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(d)) return d
+  return new Date(d).toISOString().split('T')[0]
+}
+
+/**
+ * A parsed trade or a trades-table row, reduced to the fields that identify it.
+ */
+export function tradeIdentity(t) {
+  return {
+    transDate: day(t.trans_date ?? t.transDate ?? t.date),
+    transCode: t.trans_code ?? t.transCode ?? t.transactionCode ?? '',
+    symbol: t.symbol,
+    quantity: t.quantity,
+    price: t.price,
+    amount: t.amount,
+  }
+}
+
+// Exact key: everything saveTrades dedupes on. Loose key: the same fill with
+// the money left out, which is how a revised row is recognized.
+const exactKey = (r) => `${r.transDate}|${r.transCode || ''}|${r.symbol}|${r.quantity}|${r.price}|${r.amount}`
+const looseKey = (r) => `${r.transDate}|${r.transCode || ''}|${r.symbol}|${r.quantity}`
+
+const bucket = (rows, keyOf) => {
+  const m = new Map()
+  for (const r of rows) {
+    const k = keyOf(r)
+    if (!m.has(k)) m.set(k, [])
+    m.get(k).push(r)
+  }
+  return m
+}
+
+/**
+ * Compare parsed trades against stored rows for the same broker.
+ *
+ * @param incoming parsed trades from the file
+ * @param existing stored trades-table rows for this user and broker
+ * @returns { added, duplicates, conflicts: [{ incoming, existing }], missing, window }
+ *   Each entry keeps the object it came from; `window` is the file's
+ *   { from, to } trade-date span, outside which nothing can be "missing".
+ */
+export function diffTrades(incoming = [], existing = []) {
+  const inRows = incoming.map(t => ({ ...tradeIdentity(t), source: t }))
+  const dates = inRows.map(r => r.transDate).filter(Boolean).sort()
+  const window = dates.length ? { from: dates[0], to: dates[dates.length - 1] } : null
+
+  const stored = bucket(existing.map(t => ({ ...tradeIdentity(t), source: t })), exactKey)
+  const duplicates = []
+  const unmatched = []
+  for (const r of inRows) {
+    const pool = stored.get(exactKey(r))
+    if (pool && pool.length) {
+      pool.shift()
+      duplicates.push(r.source)
+    } else {
+      unmatched.push(r)
+    }
+  }
+
+  // Stored rows nothing in the file matched. Only those the file's dates cover
+  // mean anything — the file simply doesn't reach the rest.
+  const leftovers = [...stored.values()].flat()
+    .filter(r => window && r.transDate >= window.from && r.transDate <= window.to)
+  const leftoverByLoose = bucket(leftovers, looseKey)
+
+  const added = []
+  const conflicts = []
+  for (const r of unmatched) {
+    const pool = leftoverByLoose.get(looseKey(r))
+    if (pool && pool.length) {
+      conflicts.push({ incoming: r.source, existing: pool.shift().source })
+    } else {
+      added.push(r.source)
+    }
+  }
+  const missing = [...leftoverByLoose.values()].flat().map(r => r.source)
+
+  return { added, duplicates, conflicts, missing, window }
+}
+
+/**
+ * Deposits and share transfers have no "revised" form — a different amount
+ * is a different movement — so they only split into new and already stored.
+ */
+export function diffByKey(incoming = [], existing = [], keyOf) {
+  const stored = bucket(existing, keyOf)
+  const added = []
+  const duplicates = []
+  for (const r of incoming) {
+    const pool = stored.get(keyOf(r))
+    if (pool && pool.length) { pool.shift(); duplicates.push(r) }
+    else added.push(r)
+  }
+  return { added, duplicates }
+}
+
+/**
+ * Does a previewImport() result add or replace anything? An upload that
+ * doesn't gets no import batch — there would be nothing to roll back.
+ */
+export const changesAnything = (preview) =>
+  preview.trades.added.length + preview.trades.conflicts.length +
+  preview.deposits.added + preview.shareTransfers.added > 0
+
+export const depositKey = (d) => `${day(d.deposit_date ?? d.date)}|${Math.round(Math.abs(d.amount) * 100)}`
+
+export const transferKey = (t) =>
+  `${day(t.transfer_date ?? t.date)}|${String(t.symbol).toUpperCase()}|${t.quantity}|${t.direction}`
@@ -1,3 +1,5 @@
+import { isShortSale, isShortCover, coverShorts, openShorts, borrowFee } from '../utils/shortSales.js'
+
 // Helper to extract parent instrument from option description
 // e.g., "AAPL 01/15/2024 $150 Call" -> "AAPL"
 const extractParentInstrument = (description) => {
@@ -38,12 +40,27 @@ const isOptionExpired = (symbol, asofDate = null) => {
   return expirationDate < referenceDate
 }
 
+// A trade in dollars. Foreign trades (IBKR) keep their native price and amount
+// alongside `currency` and the trade-date `fxRate`; every P&L figure is in
+// dollars, so they are converted once here rather than in each method. The
+// current price stays as quoted — the tickers we price are US listings.
+export const toUSD = (trade) => {
+  if (!trade.currency || trade.currency === 'USD' || !(trade.fxRate > 0) || trade.fxRate === 1) return trade
+  return {
+    ...trade,
+    price: (trade.price || 0) * trade.fxRate,
+    amount: (trade.amount || 0) * trade.fxRate,
+  }
+}
+
 // Calculate P&L using Average Cost, FIFO, and LIFO methods
-export const calculatePnL = (trades, currentPrices, rollupOptions = true, debugCallback = null, asofDate = null, dividendsAndInterest = []) => {
+export const calculatePnL = (trades, currentPrices, rollupOptions = true, debugCallback = null, asofDate = null, dividendsAndInterest = [], borrowRates = {}) => {
   const debugLog = (msg) => {
     if (debugCallback) debugCallback(msg)
   }
 
+  trades = trades.map(toUSD)
+
   // Debug: Count input options
   const inputOptions = trades.filter(t => t.isOption).length
   debugLog(`Input: ${trades.length} trades, ${inputOptions} are options`)
@@ -77,7 +94,7 @@ export const calculatePnL = (trades, currentPrices, rollupOptions = true, debugC
     const isOption = symbolTrades.some(t => t.isOption)
 
     // Calculate Real P&L (simple buy/sell matching)
-    const real = calculateReal(symbolTrades, currentPrice, symbol, dividendsAndInterest)
+    const real = calculateReal(symbolTrades, currentPrice, symbol, dividendsAndInterest, borrowRates)
 
     // Calculate Average Cost P&L
     const avgCost = calculateAverageCost(symbolTrades, currentPrice)
@@ -237,11 +254,20 @@ const mergeAcrossBrokers = (rows) => {
       a.unrealizedPnL = roundToTwo((a.unrealizedPnL || 0) + (b.unrealizedPnL || 0))
       a.totalPnL = roundToTwo((a.totalPnL || 0) + (b.totalPnL || 0))
       a.position = roundToTwo(totalPos)
-      a.avgCostBasis = totalPos > 0 ? roundToTwo((basisA + basisB) / totalPos) : 0
+      // Short at every broker (negative positions) weights the same way and
+      // gives the average short price; long at one and short at another has
+      // no one price to show.
+      const sameSide = totalPos > 0 || (totalPos < 0 && posA <= 0 && posB <= 0)
+      a.avgCostBasis = sameSide ? roundToTwo((basisA + basisB) / totalPos) : 0
       a.totalTrades = (a.totalTrades || 0) + (b.totalTrades || 0)
+      if (method === 'real') {
+        a.shortPosition = roundToTwo((a.shortPosition || 0) + (b.shortPosition || 0))
+        a.borrowFees = roundToTwo((a.borrowFees || 0) + (b.borrowFees || 0))
+        a.inLieuCharges = roundToTwo((a.inLieuCharges || 0) + (b.inLieuCharges || 0))
+      }
 
       // Percentage return is only meaningful against the combined basis.
-      const invested = totalPos > 0 ? totalPos * a.avgCostBasis : 0
+      const invested = sameSide ? Math.abs(totalPos) * a.avgCostBasis : 0
       a.percentageReturn = invested > 0 ? roundToTwo((a.totalPnL / invested) * 100) : 0
 
       // "Lowest open buy" style fields describe a specific lot at a specific
@@ -325,7 +351,7 @@ const rollupOptionsByParent = (pnlData) => {
 }
 
 // Real P&L calculation - Simple approach: sum all buy/sell amounts
-const calculateReal = (trades, currentPrice, symbol, dividendsAndInterest = []) => {
+const calculateReal = (trades, currentPrice, symbol, dividendsAndInterest = [], borrowRates = {}) => {
   let totalBuyAmount = 0
   let totalSellAmount = 0
   let totalBuyShares = 0
@@ -334,6 +360,12 @@ const calculateReal = (trades, currentPrice, symbol, dividendsAndInterest = [])
 
   // Track buy queue to calculate lowest open buy price (using FIFO)
   const buyQueue = []
+  // Short lots (shortSales.js). The cash sums above already count a short
+  // right — the sale brought money in, the cover paid it out — so these only
+  // decide what's still open and what it cost to borrow.
+  const shortLots = []
+  const borrowSchedule = borrowRates?.[symbol] || null
+  let borrowFees = 0
 
   // Track ALL buys to find the lowest buy price ever
   let lowestBuyEver = null
@@ -351,15 +383,28 @@ const calculateReal = (trades, currentPrice, symbol, dividendsAndInterest = [])
       totalBuyAmount += trade.quantity * trade.price
       totalBuyShares += trade.quantity
       position += trade.quantity
-      buyQueue.push({
-        quantity: trade.quantity,
-        price: trade.price,
-        date: trade.date || trade.transDate
-      })
+      // A cover closes short lots first; only what's left is shares held.
+      let held = trade.quantity
+      if (isShortCover(trade)) {
+        const cover = coverShorts(shortLots, held, trade.price, { date: trade.date || trade.transDate, schedule: borrowSchedule })
+        borrowFees += cover.fees
+        held -= cover.covered
+      }
+      if (held > 0.0001) {
+        buyQueue.push({
+          quantity: held,
+          price: trade.price,
+          date: trade.date || trade.transDate
+        })
+      }
 
       const tradeDate = new Date(trade.date || trade.transDate)
       tradeDate.setHours(0, 0, 0, 0)
 
+      // A reinvested dividend (drip.js) adds shares and cost like any buy,
+      // but nobody chose its price — leave it out of the buy-price signals.
+      if (trade.isDrip) return
+
       // Track lowest buy ever (including sold positions)
       if (!lowestBuyEver || trade.price < lowestBuyEver.price) {
         lowestBuyEver = {
@@ -398,8 +443,13 @@ const calculateReal = (trades, currentPrice, symbol, dividendsAndInterest = [])
         dateObj: tradeDate
       })
 
+      // A short sale opens a short lot instead of selling shares held.
+      if (isShortSale(trade)) {
+        shortLots.push({ quantity: trade.quantity, price: trade.price, date: trade.date || trade.transDate })
+      }
+
       // Remove sold shares from buy queue (FIFO)
-      let remainingSellQty = trade.quantity
+      let remainingSellQty = isShortSale(trade) ? 0 : trade.quantity
       while (remainingSellQty > 0 && buyQueue.length > 0) {
         const oldestBuy = buyQueue[0]
         if (oldestBuy.quantity <= remainingSellQty) {
@@ -416,6 +466,8 @@ const calculateReal = (trades, currentPrice, symbol, dividendsAndInterest = [])
   // Calculate total dividends and interest for this symbol
   let totalDividends = 0
   let totalInterest = 0
+  // Dividends paid to the lender while short — stored with a minus sign
+  let totalInLieu = 0
 
   dividendsAndInterest.forEach(item => {
     if (item.symbol === symbol) {
@@ -423,12 +475,23 @@ const calculateReal = (trades, currentPrice, symbol, dividendsAndInterest = [])
         totalDividends += item.amount
       } else if (item.isInterest) {
         totalInterest += item.amount
+      } else if (item.isInLieu) {
+        totalInLieu -= item.amount
       }
     }
   })
 
   // Realized P&L = Total sell amount - Total buy amount + Dividends - Interest
-  const realizedPnL = totalSellAmount - totalBuyAmount + totalDividends - totalInterest
+  // - dividends in lieu - borrow fees on shorts already covered
+  const realizedPnL = totalSellAmount - totalBuyAmount + totalDividends - totalInterest - totalInLieu - borrowFees
+
+  // Shares held long are the position plus whatever of it is short
+  const short = openShorts(shortLots)
+  const longShares = position + short.quantity
+  // Borrow fees accrue on a short until it's covered
+  const openBorrowFees = borrowSchedule
+    ? shortLots.reduce((sum, lot) => sum + borrowFee({ quantity: lot.quantity, price: lot.price, from: lot.date, to: new Date(), schedule: borrowSchedule }), 0)
+    : 0
 
   // Unrealized P&L = Current value of remaining position
   let unrealizedPnL = 0
@@ -440,10 +503,16 @@ const calculateReal = (trades, currentPrice, symbol, dividendsAndInterest = [])
   let recentLowestSellPrice = 0
   let recentLowestSellDaysAgo = 0
 
-  if (position > 0) {
-    unrealizedPnL = position * currentPrice
+  if (longShares > 0.0001) {
+    unrealizedPnL = longShares * currentPrice
     avgCostBasis = totalBuyAmount > 0 ? totalBuyAmount / totalBuyShares : 0
   }
+  // Shares short are owed back: their value comes off, the same way the
+  // short sale's proceeds went into realized
+  if (short.quantity > 0.0001) {
+    unrealizedPnL -= currentPrice * short.quantity + openBorrowFees
+    if (!(longShares > 0.0001)) avgCostBasis = short.avgPrice
+  }
 
   // Find the lowest buy price from ALL buys (not just open positions)
   if (lowestBuyEver) {
@@ -520,6 +589,9 @@ const calculateReal = (trades, currentPrice, symbol, dividendsAndInterest = [])
     totalPnL: roundToTwo(totalPnL),
     position: roundToTwo(position),
     avgCostBasis: roundToTwo(avgCostBasis),
+    shortPosition: roundToTwo(short.quantity),
+    borrowFees: roundToTwo(borrowFees + openBorrowFees),
+    inLieuCharges: roundToTwo(totalInLieu),
     percentageReturn: roundToTwo(percentageReturn),
     lowestOpenBuyPrice: roundToTwo(lowestOpenBuyPrice),
     lowestOpenBuyDaysAgo: lowestOpenBuyDaysAgo,
@@ -538,9 +610,24 @@ const calculateReal = (trades, currentPrice, symbol, dividendsAndInterest = [])
 const calculateAverageCost = (trades, currentPrice) => {
   let totalShares = 0
   let totalCost = 0
+  // Open short, at the average price it was sold at
+  let shortShares = 0
+  let shortProceeds = 0
 
   // Track all buys and sells
   trades.forEach((trade) => {
+    if (isShortSale(trade)) {
+      shortShares += trade.quantity
+      shortProceeds += trade.quantity * trade.price
+      return
+    }
+    if (isShortCover(trade) && shortShares > 0) {
+      const covered = Math.min(trade.quantity, shortShares)
+      shortProceeds -= covered * (shortProceeds / shortShares)
+      shortShares -= covered
+      if (trade.quantity - covered <= 0.0001) return
+      trade = { ...trade, quantity: trade.quantity - covered }
+    }
     if (trade.isBuy) {
       totalShares += trade.quantity
       totalCost += trade.quantity * trade.price
@@ -555,13 +642,16 @@ const calculateAverageCost = (trades, currentPrice) => {
 
   if (totalShares > 0 && totalCost > 0) {
     // Calculate weighted average cost across all purchases
-    avgCostBasis = totalCost / (totalShares + trades.filter(t => !t.isBuy).reduce((sum, t) => sum + t.quantity, 0))
+    avgCostBasis = totalCost / (totalShares + trades.filter(t => !t.isBuy && !isShortSale(t)).reduce((sum, t) => sum + t.quantity, 0))
     unrealizedPnL = (currentPrice - avgCostBasis) * totalShares
+  } else if (shortShares > 0.0001) {
+    avgCostBasis = shortProceeds / shortShares
+    unrealizedPnL = (avgCostBasis - currentPrice) * shortShares
   }
 
   return {
     unrealizedPnL: roundToTwo(unrealizedPnL),
-    position: roundToTwo(totalShares),
+    position: roundToTwo(totalShares - shortShares),
     avgCostBasis: roundToTwo(avgCostBasis)
   }
 }
@@ -569,18 +659,31 @@ const calculateAverageCost = (trades, currentPrice) => {
 // FIFO (First In, First Out) calculation
 const calculateFIFO = (trades, currentPrice) => {
   const buyQueue = []
+  const shortLots = []
   let realizedPnL = 0
   let totalShares = 0
 
   trades.forEach((trade) => {
+    if (isShortSale(trade)) {
+      shortLots.push({ quantity: trade.quantity, price: trade.price, date: trade.date })
+      return
+    }
     if (trade.isBuy) {
+      // A cover closes the oldest short lots first; the rest is a buy
+      let quantity = trade.quantity
+      if (isShortCover(trade)) {
+        const cover = coverShorts(shortLots, quantity, trade.price)
+        realizedPnL += cover.realized
+        quantity -= cover.covered
+        if (quantity <= 0.0001) return
+      }
       // Add to buy queue
       buyQueue.push({
-        quantity: trade.quantity,
+        quantity,
         price: trade.price,
         date: trade.date
       })
-      totalShares += trade.quantity
+      totalShares += quantity
     } else {
       // Sell - match with oldest buys first (FIFO)
       let remainingSellQty = trade.quantity
@@ -617,12 +720,20 @@ const calculateFIFO = (trades, currentPrice) => {
     avgCostBasis = totalCost / position
     unrealizedPnL = (currentPrice - avgCostBasis) * position
   }
+  // Still short: marked against the prices the shares were sold at
+  const short = openShorts(shortLots)
+  const shortQty = short.quantity > 0.0001 ? short.quantity : 0
+  if (shortQty) {
+    unrealizedPnL += (short.avgPrice - currentPrice) * shortQty
+    if (!(position > 0.0001)) avgCostBasis = short.avgPrice
+  }
+  const open = position > 0.0001 || shortQty > 0
 
   return {
     realizedPnL: roundToTwo(realizedPnL),
-    unrealizedPnL: position > 0.0001 ? roundToTwo(unrealizedPnL) : 0,
-    totalPnL: roundToTwo(realizedPnL + (position > 0.0001 ? unrealizedPnL : 0)),
-    position: position > 0.0001 ? roundToTwo(position) : 0,
+    unrealizedPnL: open ? roundToTwo(unrealizedPnL) : 0,
+    totalPnL: roundToTwo(realizedPnL + (open ? unrealizedPnL : 0)),
+    position: roundToTwo((position > 0.0001 ? position : 0) - shortQty),
     avgCostBasis: roundToTwo(avgCostBasis)
   }
 }
@@ -630,18 +741,31 @@ const calculateFIFO = (trades, currentPrice) => {
 // LIFO (Last In, First Out) calculation
 const calculateLIFO = (trades, currentPrice) => {
   const buyStack = []
+  const shortLots = []
   let realizedPnL = 0
   let totalShares = 0
 
   trades.forEach((trade) => {
+    if (isShortSale(trade)) {
+      shortLots.push({ quantity: trade.quantity, price: trade.price, date: trade.date })
+      return
+    }
     if (trade.isBuy) {
+      // A cover closes the newest short lots first; the rest is a buy
+      let quantity = trade.quantity
+      if (isShortCover(trade)) {
+        const cover = coverShorts(shortLots, quantity, trade.price, { lifo: true })
+        realizedPnL += cover.realized
+        quantity -= cover.covered
+        if (quantity <= 0.0001) return
+      }
       // Add to buy stack
       buyStack.push({
-        quantity: trade.quantity,
+        quantity,
         price: trade.price,
         date: trade.date
       })
-      totalShares += trade.quantity
+      totalShares += quantity
     } else {
       // Sell - match with newest buys first (LIFO)
       let remainingSellQty = trade.quantity
@@ -678,12 +802,20 @@ const calculateLIFO = (trades, currentPrice) => {
     avgCostBasis = totalCost / position
     unrealizedPnL = (currentPrice - avgCostBasis) * position
   }
+  // Still short: marked against the prices the shares were sold at
+  const short = openShorts(shortLots)
+  const shortQty = short.quantity > 0.0001 ? short.quantity : 0
+  if (shortQty) {
+    unrealizedPnL += (short.avgPrice - currentPrice) * shortQty
+    if (!(position > 0.0001)) avgCostBasis = short.avgPrice
+  }
+  const open = position > 0.0001 || shortQty > 0
 
   return {
     realizedPnL: roundToTwo(realizedPnL),
-    unrealizedPnL: position > 0.0001 ? roundToTwo(unrealizedPnL) : 0,
-    totalPnL: roundToTwo(realizedPnL + (position > 0.0001 ? unrealizedPnL : 0)),
-    position: position > 0.0001 ? roundToTwo(position) : 0,
+    unrealizedPnL: open ? roundToTwo(unrealizedPnL) : 0,
+    totalPnL: roundToTwo(realizedPnL + (open ? unrealizedPnL : 0)),
+    position: roundToTwo((position > 0.0001 ? position : 0) - shortQty),
     avgCostBasis: roundToTwo(avgCostBasis)
   }
 }
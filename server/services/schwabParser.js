@@ -19,6 +19,9 @@
  */
 
 import Papa from 'papaparse'
+import { tagDripBuys } from '../utils/drip.js'
+import { classifyCashRow, netPrincipal } from '../utils/cashLedger.js'
+import { IN_LIEU_CODE, isInLieuCharge } from '../utils/shortSales.js'
 
 const money = (v) => {
   if (v === null || v === undefined) return 0
@@ -66,6 +69,13 @@ const ACTION_TO_CODE = {
   'assigned': 'OASGN',
   'expired': 'OEXP',
   'exchange or exercise': 'OEXC',
+  // Shorting stock (shortSales.js).
+  'sell short': 'SS',
+  'buy to cover': 'BC',
+  // The buy half of a dividend reinvestment; the cash half is "Reinvest
+  // Dividend", read as income below. These used to be skipped, so reinvested
+  // shares were missing from the position entirely.
+  'reinvest shares': 'Buy',
 }
 
 const DIVIDEND_ACTIONS = /dividend|cash div|reinvest div/i
@@ -104,7 +114,7 @@ export function normalizeSchwabOption(symbol, description) {
 /**
  * Parse a Schwab transactions CSV.
  *
- * Returns { trades, dividendsAndInterest, deposits, transfers, totalPrincipal, skipped, warnings }.
+ * Returns { trades, dividendsAndInterest, deposits, cashLedger, transfers, totalPrincipal, skipped, warnings }.
  */
 export function parseSchwabTransactions(input) {
   const text = Buffer.isBuffer(input) ? input.toString('utf8') : String(input)
@@ -123,6 +133,7 @@ export function parseSchwabTransactions(input) {
   const trades = []
   const dividendsAndInterest = []
   const deposits = []
+  const cashLedger = []  // every other cash row — see cashLedger.js
   const transfers = []   // share movements (journals), not cash
   const warnings = []
   let skipped = 0
@@ -137,6 +148,37 @@ export function parseSchwabTransactions(input) {
     const description = (row['Description'] || '').trim()
     const amount = money(row['Amount'])
     const key = action.toLowerCase()
+    const toLedger = (type) => cashLedger.push({
+      date: new Date(`${date}T12:00:00`),
+      type,
+      amount,
+      transCode: null,
+      description: description || action,
+      broker: 'schwab',
+    })
+
+    // ── Margin interest: "interest", but charged rather than earned ──
+    if (INTEREST_ACTIONS.test(action) && (amount < 0 || /margin/i.test(action))) {
+      if (amount) toLedger('margin_interest')
+      return
+    }
+
+    // ── Dividends paid to a lender on shares we're short ──
+    if (isInLieuCharge({ text: `${action} ${description}`, amount })) {
+      dividendsAndInterest.push({
+        id: index,
+        date: new Date(`${date}T12:00:00`),
+        symbol,
+        amount,
+        transCode: IN_LIEU_CODE,
+        isDividend: false,
+        isInterest: false,
+        isInLieu: true,
+        description: description || action,
+        broker: 'schwab',
+      })
+      return
+    }
 
     // ── Income ──
     if (DIVIDEND_ACTIONS.test(action) || INTEREST_ACTIONS.test(action)) {
@@ -177,7 +219,8 @@ export function parseSchwabTransactions(input) {
         )
         return
       }
-      // Only money coming IN is principal; withdrawals would overstate it.
+      // Only money coming IN is a deposit. Money going out is a withdrawal,
+      // which comes off principal rather than being counted as more of it.
       if (amount > 0) {
         deposits.push({
           date: new Date(`${date}T12:00:00`),
@@ -185,13 +228,27 @@ export function parseSchwabTransactions(input) {
           description: description || action,
           broker: 'schwab',
         })
+      } else if (amount < 0) {
+        toLedger('withdrawal')
       }
       return
     }
 
     // ── Trades ──
-    const transCode = ACTION_TO_CODE[key]
-    if (!transCode) { skipped++; return }   // corporate actions, journals, etc.
+    let transCode = ACTION_TO_CODE[key]
+    if (!transCode) {
+      // Not a trade. If it moved cash — fees, tax withheld, cash in lieu — it
+      // goes in the ledger; corporate actions that moved none are skipped.
+      const type = qty(row['Quantity']) > 0 && !amount ? null : classifyCashRow({ text: `${action} ${description}`, amount })
+      if (type === 'deposit') {
+        deposits.push({ date: new Date(`${date}T12:00:00`), amount, description: description || action, broker: 'schwab' })
+      } else if (type) {
+        toLedger(type)
+      } else {
+        skipped++
+      }
+      return
+    }
 
     const optionDesc = normalizeSchwabOption(symbol, description)
     const isOption = !!optionDesc
@@ -199,8 +256,11 @@ export function parseSchwabTransactions(input) {
     const price = money(row['Price'])
     if (!symbol && !optionDesc) { skipped++; return }
     if (!(filled > 0)) { skipped++; return }
+    // Some exports write a stock short with the option verbs.
+    if (!isOption && transCode === 'STO') transCode = 'SS'
+    if (!isOption && transCode === 'BTC') transCode = 'BC'
 
-    const isBuy = ['Buy', 'BTO', 'BTC'].includes(transCode)
+    const isBuy = ['Buy', 'BTO', 'BTC', 'BC'].includes(transCode)
     // Amount is already signed and net of fees; fall back to qty x price only
     // when Schwab left it blank (assignments and expirations often do).
     const gross = isOption ? price * filled * 100 : price * filled
@@ -216,6 +276,7 @@ export function parseSchwabTransactions(input) {
       isOption,
       isBuy,
       isExpiry: transCode === 'OEXP' || transCode === 'OASGN' || transCode === 'OEXC',
+      isDrip: key === 'reinvest shares',
       // Options carry quantity 1 / price = amount, matching the Robinhood parser
       // so downstream contract math lines up.
       contracts: isOption ? filled : 1,
@@ -233,8 +294,8 @@ export function parseSchwabTransactions(input) {
     )
   }
 
-  const totalPrincipal = deposits.reduce((s, d) => s + d.amount, 0)
-  return { trades, dividendsAndInterest, deposits, transfers, totalPrincipal, skipped, warnings }
+  const totalPrincipal = netPrincipal(deposits, cashLedger)
+  return { trades: tagDripBuys(trades, dividendsAndInterest).trades, dividendsAndInterest, deposits, cashLedger, transfers, totalPrincipal, skipped, warnings }
 }
 
 export default parseSchwabTransactions
@@ -77,6 +77,16 @@ test('dividends and interest are split out, not treated as trades', () => {
   assert.equal(r.dividendsAndInterest[1].isInterest, true)
 })
 
+test('a reinvested dividend is income plus a buy tagged DRIP', () => {
+  const r = parseSchwabTransactions(csv(
+    '"07/22/2026","Reinvest Dividend","DIS","DISNEY WALT CO","","","","$1.50"',
+    '"07/22/2026","Reinvest Shares","DIS","DISNEY WALT CO","0.0131","$114.50","","-$1.50"',
+  ))
+  assert.equal(r.dividendsAndInterest.length, 1)
+  assert.equal(r.trades.length, 1, 'the reinvested shares were dropped')
+  assert.deepEqual([r.trades[0].isBuy, r.trades[0].isDrip, r.trades[0].quantity], [true, true, 0.0131])
+})
+
 test('a cash transfer in becomes a deposit', () => {
   const r = parseSchwabTransactions(csv(
     '"08/11/2025 as of 08/08/2025","MoneyLink Transfer","","FUNDS RECEIVED","","","","$1000.00"',
@@ -94,6 +104,36 @@ test('a withdrawal is not counted as principal', () => {
   ))
   assert.equal(r.deposits.length, 0)
   assert.equal(r.totalPrincipal, 0)
+  assert.deepEqual(r.cashLedger.map(e => [e.type, e.amount]), [['withdrawal', -500]])
+})
+
+test('a withdrawal comes off the principal deposited before it', () => {
+  const r = parseSchwabTransactions(csv(
+    '"08/01/2025","MoneyLink Transfer","","FUNDS RECEIVED","","","","$1000.00"',
+    '"08/11/2025","MoneyLink Transfer","","FUNDS SENT","","","","-$300.00"',
+  ))
+  assert.equal(r.totalPrincipal, 700)
+})
+
+test('margin interest charged is a cost, not interest income', () => {
+  const r = parseSchwabTransactions(csv(
+    '"08/15/2025","Margin Interest","","MARGIN INTEREST","","","","-$12.40"',
+    '"08/15/2025","Credit Interest","","SCHWAB1 INT","","","","$0.85"',
+  ))
+  assert.deepEqual(r.dividendsAndInterest.map(d => d.amount), [0.85])
+  assert.deepEqual(r.cashLedger.map(e => [e.type, e.amount]), [['margin_interest', -12.4]])
+})
+
+test('fees and tax withheld land in the ledger instead of being skipped', () => {
+  const r = parseSchwabTransactions(csv(
+    '"08/20/2025","ADR Mgmt Fee","TSM","TAIWAN SEMICONDUCTOR","","","","-$0.60"',
+    '"08/20/2025","Foreign Tax Paid","TSM","TAIWAN SEMICONDUCTOR","","","","-$1.10"',
+    '"08/21/2025","Service Fee","","WIRE OUT FEE","","","","-$25.00"',
+    '"08/22/2025","Stock Split","NVDA","NVIDIA CORP","9","","",""',
+  ))
+  assert.deepEqual(r.cashLedger.map(e => e.type), ['adr_fee', 'tax_withheld', 'fee'])
+  assert.equal(r.skipped, 1, 'the split moved no cash and has no trade to be')
+  assert.equal(r.totalPrincipal, 0)
 })
 
 test('a share journal is separated from cash, not swallowed', () => {
@@ -150,6 +190,36 @@ test('option Action verbs map to the right trans codes', () => {
   assert.equal(trades[1].isBuy, true)
 })
 
+console.log('\nShort stock')
+
+test('a short sale and its cover are SS and BC, the cover a buy', () => {
+  const { trades } = parseSchwabTransactions(csv(
+    '"07/31/2026","Sell Short","TSLA","TESLA INC","10","$250.00","","$2,500.00"',
+    '"08/14/2026","Buy to Cover","TSLA","TESLA INC","10","$230.00","","-$2,300.00"',
+  ))
+  assert.deepEqual(trades.map(t => [t.transCode, t.isBuy, t.isOption]), [['SS', false, false], ['BC', true, false]])
+})
+
+test('option verbs on a stock row still read as a short', () => {
+  const { trades } = parseSchwabTransactions(csv(
+    '"07/31/2026","Sell to Open","TSLA","TESLA INC","10","$250.00","","$2,500.00"',
+    '"08/14/2026","Buy to Close","TSLA","TESLA INC","10","$230.00","","-$2,300.00"',
+  ))
+  assert.deepEqual(trades.map(t => t.transCode), ['SS', 'BC'])
+})
+
+test('a dividend charged on a short is an in-lieu charge, not income', () => {
+  const r = parseSchwabTransactions(csv(
+    '"08/07/2026","Cash Dividend","TSLA","TESLA INC","","","","-$5.00"',
+    '"08/07/2026","Payment in Lieu","KO","COCA COLA CO","","","","-$2.04"',
+  ))
+  assert.deepEqual(r.dividendsAndInterest.map(d => [d.symbol, d.transCode, d.amount, d.isInLieu, d.isDividend]), [
+    ['TSLA', 'DIVL', -5, true, false],
+    ['KO', 'DIVL', -2.04, true, false],
+  ])
+  assert.equal(r.cashLedger.length, 0)
+})
+
 if (fs.existsSync(REAL)) {
   console.log('\nAgainst the real export')
   const r = parseSchwabTransactions(fs.readFileSync(REAL, 'utf8'))
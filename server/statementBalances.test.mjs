@@ -0,0 +1,66 @@
+/**
+ * Statement balances, stored.
+ * Run: node server/statementBalances.test.mjs
+ *
+ * One figure per broker and month: entering a month again corrects it rather
+ * than adding a second statement for the reconciliation to trip over.
+ */
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'node:url'
+import { dirname, join } from 'node:path'
+import fs from 'node:fs'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const TMP_DB = join(__dirname, `test_statements_${process.pid}.db`)
+process.env.DATABASE_PATH = TMP_DB
+process.env.NODE_ENV = 'test'
+
+let passed = 0
+const test = (name, fn) => {
+  try { fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+
+const cleanup = async () => {
+  try {
+    const { getDatabase } = await import('./services/database.js')
+    getDatabase()?.close()
+  } catch {}
+  for (const f of [TMP_DB, `${TMP_DB}-wal`, `${TMP_DB}-shm`]) {
+    try { fs.existsSync(f) && fs.unlinkSync(f) } catch {}
+  }
+}
+
+try {
+  const { databaseService } = await import('./services/database.js')
+
+  test('re-entering a month replaces it', () => {
+    databaseService.saveStatementBalance(1, { broker: 'robinhood', month: '2026-01', endingCash: 500, endingEquity: 9000 })
+    databaseService.saveStatementBalance(1, { broker: 'robinhood', month: '2026-01', endingCash: 520 })
+    assert.deepEqual(databaseService.getStatementBalances(1), [
+      { broker: 'robinhood', month: '2026-01', endingCash: 520, endingEquity: null },
+    ])
+  })
+
+  test('each broker and user has its own statements', () => {
+    databaseService.saveStatementBalance(1, { broker: 'schwab', month: '2026-01', endingCash: 75 })
+    databaseService.saveStatementBalance(2, { broker: 'robinhood', month: '2026-01', endingCash: 1 })
+    assert.deepEqual(databaseService.getStatementBalances(1, 'schwab').map(s => s.endingCash), [75])
+    assert.equal(databaseService.getStatementBalances(1).length, 2)
+  })
+
+  test('deleting one leaves the rest, and a second delete finds nothing', () => {
+    assert.equal(databaseService.deleteStatementBalance(1, 'schwab', '2026-01'), true)
+    assert.equal(databaseService.deleteStatementBalance(1, 'schwab', '2026-01'), false)
+    assert.deepEqual(databaseService.getStatementBalances(1).map(s => s.broker), ['robinhood'])
+    assert.equal(databaseService.getStatementBalances(2).length, 1)
+  })
+
+  console.log(`\n${passed} passed\n`)
+} catch (e) {
+  console.error('\nTest harness error:', e)
+  process.exitCode = 1
+} finally {
+  await cleanup()
+  setTimeout(() => process.exit(process.exitCode || 0), 250)
+}
@@ -0,0 +1,152 @@
+/**
+ * Early-assignment and pin-risk warnings for short options.
+ *
+ * Three situations where a short option is likely to be assigned before the
+ * seller expects it, or where nobody can say whether it will be:
+ *
+ *  - Dividend. A call holder who exercises the day before the ex-date gets the
+ *    dividend; one who doesn't keeps the time value. Once an in-the-money
+ *    call's time value is less than the dividend, exercising pays, and short
+ *    calls get assigned the night before ex-date.
+ *  - Pin. Near expiry with the stock sitting on the strike, whether a contract
+ *    is exercised turns on after-hours moves and each holder's choice. The
+ *    seller finds out over the weekend, with shares (or none) they didn't plan
+ *    for.
+ *  - Deep in-the-money put. With almost no time value left, a holder gives
+ *    little up by exercising now and frees the cash, so deep puts are assigned
+ *    early — more so when rates are high.
+ *
+ * Time value is the contract's price now less its intrinsic value. The price
+ * is re-estimated from its last closing mark and implied vol for the current
+ * underlying (repriceFromClose), the same way the extended-hours view does;
+ * a contract with no mark can't be judged for the two time-value checks.
+ *
+ * Upcoming ex-dates come from Nasdaq's dividend history. A declared one is
+ * used as is; otherwise the next is projected from the spacing of the last few
+ * and marked estimated, like dividends.js does for a missing ex-date.
+ */
+import { repriceFromClose } from './blackScholes.js'
+import { yearsToExpiry } from './portfolioGreeks.js'
+
+export const RISK_DEFAULTS = {
+  pinBandPct: 2,      // within this % of the strike counts as pinned
+  pinDays: 3,         // … in the last this many calendar days
+  minTimeValue: 0.10, // $/share of time value below which a deep put is at risk
+}
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+// A payer that hasn't gone ex in this long has stopped paying.
+const STALE_DIVIDEND_DAYS = 400
+const QUARTER_DAYS = 91
+
+const round2 = (n) => Math.round((n + Number.EPSILON) * 100) / 100
+const daysBetween = (a, b) => Math.round((Date.parse(b) - Date.parse(a)) / MS_PER_DAY)
+const addDays = (iso, n) => new Date(Date.parse(iso) + n * MS_PER_DAY).toISOString().slice(0, 10)
+// Nasdaq writes dates as MM/DD/YYYY, and "N/A" for none.
+const usDate = (s) => {
+  const m = String(s || '').match(/^(\d{2})\/(\d{2})\/(\d{4})$/)
+  return m ? `${m[3]}-${m[1]}-${m[2]}` : null
+}
+
+/**
+ * Next ex-dividend from Nasdaq's /api/quote/{ticker}/dividends payload.
+ *
+ * @param data   response.data.data
+ * @param today  'YYYY-MM-DD'
+ * @returns { exDate, amount, estimated } or null for a non-payer
+ */
+export function parseNasdaqDividends(data, today) {
+  const rows = (data?.dividends?.rows || [])
+    .map((r) => ({ exDate: usDate(r.exOrEffDate), amount: parseFloat(String(r.amount || '').replace(/[$,]/g, '')) }))
+    .filter((r) => r.exDate && r.amount > 0)
+    .sort((a, b) => b.exDate.localeCompare(a.exDate))
+  if (!rows.length) return null
+
+  const declared = rows.filter((r) => r.exDate >= today)
+  if (declared.length) {
+    const next = declared[declared.length - 1]
+    return { exDate: next.exDate, amount: next.amount, estimated: false }
+  }
+  const last = rows[0]
+  if (daysBetween(last.exDate, today) > STALE_DIVIDEND_DAYS) return null
+  // Median spacing of the last few, so one special dividend doesn't set the pace.
+  const gaps = rows.slice(0, 5).slice(1).map((r, i) => daysBetween(r.exDate, rows[i].exDate)).sort((a, b) => a - b)
+  const every = gaps.length ? gaps[Math.floor(gaps.length / 2)] : QUARTER_DAYS
+  if (!(every > 0)) return null
+  let exDate = addDays(last.exDate, every)
+  while (exDate < today) exDate = addDays(exDate, every)
+  return { exDate, amount: last.amount, estimated: true }
+}
+
+/**
+ * A contract's time value per share now, or null without a usable mark.
+ *
+ * @param mark  option_iv_marks row: { close_mark, underlying_close, sigma, mark_date }
+ */
+export function timeValue({ type, strike, expiry }, S, mark, now = Date.now()) {
+  if (!mark || !(mark.close_mark >= 0) || !(mark.underlying_close > 0)) return null
+  const T1 = yearsToExpiry(expiry, now)
+  const T0 = yearsToExpiry(expiry, Date.parse(`${mark.mark_date}T20:00:00Z`))
+  const est = repriceFromClose({ type, closeMark: mark.close_mark, S0: mark.underlying_close, S1: S, K: strike, T0, T1, sigma: mark.sigma })
+  if (est == null) return null
+  const intrinsic = type === 'put' ? Math.max(0, strike - S) : Math.max(0, S - strike)
+  return Math.max(0, est - intrinsic)
+}
+
+/**
+ * Warnings for open short options.
+ *
+ * @param positions  [{ symbol, ticker, type, strike, expiry, contracts, mark }]
+ * @param prices     { ticker: underlying price now }
+ * @param dividends  { ticker: { exDate, amount, estimated } } for call underlyings
+ * @param today      'YYYY-MM-DD' in New York
+ * @returns [{ kind: 'dividend' | 'pin' | 'deep_itm', severity: 'high' | 'medium',
+ *   reason, symbol, ticker, type, strike, expiry, contracts, daysToExpiry,
+ *   underlyingPrice, timeValue, exDate?, dividend?, estimated? }], most urgent first
+ */
+export function assignmentWarnings(positions, { prices = {}, dividends = {}, today, now = Date.now(), ...settings } = {}) {
+  const { pinBandPct, pinDays, minTimeValue } = { ...RISK_DEFAULTS, ...settings }
+  const out = []
+  for (const p of positions) {
+    const S = prices[p.ticker]
+    if (!(S > 0)) continue
+    const daysToExpiry = daysBetween(today, p.expiry)
+    if (daysToExpiry < 0) continue
+    const tv = timeValue(p, S, p.mark, now)
+    const itm = p.type === 'call' ? S - p.strike : p.strike - S
+    const offPct = Math.abs(S - p.strike) / p.strike * 100
+    const base = {
+      symbol: p.symbol, ticker: p.ticker, type: p.type, strike: p.strike, expiry: p.expiry,
+      contracts: p.contracts, daysToExpiry, underlyingPrice: round2(S), timeValue: tv == null ? null : round2(tv),
+    }
+    const push = (kind, severity, reason, extra = {}) => out.push({ ...base, kind, severity, reason, ...extra })
+
+    const div = dividends[p.ticker]
+    // Exercise has to happen by the close the day before ex-date, so a call
+    // expiring before then, or an ex-date today (already past), is no risk.
+    if (p.type === 'call' && itm > 0 && div && div.exDate > today && div.exDate <= p.expiry && tv != null && tv < div.amount) {
+      const daysToEx = daysBetween(today, div.exDate)
+      push('dividend', daysToEx <= 2 ? 'high' : 'medium',
+        `In the money by $${itm.toFixed(2)} with $${tv.toFixed(2)} of time value left — less than the ` +
+        `$${div.amount.toFixed(2)} dividend going ex ${div.exDate}${div.estimated ? ' (estimated)' : ''}. ` +
+        `Holders exercise the day before to collect it.`,
+        { exDate: div.exDate, dividend: div.amount, estimated: !!div.estimated })
+    }
+
+    if (daysToExpiry <= pinDays && offPct <= pinBandPct) {
+      push('pin', daysToExpiry === 0 ? 'high' : 'medium',
+        `${daysToExpiry === 0 ? 'Expires today' : `Expires in ${daysToExpiry} day${daysToExpiry !== 1 ? 's' : ''}`} with ` +
+        `${p.ticker} $${Math.abs(S - p.strike).toFixed(2)} (${offPct.toFixed(1)}%) from the $${p.strike} strike — ` +
+        `whether it's assigned can turn on after-hours moves.`)
+    }
+
+    // Outside the pin band, so a put sitting on its strike isn't flagged twice.
+    if (p.type === 'put' && itm > 0 && offPct > pinBandPct && tv != null && tv < minTimeValue) {
+      push('deep_itm', 'medium',
+        `$${itm.toFixed(2)} in the money with only $${tv.toFixed(2)} of time value — a holder loses almost ` +
+        `nothing by exercising now.`)
+    }
+  }
+  const rank = { high: 0, medium: 1 }
+  return out.sort((a, b) => rank[a.severity] - rank[b.severity] || a.daysToExpiry - b.daysToExpiry || a.ticker.localeCompare(b.ticker))
+}
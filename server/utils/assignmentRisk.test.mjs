@@ -0,0 +1,109 @@
+/**
+ * Early-assignment and pin-risk warnings.
+ * Run: node server/utils/assignmentRisk.test.mjs
+ *
+ * Each warning has a reason a seller can check against the chain: time value
+ * below the dividend, the stock on the strike near expiry, a deep put with
+ * nothing left to lose by exercising. These check each fires when it should
+ * and stays quiet when it shouldn't.
+ */
+import assert from 'node:assert/strict'
+import { assignmentWarnings, parseNasdaqDividends, timeValue, RISK_DEFAULTS } from './assignmentRisk.js'
+import { bsPrice, RISK_FREE_RATE as r } from './blackScholes.js'
+import { yearsToExpiry } from './portfolioGreeks.js'
+
+let passed = 0
+const test = (name, fn) => {
+  try { fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+const close = (a, b, tol = 0.01) => assert.ok(Math.abs(a - b) < tol, `expected ${b}, got ${a}`)
+
+const today = '2026-10-14'
+const now = Date.parse(`${today}T20:00:00Z`)
+// A short with a closing mark taken today at `S`, so the estimate is the model price.
+const short = (o) => {
+  const p = { symbol: 'X', ticker: 'XYZ', type: 'call', strike: 100, expiry: '2026-11-20', contracts: 1, ...o }
+  const S = o.markAt ?? 100
+  const sigma = o.sigma ?? 0.3
+  p.mark = { close_mark: bsPrice(p.type, S, p.strike, yearsToExpiry(p.expiry, now), r, sigma), underlying_close: S, sigma, mark_date: today }
+  return p
+}
+const run = (positions, o = {}) => assignmentWarnings(positions, { prices: { XYZ: 100 }, today, now, ...o })
+
+console.log('\nTime value')
+
+test('time value is the estimate less intrinsic', () => {
+  const p = short({ strike: 90, markAt: 100 })
+  const price = bsPrice('call', 100, 90, yearsToExpiry(p.expiry, now), r, 0.3)
+  close(timeValue(p, 100, p.mark, now), price - 10)
+  assert.equal(timeValue(p, 100, null, now), null)
+})
+
+console.log('\nDividends')
+
+test('an ITM call whose time value is under the dividend is flagged before ex-date', () => {
+  const p = short({ strike: 80, expiry: '2026-10-23', sigma: 0.2 })
+  const [w] = run([p], { dividends: { XYZ: { exDate: '2026-10-16', amount: 0.5, estimated: false } } })
+  assert.equal(w.kind, 'dividend')
+  assert.equal(w.severity, 'high')
+  assert.match(w.reason, /\$0\.50 dividend going ex 2026-10-16/)
+})
+
+test('no flag when the call expires first, the ex-date has passed, or time value covers it', () => {
+  const deep = short({ strike: 80, expiry: '2026-10-23', sigma: 0.2 })
+  assert.equal(run([deep], { dividends: { XYZ: { exDate: '2026-10-30', amount: 0.5 } } }).length, 0)
+  assert.equal(run([deep], { dividends: { XYZ: { exDate: today, amount: 0.5 } } }).length, 0)
+  const atm = short({ strike: 98, expiry: '2026-12-18', sigma: 0.4 })
+  assert.equal(run([atm], { dividends: { XYZ: { exDate: '2026-10-20', amount: 0.5 } } }).length, 0)
+})
+
+console.log('\nPin risk')
+
+test('a short near expiry within the band of its strike is pinned', () => {
+  const ws = run([short({ strike: 101, expiry: '2026-10-16' })])
+  assert.equal(ws.length, 1)
+  assert.equal(ws[0].kind, 'pin')
+  assert.equal(ws[0].daysToExpiry, 2)
+  assert.equal(run([short({ strike: 101, expiry: today })])[0].severity, 'high')
+})
+
+test('the band and the days are settings', () => {
+  const p = short({ strike: 104, expiry: '2026-10-16' })
+  assert.equal(run([p]).length, 0, `4% is outside the default ${RISK_DEFAULTS.pinBandPct}%`)
+  assert.equal(run([p], { pinBandPct: 5 }).length, 1)
+  assert.equal(run([short({ strike: 101, expiry: '2026-10-23' })], { pinDays: 3 }).length, 0)
+})
+
+console.log('\nDeep puts')
+
+test('a deep ITM put with little time value is flagged, an ATM one is not', () => {
+  const deep = short({ type: 'put', strike: 130, sigma: 0.2 })
+  const [w] = run([deep])
+  assert.equal(w.kind, 'deep_itm')
+  assert.ok(w.timeValue < RISK_DEFAULTS.minTimeValue)
+  assert.equal(run([short({ type: 'put', strike: 105 })]).length, 0)
+})
+
+console.log('\nNasdaq dividends')
+
+const rows = (...list) => ({ dividends: { rows: list.map(([d, a]) => ({ exOrEffDate: d, amount: a, type: 'Cash' })) } })
+
+test('a declared ex-date is used as is', () => {
+  assert.deepEqual(parseNasdaqDividends(rows(['11/06/2026', '$0.26'], ['08/07/2026', '$0.26']), today),
+    { exDate: '2026-11-06', amount: 0.26, estimated: false })
+})
+
+test('with none declared, the next is projected from the spacing', () => {
+  const d = parseNasdaqDividends(rows(['08/07/2026', '$0.26'], ['05/08/2026', '$0.26'], ['02/06/2026', '$0.25'], ['11/07/2025', '$0.25']), today)
+  assert.equal(d.estimated, true)
+  assert.equal(d.exDate, '2026-11-06')
+  assert.equal(d.amount, 0.26)
+})
+
+test('a non-payer or a stopped one has none', () => {
+  assert.equal(parseNasdaqDividends({ dividends: { rows: null } }, today), null)
+  assert.equal(parseNasdaqDividends(rows(['03/01/2024', '$0.10']), today), null)
+})
+
+console.log(`\n${passed} passed\n`)
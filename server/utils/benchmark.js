@@ -0,0 +1,168 @@
+/**
+ * The account against an index it could have been in instead.
+ *
+ * The benchmark account gets the same external money on the same days —
+ * every deposit buys the benchmark, every withdrawal sells it — so the two
+ * curves differ only in what the money was invested in. It trades at the
+ * price the day opened at (the previous close), which is the returns engine's
+ * convention that a day's deposit is invested from the start of the day; that
+ * way the benchmark's time-weighted return is exactly the index's. The
+ * flows are the ones the returns engine uses, implied funding included:
+ * comparing against deposits alone would hand the benchmark less money than
+ * the account had whenever the export starts after the account was funded.
+ *
+ * Statistics are on the daily time-weighted returns of both (see
+ * returns.js), so deposit timing doesn't count for or against either:
+ *  - beta: how much the account moves per 1% of the benchmark
+ *  - alpha: Jensen's — annualized return beyond what that beta and the
+ *    risk-free rate explain
+ *  - tracking difference: account return minus benchmark return, cumulative
+ *    over the window
+ *  - max drawdown: worst peak-to-trough of each, and of the account relative
+ *    to the benchmark (the furthest it fell behind from its best standing)
+ */
+import { RISK_FREE_RATE } from './blackScholes.js'
+import { isoDay } from './returns.js'
+
+const EPS = 0.005
+
+/**
+ * Value of the benchmark account on each date.
+ *
+ * @param flows   [{ date, amount }] external money, positive in
+ * @param closes  [{ date, close }] benchmark daily closes, any order
+ * @param dates   ISO days to value it on
+ * @returns [{ date, value, shares }] — null value where there's no close yet
+ */
+export function simulateBenchmark(flows, closes, dates) {
+  const bars = closes
+    .filter((b) => b.close > 0)
+    .map((b) => ({ date: isoDay(b.date), close: b.close }))
+    .sort((a, b) => a.date.localeCompare(b.date))
+  if (!bars.length) return dates.map((date) => ({ date, value: null, shares: 0 }))
+  // Latest bar before (or, inclusive, on) a day.
+  const lastBar = (day, inclusive) => {
+    let last = null
+    for (const b of bars) { if (inclusive ? b.date > day : b.date >= day) break; last = b }
+    return last
+  }
+  const closeBefore = (day) => lastBar(day, false)
+  const closeOn = (day) => lastBar(day, true)
+  // Before the history starts there's no previous close, so the first one.
+  const fillFor = (day) => closeBefore(day) || bars.find((b) => b.date >= day) || bars[bars.length - 1]
+
+  const buys = flows
+    .map((f) => ({ date: isoDay(f.date), shares: f.amount / fillFor(isoDay(f.date)).close }))
+    .sort((a, b) => a.date.localeCompare(b.date))
+  let shares = 0
+  let i = 0
+  return [...dates].sort().map((date) => {
+    while (i < buys.length && buys[i].date <= date) shares += buys[i++].shares
+    const bar = closeOn(date)
+    return { date, value: bar ? shares * bar.close : null, shares }
+  })
+}
+
+// Worst fall from a running peak, as a fraction (−0.2 = 20% down).
+export function maxDrawdown(index) {
+  let peak = -Infinity
+  let worst = 0
+  for (const v of index) {
+    if (v == null) continue
+    peak = Math.max(peak, v)
+    if (peak > 0) worst = Math.min(worst, v / peak - 1)
+  }
+  return worst
+}
+
+const mean = (xs) => xs.reduce((s, x) => s + x, 0) / xs.length
+
+/**
+ * @param points     the account's series from buildValueSeries ([{ date, value, flow }])
+ * @param benchmark  simulateBenchmark output for the same dates
+ * @returns summary statistics plus `curve` for charting — per date the two
+ *   values, the two P&Ls (value less money put in) and growth-of-$1 indexes
+ */
+export function compareToBenchmark(points, benchmark) {
+  const benchByDate = new Map(benchmark.map((b) => [b.date, b.value]))
+  const rows = points.filter((p) => benchByDate.get(p.date) != null)
+  const curve = []
+  const pr = []
+  const br = []
+  let prevP = 0
+  let prevB = 0
+  let idxP = 1
+  let idxB = 1
+  let putIn = 0
+  let late = false // the account has points from before the benchmark's history
+  for (const p of points) {
+    putIn += p.flow
+    const b = benchByDate.get(p.date)
+    if (b == null) { prevP = p.value; late = true; continue }
+    const investedP = prevP + p.flow
+    const investedB = prevB + p.flow
+    // When the benchmark's history starts late, its first day is where both
+    // curves start rather than a return.
+    if (!(late && !curve.length) && investedP > EPS && investedB > EPS) {
+      const rp = p.value / investedP - 1
+      const rb = b / investedB - 1
+      idxP *= 1 + rp
+      idxB *= 1 + rb
+      pr.push(rp)
+      br.push(rb)
+    }
+    curve.push({
+      date: p.date,
+      value: p.value,
+      benchmark: b,
+      pnl: p.value - putIn,
+      benchmarkPnL: b - putIn,
+      index: idxP,
+      benchmarkIndex: idxB,
+    })
+    prevP = p.value
+    prevB = b
+  }
+  if (!rows.length) return null
+
+  const days = rows.length > 1 ? (Date.parse(rows[rows.length - 1].date) - Date.parse(rows[0].date)) / 86400000 : 0
+  const perYear = days > 0 ? (rows.length - 1) * 365 / days : 252
+  let beta = null
+  let alpha = null
+  let correlation = null
+  if (pr.length >= 3) {
+    const mp = mean(pr)
+    const mb = mean(br)
+    let cov = 0
+    let varB = 0
+    let varP = 0
+    for (let i = 0; i < pr.length; i++) {
+      cov += (pr[i] - mp) * (br[i] - mb)
+      varB += (br[i] - mb) ** 2
+      varP += (pr[i] - mp) ** 2
+    }
+    if (varB > 0) {
+      beta = cov / varB
+      const rf = RISK_FREE_RATE / perYear
+      alpha = ((mp - rf) - beta * (mb - rf)) * perYear
+      correlation = varP > 0 ? cov / Math.sqrt(varB * varP) : null
+    }
+  }
+
+  const last = curve[curve.length - 1]
+  return {
+    from: curve[0].date,
+    to: last.date,
+    observations: pr.length,
+    accountReturn: last.index - 1,
+    benchmarkReturn: last.benchmarkIndex - 1,
+    trackingDifference: last.index - last.benchmarkIndex,
+    beta,
+    alpha,
+    correlation,
+    maxDrawdown: maxDrawdown(curve.map((c) => c.index)),
+    benchmarkMaxDrawdown: maxDrawdown(curve.map((c) => c.benchmarkIndex)),
+    relativeMaxDrawdown: maxDrawdown(curve.map((c) => c.index / c.benchmarkIndex)),
+    curve,
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * Benchmark comparison.
+ * Run: node server/utils/benchmark.test.mjs
+ *
+ * The benchmark account is handed the same money on the same days, so a
+ * curve that copies the index has to come out with beta 1, no alpha and no
+ * tracking difference — whatever the deposits did.
+ */
+import assert from 'node:assert/strict'
+import { simulateBenchmark, compareToBenchmark, maxDrawdown } from './benchmark.js'
+
+let passed = 0
+const test = (name, fn) => {
+  try { fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+const near = (a, b, tol = 1e-9) => assert.ok(Math.abs(a - b) < tol, `${a} vs ${b}`)
+
+const closes = [
+  { date: '2026-01-02', close: 100 },
+  { date: '2026-01-05', close: 110 },
+  { date: '2026-01-06', close: 99 },
+  { date: '2026-01-07', close: 104 },
+  { date: '2026-01-08', close: 120 },
+]
+const dates = closes.map((c) => c.date)
+
+// An account that holds exactly what the benchmark account holds.
+const mirror = (flows) => simulateBenchmark(flows, closes, dates).map((b, i) => {
+  const flow = flows.filter((f) => f.date <= b.date && (i === 0 || f.date > dates[i - 1])).reduce((s, f) => s + f.amount, 0)
+  return { date: b.date, value: b.value, flow }
+})
+
+console.log('\nSimulation')
+
+test('each deposit buys at the price its day opened at', () => {
+  // Jan 6's deposit buys at Jan 5's close; the first, with nothing before it,
+  // at its own.
+  const b = simulateBenchmark([{ date: '2026-01-02', amount: 1000 }, { date: '2026-01-06', amount: 990 }], closes, dates)
+  assert.deepEqual(b.map((x) => Math.round(x.value * 100) / 100), [1000, 1100, 1881, 1976, 2280])
+})
+
+test('a weekend deposit buys at Friday\'s close', () => {
+  const b = simulateBenchmark([{ date: '2026-01-03', amount: 1100 }], closes, dates)
+  near(b[1].shares, 11)
+  assert.equal(b[0].value, 0)
+})
+
+test('a withdrawal sells', () => {
+  const b = simulateBenchmark([{ date: '2026-01-02', amount: 1000 }, { date: '2026-01-05', amount: -500 }], closes, dates)
+  near(b[1].shares, 5)
+})
+
+console.log('\nStatistics')
+
+test('a curve that copies the benchmark has beta 1 and nothing else', () => {
+  const flows = [{ date: '2026-01-02', amount: 1000 }, { date: '2026-01-06', amount: 5000 }]
+  const c = compareToBenchmark(mirror(flows), simulateBenchmark(flows, closes, dates))
+  near(c.beta, 1)
+  near(c.alpha, 0)
+  near(c.trackingDifference, 0)
+  near(c.correlation, 1)
+  near(c.relativeMaxDrawdown, 0)
+  near(c.accountReturn, 0.2)
+})
+
+test('twice the moves is beta 2', () => {
+  const flows = [{ date: '2026-01-02', amount: 1000 }]
+  const bench = simulateBenchmark(flows, closes, dates)
+  let v = 1000
+  const points = closes.map((c, i) => {
+    if (i) v *= 1 + 2 * (c.close / closes[i - 1].close - 1)
+    return { date: c.date, value: v, flow: i ? 0 : 1000 }
+  })
+  const r = compareToBenchmark(points, bench)
+  near(r.beta, 2, 1e-9)
+  assert.ok(r.maxDrawdown < r.benchmarkMaxDrawdown, 'it falls twice as far')
+})
+
+test('P&L on the curve is value less money put in', () => {
+  const flows = [{ date: '2026-01-02', amount: 1000 }, { date: '2026-01-06', amount: 990 }]
+  const points = mirror(flows).map((p) => ({ ...p, value: p.value + 10 }))
+  const c = compareToBenchmark(points, simulateBenchmark(flows, closes, dates))
+  const last = c.curve.at(-1)
+  near(last.benchmarkPnL, 2280 - 1990, 1e-6)
+  near(last.pnl, 2290 - 1990, 1e-6)
+})
+
+test('benchmark history starting late is where both curves start', () => {
+  const flows = [{ date: '2026-01-02', amount: 1000 }]
+  const points = mirror(flows)
+  const c = compareToBenchmark(points, simulateBenchmark(flows, closes.slice(2), dates))
+  assert.equal(c.from, '2026-01-06')
+  near(c.trackingDifference, 0)
+})
+
+test('max drawdown is the worst fall from a peak', () => {
+  near(maxDrawdown([1, 1.2, 0.9, 1.3, 1.04]), -0.25)
+  assert.equal(maxDrawdown([1, 1.1, 1.2]), 0)
+})
+
+console.log(`\n${passed} passed\n`)
@@ -9,6 +9,8 @@
  *    sigma is calibrated, bsPrice(S_close, sigma) reproduces the closing mark
  *    exactly, so the estimate is continuous with the close instead of jumping
  *    to a model price at 4pm.
+ *
+ * Copy of src/utils/blackScholes.js; change both.
  */
 
 export const RISK_FREE_RATE = 0.045
@@ -91,3 +93,68 @@ export function repriceFromClose({ type, closeMark, S0, S1, K, T0, T1, sigma, r
   const intrinsic = type === 'put' ? Math.max(0, K - S1) : Math.max(0, S1 - K)
   return Math.max(intrinsic, est, 0)
 }
+
+// ── Greeks ────────────────────────────────────────────────────────────────
+// Per share of one contract, in the units a trader reads them in: theta per
+// calendar day, vega per vol point (0.01 sigma), rho per rate point (0.01 r).
+// Multiply by 100 × contracts for a position. No dividend yield, like the
+// pricing above.
+
+export function normPdf(x) {
+  return 0.3989422804014327 * Math.exp(-x * x / 2)
+}
+
+// Past expiry, or with no vol, a contract is its intrinsic value: delta is 1
+// in the money and 0 out of it, and nothing else moves it.
+const degenerate = (S, K, T, sig) => T <= 0 || sig <= 0 || S <= 0 || K <= 0
+
+function d1d2(S, K, T, r, sig) {
+  const d1 = (Math.log(S / K) + (r + sig * sig / 2) * T) / (sig * Math.sqrt(T))
+  return [d1, d1 - sig * Math.sqrt(T)]
+}
+
+export function bsDelta(type, S, K, T, r, sig) {
+  if (degenerate(S, K, T, sig)) return type === 'put' ? (S < K ? -1 : 0) : (S > K ? 1 : 0)
+  const [d1] = d1d2(S, K, T, r, sig)
+  return type === 'put' ? normCdf(d1) - 1 : normCdf(d1)
+}
+
+// Same for calls and puts.
+export function bsGamma(S, K, T, r, sig) {
+  if (degenerate(S, K, T, sig)) return 0
+  const [d1] = d1d2(S, K, T, r, sig)
+  return normPdf(d1) / (S * sig * Math.sqrt(T))
+}
+
+export function bsTheta(type, S, K, T, r, sig) {
+  if (degenerate(S, K, T, sig)) return 0
+  const [d1, d2] = d1d2(S, K, T, r, sig)
+  const decay = -S * normPdf(d1) * sig / (2 * Math.sqrt(T))
+  const carry = r * K * Math.exp(-r * T)
+  const perYear = type === 'put' ? decay + carry * normCdf(-d2) : decay - carry * normCdf(d2)
+  return perYear / 365
+}
+
+// Same for calls and puts.
+export function bsVega(S, K, T, r, sig) {
+  if (degenerate(S, K, T, sig)) return 0
+  const [d1] = d1d2(S, K, T, r, sig)
+  return S * normPdf(d1) * Math.sqrt(T) / 100
+}
+
+export function bsRho(type, S, K, T, r, sig) {
+  if (degenerate(S, K, T, sig)) return 0
+  const [, d2] = d1d2(S, K, T, r, sig)
+  const pv = K * T * Math.exp(-r * T)
+  return (type === 'put' ? -pv * normCdf(-d2) : pv * normCdf(d2)) / 100
+}
+
+export function bsGreeks(type, S, K, T, r, sig) {
+  return {
+    delta: bsDelta(type, S, K, T, r, sig),
+    gamma: bsGamma(S, K, T, r, sig),
+    theta: bsTheta(type, S, K, T, r, sig),
+    vega: bsVega(S, K, T, r, sig),
+    rho: bsRho(type, S, K, T, r, sig),
+  }
+}
@@ -2,7 +2,7 @@
  * Run: node server/utils/blackScholes.test.mjs
  */
 import assert from 'node:assert/strict'
-import { bsCall, bsPut, bsPrice, impliedVol, repriceFromClose, RISK_FREE_RATE as r } from './blackScholes.js'
+import { bsCall, bsPut, bsPrice, impliedVol, repriceFromClose, bsGreeks, bsDelta, RISK_FREE_RATE as r } from './blackScholes.js'
 
 let passed = 0
 const test = (name, fn) => {
@@ -244,4 +244,37 @@ test('a short put also decays toward full premium', () => {
   assert.ok(m2 > now, `put should decay too: ${m2} vs ${now}`)
 })
 
+console.log('\nGreeks')
+
+test('match textbook values for an at-the-money call and put', () => {
+  // S=100 K=100 T=1 r=0.05 sig=0.2 (Hull): call delta 0.6368, gamma 0.01876,
+  // vega 37.52 per 1.00 of vol, theta -6.414 a year, rho 53.23 per 1.00 of rate
+  const c = bsGreeks('call', 100, 100, 1, 0.05, 0.2)
+  assert.ok(Math.abs(c.delta - 0.6368) < 0.0005, `delta ${c.delta}`)
+  assert.ok(Math.abs(c.gamma - 0.01876) < 0.00005, `gamma ${c.gamma}`)
+  assert.ok(Math.abs(c.vega - 0.3752) < 0.0005, `vega ${c.vega}`)
+  assert.ok(Math.abs(c.theta - -6.414 / 365) < 0.0005, `theta ${c.theta}`)
+  assert.ok(Math.abs(c.rho - 0.5323) < 0.0005, `rho ${c.rho}`)
+  const p = bsGreeks('put', 100, 100, 1, 0.05, 0.2)
+  assert.ok(Math.abs(p.delta - (c.delta - 1)) < 1e-9)
+  assert.equal(p.gamma, c.gamma)
+  assert.equal(p.vega, c.vega)
+  assert.ok(Math.abs(p.rho - -0.4189) < 0.0005, `put rho ${p.rho}`)
+})
+
+test('delta and gamma agree with the price they come from', () => {
+  const S = 100, K = 105, T = 0.25, sig = 0.35, h = 0.01
+  const { delta, gamma } = bsGreeks('put', S, K, T, r, sig)
+  const up = bsPrice('put', S + h, K, T, r, sig), down = bsPrice('put', S - h, K, T, r, sig), mid = bsPrice('put', S, K, T, r, sig)
+  assert.ok(Math.abs(delta - (up - down) / (2 * h)) < 1e-4)
+  assert.ok(Math.abs(gamma - (up - 2 * mid + down) / (h * h)) < 1e-3)
+})
+
+test('at expiry delta is a step and the rest are zero', () => {
+  assert.equal(bsDelta('call', 110, 100, 0, r, 0.3), 1)
+  assert.equal(bsDelta('put', 110, 100, 0, r, 0.3), 0)
+  assert.equal(bsDelta('put', 90, 100, 0, r, 0.3), -1)
+  assert.deepEqual(bsGreeks('call', 90, 100, 0, r, 0.3), { delta: 0, gamma: 0, theta: 0, vega: 0, rho: 0 })
+})
+
 console.log(`\n${passed} passed\n`)
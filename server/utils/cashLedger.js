@@ -0,0 +1,62 @@
+// Cash that moved without a trade or a dividend behind it.
+//
+// Deposits used to be the only such row anything read — and only ones whose
+// description said "ACH Deposit". Withdrawals, wires, Gold subscription fees,
+// margin interest charged, ADR fees and tax withheld fell through, so principal
+// read high (money taken out was still "invested") and the account's cash never
+// added up. classifyCashRow() gives every such row a type; the parsers return
+// everything but deposits as a ledger, deposits keep their own table.
+//
+// Amounts are signed from the account's side: positive is money in. Deposits
+// and withdrawals are external — money crossing the account's edge, which the
+// returns engine counts as a flow rather than a gain or loss. Everything else
+// is internal: a fee is a cost of running the account and comes off its P&L.
+//
+// Copy of src/utils/cashLedger.js; change both.
+
+export const CASH_TYPES = {
+  deposit: { label: 'Deposit', external: true },
+  withdrawal: { label: 'Withdrawal', external: true },
+  subscription_fee: { label: 'Subscription fee', external: false },
+  margin_interest: { label: 'Margin interest', external: false },
+  adr_fee: { label: 'ADR fee', external: false },
+  fee: { label: 'Fee', external: false },
+  tax_withheld: { label: 'Tax withheld', external: false },
+  other: { label: 'Other', external: false },
+}
+
+export const isExternalCash = (type) => !!CASH_TYPES[type]?.external
+
+// Robinhood trans codes for money moving to or from a bank. RTP is an instant
+// transfer, XENT an external account transfer, DCF debit-card funding.
+const TRANSFER_CODES = new Set(['ACH', 'RTP', 'WIRE', 'XENT', 'DCF'])
+const TRANSFER_TEXT = /\bach\b|wire|moneylink|transfer|deposit|withdraw|contribution|funds (received|sent|paid)|journal/i
+
+/**
+ * Type of a non-trade cash row, or null when it moved no money.
+ *
+ * @param code    broker trans code, uppercased ('' when the broker has none)
+ * @param text    action and description, as written
+ * @param amount  signed, positive into the account
+ */
+export function classifyCashRow({ code = '', text = '', amount }) {
+  if (!Number.isFinite(amount) || amount === 0) return null
+  // Fees before transfers: "Wire fee" is a fee, not a wire.
+  if (/margin interest/i.test(text) || ((code === 'MINT' || code === 'INT') && amount < 0)) return 'margin_interest'
+  if (code === 'GOLD' || /gold (subscription|fee)|subscription fee/i.test(text)) return 'subscription_fee'
+  if (code === 'AFEE' || /\badr\b.*fee/i.test(text)) return 'adr_fee'
+  if (code === 'DTAX' || /tax (paid|withh|adj)|withholding|foreign tax/i.test(text)) return 'tax_withheld'
+  if (/FEE$/.test(code) || /\bfees?\b/i.test(text)) return 'fee'
+  if (TRANSFER_CODES.has(code) || TRANSFER_TEXT.test(text)) return amount > 0 ? 'deposit' : 'withdrawal'
+  return 'other'
+}
+
+/**
+ * Money put in, net of money taken out, never below zero — what
+ * total_principal means now that withdrawals are read.
+ */
+export function netPrincipal(deposits, ledger = []) {
+  const inflow = deposits.reduce((s, d) => s + Math.abs(d.amount), 0)
+  const outflow = ledger.filter((e) => e.type === 'withdrawal').reduce((s, e) => s - e.amount, 0)
+  return Math.max(0, inflow - outflow)
+}
@@ -0,0 +1,93 @@
+// Dividend reinvestment (DRIP) buys.
+//
+// A reinvested dividend arrives as an ordinary Buy: a small, usually
+// fractional purchase of the same stock a few days after the dividend row that
+// paid for it. Nobody decided to make it, so it shouldn't read as a decision —
+// it skewed the recent-buy and lowest-buy signals, and a loss sale near a
+// payment showed a wash sale that looked like a trading mistake. It is still a
+// real purchase: the shares have their own basis and holding period, and they
+// do count as replacement shares for the wash-sale rule (only as many shares
+// as were reinvested).
+//
+// tagDripBuys() marks them `isDrip`. Rows the broker labels as a reinvestment
+// are tagged outright; otherwise a stock buy is tagged when it's fractional,
+// falls 0–DRIP_WINDOW_DAYS days after a dividend on the same symbol at the same
+// broker, and costs about what the dividend paid. Each dividend accounts for
+// one buy at most.
+//
+// Copy of src/utils/drip.js; change both.
+
+export const DRIP_WINDOW_DAYS = 5
+const REINVEST_TEXT = /reinvest/i
+const EPS = 0.0000001
+
+const brokerOf = (x) => x.broker || 'robinhood'
+// Day number, so a Date, an ISO day and a timestamp all compare the same way.
+const dayNumber = (d) => {
+  if (typeof d === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(d)) {
+    const [y, m, day] = d.split('-').map(Number)
+    return Date.UTC(y, m - 1, day) / 86400000
+  }
+  const dt = d instanceof Date ? d : new Date(d)
+  return Date.UTC(dt.getFullYear(), dt.getMonth(), dt.getDate()) / 86400000
+}
+
+// Whether a row's own text says it's a reinvestment.
+export const isReinvestmentText = (...texts) => texts.some((s) => REINVEST_TEXT.test(String(s || '')))
+
+// Could this amount have been paid for by this dividend? Reinvestment spends
+// the whole payment, give or take a cent of rounding and the odd fee.
+const fundedBy = (cost, dividend) => cost <= dividend + 0.01 && cost >= dividend * 0.9 - 0.01
+
+/**
+ * @param trades     parsed trades (stock or option; only stock buys are looked at)
+ * @param dividends  dividendsAndInterest rows; only `isDividend` ones are used
+ * @returns { trades, tagged } — `trades` is a new array in the same order with
+ *   tagged rows replaced by copies carrying `isDrip: true`; `tagged` counts
+ *   the rows newly tagged
+ */
+export function tagDripBuys(trades = [], dividends = [], { windowDays = DRIP_WINDOW_DAYS } = {}) {
+  const out = [...trades]
+  let tagged = 0
+  const candidates = new Map() // broker|symbol → [index into trades]
+  trades.forEach((t, i) => {
+    if (t.isOption || !t.isBuy || t.isDrip) return
+    if (isReinvestmentText(t.description, t.transCode, t.rawRow?.Description)) {
+      out[i] = { ...t, isDrip: true }
+      tagged++
+      return
+    }
+    const qty = Math.abs(t.quantity || 0)
+    if (qty <= EPS || Math.abs(qty - Math.round(qty)) < EPS) return
+    const k = `${brokerOf(t)}|${t.symbol}`
+    if (!candidates.has(k)) candidates.set(k, [])
+    candidates.get(k).push(i)
+  })
+  if (!candidates.size) return { trades: out, tagged }
+
+  const taken = new Set()
+  const sortedDividends = dividends
+    .filter((d) => d.isDividend && d.symbol && d.amount > 0)
+    .sort((a, b) => dayNumber(a.date) - dayNumber(b.date))
+  for (const d of sortedDividends) {
+    const list = candidates.get(`${brokerOf(d)}|${d.symbol}`)
+    if (!list) continue
+    const paid = dayNumber(d.date)
+    let best = null
+    for (const i of list) {
+      if (taken.has(i)) continue
+      const t = trades[i]
+      const lag = dayNumber(t.date ?? t.transDate) - paid
+      if (lag < 0 || lag > windowDays) continue
+      const cost = Math.abs(t.amount || 0) || Math.abs(t.quantity * t.price)
+      if (!fundedBy(cost, d.amount)) continue
+      const score = lag + Math.abs(cost - d.amount)
+      if (!best || score < best.score) best = { i, score }
+    }
+    if (!best) continue
+    taken.add(best.i)
+    out[best.i] = { ...trades[best.i], isDrip: true }
+    tagged++
+  }
+  return { trades: out, tagged }
+}
@@ -0,0 +1,88 @@
+// Tax-lot relief: which open lots a sale closes.
+//
+// Brokers relieve FIFO unless the account elects otherwise, and the election
+// is per account — so the method is chosen per broker. A sale can also be
+// pinned to specific lots (specific identification); pins are honoured first
+// whatever the method, and any shares they don't cover fall to the method.
+//
+// Copy of src/utils/lotRelief.js; change both.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+const LONG_TERM_DAYS = 365
+const EPS = 0.0000001
+
+export const LOT_METHODS = {
+  fifo: 'FIFO — oldest shares first',
+  lifo: 'LIFO — newest shares first',
+  hifo: 'HIFO — highest cost first',
+  mintax: 'Min tax — losses first, then smallest gains, long-term before short',
+  specific: 'Specific ID — pinned lots, FIFO for the rest'
+}
+
+export const DEFAULT_LOT_METHOD = 'fifo'
+
+// The method elected for a broker, from a { broker: method } map.
+export const lotMethodFor = (methods, broker) => {
+  const m = methods && methods[broker]
+  return m && LOT_METHODS[m] ? m : DEFAULT_LOT_METHOD
+}
+
+/**
+ * Plan which lots a sale of `qty` shares relieves.
+ *
+ * @param lots open lots in acquisition order: [{ qty, costPerShare, date, buyId }]
+ * @param opts.method one of LOT_METHODS
+ * @param opts.price  sale price per share (min-tax ranks lots by gain)
+ * @param opts.date   sale date (min-tax needs the holding period)
+ * @param opts.pins   [{ buyId, quantity }] — lots this sale was pinned to
+ * @returns [{ index, qty }] into `lots`. Totals less than `qty` when the lots
+ *   run out; `lots` itself is not modified.
+ */
+export function reliefPlan(lots, qty, { method = DEFAULT_LOT_METHOD, price = 0, date = null, pins = [] } = {}) {
+  const avail = lots.map((l) => l.qty)
+  const plan = []
+  let remaining = qty
+  const take = (i, want) => {
+    const k = Math.min(want, avail[i], remaining)
+    if (k <= EPS) return 0
+    avail[i] -= k
+    remaining -= k
+    plan.push({ index: i, qty: k })
+    return k
+  }
+
+  // Pinned lots first. A pin names the purchase; its shares may sit in more
+  // than one lot (a wash-sale replacement is split off on its own).
+  for (const pin of pins) {
+    let left = pin.quantity
+    for (let i = 0; i < lots.length && left > EPS && remaining > EPS; i++) {
+      if (lots[i].buyId === pin.buyId) left -= take(i, left)
+    }
+  }
+
+  const order = lots.map((_, i) => i)
+  if (method === 'lifo') {
+    order.reverse()
+  } else if (method === 'hifo') {
+    order.sort((a, b) => lots[b].costPerShare - lots[a].costPerShare || a - b)
+  } else if (method === 'mintax') {
+    // Short-term losses, long-term losses, long-term gains, short-term gains;
+    // within each, the biggest loss / smallest gain per share first.
+    const sellMs = date ? new Date(date).getTime() : Date.now()
+    const rank = (l) => {
+      const gain = price - l.costPerShare
+      const long = (sellMs - new Date(l.date).getTime()) / MS_PER_DAY > LONG_TERM_DAYS
+      if (gain < 0) return long ? 1 : 0
+      return long ? 2 : 3
+    }
+    order.sort((a, b) =>
+      rank(lots[a]) - rank(lots[b]) ||
+      (price - lots[a].costPerShare) - (price - lots[b].costPerShare) ||
+      a - b)
+  }
+  for (const i of order) {
+    if (remaining <= EPS) break
+    take(i, remaining)
+  }
+  return plan
+}
@@ -0,0 +1,360 @@
+/**
+ * Multi-leg option strategies, recognized from the trades.
+ *
+ * Everything else in the app sees one contract at a time, so an iron condor
+ * reads as four unrelated positions — two of them "losing" on any day the
+ * trade is working — and nothing says what the whole thing can make or lose.
+ * This puts the legs back together.
+ *
+ * A leg is one opening of one contract: the BTO or STO (fills of the same
+ * contract, side and day are one leg) and whatever closed it — STC or BTC
+ * oldest first, or an expiry, assignment or exercise, which closes the long
+ * side first and then the short the same way getOpenOptionPositions does.
+ * Legs opened on the same day at the same broker on the same underlying are
+ * candidates for one strategy. A candidate that isn't a recognized structure
+ * as a whole is split by expiry, and whatever is still left over becomes
+ * single legs. A short call is covered when the broker held 100 shares per
+ * contract the day it was sold.
+ *
+ * Max profit, max loss and breakevens are at expiry, from the opening
+ * premiums — the trade as it was put on, not as it's been managed since. Where
+ * the legs expire on different days (calendars, diagonals) the outcome
+ * depends on the vol left in the far leg, so only the max loss of a debit
+ * calendar is given. Realized P&L is the premium in and out on closed
+ * contracts; an assigned or exercised leg's premium really belongs to the
+ * shares (assignments.js), so it's reported here as kept and flagged.
+ */
+import { parseOptionDescription } from './optionUtils.js'
+
+const EPS = 0.0000001
+const SETTLEMENT_CODES = new Set(['OEXP', 'OASGN', 'OEXC'])
+
+export const STRATEGY_LABELS = {
+  iron_condor: 'Iron condor',
+  iron_butterfly: 'Iron butterfly',
+  long_butterfly: 'Long butterfly',
+  short_butterfly: 'Short butterfly',
+  long_straddle: 'Long straddle',
+  short_straddle: 'Short straddle',
+  long_strangle: 'Long strangle',
+  short_strangle: 'Short strangle',
+  bull_call_spread: 'Bull call spread',
+  bear_call_spread: 'Bear call spread',
+  bull_put_spread: 'Bull put spread',
+  bear_put_spread: 'Bear put spread',
+  calendar: 'Calendar',
+  diagonal: 'Diagonal',
+  covered_call: 'Covered call',
+  cash_secured_put: 'Cash-secured put',
+  short_call: 'Naked call',
+  long_call: 'Long call',
+  long_put: 'Long put',
+}
+
+const brokerOf = (t) => t.broker || 'robinhood'
+const codeOf = (t) => String(t.transCode || '').toUpperCase()
+const dayOf = (d) => String(d instanceof Date ? d.toISOString() : d || '').slice(0, 10)
+const round2 = (n) => Math.round((n + Number.EPSILON) * 100) / 100
+
+/**
+ * Every opening of every contract, with what closed it.
+ *
+ * @param trades  the app's trade list; stock rows are ignored
+ * @returns [{ broker, symbol, ticker, type, strike, expiry, side, contracts,
+ *   openContracts, openDate, closeDate, premium, openCash, closeCash,
+ *   realized, settlement }] — cash signed from the account's side
+ */
+export function buildLegs(trades) {
+  const byContract = new Map()
+  for (const t of trades) {
+    if (!t.isOption) continue
+    const k = `${brokerOf(t)}::${t.symbol}`
+    if (!byContract.has(k)) byContract.set(k, [])
+    byContract.get(k).push(t)
+  }
+
+  const legs = []
+  for (const list of byContract.values()) {
+    const parsed = parseOptionDescription(list[0].symbol)
+    if (!parsed) continue
+    const expiry = `${parsed.year}-${parsed.month}-${parsed.day}`
+    const sorted = [...list].sort((a, b) => dayOf(a.date).localeCompare(dayOf(b.date)))
+    const open = { long: [], short: [] }
+
+    // Close up to n contracts of one side, oldest first, at `cashPer` each.
+    const close = (side, n, cashPer, date, settlement) => {
+      const lots = open[side]
+      while (n > EPS && lots.length) {
+        const leg = lots[0]
+        const k = Math.min(n, leg.openContracts)
+        leg.openContracts -= k
+        leg.closeCash += k * cashPer
+        leg.closedContracts += k
+        leg.closeDate = date
+        if (settlement) leg.settlement = settlement
+        n -= k
+        if (leg.openContracts <= EPS) lots.shift()
+      }
+      return n
+    }
+
+    for (const t of sorted) {
+      const code = codeOf(t)
+      const n = t.contracts || 1
+      const cash = Math.abs(t.amount || 0) * (t.fxRate || 1)
+      const date = dayOf(t.date)
+      if (code === 'BTO' || code === 'STO') {
+        const side = code === 'BTO' ? 'long' : 'short'
+        const lots = open[side]
+        const same = lots.find((l) => l.openDate === date)
+        const signed = side === 'long' ? -cash : cash
+        if (same) {
+          same.contracts += n
+          same.openContracts += n
+          same.openCash += signed
+        } else {
+          const leg = {
+            broker: brokerOf(t), symbol: t.symbol, ticker: parsed.ticker, type: parsed.type,
+            strike: parsed.strike, expiry, side, contracts: n, openContracts: n, closedContracts: 0,
+            openDate: date, closeDate: null, openCash: signed, closeCash: 0, settlement: null,
+          }
+          lots.push(leg)
+          legs.push(leg)
+        }
+      } else if (code === 'STC') {
+        close('long', n, cash / n, date, null)
+      } else if (code === 'BTC') {
+        close('short', n, -cash / n, date, null)
+      } else if (SETTLEMENT_CODES.has(code)) {
+        const how = code === 'OEXP' ? 'expired' : code === 'OASGN' ? 'assigned' : 'exercised'
+        const left = close('long', n, 0, date, how)
+        close('short', left, 0, date, how)
+      }
+    }
+  }
+
+  for (const leg of legs) {
+    leg.premium = Math.abs(leg.openCash) / leg.contracts / 100
+    // Realized on the contracts closed: their share of the opening cash plus
+    // what closing them brought in or cost.
+    leg.realized = leg.closedContracts > EPS ? leg.openCash * (leg.closedContracts / leg.contracts) + leg.closeCash : 0
+  }
+  return legs
+}
+
+// Payoff at expiry of legs that all expire together, plus any shares.
+function payoffAt(S, legs, stock) {
+  let v = 0
+  for (const l of legs) {
+    const intrinsic = l.type === 'call' ? Math.max(0, S - l.strike) : Math.max(0, l.strike - S)
+    v += (l.side === 'long' ? 1 : -1) * l.contracts * 100 * intrinsic + l.openCash
+  }
+  if (stock) v += stock.shares * (S - stock.cost)
+  return v
+}
+
+/**
+ * Max profit, max loss and breakevens at a single expiry. The payoff is
+ * piecewise linear with kinks at the strikes, so the extremes are at a strike,
+ * at zero, or off to infinity when the slope past the last strike isn't flat.
+ *
+ * @returns { maxProfit, maxLoss, unlimitedProfit, unlimitedLoss, breakevens }
+ *   maxLoss is the worst P&L, so usually negative; null when unlimited
+ */
+export function expiryProfile(legs, stock = null) {
+  const strikes = [...new Set(legs.map((l) => l.strike))].sort((a, b) => a - b)
+  const xs = [0, ...strikes]
+  const ys = xs.map((S) => payoffAt(S, legs, stock))
+  // Past the highest strike only calls and shares still move.
+  const slope = legs.reduce((s, l) => s + (l.type === 'call' ? (l.side === 'long' ? 1 : -1) * l.contracts * 100 : 0), 0) + (stock?.shares || 0)
+
+  const breakevens = []
+  for (let i = 1; i < xs.length; i++) {
+    const [a, b] = [ys[i - 1], ys[i]]
+    if (Math.abs(a) < EPS && i === 1) breakevens.push(xs[0])
+    if (Math.abs(b) < EPS) breakevens.push(xs[i])
+    else if (a * b < 0) breakevens.push(xs[i - 1] + (xs[i] - xs[i - 1]) * (-a / (b - a)))
+  }
+  const last = ys[ys.length - 1]
+  if (Math.abs(slope) > EPS && last * slope < 0) breakevens.push(xs[xs.length - 1] - last / slope)
+
+  const maxY = Math.max(...ys)
+  const minY = Math.min(...ys)
+  return {
+    maxProfit: slope > EPS ? null : round2(maxY),
+    maxLoss: slope < -EPS ? null : round2(minY),
+    unlimitedProfit: slope > EPS,
+    unlimitedLoss: slope < -EPS,
+    breakevens: [...new Set(breakevens.map(round2))],
+  }
+}
+
+/**
+ * What structure a set of legs is, or null if none.
+ *
+ * @param legs    buildLegs output, opened together
+ * @param shares  shares of the underlying held when they were opened
+ */
+export function classify(legs, shares = 0) {
+  const unit = Math.min(...legs.map((l) => l.contracts))
+  const ratio = legs.map((l) => l.contracts / unit)
+  if (ratio.some((r) => Math.abs(r - Math.round(r)) > EPS)) return null
+  const equal = ratio.every((r) => r === 1)
+  const oneExpiry = new Set(legs.map((l) => l.expiry)).size === 1
+  const calls = legs.filter((l) => l.type === 'call').sort((a, b) => a.strike - b.strike)
+  const puts = legs.filter((l) => l.type === 'put').sort((a, b) => a.strike - b.strike)
+
+  if (legs.length === 1) {
+    const [l] = legs
+    if (l.side === 'long') return l.type === 'call' ? 'long_call' : 'long_put'
+    if (l.type === 'put') return 'cash_secured_put'
+    return shares >= l.contracts * 100 - EPS ? 'covered_call' : 'short_call'
+  }
+
+  if (legs.length === 2 && equal) {
+    const [a, b] = legs
+    if (oneExpiry && a.type === b.type && a.side !== b.side) {
+      const [lo, hi] = a.type === 'call' ? calls : puts
+      if (lo.strike === hi.strike) return null
+      if (a.type === 'call') return lo.side === 'long' ? 'bull_call_spread' : 'bear_call_spread'
+      return hi.side === 'long' ? 'bear_put_spread' : 'bull_put_spread'
+    }
+    if (oneExpiry && calls.length === 1 && puts.length === 1 && a.side === b.side) {
+      const kind = calls[0].strike === puts[0].strike ? 'straddle' : 'strangle'
+      if (kind === 'strangle' && puts[0].strike > calls[0].strike) return null
+      return `${a.side}_${kind}`
+    }
+    if (!oneExpiry && a.type === b.type && a.side !== b.side) {
+      return a.strike === b.strike ? 'calendar' : 'diagonal'
+    }
+    return null
+  }
+
+  if (legs.length === 3 && oneExpiry && (calls.length === 3 || puts.length === 3)) {
+    const [lo, mid, hi] = calls.length === 3 ? calls : puts
+    const wingsMatch = lo.side === hi.side && mid.side !== lo.side
+    const sized = lo.contracts === hi.contracts && mid.contracts === 2 * lo.contracts
+    if (wingsMatch && sized && Math.abs((mid.strike - lo.strike) - (hi.strike - mid.strike)) < EPS) {
+      return lo.side === 'long' ? 'long_butterfly' : 'short_butterfly'
+    }
+    return null
+  }
+
+  if (legs.length === 4 && oneExpiry && equal && calls.length === 2 && puts.length === 2) {
+    const [pLo, pHi] = puts
+    const [cLo, cHi] = calls
+    if (pLo.side === 'long' && pHi.side === 'short' && cLo.side === 'short' && cHi.side === 'long' && pHi.strike <= cLo.strike) {
+      return pHi.strike === cLo.strike ? 'iron_butterfly' : 'iron_condor'
+    }
+  }
+  return null
+}
+
+function describe(type, legs, { shares = 0, stockCost = null } = {}) {
+  const oneExpiry = new Set(legs.map((l) => l.expiry)).size === 1
+  const netPremium = legs.reduce((s, l) => s + l.openCash, 0)
+  const realized = legs.reduce((s, l) => s + l.realized, 0)
+  const openContracts = legs.reduce((s, l) => s + l.openContracts, 0)
+  const closeDates = legs.map((l) => l.closeDate).filter(Boolean).sort()
+
+  let profile = { maxProfit: null, maxLoss: null, unlimitedProfit: false, unlimitedLoss: false, breakevens: [] }
+  if (oneExpiry) {
+    // A covered call is measured with the 100 shares per contract it covers,
+    // at what they cost, when that's known; without it the call alone would
+    // read as unlimited loss.
+    const stock = type === 'covered_call'
+      ? (stockCost > 0 ? { shares: legs[0].contracts * 100, cost: stockCost } : null)
+      : null
+    if (type !== 'covered_call' || stock) profile = expiryProfile(legs, stock)
+  } else if (type === 'calendar' && netPremium < 0) {
+    // Debit calendar: the far leg is worth at least the near one, so the
+    // most it can lose is what was paid.
+    profile.maxLoss = round2(netPremium)
+  }
+
+  return {
+    id: `${legs[0].broker}:${legs[0].ticker}:${legs[0].openDate}:${legs.map((l) => `${l.side[0]}${l.type[0]}${l.strike}@${l.expiry}`).join(',')}`,
+    type,
+    label: STRATEGY_LABELS[type],
+    broker: legs[0].broker,
+    ticker: legs[0].ticker,
+    openDate: legs[0].openDate,
+    closeDate: openContracts > EPS ? null : closeDates[closeDates.length - 1] || null,
+    status: openContracts > EPS ? 'open' : 'closed',
+    contracts: Math.min(...legs.map((l) => l.contracts)),
+    netPremium: round2(netPremium),
+    ...profile,
+    realized: round2(realized),
+    assigned: legs.some((l) => l.settlement === 'assigned' || l.settlement === 'exercised'),
+    sharesHeld: type === 'covered_call' ? shares : undefined,
+    legs: legs.map((l) => ({
+      symbol: l.symbol,
+      type: l.type,
+      strike: l.strike,
+      expiry: l.expiry,
+      side: l.side,
+      contracts: l.contracts,
+      openContracts: l.openContracts,
+      premium: round2(l.premium),
+      openCash: round2(l.openCash),
+      realized: round2(l.realized),
+      closeDate: l.closeDate,
+      settlement: l.settlement,
+    })),
+  }
+}
+
+/**
+ * Group option trades into strategies.
+ *
+ * @param trades      the app's trade list, options and stock — stock rows
+ *                    decide whether a short call was covered
+ * @param stockCosts  { 'broker::ticker': avg cost per share } for shares held
+ *                    now, for an open covered call's max profit and loss
+ * @returns strategies, newest first
+ */
+export function groupStrategies(trades, { stockCosts = {} } = {}) {
+  const legs = buildLegs(trades)
+
+  // Shares held per broker and ticker at the end of a day.
+  const stockTrades = trades
+    .filter((t) => !t.isOption)
+    .map((t) => ({ key: `${brokerOf(t)}::${t.symbol}`, day: dayOf(t.date), qty: (t.isBuy ? 1 : -1) * Math.abs(t.quantity) }))
+  const sharesAt = (broker, ticker, day) => stockTrades
+    .filter((t) => t.key === `${broker}::${ticker}` && t.day <= day)
+    .reduce((s, t) => s + t.qty, 0)
+
+  const candidates = new Map()
+  for (const l of legs) {
+    const k = `${l.broker}::${l.ticker}::${l.openDate}`
+    if (!candidates.has(k)) candidates.set(k, [])
+    candidates.get(k).push(l)
+  }
+
+  const strategies = []
+  for (const group of candidates.values()) {
+    const { broker, ticker, openDate } = group[0]
+    const shares = sharesAt(broker, ticker, openDate)
+    const ctx = { shares, stockCost: stockCosts[`${broker}::${ticker}`] ?? null }
+    const add = (type, ls) => strategies.push(describe(type, ls, ctx))
+
+    const whole = classify(group, shares)
+    if (whole) { add(whole, group); continue }
+
+    const left = []
+    const byExpiry = new Map()
+    for (const l of group) {
+      if (!byExpiry.has(l.expiry)) byExpiry.set(l.expiry, [])
+      byExpiry.get(l.expiry).push(l)
+    }
+    for (const ls of byExpiry.values()) {
+      const type = ls.length > 1 ? classify(ls, shares) : null
+      if (type) add(type, ls)
+      else left.push(...ls)
+    }
+    const rest = left.length > 1 ? classify(left, shares) : null
+    if (rest) add(rest, left)
+    else for (const l of left) add(classify([l], shares), [l])
+  }
+  return strategies.sort((a, b) => b.openDate.localeCompare(a.openDate))
+}
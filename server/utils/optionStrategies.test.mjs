@@ -0,0 +1,138 @@
+/**
+ * Option strategy recognition.
+ * Run: node server/utils/optionStrategies.test.mjs
+ *
+ * Legs opened together have to come back as the structure they were traded
+ * as, with the payoff of the whole — an iron condor's max loss is the width
+ * less the credit, not four legs' worth of separate risk.
+ */
+import assert from 'node:assert/strict'
+import { groupStrategies, buildLegs, expiryProfile } from './optionStrategies.js'
+
+let passed = 0
+const test = (name, fn) => {
+  try { fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+
+const leg = (code, type, strike, premium, o = {}) => {
+  const contracts = o.contracts || 1
+  const expiry = o.expiry || '3/20/2026'
+  return {
+    symbol: `SPY ${expiry} ${type} $${strike.toFixed(2)}`, isOption: true, transCode: code,
+    contracts, quantity: contracts, price: premium, amount: premium * 100 * contracts,
+    isBuy: code.startsWith('B'), date: o.date || '2026-02-02', broker: o.broker || 'robinhood',
+  }
+}
+const stock = (qty, price, date = '2026-01-05', isBuy = true) => ({
+  symbol: 'SPY', isOption: false, transCode: isBuy ? 'Buy' : 'Sell', quantity: qty, price,
+  amount: qty * price, isBuy, date, broker: 'robinhood',
+})
+
+console.log('\nRecognition')
+
+test('four legs on one expiry are an iron condor, with the whole trade\'s risk', () => {
+  const [s] = groupStrategies([
+    leg('BTO', 'Put', 480, 0.5), leg('STO', 'Put', 490, 1.5),
+    leg('STO', 'Call', 520, 1.4), leg('BTO', 'Call', 530, 0.4),
+  ])
+  assert.equal(s.type, 'iron_condor')
+  assert.equal(s.netPremium, 200)
+  assert.equal(s.maxProfit, 200)
+  assert.equal(s.maxLoss, -800)
+  assert.deepEqual(s.breakevens, [488, 522])
+  assert.equal(s.status, 'open')
+})
+
+test('strangles, straddles and verticals', () => {
+  const types = (trades) => groupStrategies(trades).map((s) => s.type)
+  assert.deepEqual(types([leg('STO', 'Put', 490, 2), leg('STO', 'Call', 520, 2)]), ['short_strangle'])
+  assert.deepEqual(types([leg('BTO', 'Put', 500, 5), leg('BTO', 'Call', 500, 5)]), ['long_straddle'])
+  assert.deepEqual(types([leg('BTO', 'Call', 500, 5), leg('STO', 'Call', 510, 2)]), ['bull_call_spread'])
+  assert.deepEqual(types([leg('STO', 'Put', 500, 5), leg('BTO', 'Put', 490, 2)]), ['bull_put_spread'])
+  const [straddle] = groupStrategies([leg('STO', 'Put', 500, 5), leg('STO', 'Call', 500, 5)])
+  assert.equal(straddle.unlimitedLoss, true)
+  assert.equal(straddle.maxLoss, null)
+  assert.deepEqual(straddle.breakevens, [490, 510])
+})
+
+test('a butterfly is wings against twice the body', () => {
+  const [s] = groupStrategies([
+    leg('BTO', 'Call', 490, 14), leg('STO', 'Call', 500, 7, { contracts: 2 }), leg('BTO', 'Call', 510, 3),
+  ])
+  assert.equal(s.type, 'long_butterfly')
+  assert.equal(s.maxLoss, -300)
+  assert.equal(s.maxProfit, 700)
+})
+
+test('different expiries make a calendar or a diagonal', () => {
+  const cal = groupStrategies([leg('STO', 'Call', 500, 4), leg('BTO', 'Call', 500, 7, { expiry: '4/17/2026' })])
+  assert.equal(cal[0].type, 'calendar')
+  assert.equal(cal[0].maxLoss, -300)
+  const diag = groupStrategies([leg('STO', 'Call', 510, 2), leg('BTO', 'Call', 500, 9, { expiry: '4/17/2026' })])
+  assert.equal(diag[0].type, 'diagonal')
+})
+
+test('a short call is covered only by shares held when it was sold', () => {
+  assert.equal(groupStrategies([leg('STO', 'Call', 520, 3)])[0].type, 'short_call')
+  const [cc] = groupStrategies([stock(100, 500), leg('STO', 'Call', 520, 3)], { stockCosts: { 'robinhood::SPY': 500 } })
+  assert.equal(cc.type, 'covered_call')
+  assert.equal(cc.maxProfit, 2300)
+  assert.deepEqual(cc.breakevens, [497])
+  assert.equal(groupStrategies([stock(100, 500, '2026-02-10'), leg('STO', 'Call', 520, 3)])[0].type, 'short_call')
+  assert.equal(groupStrategies([leg('STO', 'Put', 480, 3)])[0].type, 'cash_secured_put')
+})
+
+test('legs opened on different days stay apart, and a mixed day splits by expiry', () => {
+  const apart = groupStrategies([leg('STO', 'Put', 490, 2), leg('STO', 'Call', 520, 2, { date: '2026-02-03' })])
+  assert.deepEqual(apart.map((s) => s.type).sort(), ['cash_secured_put', 'short_call'])
+  const mixed = groupStrategies([
+    leg('STO', 'Put', 490, 2), leg('STO', 'Call', 520, 2),
+    leg('BTO', 'Put', 450, 1, { expiry: '6/18/2026' }),
+  ])
+  assert.deepEqual(mixed.map((s) => s.type).sort(), ['long_put', 'short_strangle'])
+})
+
+console.log('\nRealized P&L')
+
+test('closes, expiries and partial closes realize per leg and roll up', () => {
+  const trades = [
+    leg('BTO', 'Put', 480, 0.5), leg('STO', 'Put', 490, 1.5),
+    leg('STO', 'Call', 520, 1.4), leg('BTO', 'Call', 530, 0.4),
+    { ...leg('BTC', 'Put', 490, 0.2), date: '2026-03-02' },
+    { ...leg('STC', 'Put', 480, 0.05), date: '2026-03-02' },
+    { ...leg('OEXP', 'Call', 520, 0), amount: 0, date: '2026-03-20' },
+    { ...leg('OEXP', 'Call', 530, 0), amount: 0, date: '2026-03-20' },
+  ]
+  const [s] = groupStrategies(trades)
+  assert.equal(s.status, 'closed')
+  assert.equal(s.closeDate, '2026-03-20')
+  assert.equal(s.realized, 200 - 20 + 5)
+})
+
+test('fills of one contract on one day are one leg', () => {
+  const legs = buildLegs([leg('STO', 'Put', 490, 1.5), leg('STO', 'Put', 490, 1.7, { contracts: 2 })])
+  assert.equal(legs.length, 1)
+  assert.equal(legs[0].contracts, 3)
+  assert.equal(legs[0].openCash, 150 + 340)
+})
+
+test('a half-closed leg realizes half its opening premium', () => {
+  const legs = buildLegs([
+    leg('STO', 'Put', 490, 2, { contracts: 2 }),
+    { ...leg('BTC', 'Put', 490, 0.5), date: '2026-02-20' },
+  ])
+  assert.equal(legs[0].openContracts, 1)
+  assert.equal(legs[0].realized, 200 - 50)
+})
+
+console.log('\nPayoff')
+
+test('breakevens at zero and past the last strike', () => {
+  const p = expiryProfile([{ type: 'call', side: 'long', strike: 100, contracts: 1, openCash: -500 }])
+  assert.deepEqual(p.breakevens, [105])
+  assert.equal(p.unlimitedProfit, true)
+  assert.equal(p.maxLoss, -500)
+})
+
+console.log(`\n${passed} passed\n`)
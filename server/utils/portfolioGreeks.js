@@ -0,0 +1,145 @@
+/**
+ * Greeks for the option book, per position, per underlying and for the whole
+ * account.
+ *
+ * Each contract is valued at its own closing implied vol (option_iv_marks, the
+ * same sigma extended-hours repricing holds), so the Greeks agree with the
+ * marks the rest of the app shows. Position Greeks are signed from the
+ * holder's side and scaled to the position: a short call's delta is negative,
+ * and five contracts are 500 shares' worth.
+ *
+ * Underlyings can't be added together as they are — 100 deltas of a $20 stock
+ * and 100 of a $500 one are very different bets. The book total is beta-
+ * weighted to SPY instead: each underlying's delta becomes the SPY shares that
+ * would move the same dollars for a 1% market move, using the stock's beta to
+ * SPY. Shares held count toward an underlying's delta too, since the question
+ * is how the book moves with the market, not only the options in it.
+ */
+import { bsGreeks, RISK_FREE_RATE } from './blackScholes.js'
+
+const MS_PER_YEAR = 365.25 * 24 * 3600 * 1000
+const MIN_BETA_OBSERVATIONS = 20
+
+// Years from `now` to the close on expiry day (4pm ET ≈ 20:00 UTC).
+export function yearsToExpiry(expiry, now = Date.now()) {
+  return (Date.parse(`${expiry}T20:00:00Z`) - now) / MS_PER_YEAR
+}
+
+/**
+ * Beta of a stock to the benchmark from daily closes, matched by day.
+ *
+ * @param closes       [{ date, close }] — fetchHistoricalPrices shape
+ * @param benchCloses  the benchmark's, same shape
+ * @returns beta, or null with too little overlapping history
+ */
+export function dailyBeta(closes, benchCloses) {
+  const day = (d) => String(d).slice(0, 10)
+  const bench = new Map(benchCloses.filter((c) => c.close > 0).map((c) => [day(c.date), c.close]))
+  const pairs = closes.filter((c) => c.close > 0 && bench.has(day(c.date))).map((c) => [c.close, bench.get(day(c.date))])
+  const rs = []
+  const rb = []
+  for (let i = 1; i < pairs.length; i++) {
+    rs.push(pairs[i][0] / pairs[i - 1][0] - 1)
+    rb.push(pairs[i][1] / pairs[i - 1][1] - 1)
+  }
+  if (rs.length < MIN_BETA_OBSERVATIONS) return null
+  const ms = rs.reduce((s, x) => s + x, 0) / rs.length
+  const mb = rb.reduce((s, x) => s + x, 0) / rb.length
+  let cov = 0
+  let varB = 0
+  for (let i = 0; i < rs.length; i++) {
+    cov += (rs[i] - ms) * (rb[i] - mb)
+    varB += (rb[i] - mb) ** 2
+  }
+  return varB > 0 ? cov / varB : null
+}
+
+/**
+ * One open option position's Greeks.
+ *
+ * @param type       'call' | 'put'
+ * @param S          underlying price now
+ * @param T          years to expiry
+ * @param sigma      the contract's implied vol
+ * @param contracts  open contracts, unsigned
+ * @param isShort    sold to open
+ * @returns { delta, gamma, theta, vega, rho } — delta and gamma in shares,
+ *   theta $/day, vega $ per vol point, rho $ per rate point
+ */
+export function positionGreeks({ type, S, strike, T, sigma, contracts, isShort, r = RISK_FREE_RATE }) {
+  const g = bsGreeks(type, S, strike, T, r, sigma)
+  const scale = 100 * contracts * (isShort ? -1 : 1)
+  return {
+    delta: g.delta * scale,
+    gamma: g.gamma * scale,
+    theta: g.theta * scale,
+    vega: g.vega * scale,
+    rho: g.rho * scale,
+  }
+}
+
+/**
+ * Roll positions up by underlying and beta-weight the book to the benchmark.
+ *
+ * @param positions       positionGreeks output plus { ticker }
+ * @param shares          { ticker: shares held, negative when short }
+ * @param prices          { ticker: underlying price }
+ * @param betas           { ticker: beta, or null when unknown — 1 is assumed }
+ * @param benchmarkPrice  SPY's price
+ * @returns { underlyings: [{ ticker, price, beta, betaAssumed, shares,
+ *   optionDelta, delta, gamma, theta, vega, rho, deltaDollars,
+ *   betaWeightedDelta, betaWeightedGamma }], book: { theta, vega, rho,
+ *   deltaDollars, betaWeightedDelta, betaWeightedGamma } }
+ */
+export function aggregateGreeks({ positions = [], shares = {}, prices = {}, betas = {}, benchmarkPrice }) {
+  const byTicker = new Map()
+  const row = (ticker) => {
+    if (!byTicker.has(ticker)) {
+      byTicker.set(ticker, { ticker, shares: 0, optionDelta: 0, gamma: 0, theta: 0, vega: 0, rho: 0 })
+    }
+    return byTicker.get(ticker)
+  }
+  for (const p of positions) {
+    const u = row(p.ticker)
+    u.optionDelta += p.delta
+    u.gamma += p.gamma
+    u.theta += p.theta
+    u.vega += p.vega
+    u.rho += p.rho
+  }
+  // Shares only matter alongside options on the same name; a stock-only
+  // holding belongs to the positions view, not the option book's.
+  for (const [ticker, qty] of Object.entries(shares)) {
+    if (byTicker.has(ticker) && qty) byTicker.get(ticker).shares = qty
+  }
+
+  const book = { theta: 0, vega: 0, rho: 0, deltaDollars: 0, betaWeightedDelta: 0, betaWeightedGamma: 0 }
+  const underlyings = []
+  for (const u of byTicker.values()) {
+    const price = prices[u.ticker] || 0
+    const beta = betas[u.ticker] ?? null
+    const b = beta ?? 1
+    const delta = u.optionDelta + u.shares
+    // SPY shares per share of this stock: same dollar move for a 1% market move.
+    const ratio = benchmarkPrice > 0 ? (b * price) / benchmarkPrice : 0
+    const out = {
+      ...u,
+      price,
+      beta,
+      betaAssumed: beta == null,
+      delta,
+      deltaDollars: delta * price,
+      betaWeightedDelta: delta * ratio,
+      betaWeightedGamma: u.gamma * ratio * ratio,
+    }
+    underlyings.push(out)
+    book.theta += out.theta
+    book.vega += out.vega
+    book.rho += out.rho
+    book.deltaDollars += out.deltaDollars
+    book.betaWeightedDelta += out.betaWeightedDelta
+    book.betaWeightedGamma += out.betaWeightedGamma
+  }
+  underlyings.sort((a, b) => Math.abs(b.betaWeightedDelta) - Math.abs(a.betaWeightedDelta))
+  return { underlyings, book }
+}
@@ -0,0 +1,88 @@
+/**
+ * Portfolio Greeks.
+ * Run: node server/utils/portfolioGreeks.test.mjs
+ *
+ * The things that go wrong are signs and scale: a short call has to read as
+ * negative delta, five contracts as 500 shares, and a $500 stock's delta has
+ * to count for more SPY than a $20 one's.
+ */
+import assert from 'node:assert/strict'
+import { dailyBeta, positionGreeks, aggregateGreeks, yearsToExpiry } from './portfolioGreeks.js'
+import { bsGreeks, RISK_FREE_RATE as r } from './blackScholes.js'
+
+let passed = 0
+const test = (name, fn) => {
+  try { fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+const close = (a, b, tol = 0.01) => assert.ok(Math.abs(a - b) < tol, `expected ${b}, got ${a}`)
+
+console.log('\nPositions')
+
+test('a position is 100 shares a contract, signed by side', () => {
+  const one = bsGreeks('call', 100, 105, 0.25, r, 0.3)
+  const long = positionGreeks({ type: 'call', S: 100, strike: 105, T: 0.25, sigma: 0.3, contracts: 5, isShort: false })
+  const short = positionGreeks({ type: 'call', S: 100, strike: 105, T: 0.25, sigma: 0.3, contracts: 5, isShort: true })
+  close(long.delta, one.delta * 500)
+  close(short.delta, -one.delta * 500)
+  assert.ok(short.theta > 0, 'time is on the seller\'s side')
+  assert.ok(short.vega < 0)
+})
+
+test('expiry counts to the close that day', () => {
+  close(yearsToExpiry('2026-01-02', Date.parse('2026-01-01T20:00:00Z')), 1 / 365.25, 1e-9)
+})
+
+console.log('\nBeta')
+
+const series = (moves, start = 100) => {
+  let px = start
+  return [{ date: '2026-01-01', close: px }, ...moves.map((m, i) => ({
+    date: `2026-02-${String(i + 1).padStart(2, '0')}`, close: (px *= 1 + m),
+  }))]
+}
+const spyMoves = Array.from({ length: 25 }, (_, i) => (i % 3 === 0 ? 0.01 : i % 3 === 1 ? -0.006 : 0.002))
+
+test('a stock moving twice the market has a beta of two', () => {
+  close(dailyBeta(series(spyMoves.map((m) => 2 * m)), series(spyMoves, 400)), 2, 1e-9)
+})
+
+test('too little shared history gives no beta', () => {
+  assert.equal(dailyBeta(series(spyMoves.slice(0, 5)), series(spyMoves)), null)
+})
+
+console.log('\nThe book')
+
+test('underlyings are beta-weighted to SPY shares', () => {
+  const positions = [
+    { ticker: 'BIG', delta: 50, gamma: 2, theta: -10, vega: 30, rho: 5 },
+    { ticker: 'SMALL', delta: 100, gamma: 4, theta: -4, vega: 10, rho: 1 },
+  ]
+  const { underlyings, book } = aggregateGreeks({
+    positions, prices: { BIG: 500, SMALL: 20 }, betas: { BIG: 1.2, SMALL: null }, benchmarkPrice: 600,
+  })
+  const big = underlyings.find((u) => u.ticker === 'BIG')
+  const small = underlyings.find((u) => u.ticker === 'SMALL')
+  close(big.betaWeightedDelta, 50 * 1.2 * 500 / 600)
+  close(small.betaWeightedDelta, 100 * 20 / 600)
+  assert.equal(small.betaAssumed, true)
+  close(book.betaWeightedDelta, 50 + 100 / 30)
+  close(book.theta, -14)
+  close(book.deltaDollars, 25000 + 2000)
+  close(big.betaWeightedGamma, 2 * (1.2 * 500 / 600) ** 2)
+})
+
+test('shares held count toward an underlying that has options', () => {
+  const { underlyings } = aggregateGreeks({
+    positions: [{ ticker: 'AAA', delta: -40, gamma: -1, theta: 3, vega: -8, rho: -1 }],
+    shares: { AAA: 100, ZZZ: 500 },
+    prices: { AAA: 50 },
+    betas: { AAA: 1 },
+    benchmarkPrice: 500,
+  })
+  assert.equal(underlyings.length, 1, 'a stock-only holding is not part of the option book')
+  assert.equal(underlyings[0].delta, 60)
+  assert.equal(underlyings[0].optionDelta, -40)
+})
+
+console.log(`\n${passed} passed\n`)
@@ -0,0 +1,192 @@
+/**
+ * The account's cash, rebuilt from every event the imports carried, against
+ * the ending balances on the broker's monthly statements.
+ *
+ * Import bugs don't announce themselves. A Buy to Cover read as a sale, or an
+ * expiry that never matched the contract it closed, leaves every row looking
+ * ordinary — the only place it shows is that the money no longer adds up. So
+ * this adds it up: trades, deposits and withdrawals, dividends and interest,
+ * fees, each signed, into a running balance per broker. Where the user has
+ * entered a statement's ending cash the gap is the difference, and the change
+ * in the gap from one statement to the next points at the month where
+ * something went wrong. A gap that stays the same is old history; one that
+ * moves is a new problem.
+ *
+ * Equity is checked the same way when the statement's figure is entered:
+ * computed cash plus the shares held at month end, marked at the latest
+ * snapshot price on or before it (the trade price when no snapshot has priced
+ * the symbol yet). Open options have no history of marks, so they're left out
+ * and counted instead — an equity gap in a month with contracts open is
+ * expected.
+ *
+ * Dates are the ones the imports carry, which for Robinhood trades is the
+ * process date. A trade near month end can land on the other side of the
+ * statement from it; that shows as a gap one month that reverses the next.
+ */
+import { isoDay, tradeCash } from './returns.js'
+import { isExternalCash } from './cashLedger.js'
+
+// Anything under this is rounding.
+export const GAP_TOLERANCE = 1
+
+export const monthOf = (day) => isoDay(day).slice(0, 7)
+
+export function monthEnd(month) {
+  const [y, m] = month.split('-').map(Number)
+  return new Date(Date.UTC(y, m, 0)).toISOString().slice(0, 10)
+}
+
+const nextMonth = (month) => {
+  const [y, m] = month.split('-').map(Number)
+  return m === 12 ? `${y + 1}-01` : `${y}-${String(m + 1).padStart(2, '0')}`
+}
+
+/**
+ * Every cash event for one broker, signed (positive into the account), oldest
+ * first. `kind` is what the monthly activity is broken down by.
+ *
+ * @param trades    getAllTradesForUser shape
+ * @param deposits  external flows — deposits, and withdrawals as negatives
+ * @param income    dividends and interest
+ * @param ledger    cash ledger rows; the external ones are skipped, since
+ *                  withdrawals already arrive with the deposits
+ */
+export function cashEvents({ trades = [], deposits = [], income = [], ledger = [] }) {
+  const events = []
+  for (const t of trades) {
+    const amount = tradeCash(t)
+    if (amount) events.push({ date: isoDay(t.date), amount, kind: t.isOption ? 'options' : 'stock' })
+  }
+  for (const d of deposits) {
+    if (d.amount) events.push({ date: isoDay(d.date), amount: d.amount, kind: d.amount > 0 ? 'deposits' : 'withdrawals' })
+  }
+  for (const i of income) {
+    if (i.amount) events.push({ date: isoDay(i.date), amount: i.amount, kind: 'income' })
+  }
+  for (const e of ledger) {
+    if (!isExternalCash(e.type) && e.amount) events.push({ date: isoDay(e.date), amount: e.amount, kind: 'fees' })
+  }
+  return events.sort((a, b) => a.date.localeCompare(b.date))
+}
+
+// Shares per symbol after every trade and share transfer up to `day`.
+function sharesHeld(trades, transfers, day) {
+  const held = new Map()
+  const add = (symbol, qty) => held.set(symbol, (held.get(symbol) || 0) + qty)
+  for (const t of trades) {
+    if (t.isOption || isoDay(t.date) > day) continue
+    add(t.symbol, t.isBuy ? t.quantity : -t.quantity)
+  }
+  for (const t of transfers) {
+    if (isoDay(t.date) > day) continue
+    add(t.symbol, t.direction === 'out' ? -t.quantity : t.quantity)
+  }
+  return held
+}
+
+// Option contracts still open at `day`. Opens add, anything else against the
+// same contract — a close, an expiry, an assignment — takes away.
+function openContracts(trades, day) {
+  const open = new Map()
+  for (const t of trades) {
+    if (!t.isOption || isoDay(t.date) > day) continue
+    const code = String(t.transCode || '').toUpperCase()
+    const n = t.contracts || 1
+    open.set(t.symbol, Math.max(0, (open.get(t.symbol) || 0) + (code === 'BTO' || code === 'STO' ? n : -n)))
+  }
+  return [...open.values()].reduce((s, n) => s + n, 0)
+}
+
+/**
+ * Month by month for one broker: what moved, where the cash ended, and —
+ * where a statement was entered — how far off that is.
+ *
+ * @param events      cashEvents output
+ * @param trades      the broker's trades, for shares held and trade prices
+ * @param transfers   share transfers ({ date, symbol, quantity, direction })
+ * @param statements  [{ month: 'YYYY-MM', endingCash, endingEquity }] as entered
+ * @param prices      { dates, prices } from the snapshots (getSnapshotPrices)
+ * @param through     last month to report ('YYYY-MM'); defaults to the latest
+ *                    event, trade or statement
+ * @returns [{ month, opening, activity: { [kind]: amount }, closing,
+ *   statementCash, cashGap, cashGapChange, marketValue, unpriced, openContracts,
+ *   equity, statementEquity, equityGap, equityGapChange, flagged }] oldest first
+ */
+export function reconcileMonths({ events = [], trades = [], transfers = [], statements = [], prices = { dates: [], prices: {} }, through = null }) {
+  const byMonth = new Map(statements.map((s) => [s.month, s]))
+  // Trades too: an expiry moves no cash but still changes what's held.
+  const months = [...events.map((e) => monthOf(e.date)), ...trades.map((t) => monthOf(t.date)), ...byMonth.keys()].sort()
+  if (!months.length) return []
+  const last = through || months[months.length - 1]
+  const snapDays = [...prices.dates].sort()
+
+  const markAt = (symbol, day) => {
+    for (let i = snapDays.length - 1; i >= 0; i--) {
+      if (snapDays[i] > day) continue
+      const px = prices.prices[snapDays[i]]?.[symbol]
+      if (px > 0) return px
+    }
+    let px = null
+    for (const t of trades) {
+      if (!t.isOption && t.symbol === symbol && isoDay(t.date) <= day && t.price > 0) px = t.price * (t.fxRate || 1)
+    }
+    return px
+  }
+
+  const rows = []
+  let balance = 0
+  let i = 0
+  let prevCashGap = null
+  let prevEquityGap = null
+  for (let month = months[0]; month <= last; month = nextMonth(month)) {
+    const end = monthEnd(month)
+    const opening = balance
+    const activity = {}
+    while (i < events.length && events[i].date <= end) {
+      const e = events[i++]
+      activity[e.kind] = (activity[e.kind] || 0) + e.amount
+      balance += e.amount
+    }
+
+    let marketValue = 0
+    const unpriced = []
+    for (const [symbol, qty] of sharesHeld(trades, transfers, end)) {
+      if (Math.abs(qty) < 1e-6) continue
+      const px = markAt(symbol, end)
+      if (px > 0) marketValue += qty * px
+      else unpriced.push(symbol)
+    }
+
+    const s = byMonth.get(month)
+    const statementCash = Number.isFinite(s?.endingCash) ? s.endingCash : null
+    const statementEquity = Number.isFinite(s?.endingEquity) ? s.endingEquity : null
+    const cashGap = statementCash == null ? null : statementCash - balance
+    const equity = balance + marketValue
+    const equityGap = statementEquity == null ? null : statementEquity - equity
+    // The change is against the last month that had a statement, so a skipped
+    // month doesn't hide where the gap opened.
+    const cashGapChange = cashGap == null ? null : cashGap - (prevCashGap ?? 0)
+    const equityGapChange = equityGap == null ? null : equityGap - (prevEquityGap ?? 0)
+    if (cashGap != null) prevCashGap = cashGap
+    if (equityGap != null) prevEquityGap = equityGap
+
+    rows.push({
+      month,
+      opening,
+      activity,
+      closing: balance,
+      statementCash,
+      cashGap,
+      cashGapChange,
+      marketValue,
+      unpriced,
+      openContracts: openContracts(trades, end),
+      equity,
+      statementEquity,
+      equityGap,
+      equityGapChange,
+      flagged: Math.abs(cashGapChange || 0) >= GAP_TOLERANCE,
+    })
+  }
+  return rows
+}
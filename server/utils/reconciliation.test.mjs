@@ -0,0 +1,140 @@
+/**
+ * Cash reconciliation.
+ * Run: node server/utils/reconciliation.test.mjs
+ *
+ * The point is finding the month an import went wrong, so the main case here
+ * is a Buy to Cover read as a sale: the row looks fine, the cash is off by
+ * twice its size, and the gap should open in that month and no other.
+ */
+import assert from 'node:assert/strict'
+import { cashEvents, reconcileMonths, monthEnd } from './reconciliation.js'
+
+let passed = 0
+const test = (name, fn) => {
+  try { fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+
+const trade = (date, symbol, quantity, price, isBuy, o = {}) => ({
+  date, symbol, quantity, price, amount: quantity * price, isBuy, isOption: false, transCode: isBuy ? 'Buy' : 'Sell', ...o,
+})
+const option = (date, symbol, transCode, amount, contracts = 1) => ({
+  date, symbol, quantity: 1, price: amount, amount, contracts, isBuy: transCode.startsWith('B'), isOption: true, transCode,
+})
+
+const deposits = [{ date: '2026-01-02', amount: 10000 }]
+const history = [
+  trade('2026-01-05', 'AAA', 100, 50, true),
+  trade('2026-02-10', 'BBB', 10, 100, false, { transCode: 'SS' }),
+  trade('2026-03-04', 'BBB', 10, 90, true, { transCode: 'BC' }),
+]
+
+console.log('\nCash')
+
+test('every kind of cash event is signed from the account\'s side', () => {
+  const events = cashEvents({
+    trades: [trade('2026-01-05', 'AAA', 1, 50, true), option('2026-01-06', 'AAA 2/20/2026 Call $60.00', 'STO', 120)],
+    deposits: [{ date: '2026-01-02', amount: 1000 }, { date: '2026-01-20', amount: -200 }],
+    income: [{ date: new Date('2026-01-15T12:00:00'), amount: 3 }],
+    ledger: [
+      { date: '2026-01-31', type: 'margin_interest', amount: -4 },
+      { date: '2026-01-20', type: 'withdrawal', amount: -200 },
+    ],
+  })
+  assert.deepEqual(events.map((e) => [e.kind, e.amount]), [
+    ['deposits', 1000], ['stock', -50], ['options', 120], ['income', 3], ['withdrawals', -200], ['fees', -4],
+  ])
+})
+
+test('the balance runs across months, empty ones included', () => {
+  const rows = reconcileMonths({ events: cashEvents({ trades: history, deposits }), trades: history })
+  assert.deepEqual(rows.map((r) => [r.month, r.closing]), [
+    ['2026-01', 5000], ['2026-02', 6000], ['2026-03', 5100],
+  ])
+  assert.equal(rows[1].opening, 5000)
+  assert.deepEqual(rows[1].activity, { stock: 1000 })
+})
+
+test('a month with no events still reports its balance', () => {
+  const rows = reconcileMonths({
+    events: cashEvents({ deposits: [{ date: '2026-01-02', amount: 100 }, { date: '2026-04-01', amount: 100 }] }),
+  })
+  assert.deepEqual(rows.map((r) => r.closing), [100, 100, 100, 200])
+})
+
+console.log('\nAgainst the statements')
+
+const statements = [
+  { month: '2026-01', endingCash: 5000 },
+  { month: '2026-02', endingCash: 6000 },
+  { month: '2026-03', endingCash: 5100 },
+]
+
+test('imports that add up leave no gap', () => {
+  const rows = reconcileMonths({ events: cashEvents({ trades: history, deposits }), trades: history, statements })
+  assert.deepEqual(rows.map((r) => r.cashGap), [0, 0, 0])
+  assert.ok(rows.every((r) => !r.flagged))
+})
+
+test('a cover read as a sale opens the gap in its month and only there', () => {
+  const broken = history.map((t) => (t.transCode === 'BC' ? { ...t, isBuy: false } : t))
+  const rows = reconcileMonths({ events: cashEvents({ trades: broken, deposits }), trades: broken, statements })
+  assert.deepEqual(rows.map((r) => r.cashGap), [0, 0, -1800])
+  assert.deepEqual(rows.map((r) => r.flagged), [false, false, true])
+})
+
+test('the gap change skips months with no statement', () => {
+  const rows = reconcileMonths({
+    events: cashEvents({ trades: history, deposits: [...deposits, { date: '2026-02-15', amount: 40 }] }),
+    trades: history,
+    statements: [statements[0], statements[2]],
+  })
+  assert.equal(rows[1].cashGapChange, null)
+  assert.equal(rows[2].cashGap, -40)
+  assert.equal(rows[2].cashGapChange, -40, 'the February deposit nobody saw shows up in March')
+})
+
+test('an unexplained opening balance flags the first statement', () => {
+  const rows = reconcileMonths({ events: cashEvents({ deposits }), statements: [{ month: '2026-01', endingCash: 12500 }] })
+  assert.equal(rows[0].cashGap, 2500)
+  assert.equal(rows[0].flagged, true)
+})
+
+console.log('\nEquity')
+
+test('shares are marked at the snapshot price on or before month end', () => {
+  const rows = reconcileMonths({
+    events: cashEvents({ trades: history.slice(0, 1), deposits }),
+    trades: history.slice(0, 1),
+    statements: [{ month: '2026-01', endingCash: 5000, endingEquity: 11000 }],
+    prices: { dates: ['2026-01-30', '2026-02-02'], prices: { '2026-01-30': { AAA: 60 }, '2026-02-02': { AAA: 70 } } },
+  })
+  assert.equal(rows[0].marketValue, 6000)
+  assert.equal(rows[0].equity, 11000)
+  assert.equal(rows[0].equityGap, 0)
+})
+
+test('with no snapshot the trade price stands in, and transfers move shares', () => {
+  const rows = reconcileMonths({
+    events: cashEvents({ trades: history.slice(0, 1), deposits }),
+    trades: history.slice(0, 1),
+    transfers: [{ date: '2026-01-20', symbol: 'AAA', quantity: 40, direction: 'out' }],
+  })
+  assert.equal(rows[0].marketValue, 3000)
+})
+
+test('open option contracts are counted, not valued', () => {
+  const sym = 'AAA 2/20/2026 Put $45.00'
+  const trades = [option('2026-01-06', sym, 'STO', 200, 2), option('2026-02-20', sym, 'OEXP', 0, 2)]
+  const rows = reconcileMonths({ events: cashEvents({ trades, deposits }), trades })
+  assert.deepEqual(rows.map((r) => r.openContracts), [2, 0])
+  assert.equal(rows[0].equity, 10200)
+})
+
+test('month ends fall on the last day', () => {
+  assert.equal(monthEnd('2026-02'), '2026-02-28')
+  assert.equal(monthEnd('2024-02'), '2024-02-29')
+  assert.equal(monthEnd('2026-12'), '2026-12-31')
+})
+
+console.log(`\n${passed} passed\n`)
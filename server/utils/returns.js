@@ -0,0 +1,314 @@
+/**
+ * Time-weighted and money-weighted returns for an account.
+ *
+ * Dollar P&L can't say how well the money did: $5k on $20k and $5k on $200k
+ * read the same. The two standard answers differ in what they hold the
+ * investor responsible for:
+ *  - time-weighted (TWR) chains daily returns around deposits, so money
+ *    arriving just before a rally or a drop doesn't move it. It measures the
+ *    trading, and is what a fund or benchmark quotes.
+ *  - money-weighted (MWR, an IRR over the deposits and the ending value) does
+ *    count the timing. It's the rate the investor's own dollars earned.
+ *
+ * Account value on each snapshot date is rebuilt the way /api/account-pnl
+ * builds today's: cash (deposits + trade cash + dividends and interest) plus
+ * shares held × that day's snapshot price. Open options count only as the cash
+ * they moved, so a long call reads as its premium spent until it's closed —
+ * the same simplification as the account P&L subtotal. The snapshots carry no
+ * broker, but their prices are per symbol, so the same marks value each
+ * broker's own shares and cash.
+ *
+ * Exports usually start after the account was funded, so trades can spend
+ * money no deposit in the data paid for. Cash isn't allowed to go below zero
+ * on that account: the shortfall is booked as a deposit on the day it appears
+ * (`impliedFunding`) rather than counted as a loss. A margin account that
+ * really borrowed reads as funded instead.
+ *
+ * Periods shorter than a year are quoted as the cumulative return over the
+ * period; annualizing a month would turn a good week into a headline number.
+ */
+
+export const PERIODS = [
+  { key: '1M', label: '1M', months: 1 },
+  { key: '3M', label: '3M', months: 3 },
+  { key: 'YTD', label: 'YTD' },
+  { key: '1Y', label: '1Y', months: 12 },
+  { key: 'ITD', label: 'Inception' },
+]
+
+const DAY = 86400000
+const EPS = 0.005
+
+// Everything is keyed on YYYY-MM-DD, so a Date, an ISO day and a timestamp all
+// land on the same day.
+export const isoDay = (d) => {
+  if (typeof d === 'string' && /^\d{4}-\d{2}-\d{2}/.test(d)) return d.slice(0, 10)
+  const dt = d instanceof Date ? d : new Date(d)
+  return `${dt.getFullYear()}-${String(dt.getMonth() + 1).padStart(2, '0')}-${String(dt.getDate()).padStart(2, '0')}`
+}
+const dayNumber = (iso) => {
+  const [y, m, d] = iso.split('-').map(Number)
+  return Date.UTC(y, m - 1, d) / DAY
+}
+const daysBetween = (a, b) => dayNumber(b) - dayNumber(a)
+
+// Calendar months back from an ISO day, clamped so Mar 31 − 1M is Feb 28.
+export const monthsBefore = (iso, months) => {
+  const [y, m, d] = iso.split('-').map(Number)
+  const target = new Date(Date.UTC(y, m - 1 - months, 1))
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate()
+  target.setUTCDate(Math.min(d, lastDay))
+  return target.toISOString().slice(0, 10)
+}
+
+// Cash a trade moved, signed from the account's side. Amounts are stored
+// absolute, so direction comes from the side (stock) or trans code (options),
+// matching getCashFlows. An expiry or assignment row moves no cash of its own.
+export const tradeCash = (t) => {
+  const amount = Math.abs(t.amount || 0) * (t.fxRate || 1)
+  if (!t.isOption) return t.isBuy ? -amount : amount
+  const code = String(t.transCode || '').toUpperCase()
+  if (code === 'BTO' || code === 'BTC') return -amount
+  if (code === 'STO' || code === 'STC') return amount
+  return 0
+}
+
+/**
+ * Daily account values on the snapshot dates.
+ *
+ * @param dates     ISO days to value the account on (ascending or not)
+ * @param prices    { [isoDay]: { [symbol]: price } } — snapshot marks
+ * @param trades    trades for the account (getAllTradesForUser shape)
+ * @param income    cash earned or spent inside the account — dividends,
+ *                  interest, fees ({ date, amount }, negative is a charge)
+ * @param deposits  external flows ({ date, amount }); negative is a withdrawal
+ * @returns { points: [{ date, value, flow, cash, marketValue }], flows,
+ *   impliedFunding, contributions, unpriced }
+ *   `flow` is the external money that arrived since the previous point;
+ *   `flows` is every external flow on its own day, implied funding included.
+ */
+export function buildValueSeries({ dates = [], prices = {}, trades = [], income = [], deposits = [] }) {
+  const events = new Map() // isoDay → { cash, external, shares: [[symbol, qty, px]] }
+  const at = (day) => {
+    if (!events.has(day)) events.set(day, { cash: 0, external: 0, shares: [] })
+    return events.get(day)
+  }
+  for (const t of trades) {
+    const e = at(isoDay(t.date ?? t.transDate))
+    e.cash += tradeCash(t)
+    if (!t.isOption) e.shares.push([t.symbol, t.isBuy ? t.quantity : -t.quantity, (t.price || 0) * (t.fxRate || 1)])
+  }
+  for (const i of income) at(isoDay(i.date)).cash += i.amount || 0
+  for (const d of deposits) at(isoDay(d.date)).external += d.amount || 0
+
+  const valueDays = [...new Set(dates.map(isoDay))].sort()
+  const days = [...new Set([...events.keys(), ...valueDays])].sort()
+  const isValueDay = new Set(valueDays)
+
+  const held = new Map()       // symbol → shares
+  const lastMark = new Map()   // symbol → most recent snapshot price, else trade price
+  const snapped = new Set()    // symbols a snapshot has priced; trade prices stop counting
+  const flows = []
+  const points = []
+  const unpriced = new Set()
+  let cash = 0
+  let contributions = 0
+  let impliedFunding = 0
+  let pending = 0              // external money since the last point
+
+  for (const day of days) {
+    const e = events.get(day)
+    if (e) {
+      for (const [symbol, qty, px] of e.shares) {
+        held.set(symbol, (held.get(symbol) || 0) + qty)
+        if (px > 0 && !snapped.has(symbol)) lastMark.set(symbol, px)
+      }
+      cash += e.cash + e.external
+      let external = e.external
+      if (cash < -EPS) {
+        impliedFunding += -cash
+        external += -cash
+        cash = 0
+      }
+      if (Math.abs(external) > EPS) {
+        flows.push({ date: day, amount: external })
+        contributions += external
+        pending += external
+      }
+    }
+    const marks = prices[day]
+    if (marks) {
+      for (const [symbol, px] of Object.entries(marks)) {
+        if (px > 0) { lastMark.set(symbol, px); snapped.add(symbol) }
+      }
+    }
+    if (!isValueDay.has(day)) continue
+    let marketValue = 0
+    for (const [symbol, qty] of held) {
+      if (Math.abs(qty) < 1e-9) continue
+      const px = lastMark.get(symbol)
+      if (px > 0) marketValue += qty * px
+      else unpriced.add(symbol)
+    }
+    points.push({ date: day, value: cash + marketValue, flow: pending, cash, marketValue })
+    pending = 0
+  }
+  return { points, flows, impliedFunding, contributions, unpriced: [...unpriced] }
+}
+
+/**
+ * Time-weighted return over the points after `base`. Each day's external money
+ * is taken to arrive at the start of the day, so a deposit spent the same day
+ * is in the denominator rather than read as a gain — and the first day of an
+ * account (no base value) still has one. Snapshots are daily, so that's one
+ * day's move; across a gap in them the whole gap's move is shared with the
+ * deposit.
+ *
+ * @param points  ascending [{ date, value, flow }]
+ * @param base    the point to measure from, or null to measure from zero
+ * @returns { cumulative, skipped } — `skipped` counts days with nothing
+ *   invested to measure against
+ */
+export function timeWeightedReturn(points, base = null) {
+  let growth = 1
+  let skipped = 0
+  let prev = base ? base.value : 0
+  for (const p of points) {
+    const invested = prev + p.flow
+    if (invested > EPS) growth *= p.value / invested
+    else if (Math.abs(p.value) > EPS) skipped++
+    prev = p.value
+  }
+  return { cumulative: growth - 1, skipped }
+}
+
+/**
+ * Annual rate that grows every flow into `endValue` by `endDate`:
+ *   Σ amount × (1 + r)^(years from flow to end) = endValue
+ * Newton from 10%, falling back to bisection when it wanders or stalls.
+ * Returns null when no rate fits (e.g. nothing went in).
+ *
+ * @param flows  [{ date, amount }] — money into the account is positive
+ */
+export function xirr(flows, endValue, endDate) {
+  const terms = flows
+    .filter((f) => Math.abs(f.amount) > 1e-9)
+    .map((f) => ({ amount: f.amount, years: Math.max(0, daysBetween(isoDay(f.date), endDate)) / 365 }))
+  if (!terms.length || !terms.some((t) => t.amount > 0)) return null
+  const f = (r) => terms.reduce((s, t) => s + t.amount * Math.pow(1 + r, t.years), 0) - endValue
+  const df = (r) => terms.reduce((s, t) => s + t.amount * t.years * Math.pow(1 + r, t.years - 1), 0)
+
+  let r = 0.1
+  for (let i = 0; i < 50; i++) {
+    const y = f(r)
+    if (Math.abs(y) < 1e-7) return r
+    const slope = df(r)
+    if (!isFinite(slope) || Math.abs(slope) < 1e-12) break
+    const next = r - y / slope
+    if (!isFinite(next) || next <= -0.9999) break
+    if (Math.abs(next - r) < 1e-10) return next
+    r = next
+  }
+
+  let lo = -0.9999
+  let hi = 10
+  let flo = f(lo)
+  while (flo * f(hi) > 0 && hi < 1e6) hi *= 10
+  if (flo * f(hi) > 0) return null
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2
+    const fm = f(mid)
+    if (Math.abs(fm) < 1e-7 || hi - lo < 1e-12) return mid
+    if (flo * fm < 0) hi = mid
+    else { lo = mid; flo = fm }
+  }
+  return (lo + hi) / 2
+}
+
+const annualize = (cumulative, days) => (days >= 365 ? Math.pow(1 + cumulative, 365 / days) - 1 : null)
+
+/**
+ * One period's returns. `from` is the day the period is measured from: the
+ * account's value at the last point on or before it is the starting
+ * investment. Without such a point the period only counts when the account
+ * really started inside it (its first external flow is after `from`);
+ * otherwise the data doesn't reach back far enough and the period is null.
+ */
+export function periodReturn(series, from, to) {
+  const { points, flows } = series
+  const upto = points.filter((p) => p.date <= to)
+  if (!upto.length) return null
+  const end = upto[upto.length - 1]
+  let base = null
+  for (const p of upto) if (p.date <= from) base = p
+  const firstFlow = flows[0]?.date
+  if (!base && !(firstFlow && firstFlow > from)) return null
+
+  const inside = upto.filter((p) => !base || p.date > base.date)
+  const start = base ? base.date : firstFlow
+  const days = daysBetween(start, end.date)
+  const twr = timeWeightedReturn(inside, base)
+
+  const cashIn = [
+    ...(base ? [{ date: base.date, amount: base.value }] : []),
+    ...flows.filter((f) => (!base || f.date > base.date) && f.date <= end.date),
+  ]
+  const rate = days > 0 ? xirr(cashIn, end.value, end.date) : null
+  const mwr = rate == null ? null : Math.pow(1 + rate, days / 365) - 1
+
+  return {
+    from: start,
+    to: end.date,
+    days,
+    startValue: base ? base.value : 0,
+    endValue: end.value,
+    netFlows: cashIn.slice(base ? 1 : 0).reduce((s, f) => s + f.amount, 0),
+    twr: twr.cumulative,
+    twrAnnualized: annualize(twr.cumulative, days),
+    mwr,
+    mwrAnnualized: days >= 365 ? rate : null,
+    skippedDays: twr.skipped,
+  }
+}
+
+/**
+ * Every standard period, measured back from the last point.
+ */
+export function periodReturns(series, { asOf } = {}) {
+  const { points } = series
+  if (!points.length) return []
+  const to = asOf ? isoDay(asOf) : points[points.length - 1].date
+  const yearStart = `${Number(to.slice(0, 4)) - 1}-12-31`
+  return PERIODS.map((p) => {
+    const from = p.key === 'YTD' ? yearStart
+      : p.key === 'ITD' ? '0000-01-01'
+      : monthsBefore(to, p.months)
+    return { key: p.key, label: p.label, ...(periodReturn(series, from, to) || { unavailable: true }) }
+  })
+}
+
+/**
+ * Several accounts as one. Each is funded and valued on its own first — a
+ * surplus at one broker can't pay for a shortfall at another — then the values
+ * and flows are added day by day.
+ */
+export function combineSeries(list) {
+  const byDay = new Map()
+  for (const s of list) {
+    for (const p of s.points) {
+      const row = byDay.get(p.date) || { date: p.date, value: 0, flow: 0, cash: 0, marketValue: 0 }
+      row.value += p.value
+      row.flow += p.flow
+      row.cash += p.cash
+      row.marketValue += p.marketValue
+      byDay.set(p.date, row)
+    }
+  }
+  return {
+    points: [...byDay.values()].sort((a, b) => a.date.localeCompare(b.date)),
+    flows: list.flatMap((s) => s.flows).sort((a, b) => a.date.localeCompare(b.date)),
+    impliedFunding: list.reduce((n, s) => n + s.impliedFunding, 0),
+    contributions: list.reduce((n, s) => n + s.contributions, 0),
+    unpriced: [...new Set(list.flatMap((s) => s.unpriced))],
+  }
+}
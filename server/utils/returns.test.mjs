@@ -0,0 +1,168 @@
+/**
+ * Time-weighted and money-weighted returns.
+ * Run: node server/utils/returns.test.mjs
+ *
+ * The two measures exist to disagree about deposit timing, so most of these
+ * put a deposit before a move and check which one notices.
+ */
+import assert from 'node:assert/strict'
+import {
+  buildValueSeries, combineSeries, timeWeightedReturn, xirr, periodReturn, periodReturns, monthsBefore,
+} from './returns.js'
+
+let passed = 0
+const test = (name, fn) => {
+  try { fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+const near = (a, b, tol = 1e-6) => assert.ok(Math.abs(a - b) < tol, `${a} vs ${b}`)
+
+const buy = (date, symbol, quantity, price, o = {}) => ({ date, symbol, quantity, price, amount: quantity * price, isBuy: true, isOption: false, transCode: 'Buy', ...o })
+const sell = (date, symbol, quantity, price, o = {}) => ({ ...buy(date, symbol, quantity, price, o), isBuy: false, transCode: 'Sell' })
+
+console.log('\nChaining and IRR')
+
+test('a deposit before a move doesn\'t change the time-weighted return', () => {
+  // $1,000 gains 10%, then $10,000 more arrives and the lot gains 10% again.
+  const points = [
+    { date: '2026-01-02', value: 1000, flow: 1000 },
+    { date: '2026-02-02', value: 1100, flow: 0 },
+    { date: '2026-03-02', value: 12210, flow: 10000 },
+  ]
+  near(timeWeightedReturn(points).cumulative, 0.21)
+})
+
+test('a flat year of one deposit has an IRR of the growth', () => {
+  near(xirr([{ date: '2025-03-01', amount: 1000 }], 1100, '2026-03-01'), 0.1)
+})
+
+test('the IRR solves the flows it was given', () => {
+  const flows = [{ date: '2025-01-10', amount: 5000 }, { date: '2025-07-01', amount: 2000 }, { date: '2025-10-15', amount: -1500 }]
+  const r = xirr(flows, 6400, '2026-01-10')
+  const days = (d) => (Date.parse('2026-01-10') - Date.parse(d)) / 86400000
+  near(flows.reduce((s, f) => s + f.amount * Math.pow(1 + r, days(f.date) / 365), 0), 6400, 1e-4)
+})
+
+test('no money in, no IRR', () => {
+  assert.equal(xirr([], 100, '2026-01-01'), null)
+  assert.equal(xirr([{ date: '2025-01-01', amount: -100 }], 0, '2026-01-01'), null)
+})
+
+console.log('\nAccount values')
+
+test('value is cash plus shares at the snapshot price', () => {
+  const s = buildValueSeries({
+    dates: ['2026-01-05', '2026-01-06'],
+    prices: { '2026-01-05': { AAA: 10 }, '2026-01-06': { AAA: 12 } },
+    deposits: [{ date: '2026-01-02', amount: 2000 }],
+    trades: [buy('2026-01-05', 'AAA', 100, 10)],
+    income: [{ date: new Date('2026-01-06T12:00:00'), amount: 5 }],
+  })
+  assert.deepEqual(s.points.map((p) => [p.date, p.value, p.flow]), [['2026-01-05', 2000, 2000], ['2026-01-06', 2205, 0]])
+  assert.equal(s.impliedFunding, 0)
+})
+
+test('a buy no deposit paid for is funding, not a loss', () => {
+  // The export starts after the account was funded.
+  const s = buildValueSeries({
+    dates: ['2026-01-05', '2026-01-06'],
+    prices: { '2026-01-05': { AAA: 10 }, '2026-01-06': { AAA: 11 } },
+    trades: [buy('2026-01-05', 'AAA', 100, 10)],
+  })
+  assert.equal(s.impliedFunding, 1000)
+  assert.deepEqual(s.flows, [{ date: '2026-01-05', amount: 1000 }])
+  near(timeWeightedReturn(s.points).cumulative, 0.1)
+})
+
+test('shares are marked at their trade price until a snapshot prices them', () => {
+  const s = buildValueSeries({
+    dates: ['2026-01-05'],
+    prices: { '2026-01-05': {} },
+    deposits: [{ date: '2026-01-02', amount: 500 }],
+    trades: [buy('2026-01-05', 'BBB', 10, 20)],
+  })
+  assert.equal(s.points[0].value, 500)
+  assert.deepEqual(s.unpriced, [])
+})
+
+test('a withdrawal is money out, not a loss', () => {
+  const s = buildValueSeries({
+    dates: ['2026-01-05', '2026-01-06'],
+    prices: { '2026-01-05': { AAA: 10 }, '2026-01-06': { AAA: 10 } },
+    deposits: [{ date: '2026-01-02', amount: 2000 }, { date: '2026-01-06', amount: -500 }],
+    trades: [buy('2026-01-05', 'AAA', 100, 10)],
+  })
+  assert.equal(s.points[1].value, 1500)
+  near(timeWeightedReturn(s.points).cumulative, 0)
+})
+
+test('one broker\'s spare cash doesn\'t fund another\'s buys', () => {
+  const dates = ['2026-01-05']
+  const prices = { '2026-01-05': { AAA: 10 } }
+  const a = buildValueSeries({ dates, prices, deposits: [{ date: '2026-01-02', amount: 1000 }] })
+  const b = buildValueSeries({ dates, prices, trades: [buy('2026-01-05', 'AAA', 50, 10)] })
+  const both = combineSeries([a, b])
+  assert.equal(both.impliedFunding, 500)
+  assert.equal(both.contributions, 1500)
+  assert.equal(both.points[0].value, 1500)
+})
+
+console.log('\nPeriods')
+
+const year = () => {
+  // $10,000 in on Jan 2 2025 and a 20% year. 5% more by Feb 1 2026; $12,600
+  // more goes in the next day, then nothing.
+  const dates = ['2025-01-02', '2025-12-31', '2026-02-01', '2026-02-02', '2026-03-31']
+  const prices = {
+    '2025-01-02': { AAA: 100 }, '2025-12-31': { AAA: 120 }, '2026-02-01': { AAA: 126 }, '2026-02-02': { AAA: 126 }, '2026-03-31': { AAA: 126 },
+  }
+  return buildValueSeries({
+    dates,
+    prices,
+    deposits: [{ date: '2025-01-02', amount: 10000 }, { date: '2026-02-02', amount: 12600 }],
+    trades: [buy('2025-01-02', 'AAA', 100, 100), buy('2026-02-02', 'AAA', 100, 126)],
+  })
+}
+
+test('YTD and inception chain from the right starting value', () => {
+  const byKey = Object.fromEntries(periodReturns(year()).map((p) => [p.key, p]))
+  near(byKey.YTD.twr, 0.05)
+  assert.equal(byKey.YTD.startValue, 12000)
+  near(byKey.ITD.twr, 1.2 * 1.05 - 1)
+  assert.ok(byKey.ITD.twrAnnualized != null, 'inception spans more than a year')
+  assert.equal(byKey.YTD.twrAnnualized, null, 'under a year is never annualized')
+})
+
+test('money-weighted trails time-weighted when the big deposit missed the move', () => {
+  const ytd = periodReturns(year()).find((p) => p.key === 'YTD')
+  assert.ok(ytd.mwr > 0 && ytd.mwr < ytd.twr, `${ytd.mwr} vs ${ytd.twr}`)
+  assert.equal(ytd.netFlows, 12600)
+})
+
+test('a period the snapshots don\'t reach back to is unavailable', () => {
+  const s = buildValueSeries({
+    dates: ['2026-02-02', '2026-03-31'],
+    prices: { '2026-02-02': { AAA: 100 }, '2026-03-31': { AAA: 110 } },
+    deposits: [{ date: '2025-01-02', amount: 10000 }],
+    trades: [buy('2025-01-02', 'AAA', 100, 100)],
+  })
+  assert.equal(periodReturn(s, monthsBefore('2026-03-31', 12), '2026-03-31'), null)
+  assert.ok(periodReturn(s, monthsBefore('2026-03-31', 1), '2026-03-31'))
+})
+
+test('a sale that leaves cash keeps the value', () => {
+  const s = buildValueSeries({
+    dates: ['2026-01-05', '2026-01-06'],
+    prices: { '2026-01-05': { AAA: 10 }, '2026-01-06': { AAA: 12 } },
+    deposits: [{ date: '2026-01-02', amount: 1000 }],
+    trades: [buy('2026-01-05', 'AAA', 100, 10), sell('2026-01-06', 'AAA', 100, 12)],
+  })
+  assert.deepEqual(s.points.map((p) => p.value), [1000, 1200])
+})
+
+test('month arithmetic clamps to the end of the month', () => {
+  assert.equal(monthsBefore('2026-03-31', 1), '2026-02-28')
+  assert.equal(monthsBefore('2026-01-15', 3), '2025-10-15')
+})
+
+console.log(`\n${passed} passed\n`)
@@ -0,0 +1,117 @@
+/**
+ * Short stock lots.
+ * Run: node server/utils/shortSales.test.mjs
+ *
+ * A short used to read as a sale with no basis and its cover as a new long
+ * position. Here: the lots themselves, the borrow fee schedule, and the P&L
+ * calculator carrying a short through every method.
+ */
+import assert from 'node:assert/strict'
+import { isShortSale, isShortCover, isInLieuCharge, borrowFee, coverShorts, openShorts } from './shortSales.js'
+import { calculatePnL } from '../services/pnlCalculator.js'
+
+let passed = 0
+const test = (name, fn) => {
+  try { fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+
+const close = (a, b) => assert.ok(Math.abs(a - b) < 0.01, `expected ${b}, got ${a}`)
+
+console.log('\nLots')
+
+test('only SS opens a short and only BC covers one', () => {
+  assert.equal(isShortSale({ transCode: 'SS' }), true)
+  assert.equal(isShortSale({ transCode: 'Sell' }), false)
+  assert.equal(isShortSale({ transCode: 'SS', isOption: true }), false)
+  assert.equal(isShortCover({ transCode: 'bc' }), true)
+  assert.equal(isShortCover({ transCode: 'BTC', isOption: true }), false)
+})
+
+test('covers close the oldest short first, or the newest', () => {
+  const lots = () => [{ quantity: 10, price: 50, date: '2026-01-05' }, { quantity: 10, price: 40, date: '2026-02-05' }]
+  const fifo = lots()
+  close(coverShorts(fifo, 15, 45).realized, 10 * 5 + 5 * -5)
+  assert.deepEqual(fifo, [{ quantity: 5, price: 40, date: '2026-02-05' }])
+  const lifo = lots()
+  close(coverShorts(lifo, 15, 45, { lifo: true }).realized, 10 * -5 + 5 * 5)
+  assert.deepEqual(openShorts(lifo), { quantity: 5, proceeds: 250, avgPrice: 50 })
+})
+
+test('a cover larger than the short only covers what is open', () => {
+  const lots = [{ quantity: 3, price: 50, date: '2026-01-05' }]
+  const r = coverShorts(lots, 5, 45)
+  assert.equal(r.covered, 3)
+  assert.equal(lots.length, 0)
+})
+
+test('in-lieu charges are told apart from cash in lieu of fractions', () => {
+  assert.equal(isInLieuCharge({ text: 'Cash Dividend', amount: -4.2 }), true)
+  assert.equal(isInLieuCharge({ text: 'Payment in lieu', amount: -4.2 }), true)
+  assert.equal(isInLieuCharge({ text: 'Cash in lieu of fractional share', amount: -4.2 }), false)
+  assert.equal(isInLieuCharge({ text: 'Cash Dividend', amount: 4.2 }), false)
+})
+
+console.log('\nBorrow fees')
+
+test('accrue daily on a 360-day year', () => {
+  // $10,000 short at 3.6% for 30 days
+  close(borrowFee({ quantity: 100, price: 100, from: '2026-03-01', to: '2026-03-31', schedule: [{ from: '2026-01-01', rate: 3.6 }] }), 30)
+})
+
+test('each rate applies from its date until the next', () => {
+  const schedule = [{ from: '2026-03-11', rate: 36 }, { from: '2026-01-01', rate: 3.6 }]
+  close(borrowFee({ quantity: 100, price: 100, from: '2026-03-01', to: '2026-03-31', schedule }), 10 + 200)
+})
+
+test('nothing accrues before the schedule starts or without one', () => {
+  assert.equal(borrowFee({ quantity: 100, price: 100, from: '2026-03-01', to: '2026-03-31' }), 0)
+  assert.equal(borrowFee({ quantity: 100, price: 100, from: '2026-03-01', to: '2026-03-31', schedule: [{ from: '2026-04-01', rate: 5 }] }), 0)
+})
+
+console.log('\nIn the P&L calculator')
+
+const trade = (o) => ({
+  symbol: 'XYZ', instrument: 'XYZ', description: 'XYZ', isOption: false,
+  quantity: 10, price: 50, amount: 500, isBuy: false, contracts: 1,
+  date: '2026-01-05', transDate: '2026-01-05', transCode: 'SS', broker: 'schwab',
+  ...o,
+})
+const partCover = trade({ quantity: 4, price: 40, amount: -160, isBuy: true, transCode: 'BC', date: '2026-02-05', transDate: '2026-02-05' })
+
+const realLog = console.log
+const quiet = (fn) => { console.log = () => {}; try { return fn() } finally { console.log = realLog } }
+
+test('a partly covered short stays short in every method', () => {
+  const [row] = quiet(() => calculatePnL([trade(), partCover], { XYZ: 45 }))
+  for (const m of ['fifo', 'lifo']) {
+    assert.equal(row[m].position, -6, m)
+    close(row[m].realizedPnL, 40)
+    close(row[m].unrealizedPnL, 30)
+  }
+  assert.equal(row.avgCost.position, -6)
+  assert.equal(row.avgCost.avgCostBasis, 50)
+  close(row.avgCost.unrealizedPnL, 30)
+  assert.equal(row.real.position, -6)
+  assert.equal(row.real.shortPosition, 6)
+  close(row.real.totalPnL, 70)
+})
+
+test('in-lieu charges and borrow fees come off real P&L only', () => {
+  const [row] = quiet(() => calculatePnL(
+    [trade(), partCover], { XYZ: 45 }, true, null, null,
+    [{ symbol: 'XYZ', date: '2026-01-20', amount: -3, isInLieu: true, broker: 'schwab' }],
+    { XYZ: [{ from: '2026-01-01', rate: 3.6 }] }
+  ))
+  assert.equal(row.real.inLieuCharges, 3)
+  assert.ok(row.real.borrowFees > 0)
+  close(row.real.totalPnL, 70 - 3 - row.real.borrowFees)
+  close(row.fifo.totalPnL, 70)
+})
+
+test('a sell with nothing held is still not a short', () => {
+  const [row] = quiet(() => calculatePnL([trade({ transCode: 'Sell', broker: 'robinhood' })], { XYZ: 45 }))
+  assert.equal(row.real.shortPosition, 0)
+})
+
+console.log(`\n${passed} passed\n`)
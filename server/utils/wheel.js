@@ -0,0 +1,241 @@
+/**
+ * Wheel campaigns: puts sold, assigned, calls sold on the shares, called away —
+ * one trade per underlying rather than a string of unrelated contracts.
+ *
+ * Every other view scores each contract alone, so a put rolled down three
+ * times reads as two losses and a win, and the premium that paid for the
+ * shares never shows up next to them. A campaign links them:
+ *
+ *  - It opens with a short option on an underlying that has none running.
+ *  - A BTC and an STO on the same day are a roll: one event, net of both.
+ *  - A put assigned adds 100 shares a contract at the strike; a call assigned
+ *    takes them away at its strike. Only shares that came in by assignment
+ *    belong to the campaign — a covered call written on shares bought outright
+ *    counts its premium, and what those shares did is left to the stock view.
+ *  - It ends when the shares are called away, or when it has been flat — no
+ *    short open, no shares — for more than CAMPAIGN_GAP_DAYS. Selling next
+ *    week's put after this week's expired is the wheel carrying on.
+ *
+ * Premium is every option dollar in and out, including credits on shorts
+ * still open: wheel accounting counts the premium as collected when sold, and
+ * the open short's risk shows up elsewhere (short calls, Greeks). The effective
+ * cost basis is what the shares cost at assignment less all of that premium
+ * and any stock gain already taken, per share held. Return on capital is P&L
+ * over the peak capital the campaign tied up — a cash-secured put's strike
+ * value, plus what the shares cost — annualized over the campaign's days,
+ * simple rather than compounded.
+ */
+import { parseOptionDescription } from './optionUtils.js'
+
+export const CAMPAIGN_GAP_DAYS = 7
+
+const EPS = 0.0000001
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+const brokerOf = (t) => t.broker || 'robinhood'
+const codeOf = (t) => String(t.transCode || '').toUpperCase()
+const dayOf = (d) => String(d instanceof Date ? d.toISOString() : d || '').slice(0, 10)
+const daysBetween = (a, b) => Math.round((Date.parse(b) - Date.parse(a)) / MS_PER_DAY)
+const round2 = (n) => Math.round((n + Number.EPSILON) * 100) / 100
+
+// Closes before opens within a day, so a roll's BTC frees the slot its STO
+// takes and a put that expired this morning doesn't overlap the next one.
+const ORDER = { OEXP: 0, OASGN: 0, OEXC: 0, BTC: 1, STC: 1, STO: 2, BTO: 2 }
+
+/**
+ * Group option trades into wheel campaigns.
+ *
+ * @param trades  the app's trade list; stock rows are ignored
+ * @param prices  { ticker: price now } for marking shares still held
+ * @param asOf    'YYYY-MM-DD' — today, for open campaigns' length and gap
+ * @returns campaigns, newest first: [{ id, broker, ticker, status, startDate,
+ *   endDate, days, premium, stockRealized, shares, sharesCost, outsideShares,
+ *   effectiveCostBasis, price, unrealized, pnl, peakCapital, returnOnCapital,
+ *   annualizedReturn, rolls, assignments, events }]
+ */
+export function buildCampaigns(trades, { prices = {}, asOf = new Date().toISOString().slice(0, 10) } = {}) {
+  const byTicker = new Map()
+  for (const t of trades) {
+    if (!t.isOption) continue
+    const parsed = parseOptionDescription(t.symbol)
+    if (!parsed) continue
+    const k = `${brokerOf(t)}::${parsed.ticker}`
+    if (!byTicker.has(k)) byTicker.set(k, [])
+    byTicker.get(k).push({ t, parsed, code: codeOf(t), day: dayOf(t.date) })
+  }
+
+  const campaigns = []
+  for (const [key, rows] of byTicker) {
+    const [broker, ticker] = key.split('::')
+    rows.sort((a, b) => a.day.localeCompare(b.day) || (ORDER[a.code] ?? 3) - (ORDER[b.code] ?? 3))
+    let c = null
+
+    const finish = (endDate) => {
+      c.status = 'closed'
+      c.endDate = endDate
+      campaigns.push(c)
+      c = null
+    }
+
+    for (let i = 0; i < rows.length;) {
+      const day = rows[i].day
+      const today = []
+      while (i < rows.length && rows[i].day === day) today.push(rows[i++])
+
+      if (c && c.flatSince && daysBetween(c.flatSince, day) > CAMPAIGN_GAP_DAYS) finish(c.flatSince)
+      if (!c && !today.some((r) => r.code === 'STO')) continue
+      if (!c) c = newCampaign(broker, ticker, day)
+
+      const btc = today.filter((r) => r.code === 'BTC' && c.shorts.has(r.t.symbol))
+      const sto = today.filter((r) => r.code === 'STO')
+      const rolled = btc.length > 0 && sto.length > 0
+      if (rolled) {
+        const from = btc.map((r) => closeShort(c, r))
+        const to = sto.map((r) => openShort(c, r))
+        const cash = [...from, ...to].reduce((s, e) => s + e.cash, 0)
+        c.premium += cash
+        c.rolls++
+        c.events.push({ date: day, kind: 'roll', from, to, cash: round2(cash), ...after(c) })
+      }
+
+      for (const r of today) {
+        const n = r.t.contracts || 1
+        const cash = Math.abs(r.t.amount || 0) * (r.t.fxRate || 1)
+        const { type, strike } = r.parsed
+        const leg = { symbol: r.t.symbol, type, strike, contracts: n }
+        if (rolled && (r.code === 'STO' || btc.includes(r))) continue
+
+        if (r.code === 'STO') {
+          const e = openShort(c, r)
+          c.premium += e.cash
+          c.events.push({ date: day, kind: e.type === 'put' ? 'sell_put' : 'sell_call', ...e, ...after(c) })
+        } else if (r.code === 'BTC') {
+          if (!c.shorts.has(r.t.symbol)) continue
+          const e = closeShort(c, r)
+          c.premium += e.cash
+          c.events.push({ date: day, kind: 'buy_to_close', ...e, ...after(c) })
+        } else if (r.code === 'BTO' || r.code === 'STC') {
+          // A long option inside a campaign — a hedge, usually — is premium too.
+          const signed = r.code === 'BTO' ? -cash : cash
+          c.premium += signed
+          c.events.push({ date: day, kind: r.code === 'BTO' ? 'buy' : 'sell', ...leg, cash: round2(signed), ...after(c) })
+        } else if (r.code === 'OEXP' || r.code === 'OASGN') {
+          const open = c.shorts.get(r.t.symbol)
+          if (!open) continue
+          const k = Math.min(n, open.contracts)
+          reduceShort(c, r.t.symbol, k)
+          if (r.code === 'OEXP') {
+            c.events.push({ date: day, kind: 'expired', ...leg, contracts: k, cash: 0, ...after(c) })
+          } else if (leg.type === 'put') {
+            c.shares += 100 * k
+            c.sharesCost += 100 * k * strike
+            c.assignments++
+            c.events.push({ date: day, kind: 'assigned', ...leg, contracts: k, cash: 0, stockCash: round2(-100 * k * strike), ...after(c) })
+          } else {
+            const qty = 100 * k
+            const own = Math.min(qty, c.shares)
+            const avg = c.shares > EPS ? c.sharesCost / c.shares : 0
+            c.stockRealized += own * (strike - avg)
+            c.sharesCost -= own * avg
+            c.shares -= own
+            c.outsideShares += qty - own
+            c.assignments++
+            c.events.push({ date: day, kind: 'called_away', ...leg, contracts: k, cash: 0, stockCash: round2(qty * strike), ...after(c) })
+          }
+        }
+      }
+
+      trackCapital(c)
+      const flat = c.shorts.size === 0 && c.shares <= EPS
+      if (flat && today.some((r) => r.code === 'OASGN' && r.parsed.type === 'call')) finish(day)
+      else c.flatSince = flat ? (c.flatSince || day) : null
+    }
+    if (c && c.flatSince && daysBetween(c.flatSince, asOf) > CAMPAIGN_GAP_DAYS) finish(c.flatSince)
+    if (c) campaigns.push(c)
+  }
+
+  return campaigns
+    .map((c) => summarize(c, prices[c.ticker], asOf))
+    .sort((a, b) => b.startDate.localeCompare(a.startDate))
+}
+
+function newCampaign(broker, ticker, day) {
+  return {
+    broker, ticker, startDate: day, endDate: null, status: 'open', flatSince: null,
+    shorts: new Map(), shares: 0, sharesCost: 0, outsideShares: 0,
+    premium: 0, stockRealized: 0, rolls: 0, assignments: 0,
+    peakCapital: 0, events: [],
+  }
+}
+
+// Opening a short, returned as the event's leg detail. Cash is the credit.
+function openShort(c, r) {
+  const n = r.t.contracts || 1
+  const cash = Math.abs(r.t.amount || 0) * (r.t.fxRate || 1)
+  const type = r.parsed.type
+  const expiry = `${r.parsed.year}-${r.parsed.month}-${r.parsed.day}`
+  const open = c.shorts.get(r.t.symbol)
+  if (open) open.contracts += n
+  else c.shorts.set(r.t.symbol, { type, strike: r.parsed.strike, contracts: n })
+  return { symbol: r.t.symbol, type, strike: r.parsed.strike, expiry, contracts: n, cash: round2(cash) }
+}
+
+// Buying a short back. Cash is the debit, negative.
+function closeShort(c, r) {
+  const n = r.t.contracts || 1
+  const cash = Math.abs(r.t.amount || 0) * (r.t.fxRate || 1)
+  const open = c.shorts.get(r.t.symbol)
+  reduceShort(c, r.t.symbol, Math.min(n, open.contracts))
+  const expiry = `${r.parsed.year}-${r.parsed.month}-${r.parsed.day}`
+  return { symbol: r.t.symbol, type: open.type, strike: open.strike, expiry, contracts: n, cash: round2(-cash) }
+}
+
+function reduceShort(c, symbol, n) {
+  const open = c.shorts.get(symbol)
+  open.contracts -= n
+  if (open.contracts <= EPS) c.shorts.delete(symbol)
+}
+
+// State after an event, for the timeline.
+const after = (c) => ({ premiumToDate: round2(c.premium), sharesAfter: c.shares })
+
+// Capital tied up at the end of a day: strike value behind each short put,
+// plus the campaign's shares at cost. Calls written on those shares need none.
+function trackCapital(c) {
+  let capital = c.sharesCost
+  for (const s of c.shorts.values()) if (s.type === 'put') capital += s.strike * 100 * s.contracts
+  c.peakCapital = Math.max(c.peakCapital, capital)
+}
+
+function summarize(c, price, asOf) {
+  const end = c.endDate || asOf
+  const days = Math.max(1, daysBetween(c.startDate, end) + 1)
+  const held = c.shares > EPS
+  const unrealized = held && price > 0 ? c.shares * price - c.sharesCost : null
+  const pnl = c.premium + c.stockRealized + (unrealized || 0)
+  const roc = c.peakCapital > 0 ? pnl / c.peakCapital : null
+  return {
+    id: `${c.broker}:${c.ticker}:${c.startDate}`,
+    broker: c.broker,
+    ticker: c.ticker,
+    status: c.status,
+    startDate: c.startDate,
+    endDate: c.endDate,
+    days,
+    premium: round2(c.premium),
+    stockRealized: round2(c.stockRealized),
+    shares: c.shares,
+    sharesCost: round2(c.sharesCost),
+    outsideShares: c.outsideShares,
+    effectiveCostBasis: held ? round2((c.sharesCost - c.premium - c.stockRealized) / c.shares) : null,
+    price: held && price > 0 ? price : null,
+    unrealized: unrealized == null ? null : round2(unrealized),
+    pnl: round2(pnl),
+    peakCapital: round2(c.peakCapital),
+    returnOnCapital: roc == null ? null : Math.round(roc * 10000) / 10000,
+    annualizedReturn: roc == null ? null : Math.round((roc * 365 / days) * 10000) / 10000,
+    rolls: c.rolls,
+    assignments: c.assignments,
+    openShorts: [...c.shorts.entries()].map(([symbol, s]) => ({ symbol, ...s })),
+    events: c.events,
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * Wheel campaigns.
+ * Run: node server/utils/wheel.test.mjs
+ *
+ * A wheel is one trade told in several contracts. These check that a roll is
+ * one event, that assignment brings the shares in at the strike and being
+ * called away ends it, and that the premium all lands on the shares' basis.
+ */
+import assert from 'node:assert/strict'
+import { buildCampaigns, CAMPAIGN_GAP_DAYS } from './wheel.js'
+
+let passed = 0
+const test = (name, fn) => {
+  try { fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+const close = (a, b, tol = 0.01) => assert.ok(Math.abs(a - b) < tol, `expected ${b}, got ${a}`)
+
+const opt = (code, date, type, strike, expiry, premium, o = {}) => {
+  const contracts = o.contracts || 1
+  return {
+    symbol: `${o.ticker || 'XYZ'} ${expiry} ${type} $${strike.toFixed(2)}`, isOption: true, transCode: code,
+    contracts, quantity: contracts, price: premium, amount: premium * 100 * contracts,
+    isBuy: code.startsWith('B'), date, broker: o.broker || 'robinhood',
+  }
+}
+
+// Put sold, rolled down and out, assigned, call sold, called away.
+const cycle = [
+  opt('STO', '2026-01-05', 'Put', 100, '1/16/2026', 1.5),
+  opt('BTC', '2026-01-14', 'Put', 100, '1/16/2026', 0.8),
+  opt('STO', '2026-01-14', 'Put', 95, '1/30/2026', 1.2),
+  opt('OASGN', '2026-01-30', 'Put', 95, '1/30/2026', 0),
+  opt('STO', '2026-02-02', 'Call', 100, '2/20/2026', 1.0),
+  opt('OASGN', '2026-02-20', 'Call', 100, '2/20/2026', 0),
+]
+
+console.log('\nA full cycle')
+
+test('put, roll, assignment, call and called away are one campaign', () => {
+  const [c] = buildCampaigns(cycle, { asOf: '2026-03-01' })
+  assert.equal(c.status, 'closed')
+  assert.equal(c.startDate, '2026-01-05')
+  assert.equal(c.endDate, '2026-02-20')
+  assert.deepEqual(c.events.map((e) => e.kind), ['sell_put', 'roll', 'assigned', 'sell_call', 'called_away'])
+  assert.equal(c.rolls, 1)
+  assert.equal(c.assignments, 2)
+})
+
+test('a roll is one event, net of the buy-back and the new credit', () => {
+  const [c] = buildCampaigns(cycle, { asOf: '2026-03-01' })
+  const roll = c.events[1]
+  close(roll.cash, 40)
+  assert.equal(roll.from[0].strike, 100)
+  assert.equal(roll.to[0].strike, 95)
+  close(roll.premiumToDate, 190)
+})
+
+test('P&L is every premium plus the stock gain at the strikes', () => {
+  const [c] = buildCampaigns(cycle, { asOf: '2026-03-01' })
+  close(c.premium, 290)
+  close(c.stockRealized, 500)
+  close(c.pnl, 790)
+  assert.equal(c.shares, 0)
+  close(c.peakCapital, 10000)
+  assert.equal(c.days, 47)
+  close(c.returnOnCapital, 0.079, 0.0001)
+  close(c.annualizedReturn, 0.079 * 365 / 47, 0.0001)
+})
+
+console.log('\nShares held')
+
+test('while the shares are held, the premium comes off their basis', () => {
+  const [c] = buildCampaigns(cycle.slice(0, 5), { prices: { XYZ: 97 }, asOf: '2026-02-10' })
+  assert.equal(c.status, 'open')
+  assert.equal(c.shares, 100)
+  close(c.effectiveCostBasis, 95 - 2.9)
+  close(c.unrealized, 200)
+  close(c.pnl, 290 + 200)
+  assert.equal(c.openShorts.length, 1)
+})
+
+test('a covered call on shares bought outright counts only its premium', () => {
+  const [c] = buildCampaigns([
+    opt('STO', '2026-01-05', 'Call', 110, '1/16/2026', 2),
+    opt('OASGN', '2026-01-16', 'Call', 110, '1/16/2026', 0),
+  ], { asOf: '2026-02-01' })
+  assert.equal(c.status, 'closed')
+  assert.equal(c.outsideShares, 100)
+  assert.equal(c.stockRealized, 0)
+  close(c.pnl, 200)
+  assert.equal(c.returnOnCapital, null, 'no capital the campaign tied up')
+})
+
+console.log('\nWhere a campaign ends')
+
+test(`a new put within ${CAMPAIGN_GAP_DAYS} days of going flat carries the campaign on`, () => {
+  const cs = buildCampaigns([
+    opt('STO', '2026-01-05', 'Put', 100, '1/16/2026', 1),
+    opt('OEXP', '2026-01-16', 'Put', 100, '1/16/2026', 0),
+    opt('STO', '2026-01-20', 'Put', 100, '1/30/2026', 1),
+    opt('OEXP', '2026-01-30', 'Put', 100, '1/30/2026', 0),
+    opt('STO', '2026-02-20', 'Put', 98, '3/6/2026', 1),
+  ], { asOf: '2026-02-25' })
+  assert.equal(cs.length, 2)
+  const [next, first] = cs
+  assert.equal(first.status, 'closed')
+  assert.equal(first.endDate, '2026-01-30')
+  close(first.premium, 200)
+  assert.equal(next.status, 'open')
+  assert.equal(next.startDate, '2026-02-20')
+})
+
+test('underlyings and brokers wheel separately', () => {
+  const cs = buildCampaigns([
+    opt('STO', '2026-01-05', 'Put', 100, '1/16/2026', 1),
+    opt('STO', '2026-01-05', 'Put', 50, '1/16/2026', 1, { ticker: 'ABC' }),
+    opt('STO', '2026-01-05', 'Put', 100, '1/16/2026', 1, { broker: 'schwab' }),
+  ], { asOf: '2026-01-06' })
+  assert.equal(cs.length, 3)
+  assert.deepEqual(cs.map((c) => `${c.broker}:${c.ticker}`).sort(), ['robinhood:ABC', 'robinhood:XYZ', 'schwab:XYZ'])
+})
+
+test('a buy-to-close without a new sale is a close, not a roll', () => {
+  const [c] = buildCampaigns([
+    opt('STO', '2026-01-05', 'Put', 100, '1/16/2026', 1.5),
+    opt('BTC', '2026-01-09', 'Put', 100, '1/16/2026', 0.3),
+  ], { asOf: '2026-02-01' })
+  assert.deepEqual(c.events.map((e) => e.kind), ['sell_put', 'buy_to_close'])
+  assert.equal(c.rolls, 0)
+  assert.equal(c.status, 'closed')
+  close(c.pnl, 120)
+})
+
+console.log(`\n${passed} passed\n`)
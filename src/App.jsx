@@ -13,8 +13,11 @@ import ExtendedHoursPanel from './components/ExtendedHoursPanel'
 import BrokerTabs from './components/BrokerTabs'
 import DashboardCharts from './components/DashboardCharts'
 import EarningsPanel from './components/EarningsPanel'
+import ReturnsPanel from './components/ReturnsPanel'
+import ReconciliationPanel from './components/ReconciliationPanel'
+import DividendsPanel from './components/DividendsPanel'
 import FibRsiScreener from './components/FibRsiScreener'
-import { loadPrefs } from './services/prefs'
+import { loadPrefs, getPref } from './services/prefs'
 import UploadButton from './components/UploadButton'
 import PreMoveVolumePanel from './components/PreMoveVolumePanel'
 import ScreenerPanel from './components/ScreenerPanel'
@@ -22,8 +25,10 @@ import DCAAlertPanel from './components/DCAAlertPanel'
 import StrategyPnLSplit from './components/StrategyPnLSplit'
 import YTDPositionsPanel from './components/YTDPositionsPanel'
 import ShortCallTracker from './components/ShortCallTracker'
+import AssignmentWarnings from './components/AssignmentWarnings'
 import VolScanner from './components/VolScanner'
 import TaxCenter from './components/TaxCenter'
+import ImportHistory from './components/ImportHistory'
 import AvgCostCalculator from './components/AvgCostCalculator'
 import { parseTrades, parseDeposits } from './utils/csvParser'
 import { calculatePnL } from './utils/pnlCalculator'
@@ -259,7 +264,7 @@ function AuthenticatedApp({ user }) {
             loadPrefs([
               'optionsPnl_cumulativeWeeks', 'shareOverrides', 'priceOverrides',
               'ytdPanel_globalStart', 'ytdPanel_symbolDates',
-              ...['all', 'robinhood', 'webull', 'schwab'].flatMap(bk => [
+              ...['all', 'robinhood', 'webull', 'schwab', 'fidelity', 'etrade', 'ibkr'].flatMap(bk => [
                 `ytdPanel_columnOrder_${bk}`, `ytdPanel_hiddenTickers_${bk}`,
               ]),
             ]).catch(() => {})
@@ -368,7 +373,7 @@ function AuthenticatedApp({ user }) {
       if (trades.length > 0) {
         const mergedPrices = { ...currentPrices, ...updatedManualPrices }
         const adjustedTrades = applySplitAdjustments(trades, splitAdjustments)
-        const pnl = calculatePnL(adjustedTrades, mergedPrices, true, null, previousClosePrices, dividendsAndInterest) // Always rollup options
+        const pnl = calculatePnL(adjustedTrades, mergedPrices, true, null, previousClosePrices, dividendsAndInterest, getPref('borrowRates', {})) // Always rollup options
         setPnlData(pnl)
       }
     }
@@ -400,7 +405,7 @@ function AuthenticatedApp({ user }) {
       if (trades.length > 0) {
         const mergedPrices = { ...currentPrices, ...manualPrices }
         const adjustedTrades = applySplitAdjustments(trades, updatedSplits)
-        const pnl = calculatePnL(adjustedTrades, mergedPrices, true, null, previousClosePrices, dividendsAndInterest) // Always rollup options
+        const pnl = calculatePnL(adjustedTrades, mergedPrices, true, null, previousClosePrices, dividendsAndInterest, getPref('borrowRates', {})) // Always rollup options
         setPnlData(pnl)
       }
     }
@@ -580,7 +585,7 @@ function AuthenticatedApp({ user }) {
     const pnl = calculatePnL(adjustedTrades, mergedPrices, true, (msg) => {
       console.log('DEBUG:', msg)
       warnings.push(msg)
-    }, fetchedPrevClosePrices, dividendsAndInterest) // Always rollup options
+    }, fetchedPrevClosePrices, dividendsAndInterest, getPref('borrowRates', {})) // Always rollup options
     setPnlData(pnl)
     setDebugInfo(warnings) // Show warnings on screen
 
@@ -818,6 +823,17 @@ function AuthenticatedApp({ user }) {
     }
   }
 
+  // After one upload is rolled back: its rows are gone server-side, so refetch
+  // the dates list and reload whichever view is still there.
+  const handleImportRolledBack = async () => {
+    setBrokerRefreshKey(k => k + 1)
+    socketService.getAllTrades().then(setAllTrades).catch(() => {})
+    const dates = await socketService.getUploadDates().catch(() => [])
+    setUploadDates(dates || [])
+    const stillThere = dates?.some(d => d.upload_date === currentUploadDate)
+    handleLoadTrades(stillThere ? currentUploadDate : (dates?.[0]?.upload_date || null))
+  }
+
   // Auto-load most recent data when upload dates first become available
   useEffect(() => {
     if (uploadDates.length > 0 && !currentUploadDate && trades.length === 0) {
@@ -965,6 +981,14 @@ function AuthenticatedApp({ user }) {
     }
   }
 
+  // What an upload would change, shown by UploadButton before anything is
+  // written. Only the server has the stored rows to compare against, so in
+  // standalone mode there's no preview and the upload goes straight through.
+  const handleFilePreview = async (file, broker = 'robinhood') => {
+    const csvContent = await file.text()
+    return socketService.previewCSV(csvContent, broker)
+  }
+
   const handleFileUpload = async (file, broker = 'robinhood') => {
     try {
       setLoading(true)
@@ -978,7 +1002,7 @@ function AuthenticatedApp({ user }) {
         const csvContent = await file.text()
 
         // Upload to server
-        const response = await socketService.uploadCSV(csvContent, broker)
+        const response = await socketService.uploadCSV(csvContent, broker, file.name)
 
         console.log('✅ CSV processed by server')
         // A new broker may now have data — refresh the broker bar.
@@ -1107,7 +1131,7 @@ function AuthenticatedApp({ user }) {
         const pnl = calculatePnL(adjustedTrades, mergedPrices, true, (msg) => {
           console.log('DEBUG CALLBACK:', msg)
           debugMessages.push(msg)
-        }, fetchedPrevClosePrices, dividendsAndInterest)
+        }, fetchedPrevClosePrices, dividendsAndInterest, getPref('borrowRates', {}))
         setPnlData(pnl)
         console.log('Debug messages collected:', debugMessages.length)
         setDebugInfo(debugMessages)
@@ -1281,6 +1305,7 @@ function AuthenticatedApp({ user }) {
             broker={uploadBroker}
             onBrokerChange={changeUploadBroker}
             onFile={handleFileUpload}
+            onPreview={useServer && connected ? handleFilePreview : null}
           />
           <ThemeToggle />
         </div>
@@ -1401,6 +1426,7 @@ function AuthenticatedApp({ user }) {
               >
                 🗑️ Clear DB
               </button>
+              <ImportHistory onRolledBack={handleImportRolledBack} />
             </div>
           )}
           {useServer && connected && snapshotDates.length > 0 && (
@@ -1429,6 +1455,7 @@ function AuthenticatedApp({ user }) {
             broker={uploadBroker}
             onBrokerChange={changeUploadBroker}
             onFile={handleFileUpload}
+            onPreview={useServer && connected ? handleFilePreview : null}
           />
           <button
             className="upload-button"
@@ -2568,6 +2595,7 @@ function AuthenticatedApp({ user }) {
           connected={connected}
           trades={trades}
           currentPrices={currentPrices}
+          broker={brokerFilter}
         />
       )}
 
@@ -2576,6 +2604,7 @@ function AuthenticatedApp({ user }) {
         <div style={{ padding: '8px 0' }}>
           <YTDPositionsPanel pnlData={brokerScopedPnl} broker={brokerFilter} />
           <ShortCallTracker broker={brokerFilter} />
+          <DividendsPanel dividendsAndInterest={dividendsAndInterest} trades={tradesSource} broker={brokerFilter} />
         </div>
       )}
 
@@ -2583,6 +2612,7 @@ function AuthenticatedApp({ user }) {
       {activeMainTab === 'tax' && (
         <TaxCenter
           trades={brokerScopedTrades}
+          allTrades={tradesSource}
           dividendsAndInterest={dividendsAndInterest}
           pnlData={brokerScopedPnl}
           broker={brokerFilter}
@@ -2612,12 +2642,19 @@ function AuthenticatedApp({ user }) {
         />
       )}
 
+      {/* Percentage returns — the dollar totals above, in proportion */}
+      {activeMainTab === 'dashboard' && <ReturnsPanel broker={brokerFilter} />}
+      {activeMainTab === 'dashboard' && <ReconciliationPanel broker={brokerFilter} />}
+
       {/* Pre/post market option estimates — self-hides during regular hours */}
       {activeMainTab === 'dashboard' && <ExtendedHoursPanel broker={brokerFilter} />}
 
       {/* Upcoming earnings — next to the estimates it invalidates */}
       {activeMainTab === 'dashboard' && <EarningsPanel broker={brokerFilter} />}
 
+      {/* Short options likely to be assigned early or pinned — hides with none open */}
+      {activeMainTab === 'dashboard' && <AssignmentWarnings broker={brokerFilter} />}
+
       {/* Buy schedule */}
       {activeMainTab === 'dashboard' && <DCAAlertPanel />}
 
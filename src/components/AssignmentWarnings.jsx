@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react'
+import { getPref, setPref } from '../services/prefs'
+
+/**
+ * Short options at risk of early assignment or pin risk, each with the reason
+ * (/api/assignment-risk). Shown on the dashboard and atop the Short Call
+ * Tracker, which also marks the rows it applies to via `onWarnings`.
+ *
+ * The pin band, pin window and time-value floor are the user's to set — how
+ * close is too close depends on how the account is run — and follow them
+ * across devices as a preference.
+ */
+
+const KIND_LABELS = { dividend: 'Dividend', pin: 'Pin risk', deep_itm: 'Deep ITM' }
+const fmtDate = (iso) => (iso ? new Date(iso + 'T12:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : '')
+
+export default function AssignmentWarnings({ broker = 'all', onWarnings }) {
+  const [data, setData] = useState(null)
+  const [settings, setSettings] = useState(() => getPref('assignmentRisk', {}) || {})
+  const [editing, setEditing] = useState(false)
+
+  useEffect(() => {
+    let alive = true
+    const params = new URLSearchParams()
+    if (broker && broker !== 'all') params.set('broker', broker)
+    for (const [k, v] of Object.entries(settings)) if (v !== '' && v != null) params.set(k, v)
+    const q = params.toString() ? `?${params}` : ''
+    fetch(`/api/assignment-risk${q}`, { credentials: 'include' })
+      .then(r => r.json())
+      .then(d => {
+        if (!alive) return
+        setData(d?.success ? d : null)
+        onWarnings?.(d?.success ? d.warnings : [])
+      })
+      .catch(() => { if (alive) setData(null) })
+    return () => { alive = false }
+  }, [broker, settings])
+
+  const update = (k, v) => {
+    const next = { ...settings, [k]: v === '' ? undefined : Number(v) }
+    setSettings(next)
+    setPref('assignmentRisk', next)
+  }
+
+  if (!data || !data.checked) return null
+  const { warnings = [], checked, unmarked = [] } = data
+  const input = (k, label, step) => (
+    <label style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+      {label}
+      <input type='number' min='0' step={step} value={settings[k] ?? data.settings[k]}
+        onChange={e => update(k, e.target.value)}
+        style={{ width: 56, padding: '2px 6px', fontSize: 11.5, borderRadius: 4, border: '1px solid var(--border)', background: 'var(--surface)', color: 'var(--text)' }} />
+    </label>
+  )
+
+  return (
+    <div className="floating-panel" style={{
+      background: 'var(--surface)', border: '1px solid var(--border)',
+      borderRadius: 10, padding: '14px 16px', marginBottom: 20, color: 'var(--text)',
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: 10, gap: 10 }}>
+        <h3 style={{ margin: 0, fontSize: 13, fontWeight: 700, letterSpacing: '0.02em' }}>
+          Assignment risk
+        </h3>
+        <span style={{ fontSize: 11, color: 'var(--textSecondary)' }}>
+          {warnings.length} warning{warnings.length !== 1 ? 's' : ''} · {checked} short option{checked !== 1 ? 's' : ''}
+          <button onClick={() => setEditing(e => !e)} title="Pin band, pin window and time-value floor"
+            style={{ marginLeft: 8, border: 'none', background: 'transparent', color: 'var(--textSecondary)', cursor: 'pointer', fontSize: 12 }}>⚙</button>
+        </span>
+      </div>
+
+      {editing && (
+        <div style={{ display: 'flex', gap: 14, flexWrap: 'wrap', fontSize: 11.5, color: 'var(--textSecondary)', marginBottom: 10 }}>
+          {input('pinBandPct', 'Pin band %', 0.5)}
+          {input('pinDays', 'within days', 1)}
+          {input('minTimeValue', 'Deep put time value under $', 0.05)}
+        </div>
+      )}
+
+      {warnings.length === 0 ? (
+        <div style={{ fontSize: 12.5, color: 'var(--textSecondary)' }}>
+          No short option looks likely to be assigned early or pinned.
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+          {warnings.map(w => {
+            const tone = w.severity === 'high' ? 'var(--severity)' : 'var(--warning)'
+            return (
+              <div key={`${w.symbol}-${w.kind}`} style={{
+                display: 'flex', alignItems: 'baseline', gap: 10, padding: '7px 8px', borderRadius: 5,
+                boxShadow: `inset 2px 0 0 ${tone}`, background: 'var(--surfaceHover)',
+              }}>
+                <span style={{ fontWeight: 700, fontSize: 13, minWidth: 52 }}>{w.ticker}</span>
+                <span style={{ fontSize: 12, minWidth: 130, whiteSpace: 'nowrap' }}>
+                  −{w.contracts} ${w.strike} {w.type} · {fmtDate(w.expiry)}
+                </span>
+                <span style={{ fontSize: 10.5, fontWeight: 700, color: tone, textTransform: 'uppercase', minWidth: 64 }}>{KIND_LABELS[w.kind]}</span>
+                <span style={{ fontSize: 12, color: 'var(--textSecondary)', flex: 1 }}>{w.reason}</span>
+              </div>
+            )
+          })}
+        </div>
+      )}
+      {unmarked.length > 0 && (
+        <div style={{ fontSize: 11, color: 'var(--textSecondary)', marginTop: 8 }}>
+          No closing mark yet for {unmarked.length} contract{unmarked.length !== 1 ? 's' : ''} — their time value can't be judged, so only pin risk is checked.
+        </div>
+      )}
+    </div>
+  )
+}
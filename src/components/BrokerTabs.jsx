@@ -16,6 +16,9 @@ const LABELS = {
   robinhood: 'Robinhood',
   webull: 'Webull',
   schwab: 'Schwab',
+  fidelity: 'Fidelity',
+  etrade: 'E*TRADE',
+  ibkr: 'IBKR',
 }
 
 /**
@@ -14,8 +14,11 @@ import {
 import { socketService } from '../services/socketService'
 import { fetchHistoricalPrices } from '../utils/yahooFinance'
 import { useTheme } from '../contexts/ThemeContext'
+import { getPref, setPref } from '../services/prefs'
 
-function DailyPnLChart({ useServer, connected, trades, currentPrices }) {
+const pct = (n) => (n == null || isNaN(n) ? '—' : `${n > 0 ? '+' : ''}${(n * 100).toFixed(2)}%`)
+
+function DailyPnLChart({ useServer, connected, trades, currentPrices, broker = 'all' }) {
   const { isDark } = useTheme()
   const [chartData, setChartData] = useState([])
   const [symbolData, setSymbolData] = useState([])
@@ -28,6 +31,12 @@ function DailyPnLChart({ useServer, connected, trades, currentPrices }) {
   const [calculationMode, setCalculationMode] = useState('historical') // 'historical' or 'snapshots'
   const [showStockPnL, setShowStockPnL] = useState(true)
   const [showOptionsPnL, setShowOptionsPnL] = useState(true)
+  // Benchmark overlay: the same deposits put into an index instead
+  const [showBenchmark, setShowBenchmark] = useState(false)
+  const [benchmarkSymbol, setBenchmarkSymbol] = useState(() => getPref('benchmarkSymbol', 'SPY') || 'SPY')
+  const [benchmarkInput, setBenchmarkInput] = useState(benchmarkSymbol)
+  const [benchmark, setBenchmark] = useState(null)
+  const [benchmarkError, setBenchmarkError] = useState(null)
 
   useEffect(() => {
     if (calculationMode === 'historical' && trades && trades.length > 0) {
@@ -44,6 +53,31 @@ function DailyPnLChart({ useServer, connected, trades, currentPrices }) {
     }
   }, [calculationMode, trades, currentPrices, useServer, connected])
 
+  useEffect(() => {
+    if (!showBenchmark || !useServer || !connected) return
+    let alive = true
+    setBenchmarkError(null)
+    const q = new URLSearchParams({ symbol: benchmarkSymbol })
+    if (broker && broker !== 'all') q.set('broker', broker)
+    fetch(`/api/benchmark?${q}`, { credentials: 'include' })
+      .then(r => r.json())
+      .then(d => {
+        if (!alive) return
+        if (d?.success) setBenchmark(d.comparison ? { symbol: d.symbol, ...d.comparison } : null)
+        else { setBenchmark(null); setBenchmarkError(d?.error || 'Benchmark unavailable') }
+      })
+      .catch(() => { if (alive) { setBenchmark(null); setBenchmarkError('Benchmark unavailable') } })
+    return () => { alive = false }
+  }, [showBenchmark, benchmarkSymbol, broker, useServer, connected])
+
+  const applyBenchmarkSymbol = () => {
+    const next = benchmarkInput.trim().toUpperCase()
+    if (!next || next === benchmarkSymbol) { setBenchmarkInput(benchmarkSymbol); return }
+    setBenchmarkSymbol(next)
+    setBenchmarkInput(next)
+    setPref('benchmarkSymbol', next)
+  }
+
   // Load symbol-specific data when symbol is selected
   useEffect(() => {
     if (selectedSymbol) {
@@ -555,6 +589,15 @@ function DailyPnLChart({ useServer, connected, trades, currentPrices }) {
     return null
   }
 
+  // The benchmark's P&L on the days both have, so the line sits on the same
+  // dollar axis as ours.
+  const benchmarkByDate = showBenchmark && benchmark
+    ? new Map(benchmark.curve.map(p => [p.date, p.benchmarkPnL]))
+    : null
+  const portfolioData = benchmarkByDate
+    ? chartData.map(d => ({ ...d, benchmarkPnL: benchmarkByDate.get(d.date) ?? null }))
+    : chartData
+
   return (
     <div style={{
       background: isDark ? '#1e1e1e' : 'white',
@@ -743,10 +786,48 @@ function DailyPnLChart({ useServer, connected, trades, currentPrices }) {
                     </div>
                   </>
                 )}
+                {useServer && connected && (
+                  <div style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '6px',
+                    padding: '4px 10px',
+                    background: isDark ? '#2a2a2a' : '#f0f0f0',
+                    borderRadius: '6px'
+                  }}>
+                    <input
+                      type="checkbox"
+                      id="show-benchmark"
+                      checked={showBenchmark}
+                      onChange={(e) => setShowBenchmark(e.target.checked)}
+                      style={{ cursor: 'pointer' }}
+                    />
+                    <label htmlFor="show-benchmark" style={{ cursor: 'pointer', userSelect: 'none' }}>
+                      <span style={{ color: '#6b7280', fontWeight: '500' }}>●</span> vs
+                    </label>
+                    <input
+                      value={benchmarkInput}
+                      onChange={(e) => setBenchmarkInput(e.target.value)}
+                      onBlur={applyBenchmarkSymbol}
+                      onKeyDown={(e) => { if (e.key === 'Enter') applyBenchmarkSymbol() }}
+                      title="Ticker to compare against — SPY, QQQ or any other"
+                      style={{
+                        width: '56px',
+                        padding: '2px 6px',
+                        borderRadius: '4px',
+                        border: `1px solid ${isDark ? '#555' : '#ccc'}`,
+                        background: isDark ? '#1e1e1e' : 'white',
+                        color: isDark ? '#e0e0e0' : '#333',
+                        fontSize: '12px',
+                        textTransform: 'uppercase'
+                      }}
+                    />
+                  </div>
+                )}
               </div>
 
               <ResponsiveContainer width="100%" height={300}>
-                <LineChart data={chartData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                <LineChart data={portfolioData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
                   <CartesianGrid strokeDasharray="3 3" stroke={isDark ? '#444' : '#e0e0e0'} />
                   <XAxis
                     dataKey="date"
@@ -796,6 +877,19 @@ function DailyPnLChart({ useServer, connected, trades, currentPrices }) {
                     connectNulls={true}
                     isAnimationActive={false}
                   />
+                  {benchmarkByDate && (
+                    <Line
+                      type="monotone"
+                      dataKey="benchmarkPnL"
+                      stroke="#6b7280"
+                      strokeWidth={2}
+                      strokeDasharray="6 4"
+                      dot={false}
+                      name={`${benchmark.symbol} P&L (same deposits)`}
+                      connectNulls={true}
+                      isAnimationActive={false}
+                    />
+                  )}
                   {calculationMode !== 'historical' && (
                     <Line
                       type="monotone"
@@ -821,6 +915,44 @@ function DailyPnLChart({ useServer, connected, trades, currentPrices }) {
                   ? '* Chart shows Stock P&L and Options P&L separately over last 90 days. Toggle checkboxes to show/hide each. Uses current prices (not historical) for faster calculation.'
                   : '* Chart shows historical portfolio Total P&L and Daily P&L changes from saved snapshots'}
               </div>
+
+              {showBenchmark && (benchmark || benchmarkError) && (
+                <div style={{
+                  marginTop: '12px',
+                  padding: '10px 12px',
+                  borderRadius: '8px',
+                  background: isDark ? '#2a2a2a' : '#f8f9fa',
+                  fontSize: '13px',
+                  color: isDark ? '#e0e0e0' : '#333'
+                }}>
+                  {benchmarkError ? (
+                    <span style={{ color: isDark ? '#ffeb3b' : '#856404' }}>ℹ️ {benchmarkError}</span>
+                  ) : (
+                    <>
+                      <div style={{ display: 'flex', gap: '20px', flexWrap: 'wrap' }}>
+                        {[
+                          ['Account', pct(benchmark.accountReturn), 'Time-weighted return over the window'],
+                          [benchmark.symbol, pct(benchmark.benchmarkReturn), `The same deposits held in ${benchmark.symbol}`],
+                          ['Tracking difference', pct(benchmark.trackingDifference), 'Account return minus benchmark return'],
+                          ['Alpha', pct(benchmark.alpha), 'Annualized return beyond what beta and the risk-free rate explain'],
+                          ['Beta', benchmark.beta == null ? '—' : benchmark.beta.toFixed(2), `How far the account moves per 1% move in ${benchmark.symbol}`],
+                          ['Max drawdown', `${pct(benchmark.maxDrawdown)} vs ${pct(benchmark.benchmarkMaxDrawdown)}`, 'Worst peak-to-trough fall, account vs benchmark'],
+                          ['Relative drawdown', pct(benchmark.relativeMaxDrawdown), `Furthest the account fell behind ${benchmark.symbol} from its best standing`],
+                        ].map(([label, value, title]) => (
+                          <div key={label} title={title}>
+                            <span style={{ color: isDark ? '#b0b0b0' : '#666' }}>{label}:</span>{' '}
+                            <strong>{value}</strong>
+                          </div>
+                        ))}
+                      </div>
+                      <div style={{ fontSize: '12px', color: isDark ? '#999' : '#666', marginTop: '6px', fontStyle: 'italic' }}>
+                        * Every deposit buys {benchmark.symbol} on its day, so the dashed line is the P&L the same money would have made there.
+                        Statistics use daily time-weighted returns from {benchmark.from} to {benchmark.to} ({benchmark.observations} days), so deposit timing doesn't count for either side.
+                      </div>
+                    </>
+                  )}
+                </div>
+              )}
             </>
           )}
 
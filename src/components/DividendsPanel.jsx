@@ -0,0 +1,216 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import { dividendHistory, trailingIncome, forwardIncome, EX_DATE_LAG_DAYS } from '../utils/dividends'
+
+/**
+ * Dividend income: what came in, how much of it looks qualified, and what the
+ * current holdings should pay over the next twelve months.
+ *
+ * Sits on the Positions tab rather than the Tax Center because most of it is
+ * about the holdings, not the return — the qualified split is here so a sale
+ * that would spoil it can be seen before it's made, not on the 1099-DIV.
+ */
+
+const fmt = (n) => {
+  if (n == null || isNaN(n)) return '—'
+  const abs = Math.abs(n).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+  return n < 0 ? `-$${abs}` : `$${abs}`
+}
+const pct = (n) => (n == null || isNaN(n) ? '—' : `${(n * 100).toFixed(2)}%`)
+const fmtDate = (iso) => new Date(`${iso}T12:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+const monthKey = (iso) => iso.slice(0, 7)
+const monthLabel = (key) => new Date(`${key}-01T12:00:00`).toLocaleDateString('en-US', { month: 'short', year: 'numeric' })
+
+const STATUS = {
+  qualified: { label: 'Qualified', tone: 'var(--positive)' },
+  partial: { label: 'Partly', tone: 'var(--warning)' },
+  nonqualified: { label: 'Ordinary', tone: 'var(--negative)' },
+  pending: { label: 'If held', tone: 'var(--textSecondary)' },
+  unknown: { label: 'No lots', tone: 'var(--textSecondary)' },
+}
+const STATUS_TITLE = {
+  qualified: 'Held more than 60 days of the 121-day window around the ex-date.',
+  partial: 'Some of the shares entitled to this payment were held long enough, some weren\'t.',
+  nonqualified: 'Sold or bought too close to the ex-date — taxed as ordinary income.',
+  pending: 'Qualifies if the shares are still held when the window closes.',
+  unknown: 'No shares on record at the ex-date (bought before the trade history, or transferred in).',
+}
+
+export default function DividendsPanel({ dividendsAndInterest = [], trades = [], broker = 'all' }) {
+  const [holdings, setHoldings] = useState([])
+  const [expanded, setExpanded] = useState(null)
+
+  useEffect(() => {
+    let alive = true
+    const q = new URLSearchParams({ basis: 'corrected' })
+    if (broker && broker !== 'all') q.set('broker', broker)
+    fetch(`/api/stock-positions-with-prices?${q}`, { credentials: 'include' })
+      .then(r => r.json())
+      .then(d => { if (alive) setHoldings(d?.success ? (d.holdings || []) : []) })
+      .catch(() => { if (alive) setHoldings([]) })
+    return () => { alive = false }
+  }, [broker])
+
+  const items = useMemo(() => (
+    broker && broker !== 'all'
+      ? dividendsAndInterest.filter(d => (d.broker || 'robinhood') === broker)
+      : dividendsAndInterest
+  ), [dividendsAndInterest, broker])
+
+  const history = useMemo(() => dividendHistory(items, trades), [items, trades])
+  const ttm = useMemo(() => trailingIncome(history), [history])
+  const forward = useMemo(() => forwardIncome(history, holdings), [history, holdings])
+  const calendarByMonth = useMemo(() => {
+    const m = new Map()
+    for (const c of forward.calendar) {
+      const k = monthKey(c.date)
+      if (!m.has(k)) m.set(k, { key: k, total: 0, payments: [] })
+      const row = m.get(k)
+      row.total += c.amount
+      row.payments.push(c)
+    }
+    return [...m.values()]
+  }, [forward])
+  const forwardBySymbol = useMemo(() => Object.fromEntries(forward.rows.map(r => [r.symbol, r])), [forward])
+
+  if (!history.length) return null
+
+  const th = { padding: '7px 10px', textAlign: 'right', fontSize: 10.5, fontWeight: 600, color: 'var(--textSecondary)', textTransform: 'uppercase', letterSpacing: '0.04em', background: 'var(--tableHeader)', borderBottom: '1px solid var(--border)', whiteSpace: 'nowrap' }
+  const thLeft = { ...th, textAlign: 'left' }
+  const td = { padding: '7px 10px', textAlign: 'right', fontSize: 12.5, borderBottom: '1px solid var(--border)', whiteSpace: 'nowrap', fontVariantNumeric: 'tabular-nums' }
+  const tdLeft = { ...td, textAlign: 'left', fontWeight: 700 }
+  const stat = (label, value, sub) => (
+    <div style={{ minWidth: 130 }}>
+      <div style={{ fontSize: 11, color: 'var(--textSecondary)', marginBottom: 2 }}>{label}</div>
+      <div style={{ fontSize: 18, fontWeight: 700, fontVariantNumeric: 'tabular-nums' }}>{value}</div>
+      {sub && <div style={{ fontSize: 10.5, color: 'var(--textSecondary)', marginTop: 2 }}>{sub}</div>}
+    </div>
+  )
+  const badge = (status) => (
+    <span title={STATUS_TITLE[status]} style={{
+      fontSize: 10, fontWeight: 700, letterSpacing: '0.04em', padding: '1px 6px',
+      borderRadius: 3, border: '1px solid var(--border)', color: STATUS[status].tone,
+    }}>{STATUS[status].label}</span>
+  )
+
+  return (
+    <div className="floating-panel" style={{
+      background: 'var(--surface)', border: '1px solid var(--border)',
+      borderRadius: 10, padding: '14px 16px', marginBottom: 20, color: 'var(--text)',
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: 12 }}>
+        <h3 style={{ margin: 0, fontSize: 13, fontWeight: 700, letterSpacing: '0.02em' }}>Dividends</h3>
+        <span style={{ fontSize: 11, color: 'var(--textSecondary)' }}>
+          {history.length} paying {history.length === 1 ? 'holding' : 'holdings'}
+        </span>
+      </div>
+
+      <div style={{ display: 'flex', gap: 24, flexWrap: 'wrap', marginBottom: 14 }}>
+        {stat('Trailing 12 months', fmt(ttm.total))}
+        {stat('Qualified', fmt(ttm.qualified), ttm.nonQualified ? `${fmt(ttm.nonQualified)} ordinary` : null)}
+        {ttm.unknown > 0 && stat('Untested', fmt(ttm.unknown), 'no lots at the ex-date')}
+        {stat('Forward 12 months', fmt(forward.annual), 'at the last rate, current shares')}
+      </div>
+
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={thLeft}>Symbol</th>
+              <th style={th}>Cadence</th>
+              <th style={th}>Last paid</th>
+              <th style={th}>Per share</th>
+              <th style={th}>TTM</th>
+              <th style={th}>All time</th>
+              <th style={th}>Forward</th>
+              <th style={th} title="Forward annual income over the cost basis of the shares held now">Yield on cost</th>
+              <th style={th} title="Forward annual income over the market value of the shares held now">Current yield</th>
+            </tr>
+          </thead>
+          <tbody>
+            {history.map(h => {
+              const f = forwardBySymbol[h.symbol]
+              const open = expanded === h.key
+              return (
+                <React.Fragment key={h.key}>
+                  <tr onClick={() => setExpanded(open ? null : h.key)} style={{ cursor: 'pointer' }}>
+                    <td style={tdLeft}>
+                      <span style={{ color: 'var(--textSecondary)', marginRight: 6, fontSize: 10 }}>{open ? '▾' : '▸'}</span>
+                      {h.symbol}
+                      {broker === 'all' && <span style={{ fontSize: 10.5, fontWeight: 500, color: 'var(--textSecondary)', marginLeft: 6 }}>{h.broker}</span>}
+                    </td>
+                    <td style={td}>{h.cadence ? h.cadence.key : '—'}</td>
+                    <td style={td}>{fmtDate(h.lastDate)}</td>
+                    <td style={td}>{h.lastPerShare != null ? `$${h.lastPerShare.toFixed(4)}` : '—'}</td>
+                    <td style={td}>{fmt(h.ttm)}</td>
+                    <td style={td}>{fmt(h.total)}</td>
+                    <td style={td}>{f ? fmt(f.annual) : '—'}</td>
+                    <td style={td}>{f ? pct(f.yieldOnCost ?? f.ttmYieldOnCost) : '—'}</td>
+                    <td style={td}>{f ? pct(f.currentYield) : '—'}</td>
+                  </tr>
+                  {open && (
+                    <tr>
+                      <td colSpan={9} style={{ padding: '4px 10px 12px 28px', borderBottom: '1px solid var(--border)' }}>
+                        <table style={{ borderCollapse: 'collapse' }}>
+                          <thead>
+                            <tr>
+                              <th style={thLeft}>Paid</th>
+                              <th style={th} title={`Estimated as ${EX_DATE_LAG_DAYS} days before payment — the export doesn't carry it`}>Ex-date</th>
+                              <th style={th}>Shares</th>
+                              <th style={th}>Amount</th>
+                              <th style={th}>Qualified</th>
+                              <th style={thLeft}>Holding test</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {[...h.payments].reverse().map((p, i) => (
+                              <tr key={p.id ?? `${p.date}-${i}`}>
+                                <td style={{ ...td, textAlign: 'left' }}>{fmtDate(p.date)}</td>
+                                <td style={{ ...td, color: 'var(--textSecondary)' }}>{p.exDateEstimated ? '~' : ''}{fmtDate(p.exDate)}</td>
+                                <td style={td}>{p.shares ? p.shares.toLocaleString() : '—'}</td>
+                                <td style={td}>{fmt(p.amount)}</td>
+                                <td style={td}>{p.status === 'unknown' ? '—' : fmt(p.qualifiedAmount)}</td>
+                                <td style={{ ...td, textAlign: 'left' }}>{badge(p.status)}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {calendarByMonth.length > 0 && (
+        <div style={{ marginTop: 16 }}>
+          <div style={{ fontSize: 12, fontWeight: 700, marginBottom: 8 }}>Expected payments</div>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(150px, 1fr))', gap: 8 }}>
+            {calendarByMonth.map(m => (
+              <div key={m.key} style={{ border: '1px solid var(--border)', borderRadius: 6, padding: '8px 10px' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 11.5, marginBottom: 4 }}>
+                  <span style={{ color: 'var(--textSecondary)' }}>{monthLabel(m.key)}</span>
+                  <span style={{ fontWeight: 700, fontVariantNumeric: 'tabular-nums' }}>{fmt(m.total)}</span>
+                </div>
+                {m.payments.map(c => (
+                  <div key={`${c.symbol}-${c.date}`} style={{ display: 'flex', justifyContent: 'space-between', fontSize: 11, color: 'var(--textSecondary)', fontVariantNumeric: 'tabular-nums' }}>
+                    <span>{c.symbol} · {new Date(`${c.date}T12:00:00`).getDate()}</span>
+                    <span>{fmt(c.amount)}</span>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div style={{ fontSize: 10.5, color: 'var(--textSecondary)', marginTop: 10, lineHeight: 1.45 }}>
+        Ex-dates marked ~ are estimated {EX_DATE_LAG_DAYS} days before payment; the qualified split is a guide,
+        the 1099-DIV is the record. Projections repeat each holding's last per-share payment on its usual
+        cadence — a cut, a special or a holding that has paid only once won't be reflected.
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,135 @@
+import React, { useState } from 'react'
+
+/**
+ * Upload history, with a per-upload undo.
+ *
+ * "Clear DB" was the only way to take a bad import back out, and it took every
+ * other upload with it. Each upload is now a batch on the server; rolling one
+ * back removes only the rows it wrote, restores any it replaced, and rebuilds
+ * the P&L snapshots that had counted it.
+ */
+
+const BROKER_LABELS = { robinhood: 'Robinhood', webull: 'Webull', schwab: 'Schwab', fidelity: 'Fidelity', etrade: 'E*TRADE', ibkr: 'IBKR' }
+
+const when = (epochSeconds) => epochSeconds
+  ? new Date(epochSeconds * 1000).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+  : '—'
+
+export default function ImportHistory({ onRolledBack }) {
+  const [open, setOpen] = useState(false)
+  const [batches, setBatches] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [busyId, setBusyId] = useState(null)
+  const [message, setMessage] = useState(null)
+
+  const load = async () => {
+    setLoading(true)
+    try {
+      const r = await fetch('/api/import-batches', { credentials: 'include' }).then(res => res.json())
+      setBatches(r.success ? r.batches : [])
+      if (!r.success) setMessage(r.error)
+    } catch (e) {
+      setMessage(e.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const show = () => { setOpen(true); setMessage(null); load() }
+
+  const rollback = async (b) => {
+    const what = `${BROKER_LABELS[b.broker] || b.broker} import${b.file_name ? ` "${b.file_name}"` : ''}`
+    if (!window.confirm(`Roll back the ${what}? Its ${b.trade_count} trade(s) and ${b.deposit_count} deposit(s) will be removed.`)) return
+    setBusyId(b.id)
+    setMessage(null)
+    try {
+      const r = await fetch(`/api/import-batches/${b.id}`, { method: 'DELETE', credentials: 'include' }).then(res => res.json())
+      if (!r.success) throw new Error(r.error)
+      const removed = Object.values(r.removed || {}).reduce((s, n) => s + n, 0)
+      setMessage(`Rolled back: ${removed} row(s) removed, ${r.restored?.trades || 0} replaced trade(s) restored, ${r.snapshotsRebuilt} snapshot(s) rebuilt.`)
+      await load()
+      onRolledBack?.()
+    } catch (e) {
+      setMessage(`Rollback failed: ${e.message}`)
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const cell = { padding: '6px 8px', borderBottom: '1px solid var(--border)', fontSize: 12, textAlign: 'left', whiteSpace: 'nowrap' }
+
+  return (
+    <>
+      <button
+        onClick={show}
+        title="Upload history — undo a single import"
+        style={{
+          padding: '8px 12px', borderRadius: '6px', border: '1px solid var(--border)', fontSize: '13px',
+          fontWeight: '500', cursor: 'pointer', background: 'var(--surface)', color: 'var(--text)'
+        }}
+      >
+        🗂️ Imports
+      </button>
+
+      {open && (
+        <div onClick={() => setOpen(false)}
+          style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.45)', zIndex: 2000, display: 'flex', alignItems: 'flex-start', justifyContent: 'center', padding: '60px 16px', overflowY: 'auto' }}>
+          <div onClick={e => e.stopPropagation()}
+            style={{ background: 'var(--surface)', color: 'var(--text)', borderRadius: 12, border: '1px solid var(--border)', width: 760, maxWidth: '100%', padding: 22, boxShadow: '0 12px 40px rgba(0,0,0,0.35)' }}>
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 4 }}>
+              <h2 style={{ margin: 0, fontSize: 18 }}>🗂️ Import history</h2>
+              <button onClick={() => setOpen(false)} style={{ border: 'none', background: 'transparent', fontSize: 22, cursor: 'pointer', color: 'var(--textSecondary)', lineHeight: 1 }}>×</button>
+            </div>
+            <div style={{ fontSize: 12, color: 'var(--textSecondary)', marginBottom: 12 }}>
+              Counts are the rows each upload added. A re-upload that only matched existing rows owns none of them, so undoing it leaves the original data in place.
+            </div>
+
+            {message && <div style={{ fontSize: 12, marginBottom: 10, color: 'var(--warning)' }}>{message}</div>}
+
+            {loading && !batches.length ? (
+              <div style={{ fontSize: 13, color: 'var(--textSecondary)' }}>Loading…</div>
+            ) : !batches.length ? (
+              <div style={{ fontSize: 13, color: 'var(--textSecondary)' }}>No imports yet.</div>
+            ) : (
+              <div style={{ overflowX: 'auto' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr>
+                      {['Imported', 'Broker', 'File', 'Trades', 'Dates', 'Deposits', 'Income', 'Other cash', 'Transfers', ''].map(h => (
+                        <th key={h} style={{ ...cell, fontWeight: 700, color: 'var(--textSecondary)' }}>{h}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {batches.map(b => (
+                      <tr key={b.id}>
+                        <td style={cell}>{when(b.created_at)}</td>
+                        <td style={cell}>{BROKER_LABELS[b.broker] || b.broker}</td>
+                        <td style={{ ...cell, maxWidth: 180, overflow: 'hidden', textOverflow: 'ellipsis' }} title={b.file_name || ''}>{b.file_name || '—'}</td>
+                        <td style={cell}>{b.trade_count}{b.replaced_count > 0 && <span title="Rows this upload replaced; restored on rollback" style={{ color: 'var(--warning)' }}> (+{b.replaced_count} replaced)</span>}</td>
+                        <td style={cell}>{b.first_trade_date ? `${b.first_trade_date} → ${b.last_trade_date}` : '—'}</td>
+                        <td style={cell}>{b.deposit_count}</td>
+                        <td style={cell}>{b.income_count}</td>
+                        <td style={cell}>{b.cash_count ?? 0}</td>
+                        <td style={cell}>{b.transfer_count}</td>
+                        <td style={cell}>
+                          <button
+                            onClick={() => rollback(b)}
+                            disabled={busyId !== null}
+                            style={{ padding: '4px 10px', borderRadius: 6, border: 'none', background: '#dc3545', color: 'white', fontSize: 12, cursor: busyId !== null ? 'default' : 'pointer', opacity: busyId !== null && busyId !== b.id ? 0.5 : 1 }}
+                          >
+                            {busyId === b.id ? 'Rolling back…' : '↩️ Roll back'}
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </>
+  )
+}
@@ -0,0 +1,136 @@
+import React, { useMemo, useState } from 'react'
+
+/**
+ * Specific identification for one stock sale: choose which purchases it sold.
+ *
+ * The broker's relief method (FIFO unless the account elected otherwise)
+ * decides by default. Pinning tells the Tax Center what was actually
+ * instructed at the time of the sale; any shares not pinned still fall to the
+ * method. Quantities are in today's split-adjusted shares, matching the trade
+ * list.
+ */
+
+const fmtQty = (n) => Number(n.toFixed(6)).toString()
+
+export default function LotPinner({ sellTradeId, trades = [], pins = [], onClose, onSaved }) {
+  const sale = useMemo(() => trades.find((t) => t.id === sellTradeId), [trades, sellTradeId])
+  const broker = sale?.broker || 'robinhood'
+
+  // Purchases this sale could have come from: same stock, same broker, not after it.
+  const candidates = useMemo(() => {
+    if (!sale) return []
+    return trades
+      .filter((t) => t.id != null && t.isBuy && !t.isOption && t.symbol === sale.symbol &&
+        (t.broker || 'robinhood') === broker && t.date <= sale.date)
+      .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : a.id - b.id))
+  }, [trades, sale, broker])
+
+  const [qty, setQty] = useState(() => {
+    const m = {}
+    pins.forEach((p) => { m[p.buyTradeId] = String(p.quantity) })
+    return m
+  })
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const saleShares = Math.abs(sale?.quantity || 0)
+  const pinned = Object.values(qty).reduce((s, v) => s + (parseFloat(v) || 0), 0)
+  const over = pinned > saleShares + 1e-6
+
+  const save = async (lots) => {
+    setSaving(true)
+    setError(null)
+    try {
+      const r = await fetch(`/api/lot-pins/${sellTradeId}`, {
+        method: 'PUT',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ lots })
+      }).then((res) => res.json())
+      if (!r.success) throw new Error(r.error)
+      onSaved?.(sellTradeId, r.pins)
+      onClose?.()
+    } catch (e) {
+      setError(e.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const submit = () => save(
+    Object.entries(qty)
+      .map(([buyTradeId, v]) => ({ buyTradeId: Number(buyTradeId), quantity: parseFloat(v) || 0 }))
+      .filter((l) => l.quantity > 0)
+  )
+
+  const cell = { padding: '6px 8px', borderBottom: '1px solid var(--border)', fontSize: 12, textAlign: 'right', whiteSpace: 'nowrap' }
+
+  return (
+    <div onClick={onClose}
+      style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.45)', zIndex: 2000, display: 'flex', alignItems: 'flex-start', justifyContent: 'center', padding: '60px 16px', overflowY: 'auto' }}>
+      <div onClick={(e) => e.stopPropagation()}
+        style={{ background: 'var(--surface)', color: 'var(--text)', borderRadius: 12, border: '1px solid var(--border)', width: 560, maxWidth: '100%', padding: 22, boxShadow: '0 12px 40px rgba(0,0,0,0.35)' }}>
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 4 }}>
+          <h2 style={{ margin: 0, fontSize: 18 }}>📌 Pin lots{sale ? ` — ${sale.symbol} sale of ${fmtQty(saleShares)} on ${sale.date}` : ''}</h2>
+          <button onClick={onClose} style={{ border: 'none', background: 'transparent', fontSize: 22, cursor: 'pointer', color: 'var(--textSecondary)', lineHeight: 1 }}>×</button>
+        </div>
+        <div style={{ fontSize: 12, color: 'var(--textSecondary)', marginBottom: 12 }}>
+          Enter how many shares came from each purchase. Pin only what you instructed your broker to sell; unpinned shares follow the broker's lot method.
+        </div>
+
+        {!sale ? (
+          <div style={{ fontSize: 13, color: 'var(--textSecondary)' }}>This sale is no longer in your trade history.</div>
+        ) : !candidates.length ? (
+          <div style={{ fontSize: 13, color: 'var(--textSecondary)' }}>No earlier purchases of {sale.symbol} at this broker.</div>
+        ) : (
+          <div style={{ overflowX: 'auto', maxHeight: 360, overflowY: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr>
+                  {['Bought', 'Shares', 'Price', 'Pin'].map((h) => (
+                    <th key={h} style={{ ...cell, fontWeight: 700, color: 'var(--textSecondary)', textAlign: h === 'Bought' ? 'left' : 'right' }}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {candidates.map((b) => (
+                  <tr key={b.id}>
+                    <td style={{ ...cell, textAlign: 'left' }}>{b.date}</td>
+                    <td style={cell}>{fmtQty(Math.abs(b.quantity))}</td>
+                    <td style={cell}>${Number(b.price).toFixed(2)}</td>
+                    <td style={cell}>
+                      <input
+                        type="number" min="0" step="any"
+                        value={qty[b.id] ?? ''}
+                        onChange={(e) => setQty((m) => ({ ...m, [b.id]: e.target.value }))}
+                        style={{ width: 80, padding: '4px 6px', borderRadius: 6, border: '1px solid var(--border)', background: 'var(--surface)', color: 'var(--text)', fontSize: 12, textAlign: 'right' }}
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginTop: 14, flexWrap: 'wrap' }}>
+          <span style={{ fontSize: 12, color: over ? 'var(--negative)' : 'var(--textSecondary)' }}>
+            Pinned {fmtQty(pinned)} of {fmtQty(saleShares)}
+          </span>
+          <div style={{ flex: 1 }} />
+          {pins.length > 0 && (
+            <button onClick={() => save([])} disabled={saving}
+              style={{ padding: '6px 12px', borderRadius: 6, border: '1px solid var(--border)', background: 'var(--surface)', color: 'var(--text)', fontSize: 12, cursor: 'pointer' }}>
+              Unpin
+            </button>
+          )}
+          <button onClick={submit} disabled={saving || over || !sale}
+            style={{ padding: '6px 14px', borderRadius: 6, border: 'none', background: '#667eea', color: '#fff', fontSize: 12, fontWeight: 600, cursor: saving || over ? 'default' : 'pointer', opacity: saving || over ? 0.6 : 1 }}>
+            {saving ? 'Saving…' : 'Save pins'}
+          </button>
+        </div>
+        {error && <div style={{ fontSize: 12, marginTop: 10, color: 'var(--warning)' }}>{error}</div>}
+      </div>
+    </div>
+  )
+}
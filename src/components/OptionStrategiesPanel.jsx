@@ -0,0 +1,154 @@
+import React, { useState, useEffect } from 'react'
+import { useTheme } from '../contexts/ThemeContext'
+
+/**
+ * Option legs grouped into the strategies they were traded as — condors,
+ * strangles, spreads, covered calls — from /api/option-strategies. Max
+ * profit, max loss and breakevens are at expiry from the opening premiums;
+ * realized is premium in and out on the contracts closed.
+ */
+
+const fmt = (n) => {
+  if (n == null || isNaN(n)) return '—'
+  const abs = Math.abs(n).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+  return n < 0 ? `-$${abs}` : `$${abs}`
+}
+const fmtDate = (s) => (s ? new Date(`${s}T12:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: '2-digit' }) : '—')
+const legText = (l) => `${l.side === 'long' ? '+' : '−'}${l.contracts} ${l.type === 'call' ? 'C' : 'P'}${l.strike}`
+
+export default function OptionStrategiesPanel({ broker = 'all' }) {
+  const { isDark } = useTheme()
+  const [open, setOpen] = useState(false)
+  const [data, setData] = useState(null)
+  const [error, setError] = useState(null)
+  const [filter, setFilter] = useState('open')
+  const [expanded, setExpanded] = useState(null)
+
+  const surface = isDark ? '#1e2130' : '#ffffff'
+  const border = isDark ? '#2d3748' : '#e2e8f0'
+  const text = isDark ? '#e2e8f0' : '#1a202c'
+  const textMid = isDark ? '#94a3b8' : '#64748b'
+  const tone = (n) => (!n ? textMid : n > 0 ? '#22c55e' : '#ef4444')
+
+  useEffect(() => {
+    if (!open) return
+    setError(null)
+    const q = broker && broker !== 'all' ? `?broker=${encodeURIComponent(broker)}` : ''
+    fetch(`/api/option-strategies${q}`, { credentials: 'include' })
+      .then((r) => r.json())
+      .then((j) => { if (j.success) setData(j); else setError(j.error) })
+      .catch((e) => setError(e.message))
+  }, [open, broker])
+
+  const shown = (data?.strategies || []).filter((s) => filter === 'all' || s.status === filter)
+  const th = { padding: '6px 10px', textAlign: 'right', fontSize: '11px', fontWeight: '600', color: textMid, textTransform: 'uppercase', letterSpacing: '0.04em', borderBottom: `1px solid ${border}`, whiteSpace: 'nowrap' }
+  const thLeft = { ...th, textAlign: 'left' }
+  const td = { padding: '6px 10px', textAlign: 'right', fontSize: '12px', color: text, borderBottom: `1px solid ${border}`, whiteSpace: 'nowrap', fontVariantNumeric: 'tabular-nums' }
+  const tdLeft = { ...td, textAlign: 'left' }
+  const btn = (active) => ({
+    padding: '3px 10px', fontSize: '11px', fontWeight: '600', borderRadius: '6px', cursor: 'pointer',
+    border: `1px solid ${border}`, background: active ? 'rgba(102,126,234,0.15)' : 'transparent', color: active ? '#667eea' : textMid,
+  })
+
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      <button onClick={() => setOpen((o) => !o)} style={{ ...btn(open), padding: '6px 14px', fontSize: '12px', fontWeight: '700' }}>
+        🧩 Strategies {open ? '▲' : '▼'}
+      </button>
+
+      {open && (
+        <div style={{ marginTop: '10px', background: surface, border: `1px solid ${border}`, borderRadius: '12px', padding: '18px' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', marginBottom: '12px', flexWrap: 'wrap' }}>
+            <div style={{ fontSize: '13px', fontWeight: '700', color: text }}>
+              Strategies
+              <span style={{ fontSize: '11px', fontWeight: '400', color: textMid, marginLeft: '8px' }}>legs opened together on one underlying</span>
+            </div>
+            <div style={{ display: 'flex', gap: '4px' }}>
+              {[['open', 'Open'], ['closed', 'Closed'], ['all', 'All']].map(([k, l]) => (
+                <button key={k} onClick={() => setFilter(k)} style={btn(filter === k)}>{l}</button>
+              ))}
+            </div>
+          </div>
+
+          {error && <div style={{ fontSize: '12px', color: '#ef4444' }}>{error}</div>}
+
+          {data?.byType?.length > 0 && (
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '12px' }}>
+              {data.byType.map((t) => (
+                <span key={t.type} title={`${t.count} traded, ${t.open} open`} style={{ fontSize: '11px', padding: '3px 8px', borderRadius: '6px', border: `1px solid ${border}`, color: text }}>
+                  {t.label} ×{t.count} · <strong style={{ color: tone(t.realized) }}>{fmt(t.realized)}</strong>
+                </span>
+              ))}
+            </div>
+          )}
+
+          {data && !shown.length && <div style={{ fontSize: '12px', color: textMid }}>No {filter === 'all' ? '' : filter} option strategies.</div>}
+
+          {shown.length > 0 && (
+            <div style={{ overflowX: 'auto', maxHeight: '420px' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr>
+                    <th style={thLeft}>Opened</th>
+                    <th style={thLeft}>Strategy</th>
+                    <th style={thLeft}>Legs</th>
+                    <th style={th}>Premium</th>
+                    <th style={th}>Max profit</th>
+                    <th style={th}>Max loss</th>
+                    <th style={th}>Breakeven</th>
+                    <th style={th}>Realized</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {shown.map((s) => (
+                    <React.Fragment key={s.id}>
+                      <tr onClick={() => setExpanded(expanded === s.id ? null : s.id)} style={{ cursor: 'pointer' }}>
+                        <td style={tdLeft}>{fmtDate(s.openDate)}</td>
+                        <td style={{ ...tdLeft, fontWeight: '600' }}>
+                          {s.ticker} {s.label}
+                          {s.assigned && <span title="A leg was assigned or exercised — its premium went into the shares" style={{ marginLeft: '6px', fontSize: '10px', color: '#f59e0b' }}>ASSIGNED</span>}
+                          {broker === 'all' && <span style={{ marginLeft: '6px', fontSize: '10px', color: textMid }}>{s.broker}</span>}
+                        </td>
+                        <td style={{ ...tdLeft, color: textMid }}>
+                          {s.legs.map(legText).join(' / ')} · {fmtDate(s.legs[0].expiry)}{new Set(s.legs.map((l) => l.expiry)).size > 1 ? '…' : ''}
+                        </td>
+                        <td style={{ ...td, color: tone(s.netPremium) }}>{fmt(s.netPremium)}</td>
+                        <td style={td}>{s.unlimitedProfit ? 'Unlimited' : fmt(s.maxProfit)}</td>
+                        <td style={{ ...td, color: s.unlimitedLoss ? '#ef4444' : text }}>{s.unlimitedLoss ? 'Unlimited' : fmt(s.maxLoss)}</td>
+                        <td style={td}>{s.breakevens.length ? s.breakevens.map((b) => `$${b}`).join(' / ') : '—'}</td>
+                        <td style={{ ...td, fontWeight: '600', color: tone(s.realized) }}>
+                          {fmt(s.realized)}{s.status === 'open' && s.realized !== 0 ? ' *' : ''}
+                        </td>
+                      </tr>
+                      {expanded === s.id && s.legs.map((l) => (
+                        <tr key={`${l.symbol}-${l.side}`} style={{ background: isDark ? 'rgba(255,255,255,0.03)' : 'rgba(0,0,0,0.02)' }}>
+                          <td style={tdLeft}></td>
+                          <td style={{ ...tdLeft, color: textMid }} colSpan={2}>
+                            {l.side === 'long' ? 'Bought' : 'Sold'} {l.contracts} {l.symbol} @ ${l.premium}
+                            {l.openContracts > 0 ? ` · ${l.openContracts} open` : l.settlement ? ` · ${l.settlement} ${fmtDate(l.closeDate)}` : ` · closed ${fmtDate(l.closeDate)}`}
+                          </td>
+                          <td style={{ ...td, color: tone(l.openCash) }}>{fmt(l.openCash)}</td>
+                          <td style={td}></td>
+                          <td style={td}></td>
+                          <td style={td}></td>
+                          <td style={{ ...td, color: tone(l.realized) }}>{fmt(l.realized)}</td>
+                        </tr>
+                      ))}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {shown.length > 0 && (
+            <div style={{ fontSize: '10.5px', color: textMid, marginTop: '10px', lineHeight: 1.45 }}>
+              Max profit, max loss and breakevens are at expiry from the opening premiums; calendars and diagonals depend on
+              the far leg's vol, so only a debit calendar's max loss is shown. A covered call is measured with its shares at
+              today's cost basis. Realized marked * is from legs already closed on a strategy still open.
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,175 @@
+import React, { useState, useEffect } from 'react'
+import { useTheme } from '../contexts/ThemeContext'
+
+/**
+ * Greeks for the open option book: per underlying, per position, and the whole
+ * book beta-weighted to SPY. Fetched from /api/options-greeks when opened.
+ *
+ * Beta-weighted delta is the SPY shares that would move the account the same
+ * for a small market move — the one number that adds across tickers.
+ */
+
+const fmt = (n) => {
+  if (n == null || isNaN(n)) return '—'
+  const abs = Math.abs(n).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+  return n < 0 ? `-$${abs}` : `$${abs}`
+}
+const num = (n, digits = 2) => (n == null || isNaN(n) ? '—' : n.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits }))
+
+export default function OptionsGreeksPanel({ broker = 'all' }) {
+  const { isDark } = useTheme()
+  const [open, setOpen] = useState(false)
+  const [data, setData] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [expanded, setExpanded] = useState(null) // ticker whose positions are shown
+
+  const surface = isDark ? '#1e2130' : '#ffffff'
+  const border = isDark ? '#2d3748' : '#e2e8f0'
+  const text = isDark ? '#e2e8f0' : '#1a202c'
+  const textMid = isDark ? '#94a3b8' : '#64748b'
+  const green = '#22c55e'
+  const red = '#ef4444'
+  const tone = (n) => (!n ? textMid : n > 0 ? green : red)
+
+  const load = () => {
+    setLoading(true)
+    setError(null)
+    const q = broker && broker !== 'all' ? `?broker=${encodeURIComponent(broker)}` : ''
+    fetch(`/api/options-greeks${q}`, { credentials: 'include' })
+      .then((r) => r.json())
+      .then((j) => { if (j.success) setData(j); else setError(j.error) })
+      .catch((e) => setError(e.message))
+      .finally(() => setLoading(false))
+  }
+  useEffect(() => { if (open) load() }, [open, broker])
+
+  const th = { padding: '6px 10px', textAlign: 'right', fontSize: '11px', fontWeight: '600', color: textMid, textTransform: 'uppercase', letterSpacing: '0.04em', borderBottom: `1px solid ${border}`, whiteSpace: 'nowrap' }
+  const thLeft = { ...th, textAlign: 'left' }
+  const td = { padding: '6px 10px', textAlign: 'right', fontSize: '12px', color: text, borderBottom: `1px solid ${border}`, whiteSpace: 'nowrap', fontVariantNumeric: 'tabular-nums' }
+  const tdLeft = { ...td, textAlign: 'left', fontWeight: '600' }
+
+  const book = data?.book
+  const tile = (label, value, tip, color = text) => (
+    <div title={tip} style={{ padding: '8px 12px', borderRadius: '8px', border: `1px solid ${border}`, minWidth: '120px' }}>
+      <div style={{ fontSize: '10px', fontWeight: '700', textTransform: 'uppercase', letterSpacing: '0.04em', color: textMid }}>{label}</div>
+      <div style={{ fontSize: '16px', fontWeight: '700', color }}>{value}</div>
+    </div>
+  )
+
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      <button
+        onClick={() => setOpen((o) => !o)}
+        style={{
+          padding: '6px 14px', fontSize: '12px', fontWeight: '700', borderRadius: '6px',
+          cursor: 'pointer', border: `1px solid ${border}`,
+          background: open ? 'rgba(102,126,234,0.15)' : 'transparent',
+          color: open ? '#667eea' : textMid,
+        }}
+      >
+        Δ Portfolio Greeks {open ? '▲' : '▼'}
+      </button>
+
+      {open && (
+        <div style={{ marginTop: '10px', background: surface, border: `1px solid ${border}`, borderRadius: '12px', padding: '18px' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', gap: '12px', marginBottom: '12px', flexWrap: 'wrap' }}>
+            <div style={{ fontSize: '13px', fontWeight: '700', color: text }}>
+              Portfolio Greeks
+              {data?.benchmarkPrice && <span style={{ fontSize: '11px', fontWeight: '400', color: textMid, marginLeft: '8px' }}>SPY {fmt(data.benchmarkPrice)}</span>}
+            </div>
+            <button onClick={load} disabled={loading} style={{ fontSize: '11px', padding: '3px 10px', borderRadius: '6px', border: `1px solid ${border}`, background: 'transparent', color: textMid, cursor: 'pointer' }}>
+              {loading ? '…' : '↻'}
+            </button>
+          </div>
+
+          {error && <div style={{ fontSize: '12px', color: red }}>{error}</div>}
+          {data && !data.positions.length && <div style={{ fontSize: '12px', color: textMid }}>{data.note}</div>}
+
+          {book && data.positions.length > 0 && (
+            <>
+              <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', marginBottom: '14px' }}>
+                {tile('β-weighted Δ', book.betaWeightedDelta == null ? '—' : `${num(book.betaWeightedDelta, 1)} SPY`, 'SPY shares that move the book the same for a small market move', tone(book.betaWeightedDelta))}
+                {tile('β-weighted Γ', num(book.betaWeightedGamma, 3), 'Change in β-weighted delta per $1 move in SPY')}
+                {tile('Θ / day', fmt(book.theta), 'What a day of time decay makes (+) or costs (−), all else equal', tone(book.theta))}
+                {tile('Vega', fmt(book.vega), 'Per 1 point rise in implied vol on every contract', tone(book.vega))}
+                {tile('Rho', fmt(book.rho), 'Per 1 point rise in rates')}
+                {tile('Δ dollars', fmt(book.deltaDollars), 'Delta × underlying price, summed — exposure before beta-weighting', tone(book.deltaDollars))}
+              </div>
+
+              <div style={{ overflowX: 'auto' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr>
+                      <th style={thLeft}>Underlying</th>
+                      <th style={th}>Price</th>
+                      <th style={th}>Beta</th>
+                      <th style={th}>Δ options</th>
+                      <th style={th}>Shares</th>
+                      <th style={th}>Δ net</th>
+                      <th style={th}>Γ</th>
+                      <th style={th}>Θ / day</th>
+                      <th style={th}>Vega</th>
+                      <th style={th}>Rho</th>
+                      <th style={th}>β-wtd Δ (SPY)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {data.underlyings.map((u) => (
+                      <React.Fragment key={u.ticker}>
+                        <tr onClick={() => setExpanded(expanded === u.ticker ? null : u.ticker)} style={{ cursor: 'pointer' }}>
+                          <td style={tdLeft}>{expanded === u.ticker ? '▾' : '▸'} {u.ticker}</td>
+                          <td style={td}>{fmt(u.price)}</td>
+                          <td style={{ ...td, color: u.betaAssumed ? '#f59e0b' : text }} title={u.betaAssumed ? 'Not enough price history — 1.0 assumed' : undefined}>
+                            {u.betaAssumed ? '1.00*' : num(u.beta)}
+                          </td>
+                          <td style={{ ...td, color: tone(u.optionDelta) }}>{num(u.optionDelta, 1)}</td>
+                          <td style={td}>{u.shares ? num(u.shares, 0) : '—'}</td>
+                          <td style={{ ...td, fontWeight: '700', color: tone(u.delta) }}>{num(u.delta, 1)}</td>
+                          <td style={td}>{num(u.gamma, 2)}</td>
+                          <td style={{ ...td, color: tone(u.theta) }}>{fmt(u.theta)}</td>
+                          <td style={{ ...td, color: tone(u.vega) }}>{fmt(u.vega)}</td>
+                          <td style={td}>{fmt(u.rho)}</td>
+                          <td style={{ ...td, fontWeight: '700', color: tone(u.betaWeightedDelta) }}>{data.benchmarkPrice ? num(u.betaWeightedDelta, 1) : '—'}</td>
+                        </tr>
+                        {expanded === u.ticker && data.positions.filter((p) => p.ticker === u.ticker).map((p) => (
+                          <tr key={`${p.symbol}-${p.isShort}`} style={{ background: isDark ? 'rgba(255,255,255,0.03)' : 'rgba(0,0,0,0.02)' }}>
+                            <td style={{ ...td, textAlign: 'left', paddingLeft: '24px' }} title={`IV ${(p.sigma * 100).toFixed(1)}% from ${p.ivDate}${p.staleIv ? ' (not today\'s close)' : ''}`}>
+                              {p.isShort ? '−' : '+'}{p.contracts} {p.type} ${p.strike} {p.expiry}
+                              {p.staleIv && <span style={{ color: '#f59e0b' }}> *</span>}
+                            </td>
+                            <td style={td}></td>
+                            <td style={td}>{(p.sigma * 100).toFixed(0)}% IV</td>
+                            <td style={{ ...td, color: tone(p.delta) }}>{num(p.delta, 1)}</td>
+                            <td style={td}></td>
+                            <td style={td}></td>
+                            <td style={td}>{num(p.gamma, 2)}</td>
+                            <td style={{ ...td, color: tone(p.theta) }}>{fmt(p.theta)}</td>
+                            <td style={{ ...td, color: tone(p.vega) }}>{fmt(p.vega)}</td>
+                            <td style={td}>{fmt(p.rho)}</td>
+                            <td style={td}></td>
+                          </tr>
+                        ))}
+                      </React.Fragment>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          {data?.unmarked?.length > 0 && (
+            <div style={{ fontSize: '11px', color: '#f59e0b', marginTop: '10px' }}>
+              No closing implied vol yet for {data.unmarked.length} open contract{data.unmarked.length !== 1 ? 's' : ''} ({data.unmarked.slice(0, 4).join(', ')}{data.unmarked.length > 4 ? '…' : ''}) — left out until the next 4pm capture.
+            </div>
+          )}
+          {data?.positions.length > 0 && (
+            <div style={{ fontSize: '10.5px', color: textMid, marginTop: '10px', lineHeight: 1.45 }}>
+              {data.note} Shares held count toward their underlying's delta. Beta is to SPY over the past year of daily closes; * marks an assumed beta or an implied vol from an earlier close.
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
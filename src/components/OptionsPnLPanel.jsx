@@ -4,6 +4,11 @@ import { getPref, setPref, subscribePrefs } from '../services/prefs'
 import IntradayChart, { RSIBadge } from './IntradayChart'
 import PutStrikeCalculator from './PutStrikeCalculator'
 import AverageDownCalculator from './AverageDownCalculator'
+import OptionsGreeksPanel from './OptionsGreeksPanel'
+import OptionStrategiesPanel from './OptionStrategiesPanel'
+import PayoffChartPanel from './PayoffChartPanel'
+import WheelCampaignsPanel from './WheelCampaignsPanel'
+import { CASH_TYPES } from '../utils/cashLedger'
 
 // VIX: >30 = high fear, 20-30 = elevated, 15-20 = normal, <15 = complacent
 function vixColor(v) {
@@ -735,6 +740,13 @@ export default function OptionsPnLPanel({ broker = 'all', afterCumulative = null
                 'It nets to zero across all brokers, because nothing actually left the account: ' +
                 Object.entries(account.transferDetail || {}).map(([s, v]) => `${s} ${v >= 0 ? '+' : ''}${fmt(v)}`).join(', ')
               )}
+              {account.cashCharges ? row(
+                'Fees & margin interest',
+                account.cashCharges,
+                'Cash that left the account with no trade behind it — subscription fees, margin interest charged, ' +
+                'ADR fees, tax withheld. Deposits and withdrawals aren\'t counted: they move money, not P&L. ' +
+                Object.entries(account.cashChargeDetail || {}).map(([t, v]) => `${CASH_TYPES[t]?.label || t} ${fmt(v)}`).join(', ')
+              ) : null}
               {row('Options — open at market', openOptionValue, 'What the open contracts are worth now: long positions positive, short positions negative because they cost that much to close.')}
               <div style={{ fontSize: 10, color: textMid, marginTop: 6, lineHeight: 1.4 }}>
                 Cash flow plus market value — no cost-basis method involved, so this moves only when money moves or a price does.
@@ -803,6 +815,10 @@ export default function OptionsPnLPanel({ broker = 'all', afterCumulative = null
         </div>
       )}
       <MarketPulse isDark={isDark} />
+      <OptionsGreeksPanel broker={broker} />
+      <OptionStrategiesPanel broker={broker} />
+      <PayoffChartPanel broker={broker} />
+      <WheelCampaignsPanel broker={broker} />
       <PutStrikeCalculator tickers={
         Object.entries(stockPriceByTicker)
           .filter(([ticker]) => cumulativeByUnderlying[ticker] != null || cumulativeStockPrices[ticker] != null)
@@ -0,0 +1,186 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer } from 'recharts'
+import { useTheme } from '../contexts/ThemeContext'
+import { payoffCurves, curveBreakevens, daysToFirstExpiry } from '../utils/payoff'
+
+/**
+ * Payoff chart per underlying: P&L across a price range today, on a date
+ * ahead and at the first expiry, with sliders for an IV shift and the days
+ * forward. Legs and their closing IVs come from /api/payoff; the curves are
+ * priced here (utils/payoff.js) so the sliders redraw without a fetch.
+ */
+
+const fmt = (n) => {
+  if (n == null || isNaN(n)) return '—'
+  const abs = Math.abs(n).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+  return n < 0 ? `-$${abs}` : `$${abs}`
+}
+const fmtAxis = (n) => (Math.abs(n) >= 1000 ? `${n < 0 ? '-' : ''}$${(Math.abs(n) / 1000).toFixed(1)}k` : `${n < 0 ? '-' : ''}$${Math.abs(n).toFixed(0)}`)
+const fmtDate = (s) => (s ? new Date(`${s}T12:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : '—')
+
+export default function PayoffChartPanel({ broker = 'all' }) {
+  const { isDark } = useTheme()
+  const [open, setOpen] = useState(false)
+  const [data, setData] = useState(null)
+  const [error, setError] = useState(null)
+  const [ticker, setTicker] = useState(null)
+  const [ivShift, setIvShift] = useState(0) // vol points
+  const [daysForward, setDaysForward] = useState(0)
+  const [withShares, setWithShares] = useState(true)
+
+  const surface = isDark ? '#1e2130' : '#ffffff'
+  const border = isDark ? '#2d3748' : '#e2e8f0'
+  const text = isDark ? '#e2e8f0' : '#1a202c'
+  const textMid = isDark ? '#94a3b8' : '#64748b'
+  const tone = (n) => (!n ? textMid : n > 0 ? '#22c55e' : '#ef4444')
+
+  useEffect(() => {
+    if (!open) return
+    setError(null)
+    const q = broker && broker !== 'all' ? `?broker=${encodeURIComponent(broker)}` : ''
+    fetch(`/api/payoff${q}`, { credentials: 'include' })
+      .then((r) => r.json())
+      .then((j) => {
+        if (!j.success) return setError(j.error)
+        setData(j)
+        setTicker((t) => (j.underlyings.some((u) => u.ticker === t) ? t : j.underlyings[0]?.ticker || null))
+      })
+      .catch((e) => setError(e.message))
+  }, [open, broker])
+
+  const u = data?.underlyings.find((x) => x.ticker === ticker)
+  const maxDays = u ? daysToFirstExpiry(u.legs) : 0
+  const days = Math.min(daysForward, maxDays)
+  const curves = useMemo(() => {
+    if (!u) return null
+    return payoffCurves({
+      legs: u.legs,
+      spot: u.price,
+      shares: withShares ? u.shares : 0,
+      stockCost: u.stockCost || 0,
+      ivShift: ivShift / 100,
+      daysForward: days,
+    })
+  }, [u, withShares, ivShift, days])
+  const breakevens = curves ? curveBreakevens(curves.points) : []
+  const missingIv = u ? u.legs.filter((l) => !(l.sigma > 0)) : []
+
+  const btn = (active) => ({
+    padding: '3px 10px', fontSize: '11px', fontWeight: '600', borderRadius: '6px', cursor: 'pointer',
+    border: `1px solid ${border}`, background: active ? 'rgba(102,126,234,0.15)' : 'transparent', color: active ? '#667eea' : textMid,
+  })
+  const tile = (label, value, tip) => (
+    <div title={tip} style={{ padding: '8px 12px', borderRadius: '8px', border: `1px solid ${border}`, minWidth: '110px' }}>
+      <div style={{ fontSize: '10px', fontWeight: '700', textTransform: 'uppercase', letterSpacing: '0.04em', color: textMid }}>{label}</div>
+      <div style={{ fontSize: '15px', fontWeight: '700', color: tone(value) }}>{fmt(value)}</div>
+    </div>
+  )
+
+  const ChartTooltip = ({ active, payload, label }) => {
+    if (!active || !payload?.length) return null
+    return (
+      <div style={{
+        backgroundColor: isDark ? 'rgba(30, 30, 30, 0.95)' : 'rgba(255, 255, 255, 0.95)',
+        padding: '8px 10px', border: `1px solid ${isDark ? '#555' : '#ccc'}`, borderRadius: '6px', fontSize: '12px', color: text,
+      }}>
+        <div style={{ fontWeight: '700', marginBottom: '4px' }}>{u.ticker} at ${Number(label).toFixed(2)}</div>
+        {payload.map((e) => <div key={e.dataKey} style={{ color: e.color }}>{e.name}: {fmt(e.value)}</div>)}
+      </div>
+    )
+  }
+
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      <button onClick={() => setOpen((o) => !o)} style={{ ...btn(open), padding: '6px 14px', fontSize: '12px', fontWeight: '700' }}>
+        📈 Payoff Chart {open ? '▲' : '▼'}
+      </button>
+
+      {open && (
+        <div style={{ marginTop: '10px', background: surface, border: `1px solid ${border}`, borderRadius: '12px', padding: '18px' }}>
+          {error && <div style={{ fontSize: '12px', color: '#ef4444' }}>{error}</div>}
+          {data && !data.underlyings.length && <div style={{ fontSize: '12px', color: textMid }}>No open unexpired option positions.</div>}
+
+          {data?.underlyings.length > 0 && (
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginBottom: '12px' }}>
+              {data.underlyings.map((x) => (
+                <button key={x.ticker} onClick={() => setTicker(x.ticker)} style={btn(x.ticker === ticker)}>{x.ticker}</button>
+              ))}
+            </div>
+          )}
+
+          {u && curves && (
+            <>
+              <div style={{ display: 'flex', gap: '18px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '12px', fontSize: '12px', color: textMid }}>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  IV shift
+                  <input type='range' min='-50' max='50' step='1' value={ivShift} onChange={(e) => setIvShift(Number(e.target.value))} />
+                  <span style={{ color: text, fontWeight: '600', minWidth: '44px' }}>{ivShift > 0 ? '+' : ''}{ivShift} pts</span>
+                </label>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  Days forward
+                  <input type='range' min='0' max={maxDays} step='1' value={days} onChange={(e) => setDaysForward(Number(e.target.value))} disabled={!maxDays} />
+                  <span style={{ color: text, fontWeight: '600', minWidth: '90px' }}>{days ? `${days}d · ${fmtDate(curves.forwardDate)}` : 'off'}</span>
+                </label>
+                {u.shares !== 0 && (
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+                    <input type='checkbox' checked={withShares} onChange={(e) => setWithShares(e.target.checked)} />
+                    Include {u.shares} shares @ {fmt(u.stockCost)}
+                  </label>
+                )}
+                {(ivShift !== 0 || days !== 0) && (
+                  <button onClick={() => { setIvShift(0); setDaysForward(0) }} style={btn(false)}>Reset</button>
+                )}
+              </div>
+
+              <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', marginBottom: '12px' }}>
+                {tile('Today', curves.atSpot.today, `At ${fmt(u.price)} now, at each contract's closing IV${ivShift ? ' shifted' : ''}`)}
+                {days > 0 && tile(fmtDate(curves.forwardDate), curves.atSpot.forward, `If ${u.ticker} is still at ${fmt(u.price)} in ${days} days`)}
+                {tile(`Expiry ${fmtDate(curves.expiry)}`, curves.atSpot.expiry, `If ${u.ticker} closes at ${fmt(u.price)} on the first expiry`)}
+                <div style={{ padding: '8px 12px', borderRadius: '8px', border: `1px solid ${border}` }}>
+                  <div style={{ fontSize: '10px', fontWeight: '700', textTransform: 'uppercase', letterSpacing: '0.04em', color: textMid }}>Breakeven at expiry</div>
+                  <div style={{ fontSize: '15px', fontWeight: '700', color: text }}>{breakevens.length ? breakevens.map((b) => `$${b.toFixed(2)}`).join(' / ') : '—'}</div>
+                </div>
+              </div>
+
+              <ResponsiveContainer width="100%" height={300}>
+                <LineChart data={curves.points} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke={isDark ? '#444' : '#e0e0e0'} />
+                  <XAxis dataKey="price" type="number" domain={['dataMin', 'dataMax']} tickFormatter={(p) => `$${p.toFixed(0)}`} stroke={isDark ? '#999' : '#666'} style={{ fontSize: '12px' }} />
+                  <YAxis tickFormatter={fmtAxis} stroke={isDark ? '#999' : '#666'} style={{ fontSize: '12px' }} />
+                  <Tooltip content={<ChartTooltip />} />
+                  <Legend />
+                  <ReferenceLine y={0} stroke="#999" strokeDasharray="3 3" />
+                  <ReferenceLine x={u.price} stroke="#667eea" strokeDasharray="2 4" label={{ value: `${fmt(u.price)}`, position: 'top', fill: textMid, fontSize: 11 }} />
+                  <Line type="monotone" dataKey="expiry" name={`Expiry ${fmtDate(curves.expiry)}`} stroke={isDark ? '#e2e8f0' : '#1a202c'} strokeWidth={2} dot={false} isAnimationActive={false} />
+                  <Line type="monotone" dataKey="today" name="Today" stroke="#667eea" strokeWidth={2} dot={false} isAnimationActive={false} />
+                  {days > 0 && (
+                    <Line type="monotone" dataKey="forward" name={fmtDate(curves.forwardDate)} stroke="#f59e0b" strokeWidth={2} strokeDasharray="5 3" dot={false} isAnimationActive={false} />
+                  )}
+                </LineChart>
+              </ResponsiveContainer>
+
+              <div style={{ fontSize: '11.5px', color: textMid, marginTop: '10px', lineHeight: 1.6 }}>
+                {u.legs.map((l) => (
+                  <span key={`${l.symbol}-${l.side}`} style={{ marginRight: '14px', whiteSpace: 'nowrap' }}>
+                    {l.side === 'long' ? '+' : '−'}{l.contracts} {l.type === 'call' ? 'C' : 'P'}{l.strike} {fmtDate(l.expiry)}
+                    {' · '}{l.sigma > 0 ? `${(l.sigma * 100).toFixed(0)}% IV` : 'no IV'}
+                  </span>
+                ))}
+              </div>
+              {missingIv.length > 0 && (
+                <div style={{ fontSize: '11px', color: '#f59e0b', marginTop: '6px' }}>
+                  No closing implied vol yet for {missingIv.map((l) => l.symbol).join(', ')} — only the expiry curve can be drawn until the next 4pm capture.
+                </div>
+              )}
+              <div style={{ fontSize: '10.5px', color: textMid, marginTop: '8px', lineHeight: 1.45 }}>
+                Black-Scholes at each contract's closing implied vol, plus the IV shift. Premiums are what the open contracts were
+                opened for; shares count at their average cost. Legs expiring after the first expiry keep their time value on the
+                expiry curve.
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react'
+
+/**
+ * The cash the imports add up to, month by month, against the statement.
+ *
+ * Enter a month's ending cash (and equity, if you want that checked too) from
+ * the broker's statement. A gap that holds steady is history the exports don't
+ * reach; a month where it changes is where a row was misread — that month's
+ * activity is the place to look.
+ */
+
+const KIND_LABELS = {
+  stock: 'Stock', options: 'Options', deposits: 'Deposits', withdrawals: 'Withdrawals', income: 'Income', fees: 'Fees',
+}
+
+const fmt = (n) => {
+  if (n == null || isNaN(n)) return '—'
+  const abs = Math.abs(n).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+  return n < 0 ? `-$${abs}` : `$${abs}`
+}
+const signed = (n) => (n == null ? '—' : `${n > 0 ? '+' : ''}${fmt(n)}`)
+const gapTone = (n) => (n == null || Math.abs(n) < 1 ? 'var(--text)' : 'var(--negative)')
+const monthLabel = (m) => new Date(`${m}-15T12:00:00`).toLocaleDateString('en-US', { month: 'short', year: 'numeric' })
+const brokerLabel = (b) => b.charAt(0).toUpperCase() + b.slice(1)
+
+export default function ReconciliationPanel({ broker = 'all' }) {
+  const [data, setData] = useState(null)
+  const [selected, setSelected] = useState(null)
+  const [draft, setDraft] = useState({ month: '', endingCash: '', endingEquity: '' })
+  const [error, setError] = useState(null)
+
+  const load = () => {
+    const q = broker && broker !== 'all' ? `?broker=${encodeURIComponent(broker)}` : ''
+    return fetch(`/api/reconciliation${q}`, { credentials: 'include' })
+      .then(r => r.json())
+      .then(d => setData(d?.success ? d.brokers : null))
+      .catch(() => setData(null))
+  }
+  useEffect(() => { load() }, [broker])
+
+  const brokers = Object.keys(data || {}).filter(b => data[b].length)
+  const active = brokers.includes(selected) ? selected : brokers[0]
+  if (!active) return null
+  const months = [...data[active]].reverse()
+
+  const save = async () => {
+    setError(null)
+    try {
+      const r = await fetch(`/api/statement-balances/${active}/${draft.month}`, {
+        method: 'PUT',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ endingCash: draft.endingCash, endingEquity: draft.endingEquity }),
+      }).then(res => res.json())
+      if (!r.success) throw new Error(r.error)
+      setDraft({ month: '', endingCash: '', endingEquity: '' })
+      load()
+    } catch (e) {
+      setError(e.message)
+    }
+  }
+  const remove = async (month) => {
+    await fetch(`/api/statement-balances/${active}/${month}`, { method: 'DELETE', credentials: 'include' }).catch(() => {})
+    load()
+  }
+  const edit = (m) => setDraft({
+    month: m.month,
+    endingCash: m.statementCash ?? '',
+    endingEquity: m.statementEquity ?? '',
+  })
+
+  const th = { padding: '7px 10px', textAlign: 'right', fontSize: 10.5, fontWeight: 600, color: 'var(--textSecondary)', textTransform: 'uppercase', letterSpacing: '0.04em', background: 'var(--tableHeader)', borderBottom: '1px solid var(--border)', whiteSpace: 'nowrap', position: 'sticky', top: 0 }
+  const thLeft = { ...th, textAlign: 'left' }
+  const td = { padding: '6px 10px', textAlign: 'right', fontSize: 12.5, borderBottom: '1px solid var(--border)', whiteSpace: 'nowrap', fontVariantNumeric: 'tabular-nums' }
+  const tdLeft = { ...td, textAlign: 'left', fontWeight: 700 }
+  const input = { padding: '5px 8px', borderRadius: 6, border: '1px solid var(--border)', background: 'var(--background)', color: 'var(--text)', fontSize: 12.5 }
+  const canSave = /^\d{4}-\d{2}$/.test(draft.month) && draft.endingCash !== '' && !isNaN(parseFloat(draft.endingCash))
+  const entered = months.filter(m => m.statementCash != null)
+  const flagged = entered.filter(m => m.flagged)
+
+  return (
+    <div className="floating-panel" style={{
+      background: 'var(--surface)', border: '1px solid var(--border)',
+      borderRadius: 10, padding: '14px 16px', marginBottom: 20, color: 'var(--text)',
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: 10, gap: 12, flexWrap: 'wrap' }}>
+        <h3 style={{ margin: 0, fontSize: 13, fontWeight: 700, letterSpacing: '0.02em' }}>Reconciliation</h3>
+        <span style={{ fontSize: 11, color: flagged.length ? 'var(--negative)' : 'var(--textSecondary)' }}>
+          {!entered.length
+            ? 'Enter a statement balance to check the imports against it'
+            : flagged.length
+              ? `The gap moved in ${flagged.length} of ${entered.length} statement month(s)`
+              : `${entered.length} statement month(s) agree`}
+        </span>
+      </div>
+
+      {brokers.length > 1 && (
+        <div style={{ display: 'flex', gap: 6, marginBottom: 10 }}>
+          {brokers.map(b => (
+            <button key={b} onClick={() => setSelected(b)} style={{
+              padding: '4px 10px', borderRadius: 6, fontSize: 12, cursor: 'pointer',
+              border: '1px solid var(--border)',
+              background: b === active ? 'var(--surfaceHover)' : 'transparent',
+              color: 'var(--text)', fontWeight: b === active ? 700 : 500,
+            }}>{brokerLabel(b)}</button>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap', marginBottom: 10, fontSize: 12 }}>
+        <span style={{ color: 'var(--textSecondary)' }}>{brokerLabel(active)} statement for</span>
+        <input type="month" value={draft.month} onChange={e => setDraft({ ...draft, month: e.target.value })} style={input} />
+        <span>cash $<input type="number" placeholder="Ending cash" value={draft.endingCash} onChange={e => setDraft({ ...draft, endingCash: e.target.value })} style={{ ...input, width: 110 }} /></span>
+        <span>equity $<input type="number" placeholder="Optional" value={draft.endingEquity} onChange={e => setDraft({ ...draft, endingEquity: e.target.value })} style={{ ...input, width: 110 }} /></span>
+        <button onClick={save} disabled={!canSave} style={{ padding: '5px 12px', borderRadius: 6, border: 'none', background: 'var(--accent)', color: '#fff', fontSize: 12, fontWeight: 600, cursor: canSave ? 'pointer' : 'default', opacity: canSave ? 1 : 0.5 }}>
+          Save
+        </button>
+        {error && <span style={{ color: 'var(--negative)' }}>{error}</span>}
+      </div>
+
+      <div style={{ overflow: 'auto', maxHeight: 380 }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={thLeft}>Month</th>
+              <th style={th}>Cash (imports)</th>
+              <th style={th}>Statement</th>
+              <th style={th}>Gap</th>
+              <th style={th}>Gap change</th>
+              <th style={th}>Equity (imports)</th>
+              <th style={th}>Statement</th>
+              <th style={th}>Gap</th>
+              <th style={th}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {months.map(m => {
+              const activity = Object.entries(m.activity).map(([k, v]) => `${KIND_LABELS[k] || k} ${signed(v)}`).join('\n')
+              const equityNote = [
+                m.openContracts > 0 && `${m.openContracts} open option contract(s) not valued`,
+                m.unpriced.length > 0 && `no price for ${m.unpriced.join(', ')}`,
+              ].filter(Boolean).join('; ')
+              return (
+                <tr key={m.month} style={m.flagged ? { background: 'rgba(239, 68, 68, 0.08)' } : undefined}>
+                  <td style={tdLeft} title={activity || 'No cash moved'}>{monthLabel(m.month)}</td>
+                  <td style={td} title={activity || 'No cash moved'}>{fmt(m.closing)}</td>
+                  <td style={td}>{fmt(m.statementCash)}</td>
+                  <td style={{ ...td, color: gapTone(m.cashGap) }}>{signed(m.cashGap)}</td>
+                  <td style={{ ...td, fontWeight: m.flagged ? 700 : 400, color: gapTone(m.cashGapChange) }}>{signed(m.cashGapChange)}</td>
+                  <td style={td} title={equityNote || undefined}>
+                    {fmt(m.equity)}{equityNote && <span style={{ color: 'var(--warning)' }}> *</span>}
+                  </td>
+                  <td style={td}>{fmt(m.statementEquity)}</td>
+                  <td style={{ ...td, color: gapTone(m.equityGap) }}>{signed(m.equityGap)}</td>
+                  <td style={td}>
+                    <button onClick={() => edit(m)} title="Enter this month's statement" style={{ border: 'none', background: 'transparent', color: 'var(--textSecondary)', cursor: 'pointer', fontSize: 12 }}>✎</button>
+                    {m.statementCash != null && (
+                      <button onClick={() => remove(m.month)} title="Remove this statement" style={{ border: 'none', background: 'transparent', color: 'var(--textSecondary)', cursor: 'pointer', fontSize: 12 }}>×</button>
+                    )}
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ fontSize: 10.5, color: 'var(--textSecondary)', marginTop: 10, lineHeight: 1.45 }}>
+        Cash is every trade, deposit, withdrawal, dividend and fee in the imports, added up. Gap is the statement
+        less that; gap change is against the previous statement entered, and a highlighted month is one where it
+        moved — look at that month's rows (hover a month for its activity). A gap that reverses the next month is
+        usually a trade that settled across month end. Equity adds shares held at the last snapshot price in the
+        month; open options aren't valued (marked *).
+      </div>
+    </div>
+  )
+}
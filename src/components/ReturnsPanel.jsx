@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react'
+
+/**
+ * Percentage returns per account, next to the dollar totals they put in
+ * proportion.
+ *
+ * Both measures are shown because they answer different questions and the gap
+ * between them is the interesting part: time-weighted is how the trading did,
+ * money-weighted is how the deposits did once their timing is counted. A big
+ * deposit just before a drop pulls money-weighted below time-weighted.
+ */
+
+const pct = (n) => (n == null || isNaN(n) ? '—' : `${n > 0 ? '+' : ''}${(n * 100).toFixed(2)}%`)
+const tone = (n) => (n == null || isNaN(n) || n === 0 ? 'var(--text)' : n > 0 ? 'var(--positive)' : 'var(--negative)')
+const fmt = (n) => {
+  if (n == null || isNaN(n)) return '—'
+  const abs = Math.abs(n).toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })
+  return n < 0 ? `-$${abs}` : `$${abs}`
+}
+const fmtDate = (iso) => (iso ? new Date(`${iso}T12:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : '')
+const brokerLabel = (b) => b.charAt(0).toUpperCase() + b.slice(1)
+
+export default function ReturnsPanel({ broker = 'all' }) {
+  const [data, setData] = useState(null)
+
+  useEffect(() => {
+    let alive = true
+    const q = broker && broker !== 'all' ? `?broker=${encodeURIComponent(broker)}` : ''
+    fetch(`/api/returns${q}`, { credentials: 'include' })
+      .then(r => r.json())
+      .then(d => { if (alive) setData(d?.success ? d : null) })
+      .catch(() => { if (alive) setData(null) })
+    return () => { alive = false }
+  }, [broker])
+
+  if (!data || !data.combined?.periods?.length) return null
+
+  const brokers = Object.entries(data.brokers || {}).filter(([, a]) => a.periods?.length)
+  const rows = broker !== 'all' || brokers.length < 2
+    ? [{ key: 'combined', label: brokers.length === 1 ? brokerLabel(brokers[0][0]) : 'All accounts', account: data.combined }]
+    : [...brokers.map(([b, a]) => ({ key: b, label: brokerLabel(b), account: a })), { key: 'combined', label: 'Combined', account: data.combined, total: true }]
+  const { combined } = data
+  const periods = combined.periods
+
+  const th = { padding: '7px 10px', textAlign: 'right', fontSize: 10.5, fontWeight: 600, color: 'var(--textSecondary)', textTransform: 'uppercase', letterSpacing: '0.04em', background: 'var(--tableHeader)', borderBottom: '1px solid var(--border)', whiteSpace: 'nowrap' }
+  const thLeft = { ...th, textAlign: 'left' }
+  const td = { padding: '7px 10px', textAlign: 'right', fontSize: 12.5, borderBottom: '1px solid var(--border)', whiteSpace: 'nowrap', fontVariantNumeric: 'tabular-nums', verticalAlign: 'top' }
+  const tdLeft = { ...td, textAlign: 'left', fontWeight: 700 }
+  const cell = (p) => {
+    if (!p || p.unavailable) return <span style={{ color: 'var(--textSecondary)' }} title="The snapshots don't reach back this far">—</span>
+    const long = p.twrAnnualized != null
+    return (
+      <div title={`${fmtDate(p.from)} – ${fmtDate(p.to)}${long ? ' · annualized' : ''}`}>
+        <div style={{ fontWeight: 700, color: tone(p.twr) }}>{pct(long ? p.twrAnnualized : p.twr)}</div>
+        <div style={{ fontSize: 11, color: 'var(--textSecondary)' }}>{pct(long ? p.mwrAnnualized : p.mwr)}</div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="floating-panel" style={{
+      background: 'var(--surface)', border: '1px solid var(--border)',
+      borderRadius: 10, padding: '14px 16px', marginBottom: 20, color: 'var(--text)',
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: 10 }}>
+        <h3 style={{ margin: 0, fontSize: 13, fontWeight: 700, letterSpacing: '0.02em' }}>Returns</h3>
+        <span style={{ fontSize: 11, color: 'var(--textSecondary)' }}>
+          {fmt(combined.endValue)} on {fmt(combined.contributions)} put in · as of {fmtDate(combined.asOf)}
+        </span>
+      </div>
+
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={thLeft}>
+                Account
+                <div style={{ fontWeight: 500, textTransform: 'none', letterSpacing: 0 }}>time- / money-weighted</div>
+              </th>
+              {periods.map(p => <th key={p.key} style={{ ...th, verticalAlign: 'bottom' }}>{p.label}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(r => {
+              const byKey = Object.fromEntries(r.account.periods.map(p => [p.key, p]))
+              return (
+                <tr key={r.key} style={r.total ? { background: 'var(--surfaceHover)' } : undefined}>
+                  <td style={tdLeft}>{r.label}</td>
+                  {periods.map(p => <td key={p.key} style={td}>{cell(byKey[p.key])}</td>)}
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ fontSize: 10.5, color: 'var(--textSecondary)', marginTop: 10, lineHeight: 1.45 }}>
+        Top figure time-weighted, below it money-weighted (IRR). Under a year is the return over the period;
+        a year or more is annualized. Values are rebuilt from the daily snapshots, with open options at the
+        cash they moved.
+        {combined.impliedFunding > 0 && (
+          <> {fmt(combined.impliedFunding)} of the money put in is inferred: trades spent it, but no deposit
+          for it is in the imported history.</>
+        )}
+        {combined.unpricedSymbols?.length > 0 && <> Unpriced: {combined.unpricedSymbols.join(', ')}.</>}
+      </div>
+    </div>
+  )
+}
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react'
 import { useTheme } from '../contexts/ThemeContext'
 import ShortCallChart from './ShortCallChart'
+import AssignmentWarnings from './AssignmentWarnings'
 
 const fmt = (n, decimals = 2) => {
   if (n == null || isNaN(n)) return '—'
@@ -41,6 +42,7 @@ export default function ShortCallTracker({ broker = 'all' }) {
   const [showClosed, setShowClosed] = useState(false)
   const [search, setSearch] = useState('')
   const [chartEntry, setChartEntry] = useState(null)
+  const [riskWarnings, setRiskWarnings] = useState([])
 
   const surface = isDark ? '#1e2130' : '#ffffff'
   const border = isDark ? '#2d3748' : '#e2e8f0'
@@ -126,6 +128,9 @@ export default function ShortCallTracker({ broker = 'all' }) {
 
   const renderRow = (entry, i) => {
     const isEditing = editingId === entry.id
+    const risks = entry.isOpen
+      ? riskWarnings.filter(w => w.type === 'call' && w.ticker === (entry.ticker || '').toUpperCase() && w.strike === Number(entry.strike) && w.expiry === entry.expiry)
+      : []
     const dteBadgeColor = entry.daysToExpiry > 21 ? '#22c55e' : entry.daysToExpiry > 7 ? '#f59e0b' : entry.daysToExpiry >= 0 ? '#ef4444' : '#94a3b8'
 
     // Highlight by the option's own P&L: premium sold − current call price (per share).
@@ -168,6 +173,9 @@ export default function ShortCallTracker({ broker = 'all' }) {
           <span style={{ padding: '2px 7px', borderRadius: '10px', fontSize: '11px', fontWeight: '700', background: dteBadgeColor + '22', color: dteBadgeColor }}>
             {entry.isExpired ? 'Exp' : `${entry.daysToExpiry}d`}
           </span>
+          {risks.length > 0 && (
+            <span title={risks.map(w => w.reason).join('\n')} style={{ marginLeft: '4px', cursor: 'help', color: risks.some(w => w.severity === 'high') ? '#ef4444' : '#f59e0b' }}>⚠</span>
+          )}
         </td>
         <td style={{ padding: '9px 10px', textAlign: 'center', color: textMid }}>{entry.contracts}</td>
         <td style={{ padding: '9px 10px', textAlign: 'right', color: '#22c55e', fontWeight: '600' }}>{fmt(entry.premium)}</td>
@@ -300,6 +308,8 @@ export default function ShortCallTracker({ broker = 'all' }) {
         <span style={{ color: '#ef4444', fontWeight: 600 }}>rows shaded red</span> cost more to buy back than you sold them for.
       </p>
 
+      <AssignmentWarnings broker={broker} onWarnings={setRiskWarnings} />
+
       {error && (
         <div style={{ padding: '10px 14px', borderRadius: '8px', background: '#fee2e2', color: '#991b1b', marginBottom: '12px', fontSize: '13px' }}>{error}</div>
       )}
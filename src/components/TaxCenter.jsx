@@ -8,6 +8,16 @@ import {
   relevantForms,
   availableTaxYears
 } from '../utils/taxCalculator'
+import { FILING_STATUSES, STATE_TAX } from '../utils/taxTables'
+import { quarterlyEstimates } from '../utils/estimatedTax'
+import { buildForm8949, form8949Csv, form8949Html } from '../utils/form8949'
+import { LOT_METHODS, lotMethodFor } from '../utils/lotRelief'
+import { getPref, setPref } from '../services/prefs'
+import { harvestCandidates, washSaleRisks, planHarvest, harvestTaxSaved } from '../utils/harvestPlanner'
+import { parse1099B, reconcile1099B } from '../utils/reconcile1099'
+import { form6781 } from '../utils/section1256'
+import { IN_LIEU_CAPITALIZE_DAYS } from '../utils/shortSales'
+import LotPinner from './LotPinner'
 
 const LS_PLAN = 'taxCenter_plan'
 
@@ -25,7 +35,26 @@ const fmtDate = (d) => {
   return dt.toLocaleDateString('en-US', { month: '2-digit', day: '2-digit', year: '2-digit' })
 }
 
-export default function TaxCenter({ trades = [], dividendsAndInterest = [], pnlData = [], currentPrices = {}, accountName = '', broker = 'all' }) {
+// The likely reasons a reconciled sale differs from the broker's 1099-B.
+const reconNote = (r) => {
+  if (r.status === 'brokerOnly') {
+    return `Not among the sales computed here — a trade missing from the loaded history${r.kind === 'option' ? ', or an option closed in pieces' : ''}.`
+  }
+  if (r.status === 'appOnly') return 'Not on this 1099-B — check the account selected, and that the history has no other broker\'s sales under it.'
+  const notes = []
+  if (r.issues.includes('quantity')) notes.push('Share counts differ — a split, or shares transferred in or out.')
+  if (r.issues.includes('proceeds')) notes.push(r.kind === 'option' ? 'Proceeds differ — fees, or the contract was closed in pieces.' : 'Proceeds differ — commissions and fees netted differently.')
+  if (r.issues.includes('basis')) {
+    notes.push(r.app.basis == null ? 'No buy here — shares likely transferred in; the broker\'s basis applies.'
+      : r.broker.basis == null ? 'The broker didn\'t report a basis (noncovered lot) — use the one here.'
+        : 'Different lots relieved — compare the lot method and pinned lots for this account.')
+  }
+  if (r.issues.includes('wash')) notes.push('Wash sales differ — the broker only sees its own account; replacements bought elsewhere count here.')
+  if (r.dayShift) notes.push(`Dated ${Math.abs(r.dayShift)} day${Math.abs(r.dayShift) === 1 ? '' : 's'} apart — trade vs settlement date.`)
+  return notes.join(' ') || 'Agrees.'
+}
+
+export default function TaxCenter({ trades = [], allTrades = null, dividendsAndInterest = [], pnlData = [], currentPrices = {}, accountName = '', broker = 'all' }) {
   const { isDark } = useTheme()
 
   const surface = isDark ? '#1e2130' : '#ffffff'
@@ -79,9 +108,65 @@ export default function TaxCenter({ trades = [], dividendsAndInterest = [], pnlD
     }, 30)
   }
 
+  // Lot relief: each broker's elected method (a preference, so every device
+  // reports the same basis) and any sales pinned to specific purchases.
+  const [lotMethods, setLotMethods] = useState(() => getPref('lotMethods', {}) || {})
+  const setLotMethod = (b, method) => {
+    const next = { ...lotMethods, [b]: method }
+    setLotMethods(next)
+    setPref('lotMethods', next)
+  }
+  // Year-end marks for Section 1256 contracts held over December 31:
+  // { [year]: { 'broker::contract': price per share } }, a preference like
+  // lotMethods so every device marks the same way.
+  const [yearEndMarks, setYearEndMarks] = useState(() => getPref('yearEndMarks', {}) || {})
+  const setYearEndMark = (year, key, value) => {
+    const forYear = { ...(yearEndMarks[year] || {}) }
+    if (value === '' || isNaN(parseFloat(value))) delete forYear[key]
+    else forYear[key] = parseFloat(value)
+    const next = { ...yearEndMarks, [year]: forYear }
+    setYearEndMarks(next)
+    setPref('yearEndMarks', next)
+  }
+  // Borrow rates for shorts: { SYMBOL: [{ from: 'YYYY-MM-DD', rate }] }, annual
+  // %. A preference, since the P&L views charge the same fee.
+  const [borrowRates, setBorrowRates] = useState(() => getPref('borrowRates', {}) || {})
+  const [rateDraft, setRateDraft] = useState({}) // { [symbol]: { from, rate } }
+  const setBorrowSchedule = (symbol, schedule) => {
+    const next = { ...borrowRates }
+    if (schedule.length) next[symbol] = [...schedule].sort((a, b) => a.from.localeCompare(b.from))
+    else delete next[symbol]
+    setBorrowRates(next)
+    setPref('borrowRates', next)
+  }
+  const addBorrowRate = (symbol) => {
+    const d = rateDraft[symbol] || {}
+    const rate = parseFloat(d.rate)
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(d.from || '') || isNaN(rate)) return
+    setBorrowSchedule(symbol, [...(borrowRates[symbol] || []).filter((s) => s.from !== d.from), { from: d.from, rate }])
+    setRateDraft({ ...rateDraft, [symbol]: {} })
+  }
+  const stockBrokers = useMemo(
+    () => [...new Set(trades.filter((t) => !t.isOption).map((t) => t.broker || 'robinhood'))].sort(),
+    [trades]
+  )
+  const [pins, setPins] = useState([])
+  const [pinning, setPinning] = useState(null) // sellTradeId whose lots are being pinned
+  useEffect(() => {
+    if (!computed) return
+    let alive = true
+    fetch('/api/lot-pins', { credentials: 'include' })
+      .then((r) => r.json())
+      .then((j) => { if (alive && j.success) setPins(j.pins || []) })
+      .catch(() => {})
+    return () => { alive = false }
+  }, [computed])
+  const pinsSaved = (sellTradeId, salePins) =>
+    setPins((all) => [...all.filter((p) => p.sellTradeId !== sellTradeId), ...salePins])
+
   const base = useMemo(
-    () => (computed && hasTrades ? buildTaxBase(trades, dividendsAndInterest) : null),
-    [computed, hasTrades, trades, dividendsAndInterest]
+    () => (computed && hasTrades ? buildTaxBase(trades, dividendsAndInterest, { lotMethods, pins, yearEndMarks, borrowRates }) : null),
+    [computed, hasTrades, trades, dividendsAndInterest, lotMethods, pins, yearEndMarks, borrowRates]
   )
   const summary = useMemo(() => {
     if (!computed) return null
@@ -92,12 +177,47 @@ export default function TaxCenter({ trades = [], dividendsAndInterest = [], pnlD
 
   const fromPositions = summary?.source === 'positions'
 
-  const totalWithholding = (summary?.withholding || 0) + (parseFloat(plan.extraWithholding) || 0)
+  // Estimated payments are recorded one by one (server-side, per tax year) so
+  // the quarterly tracker can credit each to its installment.
+  const [estPayments, setEstPayments] = useState([])
+  const loadEstPayments = () =>
+    fetch(`/api/estimated-payments?year=${activeYear}`, { credentials: 'include' })
+      .then((r) => r.json())
+      .then((j) => setEstPayments(j.success ? j.payments : []))
+      .catch(() => {})
+  useEffect(() => { if (computed) loadEstPayments() }, [computed, activeYear])
+  const estPaid = round2(estPayments.reduce((s, p) => s + p.amount, 0))
+  const [newPayment, setNewPayment] = useState({ paidDate: '', amount: '', note: '' })
+  const [paymentError, setPaymentError] = useState(null)
+  const addPayment = async () => {
+    setPaymentError(null)
+    try {
+      const r = await fetch('/api/estimated-payments', {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ taxYear: activeYear, ...newPayment })
+      }).then((res) => res.json())
+      if (!r.success) throw new Error(r.error)
+      setNewPayment({ paidDate: '', amount: '', note: '' })
+      loadEstPayments()
+    } catch (e) {
+      setPaymentError(e.message)
+    }
+  }
+  const removePayment = async (id) => {
+    await fetch(`/api/estimated-payments/${id}`, { method: 'DELETE', credentials: 'include' }).catch(() => {})
+    loadEstPayments()
+  }
+
+  // Withheld during the year (CSV + W-2 etc.), as opposed to estimated payments.
+  const withheld = (summary?.withholding || 0) + (parseFloat(plan.extraWithholding) || 0)
+  const totalWithholding = withheld + estPaid
 
-  const tax = useMemo(
+  const taxInputs = useMemo(
     () =>
       summary
-        ? estimateTax({
+        ? {
             shortTermGain: summary.shortTermGain,
             longTermGain: summary.longTermGain,
             dividends: summary.dividends,
@@ -105,10 +225,30 @@ export default function TaxCenter({ trades = [], dividendsAndInterest = [], pnlD
             ordinaryRate: parseFloat(plan.ordinaryRate) || 0,
             longTermRate: parseFloat(plan.longTermRate) || 0,
             dividendsQualified: plan.dividendsQualified,
-            withholding: totalWithholding
+            withholding: totalWithholding,
+            filingStatus: plan.filingStatus || null,
+            otherIncome: parseFloat(plan.otherIncome) || 0,
+            year: activeYear,
+            state: plan.state || null,
+            stateRate: parseFloat(plan.stateRate) || 0
+          }
+        : null,
+    [summary, plan, totalWithholding, activeYear]
+  )
+  const tax = useMemo(() => (taxInputs ? estimateTax(taxInputs) : null), [taxInputs])
+
+  const quarterly = useMemo(
+    () =>
+      base && taxInputs
+        ? quarterlyEstimates(base, activeYear, {
+            taxInputs,
+            priorYearTax: plan.priorYearTax === '' || plan.priorYearTax == null ? null : parseFloat(plan.priorYearTax),
+            priorYearAgi: parseFloat(plan.priorYearAgi) || 0,
+            payments: estPayments,
+            withholding: withheld
           })
         : null,
-    [summary, plan, totalWithholding]
+    [base, taxInputs, activeYear, plan.priorYearTax, plan.priorYearAgi, estPayments, withheld]
   )
 
   const forms = useMemo(() => (summary ? relevantForms(summary) : []), [summary])
@@ -235,14 +375,9 @@ export default function TaxCenter({ trades = [], dividendsAndInterest = [], pnlD
     }
     if (pickedStocks.length === 0 && pickedOptions.length === 0) return null
     const simTax = estimateTax({
+      ...taxInputs,
       shortTermGain: summary.shortTermGain + addShort,
-      longTermGain: summary.longTermGain + addLong,
-      dividends: summary.dividends,
-      interest: summary.interest,
-      ordinaryRate: parseFloat(plan.ordinaryRate) || 0,
-      longTermRate: parseFloat(plan.longTermRate) || 0,
-      dividendsQualified: plan.dividendsQualified,
-      withholding: totalWithholding
+      longTermGain: summary.longTermGain + addLong
     })
     return {
       pickedStocks,
@@ -255,7 +390,57 @@ export default function TaxCenter({ trades = [], dividendsAndInterest = [], pnlD
       deltaTax: round2(simTax.estimatedTax - tax.estimatedTax),
       deltaBalance: round2(simTax.balance - tax.balance)
     }
-  }, [summary, tax, openWithMarket, selectedSells, optionPositions, selectedOptions, plan, totalWithholding])
+  }, [summary, tax, taxInputs, openWithMarket, selectedSells, optionPositions, selectedOptions])
+
+  // ---- Harvest planner: loss lots, their wash-sale exposure, and a suggested set of sells ----
+  // Scheduled DCA buys count against a harvest: rebuying within 30 days
+  // washes the loss, so they're fetched alongside the other open-position data.
+  const [dcaSchedule, setDcaSchedule] = useState([])
+  useEffect(() => {
+    if (!computed) return
+    let alive = true
+    fetch('/api/dca-schedule', { credentials: 'include' })
+      .then((r) => r.json())
+      .then((j) => { if (alive && j.success) setDcaSchedule(j.schedule || []) })
+      .catch(() => {})
+    return () => { alive = false }
+  }, [computed])
+
+  const thisYear = new Date().getFullYear()
+  const harvestTarget = plan.harvestTarget ?? -3000
+  const harvest = useMemo(() => {
+    // Harvesting is a decision about sells made today, so it only plans
+    // against the current year's realized figures.
+    if (!summary || !taxInputs || fromPositions || activeYear !== thisYear) return null
+    const priceFor = (symbol) => {
+      const h = stockHoldings.find((x) => x.symbol === symbol)
+      return h?.currentPrice > 0 ? h.currentPrice : priceOf(symbol)
+    }
+    // The wash-sale rule follows the taxpayer, so a buy at any broker counts
+    // even when this tab is narrowed to one.
+    const washTrades = allTrades || trades
+    const candidates = harvestCandidates(summary.openLots, priceFor).map((c) => ({
+      ...c,
+      risks: washSaleRisks(c, { trades: washTrades, dcaSchedule }),
+      saved: harvestTaxSaved(taxInputs, c.term === 'long' ? { longTerm: c.loss } : { shortTerm: c.loss }).saved
+    }))
+    const suggestion = planHarvest(candidates, {
+      target: parseFloat(harvestTarget) || 0,
+      realizedYtd: summary.totalRealizedGain,
+      allowWashRisk: !!plan.harvestAllowWash
+    })
+    return { candidates, suggestion, saved: harvestTaxSaved(taxInputs, suggestion).saved }
+  }, [summary, taxInputs, fromPositions, activeYear, thisYear, stockHoldings, currentPrices, pnlData, allTrades, trades, dcaSchedule, harvestTarget, plan.harvestAllowWash])
+  const suggestedSell = useMemo(() => {
+    const m = new Map()
+    for (const p of harvest?.suggestion.picks || []) m.set(`${p.broker}|${p.symbol}|${p.date.getTime()}|${p.costPerShare}`, p.sellQuantity)
+    return m
+  }, [harvest])
+  const riskText = (r) => r.kind !== 'recentBuy'
+    ? `DCA buy scheduled ${fmtDate(r.date)}`
+    : r.drip
+      ? `dividend reinvested ${round2(r.quantity)} sh on ${fmtDate(r.date)} at ${r.broker}`
+      : `bought ${r.quantity} on ${fmtDate(r.date)} at ${r.broker}`
 
   const noData = trades.length === 0 && pnlData.length === 0
 
@@ -274,7 +459,7 @@ export default function TaxCenter({ trades = [], dividendsAndInterest = [], pnlD
     (a, r) => ({
       proceeds: a.proceeds + (r.proceeds || 0),
       cost: a.cost + (r.costBasis || 0),
-      wash: a.wash + (r.washSale ? Math.abs(r.gain || 0) : 0),
+      wash: a.wash + (r.washDisallowed || 0),
       gain: a.gain + (r.gain || 0)
     }),
     { proceeds: 0, cost: 0, wash: 0, gain: 0 }
@@ -312,7 +497,7 @@ export default function TaxCenter({ trades = [], dividendsAndInterest = [], pnlD
         mdy(r.sellDate),
         num(r.proceeds),
         num(r.costBasis),
-        r.washSale ? num(Math.abs(r.gain)) : '',
+        r.washSale ? num(r.washDisallowed) : '',
         r.washSale ? 'W' : '',
         num(r.gain),
         r.term === 'long' ? 'Long-term' : 'Short-term'
@@ -388,7 +573,7 @@ export default function TaxCenter({ trades = [], dividendsAndInterest = [], pnlD
           <td class="c">${mdy(r.sellDate)}</td>
           <td class="r">${num(r.proceeds)}</td>
           <td class="r">${num(r.costBasis)}</td>
-          <td class="r">${r.washSale ? num(Math.abs(r.gain)) : ''}</td>
+          <td class="r">${r.washSale ? num(r.washDisallowed) : ''}</td>
           <td class="c">${r.washSale ? 'W' : ''}</td>
           <td class="r ${r.gain < 0 ? 'neg' : 'pos'}">${num(r.gain)}</td>
         </tr>`).join('')
@@ -523,7 +708,7 @@ export default function TaxCenter({ trades = [], dividendsAndInterest = [], pnlD
       ${detail('Part I — Short-Term (held one year or less)', stRows)}
       ${detail('Part II — Long-Term (held more than one year)', ltRows)}
 
-      <div class="disc"><strong>Notes:</strong> Cost basis computed FIFO. Wash sales (code “W”) are estimated on a same-ticker, ±30-day basis and may differ from your broker's determination across accounts and substantially-identical securities. Dividend qualified/ordinary split reflects your Tax Center toggle, not issuer classification. Verify every figure against your broker's official Consolidated 1099 before filing. Not tax advice.</div>
+      <div class="disc"><strong>Notes:</strong> Cost basis by each broker's lot method (${stockBrokers.map((b) => `${b}: ${lotMethodFor(lotMethods, b).toUpperCase()}`).join(', ')}), honouring pinned lots. Wash sales (code “W”) match same-ticker purchases within ±30 days across all your brokers; the disallowed loss is added to the replacement shares' basis. Your broker only sees its own account and may report them differently. Dividend qualified/ordinary split reflects your Tax Center toggle, not issuer classification. Verify every figure against your broker's official Consolidated 1099 before filing. Not tax advice.</div>
       <button class="noprint" onclick="window.print()" style="margin:10px 0;padding:8px 16px;cursor:pointer;font-size:13px">🖨️ Print / Save as PDF</button>
       </div>
       </body></html>`
@@ -539,6 +724,70 @@ export default function TaxCenter({ trades = [], dividendsAndInterest = [], pnlD
 
   const has1099B = (summary?.allRealized?.length || 0) > 0
 
+  // ---- Form 8949 / Schedule D: the forms the 1099-B lines are filed on ----
+  const report8949 = useMemo(
+    () => (summary && !fromPositions ? buildForm8949(summary.allRealized, activeYear) : null),
+    [summary, fromPositions, activeYear]
+  )
+  const download8949csv = () => {
+    const blob = new Blob([form8949Csv(report8949)], { type: 'text/csv;charset=utf-8;' })
+    triggerDownload(blob, `form8949-${activeYear}.csv`)
+  }
+  const print8949 = () => {
+    const w = window.open('', '_blank')
+    if (!w) {
+      alert('Please allow pop-ups to open the Form 8949 / Schedule D document.')
+      return
+    }
+    w.document.write(form8949Html(report8949, { name: accountName }))
+    w.document.close()
+    w.focus()
+  }
+
+  // ---- Reconciliation against the broker's own 1099-B CSV ----
+  // Parsed in the browser and kept in memory only: the file is the user's tax
+  // document and the app has no need to store it.
+  const [upload1099, setUpload1099] = useState(null) // { fileName, lines, skipped }
+  const [upload1099Error, setUpload1099Error] = useState(null)
+  const [reconBroker, setReconBroker] = useState(broker !== 'all' ? broker : 'robinhood')
+  const [showMatched, setShowMatched] = useState(false)
+  const load1099 = async (file) => {
+    if (!file) return
+    setUpload1099Error(null)
+    try {
+      const parsed = parse1099B(await file.text())
+      if (!parsed.lines.length) throw new Error('No sales found in this file')
+      setUpload1099({ fileName: file.name, ...parsed })
+    } catch (e) {
+      setUpload1099(null)
+      setUpload1099Error(e.message)
+    }
+  }
+  const recon = useMemo(
+    () =>
+      upload1099 && summary && !fromPositions
+        ? reconcile1099B(upload1099.lines, summary.allRealized, { year: activeYear, broker: reconBroker, unreconciled: summary.unreconciled })
+        : null,
+    [upload1099, summary, fromPositions, activeYear, reconBroker]
+  )
+  const reconRows = recon ? recon.rows.filter((r) => showMatched || r.status !== 'matched') : []
+
+  // ---- Section 1256 contracts: Form 6781 ----
+  const report6781 = useMemo(() => (summary && !fromPositions ? form6781(summary.section1256Realized) : null), [summary, fromPositions])
+  // Contracts held over this year's December 31 — marked, or waiting for a mark.
+  const heldOverYearEnd = useMemo(
+    () =>
+      summary && !fromPositions
+        ? [
+            ...summary.section1256Realized
+              .filter((r) => r.markedToMarket)
+              .map((r) => ({ key: `${r.broker}::${r.symbol}`, symbol: r.symbol, broker: r.broker, contracts: r.openContracts, gain: r.gain })),
+            ...summary.unmarked1256
+          ]
+        : [],
+    [summary, fromPositions]
+  )
+
   // The realized-gains detail can be thousands of lot-level rows. Rendering them
   // all bloats the DOM and makes the whole page janky to scroll, so cap what's
   // shown and let the user expand. Full data is always available via the
@@ -547,6 +796,7 @@ export default function TaxCenter({ trades = [], dividendsAndInterest = [], pnlD
   const [detailLimit, setDetailLimit] = useState(DETAIL_PAGE)
   useEffect(() => { setDetailLimit(DETAIL_PAGE) }, [activeYear, computed])
   const allRealized = summary?.allRealized || []
+  const pinnedSales = useMemo(() => new Set(pins.map((p) => p.sellTradeId)), [pins])
   const visibleRealized = allRealized.slice(0, detailLimit)
 
   // ---- shared styles ----
@@ -592,7 +842,7 @@ export default function TaxCenter({ trades = [], dividendsAndInterest = [], pnlD
 
       <div style={{ fontSize: '12px', color: textMid, background: isDark ? '#1a2035' : '#fffbeb', border: `1px solid ${isDark ? '#2d3748' : '#fde68a'}`, borderRadius: '8px', padding: '10px 14px', marginBottom: '18px' }}>
         ⚠️ Estimates for planning only — not tax advice. Your broker's official 1099 is the filing source of record.
-        Figures use FIFO cost basis and simplified wash-sale / qualified-dividend rules. Consult a tax professional.
+        Figures use each broker's lot method (FIFO unless you choose otherwise) with wash-sale adjustments, and simplified qualified-dividend rules. Consult a tax professional.
       </div>
 
       {noData && (
@@ -617,7 +867,7 @@ export default function TaxCenter({ trades = [], dividendsAndInterest = [], pnlD
               </div>
               <div style={{ fontSize: '13px', color: textMid, maxWidth: '460px', margin: '0 auto 18px' }}>
                 {hasTrades
-                  ? 'Runs a full FIFO cost-basis, wash-sale and realized-gain pass over your entire trade history. It only runs when you ask, so switching to this tab stays fast.'
+                  ? 'Runs a full cost-basis, wash-sale and realized-gain pass over your entire trade history. It only runs when you ask, so switching to this tab stays fast.'
                   : 'Builds your tax figures from the aggregated Positions data currently loaded.'}
               </div>
               <button
@@ -631,10 +881,28 @@ export default function TaxCenter({ trades = [], dividendsAndInterest = [], pnlD
         </div>
       )}
 
+      {pinning != null && (
+        <LotPinner
+          sellTradeId={pinning}
+          trades={trades}
+          pins={pins.filter((p) => p.sellTradeId === pinning)}
+          onClose={() => setPinning(null)}
+          onSaved={pinsSaved}
+        />
+      )}
+
       {!noData && summary && (
         <>
-          {/* Recalculate control */}
-          <div style={{ display: 'flex', justifyContent: 'flex-end', marginBottom: '10px' }}>
+          {/* Lot method per broker + recalculate control */}
+          <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: '10px', flexWrap: 'wrap', marginBottom: '10px' }}>
+            {hasTrades && stockBrokers.map((b) => (
+              <label key={b} style={{ ...label, display: 'flex', alignItems: 'center', gap: '6px' }} title="Which shares a sale relieves at this broker. Match what the account is set to; pinned sales override it.">
+                {b} lots
+                <select value={lotMethodFor(lotMethods, b)} onChange={(e) => setLotMethod(b, e.target.value)} style={{ ...input, width: 'auto', cursor: 'pointer' }}>
+                  {Object.entries(LOT_METHODS).map(([k, v]) => <option key={k} value={k}>{v}</option>)}
+                </select>
+              </label>
+            ))}
             <button
               onClick={() => { setComputed(false); clearWhatIf() }}
               style={{ padding: '5px 12px', borderRadius: '6px', border: `1px solid ${border}`, background: surface, color: textMid, fontSize: '12px', cursor: 'pointer' }}
@@ -707,15 +975,44 @@ export default function TaxCenter({ trades = [], dividendsAndInterest = [], pnlD
             <div style={{ display: 'flex', gap: '24px', flexWrap: 'wrap', alignItems: 'flex-start' }}>
               <div style={{ display: 'flex', flexDirection: 'column', gap: '12px', flex: '1 1 240px', minWidth: 0 }}>
                 <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px' }}>
-                  <span style={label}>Ordinary income rate (short-term, interest)</span>
-                  <div><input type="number" value={plan.ordinaryRate} onChange={(e) => savePlan({ ...plan, ordinaryRate: e.target.value })} style={{ ...input, width: '64px' }} />%</div>
+                  <span style={label}>Federal tax</span>
+                  <select value={plan.filingStatus || ''} onChange={(e) => savePlan({ ...plan, filingStatus: e.target.value })} style={{ ...input, width: 'auto', cursor: 'pointer' }}>
+                    <option value="">Flat marginal rates</option>
+                    {Object.entries(FILING_STATUSES).map(([k, v]) => <option key={k} value={k}>Brackets — {v}</option>)}
+                  </select>
                 </div>
+                {plan.filingStatus ? (
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px' }}>
+                    <span style={label}>Other income (wages etc., before deductions)</span>
+                    <div>$<input type="number" value={plan.otherIncome ?? ''} onChange={(e) => savePlan({ ...plan, otherIncome: e.target.value })} style={{ ...input, width: '90px' }} /></div>
+                  </div>
+                ) : (
+                  <>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px' }}>
+                      <span style={label}>Ordinary income rate (short-term, interest)</span>
+                      <div><input type="number" value={plan.ordinaryRate} onChange={(e) => savePlan({ ...plan, ordinaryRate: e.target.value })} style={{ ...input, width: '64px' }} />%</div>
+                    </div>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px' }}>
+                      <span style={label}>Long-term capital gains rate</span>
+                      <div><input type="number" value={plan.longTermRate} onChange={(e) => savePlan({ ...plan, longTermRate: e.target.value })} style={{ ...input, width: '64px' }} />%</div>
+                    </div>
+                  </>
+                )}
                 <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px' }}>
-                  <span style={label}>Long-term capital gains rate</span>
-                  <div><input type="number" value={plan.longTermRate} onChange={(e) => savePlan({ ...plan, longTermRate: e.target.value })} style={{ ...input, width: '64px' }} />%</div>
+                  <span style={label}>State</span>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                    <select value={plan.state || ''} onChange={(e) => savePlan({ ...plan, state: e.target.value })} style={{ ...input, width: 'auto', cursor: 'pointer' }}>
+                      <option value="">None / not included</option>
+                      {Object.entries(STATE_TAX).sort((a, b) => a[1].name.localeCompare(b[1].name)).map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
+                      <option value="custom">Other — flat rate</option>
+                    </select>
+                    {plan.state === 'custom' && (
+                      <><input type="number" value={plan.stateRate ?? ''} onChange={(e) => savePlan({ ...plan, stateRate: e.target.value })} style={{ ...input, width: '56px' }} />%</>
+                    )}
+                  </div>
                 </div>
                 <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px' }}>
-                  <span style={label}>Extra withholding (W-2, quarterly est.)</span>
+                  <span style={label}>Other withholding (W-2 etc.)</span>
                   <div>$<input type="number" value={plan.extraWithholding} onChange={(e) => savePlan({ ...plan, extraWithholding: e.target.value })} style={{ ...input, width: '90px' }} /></div>
                 </div>
                 <label style={{ display: 'flex', alignItems: 'center', gap: '8px', ...label, cursor: 'pointer' }}>
@@ -740,8 +1037,22 @@ export default function TaxCenter({ trades = [], dividendsAndInterest = [], pnlD
                     {tax.capitalLossCarryover > 0 && (
                       <EstRow label="Capital loss carried to next year" value={fmt(tax.capitalLossCarryover)} color={textMid} {...{ td: etd, tdLeft: etdLeft }} />
                     )}
-                    <EstRow label={`Ordinary-rate tax (${plan.ordinaryRate}%)`} value={fmt(tax.ordinaryTax)} color={text} {...{ td: etd, tdLeft: etdLeft }} />
-                    <EstRow label={`Preferential-rate tax (${plan.longTermRate}%)`} value={fmt(tax.preferentialTax)} color={text} {...{ td: etd, tdLeft: etdLeft }} />
+                    {tax.filingStatus ? (
+                      <>
+                        <EstRow label={`Taxable ordinary income (${tax.taxYear} brackets, after standard deduction)`} value={fmt(tax.ordinaryBase)} color={textMid} {...{ td: etd, tdLeft: etdLeft }} />
+                        <EstRow label="Federal tax on ordinary income" value={fmt(tax.ordinaryTax)} color={text} {...{ td: etd, tdLeft: etdLeft }} />
+                        <EstRow label="Federal tax on long-term gains & qualified dividends (0/15/20%)" value={fmt(tax.preferentialTax)} color={text} {...{ td: etd, tdLeft: etdLeft }} />
+                        <EstRow label="Net Investment Income Tax (3.8%)" value={fmt(tax.niit)} color={text} {...{ td: etd, tdLeft: etdLeft }} />
+                      </>
+                    ) : (
+                      <>
+                        <EstRow label={`Ordinary-rate tax (${plan.ordinaryRate}%)`} value={fmt(tax.ordinaryTax)} color={text} {...{ td: etd, tdLeft: etdLeft }} />
+                        <EstRow label={`Preferential-rate tax (${plan.longTermRate}%)`} value={fmt(tax.preferentialTax)} color={text} {...{ td: etd, tdLeft: etdLeft }} />
+                      </>
+                    )}
+                    {plan.state && (
+                      <EstRow label={`State tax (${plan.state === 'custom' ? `${plan.stateRate || 0}%` : STATE_TAX[plan.state]?.name || plan.state})`} value={fmt(tax.stateTax)} color={text} {...{ td: etd, tdLeft: etdLeft }} />
+                    )}
                     <tr>
                       <td style={{ ...etdLeft, fontWeight: 700, borderTop: `2px solid ${border}` }}>Estimated tax liability</td>
                       <td style={{ ...etd, fontWeight: 700, fontSize: '15px', borderTop: `2px solid ${border}` }}>{fmt(tax.estimatedTax)}</td>
@@ -760,6 +1071,81 @@ export default function TaxCenter({ trades = [], dividendsAndInterest = [], pnlD
             </div>
           </div>
 
+          {/* Quarterly estimated tax */}
+          {quarterly && (
+            <div style={box}>
+              <h2 style={sectionTitle}>🗓️ Quarterly Estimated Tax — {activeYear}</h2>
+              <div style={{ fontSize: '12px', color: textMid, marginBottom: '12px' }}>
+                What had to be paid by each due date. <strong style={{ color: text }}>Regular</strong> is a quarter of the required annual payment; <strong style={{ color: text }}>annualized</strong> (Form 2210 Schedule AI) follows when the gains were actually realized, so a year whose gains came late can pay late. Required is the lower of the two, cumulatively. Withholding counts as paid evenly through the year.
+              </div>
+              <div style={{ display: 'flex', gap: '18px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '12px' }}>
+                <label style={{ ...label, display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  {activeYear - 1} total tax
+                  <span>$<input type="number" value={plan.priorYearTax ?? ''} onChange={(e) => savePlan({ ...plan, priorYearTax: e.target.value })} placeholder="unknown" style={{ ...input, width: '90px' }} /></span>
+                </label>
+                <label style={{ ...label, display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  {activeYear - 1} AGI
+                  <span>$<input type="number" value={plan.priorYearAgi ?? ''} onChange={(e) => savePlan({ ...plan, priorYearAgi: e.target.value })} style={{ ...input, width: '100px' }} /></span>
+                </label>
+                <span style={label}>
+                  Required for the year: <strong style={{ color: text }}>{fmt(quarterly.safeHarbor.required)}</strong>
+                  {' '}({quarterly.safeHarbor.method === 'prior'
+                    ? `${Math.round(quarterly.safeHarbor.priorYearPct * 100)}% of ${activeYear - 1}'s tax — the safe harbor`
+                    : `90% of ${fmt(quarterly.annualTax)} estimated for ${activeYear}`})
+                </span>
+              </div>
+              <div style={{ overflowX: 'auto', border: `1px solid ${border}`, borderRadius: '10px', marginBottom: '14px' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', background: surface }}>
+                  <thead>
+                    <tr>
+                      {['Period', 'Due', 'Realized in Period', 'Realized YTD', 'Regular', 'Annualized', 'Required', 'Paid', 'Shortfall'].map((h, i) => (
+                        <th key={h} style={i === 0 ? thLeft : th}>{h}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {quarterly.periods.map((q) => (
+                      <tr key={q.label}>
+                        <td style={tdLeft}>{q.label}</td>
+                        <td style={td}>{q.due}</td>
+                        <td style={{ ...td, color: gain(q.realized) }}>{fmt(q.realized)}</td>
+                        <td style={{ ...td, color: gain(q.realizedYtd) }}>{fmt(q.realizedYtd)}</td>
+                        <td style={td}>{fmt(q.regularInstallment)}</td>
+                        <td style={td}>{fmt(q.annualizedInstallment)}</td>
+                        <td style={{ ...td, fontWeight: 600 }}>{fmt(q.required)}</td>
+                        <td style={td}>{fmt(q.paid)}</td>
+                        <td style={{ ...td, fontWeight: 600, color: q.shortfall > 0 ? '#ef4444' : '#22c55e' }}>{q.shortfall > 0 ? fmt(q.shortfall) : '✓'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div style={{ fontWeight: 600, color: text, fontSize: '13px', marginBottom: '6px' }}>Estimated payments made for {activeYear}</div>
+              {estPayments.length > 0 && (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '4px', marginBottom: '8px' }}>
+                  {estPayments.map((p) => (
+                    <div key={p.id} style={{ display: 'flex', gap: '12px', alignItems: 'center', fontSize: '13px', color: text }}>
+                      <span style={{ minWidth: '90px' }}>{p.paidDate}</span>
+                      <strong style={{ minWidth: '90px' }}>{fmt(p.amount)}</strong>
+                      <span style={{ color: textMid, flex: 1 }}>{p.note}</span>
+                      <button onClick={() => removePayment(p.id)} title="Remove this payment" style={{ border: 'none', background: 'transparent', color: textMid, cursor: 'pointer', fontSize: '14px' }}>×</button>
+                    </div>
+                  ))}
+                </div>
+              )}
+              <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center' }}>
+                <input type="date" value={newPayment.paidDate} onChange={(e) => setNewPayment({ ...newPayment, paidDate: e.target.value })} style={{ ...input, width: 'auto' }} />
+                <span style={label}>$<input type="number" placeholder="Amount" value={newPayment.amount} onChange={(e) => setNewPayment({ ...newPayment, amount: e.target.value })} style={{ ...input, width: '90px' }} /></span>
+                <input type="text" placeholder="Note (e.g. federal Q2)" value={newPayment.note} onChange={(e) => setNewPayment({ ...newPayment, note: e.target.value })} style={{ ...input, width: '180px' }} />
+                <button onClick={addPayment} disabled={!newPayment.paidDate || !(parseFloat(newPayment.amount) > 0)} style={{ padding: '6px 14px', borderRadius: '6px', border: 'none', background: '#667eea', color: '#fff', fontSize: '13px', fontWeight: 600, cursor: 'pointer', opacity: !newPayment.paidDate || !(parseFloat(newPayment.amount) > 0) ? 0.5 : 1 }}>
+                  + Record payment
+                </button>
+                {paymentError && <span style={{ fontSize: '12px', color: '#ef4444' }}>{paymentError}</span>}
+              </div>
+            </div>
+          )}
+
           {/* Planning insights */}
           {(harvestCandidates.length > 0 || nearLongTerm.length > 0 || summary.washSales.length > 0) && (
             <div style={box}>
@@ -822,9 +1208,12 @@ export default function TaxCenter({ trades = [], dividendsAndInterest = [], pnlD
                 )}
                 {summary.washSales.length > 0 && (
                   <div>
-                    <div style={{ fontWeight: 600, color: text, marginBottom: '4px' }}>🚫 Possible wash sales ({summary.washSales.length})</div>
+                    <div style={{ fontWeight: 600, color: text, marginBottom: '4px' }}>🚫 Wash sales ({summary.washSales.length})</div>
                     <div style={{ fontSize: '12px', color: textMid, marginBottom: '6px' }}>
-                      Losses realized where the same ticker was bought within 30 days — the IRS may disallow ~{fmt(summary.washSaleDisallowed)} of these losses. Verify against your 1099-B.
+                      Losses realized where the same ticker was bought within 30 days, at any broker — {fmt(summary.washSaleDisallowed)} is disallowed this year and added to the replacement shares' cost basis (their holding period carries over too). Verify against your 1099-B.
+                      {summary.washSales.some((w) => w.washDripShares > 0) && (
+                        <> {summary.washSales.filter((w) => w.washDripShares > 0).length} of them were washed by a dividend reinvestment (marked DRIP below) — only the reinvested shares count, but turning off DRIP on names you harvest avoids it.</>
+                      )}
                     </div>
                     <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
                       {[...new Set(summary.washSales.map((w) => w.symbol))].slice(0, 12).map((s) => (
@@ -837,11 +1226,93 @@ export default function TaxCenter({ trades = [], dividendsAndInterest = [], pnlD
             </div>
           )}
 
+          {/* Tax-loss harvest planner */}
+          {!fromPositions && (
+            <div style={box}>
+              <h2 style={sectionTitle}>🍂 Tax-Loss Harvest Planner</h2>
+              {activeYear !== thisYear ? (
+                <div style={{ fontSize: '13px', color: textMid }}>Harvesting plans sells made today, so it works on {thisYear}. Switch the tax year to {thisYear} to use it.</div>
+              ) : (
+                <>
+                  <div style={{ fontSize: '12px', color: textMid, marginBottom: '10px' }}>
+                    Open lots priced below their basis, after each broker's lot method. Set a target for your {thisYear} net realized result — −$3,000 uses the full deduction against ordinary income, $0 cancels gains already taken — and the planner picks lots to sell, short-term losses first. A lot is flagged when the same stock was bought in the last 30 days or a DCA buy is due within the next 30: selling it at a loss would be a wash sale.
+                  </div>
+                  <div style={{ display: 'flex', gap: '18px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '12px' }}>
+                    <label style={{ ...label, display: 'flex', alignItems: 'center', gap: '6px' }}>
+                      Target net realized for {thisYear}
+                      <input type="number" step="100" value={harvestTarget} onChange={(e) => savePlan({ ...plan, harvestTarget: e.target.value })} style={{ ...input, width: '100px' }} />
+                    </label>
+                    <label style={{ ...label, display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+                      <input type="checkbox" checked={!!plan.harvestAllowWash} onChange={(e) => savePlan({ ...plan, harvestAllowWash: e.target.checked })} />
+                      Include lots with a wash-sale risk
+                    </label>
+                    <span style={label}>Realized so far: <strong style={{ color: gain(summary.totalRealizedGain) }}>{fmt(summary.totalRealizedGain)}</strong></span>
+                  </div>
+
+                  {harvest && harvest.suggestion.needed >= 0 ? (
+                    <div style={{ fontSize: '13px', color: textMid, marginBottom: '10px' }}>Your realized result is already at or below the target — nothing to harvest.</div>
+                  ) : harvest && (
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '18px', alignItems: 'center', background: isDark ? '#152033' : '#eff6ff', border: `1px solid ${isDark ? '#1e3a5f' : '#bfdbfe'}`, borderRadius: '10px', padding: '12px 16px', marginBottom: '12px', fontSize: '13px', color: text }}>
+                      <span>Suggested: sell <strong>{harvest.suggestion.picks.length}</strong> lot(s) to realize <strong style={{ color: gain(harvest.suggestion.harvested) }}>{fmt(harvest.suggestion.harvested)}</strong> (short {fmt(harvest.suggestion.shortTerm)} · long {fmt(harvest.suggestion.longTerm)})</span>
+                      <span>Est. tax saved: <strong style={{ color: '#22c55e' }}>{fmt(harvest.saved)}</strong></span>
+                      {!harvest.suggestion.reached && (
+                        <span style={{ color: '#f59e0b' }}>
+                          ⚠️ Falls {fmt(harvest.suggestion.harvested - harvest.suggestion.needed)} short of the target
+                          {harvest.suggestion.skipped > 0 ? ` — ${harvest.suggestion.skipped} lot(s) skipped for wash-sale risk` : ''}.
+                        </span>
+                      )}
+                    </div>
+                  )}
+
+                  {!harvest || harvest.candidates.length === 0 ? (
+                    <div style={{ fontSize: '13px', color: textMid }}>{stockLoaded ? 'No open lots are at a loss right now.' : 'Loading prices…'}</div>
+                  ) : (
+                    <div style={{ overflowX: 'auto', maxHeight: '420px', overflowY: 'auto', border: `1px solid ${border}`, borderRadius: '10px' }}>
+                      <table style={{ width: '100%', borderCollapse: 'collapse', background: surface }}>
+                        <thead>
+                          <tr>
+                            {['Symbol', 'Acquired', 'Shares', 'Cost/Share', 'Price', 'Loss', 'Term', 'Tax Saved', 'Sell', 'Wash-Sale Risk'].map((h, i) => (
+                              <th key={h} style={{ ...(i === 0 || i === 9 ? thLeft : th), position: 'sticky', top: 0 }}>{h}</th>
+                            ))}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {harvest.candidates.map((c, i) => {
+                            const sell = suggestedSell.get(`${c.broker}|${c.symbol}|${c.date.getTime()}|${c.costPerShare}`)
+                            return (
+                              <tr key={i} style={sell ? { background: isDark ? 'rgba(34,197,94,0.08)' : '#f0fdf4' } : undefined}>
+                                <td style={tdLeft}>{c.symbol} <span style={{ fontSize: '11px', color: textMid, fontWeight: 400 }}>{c.broker}</span></td>
+                                <td style={td}>{fmtDate(c.date)}</td>
+                                <td style={td}>{round2(c.quantity)}</td>
+                                <td style={td}>{fmt(c.costPerShare)}</td>
+                                <td style={td}>{fmt(c.price)}</td>
+                                <td style={{ ...td, color: gain(c.loss), fontWeight: 600 }}>{fmt(c.loss)}</td>
+                                <td style={td} title={c.term === 'short' ? `${c.daysToLongTerm}d to long-term` : ''}>{c.term === 'long' ? 'Long' : 'Short'}</td>
+                                <td style={td}>{fmt(c.saved)}</td>
+                                <td style={{ ...td, fontWeight: 600 }}>{sell ? round2(sell) : ''}</td>
+                                <td style={{ ...td, textAlign: 'left', whiteSpace: 'normal', fontSize: '12px', color: c.risks.length ? '#f59e0b' : textMid }}>
+                                  {c.risks.length ? `🚫 ${c.risks.map(riskText).join('; ')}` : '—'}
+                                </td>
+                              </tr>
+                            )
+                          })}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                  <div style={{ fontSize: '11px', color: textMid, marginTop: '8px' }}>
+                    Tax saved per lot is the change in your estimate from selling that lot alone, at your Planning rates. Wash-sale checks see only this app's trades and DCA reminders — purchases in an IRA or elsewhere count too.
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+
           {/* Cost basis of open positions + sell-simulation what-if */}
           <div style={box}>
             <h2 style={sectionTitle}>📦 Cost Basis — Open Positions ({openWithMarket.length})</h2>
             <div style={{ fontSize: '12px', color: textMid, marginBottom: '10px' }}>
-              Total open cost basis: <strong style={{ color: text }}>{fmt(openCostBasisShown)}</strong> (FIFO).
+              Total open cost basis: <strong style={{ color: text }}>{fmt(openCostBasisShown)}</strong> (after each broker's lot method).
               {sellable.length > 0 && <> Tick a position's box to simulate <strong style={{ color: text }}>selling it today</strong> and see how your estimated tax changes.</>}
             </div>
 
@@ -1009,13 +1480,19 @@ export default function TaxCenter({ trades = [], dividendsAndInterest = [], pnlD
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', flexWrap: 'wrap' }}>
               <h2 style={{ ...sectionTitle, marginBottom: 0 }}>📄 Realized Gains Detail — {activeYear} ({summary.allRealized.length})</h2>
               {has1099B && (
-                <div style={{ display: 'flex', gap: '8px' }}>
+                <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
                   <button onClick={printConsolidated1099} style={{ padding: '7px 14px', borderRadius: '6px', border: 'none', background: '#667eea', color: '#fff', fontSize: '13px', fontWeight: 600, cursor: 'pointer' }} title="Open an unofficial Consolidated 1099 (1099-B + DIV + INT) you can save as PDF">
                     🧾 Consolidated 1099 (PDF)
                   </button>
                   <button onClick={download1099Bcsv} style={{ padding: '7px 14px', borderRadius: '6px', border: `1px solid ${border}`, background: surface, color: text, fontSize: '13px', fontWeight: 600, cursor: 'pointer' }} title="Download a 1099-B / 8949 worksheet as CSV for tax software">
                     ⬇️ 1099-B (CSV)
                   </button>
+                  <button onClick={print8949} style={{ padding: '7px 14px', borderRadius: '6px', border: 'none', background: '#0ea5e9', color: '#fff', fontSize: '13px', fontWeight: 600, cursor: 'pointer' }} title="Open Form 8949 (boxes A/B/D/E) with a Schedule D totals page you can save as PDF">
+                    📑 8949 + Schedule D (PDF)
+                  </button>
+                  <button onClick={download8949csv} style={{ padding: '7px 14px', borderRadius: '6px', border: `1px solid ${border}`, background: surface, color: text, fontSize: '13px', fontWeight: 600, cursor: 'pointer' }} title="Download Form 8949 lines (box, code W, adjustment, adjusted basis) as CSV">
+                    ⬇️ 8949 (CSV)
+                  </button>
                 </div>
               )}
             </div>
@@ -1046,6 +1523,9 @@ export default function TaxCenter({ trades = [], dividendsAndInterest = [], pnlD
                       <tr key={i}>
                         <td style={{ ...tdLeft, maxWidth: '240px', overflow: 'hidden', textOverflow: 'ellipsis' }} title={r.symbol}>
                           {r.type === 'option' ? '⚙️ ' : ''}{r.symbol}
+                          {r.short && (
+                            <span title={`Sold short ${fmtDate(r.shortDate)}, covered ${fmtDate(r.sellDate)} — short-term however long it was open`} style={{ marginLeft: '6px', fontSize: '10px', fontWeight: 700, padding: '1px 5px', borderRadius: '4px', background: isDark ? '#3a1f1f' : '#fee2e2', color: '#ef4444' }}>SHORT</span>
+                          )}
                         </td>
                         <td style={td}>{r.quantity}</td>
                         <td style={td}>{fmtDate(r.buyDate)}</td>
@@ -1053,12 +1533,30 @@ export default function TaxCenter({ trades = [], dividendsAndInterest = [], pnlD
                         <td style={td}>{fmt(r.proceeds)}</td>
                         <td style={td}>{fmt(r.costBasis)}</td>
                         <td style={{ ...td, color: gain(r.gain), fontWeight: 600 }}>
-                          {fmt(r.gain)}{r.washSale ? ' 🚫' : ''}
+                          {fmt(r.gain)}{r.washSale ? ` 🚫 ${fmt(r.washDisallowed)} disallowed` : ''}
+                          {r.washDripShares > 0 && (
+                            <span title={`${r.washDripShares} of the ${r.washShares} replacement shares were a dividend reinvestment. Turning off DRIP for a name you harvest avoids these.`} style={{ marginLeft: '4px', fontSize: '10px', fontWeight: 700, padding: '1px 5px', borderRadius: '4px', background: isDark ? '#1e3a2f' : '#f0fdf4', color: '#22c55e' }}>DRIP</span>
+                          )}
+                          {r.type === 'stock' && r.sellTradeId != null && (
+                            <button
+                              onClick={() => setPinning(r.sellTradeId)}
+                              title={pinnedSales.has(r.sellTradeId) ? 'Lots pinned — edit which purchases this sale closed' : 'Pin this sale to specific purchases'}
+                              style={{ marginLeft: '6px', padding: '0 4px', border: 'none', background: 'transparent', cursor: 'pointer', fontSize: '12px', opacity: pinnedSales.has(r.sellTradeId) ? 1 : 0.35 }}
+                            >
+                              📌
+                            </button>
+                          )}
                         </td>
                         <td style={{ ...td, textAlign: 'right' }}>
-                          <span style={{ fontSize: '11px', fontWeight: 600, padding: '2px 8px', borderRadius: '4px', background: r.term === 'long' ? (isDark ? '#2e1e47' : '#f3e8ff') : (isDark ? '#1e2f47' : '#eff6ff'), color: r.term === 'long' ? '#8b5cf6' : '#3b82f6' }}>
-                            {r.term === 'long' ? 'Long' : 'Short'}
-                          </span>
+                          {r.section1256 ? (
+                            <span title="Section 1256 contract: 60% long-term, 40% short-term" style={{ fontSize: '11px', fontWeight: 600, padding: '2px 8px', borderRadius: '4px', background: isDark ? '#1e3a2f' : '#ecfdf5', color: '#10b981' }}>
+                              60/40{r.markedToMarket ? ' MTM' : ''}
+                            </span>
+                          ) : (
+                            <span style={{ fontSize: '11px', fontWeight: 600, padding: '2px 8px', borderRadius: '4px', background: r.term === 'long' ? (isDark ? '#2e1e47' : '#f3e8ff') : (isDark ? '#1e2f47' : '#eff6ff'), color: r.term === 'long' ? '#8b5cf6' : '#3b82f6' }}>
+                              {r.term === 'long' ? 'Long' : 'Short'}
+                            </span>
+                          )}
                         </td>
                       </tr>
                     ))}
@@ -1096,6 +1594,270 @@ export default function TaxCenter({ trades = [], dividendsAndInterest = [], pnlD
             )}
           </div>
 
+          {/* Section 1256 contracts */}
+          {report6781 && (report6781.lines.length > 0 || heldOverYearEnd.length > 0) && (
+            <div style={box}>
+              <h2 style={sectionTitle}>📈 Section 1256 Contracts — Form 6781 ({activeYear})</h2>
+              <div style={{ fontSize: '12px', color: textMid, marginBottom: '12px' }}>
+                Index options (SPX, XSP, NDX, RUT, VIX…) and futures options are taxed <strong style={{ color: text }}>60% long-term, 40% short-term</strong> however long they were held, and any still open on December 31 count as sold at that day's price. They go on Form 6781, not Form 8949. Options on ETFs such as SPY or QQQ are ordinary equity options.
+              </div>
+
+              {heldOverYearEnd.length > 0 && (
+                <div style={{ marginBottom: '14px' }}>
+                  <div style={{ fontWeight: 600, color: text, fontSize: '13px', marginBottom: '6px' }}>
+                    Open on December 31, {activeYear}{activeYear >= new Date().getFullYear() ? ' — the year isn\'t over; enter today\'s mark for an estimate' : ''}
+                  </div>
+                  <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                    {heldOverYearEnd.map((h) => (
+                      <div key={h.key} style={{ display: 'flex', gap: '12px', alignItems: 'center', flexWrap: 'wrap', fontSize: '13px', color: text }}>
+                        <span style={{ minWidth: '240px' }}>⚙️ {h.symbol} <span style={{ color: textMid }}>({h.broker})</span></span>
+                        <span style={{ color: textMid, minWidth: '90px' }}>{Math.abs(h.contracts)} {h.contracts < 0 ? 'short' : 'long'}</span>
+                        <label style={label}>
+                          Price per share $
+                          <input
+                            key={`${h.key}-${activeYear}-${yearEndMarks[activeYear]?.[h.key] ?? ''}`}
+                            type="number"
+                            step="0.01"
+                            defaultValue={yearEndMarks[activeYear]?.[h.key] ?? ''}
+                            onBlur={(e) => setYearEndMark(activeYear, h.key, e.target.value)}
+                            placeholder="mark"
+                            style={{ ...input, width: '80px', marginLeft: '4px' }}
+                          />
+                        </label>
+                        {h.gain != null
+                          ? <span style={{ color: gain(h.gain), fontWeight: 600 }}>{fmt(h.gain)} marked</span>
+                          : <span style={{ fontSize: '12px', color: '#f59e0b' }}>No mark — its gain waits for the year it closes</span>}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {report6781.lines.length > 0 && (
+                <div style={{ overflowX: 'auto', border: `1px solid ${border}`, borderRadius: '10px' }}>
+                  <table style={{ width: '100%', borderCollapse: 'collapse', background: surface }}>
+                    <thead>
+                      <tr>
+                        <th style={thLeft}>Line 1 — Contract</th>
+                        <th style={th}>Account</th>
+                        <th style={th}>(b) Loss</th>
+                        <th style={th}>(c) Gain</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {report6781.lines.map((l, i) => (
+                        <tr key={i}>
+                          <td style={tdLeft}>{l.description}</td>
+                          <td style={td}>{l.broker}</td>
+                          <td style={{ ...td, color: l.loss ? '#ef4444' : textMid }}>{l.loss ? fmt(l.loss) : '—'}</td>
+                          <td style={{ ...td, color: l.gain ? '#22c55e' : textMid }}>{l.gain ? fmt(l.gain) : '—'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                    <tfoot>
+                      <tr>
+                        <td style={{ ...tdLeft, fontWeight: 700, background: headerBg }} colSpan={2}>Line 2 — Totals</td>
+                        <td style={{ ...td, fontWeight: 700, background: headerBg }}>{fmt(report6781.totalLosses)}</td>
+                        <td style={{ ...td, fontWeight: 700, background: headerBg }}>{fmt(report6781.totalGains)}</td>
+                      </tr>
+                      {[
+                        ['Line 3 — Net gain or (loss)', report6781.net],
+                        ['Line 8 — Short-term (40%) → Schedule D line 4', report6781.shortTerm],
+                        ['Line 9 — Long-term (60%) → Schedule D line 11', report6781.longTerm]
+                      ].map(([l, v]) => (
+                        <tr key={l}>
+                          <td style={{ ...tdLeft, fontWeight: 600 }} colSpan={3}>{l}</td>
+                          <td style={{ ...td, fontWeight: 700, color: gain(v) }}>{fmt(v)}</td>
+                        </tr>
+                      ))}
+                    </tfoot>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Short sales: covers realized this year, shorts still open, and the
+              borrow-rate schedules their fees are estimated from */}
+          {!fromPositions && (summary.shortSales?.length > 0 || summary.openShorts?.length > 0) && (
+            <div style={box}>
+              <h2 style={sectionTitle}>🔻 Short Sales ({activeYear})</h2>
+              <div style={{ fontSize: '12px', color: textMid, marginBottom: '12px' }}>
+                A short's gain or loss is realized when it's covered, and is <strong style={{ color: text }}>short-term</strong> however
+                long it was open. Dividends paid in lieu while it was out are added to the cover's cost when the short was
+                open {IN_LIEU_CAPITALIZE_DAYS} days or less; past that they're investment interest, deductible on Schedule A
+                (Form 4952) if you itemize. Borrow fees are estimated from the rates entered below — brokers rarely itemize them.
+              </div>
+              {summary.shortSales.length > 0 && (
+                <div style={{ display: 'flex', gap: '20px', flexWrap: 'wrap', fontSize: '13px', color: text, marginBottom: '14px' }}>
+                  <span>{summary.shortSales.length} cover{summary.shortSales.length !== 1 ? 's' : ''} · <strong style={{ color: gain(summary.shortSales.reduce((s, r) => s + r.gain, 0)) }}>{fmt(round2(summary.shortSales.reduce((s, r) => s + r.gain, 0)))}</strong></span>
+                  <span>In lieu added to cost: <strong>{fmt(summary.inLieuCapitalized)}</strong></span>
+                  <span>In lieu deductible: <strong>{fmt(summary.inLieuDeductible)}</strong></span>
+                  <span>Borrow fees (est.): <strong>{fmt(summary.borrowFees)}</strong></span>
+                </div>
+              )}
+              {summary.openShorts.length > 0 && (
+                <div style={{ overflowX: 'auto', border: `1px solid ${border}`, borderRadius: '10px', marginBottom: '14px' }}>
+                  <table style={{ width: '100%', borderCollapse: 'collapse', background: surface }}>
+                    <thead>
+                      <tr>
+                        <th style={thLeft}>Open short</th>
+                        <th style={th}>Account</th>
+                        <th style={th}>Shares</th>
+                        <th style={th}>Avg price</th>
+                        <th style={th}>Since</th>
+                        <th style={th}>In lieu so far</th>
+                        <th style={th}>Borrow fee (est.)</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {summary.openShorts.map((o) => (
+                        <tr key={`${o.broker}-${o.symbol}`}>
+                          <td style={tdLeft}>{o.symbol}</td>
+                          <td style={td}>{o.broker}</td>
+                          <td style={td}>{o.quantity}</td>
+                          <td style={td}>{fmt(o.avgPrice)}</td>
+                          <td style={td} title={`${o.earliestHoldingDays} days`}>{fmtDate(o.earliestDate)}</td>
+                          <td style={td}>{fmt(o.inLieu)}</td>
+                          <td style={td}>{fmt(o.borrowFee)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+              <div style={{ fontWeight: 600, color: text, fontSize: '13px', marginBottom: '6px' }}>Borrow rates (annual %, from a date until the next)</div>
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                {[...new Set([...summary.openShorts, ...summary.shortSales].map((r) => r.symbol))].sort().map((sym) => (
+                  <div key={sym} style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap', fontSize: '13px', color: text }}>
+                    <span style={{ minWidth: '70px', fontWeight: 600 }}>{sym}</span>
+                    {(borrowRates[sym] || []).map((r) => (
+                      <span key={r.from} style={{ fontSize: '12px', padding: '3px 8px', borderRadius: '6px', border: `1px solid ${border}` }}>
+                        {r.rate}% from {r.from}
+                        <button onClick={() => setBorrowSchedule(sym, borrowRates[sym].filter((x) => x.from !== r.from))} title="Remove this rate" style={{ marginLeft: '4px', border: 'none', background: 'transparent', color: textMid, cursor: 'pointer' }}>×</button>
+                      </span>
+                    ))}
+                    <input type="date" value={rateDraft[sym]?.from || ''} onChange={(e) => setRateDraft({ ...rateDraft, [sym]: { ...rateDraft[sym], from: e.target.value } })} style={{ ...input, width: '140px' }} />
+                    <input type="number" step="0.01" placeholder="rate %" value={rateDraft[sym]?.rate || ''} onChange={(e) => setRateDraft({ ...rateDraft, [sym]: { ...rateDraft[sym], rate: e.target.value } })} style={{ ...input, width: '80px' }} />
+                    <button onClick={() => addBorrowRate(sym)} style={{ padding: '5px 10px', borderRadius: '6px', border: `1px solid ${border}`, background: surface, color: text, fontSize: '12px', cursor: 'pointer' }}>Add</button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* 1099-B reconciliation */}
+          {hasTrades && !fromPositions && (
+            <div style={box}>
+              <h2 style={sectionTitle}>🔎 1099-B Reconciliation — {activeYear}</h2>
+              <div style={{ fontSize: '12px', color: textMid, marginBottom: '12px' }}>
+                Load the 1099-B CSV your broker offers with the consolidated 1099 and each sale is checked against the one computed here — same symbol and date sold, then quantity, proceeds, cost basis and wash-sale disallowed. Options are matched on their underlying. The file stays in this browser tab.
+              </div>
+              <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '12px' }}>
+                <label style={{ ...label, display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  Account
+                  <select value={reconBroker} onChange={(e) => setReconBroker(e.target.value)} style={{ ...input, width: 'auto' }}>
+                    {[...new Set([...stockBrokers, ...allRealized.map((r) => r.broker || 'robinhood')])].sort().map((b) => (
+                      <option key={b} value={b}>{b}</option>
+                    ))}
+                  </select>
+                </label>
+                <input type="file" accept=".csv,text/csv" onChange={(e) => { load1099(e.target.files?.[0]); e.target.value = '' }} style={{ fontSize: '12px', color: textMid }} />
+                {upload1099 && (
+                  <span style={label}>
+                    {upload1099.fileName}: {upload1099.lines.length} lines{upload1099.skipped ? `, ${upload1099.skipped} other rows ignored` : ''}
+                    <button onClick={() => setUpload1099(null)} title="Forget this file" style={{ marginLeft: '6px', border: 'none', background: 'transparent', color: textMid, cursor: 'pointer' }}>×</button>
+                  </span>
+                )}
+                {upload1099Error && <span style={{ fontSize: '12px', color: '#ef4444' }}>{upload1099Error}</span>}
+              </div>
+
+              {recon && (
+                <>
+                  <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', marginBottom: '12px' }}>
+                    {[
+                      ['matched', '✅ Matched', '#22c55e'],
+                      ['mismatch', '⚠️ Differ', '#f59e0b'],
+                      ['brokerOnly', '📄 Only on 1099-B', '#ef4444'],
+                      ['appOnly', '🧮 Only here', '#ef4444']
+                    ].map(([k, l, c]) => (
+                      <div key={k} style={{ padding: '6px 12px', borderRadius: '8px', border: `1px solid ${border}`, fontSize: '13px', color: text }}>
+                        {l}: <strong style={{ color: recon.counts[k] && k !== 'matched' ? c : text }}>{recon.counts[k]}</strong>
+                      </div>
+                    ))}
+                  </div>
+                  <div style={{ overflowX: 'auto', border: `1px solid ${border}`, borderRadius: '10px', marginBottom: '12px' }}>
+                    <table style={{ width: '100%', borderCollapse: 'collapse', background: surface }}>
+                      <thead>
+                        <tr>
+                          <th style={thLeft}></th>
+                          <th style={th}>Proceeds</th>
+                          <th style={th}>Cost Basis</th>
+                          <th style={th}>Wash Disallowed</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {[['Broker 1099-B', recon.totals.broker], ['Computed here', recon.totals.app]].map(([l, t]) => (
+                          <tr key={l}>
+                            <td style={tdLeft}>{l}</td>
+                            <td style={td}>{fmt(t.proceeds)}</td>
+                            <td style={td}>{fmt(t.basis)}</td>
+                            <td style={td}>{fmt(t.washDisallowed)}</td>
+                          </tr>
+                        ))}
+                        <tr>
+                          <td style={{ ...tdLeft, fontWeight: 700 }}>Difference</td>
+                          {['proceeds', 'basis', 'washDisallowed'].map((k) => (
+                            <td key={k} style={{ ...td, fontWeight: 700 }}>{fmt(round2(recon.totals.broker[k] - recon.totals.app[k]))}</td>
+                          ))}
+                        </tr>
+                      </tbody>
+                    </table>
+                  </div>
+                  <label style={{ ...label, display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '8px' }}>
+                    <input type="checkbox" checked={showMatched} onChange={(e) => setShowMatched(e.target.checked)} />
+                    Show matched sales too
+                  </label>
+                  {reconRows.length === 0 ? (
+                    <div style={{ color: textMid, fontSize: '13px' }}>Every sale agrees with the 1099-B within $1.</div>
+                  ) : (
+                    <div style={{ overflowX: 'auto', maxHeight: '420px', overflowY: 'auto', border: `1px solid ${border}`, borderRadius: '10px' }}>
+                      <table style={{ width: '100%', borderCollapse: 'collapse', background: surface }}>
+                        <thead>
+                          <tr>
+                            {['Symbol', 'Sold', 'Qty (1099 / here)', 'Proceeds (1099 / here)', 'Basis (1099 / here)', 'Wash (1099 / here)', 'Why it may differ'].map((h, i) => (
+                              <th key={h} style={{ ...(i === 0 || i === 6 ? thLeft : th), position: 'sticky', top: 0 }}>{h}</th>
+                            ))}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {reconRows.map((r) => {
+                            const pair = (k, money = true) => {
+                              const show = (side) => (side == null ? '—' : side[k] == null ? 'not reported' : money ? fmt(side[k]) : side[k])
+                              const off = r.issues.includes(k === 'washDisallowed' ? 'wash' : k)
+                              return <td style={{ ...td, color: off ? '#f59e0b' : text, fontWeight: off ? 600 : 400 }}>{show(r.broker)} / {show(r.app)}</td>
+                            }
+                            return (
+                              <tr key={`${r.kind}|${r.symbol}|${r.sold}|${r.status}`}>
+                                <td style={tdLeft}>{r.kind === 'option' ? '⚙️ ' : ''}{r.symbol}</td>
+                                <td style={td}>{r.sold}</td>
+                                {r.kind === 'option' ? <td style={td}>—</td> : pair('quantity', false)}
+                                {pair('proceeds')}
+                                {pair('basis')}
+                                {pair('washDisallowed')}
+                                <td style={{ ...tdLeft, fontSize: '12px', color: textMid, whiteSpace: 'normal', minWidth: '220px' }}>{reconNote(r)}</td>
+                              </tr>
+                            )
+                          })}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+
           {/* Withholding */}
           <div style={box}>
             <h2 style={sectionTitle}>💵 YTD Withholding</h2>
@@ -1110,6 +1872,11 @@ export default function TaxCenter({ trades = [], dividendsAndInterest = [], pnlD
                 <div style={{ fontSize: '18px', fontWeight: 700, color: text }}>{fmt(parseFloat(plan.extraWithholding) || 0)}</div>
                 <div style={{ fontSize: '11px', color: textMid }}>edit in Planning above</div>
               </div>
+              <div>
+                <div style={label}>Estimated payments</div>
+                <div style={{ fontSize: '18px', fontWeight: 700, color: text }}>{fmt(estPaid)}</div>
+                <div style={{ fontSize: '11px', color: textMid }}>{estPayments.length} recorded for {activeYear}</div>
+              </div>
               <div>
                 <div style={label}>Total withheld</div>
                 <div style={{ fontSize: '18px', fontWeight: 700, color: '#3b82f6' }}>{fmt(totalWithholding)}</div>
@@ -1118,7 +1885,7 @@ export default function TaxCenter({ trades = [], dividendsAndInterest = [], pnlD
             </div>
             {summary.withholding === 0 && (
               <div style={{ fontSize: '12px', color: textMid, marginTop: '10px' }}>
-                No withholding found in the CSV (Robinhood brokerage accounts usually have none unless backup withholding applies). Add W-2 or quarterly estimated payments in the Planning section for a full picture.
+                No withholding found in the CSV (Robinhood brokerage accounts usually have none unless backup withholding applies). Add W-2 withholding in the Planning section and record estimated payments in the quarterly tracker for a full picture.
               </div>
             )}
           </div>
@@ -1615,8 +1615,12 @@ function TradesTable({ data, allData, trades, manualPrices, splitAdjustments, vi
                               <tr key={idx} style={{ background: 'var(--surface)' }}>
                                 <td style={{ position: 'sticky', left: 0, background: 'var(--surface)', zIndex: 5 }}>{tradeDate.toLocaleDateString()}</td>
                                 <td style={{ background: 'var(--surface)', fontSize: '0.85em' }}>{displayDescription}</td>
-                                <td className={trade.isBuy ? 'positive' : 'negative'} style={{ background: 'var(--surface)' }}>
-                                  {trade.isBuy ? 'BUY' : 'SELL'}
+                                <td
+                                  className={trade.isBuy ? 'positive' : 'negative'}
+                                  style={{ background: 'var(--surface)' }}
+                                  title={trade.isDrip ? 'Dividend reinvestment — bought with a dividend, not a trading decision. Left out of the recent-buy signals.' : undefined}
+                                >
+                                  {trade.isDrip ? 'DRIP' : trade.isBuy ? 'BUY' : 'SELL'}
                                 </td>
                                 <td style={{ background: 'var(--surface)' }}>{trade.quantity}</td>
                                 <td style={{ background: 'var(--surface)' }}>{formatCurrency(trade.price)}</td>
@@ -1,4 +1,4 @@
-import React, { useRef } from 'react'
+import React, { useRef, useState } from 'react'
 
 /**
  * The Upload CSV control, with the broker it applies to.
@@ -7,25 +7,139 @@ import React, { useRef } from 'react'
  * by broker, and running a Webull file through the Robinhood parser produces
  * plausible-looking wrong numbers rather than an error. So the selector sits
  * next to the button and the button label states which broker it will use.
+ *
+ * With `onPreview` (server mode), a chosen file is first run as a dry run and
+ * the diff against what's already stored is shown — new rows, duplicates that
+ * will be skipped, rows the broker has revised, rows no longer in the file.
+ * Nothing is written until that is confirmed.
  */
 
 const BROKERS = [
   { key: 'robinhood', label: 'Robinhood' },
   { key: 'webull', label: 'Webull' },
   { key: 'schwab', label: 'Schwab' },
+  { key: 'fidelity', label: 'Fidelity' },
+  { key: 'etrade', label: 'E*TRADE' },
+  // A Flex Query comes out as XML or CSV depending on how it was set up.
+  { key: 'ibkr', label: 'IBKR', accept: '.csv,.xml', file: 'Flex Query' },
 ]
 
-export default function UploadButton({ broker, onBrokerChange, onFile, style = {} }) {
+const fmtMoney = (n) => `${n < 0 ? '-' : ''}$${Math.abs(n || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+const rowText = (r) => `${r.date} · ${r.transCode || '—'} · ${r.symbol} · ${r.quantity} @ ${fmtMoney(r.price)} = ${fmtMoney(r.amount)}`
+
+// How many rows of each list to show before "and N more".
+const LIST_LIMIT = 8
+
+function RowList({ title, rows, render, color }) {
+  if (!rows.length) return null
+  return (
+    <div style={{ marginTop: 12 }}>
+      <div style={{ fontSize: 12, fontWeight: 700, color, marginBottom: 4 }}>{title} ({rows.length})</div>
+      <div style={{ fontSize: 12, fontFamily: 'monospace', lineHeight: 1.6 }}>
+        {rows.slice(0, LIST_LIMIT).map((r, i) => <div key={i}>{render(r)}</div>)}
+        {rows.length > LIST_LIMIT && <div style={{ color: 'var(--textSecondary)' }}>…and {rows.length - LIST_LIMIT} more</div>}
+      </div>
+    </div>
+  )
+}
+
+function ImportPreview({ label, fileName, preview, onConfirm, onCancel }) {
+  const { diff, importWarnings = [] } = preview
+  const { trades } = diff
+  const removed = trades.missing.filter(r => r.willRemove)
+  const kept = trades.missing.filter(r => !r.willRemove)
+  const nothingNew = !trades.added.length && !trades.conflicts.length && !removed.length &&
+    !diff.deposits.added && !diff.shareTransfers.added
+  const stat = (n, text, color) => (
+    <div style={{ padding: '8px 10px', borderRadius: 8, border: '1px solid var(--border)', minWidth: 90 }}>
+      <div style={{ fontSize: 20, fontWeight: 700, color }}>{n}</div>
+      <div style={{ fontSize: 11, color: 'var(--textSecondary)' }}>{text}</div>
+    </div>
+  )
+
+  return (
+    <div onClick={onCancel}
+      style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.45)', zIndex: 2000, display: 'flex', alignItems: 'flex-start', justifyContent: 'center', padding: '60px 16px', overflowY: 'auto' }}>
+      <div onClick={e => e.stopPropagation()}
+        style={{ background: 'var(--surface)', color: 'var(--text)', borderRadius: 12, border: '1px solid var(--border)', width: 640, maxWidth: '100%', padding: 22, boxShadow: '0 12px 40px rgba(0,0,0,0.35)' }}>
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 4 }}>
+          <h2 style={{ margin: 0, fontSize: 18 }}>Review {label} import</h2>
+          <button onClick={onCancel} style={{ border: 'none', background: 'transparent', fontSize: 22, cursor: 'pointer', color: 'var(--textSecondary)', lineHeight: 1 }}>×</button>
+        </div>
+        <div style={{ fontSize: 12, color: 'var(--textSecondary)', marginBottom: 12 }}>
+          {fileName}{diff.window ? ` · trades ${diff.window.from} → ${diff.window.to}` : ''} · nothing is saved until you confirm
+        </div>
+
+        <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+          {stat(trades.added.length, 'new trades', 'var(--positive)')}
+          {stat(trades.duplicates, 'already stored', 'var(--textSecondary)')}
+          {stat(trades.conflicts.length, 'revised amounts', 'var(--warning)')}
+          {stat(trades.missing.length, 'not in this file', 'var(--negative)')}
+          {stat(`${diff.deposits.added}/${diff.deposits.added + diff.deposits.duplicates}`, 'deposits new', 'var(--text)')}
+          {diff.shareTransfers.added + diff.shareTransfers.duplicates > 0 &&
+            stat(`${diff.shareTransfers.added}/${diff.shareTransfers.added + diff.shareTransfers.duplicates}`, 'share transfers new', 'var(--text)')}
+        </div>
+
+        <RowList title="New" rows={trades.added} color="var(--positive)" render={rowText} />
+        <RowList title="Revised — the file's figures replace the stored row" rows={trades.conflicts} color="var(--warning)"
+          render={c => `${rowText(c.incoming)}  (was ${fmtMoney(c.existing.price)} = ${fmtMoney(c.existing.amount)})`} />
+        <RowList title="Stored from this same export date, no longer in it — removed" rows={removed} color="var(--negative)" render={rowText} />
+        <RowList title="Stored from an earlier upload, not in this file — kept" rows={kept} color="var(--textSecondary)"
+          render={r => `${rowText(r)}  (uploaded ${r.uploadDate})`} />
+
+        {importWarnings.length > 0 && (
+          <div style={{ marginTop: 12, fontSize: 12, color: 'var(--warning)' }}>
+            {importWarnings.map((w, i) => <div key={i}>⚠️ {w}</div>)}
+          </div>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, marginTop: 18 }}>
+          <button onClick={onCancel}
+            style={{ padding: '7px 14px', borderRadius: 8, border: '1px solid var(--border)', background: 'transparent', color: 'var(--text)', cursor: 'pointer' }}>
+            Cancel
+          </button>
+          <button onClick={onConfirm}
+            style={{ padding: '7px 14px', borderRadius: 8, border: 'none', background: 'var(--accent)', color: '#fff', fontWeight: 700, cursor: 'pointer' }}>
+            {nothingNew ? 'Import anyway' : 'Import'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default function UploadButton({ broker, onBrokerChange, onFile, onPreview = null, style = {} }) {
   const inputRef = useRef(null)
+  const [pending, setPending] = useState(null)   // { file, broker, preview }
+  const [previewing, setPreviewing] = useState(false)
+  const [previewError, setPreviewError] = useState(null)
 
-  const handleChange = (e) => {
+  const handleChange = async (e) => {
     const file = e.target.files[0]
-    if (file) onFile(file, broker)
     // Allow re-selecting the same file after switching broker
     e.target.value = ''
+    if (!file) return
+    if (!onPreview) { onFile(file, broker); return }
+    setPreviewing(true)
+    setPreviewError(null)
+    try {
+      const preview = await onPreview(file, broker)
+      setPending({ file, broker, preview })
+    } catch (err) {
+      setPreviewError(err.message)
+    } finally {
+      setPreviewing(false)
+    }
   }
 
-  const label = BROKERS.find(b => b.key === broker)?.label || broker
+  const confirm = () => {
+    const { file, broker: chosen } = pending
+    setPending(null)
+    onFile(file, chosen)
+  }
+
+  const entry = BROKERS.find(b => b.key === broker)
+  const label = entry?.label || broker
 
   return (
     <span style={{ display: 'inline-flex', alignItems: 'center', gap: 6, ...style }}>
@@ -43,9 +157,24 @@ export default function UploadButton({ broker, onBrokerChange, onFile, style = {
       </select>
 
       <label className="upload-button" style={{ margin: 0 }}>
-        📁 Upload {label} CSV
-        <input ref={inputRef} type="file" accept=".csv" onChange={handleChange} style={{ display: 'none' }} />
+        {previewing ? '⏳ Checking file…' : `📁 Upload ${label} ${entry?.file || 'CSV'}`}
+        <input ref={inputRef} type="file" accept={entry?.accept || '.csv'} onChange={handleChange} disabled={previewing} style={{ display: 'none' }} />
       </label>
+      {previewError && (
+        <span title={previewError} style={{ fontSize: 12, color: 'var(--negative)' }}>
+          ⚠️ {previewError}
+        </span>
+      )}
+
+      {pending && (
+        <ImportPreview
+          label={BROKERS.find(b => b.key === pending.broker)?.label || pending.broker}
+          fileName={pending.file.name}
+          preview={pending.preview}
+          onConfirm={confirm}
+          onCancel={() => setPending(null)}
+        />
+      )}
     </span>
   )
 }
@@ -0,0 +1,204 @@
+import React, { useState, useEffect } from 'react'
+import { useTheme } from '../contexts/ThemeContext'
+
+/**
+ * Wheel campaigns from /api/wheel-campaigns: puts sold, rolled and assigned,
+ * then calls sold on the shares until they're called away, as one trade per
+ * underlying. Each row opens into the campaign's timeline.
+ */
+
+const fmt = (n) => {
+  if (n == null || isNaN(n)) return '—'
+  const abs = Math.abs(n).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+  return n < 0 ? `-$${abs}` : `$${abs}`
+}
+const pct = (n) => (n == null || isNaN(n) ? '—' : `${(n * 100).toFixed(1)}%`)
+const fmtDate = (s) => (s ? new Date(`${s}T12:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: '2-digit' }) : '—')
+const legText = (l) => `${l.contracts} ${l.type === 'call' ? 'C' : 'P'}${l.strike} ${l.expiry ? fmtDate(l.expiry) : ''}`.trim()
+
+const EVENT_LABELS = {
+  sell_put: ['🟢', 'Sold put'],
+  sell_call: ['🟢', 'Sold call'],
+  roll: ['🔄', 'Rolled'],
+  buy_to_close: ['⏹', 'Bought to close'],
+  expired: ['⌛', 'Expired'],
+  assigned: ['📥', 'Assigned'],
+  called_away: ['📤', 'Called away'],
+  buy: ['➕', 'Bought'],
+  sell: ['➖', 'Sold'],
+}
+
+export default function WheelCampaignsPanel({ broker = 'all' }) {
+  const { isDark } = useTheme()
+  const [open, setOpen] = useState(false)
+  const [data, setData] = useState(null)
+  const [error, setError] = useState(null)
+  const [filter, setFilter] = useState('all')
+  const [expanded, setExpanded] = useState(null)
+
+  const surface = isDark ? '#1e2130' : '#ffffff'
+  const border = isDark ? '#2d3748' : '#e2e8f0'
+  const text = isDark ? '#e2e8f0' : '#1a202c'
+  const textMid = isDark ? '#94a3b8' : '#64748b'
+  const tone = (n) => (!n ? textMid : n > 0 ? '#22c55e' : '#ef4444')
+
+  useEffect(() => {
+    if (!open) return
+    setError(null)
+    const q = broker && broker !== 'all' ? `?broker=${encodeURIComponent(broker)}` : ''
+    fetch(`/api/wheel-campaigns${q}`, { credentials: 'include' })
+      .then((r) => r.json())
+      .then((j) => { if (j.success) setData(j); else setError(j.error) })
+      .catch((e) => setError(e.message))
+  }, [open, broker])
+
+  const shown = (data?.campaigns || []).filter((c) => filter === 'all' || c.status === filter)
+  const totals = data?.totals
+  const th = { padding: '6px 10px', textAlign: 'right', fontSize: '11px', fontWeight: '600', color: textMid, textTransform: 'uppercase', letterSpacing: '0.04em', borderBottom: `1px solid ${border}`, whiteSpace: 'nowrap' }
+  const thLeft = { ...th, textAlign: 'left' }
+  const td = { padding: '6px 10px', textAlign: 'right', fontSize: '12px', color: text, borderBottom: `1px solid ${border}`, whiteSpace: 'nowrap', fontVariantNumeric: 'tabular-nums' }
+  const tdLeft = { ...td, textAlign: 'left' }
+  const btn = (active) => ({
+    padding: '3px 10px', fontSize: '11px', fontWeight: '600', borderRadius: '6px', cursor: 'pointer',
+    border: `1px solid ${border}`, background: active ? 'rgba(102,126,234,0.15)' : 'transparent', color: active ? '#667eea' : textMid,
+  })
+  const tile = (label, value, tip, color = text) => (
+    <div title={tip} style={{ padding: '8px 12px', borderRadius: '8px', border: `1px solid ${border}`, minWidth: '110px' }}>
+      <div style={{ fontSize: '10px', fontWeight: '700', textTransform: 'uppercase', letterSpacing: '0.04em', color: textMid }}>{label}</div>
+      <div style={{ fontSize: '15px', fontWeight: '700', color }}>{value}</div>
+    </div>
+  )
+
+  const eventText = (e) => {
+    if (e.kind === 'roll') return `${e.from.map(legText).join(', ')} → ${e.to.map(legText).join(', ')}`
+    if (e.kind === 'assigned') return `${legText(e)} · bought ${e.contracts * 100} sh @ $${e.strike}`
+    if (e.kind === 'called_away') return `${legText(e)} · sold ${e.contracts * 100} sh @ $${e.strike}`
+    return legText(e)
+  }
+
+  const timeline = (c) => (
+    <div style={{ padding: '10px 14px 12px 28px', borderLeft: `2px solid ${border}`, marginLeft: '14px' }}>
+      {c.events.map((e, i) => {
+        const [icon, label] = EVENT_LABELS[e.kind] || ['•', e.kind]
+        return (
+          <div key={i} style={{ display: 'grid', gridTemplateColumns: '70px 130px 1fr 90px 110px 70px', gap: '8px', alignItems: 'baseline', fontSize: '11.5px', padding: '3px 0' }}>
+            <span style={{ color: textMid }}>{fmtDate(e.date)}</span>
+            <span style={{ color: text, fontWeight: '600' }}>{icon} {label}</span>
+            <span style={{ color: textMid }}>{eventText(e)}</span>
+            <span style={{ textAlign: 'right', color: tone(e.cash) }}>{e.cash ? fmt(e.cash) : ''}</span>
+            <span style={{ textAlign: 'right', color: textMid }} title="Premium collected to date">Σ {fmt(e.premiumToDate)}</span>
+            <span style={{ textAlign: 'right', color: textMid }}>{e.sharesAfter ? `${e.sharesAfter} sh` : ''}</span>
+          </div>
+        )
+      })}
+      {c.openShorts.length > 0 && (
+        <div style={{ fontSize: '11px', color: textMid, marginTop: '6px' }}>
+          Open now: {c.openShorts.map((s) => `−${s.contracts} ${s.type === 'call' ? 'C' : 'P'}${s.strike}`).join(', ')}
+        </div>
+      )}
+      {c.outsideShares > 0 && (
+        <div style={{ fontSize: '11px', color: '#f59e0b', marginTop: '6px' }}>
+          {c.outsideShares} shares called away weren't assigned in this campaign — their gain or loss is in the stock view, not here.
+        </div>
+      )}
+    </div>
+  )
+
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      <button onClick={() => setOpen((o) => !o)} style={{ ...btn(open), padding: '6px 14px', fontSize: '12px', fontWeight: '700' }}>
+        🛞 Wheel Campaigns {open ? '▲' : '▼'}
+      </button>
+
+      {open && (
+        <div style={{ marginTop: '10px', background: surface, border: `1px solid ${border}`, borderRadius: '12px', padding: '18px' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', marginBottom: '12px', flexWrap: 'wrap' }}>
+            <div style={{ fontSize: '13px', fontWeight: '700', color: text }}>
+              Wheel Campaigns
+              <span style={{ fontSize: '11px', fontWeight: '400', color: textMid, marginLeft: '8px' }}>rolls and assignments linked per underlying</span>
+            </div>
+            <div style={{ display: 'flex', gap: '4px' }}>
+              {[['all', 'All'], ['open', 'Open'], ['closed', 'Closed']].map(([k, l]) => (
+                <button key={k} onClick={() => setFilter(k)} style={btn(filter === k)}>{l}</button>
+              ))}
+            </div>
+          </div>
+
+          {error && <div style={{ fontSize: '12px', color: '#ef4444' }}>{error}</div>}
+
+          {totals && totals.campaigns > 0 && (
+            <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', marginBottom: '14px' }}>
+              {tile('Campaigns', `${totals.campaigns} · ${totals.open} open`)}
+              {tile('Premium collected', fmt(totals.premium), 'Every option dollar in and out across the campaigns, rolls included', tone(totals.premium))}
+              {tile('Stock P&L', fmt(totals.stockRealized), 'Called away at the strike against the assigned cost', tone(totals.stockRealized))}
+              {tile('Closed P&L', fmt(totals.closedPnl), 'Campaigns that have ended', tone(totals.closedPnl))}
+              {tile('Rolls', totals.rolls)}
+            </div>
+          )}
+
+          {data && !shown.length && <div style={{ fontSize: '12px', color: textMid }}>No {filter === 'all' ? '' : `${filter} `}wheel campaigns — a campaign starts with a short put or call.</div>}
+
+          {shown.length > 0 && (
+            <div style={{ overflowX: 'auto', maxHeight: '520px' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr>
+                    <th style={thLeft}>Underlying</th>
+                    <th style={thLeft}>Dates</th>
+                    <th style={th}>Premium</th>
+                    <th style={th}>Shares</th>
+                    <th style={th}>Eff. basis</th>
+                    <th style={th}>P&L</th>
+                    <th style={th}>Peak capital</th>
+                    <th style={th}>Return</th>
+                    <th style={th}>Annualized</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {shown.map((c) => (
+                    <React.Fragment key={c.id}>
+                      <tr onClick={() => setExpanded(expanded === c.id ? null : c.id)} style={{ cursor: 'pointer' }}>
+                        <td style={{ ...tdLeft, fontWeight: '600' }}>
+                          {expanded === c.id ? '▾' : '▸'} {c.ticker}
+                          <span style={{ marginLeft: '6px', fontSize: '10px', color: c.status === 'open' ? '#667eea' : textMid }}>{c.status.toUpperCase()}</span>
+                          {broker === 'all' && <span style={{ marginLeft: '6px', fontSize: '10px', color: textMid }}>{c.broker}</span>}
+                        </td>
+                        <td style={{ ...tdLeft, color: textMid }}>
+                          {fmtDate(c.startDate)} → {c.endDate ? fmtDate(c.endDate) : 'now'} · {c.days}d
+                          {c.rolls > 0 && ` · ${c.rolls} roll${c.rolls !== 1 ? 's' : ''}`}
+                        </td>
+                        <td style={{ ...td, color: tone(c.premium) }}>{fmt(c.premium)}</td>
+                        <td style={td}>{c.shares || '—'}</td>
+                        <td style={td} title={c.shares > 0 ? `Assigned at ${fmt(c.sharesCost / c.shares)} a share` : undefined}>{fmt(c.effectiveCostBasis)}</td>
+                        <td style={{ ...td, fontWeight: '600', color: tone(c.pnl) }} title={c.shares > 0 && c.unrealized == null ? 'No price for the shares — P&L leaves them out' : undefined}>
+                          {fmt(c.pnl)}{c.shares > 0 && c.unrealized == null ? ' *' : ''}
+                        </td>
+                        <td style={td}>{c.peakCapital ? fmt(c.peakCapital) : '—'}</td>
+                        <td style={{ ...td, color: tone(c.returnOnCapital) }}>{pct(c.returnOnCapital)}</td>
+                        <td style={{ ...td, color: tone(c.annualizedReturn) }}>{pct(c.annualizedReturn)}</td>
+                      </tr>
+                      {expanded === c.id && (
+                        <tr>
+                          <td colSpan={9} style={{ padding: 0, borderBottom: `1px solid ${border}`, background: isDark ? 'rgba(255,255,255,0.03)' : 'rgba(0,0,0,0.02)' }}>
+                            {timeline(c)}
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {shown.length > 0 && (
+            <div style={{ fontSize: '10.5px', color: textMid, marginTop: '10px', lineHeight: 1.45 }}>
+              A BTC and STO on the same day are one roll. Premium counts credits on shorts still open. Effective basis is the
+              assigned cost less all premium collected, per share. Return is P&L over the most capital tied up at once — put
+              strikes secured plus shares at cost — annualized over the campaign's days. Shares still held are marked at today's price.
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
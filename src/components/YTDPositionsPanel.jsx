@@ -355,6 +355,13 @@ export default function YTDPositionsPanel({ pnlData = [], broker = 'all' }) {
     }
   })
 
+  // Shares held, or shares short (negative, from the server's short lots).
+  // The pnlData fallback is taken only when positive: a negative there is
+  // sales with no matching buy, not a short.
+  const openQty = (sh, fb, row) => (sh?.position ? sh.position : null)
+    ?? (fb?.position > 0 ? fb.position : null)
+    ?? (row.stockPosition ? row.stockPosition : null)
+
   const q = search.trim().toUpperCase()
   const hiddenSet = new Set(hiddenTickers)
   // Rows now include stocks held without any options (hasOptions false). The
@@ -379,11 +386,11 @@ export default function YTDPositionsPanel({ pnlData = [], broker = 'all' }) {
     // In as-of mode ignore live holdings/prices so the endpoint's historical values win.
     const sh = asOf ? null : stockHoldings[r.ticker]
     const fb = asOf ? null : pnlLookup[r.ticker]
-    const pos = (sh?.position > 0 ? sh.position : null) ?? (fb?.position > 0 ? fb.position : null) ?? (r.stockPosition > 0 ? r.stockPosition : null)
+    const pos = openQty(sh, fb, r)
     const computedCost = (sh?.avgCost > 0 ? sh.avgCost : null) ?? (fb?.avgCost > 0 ? fb.avgCost : null) ?? (r.stockAvgCost > 0 ? r.stockAvgCost : null)
     const avgCost = costOverrides[r.ticker] || computedCost
     const price = (sh?.currentPrice > 0 ? sh.currentPrice : null) ?? (!asOf && livePrices[r.ticker] > 0 ? livePrices[r.ticker] : null) ?? (r.stockCurrentPrice > 0 ? r.stockCurrentPrice : null)
-    const stockUnrealized = (pos > 0 && avgCost > 0 && price > 0)
+    const stockUnrealized = (pos && avgCost > 0 && price > 0)
       ? Math.round(pos * (price - avgCost) * 100) / 100
       : 0
     const stockPnL = stockUnrealized + (r.stockRealizedPnL || 0)
@@ -391,7 +398,7 @@ export default function YTDPositionsPanel({ pnlData = [], broker = 'all' }) {
     // at once. Realized stays put; only the open side moves.
     const scPrice = (scenarioMove !== 0 && price > 0) ? price * (1 + scenarioMove / 100) : null
     const scStockPnL = scPrice
-      ? ((pos > 0 && avgCost > 0) ? Math.round(pos * (scPrice - avgCost) * 100) / 100 : 0) + (r.stockRealizedPnL || 0)
+      ? ((pos && avgCost > 0) ? Math.round(pos * (scPrice - avgCost) * 100) / 100 : 0) + (r.stockRealizedPnL || 0)
       : stockPnL
     const scOpen = scenarioMove !== 0
       ? (r.openScenario?.[scenarioMove] ?? r.openUnrealizedPnL ?? 0)
@@ -416,7 +423,7 @@ export default function YTDPositionsPanel({ pnlData = [], broker = 'all' }) {
       // can't be priced. A half that IS known still belongs in its own total.
       dayStockPnl: acc.dayStockPnl + (r.dayStockPnl || 0),
       dayOptionPnl: acc.dayOptionPnl + (r.dayOptionPnl || 0),
-      costBasis: acc.costBasis + ((pos > 0 && avgCost > 0) ? pos * avgCost : 0)
+      costBasis: acc.costBasis + ((pos && avgCost > 0) ? Math.abs(pos) * avgCost : 0)
     }
   }, { scenarioStockPnL: 0, scenarioOpen: 0, scenarioNetPlusOpen: 0, dayStockPnl: 0, dayOptionPnl: 0, realizedShortCalls: 0, realizedLongCalls: 0, realizedShortPuts: 0, realizedLongPuts: 0, totalRealized: 0, taxableRealized: 0, openPremium: 0, openUnrealizedPnL: 0, openProjectedPnL: 0, stockUnrealizedPnL: 0, net: 0, dayPnl: 0, costBasis: 0 })
 
@@ -446,7 +453,7 @@ export default function YTDPositionsPanel({ pnlData = [], broker = 'all' }) {
   const rowCtx = (row, i) => {
     const sh = asOf ? null : stockHoldings[row.ticker]
     const fb = asOf ? null : pnlLookup[row.ticker]
-    const pos = (sh?.position > 0 ? sh.position : null) ?? (fb?.position > 0 ? fb.position : null) ?? (row.stockPosition > 0 ? row.stockPosition : null)
+    const pos = openQty(sh, fb, row)
     const computedCost = (sh?.avgCost > 0 ? sh.avgCost : null) ?? (fb?.avgCost > 0 ? fb.avgCost : null) ?? (row.stockAvgCost > 0 ? row.stockAvgCost : null)
     const hasManualCost = !!costOverrides[row.ticker]
     const avgCost = costOverrides[row.ticker] || computedCost
@@ -454,13 +461,14 @@ export default function YTDPositionsPanel({ pnlData = [], broker = 'all' }) {
       ? Math.round((avgCost - (row.totalRealized || 0) / pos) * 100) / 100
       : null
     const price = (sh?.currentPrice > 0 ? sh.currentPrice : null) ?? (!asOf && livePrices[row.ticker] > 0 ? livePrices[row.ticker] : null) ?? (row.stockCurrentPrice > 0 ? row.stockCurrentPrice : null)
-    const stockUnrealized = (pos > 0 && avgCost > 0 && price > 0) ? Math.round(pos * (price - avgCost) * 100) / 100 : 0
+    // A short's position is negative, so the same product is its gain.
+    const stockUnrealized = (pos && avgCost > 0 && price > 0) ? Math.round(pos * (price - avgCost) * 100) / 100 : 0
     const stockRealized = row.stockRealizedPnL || 0
-    const hasStock = (pos > 0 && avgCost > 0 && price > 0) || row.stockRealizedPnL != null
+    const hasStock = (pos && avgCost > 0 && price > 0) || row.stockRealizedPnL != null
     const stockPnl = hasStock ? Math.round((stockUnrealized + stockRealized) * 100) / 100 : null
     const net = Math.round(((row.totalRealized || 0) + (stockPnl || 0)) * 100) / 100
     const netPlusOpen = Math.round((net + (row.openUnrealizedPnL || 0)) * 100) / 100
-    const costBasis = (pos > 0 && avgCost > 0) ? pos * avgCost : null
+    const costBasis = (pos && avgCost > 0) ? Math.abs(pos) * avgCost : null
     const returnPct = (costBasis && costBasis > 0) ? Math.round((netPlusOpen / costBasis) * 1000) / 10 : null
     const vsStockPct = (stockPnl != null && stockPnl !== 0) ? Math.round(((netPlusOpen - stockPnl) / Math.abs(stockPnl)) * 1000) / 10 : null
     const taxableRealized = (row.totalRealized || 0) + (row.stockRealizedPnL || 0)
@@ -473,7 +481,7 @@ export default function YTDPositionsPanel({ pnlData = [], broker = 'all' }) {
     let sc = null
     if (scenarioMove !== 0) {
       const scPrice = price > 0 ? price * (1 + scenarioMove / 100) : null
-      const scStockUnrealized = (pos > 0 && avgCost > 0 && scPrice > 0)
+      const scStockUnrealized = (pos && avgCost > 0 && scPrice > 0)
         ? Math.round(pos * (scPrice - avgCost) * 100) / 100
         : 0
       const scStockPnl = hasStock ? Math.round((scStockUnrealized + stockRealized) * 100) / 100 : null
@@ -589,8 +597,10 @@ export default function YTDPositionsPanel({ pnlData = [], broker = 'all' }) {
           </div>
         </span>) },
 
-    { key: 'shares', label: 'Shares', title: 'Shares held', borderLeft: '1px',
-      cell: (r, c) => <span style={{ color: textMid }}>{c.pos != null && c.pos > 0 ? c.pos.toLocaleString() : '—'}</span> },
+    { key: 'shares', label: 'Shares', title: 'Shares held (negative when short)', borderLeft: '1px',
+      cell: (r, c) => <span style={{ color: textMid }} title={c.pos < 0 ? `Short ${Math.abs(c.pos).toLocaleString()} shares; avg cost is the price they were sold at` : undefined}>
+        {c.pos ? c.pos.toLocaleString() : '—'}{c.pos < 0 && <span style={{ fontSize: 10, color: '#f59e0b' }}> short</span>}
+      </span> },
 
     { key: 'avgCost', label: 'Avg Cost', title: 'Average cost per share',
       cell: (r, c) => c.isCostEditing ? (
@@ -701,7 +711,7 @@ export default function YTDPositionsPanel({ pnlData = [], broker = 'all' }) {
       title: 'Today’s stock move only: shares × (price now − yesterday’s close). Blank when no daily price arrived for this name.',
       cell: (r, c) => <span style={{ fontWeight: 600, color: pnlColor(r.dayStockPnl, isDark) }}>
         {r.dayStockPnl != null ? `${r.dayStockPnl >= 0 ? '+' : ''}${fmt(r.dayStockPnl)}` : '—'}
-        {r.dayStockPnl == null && c.pos > 0 && <span style={{ fontSize: 10, color: '#f59e0b' }} title="Shares held but no daily price for this name."> no px</span>}
+        {r.dayStockPnl == null && !!c.pos && <span style={{ fontSize: 10, color: '#f59e0b' }} title="Shares held but no daily price for this name."> no px</span>}
       </span>,
       foot: (t) => <span style={{ color: pnlColor(t.dayStockPnl, isDark), fontWeight: 700 }}>
         {t.dayStockPnl >= 0 ? '+' : ''}{fmt(t.dayStockPnl)}</span> },
@@ -72,14 +72,15 @@ class SocketService {
   }
 
   // Upload CSV
-  uploadCSV(csvContent, broker = 'robinhood') {
+  // fileName is only a label for the upload in import history.
+  uploadCSV(csvContent, broker = 'robinhood', fileName = null) {
     return new Promise((resolve, reject) => {
       if (!this.socket || !this.connected) {
         reject(new Error('Not connected to server'))
         return
       }
 
-      this.socket.emit('upload-csv', { csvContent, broker })
+      this.socket.emit('upload-csv', { csvContent, broker, fileName })
 
       this.socket.once('csv-processed', (response) => {
         if (response.success) {
@@ -96,6 +97,31 @@ class SocketService {
     })
   }
 
+  // Dry run of uploadCSV: the server parses the file and diffs it against what's
+  // stored (new, already stored, revised, gone), writing nothing.
+  previewCSV(csvContent, broker = 'robinhood') {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || !this.connected) {
+        reject(new Error('Not connected to server'))
+        return
+      }
+
+      this.socket.emit('upload-csv', { csvContent, broker, dryRun: true })
+
+      this.socket.once('csv-preview', (response) => {
+        if (response.success) {
+          resolve(response.data)
+        } else {
+          reject(new Error(response.error))
+        }
+      })
+
+      setTimeout(() => {
+        reject(new Error('CSV preview timeout'))
+      }, 30000)
+    })
+  }
+
   // Listen for background prices-updated event (after CSV upload completes price fetch)
   onPricesUpdated(callback) {
     if (!this.socket) return
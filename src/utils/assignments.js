@@ -0,0 +1,136 @@
+// Option assignment and exercise: the premium belongs to the stock.
+//
+// When a short option is assigned (OASGN) or a long one exercised (OEXC), the
+// option isn't sold — it turns into a stock trade at the strike, on the same
+// day, which the broker records as an ordinary Buy or Sell. For tax the
+// premium follows the shares (IRS Pub. 550):
+//   - short put assigned:  premium received lowers the basis of the shares bought
+//   - long call exercised: premium paid raises the basis of the shares bought
+//   - short call assigned: premium received adds to the proceeds of the shares sold
+//   - long put exercised:  premium paid comes off the proceeds of the shares sold
+// and the shares' holding period starts at assignment. Booking the premium as
+// separate option P&L overstated option income and understated the stock's.
+//
+// linkAssignments() finds each assignment/exercise row, the stock trade it
+// produced (same broker, same underlying, same day, the matching side), and
+// moves the premium for the contracts settled into that stock trade's price.
+// The option row becomes a close at exactly the premium, so those contracts
+// net to zero and drop out of option P&L. An assignment with no stock trade
+// to match is left as it was.
+//
+// Used by both taxCalculator.js and pnlCalculator.js so the Tax Center and the
+// P&L views agree. Idempotent: linked rows carry `assignment` and are skipped.
+
+import { parseOptionDescription } from './optionUtils.js'
+
+const EPS = 0.0000001
+const SETTLEMENT_CODES = new Set(['OASGN', 'OEXC'])
+
+const toDay = (d) => {
+  const dt = d instanceof Date ? d : new Date(d)
+  if (isNaN(dt)) return String(d || '').slice(0, 10)
+  return `${dt.getFullYear()}-${String(dt.getMonth() + 1).padStart(2, '0')}-${String(dt.getDate()).padStart(2, '0')}`
+}
+const brokerOf = (t) => t.broker || 'robinhood'
+const codeOf = (t) => String(t.transCode || '').toUpperCase()
+
+/**
+ * @param trades  the app's trade list (options as quantity 1, price = amount,
+ *   `contracts` the real count)
+ * @returns { trades, links: [{ optionSymbol, kind: 'assigned' | 'exercised',
+ *   type: 'put' | 'call', contracts, premium, stockIndex }] } — `trades` is a
+ *   new array in the same order; only linked rows are replaced by copies.
+ */
+export function linkAssignments(trades = []) {
+  const out = [...trades]
+  const links = []
+  if (!trades.some((t) => t.isOption && SETTLEMENT_CODES.has(codeOf(t)))) return { trades: out, links }
+
+  // Each option contract's rows in date order, by index into `trades`.
+  const byContract = new Map()
+  trades.forEach((t, i) => {
+    if (!t.isOption) return
+    const k = `${brokerOf(t)}::${t.symbol}`
+    if (!byContract.has(k)) byContract.set(k, [])
+    byContract.get(k).push(i)
+  })
+  // Stock trades by broker, ticker and day — where an assignment's leg is.
+  const stockByDay = new Map()
+  const taken = new Set()
+  trades.forEach((s, j) => {
+    if (s.isOption) return
+    if (s.assignment) taken.add(j)
+    const k = `${brokerOf(s)}|${s.symbol}|${toDay(s.date)}`
+    if (!stockByDay.has(k)) stockByDay.set(k, [])
+    stockByDay.get(k).push(j)
+  })
+
+  for (const indexes of byContract.values()) {
+    indexes.sort((a, b) => new Date(trades[a].date) - new Date(trades[b].date) || a - b)
+    let position = 0 // contracts: long positive, short negative
+    let openPremium = 0 // dollars paid or received for the open contracts
+    const close = (n) => {
+      const share = Math.min(n / Math.abs(position), 1)
+      const premium = openPremium * share
+      openPremium -= premium
+      position -= Math.sign(position) * Math.min(n, Math.abs(position))
+      return premium
+    }
+
+    for (const i of indexes) {
+      const t = trades[i]
+      const n = Math.abs(t.contracts || 1)
+      const code = codeOf(t)
+      if (code === 'OEXP' || (t.isExpiry && !SETTLEMENT_CODES.has(code))) {
+        if (position) close(n)
+        continue
+      }
+      if (!SETTLEMENT_CODES.has(code) || t.assignment) {
+        const side = t.isBuy ? 1 : -1
+        if (position === 0 || Math.sign(position) === side) {
+          position += side * n
+          openPremium += Math.abs(t.amount || 0)
+        } else {
+          close(n)
+        }
+        continue
+      }
+      if (!position) continue
+
+      const short = position < 0
+      const settled = Math.min(n, Math.abs(position))
+      const parsed = parseOptionDescription(t.symbol || t.description || '')
+      if (!parsed) {
+        close(settled)
+        continue
+      }
+      // The stock leg: a put assigned or a call exercised buys the shares.
+      const buys = (parsed.type === 'put') === short
+      const candidates = (stockByDay.get(`${brokerOf(t)}|${parsed.ticker}|${toDay(t.date)}`) || [])
+        .filter((j) => !taken.has(j) && !!trades[j].isBuy === buys)
+        .map((j) => ({ s: trades[j], j }))
+      const match = candidates.find(({ s }) => Math.abs(Math.abs(s.quantity) - settled * 100) < EPS) || candidates[0]
+      const premium = close(settled)
+      if (!match) continue
+
+      const { s, j } = match
+      taken.add(j)
+      const shares = Math.abs(s.quantity) || settled * 100
+      // Received premium makes the shares cheaper to buy or dearer to sell;
+      // paid premium the opposite.
+      const perShare = premium / shares
+      const delta = (buys === short ? -1 : 1) * perShare
+      const kind = short ? 'assigned' : 'exercised'
+      out[j] = {
+        ...s,
+        price: s.price + delta,
+        amount: s.amount == null ? s.amount : Math.sign(s.amount || 1) * (Math.abs(s.amount) + delta * shares),
+        assignment: { optionSymbol: t.symbol, kind, type: parsed.type, contracts: settled, premium, perShare }
+      }
+      // Close the option at exactly its premium so these contracts net to zero.
+      out[i] = { ...t, isBuy: short, price: premium, amount: premium, assignment: { stockIndex: j, kind, premium } }
+      links.push({ optionSymbol: t.symbol, kind, type: parsed.type, contracts: settled, premium, stockIndex: j })
+    }
+  }
+  return { trades: out, links }
+}
@@ -0,0 +1,101 @@
+/**
+ * Option assignment and exercise rolled into the stock trade.
+ * Run: node src/utils/assignments.test.mjs
+ *
+ * An assigned put's premium was booked as option income and the shares kept
+ * the strike as their basis. These check that the premium moves into the
+ * stock's basis or proceeds for each of the four cases, only for the contracts
+ * actually settled, and that the P&L and tax engines both see it.
+ */
+import assert from 'node:assert/strict'
+import { linkAssignments } from './assignments.js'
+import { buildTaxBase, summarizeTaxYear } from './taxCalculator.js'
+import { calculatePnL } from './pnlCalculator.js'
+
+let passed = 0
+const test = (name, fn) => {
+  try { fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+const quiet = (fn) => { const log = console.log; console.log = () => {}; try { return fn() } finally { console.log = log } }
+
+const PUT = 'AAPL 03/20/2026 Put $150.00'
+const CALL = 'AAPL 03/20/2026 Call $150.00'
+const stock = (o) => ({ symbol: 'AAPL', isOption: false, quantity: 100, price: 150, amount: 15000, isBuy: true, transCode: 'Buy', date: '2026-03-20', broker: 'robinhood', ...o })
+const opt = (o) => ({ symbol: PUT, isOption: true, quantity: 1, contracts: 1, isBuy: false, transCode: 'STO', date: '2026-02-02', broker: 'robinhood', ...o, price: o.amount ?? 0, amount: o.amount ?? 0 })
+const settle = (code = 'OASGN', o = {}) => opt({ transCode: code, isExpiry: true, date: '2026-03-20', ...o })
+
+const shortPut = [opt({ amount: 300 }), settle(), stock({})]
+
+console.log('\nLinking')
+
+test('an assigned put\'s premium lowers the basis of the shares bought', () => {
+  const { trades, links } = linkAssignments(shortPut)
+  assert.equal(trades[2].price, 147)
+  assert.equal(trades[2].amount, 14700)
+  assert.equal(trades[2].assignment.kind, 'assigned')
+  assert.deepEqual([trades[1].isBuy, trades[1].amount], [true, 300], 'the put closes at its premium')
+  assert.equal(links.length, 1)
+})
+
+test('an assigned call\'s premium adds to the proceeds of the shares sold', () => {
+  const { trades } = linkAssignments([opt({ symbol: CALL, amount: 200 }), settle('OASGN', { symbol: CALL }), stock({ isBuy: false, transCode: 'Sell' })])
+  assert.equal(trades[2].price, 152)
+})
+
+test('exercising a call adds its premium to the basis; a put takes it off the proceeds', () => {
+  const call = linkAssignments([opt({ symbol: CALL, isBuy: true, transCode: 'BTO', amount: 500 }), settle('OEXC', { symbol: CALL }), stock({})])
+  assert.equal(call.trades[2].price, 155)
+  assert.equal(call.trades[1].isBuy, false)
+  const put = linkAssignments([opt({ isBuy: true, transCode: 'BTO', amount: 400 }), settle('OEXC'), stock({ isBuy: false, transCode: 'Sell' })])
+  assert.equal(put.trades[2].price, 146)
+  assert.equal(put.links[0].kind, 'exercised')
+})
+
+test('only the settled contracts\' premium moves', () => {
+  const { trades } = linkAssignments([
+    opt({ contracts: 2, amount: 600 }),
+    opt({ isBuy: true, transCode: 'BTC', amount: 100, date: '2026-03-01' }),
+    settle(),
+    stock({})
+  ])
+  assert.equal(trades[3].price, 147)
+  assert.equal(trades[2].amount, 300)
+})
+
+test('a leg on another day, broker or side isn\'t linked', () => {
+  for (const leg of [stock({ date: '2026-03-23' }), stock({ broker: 'webull' }), stock({ isBuy: false })]) {
+    const { trades, links } = linkAssignments([opt({ amount: 300 }), settle(), leg])
+    assert.equal(links.length, 0)
+    assert.equal(trades[2], leg)
+  }
+})
+
+test('linking twice changes nothing more', () => {
+  const once = linkAssignments(shortPut).trades
+  assert.deepEqual(linkAssignments(once).trades, once)
+})
+
+console.log('\nTax and P&L')
+
+test('the shares carry the premium and the put has no P&L of its own', () => {
+  const base = buildTaxBase([...shortPut, stock({ isBuy: false, transCode: 'Sell', price: 160, amount: 16000, date: '2027-03-22' })], [])
+  assert.equal(summarizeTaxYear(base, 2026).optionsRealized.length, 0)
+  const sale = summarizeTaxYear(base, 2027).stockRealized[0]
+  assert.equal(sale.costBasis, 14700)
+  assert.equal(sale.gain, 1300)
+  assert.equal(sale.term, 'long', 'held from assignment, 2026-03-20')
+})
+
+test('an assignment with no stock leg is still booked as option P&L', () => {
+  const s = summarizeTaxYear(buildTaxBase([opt({ amount: 300 }), settle()], []), 2026)
+  assert.equal(s.optionsRealized[0].gain, 300)
+})
+
+test('the P&L views move the premium to the stock too', () => {
+  const [aapl] = quiet(() => calculatePnL(shortPut, { AAPL: 150 }))
+  assert.equal(aapl.optionsPnL, 0)
+  assert.equal(aapl.avgCost.avgCostBasis, 147)
+})
+
+console.log(`\n${passed} passed\n`)
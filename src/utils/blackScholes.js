@@ -0,0 +1,160 @@
+/**
+ * Black-Scholes pricing and implied-vol inversion.
+ *
+ * Used for two jobs:
+ *  - marking illiquid contracts when the data plan serves no live quote
+ *  - repricing options during pre/post market, where the underlying trades but
+ *    the option doesn't. There we calibrate sigma to the contract's own 4pm
+ *    closing mark, then hold it constant and move only the underlying. Because
+ *    sigma is calibrated, bsPrice(S_close, sigma) reproduces the closing mark
+ *    exactly, so the estimate is continuous with the close instead of jumping
+ *    to a model price at 4pm.
+ *
+ * Copy of server/utils/blackScholes.js; change both.
+ */
+
+export const RISK_FREE_RATE = 0.045
+
+// Abramowitz & Stegun 26.2.17 — accurate to ~7.5e-8, plenty for marking.
+export function normCdf(x) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(x))
+  const d = 0.3989422804014327 * Math.exp(-x * x / 2)
+  const p = d * t * (0.31938153 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))))
+  return x > 0 ? 1 - p : p
+}
+
+export function bsCall(S, K, T, r, sig) {
+  if (T <= 0 || sig <= 0 || S <= 0 || K <= 0) return Math.max(0, S - K)
+  const d1 = (Math.log(S / K) + (r + sig * sig / 2) * T) / (sig * Math.sqrt(T))
+  const d2 = d1 - sig * Math.sqrt(T)
+  return S * normCdf(d1) - K * Math.exp(-r * T) * normCdf(d2)
+}
+
+// Put-call parity: P = C - S + K·e^(-rT)
+export function bsPut(S, K, T, r, sig) {
+  if (T <= 0 || sig <= 0 || S <= 0 || K <= 0) return Math.max(0, K - S)
+  return bsCall(S, K, T, r, sig) - S + K * Math.exp(-r * T)
+}
+
+export function bsPrice(type, S, K, T, r, sig) {
+  return type === 'put' ? bsPut(S, K, T, r, sig) : bsCall(S, K, T, r, sig)
+}
+
+/**
+ * Invert price → sigma by bisection. Price is monotonically increasing in vol
+ * for both calls and puts, so one search serves either.
+ *
+ * Returns 0 when inputs are unusable. A return at the solver bounds (0.001 or 5)
+ * means the price is outside what any vol can produce — usually a stale or
+ * crossed quote — and callers should reject it rather than store it.
+ */
+export function impliedVol(price, S, K, T, r, type = 'call') {
+  if (price <= 0 || S <= 0 || K <= 0 || T <= 0) return 0
+  let lo = 0.001, hi = 5, mid = 0
+  if (price <= bsPrice(type, S, K, T, r, lo)) return lo
+  if (price >= bsPrice(type, S, K, T, r, hi)) return hi
+  for (let i = 0; i < 64; i++) {
+    mid = (lo + hi) / 2
+    const p = bsPrice(type, S, K, T, r, mid)
+    if (Math.abs(p - price) < 1e-4) return mid
+    if (p < price) lo = mid; else hi = mid
+  }
+  return mid
+}
+
+export function impliedVolCall(price, S, K, T, r) {
+  return impliedVol(price, S, K, T, r, 'call')
+}
+
+/**
+ * Reprice a contract from its last known mark after the underlying moved.
+ *
+ * Uses Black-Scholes for the *change* only, anchoring the level on the real
+ * closing mark:
+ *
+ *     estMark = closeMark + [ BS(S1, T1) - BS(S0, T0) ]
+ *
+ * When sigma was calibrated to closeMark the bracket's second term equals
+ * closeMark, so this reduces to plain BS repricing. The difference form matters
+ * when sigma is poorly determined — a deep ITM contract is nearly all intrinsic,
+ * so its price carries almost no vol information and the solver pins near zero.
+ * Repricing off that degenerate sigma directly would throw away the extrinsic
+ * still in the mark; taking the difference instead gives the change in intrinsic,
+ * which is exactly right for a delta-1 contract, and preserves the real level.
+ *
+ * Returns null if inputs are unusable. Never returns less than intrinsic.
+ */
+export function repriceFromClose({ type, closeMark, S0, S1, K, T0, T1, sigma, r = RISK_FREE_RATE }) {
+  if (!(closeMark >= 0) || !(S0 > 0) || !(S1 > 0) || !(K > 0) || !(T1 > 0)) return null
+  if (!(sigma > 0)) return null
+  const before = bsPrice(type, S0, K, T0, r, sigma)
+  const after = bsPrice(type, S1, K, T1, r, sigma)
+  const est = closeMark + (after - before)
+  const intrinsic = type === 'put' ? Math.max(0, K - S1) : Math.max(0, S1 - K)
+  return Math.max(intrinsic, est, 0)
+}
+
+// ── Greeks ────────────────────────────────────────────────────────────────
+// Per share of one contract, in the units a trader reads them in: theta per
+// calendar day, vega per vol point (0.01 sigma), rho per rate point (0.01 r).
+// Multiply by 100 × contracts for a position. No dividend yield, like the
+// pricing above.
+
+export function normPdf(x) {
+  return 0.3989422804014327 * Math.exp(-x * x / 2)
+}
+
+// Past expiry, or with no vol, a contract is its intrinsic value: delta is 1
+// in the money and 0 out of it, and nothing else moves it.
+const degenerate = (S, K, T, sig) => T <= 0 || sig <= 0 || S <= 0 || K <= 0
+
+function d1d2(S, K, T, r, sig) {
+  const d1 = (Math.log(S / K) + (r + sig * sig / 2) * T) / (sig * Math.sqrt(T))
+  return [d1, d1 - sig * Math.sqrt(T)]
+}
+
+export function bsDelta(type, S, K, T, r, sig) {
+  if (degenerate(S, K, T, sig)) return type === 'put' ? (S < K ? -1 : 0) : (S > K ? 1 : 0)
+  const [d1] = d1d2(S, K, T, r, sig)
+  return type === 'put' ? normCdf(d1) - 1 : normCdf(d1)
+}
+
+// Same for calls and puts.
+export function bsGamma(S, K, T, r, sig) {
+  if (degenerate(S, K, T, sig)) return 0
+  const [d1] = d1d2(S, K, T, r, sig)
+  return normPdf(d1) / (S * sig * Math.sqrt(T))
+}
+
+export function bsTheta(type, S, K, T, r, sig) {
+  if (degenerate(S, K, T, sig)) return 0
+  const [d1, d2] = d1d2(S, K, T, r, sig)
+  const decay = -S * normPdf(d1) * sig / (2 * Math.sqrt(T))
+  const carry = r * K * Math.exp(-r * T)
+  const perYear = type === 'put' ? decay + carry * normCdf(-d2) : decay - carry * normCdf(d2)
+  return perYear / 365
+}
+
+// Same for calls and puts.
+export function bsVega(S, K, T, r, sig) {
+  if (degenerate(S, K, T, sig)) return 0
+  const [d1] = d1d2(S, K, T, r, sig)
+  return S * normPdf(d1) * Math.sqrt(T) / 100
+}
+
+export function bsRho(type, S, K, T, r, sig) {
+  if (degenerate(S, K, T, sig)) return 0
+  const [, d2] = d1d2(S, K, T, r, sig)
+  const pv = K * T * Math.exp(-r * T)
+  return (type === 'put' ? -pv * normCdf(-d2) : pv * normCdf(d2)) / 100
+}
+
+export function bsGreeks(type, S, K, T, r, sig) {
+  return {
+    delta: bsDelta(type, S, K, T, r, sig),
+    gamma: bsGamma(S, K, T, r, sig),
+    theta: bsTheta(type, S, K, T, r, sig),
+    vega: bsVega(S, K, T, r, sig),
+    rho: bsRho(type, S, K, T, r, sig),
+  }
+}
@@ -1,4 +1,7 @@
 import Papa from 'papaparse'
+import { classifyCashRow, netPrincipal } from './cashLedger.js'
+import { tagDripBuys } from './drip.js'
+import { IN_LIEU_CODE } from './shortSales.js'
 
 // Helper function to clean and parse currency values
 const parseCurrency = (value) => {
@@ -103,30 +106,42 @@ export const parseTrades = (file) => {
               if (!['CDIV', 'MDIV', 'INT', 'MINT'].includes(transCode)) return null
               const instrument = row['Instrument'] || row['Symbol'] || ''
               const amount = parseCurrency(row['Amount'] || 0)
+              // Margin interest charged — a cost, read into the cash ledger by
+              // parseDeposits. Taken as income it was counted the wrong way round.
+              if (amount < 0 && (transCode === 'INT' || transCode === 'MINT')) return null
+              // A dividend with a minus sign was paid to the lender of shares
+              // we're short (shortSales.js) — a charge, so it keeps its sign.
+              const inLieu = amount < 0
+              const code = inLieu ? IN_LIEU_CODE : transCode
               const dateStr = row['Process Date'] || row['Activity Date'] || row['Date'] || row['Trade Date']
               return {
                 id: index,
                 date: new Date(dateStr),
                 symbol: instrument.trim(),
-                amount: Math.abs(amount),
-                transCode,
-                isDividend: transCode === 'CDIV' || transCode === 'MDIV',
-                isInterest: transCode === 'INT' || transCode === 'MINT',
+                amount: inLieu ? amount : Math.abs(amount),
+                transCode: code,
+                isDividend: code === 'CDIV' || code === 'MDIV',
+                isInterest: code === 'INT' || code === 'MINT',
+                isInLieu: inLieu,
                 description: row['Description'] || ''
               }
             })
             .filter(item => item !== null)
             .sort((a, b) => a.date - b.date)
 
+          // Reinvested dividends come through as plain Buys; tag them against
+          // the dividend rows that paid for them (drip.js).
+          const { trades: taggedTrades, tagged: dripCount } = tagDripBuys(validTrades, dividendsAndInterest)
+
           // Count options for debugging
           const optionCount = validTrades.filter(t => t.isOption).length
           const stockCount = validTrades.filter(t => !t.isOption).length
-          console.log(`📊 CSV Parsed: ${stockCount} stock trades, ${optionCount} option trades, ${dividendsAndInterest.length} dividends/interest`)
+          console.log(`📊 CSV Parsed: ${stockCount} stock trades (${dripCount} dividend reinvestments), ${optionCount} option trades, ${dividendsAndInterest.length} dividends/interest`)
 
           if (validTrades.length === 0) {
             reject(new Error('No valid trades found in CSV. Please check the file format.'))
           } else {
-            resolve({ trades: validTrades, dividendsAndInterest })
+            resolve({ trades: taggedTrades, dividendsAndInterest })
           }
         } catch (error) {
           reject(new Error(`Error parsing CSV: ${error.message}`))
@@ -139,7 +154,14 @@ export const parseTrades = (file) => {
   })
 }
 
-// Parse ACH deposits from CSV to calculate total principal
+// Codes whose cash is accounted for elsewhere — settlements close option
+// positions, and dividends and interest earned are income.
+const EXPIRY_CODES = new Set(['OEXP', 'OASGN', 'OEXC'])
+const INCOME_CODES = new Set(['CDIV', 'MDIV', 'INT', 'MINT'])
+
+// Every cash row that isn't a trade or income: deposits, for total principal,
+// and the typed cash ledger (withdrawals, fees, margin interest charged — see
+// cashLedger.js) for the rest.
 export const parseDeposits = (file) => {
   return new Promise((resolve, reject) => {
     Papa.parse(file, {
@@ -147,30 +169,34 @@ export const parseDeposits = (file) => {
       skipEmptyLines: true,
       complete: (results) => {
         try {
-          const deposits = results.data
-            .filter(row => {
-              const description = (row['Description'] || '').toLowerCase()
-              return description.includes('ach deposit')
-            })
-            .map(row => {
-              const amount = parseCurrency(row['Amount'] || 0)
-              const dateStr = row['Activity Date'] || row['Date'] || row['Trade Date']
-              const date = new Date(dateStr)
-
-              return {
-                date,
-                amount: Math.abs(amount),
-                description: row['Description']
-              }
-            })
-            .filter(d => d.amount > 0)
-            .sort((a, b) => a.date - b.date)
-
-          const totalPrincipal = deposits.reduce((sum, d) => sum + d.amount, 0)
+          const deposits = []
+          const cashLedger = []
+          results.data.forEach(row => {
+            const code = (row['Trans Code'] || '').toUpperCase()
+            const amount = parseCurrency(row['Amount'] || 0)
+            if (EXPIRY_CODES.has(code)) return
+            // Interest with a minus sign is interest charged, not earned. A
+            // dividend with one is still read with the dividends (in lieu).
+            if (INCOME_CODES.has(code) && !(amount < 0 && (code === 'INT' || code === 'MINT'))) return
+            // Anything with a size and a price is a trade, whatever its code.
+            const quantity = Math.abs(parseCurrency(row['Quantity'] || 0))
+            const price = Math.abs(parseCurrency(row['Price'] || 0))
+            if (quantity > 0 && price > 0) return
+
+            const description = row['Description'] || ''
+            const type = classifyCashRow({ code, text: description, amount })
+            if (!type) return
+            const date = new Date(row['Activity Date'] || row['Date'] || row['Trade Date'])
+            if (type === 'deposit') deposits.push({ date, amount, description })
+            else cashLedger.push({ date, type, amount, transCode: code, description })
+          })
+          deposits.sort((a, b) => a.date - b.date)
+          cashLedger.sort((a, b) => a.date - b.date)
 
           resolve({
             deposits,
-            totalPrincipal
+            cashLedger,
+            totalPrincipal: netPrincipal(deposits, cashLedger)
           })
         } catch (error) {
           reject(new Error(`Error parsing deposits: ${error.message}`))
@@ -0,0 +1,315 @@
+// Dividend income for the Dividends panel.
+//
+// Works from the CDIV/MDIV rows the CSV parsers already pull out
+// (dividendsAndInterest) and the stock trades, and answers four questions:
+// what each holding has paid, what came in over the trailing twelve months,
+// how much of each payment looks qualified, and what the holdings should pay
+// over the next year.
+//
+// Qualified: a dividend is taxed at the long-term rate only if the shares were
+// held more than 60 days of the 121-day window that starts 60 days before the
+// ex-dividend date (IRS Pub. 550; the day of purchase doesn't count, the day
+// of sale does). Broker exports carry the pay date, not the ex-date, so unless
+// a payment has an `exDate` it's estimated as EX_DATE_LAG_DAYS before payment.
+// Shares are matched first-in, first-out, per broker.
+//
+// IMPORTANT: informational only, NOT tax advice. The 1099-DIV box 1b is the
+// authority; this is for seeing it coming. Hedged positions and preferred
+// stock's 91-day rule aren't modelled.
+
+const round2 = (n) => Math.round((n + Number.EPSILON) * 100) / 100
+// A 'YYYY-MM-DD' is that calendar day at local noon, like addDays builds —
+// new Date() would make it UTC midnight, the day before in US time, and every
+// day count below is on local calendar days.
+const toDate = (d) => {
+  if (d instanceof Date) return d
+  const m = typeof d === 'string' && d.match(/^(\d{4})-(\d{2})-(\d{2})$/)
+  return m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]), 12) : new Date(d)
+}
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+const EPS = 0.0000001
+const pad = (n) => String(n).padStart(2, '0')
+const ymd = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`
+const brokerOf = (x) => x.broker || 'robinhood'
+// Whole calendar days from a to b, so times of day and DST don't matter.
+const dayDiff = (a, b) => Math.round(
+  (Date.UTC(b.getFullYear(), b.getMonth(), b.getDate()) - Date.UTC(a.getFullYear(), a.getMonth(), a.getDate())) / MS_PER_DAY
+)
+const addDays = (d, n) => new Date(d.getFullYear(), d.getMonth(), d.getDate() + n, 12)
+
+// Typical gap between ex-date and pay date for US common stock. Short enough
+// not to push a real ex-date inside a 60-day holding, long enough that a
+// buy a week before payment isn't counted as entitled.
+export const EX_DATE_LAG_DAYS = 14
+export const HOLDING_WINDOW_DAYS = 60 // each side of the ex-date
+export const REQUIRED_HOLDING_DAYS = 61 // more than 60
+
+// Payment cadences by median gap between payments, in days.
+export const CADENCES = [
+  { key: 'monthly', perYear: 12, maxGap: 45 },
+  { key: 'quarterly', perYear: 4, maxGap: 135 },
+  { key: 'semiannual', perYear: 2, maxGap: 250 },
+  { key: 'annual', perYear: 1, maxGap: Infinity }
+]
+
+/**
+ * How often a holding pays, from its pay dates.
+ *
+ * @returns { key, perYear, gapDays } or null when there are fewer than two
+ *   payments to measure a gap from
+ */
+export function detectCadence(dates = []) {
+  const sorted = dates.map(toDate).sort((a, b) => a - b)
+  const gaps = []
+  for (let i = 1; i < sorted.length; i++) {
+    const g = dayDiff(sorted[i - 1], sorted[i])
+    // Two rows days apart are one payment split (a special, a correction),
+    // not a cadence.
+    if (g > 7) gaps.push(g)
+  }
+  if (!gaps.length) return null
+  gaps.sort((a, b) => a - b)
+  const mid = Math.floor(gaps.length / 2)
+  const gapDays = gaps.length % 2 ? gaps[mid] : (gaps[mid - 1] + gaps[mid]) / 2
+  const { key, perYear } = CADENCES.find((c) => gapDays <= c.maxGap)
+  return { key, perYear, gapDays: Math.round(gapDays) }
+}
+
+// Stock lots per broker and symbol, each with the day it was bought and, once
+// sold, the day it went. First in, first out.
+function buildLots(trades = []) {
+  const lots = new Map()
+  const stock = trades
+    .filter((t) => !t.isOption && t.symbol && Math.abs(t.quantity) > EPS)
+    .sort((a, b) => toDate(a.date) - toDate(b.date))
+  for (const t of stock) {
+    const k = `${brokerOf(t)}|${t.symbol}`
+    if (!lots.has(k)) lots.set(k, [])
+    const list = lots.get(k)
+    const date = toDate(t.date)
+    let qty = Math.abs(t.quantity)
+    if (t.isBuy) {
+      list.push({ qty, bought: date, sold: null })
+      continue
+    }
+    for (let i = 0; i < list.length && qty > EPS; i++) {
+      const lot = list[i]
+      if (lot.sold) continue
+      if (lot.qty <= qty + EPS) {
+        lot.sold = date
+        qty -= lot.qty
+      } else {
+        // Split the lot: the sold part keeps the purchase date.
+        list.splice(i + 1, 0, { qty: lot.qty - qty, bought: lot.bought, sold: null })
+        lot.qty = qty
+        lot.sold = date
+        qty = 0
+      }
+    }
+  }
+  return lots
+}
+
+/**
+ * The holding-period test for one payment.
+ *
+ * Entitled shares are those bought before the ex-date and still held at the
+ * start of it. Each lot's days in the window run from the day after purchase
+ * to the day of sale (or the window's end); a lot still held whose window
+ * hasn't closed by `asOf` is counted as if kept, and the payment marked
+ * pending.
+ *
+ * @returns { exDate, exDateEstimated, shares, qualifiedShares, qualifiedAmount,
+ *   nonQualifiedAmount, status: 'qualified' | 'partial' | 'nonqualified' | 'pending' | 'unknown' }
+ */
+export function qualifiedTest(payment, lots = [], { asOf = new Date() } = {}) {
+  const paid = toDate(payment.date)
+  const exDate = payment.exDate ? toDate(payment.exDate) : addDays(paid, -EX_DATE_LAG_DAYS)
+  const windowStart = addDays(exDate, -HOLDING_WINDOW_DAYS)
+  const windowEnd = addDays(exDate, HOLDING_WINDOW_DAYS)
+  const open = toDate(asOf) < windowEnd
+
+  let shares = 0
+  let qualifiedShares = 0
+  let pending = false
+  for (const lot of lots) {
+    if (dayDiff(lot.bought, exDate) <= 0) continue
+    if (lot.sold && dayDiff(lot.sold, exDate) > 0) continue
+    shares += lot.qty
+    const from = dayDiff(windowStart, lot.bought) >= 0 ? addDays(lot.bought, 1) : windowStart
+    const to = lot.sold && dayDiff(lot.sold, windowEnd) > 0 ? lot.sold : windowEnd
+    const days = dayDiff(from, to) + 1
+    if (days >= REQUIRED_HOLDING_DAYS) {
+      qualifiedShares += lot.qty
+      if (!lot.sold && open) pending = true
+    }
+  }
+
+  const amount = payment.amount || 0
+  const base = { exDate: ymd(exDate), exDateEstimated: !payment.exDate, shares: round2(shares), qualifiedShares: round2(qualifiedShares) }
+  if (shares < EPS) {
+    // No shares on record at the ex-date — bought before the trade history
+    // starts, or transferred in. Nothing to test, so it's left unclassified.
+    return { ...base, qualifiedAmount: 0, nonQualifiedAmount: 0, status: 'unknown' }
+  }
+  const share = Math.min(qualifiedShares / shares, 1)
+  const qualifiedAmount = round2(amount * share)
+  let status = 'nonqualified'
+  if (share >= 1 - EPS) status = pending ? 'pending' : 'qualified'
+  else if (share > EPS) status = 'partial'
+  return { ...base, qualifiedAmount, nonQualifiedAmount: round2(amount - qualifiedAmount), status }
+}
+
+/**
+ * Dividend history per holding.
+ *
+ * @param items   dividendsAndInterest rows; interest rows are ignored
+ * @param trades  stock trades, for the holding-period test and per-share amounts
+ * @returns [{ key, symbol, broker, payments: [{ date, amount, transCode,
+ *   perShare, ...qualifiedTest() }], total, ttm, cadence, lastDate,
+ *   lastPerShare }] — largest trailing-twelve-month income first
+ */
+export function dividendHistory(items = [], trades = [], { asOf = new Date() } = {}) {
+  const now = toDate(asOf)
+  const yearAgo = new Date(now.getFullYear() - 1, now.getMonth(), now.getDate())
+  const lots = buildLots(trades)
+  const groups = new Map()
+  for (const d of items) {
+    if (!d.isDividend || !d.symbol) continue
+    const k = `${brokerOf(d)}|${d.symbol}`
+    if (!groups.has(k)) groups.set(k, { key: k, symbol: d.symbol, broker: brokerOf(d), payments: [] })
+    groups.get(k).payments.push(d)
+  }
+
+  const out = []
+  for (const g of groups.values()) {
+    const payments = g.payments
+      .sort((a, b) => toDate(a.date) - toDate(b.date))
+      .map((d) => {
+        const test = qualifiedTest(d, lots.get(g.key) || [], { asOf: now })
+        return {
+          id: d.id,
+          date: ymd(toDate(d.date)),
+          amount: round2(d.amount || 0),
+          transCode: d.transCode,
+          perShare: test.shares > EPS ? (d.amount || 0) / test.shares : null,
+          ...test
+        }
+      })
+    const total = round2(payments.reduce((s, p) => s + p.amount, 0))
+    const ttm = round2(payments
+      .filter((p) => new Date(`${p.date}T12:00:00`) > yearAgo && new Date(`${p.date}T12:00:00`) <= now)
+      .reduce((s, p) => s + p.amount, 0))
+    const last = payments[payments.length - 1]
+    const lastWithShares = [...payments].reverse().find((p) => p.perShare != null)
+    out.push({
+      ...g,
+      payments,
+      total,
+      ttm,
+      cadence: detectCadence(payments.map((p) => new Date(`${p.date}T12:00:00`))),
+      lastDate: last.date,
+      lastAmount: last.amount,
+      lastPerShare: lastWithShares ? lastWithShares.perShare : null
+    })
+  }
+  return out.sort((a, b) => b.ttm - a.ttm || b.total - a.total)
+}
+
+/**
+ * Trailing-twelve-month dividend income, and how it splits by the holding test.
+ */
+export function trailingIncome(history = [], { asOf = new Date() } = {}) {
+  const now = toDate(asOf)
+  const yearAgo = new Date(now.getFullYear() - 1, now.getMonth(), now.getDate())
+  let total = 0
+  let qualified = 0
+  let nonQualified = 0
+  let unknown = 0
+  for (const h of history) {
+    for (const p of h.payments) {
+      const d = new Date(`${p.date}T12:00:00`)
+      if (d <= yearAgo || d > now) continue
+      total += p.amount
+      if (p.status === 'unknown') unknown += p.amount
+      else {
+        qualified += p.qualifiedAmount
+        nonQualified += p.nonQualifiedAmount
+      }
+    }
+  }
+  return { total: round2(total), qualified: round2(qualified), nonQualified: round2(nonQualified), unknown: round2(unknown) }
+}
+
+/**
+ * Forward income per current holding, and the payments it should bring.
+ *
+ * Next pay dates step forward from the last one by the holding's cadence, at
+ * the last per-share amount times the shares held now. A holding that has paid
+ * only once has no cadence and isn't projected. Without a per-share amount
+ * (no trade history behind the last payment) the last amount is repeated.
+ *
+ * @param holdings  /api/stock-positions-with-prices rows: { symbol, position,
+ *   avgCost, currentPrice }; with broker 'all' these are summed across brokers
+ * @returns { rows: [{ symbol, shares, cadence, perShare, annual, costBasis,
+ *   yieldOnCost, currentYield, ttm, ttmYieldOnCost }], calendar: [{ date,
+ *   symbol, amount }], annual }
+ */
+export function forwardIncome(history = [], holdings = [], { asOf = new Date(), months = 12 } = {}) {
+  const now = toDate(asOf)
+  const horizon = new Date(now.getFullYear(), now.getMonth() + months, now.getDate(), 23, 59, 59)
+  // The holdings endpoint isn't per broker when the filter is 'all', so
+  // history is folded to the symbol: the latest payment anywhere sets the
+  // rate, trailing income adds up.
+  const bySymbol = new Map()
+  for (const h of history) {
+    const cur = bySymbol.get(h.symbol)
+    if (!cur) bySymbol.set(h.symbol, { ...h })
+    else {
+      const newer = h.lastDate > cur.lastDate ? h : cur
+      bySymbol.set(h.symbol, {
+        ...newer,
+        ttm: round2(cur.ttm + h.ttm),
+        cadence: newer.cadence || cur.cadence || h.cadence,
+        lastPerShare: newer.lastPerShare ?? cur.lastPerShare ?? h.lastPerShare
+      })
+    }
+  }
+
+  const rows = []
+  const calendar = []
+  for (const hold of holdings) {
+    const shares = Number(hold.position) || 0
+    const h = bySymbol.get(hold.symbol)
+    if (shares <= EPS || !h) continue
+    const costBasis = hold.avgCost > 0 ? round2(shares * hold.avgCost) : null
+    const perShare = h.lastPerShare
+    const perPayment = perShare != null ? perShare * shares : h.lastAmount
+    const annual = h.cadence ? round2(perPayment * h.cadence.perYear) : null
+    rows.push({
+      symbol: hold.symbol,
+      shares,
+      cadence: h.cadence,
+      perShare: perShare != null ? round2(perShare * 10000) / 10000 : null,
+      annual,
+      costBasis,
+      yieldOnCost: annual != null && costBasis ? annual / costBasis : null,
+      currentYield: annual != null && hold.currentPrice > 0 ? annual / (shares * hold.currentPrice) : null,
+      ttm: h.ttm,
+      ttmYieldOnCost: costBasis ? h.ttm / costBasis : null
+    })
+    if (!h.cadence) continue
+    const last = new Date(`${h.lastDate}T12:00:00`)
+    // Step by whole months for regular cadences so a 15th stays the 15th.
+    const stepMonths = 12 / h.cadence.perYear
+    for (let n = 1; ; n++) {
+      const next = new Date(last.getFullYear(), last.getMonth() + stepMonths * n, last.getDate(), 12)
+      if (next > horizon) break
+      if (next <= now) continue
+      calendar.push({ date: ymd(next), symbol: hold.symbol, amount: round2(perPayment) })
+    }
+  }
+  calendar.sort((a, b) => a.date.localeCompare(b.date) || a.symbol.localeCompare(b.symbol))
+  rows.sort((a, b) => (b.annual || 0) - (a.annual || 0))
+  return { rows, calendar, annual: round2(rows.reduce((s, r) => s + (r.annual || 0), 0)) }
+}
@@ -0,0 +1,139 @@
+/**
+ * Dividend history, the qualified holding-period test and forward income.
+ * Run: node src/utils/dividends.test.mjs
+ *
+ * Dividends were only ever a yearly total on the Tax Center. These pin the
+ * 61-of-121-days test at its edges, the cadence detection the forward
+ * calendar is built on, and yield on cost against the holdings endpoint.
+ */
+import assert from 'node:assert/strict'
+import { detectCadence, qualifiedTest, dividendHistory, trailingIncome, forwardIncome } from './dividends.js'
+
+let passed = 0
+const test = (name, fn) => {
+  try { fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+
+const day = (s) => new Date(`${s}T12:00:00`)
+const div = (date, amount, o = {}) => ({ date: day(date), symbol: 'KO', amount, transCode: 'CDIV', isDividend: true, isInterest: false, broker: 'robinhood', ...o })
+const buy = (date, quantity, o = {}) => ({ date: day(date), symbol: 'KO', quantity, price: 60, isBuy: true, isOption: false, broker: 'robinhood', ...o })
+const sell = (date, quantity, o = {}) => buy(date, quantity, { isBuy: false, ...o })
+const lot = (bought, qty, sold = null) => ({ qty, bought: day(bought), sold: sold && day(sold) })
+const ASOF = day('2026-10-01')
+
+console.log('\nCadence')
+
+test('quarterly, monthly and annual payers are told apart by the median gap', () => {
+  assert.equal(detectCadence(['2025-04-01', '2025-07-01', '2025-10-01', '2026-01-01'].map(day)).key, 'quarterly')
+  assert.equal(detectCadence(['2026-01-15', '2026-02-15', '2026-03-16', '2026-04-15'].map(day)).perYear, 12)
+  assert.equal(detectCadence(['2024-06-01', '2025-06-02'].map(day)).key, 'annual')
+})
+
+test('one payment has no cadence, and rows days apart are one payment', () => {
+  assert.equal(detectCadence([day('2026-04-01')]), null)
+  assert.equal(detectCadence(['2026-04-01', '2026-04-03'].map(day)), null)
+})
+
+console.log('\nQualified holding period')
+
+test('shares held well before and after the ex-date qualify', () => {
+  const r = qualifiedTest(div('2026-04-01', 50), [lot('2025-01-10', 100)], { asOf: ASOF })
+  assert.equal(r.status, 'qualified')
+  assert.equal(r.qualifiedAmount, 50)
+  assert.equal(r.shares, 100)
+  assert.equal(r.exDateEstimated, true)
+})
+
+test('61 days in the window qualifies, 60 does not', () => {
+  // Ex-date 2026-03-18; bought the day before it, so the window counts from
+  // the ex-date itself. Sold 60 days later is 61 days held.
+  const exDate = '2026-03-18'
+  const pay = div('2026-04-01', 50, { exDate })
+  assert.equal(qualifiedTest(pay, [lot('2026-03-17', 100, '2026-05-17')], { asOf: ASOF }).status, 'qualified')
+  assert.equal(qualifiedTest(pay, [lot('2026-03-17', 100, '2026-05-16')], { asOf: ASOF }).status, 'nonqualified')
+})
+
+test('only the lots that pass count, pro rata', () => {
+  const pay = div('2026-04-01', 30, { exDate: '2026-03-18' })
+  const r = qualifiedTest(pay, [lot('2025-06-01', 100), lot('2026-03-10', 50, '2026-03-25')], { asOf: ASOF })
+  assert.equal(r.status, 'partial')
+  assert.equal(r.shares, 150)
+  assert.equal(r.qualifiedAmount, 20)
+  assert.equal(r.nonQualifiedAmount, 10)
+})
+
+test('bought on the ex-date or sold before it is not entitled', () => {
+  const pay = div('2026-04-01', 30, { exDate: '2026-03-18' })
+  const r = qualifiedTest(pay, [lot('2026-03-18', 100), lot('2025-01-01', 100, '2026-03-17')], { asOf: ASOF })
+  assert.equal(r.status, 'unknown')
+  assert.equal(r.shares, 0)
+})
+
+test('a recent buy still held is pending until its window closes', () => {
+  const pay = div('2026-09-25', 20)
+  assert.equal(qualifiedTest(pay, [lot('2026-09-01', 100)], { asOf: ASOF }).status, 'pending')
+  assert.equal(qualifiedTest(pay, [lot('2026-09-01', 100)], { asOf: day('2027-01-01') }).status, 'qualified')
+})
+
+console.log('\nHistory and trailing income')
+
+const items = [
+  div('2025-07-01', 46), div('2025-10-01', 46), div('2026-01-02', 46), div('2026-04-01', 51), div('2026-07-01', 51),
+  div('2026-07-15', 12, { symbol: 'T' }),
+  { date: day('2026-06-30'), symbol: '', amount: 4, transCode: 'INT', isDividend: false, isInterest: true }
+]
+const trades = [buy('2025-01-10', 100), buy('2026-06-20', 100, { symbol: 'T' })]
+
+test('history is per symbol, with per-share amounts from the shares held', () => {
+  const h = dividendHistory(items, trades, { asOf: ASOF })
+  assert.deepEqual(h.map((x) => x.symbol), ['KO', 'T'])
+  const ko = h[0]
+  assert.equal(ko.payments.length, 5)
+  assert.equal(ko.total, 240)
+  assert.equal(ko.ttm, 194, 'the July 2025 payment is more than a year back')
+  assert.equal(ko.cadence.key, 'quarterly')
+  assert.equal(ko.lastPerShare, 0.51)
+  assert.equal(h[1].payments[0].status, 'qualified', 'bought 11 days before the estimated ex-date and still held')
+})
+
+test('sales come off the oldest lot first', () => {
+  // Ex-date estimated 2026-03-18: the 2025 lot sold on the 12th isn't entitled,
+  // the March lot is.
+  const h = dividendHistory([div('2026-04-01', 50)], [buy('2025-01-10', 100), buy('2026-03-10', 100), sell('2026-03-12', 100)], { asOf: ASOF })
+  assert.equal(h[0].payments[0].shares, 100)
+  assert.equal(h[0].payments[0].perShare, 0.5)
+})
+
+test('trailing income splits qualified, non-qualified and untested', () => {
+  const t = trailingIncome(dividendHistory(items, [buy('2025-01-10', 100)], { asOf: ASOF }), { asOf: ASOF })
+  assert.equal(t.total, 206)
+  assert.equal(t.qualified, 194)
+  assert.equal(t.unknown, 12, 'no T trades on record')
+})
+
+console.log('\nForward income')
+
+test('projects the next year from cadence and prices yield on cost', () => {
+  const h = dividendHistory(items, trades, { asOf: ASOF })
+  const f = forwardIncome(h, [{ symbol: 'KO', position: 200, avgCost: 50, currentPrice: 68 }], { asOf: ASOF })
+  assert.equal(f.rows.length, 1)
+  const ko = f.rows[0]
+  assert.equal(ko.annual, 408, '0.51 × 200 shares × 4')
+  assert.equal(ko.yieldOnCost, 408 / 10000)
+  assert.equal(ko.currentYield, 408 / 13600)
+  assert.deepEqual(f.calendar.map((c) => c.date), ['2027-01-01', '2027-04-01', '2027-07-01', '2027-10-01'], 'today\'s payment is history, not forecast')
+  assert.ok(f.calendar.every((c) => c.amount === 102))
+  assert.equal(f.annual, 408)
+})
+
+test('holdings without a cadence are listed but not projected', () => {
+  const h = dividendHistory(items, trades, { asOf: ASOF })
+  const f = forwardIncome(h, [{ symbol: 'T', position: 100, avgCost: 20, currentPrice: 25 }, { symbol: 'NVDA', position: 5, avgCost: 100 }], { asOf: ASOF })
+  assert.deepEqual(f.rows.map((r) => r.symbol), ['T'])
+  assert.equal(f.rows[0].annual, null)
+  assert.equal(f.rows[0].ttmYieldOnCost, 12 / 2000)
+  assert.equal(f.calendar.length, 0)
+})
+
+console.log(`\n${passed} passed`)
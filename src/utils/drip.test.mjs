@@ -0,0 +1,97 @@
+/**
+ * Dividend reinvestment (DRIP) buys: detection, and how the signals and the
+ * tax engine treat them.
+ * Run: node src/utils/drip.test.mjs
+ *
+ * Reinvested dividends came in as ordinary buys. These check which buys are
+ * recognized as reinvestments (and which aren't), that the Robinhood parser
+ * tags them, that they stay out of the recent-buy signals while still counting
+ * toward the position, and that a wash sale records when its replacement
+ * shares were reinvested.
+ */
+import assert from 'node:assert/strict'
+import { tagDripBuys, DRIP_WINDOW_DAYS } from './drip.js'
+import { parseTrades } from './csvParser.js'
+import { calculatePnL } from './pnlCalculator.js'
+import { buildTaxBase } from './taxCalculator.js'
+
+let passed = 0
+const test = async (name, fn) => {
+  try { await fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+const quiet = async (fn) => { const log = console.log; console.log = () => {}; try { return await fn() } finally { console.log = log } }
+
+const day = (s) => new Date(`${s}T12:00:00`)
+const div = (date, amount, o = {}) => ({ date: day(date), symbol: 'KO', amount, transCode: 'CDIV', isDividend: true, ...o })
+const buy = (date, quantity, price, o = {}) => ({ date: day(date), symbol: 'KO', quantity, price, amount: round(quantity * price), isBuy: true, isOption: false, transCode: 'Buy', ...o })
+const round = (n) => Math.round(n * 100) / 100
+
+console.log('\nDetection')
+
+await test('a fractional buy paid for by the dividend days before is tagged', () => {
+  const { trades, tagged } = tagDripBuys([buy('2026-04-03', 0.7391, 67.65)], [div('2026-04-01', 50)])
+  assert.equal(tagged, 1)
+  assert.equal(trades[0].isDrip, true)
+})
+
+await test('whole-share buys, buys costing more than the dividend and late buys are not', () => {
+  const { tagged } = tagDripBuys([
+    buy('2026-04-02', 1, 50),
+    buy('2026-04-02', 3.25, 60),
+    buy(`2026-04-${String(1 + DRIP_WINDOW_DAYS + 1).padStart(2, '0')}`, 0.74, 67.5)
+  ], [div('2026-04-01', 50)])
+  assert.equal(tagged, 0)
+})
+
+await test('one dividend accounts for one buy, the closest match', () => {
+  const { trades } = tagDripBuys([buy('2026-04-02', 0.5, 90), buy('2026-04-02', 0.55, 90.9)], [div('2026-04-01', 50)])
+  assert.deepEqual(trades.map((t) => !!t.isDrip), [false, true])
+})
+
+await test('broker and symbol have to match the dividend', () => {
+  const d = [div('2026-04-01', 50, { broker: 'schwab' })]
+  assert.equal(tagDripBuys([buy('2026-04-02', 0.74, 67.5)], d).tagged, 0)
+  assert.equal(tagDripBuys([buy('2026-04-02', 0.74, 67.5, { symbol: 'PEP', broker: 'schwab' })], d).tagged, 0)
+})
+
+await test('a row the broker calls a reinvestment is tagged without a dividend', () => {
+  const { trades } = tagDripBuys([buy('2026-04-02', 2, 25, { description: 'Dividend Reinvestment' })], [])
+  assert.equal(trades[0].isDrip, true)
+})
+
+await test('the Robinhood parser tags them', async () => {
+  const csv = [
+    'Activity Date,Process Date,Settle Date,Instrument,Description,Trans Code,Quantity,Price,Amount',
+    '4/1/2026,4/1/2026,4/1/2026,KO,Cash Div: R/D 2026-03-13 P/D 2026-04-01 - 100 shares at 0.51,CDIV,,,$51.00',
+    '4/2/2026,4/2/2026,4/3/2026,KO,Coca-Cola,Buy,0.75,$68.00,($51.00)',
+    '4/2/2026,4/2/2026,4/3/2026,KO,Coca-Cola,Buy,10,$68.00,($680.00)'
+  ].join('\n')
+  const { trades } = await quiet(() => parseTrades(csv))
+  assert.deepEqual(trades.map((t) => [t.quantity, !!t.isDrip]), [[0.75, true], [10, false]])
+})
+
+console.log('\nSignals and tax')
+
+await test('a DRIP buy counts toward the position but not the recent-buy signals', async () => {
+  const trades = [buy('2026-03-02', 10, 60), buy('2026-04-02', 0.75, 68, { isDrip: true })]
+  const [ko] = await quiet(() => calculatePnL(trades, { KO: 70 }))
+  assert.equal(ko.real.position, 10.75)
+  assert.deepEqual(ko.real.recentLowestBuys.map((b) => b.price), [60])
+})
+
+await test('a wash sale records how many replacement shares were reinvested', () => {
+  const trades = [
+    buy('2026-01-05', 10, 70, { id: 1 }),
+    { ...buy('2026-03-20', 10, 60, { id: 2 }), isBuy: false, transCode: 'Sell' },
+    buy('2026-04-02', 0.75, 68, { id: 3, isDrip: true })
+  ]
+  const base = buildTaxBase(trades, [])
+  const [sale] = base.stockRealized
+  assert.equal(sale.washShares, 0.75)
+  assert.equal(sale.washDripShares, 0.75)
+  assert.equal(sale.washDisallowed, 7.5, 'only the reinvested shares are washed')
+  assert.equal(base.openLots[0].dripShares, 0.75)
+})
+
+console.log(`\n${passed} passed`)
@@ -0,0 +1,130 @@
+// Quarterly estimated tax for the Tax Center.
+//
+// Splits the year into the four IRS installment periods, measures realized
+// gains and income year-to-date at the end of each, and works out what had to
+// be paid by each due date two ways: the regular method (a quarter of the
+// required annual payment each time) and the annualized-income method of
+// Form 2210 Schedule AI, which lets a year whose gains came late pay late.
+// The required annual payment is the smaller of 90% of this year's tax and
+// the prior-year safe harbor (100% of last year's tax, 110% above $150k AGI).
+//
+// IMPORTANT: planning figures only, NOT tax advice. Withholding is treated as
+// paid evenly through the year, as the IRS does unless you elect otherwise.
+
+import { summarizeTaxYear, estimateTax } from './taxCalculator.js'
+
+const round2 = (n) => Math.round((n + Number.EPSILON) * 100) / 100
+const pad = (n) => String(n).padStart(2, '0')
+const ymd = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`
+
+// Each period runs from `startMonth` to `endMonth` (0-based); income to its
+// end is annualized by `factor`, and `pct` of the tax on that is due by then.
+// `due` is [years after the tax year, month, day].
+export const ESTIMATE_PERIODS = [
+  { label: 'Jan–Mar', startMonth: 0, endMonth: 2, factor: 4, pct: 0.225, due: [0, 3, 15] },
+  { label: 'Apr–May', startMonth: 3, endMonth: 4, factor: 2.4, pct: 0.45, due: [0, 5, 15] },
+  { label: 'Jun–Aug', startMonth: 5, endMonth: 7, factor: 1.5, pct: 0.675, due: [0, 8, 15] },
+  { label: 'Sep–Dec', startMonth: 8, endMonth: 11, factor: 1, pct: 0.9, due: [1, 0, 15] }
+]
+
+// Above this prior-year AGI the safe harbor is 110% of last year's tax.
+const HIGH_AGI = { single: 150000, mfj: 150000, hoh: 150000, mfs: 75000 }
+
+// Due date for period `i` of `year`, 'YYYY-MM-DD'. A date on a weekend moves
+// to the Monday after.
+export function dueDate(year, i) {
+  const [dy, m, day] = ESTIMATE_PERIODS[i].due
+  const d = new Date(year + dy, m, day, 12)
+  if (d.getDay() === 6) d.setDate(d.getDate() + 2)
+  else if (d.getDay() === 0) d.setDate(d.getDate() + 1)
+  return ymd(d)
+}
+
+/**
+ * The required annual payment.
+ *
+ * @param priorYearTax  last year's total tax, or null when not known — then
+ *   only the 90%-of-this-year test applies
+ * @returns { currentYear, priorYear, priorYearPct, required, method: 'current' | 'prior' }
+ */
+export function safeHarbor({ currentYearTax = 0, priorYearTax = null, priorYearAgi = 0, filingStatus = null } = {}) {
+  const currentYear = round2(Math.max(currentYearTax, 0) * 0.9)
+  const known = priorYearTax != null && priorYearTax !== '' && !isNaN(priorYearTax)
+  const priorYearPct = priorYearAgi > (HIGH_AGI[filingStatus] || HIGH_AGI.single) ? 1.1 : 1
+  const priorYear = known ? round2(Math.max(Number(priorYearTax), 0) * priorYearPct) : null
+  const usePrior = priorYear != null && priorYear < currentYear
+  return { currentYear, priorYear, priorYearPct, required: usePrior ? priorYear : currentYear, method: usePrior ? 'prior' : 'current' }
+}
+
+/**
+ * Installments for one tax year.
+ *
+ * @param base      buildTaxBase() output
+ * @param taxInputs estimateTax() arguments other than the income figures and
+ *   withholding (rates, filing status, other income, state…). `otherIncome` is
+ *   taken to accrue evenly, so it is already an annual figure.
+ * @param payments  [{ paidDate, amount }] estimated payments for this tax year;
+ *   each is credited to the first installment due on or after it was paid
+ * @param withholding  withheld during the year, spread evenly over the four
+ * @returns { annualTax, safeHarbor, periods: [...], totalRequired, totalPaid }
+ */
+export function quarterlyEstimates(base, year, { taxInputs = {}, priorYearTax = null, priorYearAgi = 0, payments = [], withholding = 0 } = {}) {
+  const taxOn = (s, factor = 1) => estimateTax({
+    ...taxInputs,
+    shortTermGain: s.shortTermGain * factor,
+    longTermGain: s.longTermGain * factor,
+    dividends: s.dividends * factor,
+    interest: s.interest * factor,
+    withholding: 0
+  }).estimatedTax
+
+  const annualTax = taxOn(summarizeTaxYear(base, year))
+  const harbor = safeHarbor({ currentYearTax: annualTax, priorYearTax, priorYearAgi, filingStatus: taxInputs.filingStatus })
+
+  const dues = ESTIMATE_PERIODS.map((_, i) => dueDate(year, i))
+  const paidIn = ESTIMATE_PERIODS.map(() => 0)
+  for (const p of payments) {
+    const i = dues.findIndex((d) => p.paidDate <= d)
+    paidIn[i === -1 ? dues.length - 1 : i] += Number(p.amount) || 0
+  }
+
+  let prevRealized = 0
+  let prevAnnualizedCum = 0
+  let requiredSoFar = 0
+  let paidSoFar = 0
+  const periods = ESTIMATE_PERIODS.map((period, i) => {
+    const ytd = summarizeTaxYear(base, year, { through: new Date(year, period.endMonth + 1, 0, 23, 59, 59, 999) })
+    const annualizedTax = taxOn(ytd, period.factor)
+    const regularCum = harbor.required * 0.25 * (i + 1)
+    const annualizedCum = annualizedTax * period.pct
+    // Schedule AI: the lower of the two, cumulatively — a quarter that paid
+    // less under the annualized method catches up in the next.
+    const required = Math.max(Math.min(regularCum, annualizedCum) - requiredSoFar, 0)
+    const paid = paidIn[i] + withholding / 4
+    requiredSoFar += required
+    paidSoFar += paid
+    const row = {
+      label: period.label,
+      due: dues[i],
+      realized: round2(ytd.totalRealizedGain - prevRealized),
+      realizedYtd: ytd.totalRealizedGain,
+      annualizedTax: round2(annualizedTax),
+      regularInstallment: round2(harbor.required * 0.25),
+      annualizedInstallment: round2(Math.max(annualizedCum - prevAnnualizedCum, 0)),
+      required: round2(required),
+      paid: round2(paid),
+      shortfall: round2(Math.max(requiredSoFar - paidSoFar, 0))
+    }
+    prevRealized = ytd.totalRealizedGain
+    prevAnnualizedCum = annualizedCum
+    return row
+  })
+
+  return {
+    annualTax,
+    safeHarbor: harbor,
+    periods,
+    totalRequired: round2(requiredSoFar),
+    totalPaid: round2(paidSoFar)
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * Quarterly estimated tax: installment windows, the annualized-income method,
+ * the prior-year safe harbor and crediting recorded payments.
+ * Run: node src/utils/estimatedTax.test.mjs
+ *
+ * Withholding was one manual number and nothing said what was due when. These
+ * check the due dates, that a year whose gains came late owes little until the
+ * last installment, and that each payment counts toward the right quarter.
+ */
+import assert from 'node:assert/strict'
+import { buildTaxBase, summarizeTaxYear } from './taxCalculator.js'
+import { dueDate, safeHarbor, quarterlyEstimates } from './estimatedTax.js'
+
+let passed = 0
+const test = (name, fn) => {
+  try { fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+
+const t = (o) => ({ symbol: 'AAPL', isOption: false, quantity: 10, price: 100, amount: -1000, isBuy: true, date: '2026-01-05', broker: 'robinhood', ...o })
+const sell = (date) => t({ price: 200, amount: 2000, isBuy: false, date })
+// Flat rates keep the arithmetic by hand: 1,000 short-term is 200 of tax.
+const taxInputs = { ordinaryRate: 20, longTermRate: 10 }
+
+console.log('\nDue dates')
+
+test('the four installments fall in April, June, September and January', () => {
+  assert.deepEqual([0, 1, 2, 3].map((i) => dueDate(2026, i)), ['2026-04-15', '2026-06-15', '2026-09-15', '2027-01-15'])
+})
+
+test('a due date on a weekend moves to the Monday', () => {
+  assert.equal(dueDate(2025, 1), '2025-06-16')
+  assert.equal(dueDate(2028, 0), '2028-04-17')
+})
+
+console.log('\nSafe harbor')
+
+test('the smaller of 90% of this year and 100% of last year', () => {
+  const r = safeHarbor({ currentYearTax: 20000, priorYearTax: 10000, priorYearAgi: 100000, filingStatus: 'single' })
+  assert.equal(r.required, 10000)
+  assert.equal(r.method, 'prior')
+  assert.equal(safeHarbor({ currentYearTax: 5000, priorYearTax: 10000 }).required, 4500)
+})
+
+test('110% of last year above $150k AGI, $75k married filing separately', () => {
+  assert.equal(safeHarbor({ currentYearTax: 20000, priorYearTax: 10000, priorYearAgi: 200000, filingStatus: 'mfj' }).required, 11000)
+  assert.equal(safeHarbor({ currentYearTax: 20000, priorYearTax: 10000, priorYearAgi: 100000, filingStatus: 'mfs' }).priorYearPct, 1.1)
+})
+
+test('without last year\'s tax only the current-year test applies', () => {
+  const r = safeHarbor({ currentYearTax: 20000, priorYearTax: null })
+  assert.equal(r.priorYear, null)
+  assert.equal(r.required, 18000)
+  assert.equal(r.method, 'current')
+})
+
+console.log('\nInstallments')
+
+test('year-to-date summaries stop at the cutoff', () => {
+  const base = buildTaxBase([t({ quantity: 20, amount: -2000 }), sell('2026-02-02'), sell('2026-11-02')], [])
+  assert.equal(summarizeTaxYear(base, 2026, { through: new Date(2026, 2, 31, 23, 59) }).totalRealizedGain, 1000)
+  assert.equal(summarizeTaxYear(base, 2026).totalRealizedGain, 2000)
+})
+
+test('gains taken in November owe nothing until the last installment', () => {
+  const q = quarterlyEstimates(buildTaxBase([t(), sell('2026-11-02')], []), 2026, { taxInputs })
+  assert.equal(q.annualTax, 200)
+  assert.equal(q.safeHarbor.required, 180)
+  assert.deepEqual(q.periods.map((p) => p.regularInstallment), [45, 45, 45, 45])
+  assert.deepEqual(q.periods.map((p) => p.required), [0, 0, 0, 180])
+  assert.deepEqual(q.periods.map((p) => p.realized), [0, 0, 0, 1000])
+})
+
+test('gains taken in February follow the regular schedule', () => {
+  // Annualized, Q1 owes 22.5% of 800 — more than the regular 45 — so the
+  // regular installment is the lower one every quarter.
+  const q = quarterlyEstimates(buildTaxBase([t(), sell('2026-02-02')], []), 2026, { taxInputs })
+  assert.equal(q.periods[0].annualizedInstallment, 180)
+  assert.deepEqual(q.periods.map((p) => p.required), [45, 45, 45, 45])
+  assert.equal(q.totalRequired, 180)
+})
+
+test('payments count toward the first installment due on or after them', () => {
+  const q = quarterlyEstimates(buildTaxBase([t(), sell('2026-02-02')], []), 2026, {
+    taxInputs,
+    withholding: 40,
+    payments: [
+      { paidDate: '2026-04-15', amount: 35 },
+      { paidDate: '2026-04-16', amount: 100 },
+      { paidDate: '2027-02-01', amount: 5 }
+    ]
+  })
+  assert.deepEqual(q.periods.map((p) => p.paid), [45, 110, 10, 15])
+  assert.deepEqual(q.periods.map((p) => p.shortfall), [0, 0, 0, 0])
+  assert.equal(q.totalPaid, 180)
+})
+
+test('an underpaid quarter carries its shortfall forward', () => {
+  const q = quarterlyEstimates(buildTaxBase([t(), sell('2026-02-02')], []), 2026, {
+    taxInputs,
+    payments: [{ paidDate: '2026-09-01', amount: 100 }]
+  })
+  assert.deepEqual(q.periods.map((p) => p.shortfall), [45, 90, 35, 80])
+})
+
+test('a prior-year safe harbor lowers every installment', () => {
+  const q = quarterlyEstimates(buildTaxBase([t(), sell('2026-02-02')], []), 2026, { taxInputs, priorYearTax: 80, priorYearAgi: 50000 })
+  assert.equal(q.safeHarbor.method, 'prior')
+  assert.deepEqual(q.periods.map((p) => p.required), [20, 20, 20, 20])
+})
+
+console.log(`\n${passed} passed\n`)
@@ -0,0 +1,304 @@
+// Form 8949 / Schedule D generation for the Tax Center.
+//
+// Takes the realized lot records from taxCalculator.js (computeStockRealized /
+// computeOptionsRealized, already sliced to one tax year) and lays them out
+// the way the IRS forms do: one Form 8949 part per checkbox, each line with
+// its adjustment code and amount, and the Schedule D lines those parts total
+// into. Output is a CSV for tax software / an accountant, and a printable
+// HTML document the browser can save as PDF.
+//
+// Section 1256 contracts (index and futures options) aren't Form 8949 lines:
+// they total on Form 6781, whose 40% / 60% split is Schedule D lines 4 and 11.
+//
+// IMPORTANT: informational only, NOT tax advice. The checkbox for each lot is
+// inferred (see basisReported below) because the broker's 1099-B — which is
+// what actually decides it — isn't part of the data.
+
+import { form6781 } from './section1256.js'
+
+const round2 = (n) => Math.round((n + Number.EPSILON) * 100) / 100
+const toDate = (d) => (d instanceof Date ? d : new Date(d))
+
+// Cost basis became broker-reported ("covered") for stock acquired from 2011
+// and for options acquired from 2014. Earlier lots are noncovered.
+const COVERED_STOCK_FROM = Date.UTC(2011, 0, 1)
+const COVERED_OPTION_FROM = Date.UTC(2014, 0, 1)
+
+// The Form 8949 checkboxes this generates. C and F (no 1099-B at all) don't
+// arise from broker activity, so they're never produced.
+export const BOXES = {
+  A: { term: 'short', reported: true, label: 'Short-term, basis reported to the IRS' },
+  B: { term: 'short', reported: false, label: 'Short-term, basis NOT reported to the IRS' },
+  D: { term: 'long', reported: true, label: 'Long-term, basis reported to the IRS' },
+  E: { term: 'long', reported: false, label: 'Long-term, basis NOT reported to the IRS' }
+}
+
+// Schedule D line each box totals onto.
+const SCHEDULE_D_LINE = { A: '1b', B: '2', D: '8b', E: '9' }
+
+// Was this lot's basis reported to the IRS? A record can say so itself
+// (`basisReported`); otherwise it's inferred from the acquisition date.
+export function basisReported(r) {
+  if (typeof r.basisReported === 'boolean') return r.basisReported
+  if (!r.buyDate) return false
+  const acquired = toDate(r.buyDate).getTime()
+  return acquired >= (r.type === 'option' ? COVERED_OPTION_FROM : COVERED_STOCK_FROM)
+}
+
+export function form8949Box(r) {
+  const reported = basisReported(r)
+  if (r.term === 'long') return reported ? 'D' : 'E'
+  return reported ? 'A' : 'B'
+}
+
+// Disallowed wash-sale loss on a lot: the part of the loss column (g) adds
+// back. Partial when fewer replacement shares were bought than were sold.
+const washAdjustment = (r) => round2(r.washDisallowed || 0)
+
+// ---------------------------------------------------------------------------
+// One Form 8949 line per realized lot, columns (a)–(h):
+//   (d) proceeds, (e) cost basis, (f) code, (g) adjustment, (h) gain = d − e + g
+// `adjustedBasis` is (e) − (g): the basis that, against proceeds, gives (h).
+// ---------------------------------------------------------------------------
+export function form8949Line(r) {
+  const adjustment = washAdjustment(r)
+  const proceeds = round2(r.proceeds || 0)
+  const costBasis = round2(r.costBasis || 0)
+  return {
+    box: form8949Box(r),
+    description: `${r.quantity} ${r.symbol}`,
+    symbol: r.symbol,
+    type: r.type,
+    broker: r.broker || null,
+    dateAcquired: r.buyDate ? toDate(r.buyDate) : null,
+    dateSold: toDate(r.sellDate),
+    proceeds,
+    costBasis,
+    code: adjustment ? 'W' : '',
+    adjustment,
+    adjustedBasis: round2(costBasis - adjustment),
+    gain: round2(proceeds - costBasis + adjustment)
+  }
+}
+
+const sumLines = (lines) => lines.reduce(
+  (t, l) => ({
+    proceeds: round2(t.proceeds + l.proceeds),
+    costBasis: round2(t.costBasis + l.costBasis),
+    adjustment: round2(t.adjustment + l.adjustment),
+    gain: round2(t.gain + l.gain)
+  }),
+  { proceeds: 0, costBasis: 0, adjustment: 0, gain: 0 }
+)
+
+// ---------------------------------------------------------------------------
+// The whole report for a year: Form 8949 parts keyed by box (only boxes with
+// lines are present) and the Schedule D lines they flow to.
+// ---------------------------------------------------------------------------
+export function buildForm8949(realized = [], year = null) {
+  const lines = realized.filter((r) => !r.section1256).map(form8949Line).sort((a, b) => a.dateSold - b.dateSold)
+  const f6781 = form6781(realized)
+  const parts = {}
+  for (const box of Object.keys(BOXES)) {
+    const boxLines = lines.filter((l) => l.box === box)
+    if (boxLines.length) parts[box] = { box, ...BOXES[box], lines: boxLines, totals: sumLines(boxLines) }
+  }
+
+  const scheduleLine = (box) => ({ line: SCHEDULE_D_LINE[box], box, ...(parts[box]?.totals || sumLines([])) })
+  const shortLines = ['A', 'B'].map(scheduleLine)
+  const longLines = ['D', 'E'].map(scheduleLine)
+  const netShort = round2(shortLines.reduce((s, l) => s + l.gain, 0) + f6781.shortTerm)
+  const netLong = round2(longLines.reduce((s, l) => s + l.gain, 0) + f6781.longTerm)
+
+  return {
+    year,
+    lines,
+    parts,
+    form6781: f6781,
+    scheduleD: {
+      shortTerm: shortLines, // lines 1b and 2
+      longTerm: longLines, // lines 8b and 9
+      line4: f6781.shortTerm, // Form 6781 line 8
+      line11: f6781.longTerm, // Form 6781 line 9
+      line7: netShort, // net short-term gain or (loss)
+      line15: netLong, // net long-term gain or (loss)
+      line16: round2(netShort + netLong)
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// CSV: one row per Form 8949 line, with the box on every row so tax software
+// (or a spreadsheet filter) can split it back into parts.
+// ---------------------------------------------------------------------------
+const mdy = (d) => {
+  if (!d) return 'VARIOUS'
+  const dt = toDate(d)
+  if (isNaN(dt)) return ''
+  return `${String(dt.getMonth() + 1).padStart(2, '0')}/${String(dt.getDate()).padStart(2, '0')}/${dt.getFullYear()}`
+}
+const num = (n) => (n == null || isNaN(n) ? '0.00' : Number(n).toFixed(2))
+
+export function form8949Csv(report) {
+  const esc = (v) => `"${String(v).replace(/"/g, '""')}"`
+  const headers = [
+    'Form 8949 Box',
+    'Term',
+    '(a) Description of property',
+    '(b) Date acquired',
+    '(c) Date sold or disposed',
+    '(d) Proceeds',
+    '(e) Cost or other basis',
+    '(f) Adjustment code',
+    '(g) Amount of adjustment',
+    'Adjusted basis',
+    '(h) Gain or (loss)'
+  ]
+  const rows = [headers.map(esc).join(',')]
+  for (const l of report.lines) {
+    rows.push([
+      l.box,
+      BOXES[l.box].term === 'long' ? 'Long-term' : 'Short-term',
+      l.description,
+      mdy(l.dateAcquired),
+      mdy(l.dateSold),
+      num(l.proceeds),
+      num(l.costBasis),
+      l.code,
+      l.adjustment ? num(l.adjustment) : '',
+      num(l.adjustedBasis),
+      num(l.gain)
+    ].map(esc).join(','))
+  }
+  rows.push('')
+  for (const p of Object.values(report.parts)) {
+    rows.push([`Box ${p.box} total`, '', '', '', '', num(p.totals.proceeds), num(p.totals.costBasis), '', num(p.totals.adjustment), num(p.totals.costBasis - p.totals.adjustment), num(p.totals.gain)].map(esc).join(','))
+  }
+  const d = report.scheduleD
+  if (report.form6781.lines.length) {
+    rows.push(['Schedule D line 4 (Form 6781, 40% short-term)', '', '', '', '', '', '', '', '', '', num(d.line4)].map(esc).join(','))
+    rows.push(['Schedule D line 11 (Form 6781, 60% long-term)', '', '', '', '', '', '', '', '', '', num(d.line11)].map(esc).join(','))
+  }
+  rows.push(['Schedule D line 7 (net short-term)', '', '', '', '', '', '', '', '', '', num(d.line7)].map(esc).join(','))
+  rows.push(['Schedule D line 15 (net long-term)', '', '', '', '', '', '', '', '', '', num(d.line15)].map(esc).join(','))
+  rows.push(['Schedule D line 16 (total)', '', '', '', '', '', '', '', '', '', num(d.line16)].map(esc).join(','))
+  return rows.join('\r\n')
+}
+
+// ---------------------------------------------------------------------------
+// Printable document: a Form 8949 page per box, then a Schedule D totals page.
+// Opened in a new window, where "Print / Save as PDF" produces the PDF.
+// ---------------------------------------------------------------------------
+const escHtml = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+const money = (n) => (n < 0 ? `(${num(Math.abs(n))})` : num(n))
+
+export function form8949Html(report, { name = '' } = {}) {
+  const who = name ? escHtml(name) : 'Taxpayer'
+
+  const partPage = (p) => {
+    const isLong = p.term === 'long'
+    const body = p.lines.map((l) => `
+      <tr>
+        <td>${escHtml(l.description)}</td>
+        <td class="c">${mdy(l.dateAcquired)}</td>
+        <td class="c">${mdy(l.dateSold)}</td>
+        <td class="r">${num(l.proceeds)}</td>
+        <td class="r">${num(l.costBasis)}</td>
+        <td class="c">${l.code}</td>
+        <td class="r">${l.adjustment ? num(l.adjustment) : ''}</td>
+        <td class="r">${num(l.adjustedBasis)}</td>
+        <td class="r ${l.gain < 0 ? 'neg' : ''}">${money(l.gain)}</td>
+      </tr>`).join('')
+    return `
+      <section class="page">
+        <div class="formhead">
+          <div><span class="big">Form 8949</span><br><span class="lbl">Sales and Other Dispositions of Capital Assets</span></div>
+          <div class="r"><span class="big">${report.year || ''}</span><br><span class="lbl">Attach to Schedule D</span></div>
+        </div>
+        <div class="namebar"><span class="lbl">Name(s) shown on return</span><br>${who}</div>
+        <h2>Part ${isLong ? 'II — Long-Term' : 'I — Short-Term'}</h2>
+        <div class="chkline">${Object.entries(BOXES).filter(([, b]) => b.term === p.term).map(([k, b]) => `<span>${k === p.box ? '☒' : '☐'} (${k}) ${b.label}</span>`).join('')}</div>
+        <table>
+          <thead><tr>
+            <th>(a) Description of property</th><th class="c">(b) Date acquired</th><th class="c">(c) Date sold</th>
+            <th class="r">(d) Proceeds</th><th class="r">(e) Cost or other basis</th>
+            <th class="c">(f) Code</th><th class="r">(g) Adjustment</th><th class="r">Adjusted basis</th><th class="r">(h) Gain or (loss)</th>
+          </tr></thead>
+          <tbody>${body}</tbody>
+          <tfoot><tr>
+            <td colspan="3">2 Totals (box ${p.box}) — to Schedule D line ${SCHEDULE_D_LINE[p.box]}</td>
+            <td class="r">${num(p.totals.proceeds)}</td>
+            <td class="r">${num(p.totals.costBasis)}</td>
+            <td></td>
+            <td class="r">${num(p.totals.adjustment)}</td>
+            <td class="r">${num(p.totals.costBasis - p.totals.adjustment)}</td>
+            <td class="r ${p.totals.gain < 0 ? 'neg' : ''}">${money(p.totals.gain)}</td>
+          </tr></tfoot>
+        </table>
+      </section>`
+  }
+
+  const d = report.scheduleD
+  const dRow = (l, text) => `
+    <tr>
+      <td class="c b">${l.line}</td><td>${text}</td>
+      <td class="r">${num(l.proceeds)}</td><td class="r">${num(l.costBasis)}</td>
+      <td class="r">${num(l.adjustment)}</td><td class="r ${l.gain < 0 ? 'neg' : ''}">${money(l.gain)}</td>
+    </tr>`
+  const dTotal = (line, text, v) => `
+    <tr class="tot"><td class="c b">${line}</td><td colspan="4">${text}</td><td class="r ${v < 0 ? 'neg' : ''}">${money(v)}</td></tr>`
+  const scheduleHead = `<thead><tr><th class="c">Line</th><th></th><th class="r">(d) Proceeds</th><th class="r">(e) Cost</th><th class="r">(g) Adjustments</th><th class="r">(h) Gain or (loss)</th></tr></thead>`
+
+  const scheduleD = `
+    <section class="page">
+      <div class="formhead">
+        <div><span class="big">Schedule D</span><br><span class="lbl">(Form 1040) Capital Gains and Losses</span></div>
+        <div class="r"><span class="big">${report.year || ''}</span><br><span class="lbl">Totals from the Form 8949 pages</span></div>
+      </div>
+      <div class="namebar"><span class="lbl">Name(s) shown on return</span><br>${who}</div>
+      <h2>Part I — Short-Term Capital Gains and Losses</h2>
+      <table>${scheduleHead}<tbody>
+        ${dRow(d.shortTerm[0], 'Transactions reported on Form 8949 with Box A checked')}
+        ${dRow(d.shortTerm[1], 'Transactions reported on Form 8949 with Box B checked')}
+        ${report.form6781.lines.length ? dTotal('4', 'Short-term gain or (loss) from Form 6781 (Section 1256 contracts, 40%)', d.line4) : ''}
+        ${dTotal('7', 'Net short-term capital gain or (loss)', d.line7)}
+      </tbody></table>
+      <h2>Part II — Long-Term Capital Gains and Losses</h2>
+      <table>${scheduleHead}<tbody>
+        ${dRow(d.longTerm[0], 'Transactions reported on Form 8949 with Box D checked')}
+        ${dRow(d.longTerm[1], 'Transactions reported on Form 8949 with Box E checked')}
+        ${report.form6781.lines.length ? dTotal('11', 'Long-term gain or (loss) from Form 6781 (Section 1256 contracts, 60%)', d.line11) : ''}
+        ${dTotal('15', 'Net long-term capital gain or (loss)', d.line15)}
+      </tbody></table>
+      <h2>Part III — Summary</h2>
+      <table><tbody>${dTotal('16', 'Combine lines 7 and 15', d.line16)}</tbody></table>
+      <div class="disc"><strong>Notes:</strong> Lines 1a and 8a (unadjusted covered sales reported directly) are not used — every sale is itemized on Form 8949. Carryover losses (lines 6 and 14), capital gain distributions and Form 4797 amounts are not included. Box A/D vs B/E is inferred from acquisition date (stock from 2011, options from 2014 are covered); check it against your broker's 1099-B. Wash sales (code W) match same-ticker purchases within ±30 days across all brokers. Not tax advice.</div>
+    </section>`
+
+  return `<!doctype html><html><head><meta charset="utf-8"><title>${report.year || ''} Form 8949 and Schedule D (Unofficial)</title>
+    <style>
+      body{font-family:Arial,Helvetica,sans-serif;color:#111;margin:26px;font-size:12px}
+      .page{page-break-after:always;margin-bottom:30px}
+      .page:last-of-type{page-break-after:auto}
+      .formhead{display:flex;justify-content:space-between;border-bottom:2px solid #000;padding-bottom:6px;margin-bottom:6px}
+      .namebar{border-bottom:1px solid #000;padding:4px 0 6px;margin-bottom:8px}
+      .big{font-size:18px;font-weight:bold}
+      .lbl{font-size:9px;color:#333}
+      h2{font-size:14px;margin:14px 0 6px}
+      .chkline{display:flex;flex-direction:column;gap:2px;font-size:11px;margin-bottom:8px}
+      .stamp{background:#fef2f2;border:1px solid #fecaca;color:#991b1b;padding:8px 12px;border-radius:6px;font-size:11px;margin:10px 0;font-weight:600}
+      .disc{background:#fffbeb;border:1px solid #fde68a;padding:8px 10px;border-radius:6px;font-size:10.5px;color:#6b5b23;margin:12px 0}
+      table{width:100%;border-collapse:collapse;margin-bottom:8px}
+      th,td{border:1px solid #94a3b8;padding:4px 6px;font-size:10.5px}
+      th{background:#f1f5f9;text-align:left}
+      .r{text-align:right}.c{text-align:center}.b{font-weight:bold}
+      tfoot td,tr.tot td{font-weight:bold;background:#f8fafc}
+      .neg{color:#b91c1c}
+      @media print{.noprint{display:none}}
+    </style></head><body>
+    <div class="stamp noprint">⚠️ UNOFFICIAL — generated from account activity for review by you or your preparer. Compare against your broker's 1099-B before filing.</div>
+    <button class="noprint" onclick="window.print()" style="margin:0 0 14px;padding:8px 16px;cursor:pointer;font-size:13px">🖨️ Print / Save as PDF</button>
+    ${Object.values(report.parts).map(partPage).join('')}
+    ${scheduleD}
+    </body></html>`
+}
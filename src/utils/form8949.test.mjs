@@ -0,0 +1,128 @@
+/**
+ * Form 8949 / Schedule D generation.
+ * Run: node src/utils/form8949.test.mjs
+ *
+ * The realized lots were only ever shown on screen. These check that each lot
+ * lands in the right 8949 box with the wash-sale adjustment in columns (f)/(g),
+ * and that the Schedule D lines total the boxes they come from.
+ */
+import assert from 'node:assert/strict'
+import { buildTaxBase, summarizeTaxYear } from './taxCalculator.js'
+import { buildForm8949, form8949Box, form8949Line, form8949Csv, form8949Html } from './form8949.js'
+
+let passed = 0
+const test = (name, fn) => {
+  try { fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+
+const lot = (o) => ({
+  symbol: 'AAPL', type: 'stock', quantity: 10, buyDate: new Date('2025-03-02T12:00:00'),
+  sellDate: new Date('2025-06-02T12:00:00'), proceeds: 1200, costBasis: 1000, gain: 200,
+  term: 'short', washSale: false, ...o,
+})
+
+console.log('\nBoxes')
+
+test('covered short- and long-term lots go to A and D', () => {
+  assert.equal(form8949Box(lot({})), 'A')
+  assert.equal(form8949Box(lot({ term: 'long' })), 'D')
+})
+
+test('lots acquired before basis reporting go to B and E', () => {
+  assert.equal(form8949Box(lot({ buyDate: new Date('2010-05-01T12:00:00') })), 'B')
+  assert.equal(form8949Box(lot({ buyDate: new Date('2010-05-01T12:00:00'), term: 'long' })), 'E')
+  // Options only became covered in 2014.
+  assert.equal(form8949Box(lot({ type: 'option', buyDate: new Date('2013-06-01T12:00:00') })), 'B')
+  assert.equal(form8949Box(lot({ type: 'option', buyDate: new Date('2014-06-01T12:00:00') })), 'A')
+})
+
+test('a record that says how its basis was reported wins over the date', () => {
+  assert.equal(form8949Box(lot({ basisReported: false })), 'B')
+})
+
+console.log('\nLines')
+
+test('a wash sale carries code W and adds the disallowed loss back', () => {
+  const l = form8949Line(lot({ proceeds: 800, costBasis: 1000, gain: -200, washSale: true, washDisallowed: 200 }))
+  assert.equal(l.code, 'W')
+  assert.equal(l.adjustment, 200)
+  assert.equal(l.adjustedBasis, 800)
+  assert.equal(l.gain, 0, 'h = d - e + g')
+})
+
+test('a partly washed sale adds back only the disallowed part', () => {
+  const l = form8949Line(lot({ proceeds: 800, costBasis: 1000, gain: -200, washSale: true, washDisallowed: 60 }))
+  assert.equal(l.adjustment, 60)
+  assert.equal(l.gain, -140)
+})
+
+test('an ordinary loss has no code and no adjustment', () => {
+  const l = form8949Line(lot({ proceeds: 800, costBasis: 1000, gain: -200 }))
+  assert.equal(l.code, '')
+  assert.equal(l.adjustment, 0)
+  assert.equal(l.gain, -200)
+})
+
+console.log('\nSchedule D')
+
+test('Schedule D lines total their boxes and net to line 16', () => {
+  const r = buildForm8949([
+    lot({}),
+    lot({ proceeds: 800, costBasis: 1000, gain: -200, washSale: true, washDisallowed: 200 }),
+    lot({ buyDate: new Date('2010-01-04T12:00:00'), proceeds: 500, costBasis: 300, gain: 200 }),
+    lot({ term: 'long', buyDate: new Date('2023-01-04T12:00:00'), proceeds: 3000, costBasis: 2000, gain: 1000 }),
+    lot({ term: 'long', buyDate: new Date('2023-01-04T12:00:00'), proceeds: 100, costBasis: 400, gain: -300 }),
+  ], 2025)
+  assert.deepEqual(Object.keys(r.parts).sort(), ['A', 'B', 'D'])
+  assert.equal(r.parts.A.lines.length, 2)
+  assert.equal(r.parts.A.totals.adjustment, 200)
+  assert.equal(r.parts.A.totals.gain, 200)
+  const [l1b, l2] = r.scheduleD.shortTerm
+  assert.equal(l1b.line, '1b')
+  assert.equal(l1b.gain, 200)
+  assert.equal(l2.line, '2')
+  assert.equal(l2.gain, 200)
+  assert.equal(r.scheduleD.line7, 400)
+  assert.equal(r.scheduleD.longTerm[0].line, '8b')
+  assert.equal(r.scheduleD.line15, 700)
+  assert.equal(r.scheduleD.line16, 1100)
+})
+
+test('built from the tax engine, the report matches the year summary', () => {
+  const t = (o) => ({ symbol: 'MSFT', isOption: false, quantity: 5, price: 100, amount: -500, isBuy: true, date: '2025-01-06', broker: 'robinhood', ...o })
+  const trades = [
+    t({}),
+    t({ price: 80, amount: 400, isBuy: false, date: '2025-02-03' }), // loss…
+    t({ price: 82, amount: -410, date: '2025-02-10' }),               // …washed by this rebuy
+    t({ price: 90, amount: 450, isBuy: false, date: '2025-09-02' }),
+  ]
+  const summary = summarizeTaxYear(buildTaxBase(trades, []), 2025)
+  const r = buildForm8949(summary.allRealized, 2025)
+  assert.equal(r.lines.length, summary.allRealized.length)
+  assert.equal(r.lines.filter(l => l.code === 'W').length, summary.washSales.length)
+  assert.equal(r.scheduleD.line16, summary.totalRealizedGain)
+})
+
+console.log('\nExports')
+
+test('the CSV has one row per line plus the box and Schedule D totals', () => {
+  const r = buildForm8949([lot({}), lot({ term: 'long', proceeds: 100, costBasis: 400, gain: -300, washSale: true, washDisallowed: 300, symbol: 'A "quoted" name' })], 2025)
+  const rows = form8949Csv(r).split('\r\n')
+  assert.match(rows[0], /^"Form 8949 Box","Term","\(a\) Description/)
+  assert.ok(rows.some(x => x.startsWith('"D","Long-term","10 A ""quoted"" name"')), 'quotes not escaped')
+  assert.ok(rows.some(x => x.includes('"W","300.00","100.00","0.00"')))
+  assert.ok(rows.some(x => x.startsWith('"Schedule D line 16 (total)"') && x.endsWith('"200.00"')))
+})
+
+test('the printable document has a page per box and the Schedule D lines', () => {
+  const html = form8949Html(buildForm8949([lot({ symbol: '<b>' }), lot({ term: 'long' })], 2025), { name: 'Pat' })
+  assert.equal((html.match(/<section class="page">/g) || []).length, 3)
+  assert.match(html, /Part I — Short-Term/)
+  assert.match(html, /Part II — Long-Term/)
+  assert.match(html, /Schedule D line 1b/)
+  assert.match(html, /Combine lines 7 and 15/)
+  assert.ok(!html.includes('10 <b>'), 'description not escaped')
+})
+
+console.log(`\n${passed} passed\n`)
@@ -0,0 +1,155 @@
+// Tax-loss harvesting planner for the Tax Center.
+//
+// Works lot by lot from the open lots taxCalculator.js leaves after each
+// broker's relief method (computeOpenLots / buildTaxBase().openLots): which
+// lots are under water at today's price, whether selling one now would be a
+// wash sale, and which to sell to bring the year's realized result to a
+// target — $3,000 of net loss to use the full ordinary offset, or zero to
+// cancel gains already taken.
+//
+// IMPORTANT: informational only, NOT tax advice. The wash-sale check only sees
+// the trades and DCA reminders in this app, not other accounts (an IRA buy
+// counts too) or purchases that aren't scheduled here.
+
+import { estimateTax } from './taxCalculator.js'
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+const LONG_TERM_DAYS = 365
+const WASH_DAYS = 30
+const EPS = 0.0000001
+
+const toDate = (d) => (d instanceof Date ? d : new Date(d))
+const round2 = (n) => Math.round((n + Number.EPSILON) * 100) / 100
+
+/**
+ * Every open lot priced below its basis.
+ *
+ * @param openLots  summarized open lots, each with its `lots` detail
+ * @param priceOf   symbol -> current price (0 / missing when unknown)
+ * @returns [{ symbol, broker, date, quantity, costPerShare, price, lossPerShare,
+ *   loss, holdingDays, term, daysToLongTerm, replacement }], biggest loss first.
+ *   Lots with no price are left out — their loss can't be known.
+ */
+export function harvestCandidates(openLots = [], priceOf, asOf = new Date()) {
+  const now = toDate(asOf).getTime()
+  const out = []
+  for (const o of openLots) {
+    const price = priceOf(o.symbol)
+    if (!(price > 0)) continue
+    for (const l of o.lots || []) {
+      const lossPerShare = price - l.costPerShare
+      if (!(lossPerShare < -EPS) || !(l.quantity > EPS)) continue
+      const holdingDays = Math.floor((now - toDate(l.date).getTime()) / MS_PER_DAY)
+      out.push({
+        symbol: o.symbol,
+        broker: o.broker,
+        date: toDate(l.date),
+        quantity: l.quantity,
+        costPerShare: l.costPerShare,
+        price,
+        lossPerShare,
+        loss: round2(l.quantity * lossPerShare),
+        holdingDays,
+        // Sold today: long-term only once held MORE than a year.
+        term: holdingDays > LONG_TERM_DAYS ? 'long' : 'short',
+        daysToLongTerm: Math.max(LONG_TERM_DAYS + 1 - holdingDays, 0),
+        replacement: !!l.replacement
+      })
+    }
+  }
+  return out.sort((a, b) => a.loss - b.loss)
+}
+
+/**
+ * Why selling this lot at a loss today could be a wash sale: a purchase of the
+ * same stock in the last 30 days, at any broker, or a DCA buy scheduled within
+ * the next 30. The lot's own purchase doesn't count against it.
+ *
+ * @param dcaSchedule entries as /api/dca-schedule returns them ({ symbol, nextAlertDate })
+ * @returns [{ kind: 'recentBuy', date, broker, quantity, drip } | { kind: 'scheduledBuy', date }] —
+ *   `drip` when the purchase was a dividend reinvestment; it washes only the
+ *   shares it bought
+ */
+export function washSaleRisks(candidate, { trades = [], dcaSchedule = [], asOf = new Date() } = {}) {
+  const now = toDate(asOf).getTime()
+  const from = now - WASH_DAYS * MS_PER_DAY
+  const until = now + WASH_DAYS * MS_PER_DAY
+  const ownDay = toDate(candidate.date).toDateString()
+  const risks = []
+  for (const t of trades) {
+    if (t.isOption || !t.isBuy || t.symbol !== candidate.symbol) continue
+    const when = toDate(t.date)
+    const ms = when.getTime()
+    if (ms < from || ms > now) continue
+    if ((t.broker || 'robinhood') === candidate.broker && when.toDateString() === ownDay) continue
+    risks.push({ kind: 'recentBuy', date: when, broker: t.broker || 'robinhood', quantity: Math.abs(t.quantity), drip: !!t.isDrip })
+  }
+  for (const s of dcaSchedule) {
+    if (s.symbol !== candidate.symbol || !s.nextAlertDate) continue
+    const when = toDate(`${s.nextAlertDate}T12:00:00`)
+    if (when.getTime() <= until) risks.push({ kind: 'scheduledBuy', date: when })
+  }
+  return risks
+}
+
+/**
+ * Choose lots to sell so the year's realized result reaches `target`.
+ *
+ * Short-term losses go first — they offset short-term gains, taxed at the
+ * ordinary rate — then long-term; within each, the lots losing the most per
+ * dollar of basis, so the fewest shares are sold. Lots with a wash-sale risk
+ * are passed over unless `allowWashRisk`. The last lot is cut to whole shares,
+ * rounded up, so the target is met rather than just missed.
+ *
+ * @param candidates  harvestCandidates(), each optionally carrying `risks`
+ * @param opts.target        net realized gain/loss wanted for the year
+ * @param opts.realizedYtd   net realized so far this year
+ * @returns { picks: [candidate + sellQuantity, realized], needed, harvested,
+ *   shortTerm, longTerm, reached, skipped }
+ */
+export function planHarvest(candidates = [], { target = -3000, realizedYtd = 0, allowWashRisk = false } = {}) {
+  const needed = round2(target - realizedYtd)
+  const skipped = allowWashRisk ? 0 : candidates.filter((c) => c.risks?.length).length
+  const result = { picks: [], needed, harvested: 0, shortTerm: 0, longTerm: 0, reached: needed >= 0, skipped }
+  if (needed >= 0) return result
+
+  const order = candidates
+    .filter((c) => allowWashRisk || !c.risks?.length)
+    .sort((a, b) =>
+      (a.term === 'short' ? 0 : 1) - (b.term === 'short' ? 0 : 1) ||
+      a.lossPerShare / a.costPerShare - b.lossPerShare / b.costPerShare)
+
+  let remaining = needed
+  for (const c of order) {
+    if (remaining > -0.005) break
+    let shares = remaining / c.lossPerShare
+    if (c.quantity >= 1) shares = Math.ceil(shares - EPS)
+    shares = Math.min(shares, c.quantity)
+    const realized = round2(shares * c.lossPerShare)
+    result.picks.push({ ...c, sellQuantity: shares, realized })
+    result[c.term === 'long' ? 'longTerm' : 'shortTerm'] += realized
+    remaining -= realized
+  }
+  result.shortTerm = round2(result.shortTerm)
+  result.longTerm = round2(result.longTerm)
+  result.harvested = round2(result.shortTerm + result.longTerm)
+  result.reached = remaining > -0.005
+  return result
+}
+
+/**
+ * Estimated tax before and after realizing extra short/long-term results, with
+ * the same inputs the Tax Center's estimate uses.
+ *
+ * @param taxInputs estimateTax() arguments for the year as it stands
+ * @returns { before, after, saved } — `saved` positive when tax goes down
+ */
+export function harvestTaxSaved(taxInputs, { shortTerm = 0, longTerm = 0 } = {}) {
+  const before = estimateTax(taxInputs)
+  const after = estimateTax({
+    ...taxInputs,
+    shortTermGain: (taxInputs.shortTermGain || 0) + shortTerm,
+    longTermGain: (taxInputs.longTermGain || 0) + longTerm
+  })
+  return { before, after, saved: round2(before.estimatedTax - after.estimatedTax) }
+}
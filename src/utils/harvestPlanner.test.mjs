@@ -0,0 +1,119 @@
+/**
+ * Tax-loss harvest planner.
+ * Run: node src/utils/harvestPlanner.test.mjs
+ *
+ * Harvesting was a list of losing symbols with a reminder about wash sales.
+ * These check the lot-level candidates, that recent and scheduled buys are
+ * flagged, and that the suggested sells reach the target from the year's
+ * realized result without selling more than needed.
+ */
+import assert from 'node:assert/strict'
+import { buildTaxBase, summarizeTaxYear } from './taxCalculator.js'
+import { harvestCandidates, washSaleRisks, planHarvest, harvestTaxSaved } from './harvestPlanner.js'
+
+let passed = 0
+const test = (name, fn) => {
+  try { fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+
+const asOf = new Date('2026-10-15T12:00:00')
+const t = (o) => ({ symbol: 'AAPL', isOption: false, quantity: 10, price: 100, amount: -1000, isBuy: true, date: '2026-03-02', broker: 'robinhood', ...o })
+const prices = { AAPL: 80, MSFT: 300 }
+const priceOf = (s) => prices[s] || 0
+
+const trades = [
+  t({ date: '2024-06-03' }),                                     // long-term, -200
+  t({ price: 90, amount: -900, date: '2026-03-02' }),            // short-term, -100
+  t({ price: 70, amount: -700, date: '2026-04-01' }),            // a gain — not a candidate
+  t({ symbol: 'MSFT', price: 400, amount: -2000, quantity: 5, date: '2026-02-02' }), // short-term, -500
+  t({ symbol: 'NVDA', price: 150, amount: -1500, date: '2026-02-02' }),              // no price
+]
+const openLots = buildTaxBase(trades, []).openLots
+
+console.log('\nCandidates')
+
+test('each losing lot is its own candidate with its own term', () => {
+  const c = harvestCandidates(openLots, priceOf, asOf)
+  assert.deepEqual(c.map(x => [x.symbol, x.loss, x.term]), [
+    ['MSFT', -500, 'short'],
+    ['AAPL', -200, 'long'],
+    ['AAPL', -100, 'short'],
+  ])
+})
+
+test('a lot with no price is left out rather than guessed', () => {
+  assert.ok(!harvestCandidates(openLots, priceOf, asOf).some(x => x.symbol === 'NVDA'))
+})
+
+console.log('\nWash-sale risk')
+
+const aaplShort = () => harvestCandidates(openLots, priceOf, asOf).find(x => x.symbol === 'AAPL' && x.term === 'short')
+
+test('a purchase in the last 30 days, at any broker, is flagged', () => {
+  const risks = washSaleRisks(aaplShort(), { trades: [...trades, t({ broker: 'webull', quantity: 2, date: '2026-10-01' })], asOf })
+  assert.equal(risks.length, 1)
+  assert.equal(risks[0].kind, 'recentBuy')
+  assert.equal(risks[0].broker, 'webull')
+})
+
+test('the lot\'s own purchase and older ones are not', () => {
+  const recent = t({ price: 90, amount: -900, date: '2026-10-01' })
+  const own = harvestCandidates(buildTaxBase([recent], []).openLots, priceOf, asOf)[0]
+  assert.deepEqual(washSaleRisks(own, { trades: [recent], asOf }), [])
+  assert.deepEqual(washSaleRisks(aaplShort(), { trades, asOf }), [])
+})
+
+test('a DCA buy due within 30 days is flagged; a later one is not', () => {
+  const soon = washSaleRisks(aaplShort(), { dcaSchedule: [{ symbol: 'AAPL', nextAlertDate: '2026-10-29' }], asOf })
+  assert.equal(soon[0].kind, 'scheduledBuy')
+  assert.deepEqual(washSaleRisks(aaplShort(), { dcaSchedule: [{ symbol: 'AAPL', nextAlertDate: '2026-12-01' }], asOf }), [])
+})
+
+console.log('\nSuggested sells')
+
+const candidates = () => harvestCandidates(openLots, priceOf, asOf)
+
+test('short-term losses go first and the last lot is cut to whole shares', () => {
+  // 400 of gains taken; target -300 needs 700 of losses: MSFT -500, then
+  // AAPL short -100, then 5 of the long-term AAPL lot's shares (-100).
+  const p = planHarvest(candidates(), { target: -300, realizedYtd: 400 })
+  assert.deepEqual(p.picks.map(x => [x.symbol, x.term, x.sellQuantity]), [
+    ['MSFT', 'short', 5],
+    ['AAPL', 'short', 10],
+    ['AAPL', 'long', 5],
+  ])
+  assert.equal(p.harvested, -700)
+  assert.equal(p.shortTerm, -600)
+  assert.equal(p.longTerm, -100)
+  assert.equal(p.reached, true)
+})
+
+test('a year already at the target needs nothing sold', () => {
+  const p = planHarvest(candidates(), { target: -3000, realizedYtd: -3500 })
+  assert.deepEqual(p.picks, [])
+  assert.equal(p.reached, true)
+})
+
+test('lots with a wash-sale risk are skipped unless allowed', () => {
+  const c = candidates().map(x => ({ ...x, risks: x.symbol === 'MSFT' ? [{ kind: 'recentBuy' }] : [] }))
+  const safe = planHarvest(c, { target: -3000, realizedYtd: 0 })
+  assert.ok(!safe.picks.some(x => x.symbol === 'MSFT'))
+  assert.equal(safe.skipped, 1)
+  assert.equal(safe.reached, false)
+  assert.ok(planHarvest(c, { target: -3000, realizedYtd: 0, allowWashRisk: true }).picks.some(x => x.symbol === 'MSFT'))
+})
+
+test('tax saved comes from the same estimate the Tax Center shows', () => {
+  const summary = summarizeTaxYear(buildTaxBase([
+    t({ date: '2026-01-05' }),
+    t({ price: 150, amount: 1500, isBuy: false, date: '2026-02-02' }),
+  ], []), 2026)
+  const inputs = { shortTermGain: summary.shortTermGain, longTermGain: summary.longTermGain, ordinaryRate: 24, longTermRate: 15 }
+  const r = harvestTaxSaved(inputs, { shortTerm: -200 })
+  assert.equal(r.before.estimatedTax, 120)
+  assert.equal(r.after.estimatedTax, 72)
+  assert.equal(r.saved, 48)
+})
+
+console.log(`\n${passed} passed\n`)
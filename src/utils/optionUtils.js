@@ -0,0 +1,20 @@
+// Option description parsing for the browser; copy of the one in
+// server/utils/optionUtils.js, change both.
+
+/**
+ * Parse a Robinhood option description into components.
+ * Handles: "PLTR 01/17/2025 Call $155.00"
+ */
+export function parseOptionDescription(description) {
+  if (!description) return null
+  const match = description.match(/^([A-Z]+)\s+(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(Call|Put)\s+\$?([\d.]+)/i)
+  if (!match) return null
+  return {
+    ticker:  match[1],
+    month:   match[2].padStart(2, '0'),
+    day:     match[3].padStart(2, '0'),
+    year:    match[4],
+    type:    match[5].toLowerCase(),
+    strike:  parseFloat(match[6])
+  }
+}
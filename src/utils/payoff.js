@@ -0,0 +1,131 @@
+// Payoff curves for the open option legs on one underlying, for the payoff
+// chart's what-if.
+//
+// The scenario calculator answers one question — P&L at expiry if the stock
+// ends at a price I type — and only from intrinsic value. A position is worth
+// something before then, and how much depends on time left and vol. So each
+// curve here prices every leg with Black-Scholes at its own stored closing
+// implied vol (/api/payoff, the same sigma extended-hours repricing uses),
+// moved by the what-if's IV shift, on the chosen date. A leg whose expiry has
+// passed by then is at intrinsic, so the curve on the first expiry is the
+// familiar hockey stick and later legs keep their time value on it.
+//
+// Shares held in the same symbol fold in at their average cost: a covered
+// call's curve is the capped stock, not a short call on its own.
+//
+// Legs are the /api/payoff shape: { type, strike, expiry, side, contracts,
+// openCash, sigma }, openCash signed from the account's side (a debit is
+// negative). sigma may be null when no IV was ever captured; such a leg can
+// only be priced once it has expired, so any curve drawn while it still has
+// time left is null rather than a guess.
+
+import { bsPrice, RISK_FREE_RATE } from './blackScholes.js'
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+const MS_PER_YEAR = 365.25 * MS_PER_DAY
+// Floor for a shifted vol — a -50 point shift on a 30% IV is no vol, not a
+// negative one.
+const MIN_SIGMA = 0.01
+
+const round2 = (n) => Math.round((n + Number.EPSILON) * 100) / 100
+// Expiry at the 4pm ET close, like portfolioGreeks.yearsToExpiry.
+const expiryMs = (expiry) => Date.parse(`${expiry}T20:00:00Z`)
+
+/** Earliest expiry among the legs — where the "at expiry" curve is drawn. */
+export function firstExpiry(legs) {
+  return legs.reduce((min, l) => (!min || l.expiry < min ? l.expiry : min), null)
+}
+
+/** Calendar days from `now` to the first expiry's close, at least 0. */
+export function daysToFirstExpiry(legs, now = Date.now()) {
+  const first = firstExpiry(legs)
+  return first ? Math.max(0, Math.floor((expiryMs(first) - now) / MS_PER_DAY)) : 0
+}
+
+/**
+ * P&L of the legs plus shares if the stock is at S at time `at` (ms).
+ *
+ * @returns P&L in dollars, or null when a leg still has time left and no vol
+ */
+export function valueAt(legs, S, at, { ivShift = 0, shares = 0, stockCost = 0, r = RISK_FREE_RATE } = {}) {
+  let pnl = shares ? shares * (S - stockCost) : 0
+  for (const l of legs) {
+    const T = (expiryMs(l.expiry) - at) / MS_PER_YEAR
+    let v
+    if (T <= 0) v = l.type === 'put' ? Math.max(0, l.strike - S) : Math.max(0, S - l.strike)
+    else if (!(l.sigma > 0)) return null
+    else v = bsPrice(l.type, S, l.strike, T, r, Math.max(MIN_SIGMA, l.sigma + ivShift))
+    pnl += (l.side === 'long' ? 1 : -1) * l.contracts * 100 * v + l.openCash
+  }
+  return pnl
+}
+
+/**
+ * Price range to draw: the spot ±25%, widened to take in every strike with a
+ * margin so the payoff's corners are on the chart.
+ */
+export function priceRange(legs, spot) {
+  const strikes = legs.map((l) => l.strike)
+  const lo = Math.min(spot * 0.75, ...strikes.map((k) => k * 0.9))
+  const hi = Math.max(spot * 1.25, ...strikes.map((k) => k * 1.1))
+  return [Math.max(0, lo), hi]
+}
+
+/**
+ * The chart's curves across a price range.
+ *
+ * @param legs         open legs on one underlying
+ * @param spot         underlying price now
+ * @param shares       shares held, negative when short
+ * @param stockCost    their average cost
+ * @param ivShift      added to every leg's sigma (0.05 = +5 vol points)
+ * @param daysForward  calendar days ahead for the what-if curve
+ * @returns { points: [{ price, today, forward, expiry }], expiry, forwardDate,
+ *   atSpot: { today, forward, expiry } } — forward is null with daysForward 0,
+ *   today/forward are null when a leg has no vol. Dollars, rounded to cents.
+ */
+export function payoffCurves({ legs, spot, shares = 0, stockCost = 0, ivShift = 0, daysForward = 0, now = Date.now(), steps = 120 }) {
+  const expiry = firstExpiry(legs)
+  const atExpiry = expiryMs(expiry)
+  // Never past the first expiry — the curve there is the expiry curve.
+  const forwardAt = daysForward > 0 ? Math.min(now + daysForward * MS_PER_DAY, atExpiry) : null
+  const opts = { ivShift, shares, stockCost }
+  const at = (S) => {
+    const v = (t) => {
+      const x = t == null ? null : valueAt(legs, S, t, opts)
+      return x == null ? null : round2(x)
+    }
+    return { today: v(now), forward: v(forwardAt), expiry: v(atExpiry) }
+  }
+
+  const [lo, hi] = priceRange(legs, spot)
+  const step = (hi - lo) / steps
+  const points = []
+  for (let i = 0; i <= steps; i++) {
+    const price = round2(lo + i * step)
+    points.push({ price, ...at(price) })
+  }
+  return {
+    points,
+    expiry,
+    forwardDate: forwardAt == null ? null : new Date(forwardAt).toISOString().slice(0, 10),
+    atSpot: at(spot),
+  }
+}
+
+/**
+ * Prices where the expiry curve crosses zero, interpolated between points.
+ */
+export function curveBreakevens(points, key = 'expiry') {
+  const out = []
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1]
+    const b = points[i]
+    if (a[key] == null || b[key] == null) continue
+    if (a[key] === 0 && (i === 1 || points[i - 2][key] !== 0)) out.push(a.price)
+    else if ((a[key] < 0 && b[key] > 0) || (a[key] > 0 && b[key] < 0)) {
+      out.push(round2(a.price + (b.price - a.price) * (-a[key] / (b[key] - a[key]))))
+    }
+  }
+  return out
+}
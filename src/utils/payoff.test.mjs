@@ -0,0 +1,103 @@
+/**
+ * Payoff curves.
+ * Run: node src/utils/payoff.test.mjs
+ *
+ * The expiry curve has to be the textbook payoff to the cent, the curve
+ * before it has to sit between that and today's, and shares have to bend a
+ * short call into a covered one.
+ */
+import assert from 'node:assert/strict'
+import { payoffCurves, valueAt, curveBreakevens, daysToFirstExpiry, priceRange } from './payoff.js'
+import { bsPrice, RISK_FREE_RATE as r } from './blackScholes.js'
+
+let passed = 0
+const test = (name, fn) => {
+  try { fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+const close = (a, b, tol = 0.01) => assert.ok(Math.abs(a - b) < tol, `expected ${b}, got ${a}`)
+
+const now = Date.parse('2026-03-02T20:00:00Z')
+const leg = (o) => ({ type: 'put', strike: 100, expiry: '2026-03-20', side: 'long', contracts: 1, openCash: -300, sigma: 0.3, ...o })
+// Iron condor: 490/500 puts, 510/520 calls, $2 credit.
+const condor = [
+  leg({ strike: 490, side: 'long', openCash: -100 }),
+  leg({ strike: 500, side: 'short', openCash: 250 }),
+  leg({ type: 'call', strike: 510, side: 'short', openCash: 250 }),
+  leg({ type: 'call', strike: 520, side: 'long', openCash: -200 }),
+]
+
+console.log('\nAt expiry')
+
+test('the expiry curve is intrinsic value less what was paid', () => {
+  const { points, atSpot } = payoffCurves({ legs: condor, spot: 505, now })
+  close(atSpot.expiry, 200)
+  const at = (p) => points.reduce((best, x) => (Math.abs(x.price - p) < Math.abs(best.price - p) ? x : best))
+  close(at(400).expiry, -800)
+  close(at(600).expiry, -800)
+})
+
+test('breakevens are where the expiry curve crosses zero', () => {
+  const { points } = payoffCurves({ legs: condor, spot: 505, now, steps: 400 })
+  const be = curveBreakevens(points)
+  assert.equal(be.length, 2)
+  close(be[0], 498, 0.05)
+  close(be[1], 512, 0.05)
+})
+
+console.log('\nBefore expiry')
+
+test('today is Black-Scholes at the stored vol', () => {
+  const l = leg({})
+  const T = (Date.parse('2026-03-20T20:00:00Z') - now) / (365.25 * 864e5)
+  close(valueAt([l], 95, now), bsPrice('put', 95, 100, T, r, 0.3) * 100 - 300)
+})
+
+test('an IV shift moves every leg, and never below a floor', () => {
+  const l = leg({})
+  assert.ok(valueAt([l], 100, now, { ivShift: 0.1 }) > valueAt([l], 100, now))
+  assert.ok(Number.isFinite(valueAt([l], 100, now, { ivShift: -0.5 })))
+})
+
+test('days forward sit between today and expiry, and stop at expiry', () => {
+  const { atSpot, forwardDate } = payoffCurves({ legs: [leg({ strike: 105 })], spot: 100, now, daysForward: 9 })
+  assert.equal(forwardDate, '2026-03-11')
+  assert.ok(atSpot.today > atSpot.forward && atSpot.forward > atSpot.expiry)
+  assert.equal(payoffCurves({ legs: [leg({})], spot: 100, now, daysForward: 60 }).forwardDate, '2026-03-20')
+  assert.equal(daysToFirstExpiry(condor, now), 18)
+})
+
+test('a later leg keeps its time value on the first expiry', () => {
+  const calendar = [
+    leg({ type: 'call', strike: 100, side: 'short', openCash: 200 }),
+    leg({ type: 'call', strike: 100, side: 'long', expiry: '2026-04-17', openCash: -400 }),
+  ]
+  const { atSpot } = payoffCurves({ legs: calendar, spot: 100, now })
+  assert.ok(atSpot.expiry > -200, 'the long call is still worth something')
+})
+
+test('a leg with no vol leaves the curves before its expiry empty', () => {
+  const { atSpot } = payoffCurves({ legs: [leg({ sigma: null })], spot: 100, now, daysForward: 5 })
+  assert.equal(atSpot.today, null)
+  assert.equal(atSpot.forward, null)
+  close(atSpot.expiry, -300)
+})
+
+console.log('\nShares')
+
+test('shares fold in at their cost — a short call becomes a covered call', () => {
+  const call = [leg({ type: 'call', strike: 110, side: 'short', openCash: 150 })]
+  const naked = payoffCurves({ legs: call, spot: 100, now })
+  const covered = payoffCurves({ legs: call, spot: 100, now, shares: 100, stockCost: 95 })
+  const last = (c) => c.points[c.points.length - 1]
+  assert.ok(last(naked).expiry < -1000)
+  close(last(covered).expiry, (110 - 95) * 100 + 150)
+  close(covered.atSpot.expiry, 5 * 100 + 150)
+})
+
+test('the range takes in every strike', () => {
+  const [lo, hi] = priceRange([leg({ strike: 60 }), leg({ strike: 150 })], 100)
+  assert.ok(lo < 60 && hi > 150)
+})
+
+console.log(`\n${passed} passed\n`)
@@ -1,3 +1,6 @@
+import { linkAssignments } from './assignments.js'
+import { isShortSale, isShortCover, coverShorts, openShorts, borrowFee } from './shortSales.js'
+
 // Helper to safely get a YYYY-MM-DD string from a trade date that may be either
 // a Date object (standalone parser) or a string (server/DB). Avoids calling
 // .split() on a Date, which throws.
@@ -32,7 +35,11 @@ const extractParentInstrument = (description) => {
 }
 
 // Calculate P&L using Average Cost, FIFO, and LIFO methods
-export const calculatePnL = (trades, currentPrices, rollupOptions = true, debugCallback = null, previousClosePrices = {}, dividendsAndInterest = []) => {
+export const calculatePnL = (rawTrades, currentPrices, rollupOptions = true, debugCallback = null, previousClosePrices = {}, dividendsAndInterest = [], borrowRates = {}) => {
+  // An assigned or exercised option's premium counts toward the stock it
+  // turned into, not as option P&L — the same linking the Tax Center uses.
+  const trades = linkAssignments(rawTrades).trades
+
   // Log when calculatePnL is called to catch duplicate calls
   const prevCloseCount = Object.keys(previousClosePrices).length
   const hasPrevClose = Object.values(previousClosePrices).some(v => v > 0)
@@ -73,7 +80,7 @@ export const calculatePnL = (trades, currentPrices, rollupOptions = true, debugC
     const isOption = symbolTrades.some(t => t.isOption)
 
     // Calculate Real P&L (simple buy/sell matching)
-    const real = calculateReal(symbolTrades, currentPrice, symbol, debugCallback, dividendsAndInterest)
+    const real = calculateReal(symbolTrades, currentPrice, symbol, debugCallback, dividendsAndInterest, borrowRates)
 
     // Calculate Average Cost P&L
     const avgCost = calculateAverageCost(symbolTrades, currentPrice)
@@ -90,7 +97,8 @@ export const calculatePnL = (trades, currentPrices, rollupOptions = true, debugC
 
     // Calculate daily PNL: (Current Price - Previous Close) * Position
     const position = avgCost.position
-    const dailyPnL = position > 0 ? (currentPrice - previousClose) * position : 0
+    // Negative when short, which is the right sign for the day's move too
+    const dailyPnL = (position > 0 || real.shortPosition > 0) ? (currentPrice - previousClose) * position : 0
 
     // Calculate "Made Up Ground": profit made when stock is down
     // If price is down from previous close, include:
@@ -239,7 +247,7 @@ const rollupOptionsByParent = (pnlData) => {
 }
 
 // Real P&L calculation - Simple approach: sum all buy/sell amounts
-const calculateReal = (trades, currentPrice, symbol, debugCallback = null, dividendsAndInterest = []) => {
+const calculateReal = (trades, currentPrice, symbol, debugCallback = null, dividendsAndInterest = [], borrowRates = {}) => {
   let totalBuyAmount = 0
   let totalSellAmount = 0
   let totalBuyShares = 0
@@ -248,6 +256,12 @@ const calculateReal = (trades, currentPrice, symbol, debugCallback = null, divid
 
   // Track buy queue to calculate lowest open buy price (using FIFO)
   const buyQueue = []
+  // Short lots (shortSales.js). The cash sums above already count a short
+  // right — the sale brought money in, the cover paid it out — so these only
+  // decide what's still open and what it cost to borrow.
+  const shortLots = []
+  const borrowSchedule = borrowRates?.[symbol] || null
+  let borrowFees = 0
 
   // Track ALL buys to find the lowest buy price ever
   let lowestBuyEver = null
@@ -283,11 +297,24 @@ const calculateReal = (trades, currentPrice, symbol, debugCallback = null, divid
       totalBuyAmount += trade.quantity * trade.price
       totalBuyShares += trade.quantity
       position += trade.quantity
-      buyQueue.push({
-        quantity: trade.quantity,
-        price: trade.price,
-        date: trade.date || trade.transDate
-      })
+      // A cover closes short lots first; only what's left is shares held.
+      let held = trade.quantity
+      if (isShortCover(trade)) {
+        const cover = coverShorts(shortLots, held, trade.price, { date: trade.date || trade.transDate, schedule: borrowSchedule })
+        borrowFees += cover.fees
+        held -= cover.covered
+      }
+      if (held > 0.0001) {
+        buyQueue.push({
+          quantity: held,
+          price: trade.price,
+          date: trade.date || trade.transDate
+        })
+      }
+
+      // A reinvested dividend (drip.js) adds shares and cost like any buy,
+      // but nobody chose it — leave it out of the day-trade and buy-price signals.
+      if (trade.isDrip) return
 
       const tradeDate = new Date(trade.date || trade.transDate)
       tradeDate.setHours(0, 0, 0, 0)
@@ -344,8 +371,13 @@ const calculateReal = (trades, currentPrice, symbol, debugCallback = null, divid
         dateObj: tradeDate
       })
 
+      // A short sale opens a short lot instead of selling shares held.
+      if (isShortSale(trade)) {
+        shortLots.push({ quantity: trade.quantity, price: trade.price, date: trade.date || trade.transDate })
+      }
+
       // Remove sold shares from buy queue (FIFO) and track today's profit
-      let remainingSellQty = trade.quantity
+      let remainingSellQty = isShortSale(trade) ? 0 : trade.quantity
       const sellPrice = trade.price
 
       // Track today's sells for day trading calculation
@@ -380,6 +412,8 @@ const calculateReal = (trades, currentPrice, symbol, debugCallback = null, divid
   // Calculate total dividends and interest for this symbol
   let totalDividends = 0
   let totalInterest = 0
+  // Dividends paid to the lender while short — stored with a minus sign
+  let totalInLieu = 0
 
   dividendsAndInterest.forEach(item => {
     if (item.symbol === symbol) {
@@ -387,12 +421,23 @@ const calculateReal = (trades, currentPrice, symbol, debugCallback = null, divid
         totalDividends += item.amount
       } else if (item.isInterest) {
         totalInterest += item.amount
+      } else if (item.isInLieu) {
+        totalInLieu -= item.amount
       }
     }
   })
 
   // Realized P&L = Total sell amount - Total buy amount + Dividends - Interest
-  const realizedPnL = totalSellAmount - totalBuyAmount + totalDividends - totalInterest
+  // - dividends in lieu - borrow fees on shorts already covered
+  const realizedPnL = totalSellAmount - totalBuyAmount + totalDividends - totalInterest - totalInLieu - borrowFees
+
+  // Shares held long are the position plus whatever of it is short
+  const short = openShorts(shortLots)
+  const longShares = position + short.quantity
+  // Borrow fees accrue on a short until it's covered
+  const openBorrowFees = borrowSchedule
+    ? shortLots.reduce((sum, lot) => sum + borrowFee({ quantity: lot.quantity, price: lot.price, from: lot.date, to: new Date(), schedule: borrowSchedule }), 0)
+    : 0
 
   // Calculate average cost basis and unrealized P&L for remaining position
   let unrealizedPnL = 0
@@ -404,17 +449,17 @@ const calculateReal = (trades, currentPrice, symbol, debugCallback = null, divid
   let recentLowestSellPrice = 0
   let recentLowestSellDaysAgo = 0
 
-  if (position > 0) {
+  if (longShares > 0.0001) {
     // Unrealized P&L = Current value of remaining position
     // (Cost is already accounted for in realizedPnL via totalBuyAmount)
-    unrealizedPnL = currentPrice * position
+    unrealizedPnL = currentPrice * longShares
 
     // Calculate avgCostBasis for display purposes only (not used in P&L calc)
     if (buyQueue.length > 0) {
       const totalCostOfRemaining = buyQueue.reduce((sum, buy) => sum + (buy.price * buy.quantity), 0)
       const totalRemainingShares = buyQueue.reduce((sum, buy) => sum + buy.quantity, 0)
 
-      if (Math.abs(totalRemainingShares - position) > 0.01) {
+      if (Math.abs(totalRemainingShares - longShares) > 0.01) {
         // Position mismatch - use fallback
         avgCostBasis = totalBuyAmount > 0 ? totalBuyAmount / totalBuyShares : 0
       } else {
@@ -426,6 +471,12 @@ const calculateReal = (trades, currentPrice, symbol, debugCallback = null, divid
       avgCostBasis = totalBuyAmount > 0 ? totalBuyAmount / totalBuyShares : 0
     }
   }
+  // Shares short are owed back: their value comes off, the same way the
+  // short sale's proceeds went into realized
+  if (short.quantity > 0.0001) {
+    unrealizedPnL -= currentPrice * short.quantity + openBorrowFees
+    if (!(longShares > 0.0001)) avgCostBasis = short.avgPrice
+  }
 
   // Find the lowest buy price from ALL buys (not just open positions)
   if (lowestBuyEver) {
@@ -501,6 +552,9 @@ const calculateReal = (trades, currentPrice, symbol, debugCallback = null, divid
     totalPnL: roundToTwo(totalPnL),
     position: roundToTwo(position),
     avgCostBasis: roundToTwo(avgCostBasis),
+    shortPosition: roundToTwo(short.quantity),
+    borrowFees: roundToTwo(borrowFees + openBorrowFees),
+    inLieuCharges: roundToTwo(totalInLieu),
     percentageReturn: roundToTwo(percentageReturn),
     lowestOpenBuyPrice: roundToTwo(lowestOpenBuyPrice),
     lowestOpenBuyDaysAgo: lowestOpenBuyDaysAgo,
@@ -536,9 +590,24 @@ const calculateReal = (trades, currentPrice, symbol, debugCallback = null, divid
 const calculateAverageCost = (trades, currentPrice) => {
   let totalShares = 0
   let totalCost = 0
+  // Open short, at the average price it was sold at
+  let shortShares = 0
+  let shortProceeds = 0
 
   // Track all buys and sells
   trades.forEach((trade) => {
+    if (isShortSale(trade)) {
+      shortShares += trade.quantity
+      shortProceeds += trade.quantity * trade.price
+      return
+    }
+    if (isShortCover(trade) && shortShares > 0) {
+      const covered = Math.min(trade.quantity, shortShares)
+      shortProceeds -= covered * (shortProceeds / shortShares)
+      shortShares -= covered
+      if (trade.quantity - covered <= 0.0001) return
+      trade = { ...trade, quantity: trade.quantity - covered }
+    }
     if (trade.isBuy) {
       totalShares += trade.quantity
       totalCost += trade.quantity * trade.price
@@ -553,13 +622,16 @@ const calculateAverageCost = (trades, currentPrice) => {
 
   if (totalShares > 0 && totalCost > 0) {
     // Calculate weighted average cost across all purchases
-    avgCostBasis = totalCost / (totalShares + trades.filter(t => !t.isBuy).reduce((sum, t) => sum + t.quantity, 0))
+    avgCostBasis = totalCost / (totalShares + trades.filter(t => !t.isBuy && !isShortSale(t)).reduce((sum, t) => sum + t.quantity, 0))
     unrealizedPnL = (currentPrice - avgCostBasis) * totalShares
+  } else if (shortShares > 0.0001) {
+    avgCostBasis = shortProceeds / shortShares
+    unrealizedPnL = (avgCostBasis - currentPrice) * shortShares
   }
 
   return {
     unrealizedPnL: roundToTwo(unrealizedPnL),
-    position: roundToTwo(totalShares),
+    position: roundToTwo(totalShares - shortShares),
     avgCostBasis: roundToTwo(avgCostBasis)
   }
 }
@@ -567,18 +639,31 @@ const calculateAverageCost = (trades, currentPrice) => {
 // FIFO (First In, First Out) calculation
 const calculateFIFO = (trades, currentPrice) => {
   const buyQueue = []
+  const shortLots = []
   let realizedPnL = 0
   let totalShares = 0
 
   trades.forEach((trade) => {
+    if (isShortSale(trade)) {
+      shortLots.push({ quantity: trade.quantity, price: trade.price, date: trade.date })
+      return
+    }
     if (trade.isBuy) {
+      // A cover closes the oldest short lots first; the rest is a buy
+      let quantity = trade.quantity
+      if (isShortCover(trade)) {
+        const cover = coverShorts(shortLots, quantity, trade.price)
+        realizedPnL += cover.realized
+        quantity -= cover.covered
+        if (quantity <= 0.0001) return
+      }
       // Add to buy queue
       buyQueue.push({
-        quantity: trade.quantity,
+        quantity,
         price: trade.price,
         date: trade.date
       })
-      totalShares += trade.quantity
+      totalShares += quantity
     } else {
       // Sell - match with oldest buys first (FIFO)
       let remainingSellQty = trade.quantity
@@ -615,12 +700,20 @@ const calculateFIFO = (trades, currentPrice) => {
     avgCostBasis = totalCost / position
     unrealizedPnL = (currentPrice - avgCostBasis) * position
   }
+  // Still short: marked against the prices the shares were sold at
+  const short = openShorts(shortLots)
+  const shortQty = short.quantity > 0.0001 ? short.quantity : 0
+  if (shortQty) {
+    unrealizedPnL += (short.avgPrice - currentPrice) * shortQty
+    if (!(position > 0.0001)) avgCostBasis = short.avgPrice
+  }
+  const open = position > 0.0001 || shortQty > 0
 
   return {
     realizedPnL: roundToTwo(realizedPnL),
-    unrealizedPnL: position > 0.0001 ? roundToTwo(unrealizedPnL) : 0,
-    totalPnL: roundToTwo(realizedPnL + (position > 0.0001 ? unrealizedPnL : 0)),
-    position: position > 0.0001 ? roundToTwo(position) : 0,
+    unrealizedPnL: open ? roundToTwo(unrealizedPnL) : 0,
+    totalPnL: roundToTwo(realizedPnL + (open ? unrealizedPnL : 0)),
+    position: roundToTwo((position > 0.0001 ? position : 0) - shortQty),
     avgCostBasis: roundToTwo(avgCostBasis)
   }
 }
@@ -628,18 +721,31 @@ const calculateFIFO = (trades, currentPrice) => {
 // LIFO (Last In, First Out) calculation
 const calculateLIFO = (trades, currentPrice) => {
   const buyStack = []
+  const shortLots = []
   let realizedPnL = 0
   let totalShares = 0
 
   trades.forEach((trade) => {
+    if (isShortSale(trade)) {
+      shortLots.push({ quantity: trade.quantity, price: trade.price, date: trade.date })
+      return
+    }
     if (trade.isBuy) {
+      // A cover closes the newest short lots first; the rest is a buy
+      let quantity = trade.quantity
+      if (isShortCover(trade)) {
+        const cover = coverShorts(shortLots, quantity, trade.price, { lifo: true })
+        realizedPnL += cover.realized
+        quantity -= cover.covered
+        if (quantity <= 0.0001) return
+      }
       // Add to buy stack
       buyStack.push({
-        quantity: trade.quantity,
+        quantity,
         price: trade.price,
         date: trade.date
       })
-      totalShares += trade.quantity
+      totalShares += quantity
     } else {
       // Sell - match with newest buys first (LIFO)
       let remainingSellQty = trade.quantity
@@ -676,12 +782,20 @@ const calculateLIFO = (trades, currentPrice) => {
     avgCostBasis = totalCost / position
     unrealizedPnL = (currentPrice - avgCostBasis) * position
   }
+  // Still short: marked against the prices the shares were sold at
+  const short = openShorts(shortLots)
+  const shortQty = short.quantity > 0.0001 ? short.quantity : 0
+  if (shortQty) {
+    unrealizedPnL += (short.avgPrice - currentPrice) * shortQty
+    if (!(position > 0.0001)) avgCostBasis = short.avgPrice
+  }
+  const open = position > 0.0001 || shortQty > 0
 
   return {
     realizedPnL: roundToTwo(realizedPnL),
-    unrealizedPnL: position > 0.0001 ? roundToTwo(unrealizedPnL) : 0,
-    totalPnL: roundToTwo(realizedPnL + (position > 0.0001 ? unrealizedPnL : 0)),
-    position: position > 0.0001 ? roundToTwo(position) : 0,
+    unrealizedPnL: open ? roundToTwo(unrealizedPnL) : 0,
+    totalPnL: roundToTwo(realizedPnL + (open ? unrealizedPnL : 0)),
+    position: roundToTwo((position > 0.0001 ? position : 0) - shortQty),
     avgCostBasis: roundToTwo(avgCostBasis)
   }
 }
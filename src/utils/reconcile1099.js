@@ -0,0 +1,280 @@
+// 1099-B reconciliation for the Tax Center.
+//
+// Reads the broker's own 1099-B export (the CSV Robinhood and Schwab offer
+// alongside the consolidated PDF) and compares it with the sales this app
+// computed (computeStockRealized / computeOptionsRealized, sliced to the year).
+// Both sides are grouped per sale — symbol and date sold — because brokers
+// split a sale into lots differently than the app may have: one 1099-B line per
+// lot, or one per sale. Each group is then matched, mismatched (quantity,
+// proceeds, basis or wash-sale disallowed), or known to one side only.
+//
+// Options are matched on their underlying and date sold: 1099-B descriptions of
+// a contract differ from broker to broker and from the app's own format. The
+// app realizes an option when the contract is fully closed, so a position
+// closed in pieces on different days shows as one sale here and several there.
+//
+// Section 1256 contracts are left out on both sides: the 1099-B reports them
+// as aggregate profit or loss (boxes 8–11), not sale by sale.
+//
+// IMPORTANT: informational only, NOT tax advice. The broker's 1099-B is what
+// the IRS receives; a difference means one side needs explaining, not that
+// the app is right.
+
+import Papa from 'papaparse'
+import { BROAD_INDEX_ROOTS } from './section1256.js'
+
+const round2 = (n) => Math.round((n + Number.EPSILON) * 100) / 100
+const pad = (n) => String(n).padStart(2, '0')
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+// A sale's day. Stored dates are 'YYYY-MM-DD' strings and stay as they are.
+// The tax base hands them over parsed, and a date-only string parses to UTC
+// midnight — the evening before in US time — so such a Date is read in UTC.
+// Any other Date (a year-end mark at local noon) is read in local time.
+const saleDay = (d) => {
+  if (!(d instanceof Date)) return String(d).slice(0, 10)
+  if (d.getTime() % MS_PER_DAY === 0) return d.toISOString().slice(0, 10)
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`
+}
+
+// Header names seen in broker exports, lower-cased with everything but letters
+// and digits removed ("1d- Proceeds ($)" → "1dproceeds").
+const COLUMNS = {
+  symbol: ['symbol', 'ticker', 'securitysymbol', 'symbolcusip'],
+  description: ['description', 'descriptionofproperty', '1adescriptionofproperty', 'securitydescription', 'security', 'name'],
+  quantity: ['quantity', 'qty', 'shares', 'quantitysold'],
+  acquired: ['dateacquired', '1bdateacquired', 'acquired', 'openeddate', 'dateopened'],
+  sold: ['datesold', 'datesoldordisposed', '1cdatesoldordisposed', 'closeddate', 'dateclosed', 'saledate'],
+  proceeds: ['proceeds', '1dproceeds', 'grossproceeds', 'totalproceeds', 'salesprice'],
+  basis: ['costbasis', 'costorotherbasis', '1ecostorotherbasis', 'costbasiscb', 'cost', 'adjustedcostbasis'],
+  wash: ['washsalelossdisallowed', '1gwashsalelossdisallowed', 'washsaledisallowed', 'disallowedloss', 'washsaleadjustment'],
+  term: ['term', 'shortlongterm', 'shorttermlongterm', 'holdingperiod', 'gainlosstype']
+}
+
+const norm = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '')
+
+const parseAmount = (v) => {
+  const s = String(v ?? '').trim()
+  if (!s || s === '--' || /^n\/?a$/i.test(s)) return null
+  const negative = /^\(.*\)$/.test(s) || s.startsWith('-')
+  const n = parseFloat(s.replace(/[$,()\s-]/g, ''))
+  if (isNaN(n)) return null
+  return negative ? -n : n
+}
+
+// 'MM/DD/YYYY', 'MM/DD/YY' or 'YYYY-MM-DD' → 'YYYY-MM-DD'; anything else
+// ('VARIOUS', blank) → null.
+const parseDay = (v) => {
+  const s = String(v || '').trim()
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/)
+  if (m) return `${m[1]}-${pad(m[2])}-${pad(m[3])}`
+  m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/)
+  if (m) return `${m[3].length === 2 ? `20${m[3]}` : m[3]}-${pad(m[1])}-${pad(m[2])}`
+  return null
+}
+
+const OPTION_WORDS = /\b(call|put)s?\b/i
+// OCC-style ("AAPL250117C00150000") or "AAPL 01/17/2025 150.00 C".
+const OPTION_SYMBOL = /^[A-Z.]+\s*\d{6}[CP]\d{8}$|^[A-Z.]+\s+\d{1,2}\/\d{1,2}\/\d{2,4}\s+[\d.]+\s+[CP]$/
+
+// Ticker from a symbol cell or, failing that, the description: "(AAPL)",
+// "… | AAPL", or a leading ticker ("AAPL 01/17/2025 Call $150.00",
+// "CALL AAPL …").
+function tickerOf(symbol, description) {
+  const fromSymbol = (String(symbol || '').trim().split(/\s+/)[0].match(/^[A-Za-z.]+/) || [''])[0].toUpperCase()
+  if (fromSymbol) return fromSymbol
+  const d = String(description || '')
+  const m = d.match(/\(([A-Z.]{1,6})\)/) || d.match(/\|\s*([A-Z.]{1,6})\b/)
+  if (m) return m[1]
+  const first = d.trim().split(/\s+/).find((w) => !/^(call|put)s?$/i.test(w))
+  return first && /^[A-Z.]{1,6}$/.test(first) ? first : ''
+}
+
+/**
+ * Parse a broker's 1099-B CSV. Title rows above the header and rows that
+ * aren't sales (section totals, 1099-DIV lines in a consolidated export) are
+ * passed over.
+ *
+ * @returns { lines: [{ symbol, kind: 'stock' | 'option', description, quantity,
+ *   acquired, sold, proceeds, basis, washDisallowed, term }], skipped }
+ *   Dates are 'YYYY-MM-DD'; `basis` is null when the broker didn't report one.
+ */
+export function parse1099B(text) {
+  const rows = Papa.parse(String(text || ''), { skipEmptyLines: true }).data
+  const find = (cells, key) => cells.findIndex((c) => COLUMNS[key].includes(norm(c)))
+  const headerAt = rows.findIndex((cells) => find(cells, 'sold') >= 0 && find(cells, 'proceeds') >= 0)
+  if (headerAt === -1) {
+    throw new Error("Couldn't find the 1099-B columns (date sold, proceeds) in this file")
+  }
+  const col = Object.fromEntries(Object.keys(COLUMNS).map((k) => [k, find(rows[headerAt], k)]))
+  const cell = (cells, key) => (col[key] >= 0 ? cells[col[key]] : '')
+
+  const lines = []
+  let skipped = 0
+  for (const cells of rows.slice(headerAt + 1)) {
+    const sold = parseDay(cell(cells, 'sold'))
+    const proceeds = parseAmount(cell(cells, 'proceeds'))
+    const description = String(cell(cells, 'description') || '').trim()
+    const rawSymbol = String(cell(cells, 'symbol') || '').trim()
+    const symbol = tickerOf(rawSymbol, description)
+    if (!sold || proceeds == null || !symbol) {
+      skipped++
+      continue
+    }
+    const term = norm(cell(cells, 'term'))
+    lines.push({
+      symbol,
+      kind: OPTION_WORDS.test(description) || OPTION_WORDS.test(rawSymbol) || OPTION_SYMBOL.test(rawSymbol) ? 'option' : 'stock',
+      description,
+      quantity: Math.abs(parseAmount(cell(cells, 'quantity')) || 0),
+      acquired: parseDay(cell(cells, 'acquired')),
+      sold,
+      proceeds,
+      basis: parseAmount(cell(cells, 'basis')),
+      washDisallowed: Math.abs(parseAmount(cell(cells, 'wash')) || 0),
+      term: term.startsWith('short') ? 'short' : term.startsWith('long') ? 'long' : null
+    })
+  }
+  return { lines, skipped }
+}
+
+const emptySide = () => ({ quantity: 0, proceeds: 0, basis: 0, basisMissing: false, washDisallowed: 0, lines: 0 })
+
+function addTo(groups, { kind, symbol, sold }, add) {
+  const key = `${kind}|${symbol}|${sold}`
+  if (!groups.has(key)) groups.set(key, { key, kind, symbol, sold, side: emptySide() })
+  add(groups.get(key).side)
+}
+
+const closeSide = (s) => ({
+  quantity: round2(s.quantity),
+  proceeds: round2(s.proceeds),
+  basis: s.basisMissing ? null : round2(s.basis),
+  washDisallowed: round2(s.washDisallowed),
+  lines: s.lines
+})
+
+/**
+ * Match the 1099-B against the app's sales for the year.
+ *
+ * @param lines       parse1099B().lines
+ * @param realized    the year's realized records (summarizeTaxYear().allRealized)
+ * @param opts.broker only the app's sales at this broker — a 1099-B covers one account
+ * @param opts.unreconciled  the year's sales with no buy in the app; they have
+ *   proceeds but no basis, which the broker may well know
+ * @param opts.tolerance     dollar difference still counted as agreeing (rounding)
+ * @param opts.dateWindow    days a sale's date may differ and still pair up
+ *   (trade vs settlement date)
+ * @returns { rows: [{ status: 'matched' | 'mismatch' | 'brokerOnly' | 'appOnly',
+ *   kind, symbol, sold, broker, app, issues: ['quantity' | 'proceeds' | 'basis' |
+ *   'wash' | 'date'], diff: { proceeds, basis, washDisallowed }, dayShift }],
+ *   totals: { broker, app }, counts }
+ */
+export function reconcile1099B(lines = [], realized = [], { year = null, broker = null, unreconciled = [], tolerance = 1, dateWindow = 3 } = {}) {
+  const brokerGroups = new Map()
+  for (const l of lines) {
+    if (year && Number(l.sold.slice(0, 4)) !== year) continue
+    if (l.kind === 'option' && BROAD_INDEX_ROOTS.has(l.symbol)) continue
+    addTo(brokerGroups, l, (s) => {
+      s.quantity += l.quantity
+      s.proceeds += l.proceeds
+      if (l.basis == null) s.basisMissing = true
+      else s.basis += l.basis
+      s.washDisallowed += l.washDisallowed
+      s.lines++
+    })
+  }
+
+  const appGroups = new Map()
+  const atBroker = (r) => !broker || (r.broker || 'robinhood') === broker
+  for (const r of realized) {
+    if (!atBroker(r) || r.section1256) continue
+    const kind = r.type === 'option' ? 'option' : 'stock'
+    const symbol = kind === 'option' ? String(r.symbol).trim().split(/\s+/)[0].toUpperCase() : r.symbol
+    addTo(appGroups, { kind, symbol, sold: saleDay(r.sellDate) }, (s) => {
+      s.quantity += kind === 'option' ? 0 : r.quantity
+      s.proceeds += r.proceeds
+      s.basis += r.costBasis
+      s.washDisallowed += r.washDisallowed || 0
+      s.lines++
+    })
+  }
+  for (const u of unreconciled) {
+    if (!atBroker(u)) continue
+    addTo(appGroups, { kind: 'stock', symbol: u.symbol, sold: saleDay(u.sellDate) }, (s) => {
+      s.quantity += u.quantity
+      s.proceeds += u.proceeds
+      s.basisMissing = true
+      s.lines++
+    })
+  }
+
+  // Same sale, same day first; then what's left pairs with the nearest sale of
+  // the same symbol within the window.
+  const pairs = []
+  for (const [key, b] of brokerGroups) {
+    if (!appGroups.has(key)) continue
+    pairs.push([b, appGroups.get(key)])
+    brokerGroups.delete(key)
+    appGroups.delete(key)
+  }
+  const dayOf = (g) => new Date(`${g.sold}T12:00:00`).getTime()
+  for (const [key, b] of [...brokerGroups]) {
+    let best = null
+    for (const a of appGroups.values()) {
+      if (a.kind !== b.kind || a.symbol !== b.symbol) continue
+      const days = Math.abs(dayOf(a) - dayOf(b)) / MS_PER_DAY
+      if (days <= dateWindow && (!best || days < best.days)) best = { a, days }
+    }
+    if (!best) continue
+    pairs.push([b, best.a])
+    brokerGroups.delete(key)
+    appGroups.delete(best.a.key)
+  }
+
+  const rows = []
+  for (const [b, a] of pairs) {
+    const bs = closeSide(b.side)
+    const as = closeSide(a.side)
+    const diff = {
+      proceeds: round2(bs.proceeds - as.proceeds),
+      basis: bs.basis == null || as.basis == null ? null : round2(bs.basis - as.basis),
+      washDisallowed: round2(bs.washDisallowed - as.washDisallowed)
+    }
+    const issues = []
+    // Option quantities aren't comparable — the app counts a closed contract once.
+    if (b.kind === 'stock' && Math.abs(bs.quantity - as.quantity) > 0.0001) issues.push('quantity')
+    if (Math.abs(diff.proceeds) > tolerance) issues.push('proceeds')
+    // A basis on one side only is a difference too: noncovered lots the broker
+    // didn't report, or transferred-in shares the app has no buy for.
+    if (diff.basis == null ? bs.basis !== as.basis : Math.abs(diff.basis) > tolerance) issues.push('basis')
+    if (Math.abs(diff.washDisallowed) > tolerance) issues.push('wash')
+    const dayShift = Math.round((dayOf(a) - dayOf(b)) / MS_PER_DAY)
+    rows.push({
+      status: issues.length ? 'mismatch' : 'matched',
+      kind: b.kind,
+      symbol: b.symbol,
+      sold: b.sold,
+      broker: bs,
+      app: as,
+      issues: dayShift ? [...issues, 'date'] : issues,
+      diff,
+      dayShift
+    })
+  }
+  for (const b of brokerGroups.values()) {
+    rows.push({ status: 'brokerOnly', kind: b.kind, symbol: b.symbol, sold: b.sold, broker: closeSide(b.side), app: null, issues: [], diff: null, dayShift: 0 })
+  }
+  for (const a of appGroups.values()) {
+    rows.push({ status: 'appOnly', kind: a.kind, symbol: a.symbol, sold: a.sold, broker: null, app: closeSide(a.side), issues: [], diff: null, dayShift: 0 })
+  }
+  rows.sort((x, y) => x.sold.localeCompare(y.sold) || x.symbol.localeCompare(y.symbol) || x.kind.localeCompare(y.kind))
+
+  const total = (side) => {
+    const present = rows.map((r) => r[side]).filter(Boolean)
+    const sum = (k) => round2(present.reduce((s, x) => s + (x[k] || 0), 0))
+    return { proceeds: sum('proceeds'), basis: sum('basis'), washDisallowed: sum('washDisallowed') }
+  }
+  const counts = { matched: 0, mismatch: 0, brokerOnly: 0, appOnly: 0 }
+  for (const r of rows) counts[r.status]++
+  return { rows, totals: { broker: total('broker'), app: total('app') }, counts }
+}
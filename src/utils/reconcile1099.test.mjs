@@ -0,0 +1,137 @@
+/**
+ * 1099-B reconciliation.
+ * Run: node src/utils/reconcile1099.test.mjs
+ *
+ * The broker's 1099-B and the Tax Center's totals could only be compared by
+ * eye. These check that broker exports are read whatever their header names,
+ * and that each sale comes out matched, different (and in what), or known to
+ * one side only.
+ */
+import assert from 'node:assert/strict'
+import { buildTaxBase, summarizeTaxYear } from './taxCalculator.js'
+import { parse1099B, reconcile1099B } from './reconcile1099.js'
+
+let passed = 0
+const test = (name, fn) => {
+  try { fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+
+const t = (o) => ({ symbol: 'AAPL', isOption: false, quantity: 10, price: 100, amount: -1000, isBuy: true, date: '2026-01-05', broker: 'robinhood', ...o })
+const CALL = 'AAPL 03/20/2026 Call $150.00'
+const trades = [
+  t({}),
+  t({ price: 150, amount: 1500, isBuy: false, date: '2026-03-02' }),
+  t({ symbol: 'MSFT', quantity: 5, price: 400, amount: -2000, date: '2026-02-02' }),
+  t({ symbol: 'MSFT', quantity: 5, price: 380, amount: 1900, isBuy: false, date: '2026-05-04' }),
+  t({ symbol: 'TSLA', quantity: 2, price: 200, amount: 400, isBuy: false, date: '2026-06-01' }), // transferred in
+  t({ symbol: CALL, isOption: true, quantity: 1, price: 200, amount: 200, date: '2026-02-02' }),
+  t({ symbol: CALL, isOption: true, quantity: 1, price: 350, amount: 350, isBuy: false, date: '2026-03-10' }),
+  t({ symbol: 'AMD', broker: 'webull', date: '2026-01-05' }),
+  t({ symbol: 'AMD', broker: 'webull', price: 120, amount: 1200, isBuy: false, date: '2026-03-02' })
+]
+const summary = summarizeTaxYear(buildTaxBase(trades, []), 2026)
+
+const ROBINHOOD = `Robinhood Securities LLC,Form 1099-B,2026
+Description,Symbol,Quantity,Date Acquired,Date Sold,Proceeds,Cost Basis,Wash Sale Loss Disallowed,Term
+APPLE INC,AAPL,10,01/05/2026,03/02/2026,"$1,500.00",$1000.00,,Short Term
+MICROSOFT CORP,MSFT,5,02/02/2026,05/05/2026,1899.50,2000.00,,Short Term
+TESLA INC,TSLA,2,01/02/2025,06/01/2026,400.00,300.00,,Long Term
+${CALL},AAPL 03/20/2026 150.00 C,1,02/02/2026,03/10/2026,350.00,200.00,,Short Term
+NVIDIA CORP,NVDA,3,01/10/2026,04/01/2026,300.00,330.00,30.00,Short Term
+Total,,,,,"4,449.50",,,
+`
+const recon = (csv, opts = {}) =>
+  reconcile1099B(parse1099B(csv).lines, summary.allRealized, { year: 2026, broker: 'robinhood', unreconciled: summary.unreconciled, ...opts })
+const row = (r, symbol, kind = 'stock') => r.rows.find((x) => x.symbol === symbol && x.kind === kind)
+
+console.log('\nReading the 1099-B')
+
+test('the header is found below title rows, and totals rows are ignored', () => {
+  const { lines, skipped } = parse1099B(ROBINHOOD)
+  assert.equal(lines.length, 5)
+  assert.equal(skipped, 1)
+  assert.deepEqual(lines[0], {
+    symbol: 'AAPL', kind: 'stock', description: 'APPLE INC', quantity: 10, acquired: '2026-01-05',
+    sold: '2026-03-02', proceeds: 1500, basis: 1000, washDisallowed: 0, term: 'short'
+  })
+  assert.equal(lines[3].kind, 'option')
+  assert.equal(lines[3].symbol, 'AAPL')
+})
+
+test('other brokers\' column names, ISO dates and bracketed amounts', () => {
+  const { lines } = parse1099B(`"Realized Gain/Loss for account ...123"
+"Symbol","Name","Closed Date","Opened Date","Quantity","Proceeds","Cost Basis (CB)","Disallowed Loss","Term"
+"AAPL250117C00150000","CALL APPLE INC $150 EXP 01/17/25","2026-01-10","VARIOUS","2","(0.00)","$410.00","($12.50)","Short Term"
+"","APPLE INC (AAPL)","2026-02-03","2025-01-02","4","$900.00","","","Long Term"`)
+  assert.deepEqual(lines.map((l) => [l.symbol, l.kind, l.sold, l.acquired, l.basis, l.washDisallowed, l.term]), [
+    ['AAPL', 'option', '2026-01-10', null, 410, 12.5, 'short'],
+    ['AAPL', 'stock', '2026-02-03', '2025-01-02', null, 0, 'long']
+  ])
+})
+
+test('a file without 1099-B columns is refused', () => {
+  assert.throws(() => parse1099B('Activity Date,Instrument,Amount\n01/02/2026,AAPL,100'), /date sold, proceeds/)
+})
+
+console.log('\nReconciling')
+
+test('a sale both sides agree on is matched', () => {
+  const r = row(recon(ROBINHOOD), 'AAPL')
+  assert.equal(r.status, 'matched')
+  assert.deepEqual(r.diff, { proceeds: 0, basis: 0, washDisallowed: 0 })
+})
+
+test('a day apart still pairs up, and rounding isn\'t a difference', () => {
+  const r = row(recon(ROBINHOOD), 'MSFT')
+  assert.equal(r.status, 'matched')
+  assert.equal(r.dayShift, -1)
+  assert.deepEqual(r.issues, ['date'])
+})
+
+test('transferred-in shares: the broker has a basis the app doesn\'t', () => {
+  const r = row(recon(ROBINHOOD), 'TSLA')
+  assert.equal(r.status, 'mismatch')
+  assert.deepEqual(r.issues, ['basis'])
+  assert.equal(r.app.basis, null)
+  assert.equal(r.broker.basis, 300)
+})
+
+test('options are matched on the underlying', () => {
+  const r = row(recon(ROBINHOOD), 'AAPL', 'option')
+  assert.equal(r.status, 'matched')
+  assert.equal(r.app.proceeds, 350)
+})
+
+test('sales on one side only, and only the chosen account\'s', () => {
+  const r = recon(ROBINHOOD)
+  assert.equal(row(r, 'NVDA').status, 'brokerOnly')
+  assert.equal(row(r, 'AMD'), undefined, 'a webull sale is not on a Robinhood 1099-B')
+  assert.deepEqual(r.counts, { matched: 3, mismatch: 1, brokerOnly: 1, appOnly: 0 })
+  assert.equal(row(recon(ROBINHOOD, { broker: 'webull' }), 'AMD').status, 'appOnly')
+})
+
+test('different lots relieved and different wash sales are told apart', () => {
+  const csv = ROBINHOOD.replace('"$1,500.00",$1000.00,', '"$1,500.00",$1100.00,40.00')
+  const r = row(recon(csv), 'AAPL')
+  assert.equal(r.status, 'mismatch')
+  assert.deepEqual(r.issues, ['basis', 'wash'])
+  assert.deepEqual(r.diff, { proceeds: 0, basis: 100, washDisallowed: 40 })
+})
+
+test('lines split per lot are summed into their sale', () => {
+  const csv = ROBINHOOD.replace('APPLE INC,AAPL,10,01/05/2026,03/02/2026,"$1,500.00",$1000.00,,Short Term',
+    'APPLE INC,AAPL,4,01/05/2026,03/02/2026,600,400,,Short Term\nAPPLE INC,AAPL,6,01/05/2026,03/02/2026,900,600,,Short Term')
+  const r = row(recon(csv), 'AAPL')
+  assert.equal(r.status, 'matched')
+  assert.equal(r.broker.lines, 2)
+})
+
+test('totals compare the two sides', () => {
+  const r = recon(ROBINHOOD)
+  assert.equal(r.totals.broker.proceeds, 4449.5)
+  assert.equal(r.totals.app.proceeds, 4150)
+  assert.equal(r.totals.broker.washDisallowed, 30)
+})
+
+console.log(`\n${passed} passed\n`)
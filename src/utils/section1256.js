@@ -0,0 +1,157 @@
+// Section 1256 contracts for the Tax Center.
+//
+// Options on broad-based indexes (SPX, NDX, RUT, VIX…) and options on futures
+// are Section 1256 contracts. Whatever the holding period, a gain or loss is
+// 60% long-term and 40% short-term, and a contract still open on December 31
+// is treated as sold at its fair market value that day — marked to market —
+// with that value becoming its basis for the next year. They're reported on
+// Form 6781, which carries the split to Schedule D lines 4 and 11, not on
+// Form 8949.
+//
+// Options on ETFs that track an index (SPY, QQQ, IWM, DIA) are equity options,
+// not 1256 contracts, and stay with the rest in computeOptionsRealized.
+//
+// IMPORTANT: informational only, NOT tax advice. Mixed straddles, the loss
+// carryback election and narrow-based index options aren't modelled.
+
+import { parseOptionDescription } from './optionUtils.js'
+
+const round2 = (n) => Math.round((n + Number.EPSILON) * 100) / 100
+const toDate = (d) => (d instanceof Date ? d : new Date(d))
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+const EPS = 0.0000001
+
+// Cash-settled broad-based index option roots, weekly and mini series included.
+export const BROAD_INDEX_ROOTS = new Set([
+  'SPX', 'SPXW', 'XSP', 'NDX', 'NDXP', 'XND', 'RUT', 'RUTW', 'MRUT', 'VIX', 'VIXW', 'DJX', 'OEX', 'XEO'
+])
+
+export const LONG_TERM_SHARE = 0.6
+
+/**
+ * What an option's underlying is: 'index' (broad-based), 'future' (futures
+ * options, written "/ES…"), or 'equity' — stocks and ETFs.
+ */
+export function optionUnderlyingClass(description) {
+  const s = String(description || '').trim()
+  if (s.startsWith('/')) return 'future'
+  const ticker = parseOptionDescription(s)?.ticker || s.split(/\s+/)[0]
+  return BROAD_INDEX_ROOTS.has(ticker.toUpperCase()) ? 'index' : 'equity'
+}
+
+export const isSection1256 = (description) => optionUnderlyingClass(description) !== 'equity'
+
+/**
+ * Gains on one 1256 contract, year by year.
+ *
+ * A year the position ends flat recognizes everything not yet recognized; a
+ * year it ends open is marked at `yearEndMarks[year][key]` — the option's
+ * price per share on the last trading day — and the marked gain recognized.
+ * A year-end with no mark recognizes nothing and is listed in `unmarked`, so
+ * the gain falls to the year the contract closes until a mark is entered.
+ *
+ * @param list  the contract's trades (one broker, one contract), in dollars
+ * @param opts.key   the contract's key in `yearEndMarks` ("broker::symbol")
+ * @param opts.lastYear  the last year that has ended (last year, by default).
+ *   A position still open after it is just open — its year-end hasn't come.
+ * @returns { realized: [record], unmarked: [{ key, symbol, broker, year, contracts }] }
+ */
+export function section1256Realized(list, { key, broker = 'robinhood', yearEndMarks = {}, lastYear = new Date().getFullYear() - 1 } = {}) {
+  const sorted = [...list].sort((a, b) => toDate(a.date) - toDate(b.date))
+  const symbol = sorted[0].symbol
+  const firstDate = toDate(sorted[0].date)
+  const through = Math.max(lastYear, toDate(sorted[sorted.length - 1].date).getFullYear())
+  const realized = []
+  const unmarked = []
+
+  let i = 0
+  let net = 0 // contracts: long positive, short negative
+  let cash = 0 // sells less buys, to date
+  let recognized = 0 // gain already taxed, marks included
+  for (let year = firstDate.getFullYear(); year <= through; year++) {
+    let buys = 0
+    let sells = 0
+    let lastDate = null
+    while (i < sorted.length && toDate(sorted[i].date).getFullYear() === year) {
+      const t = sorted[i++]
+      if (t.isBuy) buys += t.amount
+      else sells += t.amount
+      // Expiry, assignment or exercise settles the whole contract.
+      net = t.isExpiry ? 0 : net + (t.isBuy ? 1 : -1) * (t.contracts || 1)
+      lastDate = toDate(t.date)
+    }
+    cash += sells - buys
+    const open = Math.abs(net) > EPS
+
+    if (open && year > lastYear) {
+      // Still open in a year that hasn't ended: nothing to mark yet.
+    } else if (open) {
+      const mark = yearEndMarks[year]?.[key]
+      if (mark == null || mark === '' || isNaN(mark)) {
+        unmarked.push({ key, symbol, broker, year, contracts: net })
+      } else {
+        const value = Number(mark) * 100 * net
+        const gain = cash + value - recognized
+        const proceeds = sells + Math.max(value, 0)
+        realized.push(record({ symbol, broker, firstDate, sellDate: new Date(year, 11, 31, 12), proceeds, gain, markedToMarket: true, mark: Number(mark), openContracts: net }))
+        recognized = cash + value
+      }
+    } else if (lastDate) {
+      const gain = cash - recognized
+      realized.push(record({ symbol, broker, firstDate, sellDate: lastDate, proceeds: sells, gain, markedToMarket: false }))
+      recognized = cash
+    }
+    if (i >= sorted.length && !open) break
+  }
+  return { realized, unmarked }
+}
+
+function record({ symbol, broker, firstDate, sellDate, proceeds, gain, ...rest }) {
+  return {
+    symbol,
+    broker,
+    type: 'option',
+    section1256: true,
+    quantity: 1,
+    buyDate: firstDate,
+    sellDate,
+    proceeds: round2(proceeds),
+    costBasis: round2(proceeds - gain),
+    gain: round2(gain),
+    holdingDays: Math.floor((sellDate - firstDate) / MS_PER_DAY),
+    // 60/40 whatever the holding period; see splitSection1256.
+    term: 'section1256',
+    washSale: false,
+    washDisallowed: 0,
+    ...rest
+  }
+}
+
+// The 60/40 split of a net 1256 gain or loss.
+export function splitSection1256(net) {
+  const longTerm = round2(net * LONG_TERM_SHARE)
+  return { shortTerm: round2(net - longTerm), longTerm }
+}
+
+/**
+ * Form 6781 Part I from a year's 1256 records.
+ *
+ * @returns { lines: [{ description, broker, markedToMarket, loss, gain }],
+ *   totalLosses (line 2b), totalGains (line 2c), net (lines 3 and 7),
+ *   shortTerm (line 8 → Schedule D line 4), longTerm (line 9 → Schedule D line 11) }
+ */
+export function form6781(records = []) {
+  const lines = records
+    .filter((r) => r.section1256)
+    .map((r) => ({
+      description: r.markedToMarket ? `${r.symbol} (open at year end, marked at $${r.mark})` : r.symbol,
+      broker: r.broker,
+      markedToMarket: !!r.markedToMarket,
+      loss: r.gain < 0 ? round2(-r.gain) : 0,
+      gain: r.gain > 0 ? round2(r.gain) : 0
+    }))
+  const totalLosses = round2(lines.reduce((s, l) => s + l.loss, 0))
+  const totalGains = round2(lines.reduce((s, l) => s + l.gain, 0))
+  const net = round2(totalGains - totalLosses)
+  return { lines, totalLosses, totalGains, net, ...splitSection1256(net) }
+}
@@ -0,0 +1,141 @@
+/**
+ * Section 1256 contracts: index and futures options.
+ * Run: node src/utils/section1256.test.mjs
+ *
+ * Every option was taxed as a short-term equity option. SPX, XSP, NDX, RUT and
+ * futures options are 60/40 and marked to market at each year end. These check
+ * the classification, the year-end marks carrying into the next year, and that
+ * the split reaches Schedule D through Form 6781 rather than Form 8949.
+ */
+import assert from 'node:assert/strict'
+import { buildTaxBase, summarizeTaxYear } from './taxCalculator.js'
+import { optionUnderlyingClass, isSection1256, form6781, splitSection1256, section1256Realized } from './section1256.js'
+import { buildForm8949 } from './form8949.js'
+
+let passed = 0
+const test = (name, fn) => {
+  try { fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+
+const SPX = 'SPX 03/20/2026 Call $6000.00'
+const SPY = 'SPY 03/20/2026 Call $600.00'
+// Option amounts are dollars for the whole trade, both sides positive.
+const opt = (o) => ({ symbol: SPX, isOption: true, quantity: 1, contracts: 1, price: 0, amount: 1000, isBuy: true, date: '2026-01-05', broker: 'robinhood', ...o })
+const key = `robinhood::${SPX}`
+const base = (trades, marks = {}) => buildTaxBase(trades, [], { yearEndMarks: marks, lastYear: 2026 })
+
+console.log('\nClassification')
+
+test('broad index and futures options are 1256; ETF and stock options are not', () => {
+  assert.equal(optionUnderlyingClass(SPX), 'index')
+  assert.equal(optionUnderlyingClass('SPXW 01/16/2026 Put $5800.00'), 'index')
+  assert.equal(optionUnderlyingClass('XSP 01/16/2026 Put $580.00'), 'index')
+  assert.equal(optionUnderlyingClass('/ESH6 03/20/2026 Call $6000.00'), 'future')
+  assert.equal(isSection1256(SPY), false)
+  assert.equal(isSection1256('AAPL 01/16/2026 Call $200.00'), false)
+})
+
+console.log('\n60/40')
+
+test('a 1256 gain is 60% long-term whatever the holding period', () => {
+  const s = summarizeTaxYear(base([
+    opt({}),
+    opt({ amount: 2000, isBuy: false, date: '2026-01-20' }),
+    opt({ symbol: SPY, amount: 300 }),
+    opt({ symbol: SPY, amount: 500, isBuy: false, date: '2026-01-20' })
+  ]), 2026)
+  assert.equal(s.section1256Gain, 1000)
+  assert.equal(s.section1256Realized[0].term, 'section1256')
+  assert.equal(s.shortTermGain, 600, '200 on SPY + 40% of 1,000')
+  assert.equal(s.longTermGain, 600)
+})
+
+test('a loss splits the same way', () => {
+  assert.deepEqual(splitSection1256(-1000), { shortTerm: -400, longTerm: -600 })
+})
+
+test('an expired short contract is closed', () => {
+  const s = summarizeTaxYear(base([
+    opt({ amount: 1500, isBuy: false, date: '2026-03-01' }),
+    opt({ amount: 0, isBuy: false, isExpiry: true, date: '2026-03-20' })
+  ]), 2026)
+  assert.equal(s.section1256Gain, 1500)
+})
+
+console.log('\nMark to market')
+
+const heldOver = [
+  opt({ contracts: 2, amount: 2000, date: '2025-12-01' }),
+  opt({ contracts: 2, amount: 3000, isBuy: false, date: '2026-02-02' })
+]
+
+test('a contract open on December 31 is taxed at its mark', () => {
+  const b = base(heldOver, { 2025: { [key]: 12.5 } })
+  const y2025 = summarizeTaxYear(b, 2025)
+  assert.equal(y2025.section1256Gain, 500, '2 contracts × 100 × 12.50 − 2,000')
+  assert.equal(y2025.section1256Realized[0].markedToMarket, true)
+  assert.equal(y2025.section1256Realized[0].sellDate.getMonth(), 11)
+  assert.equal(summarizeTaxYear(b, 2026).section1256Gain, 500, 'the mark is the next year\'s basis')
+})
+
+test('without a mark the position is listed and its gain waits for the close', () => {
+  const b = base(heldOver)
+  const y2025 = summarizeTaxYear(b, 2025)
+  assert.equal(y2025.section1256Gain, 0)
+  assert.deepEqual(y2025.unmarked1256, [{ key, symbol: SPX, broker: 'robinhood', year: 2025, contracts: 2 }])
+  assert.equal(summarizeTaxYear(b, 2026).section1256Gain, 1000)
+})
+
+test('a short position marks at a negative value', () => {
+  const b = base([
+    opt({ amount: 1500, isBuy: false, date: '2025-12-01' }),
+    opt({ amount: 1000, date: '2026-01-12' })
+  ], { 2025: { [key]: 20 } })
+  assert.equal(summarizeTaxYear(b, 2025).section1256Gain, -500)
+  assert.equal(summarizeTaxYear(b, 2026).section1256Gain, 1000)
+})
+
+test('a position open at the end of the last finished year asks for its mark', () => {
+  const s = summarizeTaxYear(base([opt({})]), 2026)
+  assert.equal(s.unmarked1256.length, 1)
+  assert.equal(s.section1256Realized.length, 0)
+})
+
+test('by default a year still under way is not asked for a mark, but its closes count', () => {
+  const thisYear = new Date().getFullYear()
+  const open = section1256Realized([opt({ date: `${thisYear}-01-05` })], { key })
+  assert.deepEqual(open, { realized: [], unmarked: [] })
+  const closed = section1256Realized([
+    opt({ date: `${thisYear}-01-05` }),
+    opt({ amount: 1500, isBuy: false, date: `${thisYear}-01-20` })
+  ], { key })
+  assert.deepEqual(closed.realized.map(r => r.gain), [500])
+  const lastYearOpen = section1256Realized([opt({ date: `${thisYear - 1}-06-01` })], { key })
+  assert.deepEqual(lastYearOpen.unmarked.map(u => u.year), [thisYear - 1])
+})
+
+console.log('\nForm 6781')
+
+test('Part I lines and the split to Schedule D lines 4 and 11', () => {
+  const s = summarizeTaxYear(base([
+    opt({}),
+    opt({ amount: 2000, isBuy: false, date: '2026-01-20' }),
+    opt({ symbol: 'NDX 03/20/2026 Put $20000.00', amount: 900 }),
+    opt({ symbol: 'NDX 03/20/2026 Put $20000.00', amount: 400, isBuy: false, date: '2026-02-02' })
+  ]), 2026)
+  const f = form6781(s.allRealized)
+  assert.equal(f.totalGains, 1000)
+  assert.equal(f.totalLosses, 500)
+  assert.equal(f.net, 500)
+  assert.equal(f.shortTerm, 200)
+  assert.equal(f.longTerm, 300)
+
+  const report = buildForm8949(s.allRealized, 2026)
+  assert.equal(report.lines.length, 0, '1256 contracts are not Form 8949 lines')
+  assert.equal(report.scheduleD.line4, 200)
+  assert.equal(report.scheduleD.line11, 300)
+  assert.equal(report.scheduleD.line16, 500)
+})
+
+console.log(`\n${passed} passed\n`)
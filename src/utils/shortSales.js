@@ -0,0 +1,128 @@
+// Short stock: lots opened by a sell-short and closed by a buy to cover.
+//
+// Until now every stock sale was assumed to close shares already held, so a
+// short showed up as a sale with no basis ("transferred in?") and its cover as
+// a fresh purchase — a position that didn't exist and a long one that did not
+// either. The trans codes tell them apart: SS opens a short lot, BC closes it.
+// Nothing else does. A plain Sell with nothing held is still a sale with no
+// matching buy, not a short; a BC larger than the open short buys the rest
+// outright.
+//
+// Two costs come with a short that a long position doesn't have:
+//  - Dividends in lieu. The lender is owed every dividend paid while the
+//    shares are out, and the broker charges it to the account. They arrive as
+//    dividend rows with a minus sign, or under their own name; the parsers
+//    store them with the dividends under IN_LIEU_CODE, amount negative.
+//  - Borrow fees. Brokers charge these daily at a rate that moves with
+//    availability and rarely itemize them per position. The user can enter a
+//    schedule per symbol ([{ from: 'YYYY-MM-DD', rate: annual % }]), kept in
+//    the `borrowRates` preference, and borrowFee() accrues it.
+//
+// Copy of server/utils/shortSales.js; change both.
+
+// Our own code — brokers have none for it. Stored in dividends_interest.
+export const IN_LIEU_CODE = 'DIVL'
+
+// A dividend paid in lieu on a short held open 45 days or less isn't
+// deductible: it's added to the cost of the shares that closed it (IRC
+// 263(h)). Past that it's investment interest, deductible if itemizing.
+export const IN_LIEU_CAPITALIZE_DAYS = 45
+
+// Borrow fees are quoted annually and accrue on a 360-day year.
+const DAYS_PER_YEAR = 360
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+const EPS = 0.0000001
+
+const codeOf = (t) => String(t.transCode || '').toUpperCase()
+export const isShortSale = (t) => !t.isOption && codeOf(t) === 'SS'
+export const isShortCover = (t) => !t.isOption && codeOf(t) === 'BC'
+
+// "Cash in lieu" is a fractional share paid out in cash — nothing to do with
+// a short — so only a dividend or payment in lieu matches.
+const IN_LIEU_TEXT = /(dividend|payment|pymt) in lieu|in lieu of div|substitute (dividend|payment)|short (sale )?div/i
+
+/**
+ * Is a dividend-looking cash row a charge for dividends paid to a lender?
+ *
+ * @param text    action and description
+ * @param amount  signed, positive into the account
+ */
+export const isInLieuCharge = ({ text = '', amount }) =>
+  Number.isFinite(amount) && amount < 0 && (/div/i.test(text) || IN_LIEU_TEXT.test(text))
+
+// Day number, so a Date, an ISO day and a timestamp all compare the same way.
+export const dayOf = (d) => {
+  if (typeof d === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(d)) {
+    const [y, m, day] = d.split('-').map(Number)
+    return Date.UTC(y, m - 1, day) / MS_PER_DAY
+  }
+  const x = d instanceof Date ? d : new Date(d)
+  return Date.UTC(x.getFullYear(), x.getMonth(), x.getDate()) / MS_PER_DAY
+}
+
+/**
+ * Borrow fee on a short lot from the day it opened to the day it closed
+ * (or `to`, for one still open).
+ *
+ * Brokers accrue on each day's market value; with no daily marks here the
+ * short sale's price stands in for it, which is close for a short held a few
+ * weeks and drifts for one held through a big move.
+ *
+ * @param schedule  [{ from: 'YYYY-MM-DD', rate }] — rate is annual %, in
+ *                  force from its date until the next entry's
+ */
+export function borrowFee({ quantity, price, from, to, schedule = [] }) {
+  if (!schedule?.length || !(quantity > 0) || !(price > 0)) return 0
+  const start = dayOf(from)
+  const end = dayOf(to)
+  if (!(end > start)) return 0
+  const steps = schedule
+    .map((s) => ({ day: dayOf(s.from), rate: Number(s.rate) || 0 }))
+    .sort((a, b) => a.day - b.day)
+  let fee = 0
+  for (let i = 0; i < steps.length; i++) {
+    const lo = Math.max(start, steps[i].day)
+    const hi = Math.min(end, i + 1 < steps.length ? steps[i + 1].day : end)
+    if (hi > lo) fee += quantity * price * (steps[i].rate / 100) * (hi - lo) / DAYS_PER_YEAR
+  }
+  return fee
+}
+
+/**
+ * Close up to `quantity` shares of open short lots at `price`, oldest lot
+ * first (newest with `lifo`). Mutates `lots` ([{ quantity, price, date }]).
+ *
+ * @returns { covered, realized, fees, closed: [{ quantity, price, date }] } —
+ *   realized is short price less cover price; fees the borrow fee accrued on
+ *   the shares covered, when a schedule is given
+ */
+export function coverShorts(lots, quantity, price, { lifo = false, date = null, schedule = null } = {}) {
+  let covered = 0
+  let realized = 0
+  let fees = 0
+  const closed = []
+  while (quantity - covered > EPS && lots.length) {
+    const lot = lifo ? lots[lots.length - 1] : lots[0]
+    const take = Math.min(lot.quantity, quantity - covered)
+    realized += (lot.price - price) * take
+    if (schedule) fees += borrowFee({ quantity: take, price: lot.price, from: lot.date, to: date, schedule })
+    closed.push({ quantity: take, price: lot.price, date: lot.date })
+    covered += take
+    lot.quantity -= take
+    if (lot.quantity > EPS) continue
+    if (lifo) lots.pop()
+    else lots.shift()
+  }
+  return { covered, realized, fees, closed }
+}
+
+/**
+ * Shares still short and what they were sold for.
+ *
+ * @returns { quantity, proceeds, avgPrice }
+ */
+export function openShorts(lots) {
+  const quantity = lots.reduce((s, l) => s + l.quantity, 0)
+  const proceeds = lots.reduce((s, l) => s + l.quantity * l.price, 0)
+  return { quantity, proceeds, avgPrice: quantity > EPS ? proceeds / quantity : 0 }
+}
@@ -3,13 +3,19 @@
 // These functions take the same `trades` array the rest of the app uses
 // (see server/services/csvParser.js -> parseTrades) and derive the figures
 // that show up on a broker's year-end tax documents: cost basis, realized
-// short-term vs long-term gains, dividend/interest income, wash-sale flags,
-// and a rough tax estimate.
+// short-term vs long-term gains, dividend/interest income, wash-sale
+// adjustments, and a rough tax estimate.
 //
 // IMPORTANT: This is an informational estimate only, NOT tax advice, and NOT
-// a substitute for the official 1099 your broker issues. Cost-basis methods,
-// wash-sale rules across accounts, qualified-dividend classification, and
-// option straddle rules are simplified here.
+// a substitute for the official 1099 your broker issues. Wash sales involving
+// options or "substantially identical" securities, qualified-dividend
+// classification, and option straddle rules are simplified here.
+
+import { reliefPlan, lotMethodFor } from './lotRelief.js'
+import { FILING_STATUSES, STATE_TAX, NIIT_RATE, NIIT_THRESHOLD, CAPITAL_LOSS_LIMIT, federalTable, bracketTax } from './taxTables.js'
+import { isSection1256, section1256Realized, splitSection1256 } from './section1256.js'
+import { linkAssignments } from './assignments.js'
+import { isShortSale, isShortCover, borrowFee, dayOf, IN_LIEU_CAPITALIZE_DAYS } from './shortSales.js'
 
 const MS_PER_DAY = 24 * 60 * 60 * 1000
 const LONG_TERM_DAYS = 365 // held MORE than 1 year = long-term
@@ -30,88 +36,334 @@ const brokerOf = (t) => t.broker || 'robinhood'
 // Brokers total — the grouping no longer depends on the slice it was handed.
 const lotKey = (t) => `${brokerOf(t)}::${t.symbol}`
 
+// Foreign trades (IBKR) keep their native price and amount plus the trade-date
+// rate to dollars. Tax is figured in dollars at the rate on the day of each
+// trade, so convert before anything is matched.
+const inUSD = (t) => {
+  if (!t.currency || t.currency === 'USD' || !(t.fxRate > 0) || t.fxRate === 1) return t
+  return { ...t, price: (t.price || 0) * t.fxRate, amount: (t.amount || 0) * t.fxRate }
+}
+
 // ---------------------------------------------------------------------------
-// Realized gains via FIFO lot matching (long positions only for stocks).
-// Returns an array of realized "sale" records, each with term + wash-sale flag.
+// Stock lot engine: lot relief per broker (FIFO unless the broker's account
+// elects another method, see lotRelief.js), with wash-sale accounting.
+//
+// A loss sale is a wash sale to the extent the same ticker was bought within
+// 30 days before or after it — at ANY broker, since the rule follows the
+// taxpayer, not the account. For each replacement share (earliest purchase
+// first, each share usable once, never the purchase the sold shares came from):
+//   - that share's portion of the loss is disallowed on the sale, and
+//   - added to the replacement share's cost basis, and
+//   - the sold shares' holding period is tacked onto it (its acquisition date
+//     moves back by however long the sold shares were held).
+// A sale with fewer replacement shares than shares sold is only partly washed.
+// Replacement shares bought before the sale must still be held at the time;
+// ones bought after it pick up the adjustment when their buy is reached.
+// Dividend reinvestments (drip.js) are purchases like any other here; a sale
+// records how many of its replacement shares were reinvested, since those
+// washes come from a DRIP setting rather than a trade.
+//
+// All of a symbol's brokers are walked together in date order so a
+// replacement at one broker can be seen from a sale at another; lots
+// themselves stay per broker, so a sale still only consumes its own broker's.
+//
+// `opts.lotMethods` is { broker: method } and `opts.pins` is
+// [{ sellTradeId, buyTradeId, quantity }], pinning a sale to the purchases it
+// closed. Pins need trades that carry their database id.
+//
+// Assigned and exercised options are linked to their stock trade first
+// (assignments.js): the premium is in that trade's price, so the lot's basis
+// or the sale's proceeds include it and the holding period starts that day.
+//
+// Short sales (shortSales.js) keep lots of their own, per broker, relieved
+// FIFO by the covers. A short's gain is realized when it's covered and is
+// short-term: the date "acquired" and "sold" are both the cover date. A
+// dividend in lieu (`opts.inLieu`, the charges from the dividend rows) is
+// spread over the shorts open at that broker on its date; on a short held
+// IN_LIEU_CAPITALIZE_DAYS or less it's added to the cover's cost, otherwise
+// it's reported as deductible. `opts.borrowRates` ({ symbol: schedule }) puts
+// an estimated borrow fee on each cover — informational, not in the gain.
+// Simplified: no wash sales on covers, and the §1233(d) rule that can make a
+// short's loss long-term when substantially identical stock was held long-term
+// is ignored. Shares bought to cover are delivered to the lender, so they
+// can't be anyone's replacement shares; only a cover's excess over the open
+// short is a purchase.
 // ---------------------------------------------------------------------------
-export function computeStockRealized(trades) {
+const WASH_WINDOW = 30 * MS_PER_DAY
+const EPS = 0.0000001
+
+function runStockLots(trades, { lotMethods = null, pins = [], inLieu = [], borrowRates = {} } = {}) {
+  const pinsBySell = {}
+  for (const p of pins || []) (pinsBySell[p.sellTradeId] || (pinsBySell[p.sellTradeId] = [])).push(p)
+
   const bySymbol = {}
-  for (const t of trades) {
+  for (const t of linkAssignments(trades).trades) {
     if (!isStock(t)) continue
-    const k = lotKey(t)
-    if (!bySymbol[k]) bySymbol[k] = []
-    bySymbol[k].push(t)
+    if (!bySymbol[t.symbol]) bySymbol[t.symbol] = []
+    bySymbol[t.symbol].push(inUSD(t))
   }
 
   const realized = []
   const unreconciled = []
+  const openLots = [] // { symbol, broker, lots: [{ date, qty, costPerShare }] }
+  const openShorts = [] // { symbol, broker, lots: [{ date, day, qty, price, inLieu }] }
+  const inLieuBySymbol = {}
+  for (const d of inLieu || []) (inLieuBySymbol[d.symbol] || (inLieuBySymbol[d.symbol] = [])).push(d)
 
-  for (const [, list] of Object.entries(bySymbol)) {
-    const symbol = list[0].symbol
-    const broker = brokerOf(list[0])
-    // chronological order
+  for (const [symbol, list] of Object.entries(bySymbol)) {
     const sorted = [...list].sort((a, b) => toDate(a.date) - toDate(b.date))
-    const lots = [] // open buy lots: { date, qty, costPerShare }
-
-    for (const t of sorted) {
+    // Every purchase of this symbol, any broker, with how many of its shares
+    // can still serve as replacement shares and the adjustments owed to
+    // shares it hasn't delivered yet (replacement for an earlier loss sale).
+    // How much of each cover closes a short, found first so only the rest of
+    // it is counted as a purchase.
+    const covering = new Map()
+    const shortQty = {}
+    sorted.forEach((t, i) => {
+      const b = brokerOf(t)
       const qty = Math.abs(t.quantity)
-      const pricePerShare = t.price // per-share for stocks
-      if (qty <= 0) continue
+      if (isShortSale(t)) shortQty[b] = (shortQty[b] || 0) + qty
+      else if (isShortCover(t) && shortQty[b] > EPS) {
+        const k = Math.min(qty, shortQty[b])
+        shortQty[b] -= k
+        covering.set(i, k)
+      }
+    })
+    const buys = []
+    sorted.forEach((t, i) => {
+      const qty = Math.abs(t.quantity) - (covering.get(i) || 0)
+      if (t.isBuy && qty > EPS) buys.push({ id: i, time: toDate(t.date).getTime(), replaceable: qty, pending: [], drip: !!t.isDrip })
+    })
+    const buyById = new Map(buys.map((b) => [b.id, b]))
+    const indexByTradeId = new Map()
+    sorted.forEach((t, i) => { if (t.isBuy && t.id != null) indexByTradeId.set(t.id, i) })
+    const lotsByBroker = {}
+    const shortsByBroker = {}
+    const charges = [...(inLieuBySymbol[symbol] || [])].sort((a, b) => toDate(a.date) - toDate(b.date))
+    let nextCharge = 0
+    // Spread each in-lieu charge through the day `until` over the shorts open
+    // at its broker, by shares. By day: income rows are stamped midday.
+    const chargeInLieu = (until) => {
+      while (nextCharge < charges.length && dayOf(charges[nextCharge].date) <= dayOf(until)) {
+        const c = charges[nextCharge++]
+        const lots = shortsByBroker[brokerOf(c)] || []
+        const open = lots.reduce((s, l) => s + l.qty, 0)
+        if (open <= EPS) continue
+        for (const l of lots) l.inLieu += Math.abs(c.amount) * (l.qty / open)
+      }
+    }
 
-      if (t.isBuy) {
-        lots.push({ date: toDate(t.date), qty, costPerShare: pricePerShare })
-      } else {
-        // Sell: consume lots FIFO
-        let remaining = qty
-        while (remaining > 0.0000001 && lots.length > 0) {
-          const lot = lots[0]
-          const take = Math.min(remaining, lot.qty)
-          const proceeds = take * pricePerShare
-          const cost = take * lot.costPerShare
-          const holdingDays = Math.floor((toDate(t.date) - lot.date) / MS_PER_DAY)
+    // Take up to `want` replacement shares for a loss sale at `sellMs` from
+    // purchases other than `excludeId`. Returns the shares found, and how many
+    // of them were dividend reinvestments.
+    const washAgainst = (want, sellMs, excludeId, lossPerShare, tackMs) => {
+      // Buys are in date order: binary-search to the first one in the window
+      // rather than scanning the whole history for every losing sale.
+      let lo = 0, hi = buys.length
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1
+        if (buys[mid].time < sellMs - WASH_WINDOW) lo = mid + 1
+        else hi = mid
+      }
+      let found = 0
+      let drip = 0
+      for (let j = lo; j < buys.length; j++) {
+        const b = buys[j]
+        if (found >= want - EPS) break
+        if (b.time > sellMs + WASH_WINDOW) break
+        if (b.id === excludeId || b.replaceable <= EPS) continue
+        if (b.delivered) {
+          // Already bought: only shares still held can be replacements. Split
+          // them off into their own lot carrying the adjustment.
+          for (const lots of Object.values(lotsByBroker)) {
+            for (let i = 0; i < lots.length && found < want - EPS && b.replaceable > EPS; i++) {
+              const lot = lots[i]
+              if (lot.buyId !== b.id || lot.replacement) continue
+              const k = Math.min(want - found, b.replaceable, lot.qty)
+              if (k <= EPS) continue
+              lot.qty -= k
+              lots.splice(i + 1, 0, {
+                ...lot,
+                qty: k,
+                costPerShare: lot.costPerShare + lossPerShare,
+                date: new Date(lot.date.getTime() - tackMs),
+                replacement: true
+              })
+              if (lot.qty <= EPS) lots.splice(i, 1)
+              b.replaceable -= k
+              found += k
+              if (b.drip) drip += k
+            }
+          }
+        } else {
+          const k = Math.min(want - found, b.replaceable)
+          b.pending.push({ qty: k, addPerShare: lossPerShare, tackMs })
+          b.replaceable -= k
+          found += k
+          if (b.drip) drip += k
+        }
+      }
+      return { found, drip }
+    }
+
+    sorted.forEach((t, i) => {
+      let qty = Math.abs(t.quantity)
+      const pricePerShare = t.price // per-share for stocks
+      if (qty <= 0) return
+      const broker = brokerOf(t)
+      const lots = lotsByBroker[broker] || (lotsByBroker[broker] = [])
+      const when = toDate(t.date)
+      // A charge dated the day of a cover was for shares still out that morning.
+      // Its raw day, not `when`: a 'YYYY-MM-DD' Date is UTC midnight, which is
+      // the day before in US time and would leave that charge for later.
+      chargeInLieu(t.date)
+
+      if (isShortSale(t)) {
+        (shortsByBroker[broker] || (shortsByBroker[broker] = [])).push({ date: when, day: t.date, qty, price: pricePerShare, inLieu: 0 })
+        return
+      }
+      if (covering.has(i)) {
+        const shorts = shortsByBroker[broker]
+        let left = covering.get(i)
+        while (left > EPS && shorts.length) {
+          const lot = shorts[0]
+          const take = Math.min(lot.qty, left)
+          const inLieuShare = lot.inLieu * (take / lot.qty)
+          const holdingDays = Math.floor((when - lot.date) / MS_PER_DAY)
+          const capitalized = holdingDays <= IN_LIEU_CAPITALIZE_DAYS ? inLieuShare : 0
+          const proceeds = take * lot.price
+          const cost = take * pricePerShare + capitalized
           realized.push({
             symbol,
             broker,
             type: 'stock',
+            short: true,
             quantity: round2(take),
-            buyDate: lot.date,
-            sellDate: toDate(t.date),
+            buyDate: when,
+            sellDate: when,
+            shortDate: lot.date,
             proceeds: round2(proceeds),
             costBasis: round2(cost),
             gain: round2(proceeds - cost),
             holdingDays,
-            term: holdingDays > LONG_TERM_DAYS ? 'long' : 'short',
-            washSale: false
+            term: 'short',
+            washSale: false,
+            washDisallowed: 0,
+            washShares: 0,
+            washDripShares: 0,
+            inLieuCapitalized: round2(capitalized),
+            inLieuDeductible: round2(inLieuShare - capitalized),
+            borrowFee: round2(borrowFee({ quantity: take, price: lot.price, from: lot.day, to: t.date, schedule: borrowRates?.[symbol] })),
+            // Pins choose purchases for a sale; a cover has none to choose.
+            sellTradeId: null
           })
           lot.qty -= take
-          remaining -= take
-          if (lot.qty <= 0.0000001) lots.shift()
+          lot.inLieu -= inLieuShare
+          left -= take
+          if (lot.qty <= EPS) shorts.shift()
         }
-        // Sold more than this broker ever bought. The excess used to be dropped
-        // silently, which quietly under-reports the gain. The usual cause is
-        // shares transferred in from another broker: the buy lives in the other
-        // broker's history, so there is no basis here to match against. Record
-        // it so the UI can flag the position rather than hide it.
-        if (remaining > 0.0000001) {
-          unreconciled.push({
-            symbol,
-            broker,
-            type: 'stock',
-            quantity: round2(remaining),
-            sellDate: toDate(t.date),
-            proceeds: round2(remaining * pricePerShare),
-            reason: 'No matching buy at this broker — shares may have been transferred in'
-          })
+        qty -= covering.get(i)
+        if (qty <= EPS) return
+      }
+
+      if (t.isBuy) {
+        const b = buyById.get(i)
+        b.delivered = true
+        // Shares already promised as replacements come in as their own lots.
+        let plain = qty
+        for (const p of b.pending) {
+          lots.push({ date: new Date(when.getTime() - p.tackMs), qty: p.qty, costPerShare: pricePerShare + p.addPerShare, buyId: i, replacement: true, drip: b.drip })
+          plain -= p.qty
         }
+        if (plain > EPS) lots.push({ date: when, qty: plain, costPerShare: pricePerShare, buyId: i, drip: b.drip })
+        return
       }
+
+      // Sell: relieve this broker's lots by its elected method, pinned lots first
+      const pins = (pinsBySell[t.id] || [])
+        .filter((p) => indexByTradeId.has(p.buyTradeId))
+        .map((p) => ({ buyId: indexByTradeId.get(p.buyTradeId), quantity: p.quantity }))
+      const plan = reliefPlan(lots, qty, { method: lotMethodFor(lotMethods, broker), price: pricePerShare, date: when, pins })
+      // Take the shares out of their lots before any wash-sale split below
+      // rearranges the lot lists.
+      const chunks = plan.map(({ index, qty: take }) => {
+        const lot = lots[index]
+        lot.qty -= take
+        return { take, costPerShare: lot.costPerShare, buyDate: lot.date, buyId: lot.buyId }
+      })
+      lotsByBroker[broker] = lots.filter((l) => l.qty > EPS)
+      const remaining = qty - chunks.reduce((s, c) => s + c.take, 0)
+
+      for (const { take, costPerShare, buyDate, buyId } of chunks) {
+        const proceeds = take * pricePerShare
+        const cost = take * costPerShare
+        const holdingDays = Math.floor((when - buyDate) / MS_PER_DAY)
+
+        let washShares = 0
+        let washDripShares = 0
+        const lossPerShare = costPerShare - pricePerShare
+        if (lossPerShare > EPS) {
+          ;({ found: washShares, drip: washDripShares } = washAgainst(take, when.getTime(), buyId, lossPerShare, when - buyDate))
+        }
+        realized.push({
+          symbol,
+          broker,
+          type: 'stock',
+          quantity: round2(take),
+          buyDate,
+          sellDate: when,
+          proceeds: round2(proceeds),
+          costBasis: round2(cost),
+          gain: round2(proceeds - cost),
+          holdingDays,
+          term: holdingDays > LONG_TERM_DAYS ? 'long' : 'short',
+          washSale: washShares > EPS,
+          washDisallowed: round2(washShares * lossPerShare),
+          washShares: round2(washShares),
+          washDripShares: round2(washDripShares),
+          sellTradeId: t.id ?? null
+        })
+      }
+      // Sold more than this broker ever bought. The excess used to be dropped
+      // silently, which quietly under-reports the gain. The usual cause is
+      // shares transferred in from another broker: the buy lives in the other
+      // broker's history, so there is no basis here to match against. Record
+      // it so the UI can flag the position rather than hide it.
+      if (remaining > EPS) {
+        unreconciled.push({
+          symbol,
+          broker,
+          type: 'stock',
+          quantity: round2(remaining),
+          sellDate: when,
+          proceeds: round2(remaining * pricePerShare),
+          reason: 'No matching buy at this broker — shares may have been transferred in'
+        })
+      }
+    })
+
+    for (const [broker, lots] of Object.entries(lotsByBroker)) {
+      if (lots.length) openLots.push({ symbol, broker, lots })
+    }
+    chargeInLieu('9999-12-31')
+    for (const [broker, lots] of Object.entries(shortsByBroker)) {
+      if (lots.length) openShorts.push({ symbol, broker, lots })
     }
   }
 
-  flagWashSales(realized, trades)
   realized.sort((a, b) => a.sellDate - b.sellDate)
   // Carried alongside the results so callers can surface it without another pass.
   realized.unreconciled = unreconciled
-  return realized
+  return { realized, openLots, openShorts }
+}
+
+// ---------------------------------------------------------------------------
+// Realized gains via lot matching, covered shorts included (`short: true`).
+// Returns an array of realized "sale" records, each with term + wash-sale
+// detail. `gain` is proceeds − cost; the taxable gain is gain + washDisallowed.
+// ---------------------------------------------------------------------------
+export function computeStockRealized(trades, opts) {
+  return runStockLots(trades, opts).realized
 }
 
 // ---------------------------------------------------------------------------
@@ -119,19 +371,33 @@ export function computeStockRealized(trades) {
 // as the symbol, quantity=1, price=amount. We net buys/sells per contract and
 // realize when the contract is fully closed (or expires worthless).
 // Classified short/long by time between first open and last close.
+//
+// Index and futures options are Section 1256 contracts: they're taxed 60/40
+// and marked to market at each year end instead (section1256.js), using the
+// `yearEndMarks` preference for contracts held over December 31.
+//
+// Contracts assigned or exercised into stock carry no P&L of their own: their
+// premium moved into the stock trade (assignments.js).
 // ---------------------------------------------------------------------------
-export function computeOptionsRealized(trades) {
+export function computeOptionsRealized(trades, { yearEndMarks = {}, lastYear } = {}) {
   const byContract = {}
-  for (const t of trades) {
+  for (const t of linkAssignments(trades).trades) {
     if (isStock(t)) continue
     const k = lotKey(t)
     if (!byContract[k]) byContract[k] = []
-    byContract[k].push(t)
+    byContract[k].push(inUSD(t))
   }
 
   const realized = []
-  for (const [, list] of Object.entries(byContract)) {
+  const unmarked = []
+  for (const [key, list] of Object.entries(byContract)) {
     const symbol = list[0].symbol
+    if (isSection1256(symbol)) {
+      const r = section1256Realized(list, { key, broker: brokerOf(list[0]), yearEndMarks, lastYear })
+      realized.push(...r.realized)
+      unmarked.push(...r.unmarked)
+      continue
+    }
     const sorted = [...list].sort((a, b) => toDate(a.date) - toDate(b.date))
     let buyAmt = 0
     let sellAmt = 0
@@ -149,9 +415,11 @@ export function computeOptionsRealized(trades) {
     const closed = (buyAmt > 0 && sellAmt > 0) || hasExpiry
     if (!closed) continue
     const gain = sellAmt - buyAmt
+    if (Math.abs(gain) < 0.005 && sorted.some((t) => t.assignment)) continue
     const holdingDays = firstDate && lastDate ? Math.floor((lastDate - firstDate) / MS_PER_DAY) : 0
     realized.push({
       symbol,
+      broker: brokerOf(list[0]),
       type: 'option',
       quantity: 1,
       buyDate: firstDate,
@@ -161,94 +429,30 @@ export function computeOptionsRealized(trades) {
       gain: round2(gain),
       holdingDays,
       term: holdingDays > LONG_TERM_DAYS ? 'long' : 'short',
-      washSale: false
+      washSale: false,
+      washDisallowed: 0
     })
   }
-  return realized.sort((a, b) => a.sellDate - b.sellDate)
-}
-
-// ---------------------------------------------------------------------------
-// Wash-sale flagging (simplified): a stock sold at a LOSS is flagged if the
-// same symbol was bought within 30 days before or after the sale date.
-// Real wash-sale rules span accounts and "substantially identical" securities;
-// this catches the common same-ticker case only.
-// ---------------------------------------------------------------------------
-function flagWashSales(realized, trades) {
-  // Group buy timestamps per symbol, sorted ascending, so each losing sale can
-  // binary-search the ±30-day window instead of scanning every buy (O(n²) → O(n log n)).
-  const buysBySymbol = {}
-  for (const t of trades) {
-    if (!isStock(t) || !t.isBuy) continue
-    if (!buysBySymbol[t.symbol]) buysBySymbol[t.symbol] = []
-    buysBySymbol[t.symbol].push(toDate(t.date).getTime())
-  }
-  for (const s in buysBySymbol) buysBySymbol[s].sort((a, b) => a - b)
-
-  const WINDOW = 30 * MS_PER_DAY
-  for (const r of realized) {
-    if (r.type !== 'stock' || r.gain >= 0) continue
-    const buys = buysBySymbol[r.symbol]
-    if (!buys || buys.length === 0) continue
-    const sellMs = r.sellDate.getTime()
-    const buyLotMs = r.buyDate.getTime()
-    const lower = sellMs - WINDOW
-    const upper = sellMs + WINDOW
-    // First buy timestamp >= lower bound of the window.
-    let lo = 0, hi = buys.length
-    while (lo < hi) {
-      const mid = (lo + hi) >> 1
-      if (buys[mid] < lower) lo = mid + 1
-      else hi = mid
-    }
-    for (let i = lo; i < buys.length && buys[i] <= upper; i++) {
-      // exclude the exact lot that was sold (a different same-day buy still counts)
-      if (buys[i] !== buyLotMs) {
-        r.washSale = true
-        break
-      }
-    }
-  }
+  realized.sort((a, b) => a.sellDate - b.sellDate)
+  // 1256 contracts open over a year end with no mark entered for it.
+  realized.unmarked1256 = unmarked
+  return realized
 }
 
 // ---------------------------------------------------------------------------
-// Open positions with remaining cost basis (FIFO leftovers). Also reports the
-// earliest open-lot date so the UI can show a long-term-treatment countdown.
+// Open positions with remaining cost basis (unrelieved lots), wash-sale
+// adjustments included. Also reports the earliest open-lot date — after any
+// holding-period tacking — so the UI can show a long-term-treatment countdown.
 // ---------------------------------------------------------------------------
-export function computeOpenLots(trades) {
-  const bySymbol = {}
-  for (const t of trades) {
-    if (!isStock(t)) continue
-    const k = lotKey(t)
-    if (!bySymbol[k]) bySymbol[k] = []
-    bySymbol[k].push(t)
-  }
-
+function summarizeOpenLots(openLots) {
   const open = []
-  for (const [, list] of Object.entries(bySymbol)) {
-    const symbol = list[0].symbol
-    const broker = brokerOf(list[0])
-    const sorted = [...list].sort((a, b) => toDate(a.date) - toDate(b.date))
-    const lots = []
-    for (const t of sorted) {
-      const qty = Math.abs(t.quantity)
-      if (qty <= 0) continue
-      if (t.isBuy) {
-        lots.push({ date: toDate(t.date), qty, costPerShare: t.price })
-      } else {
-        let remaining = qty
-        while (remaining > 0.0000001 && lots.length > 0) {
-          const lot = lots[0]
-          const take = Math.min(remaining, lot.qty)
-          lot.qty -= take
-          remaining -= take
-          if (lot.qty <= 0.0000001) lots.shift()
-        }
-      }
-    }
+  for (const { symbol, broker, lots } of openLots) {
     const totalQty = lots.reduce((s, l) => s + l.qty, 0)
-    if (totalQty <= 0.0000001) continue
+    if (totalQty <= EPS) continue
     const totalCost = lots.reduce((s, l) => s + l.qty * l.costPerShare, 0)
     const earliestDate = lots.reduce((min, l) => (l.date < min ? l.date : min), lots[0].date)
+    const washAdjusted = lots.filter((l) => l.replacement).reduce((s, l) => s + l.qty, 0)
+    const dripShares = lots.filter((l) => l.drip).reduce((s, l) => s + l.qty, 0)
     open.push({
       symbol,
       broker,
@@ -256,12 +460,53 @@ export function computeOpenLots(trades) {
       costBasis: round2(totalCost),
       avgCost: round2(totalCost / totalQty),
       earliestDate,
-      earliestHoldingDays: Math.floor((Date.now() - earliestDate) / MS_PER_DAY)
+      earliestHoldingDays: Math.floor((Date.now() - earliestDate) / MS_PER_DAY),
+      washAdjustedShares: round2(washAdjusted),
+      dripShares: round2(dripShares),
+      // Each lot still held, for anything that has to choose between them
+      // (the harvest planner sells loss lots, not whole positions).
+      lots: lots.filter((l) => l.qty > EPS).map((l) => ({
+        date: l.date,
+        quantity: l.qty,
+        costPerShare: l.costPerShare,
+        replacement: !!l.replacement,
+        drip: !!l.drip
+      }))
     })
   }
   return open.sort((a, b) => b.costBasis - a.costBasis)
 }
 
+// Shorts still open: what they were sold for, in-lieu charged so far (not
+// yet deductible or capitalized — that waits on how long they end up held),
+// and the borrow fee accrued to today on any schedule entered.
+function summarizeOpenShorts(openShorts, borrowRates = {}) {
+  const open = []
+  for (const { symbol, broker, lots } of openShorts) {
+    const quantity = lots.reduce((s, l) => s + l.qty, 0)
+    if (quantity <= EPS) continue
+    const proceeds = lots.reduce((s, l) => s + l.qty * l.price, 0)
+    const earliestDate = lots.reduce((min, l) => (l.date < min ? l.date : min), lots[0].date)
+    const now = new Date()
+    open.push({
+      symbol,
+      broker,
+      quantity: round2(quantity),
+      proceeds: round2(proceeds),
+      avgPrice: round2(proceeds / quantity),
+      earliestDate,
+      earliestHoldingDays: Math.floor((now - earliestDate) / MS_PER_DAY),
+      inLieu: round2(lots.reduce((s, l) => s + l.inLieu, 0)),
+      borrowFee: round2(lots.reduce((s, l) => s + borrowFee({ quantity: l.qty, price: l.price, from: l.day, to: now, schedule: borrowRates?.[symbol] }), 0))
+    })
+  }
+  return open.sort((a, b) => b.proceeds - a.proceeds)
+}
+
+export function computeOpenLots(trades, opts) {
+  return summarizeOpenLots(runStockLots(trades, opts).openLots)
+}
+
 // ---------------------------------------------------------------------------
 // Dividend / interest income totals (optionally filtered to a tax year).
 // ---------------------------------------------------------------------------
@@ -307,7 +552,8 @@ export function detectWithholding(trades = [], dividendsAndInterest = [], year =
 export function availableTaxYears(trades = [], dividendsAndInterest = []) {
   const years = new Set()
   for (const t of trades) {
-    if (!t.isBuy) years.add(toDate(t.date).getFullYear())
+    // A cover is where a short's gain is realized.
+    if (!t.isBuy || isShortCover(t)) years.add(toDate(t.date).getFullYear())
   }
   for (const d of dividendsAndInterest) {
     years.add(toDate(d.date).getFullYear())
@@ -318,16 +564,20 @@ export function availableTaxYears(trades = [], dividendsAndInterest = []) {
 
 // ---------------------------------------------------------------------------
 // Heavy pass over the FULL trade history — run ONCE, independent of tax year.
-// This is the expensive part (FIFO lot matching + wash-sale detection + open
+// This is the expensive part (lot matching + wash-sale accounting + open
 // lots), so the UI computes it a single time and then slices per year cheaply
 // via summarizeTaxYear() below. Keeping it out of the per-year path is what
 // stops the Tax tab from re-crunching everything each time the year changes.
 // ---------------------------------------------------------------------------
-export function buildTaxBase(trades = [], dividendsAndInterest = []) {
+export function buildTaxBase(trades = [], dividendsAndInterest = [], opts = {}) {
+  const stock = runStockLots(trades, { ...opts, inLieu: dividendsAndInterest.filter((d) => d.isInLieu) })
   return {
-    stockRealized: computeStockRealized(trades), // all years, wash-flagged
-    optionsRealized: computeOptionsRealized(trades), // all years
-    openLots: computeOpenLots(trades),
+    stockRealized: stock.realized, // all years, wash sales adjusted
+    optionsRealized: computeOptionsRealized(trades, opts), // all years
+    openLots: summarizeOpenLots(stock.openLots),
+    // Kept apart from openLots: everything reading those (the harvest planner,
+    // the long-term countdown) means shares held.
+    openShorts: summarizeOpenShorts(stock.openShorts, opts.borrowRates),
     trades,
     dividendsAndInterest
   }
@@ -336,39 +586,48 @@ export function buildTaxBase(trades = [], dividendsAndInterest = []) {
 // ---------------------------------------------------------------------------
 // Cheap per-year slice of a precomputed base — just filters + sums. Safe to
 // call on every tax-year change without any lot-matching work.
+//
+// `through` cuts the year off at a date, for year-to-date slices such as the
+// estimated-tax periods (Jan 1 to the end of March, May, August).
 // ---------------------------------------------------------------------------
-export function summarizeTaxYear(base, year) {
-  const stockRealized = base.stockRealized.filter(
-    (r) => !year || r.sellDate.getFullYear() === year
-  )
-  const optionsRealized = base.optionsRealized.filter(
-    (r) => !year || (r.sellDate && r.sellDate.getFullYear() === year)
-  )
+export function summarizeTaxYear(base, year, { through = null } = {}) {
+  const cutoff = through ? toDate(through).getTime() : Infinity
+  const inYear = (d) => (!year || d.getFullYear() === year) && d.getTime() <= cutoff
+  const stockRealized = base.stockRealized.filter((r) => inYear(r.sellDate))
+  const optionsRealized = base.optionsRealized.filter((r) => r.sellDate && inYear(r.sellDate))
   const allRealized = [...stockRealized, ...optionsRealized]
 
   const sum = (arr, key) => round2(arr.reduce((s, r) => s + (r[key] || 0), 0))
+  // Taxable gain: a disallowed wash-sale loss isn't a loss this year — it sits
+  // in the replacement shares' basis until they're sold.
+  const taxable = (arr) => round2(sum(arr, 'gain') + sum(arr, 'washDisallowed'))
   const shortTerm = allRealized.filter((r) => r.term === 'short')
   const longTerm = allRealized.filter((r) => r.term === 'long')
+  // Section 1256 contracts are 60% long-term, 40% short-term, however long held.
+  const section1256 = allRealized.filter((r) => r.section1256)
+  const split1256 = splitSection1256(taxable(section1256))
 
-  const income = summarizeIncome(base.dividendsAndInterest, year)
+  const income = summarizeIncome(
+    through ? base.dividendsAndInterest.filter((d) => toDate(d.date).getTime() <= cutoff) : base.dividendsAndInterest,
+    year
+  )
   const withholding = detectWithholding(base.trades, base.dividendsAndInterest, year)
   const openLots = base.openLots
   const washSales = allRealized.filter((r) => r.washSale)
   // Sales with no matching buy at the same broker — usually transferred-in
   // shares, whose cost basis lives in the other broker's history. Their gain is
   // NOT in the totals above, so it has to be shown rather than quietly omitted.
-  const unreconciled = (base.stockRealized.unreconciled || []).filter(
-    (r) => !year || r.sellDate.getFullYear() === year
-  )
+  const unreconciled = (base.stockRealized.unreconciled || []).filter((r) => inYear(r.sellDate))
+  const shortSales = stockRealized.filter((r) => r.short)
 
   return {
     year,
     stockRealized,
     optionsRealized,
     allRealized,
-    shortTermGain: sum(shortTerm, 'gain'),
-    longTermGain: sum(longTerm, 'gain'),
-    totalRealizedGain: sum(allRealized, 'gain'),
+    shortTermGain: round2(taxable(shortTerm) + split1256.shortTerm),
+    longTermGain: round2(taxable(longTerm) + split1256.longTerm),
+    totalRealizedGain: taxable(allRealized),
     totalProceeds: sum(allRealized, 'proceeds'),
     totalCostBasis: sum(allRealized, 'costBasis'),
     shortTermCount: shortTerm.length,
@@ -379,9 +638,17 @@ export function summarizeTaxYear(base, year) {
     openLots,
     openCostBasis: sum(openLots, 'costBasis'),
     washSales,
-    washSaleDisallowed: Math.abs(sum(washSales, 'gain')),
+    washSaleDisallowed: sum(washSales, 'washDisallowed'),
     unreconciled,
-    unreconciledProceeds: sum(unreconciled, 'proceeds')
+    unreconciledProceeds: sum(unreconciled, 'proceeds'),
+    shortSales,
+    inLieuCapitalized: sum(shortSales, 'inLieuCapitalized'),
+    inLieuDeductible: sum(shortSales, 'inLieuDeductible'),
+    borrowFees: sum(shortSales, 'borrowFee'),
+    openShorts: base.openShorts || [],
+    section1256Realized: section1256,
+    section1256Gain: taxable(section1256),
+    unmarked1256: (base.optionsRealized.unmarked1256 || []).filter((u) => !year || u.year === year)
   }
 }
 
@@ -459,23 +726,34 @@ export function buildSummaryFromPnl(pnlData = [], dividendsAndInterest = [], yea
 }
 
 // ---------------------------------------------------------------------------
-// Rough federal tax estimate. All rates are user-supplied. This nets capital
-// gains/losses following simplified IRS ordering and applies a $3,000 ordinary
-// offset for a net capital loss. Not tax advice.
+// Rough tax estimate. Nets capital gains/losses following simplified IRS
+// ordering and applies a $3,000 ordinary offset for a net capital loss.
+//
+// Without a filing status it applies the user's two flat marginal rates to
+// the investment income alone — the original planner. With one, federal tax
+// is figured through that year's brackets on the whole return (`otherIncome`
+// being wages and everything else), long-term gains stacked on top of
+// ordinary income in the 0/15/20% bands, plus the 3.8% NIIT. Either way a
+// state from taxTables.js STATE_TAX (or 'custom' at a flat `stateRate` %)
+// adds state tax, so the balance is usable for quarterly estimates.
+// Not tax advice.
 // ---------------------------------------------------------------------------
 export function estimateTax({
   shortTermGain = 0,
   longTermGain = 0,
   dividends = 0,
   interest = 0,
-  ordinaryRate = 24, // % marginal ordinary income rate
-  longTermRate = 15, // % long-term capital gains rate
+  ordinaryRate = 24, // % marginal ordinary income rate (flat mode)
+  longTermRate = 15, // % long-term capital gains rate (flat mode)
   dividendsQualified = true,
-  withholding = 0
+  withholding = 0,
+  filingStatus = null, // 'single' | 'mfj' | 'mfs' | 'hoh' — switches to brackets
+  otherIncome = 0, // wages etc., before the standard deduction
+  year = null, // picks the bracket table
+  state = null, // STATE_TAX key, or 'custom'
+  stateRate = 0, // % for state 'custom'
+  stateTable = STATE_TAX
 }) {
-  const oRate = ordinaryRate / 100
-  const lRate = longTermRate / 100
-
   // Net short and long term separately, then cross-net if signs differ.
   let netShort = shortTermGain
   let netLong = longTermGain
@@ -490,12 +768,14 @@ export function estimateTax({
   }
 
   const netCapital = netShort + netLong
+  const lossLimit = CAPITAL_LOSS_LIMIT[filingStatus] ?? CAPITAL_LOSS_LIMIT.single
   let capitalLossOffset = 0
   let taxableShort = Math.max(netShort, 0)
   let taxableLong = Math.max(netLong, 0)
   if (netCapital < 0) {
-    // Net capital loss: up to $3,000 deductible against ordinary income.
-    capitalLossOffset = Math.min(3000, -netCapital)
+    // Net capital loss: up to $3,000 ($1,500 filing separately) deductible
+    // against ordinary income.
+    capitalLossOffset = Math.min(lossLimit, -netCapital)
     taxableShort = 0
     taxableLong = 0
   }
@@ -503,16 +783,50 @@ export function estimateTax({
   const ordinaryDividends = dividendsQualified ? 0 : dividends
   const qualifiedDividends = dividendsQualified ? dividends : 0
 
-  // Ordinary-rate income: short-term gains, interest, non-qualified dividends,
-  // minus any capital-loss offset (applied against ordinary income).
-  const ordinaryBase = Math.max(taxableShort + interest + ordinaryDividends - capitalLossOffset, 0)
-  const ordinaryTax = ordinaryBase * oRate
+  let ordinaryBase, ordinaryTax, preferentialBase, preferentialTax
+  let niit = 0
+  let taxYear = null
+  const status = FILING_STATUSES[filingStatus] ? filingStatus : null
+  if (!status) {
+    // Ordinary-rate income: short-term gains, interest, non-qualified dividends,
+    // minus any capital-loss offset (applied against ordinary income).
+    ordinaryBase = Math.max(taxableShort + interest + ordinaryDividends - capitalLossOffset, 0)
+    ordinaryTax = ordinaryBase * (ordinaryRate / 100)
+    // Preferential-rate income: long-term gains + qualified dividends.
+    preferentialBase = taxableLong + qualifiedDividends
+    preferentialTax = preferentialBase * (longTermRate / 100)
+  } else {
+    const fed = federalTable(year)
+    taxYear = fed.year
+    const ordinaryIncome = Math.max(otherIncome + taxableShort + interest + ordinaryDividends - capitalLossOffset, 0)
+    const preferential = taxableLong + qualifiedDividends
+    // The standard deduction comes off ordinary income first.
+    const deduction = fed.standardDeduction[status]
+    ordinaryBase = Math.max(ordinaryIncome - deduction, 0)
+    preferentialBase = Math.max(preferential - Math.max(deduction - ordinaryIncome, 0), 0)
+    ordinaryTax = bracketTax(ordinaryBase, fed.brackets[status])
+    // Long-term gains sit on top of ordinary income: they fill whatever is
+    // left of the 0% band, then the 15% band, and the rest is 20%.
+    const [zeroTo, fifteenTo] = fed.capitalGains[status]
+    const top = ordinaryBase + preferentialBase
+    const at0 = Math.max(Math.min(top, zeroTo) - ordinaryBase, 0)
+    const at15 = Math.max(Math.min(top, fifteenTo) - Math.max(ordinaryBase, zeroTo), 0)
+    preferentialTax = at15 * 0.15 + (preferentialBase - at0 - at15) * 0.2
+    // NIIT: net investment income (capital losses only take it to zero) or
+    // MAGI over the threshold, whichever is smaller.
+    const nii = Math.max(netCapital, 0) + dividends + interest
+    const magi = otherIncome + interest + dividends + (netCapital < 0 ? -capitalLossOffset : netCapital)
+    niit = Math.min(nii, Math.max(magi - NIIT_THRESHOLD[status], 0)) * NIIT_RATE
+  }
 
-  // Preferential-rate income: long-term gains + qualified dividends.
-  const preferentialBase = taxableLong + qualifiedDividends
-  const preferentialTax = preferentialBase * lRate
+  const stateTax = stateIncomeTax(state === 'custom' ? { type: 'flat', rate: stateRate / 100 } : stateTable[state], {
+    ordinary: otherIncome + taxableShort + interest + dividends - capitalLossOffset,
+    longTerm: taxableLong,
+    status: status || 'single'
+  })
 
-  const estimatedTax = round2(ordinaryTax + preferentialTax)
+  const federalTax = ordinaryTax + preferentialTax + niit
+  const estimatedTax = round2(federalTax + stateTax)
   const balance = round2(estimatedTax - withholding) // positive = owe, negative = refund
 
   return {
@@ -520,17 +834,36 @@ export function estimateTax({
     netLong: round2(netLong),
     netCapital: round2(netCapital),
     capitalLossOffset: round2(capitalLossOffset),
-    capitalLossCarryover: round2(netCapital < 0 ? Math.max(-netCapital - 3000, 0) : 0),
+    capitalLossCarryover: round2(netCapital < 0 ? Math.max(-netCapital - lossLimit, 0) : 0),
     ordinaryBase: round2(ordinaryBase),
     ordinaryTax: round2(ordinaryTax),
     preferentialBase: round2(preferentialBase),
     preferentialTax: round2(preferentialTax),
+    filingStatus: status,
+    taxYear,
+    niit: round2(niit),
+    federalTax: round2(federalTax),
+    stateTax: round2(stateTax),
     estimatedTax,
     withholding: round2(withholding),
     balance
   }
 }
 
+// State tax from a STATE_TAX entry. No state deduction or credits: the
+// estimate errs high rather than low.
+function stateIncomeTax(def, { ordinary, longTerm, status }) {
+  if (!def) return 0
+  const exclusion = def.ltcgExclusion || 0
+  const income = Math.max(ordinary + longTerm * (1 - exclusion), 0)
+  let tax = 0
+  if (def.type === 'flat') tax = income * def.rate
+  else if (def.type === 'brackets') tax = bracketTax(income, def.brackets[status] || def.brackets.single)
+  if (def.surtax && income > def.surtax[0]) tax += (income - def.surtax[0]) * def.surtax[1]
+  if (def.ltcgBrackets) tax += bracketTax(longTerm, def.ltcgBrackets)
+  return tax
+}
+
 // ---------------------------------------------------------------------------
 // Which IRS forms are likely relevant, given the account activity.
 // `status`: 'likely' (data suggests it applies) or 'possible' (only if the
@@ -92,6 +92,217 @@ test('the source broker still shows the shares as open', () => {
   assert.equal(lots[0].quantity, 10)
 })
 
+console.log('\nForeign-currency trades')
+
+test('gains are figured in dollars at each trade-date rate', () => {
+  // Flat in euros; the euro rose from 1.10 to 1.20, so a $100 gain in dollars.
+  const trades = [
+    t({ symbol: 'SAP', broker: 'ibkr', currency: 'EUR', fxRate: 1.1, date: '2026-01-05' }),
+    t({ symbol: 'SAP', broker: 'ibkr', currency: 'EUR', fxRate: 1.2, date: '2026-06-05', isBuy: false, amount: 1000 }),
+  ]
+  assert.equal(realizedFor(trades), 100)
+})
+
+console.log('\nWash sales')
+
+// Buy 10 @ 100, sell 10 @ 80 (a $200 loss), buy back within 30 days.
+const washed = (rebuy) => [
+  t({ date: '2026-01-05' }),
+  t({ price: 80, amount: 800, isBuy: false, date: '2026-02-02' }),
+  t({ price: 85, amount: -85 * rebuy.quantity, date: '2026-02-10', ...rebuy }),
+]
+
+test('the disallowed loss comes out of the year\'s net gain', () => {
+  const s = summarizeTaxYear(buildTaxBase(washed({ quantity: 10 }), []), 2026)
+  assert.equal(s.washSales.length, 1)
+  assert.equal(s.washSales[0].washDisallowed, 200)
+  assert.equal(s.washSaleDisallowed, 200)
+  assert.equal(s.totalRealizedGain, 0, 'the whole loss is deferred')
+})
+
+test('and lands in the replacement shares\' basis and holding period', () => {
+  const [lot] = buildTaxBase(washed({ quantity: 10 }), []).openLots
+  assert.equal(lot.costBasis, 850 + 200)
+  assert.equal(lot.washAdjustedShares, 10)
+  // Sold shares were held 28 days, so the replacement counts from 28 days
+  // before its own purchase.
+  assert.equal(lot.earliestDate.toISOString().slice(0, 10), '2026-01-13')
+})
+
+test('a partial rebuy washes only that many shares', () => {
+  const s = summarizeTaxYear(buildTaxBase(washed({ quantity: 4 }), []), 2026)
+  assert.equal(s.washSales[0].washDisallowed, 80)
+  assert.equal(s.washSales[0].washShares, 4)
+  assert.equal(s.totalRealizedGain, -120)
+})
+
+test('the deferred loss is realized when the replacement is sold', () => {
+  const trades = [...washed({ quantity: 10 }), t({ price: 90, amount: 900, isBuy: false, date: '2026-05-01' })]
+  // 900 − (850 + 200) = −150, plus the 0 from the washed sale: the same −150
+  // total as with no wash sale at all (−200 + 50), just in a later sale.
+  assert.equal(realizedFor(trades), -150)
+})
+
+test('a replacement bought BEFORE the loss sale counts if still held', () => {
+  const trades = [
+    t({ date: '2026-01-05' }),
+    t({ price: 85, amount: -850, date: '2026-01-25' }),
+    t({ price: 80, amount: 800, isBuy: false, date: '2026-02-02' }), // sells the 01-05 lot
+  ]
+  const base = buildTaxBase(trades, [])
+  assert.equal(summarizeTaxYear(base, 2026).washSaleDisallowed, 200)
+  assert.equal(base.openLots[0].costBasis, 1050)
+})
+
+test('a rebuy outside 30 days is not a wash sale', () => {
+  const s = summarizeTaxYear(buildTaxBase(washed({ quantity: 10, date: '2026-03-10' }), []), 2026)
+  assert.equal(s.washSales.length, 0)
+  assert.equal(s.totalRealizedGain, -200)
+})
+
+test('a replacement at another broker washes the loss and carries the basis', () => {
+  const trades = washed({ quantity: 10, broker: 'webull' })
+  const base = buildTaxBase(trades, [])
+  assert.equal(summarizeTaxYear(base, 2026).washSaleDisallowed, 200)
+  const wb = base.openLots.find(l => l.broker === 'webull')
+  assert.equal(wb.costBasis, 1050)
+})
+
+test('one replacement share cannot wash two sales', () => {
+  const trades = [
+    // Bought well outside each other's windows, so neither replaces the other.
+    t({ date: '2025-11-03' }),
+    t({ broker: 'webull', date: '2025-11-03' }),
+    t({ price: 80, amount: 800, isBuy: false, date: '2026-02-02' }),
+    t({ broker: 'webull', price: 80, amount: 800, isBuy: false, date: '2026-02-03' }),
+    t({ price: 85, amount: -850, date: '2026-02-10' }),
+  ]
+  const s = summarizeTaxYear(buildTaxBase(trades, []), 2026)
+  assert.equal(s.washSaleDisallowed, 200, 'only 10 replacement shares exist')
+  assert.equal(s.totalRealizedGain, -200)
+})
+
+test('a gain is never a wash sale', () => {
+  const trades = [
+    t({ date: '2026-01-05' }),
+    t({ price: 120, amount: 1200, isBuy: false, date: '2026-02-02' }),
+    t({ price: 115, amount: -1150, date: '2026-02-10' }),
+  ]
+  assert.equal(summarizeTaxYear(buildTaxBase(trades, []), 2026).washSales.length, 0)
+})
+
+console.log('\nLot methods and pinned lots')
+
+// Two lots and a partial sale: FIFO takes the $100 lot, LIFO/HIFO the $150 one.
+const twoLots = [
+  t({ id: 1, price: 100, amount: -1000, date: '2026-01-05' }),
+  t({ id: 2, price: 150, amount: -1500, date: '2026-02-05' }),
+  t({ id: 3, price: 120, amount: 1200, isBuy: false, date: '2026-03-05' }),
+]
+const gainWith = (trades, opts) => summarizeTaxYear(buildTaxBase(trades, [], opts), 2026).totalRealizedGain
+
+test('each broker is relieved by its own elected method', () => {
+  assert.equal(gainWith(twoLots), 200, 'FIFO by default')
+  assert.equal(gainWith(twoLots, { lotMethods: { robinhood: 'lifo' } }), -300)
+  assert.equal(gainWith(twoLots, { lotMethods: { robinhood: 'hifo' } }), -300)
+  assert.equal(gainWith(twoLots, { lotMethods: { webull: 'lifo' } }), 200, 'another broker\'s election does not apply')
+})
+
+test('min-tax takes a loss ahead of a gain', () => {
+  assert.equal(gainWith(twoLots, { lotMethods: { robinhood: 'mintax' } }), -300)
+})
+
+test('a pinned sale closes the purchases it names, whatever the method', () => {
+  const pins = [{ sellTradeId: 3, buyTradeId: 2, quantity: 4 }]
+  // 4 from the $150 lot (-120), the other 6 FIFO from the $100 lot (+120).
+  assert.equal(gainWith(twoLots, { pins }), 0)
+  assert.equal(gainWith(twoLots, { lotMethods: { robinhood: 'hifo' }, pins: [{ sellTradeId: 3, buyTradeId: 1, quantity: 10 }] }), 200)
+})
+
+test('the open lots follow the method too', () => {
+  const open = buildTaxBase(twoLots, [], { lotMethods: { robinhood: 'lifo' } }).openLots.find(l => l.symbol === 'AAPL')
+  assert.equal(open.costBasis, 1000)
+})
+
+console.log('\nShort sales')
+
+const short = (o) => t({ broker: 'schwab', transCode: 'SS', isBuy: false, amount: 1000, ...o })
+const cover = (o) => t({ broker: 'schwab', transCode: 'BC', isBuy: true, ...o })
+
+test('a cover realizes the short, short-term, in the cover year', () => {
+  const trades = [
+    short({ date: '2024-06-03' }),
+    cover({ price: 80, amount: -800, date: '2026-03-02' }),
+  ]
+  const s = summarizeTaxYear(buildTaxBase(trades, []), 2026)
+  assert.equal(s.shortSales.length, 1)
+  const r = s.shortSales[0]
+  assert.equal(r.gain, 200)
+  assert.equal(r.term, 'short', 'held open 21 months and still short-term')
+  assert.equal(r.sellDate.getTime(), r.buyDate.getTime())
+  assert.equal(s.shortTermGain, 200)
+  assert.equal(s.unreconciled.length, 0, 'a short sale is not a sale with no basis')
+  assert.equal(s.openLots.length, 0, 'and the cover buys nothing')
+})
+
+test('a cover larger than the short buys the rest', () => {
+  const trades = [
+    short({ date: '2026-03-02' }),
+    cover({ quantity: 15, price: 90, amount: -1350, date: '2026-03-09' }),
+  ]
+  const s = summarizeTaxYear(buildTaxBase(trades, []), 2026)
+  assert.equal(s.shortSales[0].gain, 100)
+  assert.deepEqual(s.openLots.map((o) => [o.quantity, o.costBasis]), [[5, 450]])
+  assert.equal(s.openShorts.length, 0)
+})
+
+test('in lieu is added to cost within 45 days, deductible after', () => {
+  const inLieu = (date) => ({ symbol: 'AAPL', broker: 'schwab', date, amount: -5, isInLieu: true })
+  const quick = [short({ date: '2026-03-02' }), cover({ price: 100, amount: -1000, date: '2026-04-01' })]
+  // Stamped midday like the stored rows, on the cover's own day
+  const q = summarizeTaxYear(buildTaxBase(quick, [inLieu(new Date('2026-04-01T12:00:00'))]), 2026)
+  assert.equal(q.inLieuCapitalized, 5)
+  assert.equal(q.shortSales[0].gain, -5)
+
+  const long = [short({ date: '2026-01-05' }), cover({ price: 100, amount: -1000, date: '2026-04-01' })]
+  const l = summarizeTaxYear(buildTaxBase(long, [inLieu('2026-03-20')]), 2026)
+  assert.equal(l.inLieuCapitalized, 0)
+  assert.equal(l.inLieuDeductible, 5)
+  assert.equal(l.shortSales[0].gain, 0)
+})
+
+test('shares bought to cover are not replacement shares', () => {
+  // Long loss on 3/10; the cover 3/20 is inside the window but goes to the lender.
+  const trades = [
+    t({ broker: 'schwab', date: '2026-03-02' }),
+    short({ price: 90, amount: 900, date: '2026-03-05' }),
+    t({ broker: 'schwab', price: 80, amount: 800, isBuy: false, date: '2026-03-10' }),
+    cover({ price: 85, amount: -850, date: '2026-03-20' }),
+  ]
+  const s = summarizeTaxYear(buildTaxBase(trades, []), 2026)
+  assert.equal(s.washSales.length, 0)
+  assert.equal(s.totalRealizedGain, -200 + 50)
+})
+
+test('open shorts carry in lieu charged and an estimated borrow fee', () => {
+  const trades = [short({ date: '2026-01-05' })]
+  const base = buildTaxBase(trades, [{ symbol: 'AAPL', broker: 'schwab', date: '2026-02-10', amount: -2.5, isInLieu: true }], {
+    borrowRates: { AAPL: [{ from: '2026-01-01', rate: 3.6 }] },
+  })
+  assert.equal(base.openLots.length, 0)
+  assert.equal(base.openShorts.length, 1)
+  assert.equal(base.openShorts[0].inLieu, 2.5)
+  assert.ok(base.openShorts[0].borrowFee > 0)
+})
+
+test('a cover carries the borrow fee on its schedule', () => {
+  const trades = [short({ date: '2026-03-02' }), cover({ price: 100, amount: -1000, date: '2026-04-01' })]
+  const s = summarizeTaxYear(buildTaxBase(trades, [], { borrowRates: { AAPL: [{ from: '2026-01-01', rate: 3.6 }] } }), 2026)
+  // $1,000 at 3.6% for 30 days on a 360-day year
+  assert.equal(s.borrowFees, 3)
+  assert.equal(s.shortSales[0].gain, 0, 'the fee is not in the gain')
+})
+
 console.log('\nBackward compatibility')
 
 test('trades with no broker behave exactly as before', () => {
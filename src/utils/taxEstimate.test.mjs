@@ -0,0 +1,117 @@
+/**
+ * Tax estimate: federal brackets by filing status, NIIT and state tax.
+ * Run: node src/utils/taxEstimate.test.mjs
+ *
+ * The estimate applied one ordinary rate and one long-term rate to the
+ * investment income alone, so the "balance owed" couldn't be used for a
+ * quarterly payment. These pin the bracketed path against hand-worked figures
+ * and check the flat-rate planner is unchanged when no filing status is set.
+ */
+import assert from 'node:assert/strict'
+import { estimateTax } from './taxCalculator.js'
+import { bracketTax, federalTable } from './taxTables.js'
+
+let passed = 0
+const test = (name, fn) => {
+  try { fn(); passed++; console.log(`  ok  ${name}`) }
+  catch (e) { console.error(`  FAIL ${name}\n       ${e.message}`); process.exitCode = 1 }
+}
+
+console.log('\nFlat rates')
+
+test('without a filing status the flat planner is unchanged', () => {
+  const r = estimateTax({ shortTermGain: 1000, longTermGain: 2000, ordinaryRate: 24, longTermRate: 15, withholding: 100 })
+  assert.equal(r.estimatedTax, 540)
+  assert.equal(r.balance, 440)
+  assert.equal(r.niit, 0)
+  assert.equal(r.stateTax, 0)
+  assert.equal(r.filingStatus, null)
+})
+
+console.log('\nFederal brackets')
+
+test('ordinary income runs through the brackets after the standard deduction', () => {
+  // 2025 single: 70,000 - 15,750 = 54,250 → 1,192.50 + 4,386 + 1,270.50.
+  const r = estimateTax({ filingStatus: 'single', year: 2025, otherIncome: 60000, shortTermGain: 10000, longTermGain: 20000 })
+  assert.equal(r.ordinaryBase, 54250)
+  assert.equal(r.ordinaryTax, 6849)
+  assert.equal(r.preferentialTax, 3000, 'all of it in the 15% band')
+  assert.equal(r.estimatedTax, 9849)
+  assert.equal(r.taxYear, 2025)
+})
+
+test('long-term gains fill the rest of the 0% band first', () => {
+  const low = estimateTax({ filingStatus: 'single', year: 2025, longTermGain: 40000 })
+  assert.equal(low.preferentialBase, 24250)
+  assert.equal(low.estimatedTax, 0)
+  // 34,250 of ordinary income leaves 14,100 at 0%; the other 15,900 at 15%.
+  const split = estimateTax({ filingStatus: 'single', year: 2025, otherIncome: 50000, longTermGain: 30000 })
+  assert.equal(split.preferentialTax, 2385)
+})
+
+test('the top long-term band is 20%', () => {
+  const r = estimateTax({ filingStatus: 'mfj', year: 2025, otherIncome: 700000, longTermGain: 100000 })
+  assert.equal(r.preferentialTax, 20000)
+})
+
+test('a net capital loss offsets $3,000 of ordinary income, $1,500 filing separately', () => {
+  const single = estimateTax({ filingStatus: 'single', year: 2025, otherIncome: 60000, shortTermGain: -10000 })
+  assert.equal(single.capitalLossOffset, 3000)
+  assert.equal(single.capitalLossCarryover, 7000)
+  assert.equal(single.ordinaryBase, 41250)
+  const mfs = estimateTax({ filingStatus: 'mfs', year: 2025, otherIncome: 60000, shortTermGain: -10000 })
+  assert.equal(mfs.capitalLossOffset, 1500)
+  assert.equal(mfs.capitalLossCarryover, 8500)
+  assert.equal(mfs.ordinaryBase, 42750)
+})
+
+test('a year without a table uses the nearest one', () => {
+  assert.equal(federalTable(2030).year, 2026)
+  assert.equal(federalTable(2019).year, 2025)
+  assert.equal(estimateTax({ filingStatus: 'single', year: 2031 }).taxYear, 2026)
+})
+
+test('brackets tax each slice at its own rate', () => {
+  assert.equal(bracketTax(30000, [[10000, 0.1], [20000, 0.2], [Infinity, 0.3]]), 6000)
+  assert.equal(bracketTax(0, [[10000, 0.1]]), 0)
+})
+
+console.log('\nNet Investment Income Tax')
+
+test('3.8% on the smaller of investment income and MAGI over the threshold', () => {
+  const r = estimateTax({ filingStatus: 'mfj', year: 2025, otherIncome: 300000, longTermGain: 100000 })
+  assert.equal(r.niit, 3800)
+  const partial = estimateTax({ filingStatus: 'single', year: 2025, otherIncome: 190000, longTermGain: 50000 })
+  assert.equal(partial.niit, 1520, 'MAGI 240,000 is 40,000 over')
+})
+
+test('no NIIT below the threshold or on a net loss', () => {
+  assert.equal(estimateTax({ filingStatus: 'single', otherIncome: 100000, longTermGain: 50000 }).niit, 0)
+  assert.equal(estimateTax({ filingStatus: 'single', otherIncome: 900000, shortTermGain: -5000 }).niit, 0)
+})
+
+console.log('\nState tax')
+
+test('a flat state taxes capital gains as ordinary income', () => {
+  const r = estimateTax({ shortTermGain: 1000, longTermGain: 2000, ordinaryRate: 24, longTermRate: 15, state: 'IL' })
+  assert.equal(r.stateTax, 148.5)
+  assert.equal(r.estimatedTax, 688.5)
+})
+
+test('a bracketed state with a long-term exclusion', () => {
+  // ND leaves 40% of long-term gains untaxed: 60,000, of which 11,525 at 1.95%.
+  const r = estimateTax({ filingStatus: 'single', longTermGain: 100000, state: 'ND' })
+  assert.equal(r.stateTax, 224.74)
+})
+
+test('Washington taxes only long-term gains over its deduction', () => {
+  assert.equal(estimateTax({ shortTermGain: 50000, longTermGain: 300000, state: 'WA' }).stateTax, 1540)
+  assert.equal(estimateTax({ state: 'TX', shortTermGain: 50000 }).stateTax, 0)
+})
+
+test('a custom flat rate and a caller-supplied table both work', () => {
+  assert.equal(estimateTax({ shortTermGain: 1000, state: 'custom', stateRate: 5 }).stateTax, 50)
+  assert.equal(estimateTax({ shortTermGain: 1000, state: 'ZZ', stateTable: { ZZ: { type: 'flat', rate: 0.1 } } }).stateTax, 100)
+})
+
+console.log(`\n${passed} passed\n`)
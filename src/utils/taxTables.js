@@ -0,0 +1,160 @@
+// Rate tables behind estimateTax (taxCalculator.js).
+//
+// Federal brackets, standard deductions and the 0% / 15% long-term capital
+// gains breakpoints by filing status, per tax year; the Net Investment Income
+// Tax thresholds; and a table of state income taxes. Brackets are
+// [upTo, rate] pairs in ascending order, the last one open-ended.
+//
+// Figures are the published ones for each year (IRS Rev. Proc. 2024-40 as
+// amended for 2025, Rev. Proc. 2025-32 for 2026). A year not listed uses the
+// nearest one — close enough for planning, and the estimate says which it used.
+//
+// IMPORTANT: planning figures only, NOT tax advice. State rules beyond rate and
+// capital-gains treatment (credits, local taxes, AMT) aren't modelled.
+
+export const FILING_STATUSES = {
+  single: 'Single',
+  mfj: 'Married filing jointly',
+  mfs: 'Married filing separately',
+  hoh: 'Head of household'
+}
+
+const I = Infinity
+
+export const FEDERAL = {
+  2025: {
+    brackets: {
+      single: [[11925, 0.10], [48475, 0.12], [103350, 0.22], [197300, 0.24], [250525, 0.32], [626350, 0.35], [I, 0.37]],
+      mfj: [[23850, 0.10], [96950, 0.12], [206700, 0.22], [394600, 0.24], [501050, 0.32], [751600, 0.35], [I, 0.37]],
+      mfs: [[11925, 0.10], [48475, 0.12], [103350, 0.22], [197300, 0.24], [250525, 0.32], [375800, 0.35], [I, 0.37]],
+      hoh: [[17000, 0.10], [64850, 0.12], [103350, 0.22], [197300, 0.24], [250500, 0.32], [626350, 0.35], [I, 0.37]]
+    },
+    standardDeduction: { single: 15750, mfj: 31500, mfs: 15750, hoh: 23625 },
+    // Taxable income up to which long-term gains are taxed at 0%, then 15%; 20% above.
+    capitalGains: { single: [48350, 533400], mfj: [96700, 600050], mfs: [48350, 300000], hoh: [64750, 566700] }
+  },
+  2026: {
+    brackets: {
+      single: [[12400, 0.10], [50400, 0.12], [105700, 0.22], [201775, 0.24], [256225, 0.32], [640600, 0.35], [I, 0.37]],
+      mfj: [[24800, 0.10], [100800, 0.12], [211400, 0.22], [403550, 0.24], [512450, 0.32], [768700, 0.35], [I, 0.37]],
+      mfs: [[12400, 0.10], [50400, 0.12], [105700, 0.22], [201775, 0.24], [256225, 0.32], [384350, 0.35], [I, 0.37]],
+      hoh: [[17700, 0.10], [67450, 0.12], [105700, 0.22], [201750, 0.24], [256200, 0.32], [640600, 0.35], [I, 0.37]]
+    },
+    standardDeduction: { single: 16100, mfj: 32200, mfs: 16100, hoh: 24150 },
+    capitalGains: { single: [49450, 545500], mfj: [98900, 613700], mfs: [49450, 306850], hoh: [66200, 579600] }
+  }
+}
+
+// 3.8% on the smaller of net investment income and MAGI over these. Set by
+// statute and not indexed for inflation.
+export const NIIT_RATE = 0.038
+export const NIIT_THRESHOLD = { single: 200000, mfj: 250000, mfs: 125000, hoh: 200000 }
+
+// A net capital loss comes off ordinary income up to this much a year; the
+// rest carries forward. Also statutory — half for married filing separately.
+export const CAPITAL_LOSS_LIMIT = { single: 3000, mfj: 3000, mfs: 1500, hoh: 3000 }
+
+// The federal table for a year, or the nearest year there is one for.
+export function federalTable(year) {
+  const years = Object.keys(FEDERAL).map(Number).sort((a, b) => a - b)
+  const y = year == null ? years[years.length - 1]
+    : years.reduce((best, k) => (Math.abs(k - year) < Math.abs(best - year) ? k : best), years[0])
+  return { year: y, ...FEDERAL[y] }
+}
+
+// Tax on `amount` through a bracket schedule.
+export function bracketTax(amount, brackets) {
+  let tax = 0
+  let lower = 0
+  for (const [upTo, rate] of brackets) {
+    if (amount <= lower) break
+    tax += (Math.min(amount, upTo) - lower) * rate
+    lower = upTo
+  }
+  return tax
+}
+
+/**
+ * State income taxes, keyed by postal code. Each entry is one of:
+ *   { type: 'none' }
+ *   { type: 'flat', rate }
+ *   { type: 'brackets', brackets: { single, mfj? } }   // other statuses use single
+ * and may add:
+ *   ltcgExclusion  share of long-term gains the state leaves untaxed
+ *   ltcgBrackets   a separate schedule for long-term gains only (Washington)
+ *   surtax         [threshold, rate] on income above a threshold (Massachusetts)
+ * Anything not excluded is taxed as ordinary income — how most states treat
+ * capital gains. The table is open: pass your own to estimateTax({ stateTable })
+ * to add a state or update a rate.
+ */
+export const STATE_TAX = {
+  AK: { name: 'Alaska', type: 'none' },
+  FL: { name: 'Florida', type: 'none' },
+  NV: { name: 'Nevada', type: 'none' },
+  NH: { name: 'New Hampshire', type: 'none' },
+  SD: { name: 'South Dakota', type: 'none' },
+  TN: { name: 'Tennessee', type: 'none' },
+  TX: { name: 'Texas', type: 'none' },
+  WY: { name: 'Wyoming', type: 'none' },
+  // No income tax, but a capital gains excise on long-term gains above a
+  // standard deduction, with a higher rate on the part over $1M.
+  WA: { name: 'Washington', type: 'none', ltcgBrackets: [[278000, 0], [1278000, 0.07], [I, 0.099]] },
+
+  AZ: { name: 'Arizona', type: 'flat', rate: 0.025 },
+  CO: { name: 'Colorado', type: 'flat', rate: 0.044 },
+  GA: { name: 'Georgia', type: 'flat', rate: 0.0519 },
+  IA: { name: 'Iowa', type: 'flat', rate: 0.038 },
+  ID: { name: 'Idaho', type: 'flat', rate: 0.053 },
+  IL: { name: 'Illinois', type: 'flat', rate: 0.0495 },
+  IN: { name: 'Indiana', type: 'flat', rate: 0.03 },
+  KY: { name: 'Kentucky', type: 'flat', rate: 0.04 },
+  MA: { name: 'Massachusetts', type: 'flat', rate: 0.05, surtax: [1083150, 0.04] },
+  MI: { name: 'Michigan', type: 'flat', rate: 0.0425 },
+  NC: { name: 'North Carolina', type: 'flat', rate: 0.0425 },
+  PA: { name: 'Pennsylvania', type: 'flat', rate: 0.0307 },
+  UT: { name: 'Utah', type: 'flat', rate: 0.045 },
+
+  CA: {
+    name: 'California',
+    type: 'brackets',
+    brackets: {
+      single: [[10756, 0.01], [25499, 0.02], [40245, 0.04], [55866, 0.06], [70606, 0.08], [360659, 0.093], [432787, 0.103], [721314, 0.113], [I, 0.123]],
+      mfj: [[21512, 0.01], [50998, 0.02], [80490, 0.04], [111732, 0.06], [141212, 0.08], [721318, 0.093], [865574, 0.103], [1442628, 0.113], [I, 0.123]]
+    },
+    // Mental Health Services Tax.
+    surtax: [1000000, 0.01]
+  },
+  NJ: {
+    name: 'New Jersey',
+    type: 'brackets',
+    brackets: {
+      single: [[20000, 0.014], [35000, 0.0175], [40000, 0.035], [75000, 0.05525], [500000, 0.0637], [1000000, 0.0897], [I, 0.1075]],
+      mfj: [[20000, 0.014], [50000, 0.0175], [70000, 0.0245], [80000, 0.035], [150000, 0.05525], [500000, 0.0637], [1000000, 0.0897], [I, 0.1075]]
+    }
+  },
+  NY: {
+    name: 'New York',
+    type: 'brackets',
+    brackets: {
+      single: [[8500, 0.04], [11700, 0.045], [13900, 0.0525], [80650, 0.055], [215400, 0.06], [1077550, 0.0685], [5000000, 0.0965], [25000000, 0.103], [I, 0.109]],
+      mfj: [[17150, 0.04], [23600, 0.045], [27900, 0.0525], [161550, 0.055], [323200, 0.06], [2155350, 0.0685], [5000000, 0.0965], [25000000, 0.103], [I, 0.109]]
+    }
+  },
+  OR: {
+    name: 'Oregon',
+    type: 'brackets',
+    brackets: {
+      single: [[4400, 0.0475], [11050, 0.0675], [125000, 0.0875], [I, 0.099]],
+      mfj: [[8800, 0.0475], [22100, 0.0675], [250000, 0.0875], [I, 0.099]]
+    }
+  },
+  ND: {
+    name: 'North Dakota',
+    type: 'brackets',
+    brackets: {
+      single: [[48475, 0], [244825, 0.0195], [I, 0.025]],
+      mfj: [[80975, 0], [298075, 0.0195], [I, 0.025]]
+    },
+    ltcgExclusion: 0.4
+  }
+}